@@ -0,0 +1,551 @@
+/**
+ * Local stand-in for the Cloudflare Worker described in docs/cloudflare-sync.md
+ * and docs/cloudflare-subscription-sync.md. Keeps everything in memory.
+ *
+ * Usage:
+ *   node mock-sync-worker.mjs [--port 8787] [--token secret] [--page-size 1000]
+ *
+ * Point the popup's Worker URL at http://localhost:8787/sync and the
+ * subscription URL at http://localhost:8787/subscriptions.
+ *
+ * Debug routes (no auth):
+ *   GET  /__mock/state       dump stored rows
+ *   POST /__mock/reset       drop all data
+ *   POST /__mock/fail?count=3&status=503
+ *                            fail the next N API requests (exercises retry backoff)
+ *
+ * Tests import createMockSyncServer() instead. The data lives at module level,
+ * so run one mock per process.
+ */
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+let apiToken = '';
+// Cap pull pages below the client's limit to exercise cursor pagination.
+let pageSize = 1000;
+let logRequests = false;
+
+const state = createEmptyState();
+let failNext = { count: 0, status: 500 };
+
+/**
+ * Parse `--key value` pairs.
+ * @param {string[]} argv
+ * @returns {Record<string, string>}
+ */
+function parseArgs(argv) {
+    const parsed = {};
+    for (let index = 0; index < argv.length; index += 1) {
+        const match = /^--([a-z-]+)$/.exec(argv[index]);
+        if (match) {
+            parsed[match[1]] = argv[index + 1] ?? '';
+            index += 1;
+        }
+    }
+    return parsed;
+}
+
+/**
+ * @returns {{watched: Map<string, object>, changeSeq: number, subscriptions: Map<string, object>, encryption: object|null, encryptedHistory: object[], encryptedSubscriptions: Map<string, string>}}
+ */
+function createEmptyState() {
+    return {
+        watched: new Map(),
+        changeSeq: 0,
+        subscriptions: new Map(),
+        encryption: null,
+        encryptedHistory: [],
+        encryptedSubscriptions: new Map()
+    };
+}
+
+/**
+ * Error that carries an HTTP status for the request handler.
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function readAccountKey(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : 'default';
+}
+
+/**
+ * Reject plaintext writes once encryption is set up, and encrypted writes under a stale key.
+ * @param {object} body
+ */
+function assertEncryptionMatches(body) {
+    if (typeof body.encrypted !== 'string') {
+        if (state.encryption) {
+            throw httpError(409, 'This Worker only accepts end-to-end encrypted data. Enable encryption on this device.');
+        }
+        return;
+    }
+    if (!state.encryption) {
+        throw httpError(409, 'Encryption is not set up on this Worker');
+    }
+    if (body.keyId !== state.encryption.keyId) {
+        throw httpError(409, 'Encryption key changed. Enter the new passphrase on this device.');
+    }
+}
+
+function clampNumber(value, min, max, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed)) {
+        return fallback;
+    }
+    return Math.min(max, Math.max(min, parsed));
+}
+
+function send(res, body, status = 200) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-YT-Commander-Key, X-YT-Commander-Client'
+    });
+    res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+    try {
+        return raw ? JSON.parse(raw) : {};
+    } catch (_error) {
+        return {};
+    }
+}
+
+function isAuthorized(req) {
+    if (!apiToken) {
+        return true;
+    }
+    const authHeader = req.headers.authorization || '';
+    const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+    return bearer === apiToken || req.headers['x-yt-commander-key'] === apiToken;
+}
+
+/**
+ * Pick `incoming` when the write is newer, otherwise only fill an empty field.
+ * @param {object} row
+ * @param {string} field
+ * @param {any} incoming
+ * @param {boolean} newer
+ */
+function applyLww(row, field, incoming, newer) {
+    if (incoming === undefined || incoming === null) {
+        return;
+    }
+    if (newer || row[field] === undefined || row[field] === null) {
+        row[field] = incoming;
+    }
+}
+
+/**
+ * Same rules as the reference Worker's upsert in handleSync.
+ * @param {string} videoId
+ * @param {object} record
+ * @param {number} now
+ */
+function upsertWatched(videoId, record, now) {
+    const updatedAt = Number(record.updatedAt) > 0 ? Number(record.updatedAt) : now;
+    const existing = state.watched.get(videoId);
+    const row = existing || { videoId, partial: record.partial === true, updatedAt: 0, deleted: false };
+    const newer = updatedAt >= row.updatedAt;
+
+    ['title', 'channelId', 'channelName', 'durationSeconds'].forEach((field) => {
+        applyLww(row, field, record[field], newer);
+    });
+
+    const positionUpdatedAt = Number(record.positionUpdatedAt) || 0;
+    if (positionUpdatedAt >= (row.positionUpdatedAt || 0)) {
+        applyLww(row, 'positionSeconds', record.positionSeconds, true);
+        applyLww(row, 'percentWatched', record.percentWatched, true);
+    }
+    row.positionUpdatedAt = Math.max(positionUpdatedAt, row.positionUpdatedAt || 0) || undefined;
+    row.watchedAt = row.watchedAt || (Number(record.watchedAt) > 0 ? Number(record.watchedAt) : undefined);
+
+    if (existing) {
+        row.partial = row.deleted && newer
+            ? record.partial === true
+            : row.partial && record.partial === true;
+    }
+    if (newer) {
+        row.deleted = false;
+    }
+    row.updatedAt = Math.max(row.updatedAt, updatedAt);
+    row.changeSeq = ++state.changeSeq;
+    state.watched.set(videoId, row);
+}
+
+function tombstoneWatched(videoId, deletedAt) {
+    const row = state.watched.get(videoId) || { videoId, partial: false, updatedAt: 0, deleted: false };
+    if (deletedAt >= row.updatedAt) {
+        row.deleted = true;
+    }
+    row.updatedAt = Math.max(row.updatedAt, deletedAt);
+    row.changeSeq = ++state.changeSeq;
+    state.watched.set(videoId, row);
+}
+
+function handleSync(body) {
+    assertEncryptionMatches(body);
+    if (typeof body.encrypted === 'string') {
+        const seq = ++state.changeSeq;
+        state.encryptedHistory.push({ seq, accountKey: readAccountKey(body.accountKey), blob: body.encrypted });
+        return { ok: true, seq };
+    }
+
+    const ids = Array.from(new Set((Array.isArray(body.videoIds) ? body.videoIds : [])
+        .filter((id) => typeof id === 'string' && id)));
+    const deletions = (Array.isArray(body.deletions) ? body.deletions : [])
+        .filter((entry) => entry && typeof entry.videoId === 'string' && entry.videoId);
+    const clearedAt = Number(body.clearedAt) || 0;
+    const now = Date.now();
+
+    const recordsById = new Map();
+    (Array.isArray(body.records) ? body.records : []).forEach((record) => {
+        if (record && typeof record.videoId === 'string') {
+            recordsById.set(record.videoId, record);
+        }
+    });
+
+    if (clearedAt > 0) {
+        // One sequence value for the whole clear, like the Worker's single UPDATE.
+        const clearSeq = ++state.changeSeq;
+        state.watched.forEach((row) => {
+            if (!row.deleted && row.updatedAt <= clearedAt) {
+                row.deleted = true;
+                row.updatedAt = clearedAt;
+                row.changeSeq = clearSeq;
+            }
+        });
+    }
+
+    ids.forEach((videoId) => upsertWatched(videoId, recordsById.get(videoId) || {}, now));
+    deletions.forEach((entry) => {
+        tombstoneWatched(entry.videoId, Number(entry.updatedAt) > 0 ? Number(entry.updatedAt) : now);
+    });
+
+    return { ok: true, inserted: ids.length, deleted: deletions.length, cleared: clearedAt > 0 };
+}
+
+function handlePull(url) {
+    const limit = Math.min(pageSize, clampNumber(url.searchParams.get('limit'), 1, 1000, 1000));
+    if (url.searchParams.get('encrypted') === '1') {
+        return handleEncryptedPull(url, limit);
+    }
+    const [rawSeq, ...rawId] = (url.searchParams.get('cursor') || '').split(':');
+    const afterSeq = clampNumber(rawSeq, 0, Number.MAX_SAFE_INTEGER, 0);
+    const afterId = rawId.join(':');
+
+    const rows = Array.from(state.watched.values())
+        .filter((row) => (row.changeSeq || 0) > afterSeq
+            || ((row.changeSeq || 0) === afterSeq && row.videoId > afterId))
+        .sort((a, b) => (a.changeSeq - b.changeSeq) || (a.videoId < b.videoId ? -1 : 1))
+        .slice(0, limit);
+
+    const records = rows.map((row) => (row.deleted
+        ? { videoId: row.videoId, deleted: true, updatedAt: row.updatedAt }
+        : {
+            videoId: row.videoId,
+            title: row.title,
+            channelId: row.channelId,
+            channelName: row.channelName,
+            durationSeconds: row.durationSeconds,
+            positionSeconds: row.positionSeconds,
+            percentWatched: row.percentWatched,
+            positionUpdatedAt: row.positionUpdatedAt,
+            watchedAt: row.watchedAt,
+            updatedAt: row.updatedAt || undefined,
+            partial: row.partial === true
+        }));
+    const lastRow = rows[rows.length - 1];
+
+    return {
+        videoIds: rows.filter((row) => !row.deleted).map((row) => row.videoId),
+        records,
+        nextCursor: lastRow ? `${lastRow.changeSeq}:${lastRow.videoId}` : `${afterSeq}:${afterId}`,
+        hasMore: rows.length === limit,
+        incremental: true,
+        encryptionEnabled: Boolean(state.encryption)
+    };
+}
+
+function handleEncryptedPull(url, limit) {
+    const accountKey = readAccountKey(url.searchParams.get('accountKey'));
+    const afterSeq = clampNumber(url.searchParams.get('cursor'), 0, Number.MAX_SAFE_INTEGER, 0);
+    const blobs = state.encryptedHistory
+        .filter((entry) => entry.accountKey === accountKey && entry.seq > afterSeq)
+        .slice(0, limit)
+        .map((entry) => ({ seq: entry.seq, blob: entry.blob }));
+
+    return {
+        keyId: state.encryption?.keyId || null,
+        blobs,
+        nextCursor: String(blobs.length > 0 ? blobs[blobs.length - 1].seq : afterSeq),
+        hasMore: blobs.length === limit,
+        incremental: true
+    };
+}
+
+function handleEncryptionKey(body) {
+    if (!body) {
+        return state.encryption ? { ok: true, ...state.encryption } : { ok: true, keyId: null };
+    }
+    if (state.encryption) {
+        throw httpError(409, 'Encryption is already set up on this Worker');
+    }
+    if (!body.keyId || !body.salt || !body.verifier) {
+        throw httpError(400, 'keyId, salt and verifier are required');
+    }
+    state.encryption = {
+        keyId: body.keyId,
+        salt: body.salt,
+        iterations: Number(body.iterations) || 0,
+        verifier: body.verifier
+    };
+    return { ok: true, keyId: body.keyId };
+}
+
+function handleEncryptionBlobs() {
+    return {
+        ok: true,
+        keyId: state.encryption?.keyId || null,
+        history: state.encryptedHistory.map((entry) => ({ ...entry })),
+        subscriptions: Array.from(state.encryptedSubscriptions, ([accountKey, blob]) => ({ accountKey, blob }))
+    };
+}
+
+/**
+ * Swap every blob and the key material at once, like the Worker's D1 batch.
+ * @param {object} body
+ */
+function handleEncryptionRekey(body) {
+    if (!state.encryption || body.previousKeyId !== state.encryption.keyId) {
+        throw httpError(409, 'Encryption key changed since the re-encryption started');
+    }
+    const history = Array.isArray(body.history) ? body.history : [];
+    const subscriptions = Array.isArray(body.subscriptions) ? body.subscriptions : [];
+    const historyBySeq = new Map(history.map((entry) => [entry.seq, entry.blob]));
+    if (historyBySeq.size !== state.encryptedHistory.length
+        || state.encryptedHistory.some((entry) => typeof historyBySeq.get(entry.seq) !== 'string')
+        || subscriptions.length !== state.encryptedSubscriptions.size) {
+        throw httpError(409, 'Re-encrypted data does not cover every stored blob');
+    }
+
+    state.encryptedHistory.forEach((entry) => {
+        entry.blob = historyBySeq.get(entry.seq);
+    });
+    subscriptions.forEach((entry) => state.encryptedSubscriptions.set(readAccountKey(entry.accountKey), entry.blob));
+    state.encryption = {
+        keyId: body.keyId,
+        salt: body.salt,
+        iterations: Number(body.iterations) || 0,
+        verifier: body.verifier
+    };
+    return { ok: true, keyId: body.keyId, historyCount: history.length, subscriptionCount: subscriptions.length };
+}
+
+function handleSubscriptions(body) {
+    assertEncryptionMatches(body);
+    const accountKey = readAccountKey(body.accountKey);
+    if (typeof body.encrypted === 'string') {
+        state.encryptedSubscriptions.set(accountKey, body.encrypted);
+        return { ok: true, accountKey, encrypted: true };
+    }
+    const snapshot = body.snapshot && typeof body.snapshot === 'object' ? body.snapshot : {};
+    const channels = (Array.isArray(snapshot.channels) ? snapshot.channels : []).map((channel) => ({
+        channelId: channel?.channelId || '',
+        title: channel?.title || '',
+        handle: channel?.handle || '',
+        url: channel?.url || '',
+        avatar: channel?.avatar || '',
+        subscriberCount: channel?.subscriberCount || '',
+        videoCount: channel?.videoCount || ''
+    }));
+    const categories = (Array.isArray(body.categories) ? body.categories : [])
+        .filter((item) => item && typeof item === 'object')
+        .map((item) => ({
+            id: item.id || '',
+            name: item.name || '',
+            color: item.color || '',
+            ...(item.parentId ? { parentId: item.parentId } : {}),
+            ...(item.rules && typeof item.rules === 'object' ? { rules: item.rules } : {})
+        }));
+    const assignments = {};
+    let assignmentCount = 0;
+    Object.entries(body.assignments && typeof body.assignments === 'object' ? body.assignments : {})
+        .forEach(([channelId, list]) => {
+            const categoryIds = Array.isArray(list) ? list.filter((id) => typeof id === 'string' && id) : [];
+            if (categoryIds.length > 0) {
+                assignments[channelId] = categoryIds;
+                assignmentCount += categoryIds.length;
+            }
+        });
+
+    state.subscriptions.set(accountKey, {
+        snapshot: {
+            hash: typeof snapshot.hash === 'string' ? snapshot.hash : '',
+            fetchedAt: Number(snapshot.fetchedAt) || null,
+            total: channels.length
+        },
+        channels,
+        categories,
+        assignments
+    });
+
+    return {
+        ok: true,
+        channelCount: channels.length,
+        categoryCount: categories.length,
+        assignmentCount
+    };
+}
+
+function handleSubscriptionRestore(url) {
+    const accountKey = readAccountKey(url.searchParams.get('accountKey'));
+    if (state.encryptedSubscriptions.has(accountKey)) {
+        return {
+            ok: true,
+            accountKey,
+            keyId: state.encryption?.keyId || null,
+            encrypted: state.encryptedSubscriptions.get(accountKey)
+        };
+    }
+    const stored = state.subscriptions.get(accountKey);
+    const channels = stored ? [...stored.channels].sort((a, b) => a.title.localeCompare(b.title)) : [];
+
+    return {
+        ok: true,
+        accountKey,
+        snapshot: {
+            hash: stored?.snapshot.hash || '',
+            fetchedAt: stored?.snapshot.fetchedAt || null,
+            total: stored?.snapshot.total ?? channels.length,
+            channels
+        },
+        channels,
+        categories: stored ? [...stored.categories].sort((a, b) => a.name.localeCompare(b.name)) : [],
+        assignments: stored?.assignments || {}
+    };
+}
+
+function handleMockRoute(req, url, res) {
+    if (url.pathname === '/__mock/state') {
+        send(res, {
+            changeSeq: state.changeSeq,
+            watched: Array.from(state.watched.values()),
+            subscriptions: Object.fromEntries(state.subscriptions),
+            encryption: state.encryption,
+            encryptedHistory: state.encryptedHistory,
+            encryptedSubscriptions: Object.fromEntries(state.encryptedSubscriptions)
+        });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/__mock/reset') {
+        Object.assign(state, createEmptyState());
+        failNext = { count: 0, status: 500 };
+        send(res, { ok: true });
+        return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/__mock/fail') {
+        failNext = {
+            count: clampNumber(url.searchParams.get('count'), 0, 1000, 1),
+            status: clampNumber(url.searchParams.get('status'), 400, 599, 500)
+        };
+        send(res, { ok: true, ...failNext });
+        return;
+    }
+
+    send(res, { error: 'Not found' }, 404);
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '');
+
+    if (req.method === 'OPTIONS') {
+        send(res, {});
+        return;
+    }
+
+    if (pathname.startsWith('/__mock/')) {
+        handleMockRoute(req, url, res);
+        return;
+    }
+
+    if (!isAuthorized(req)) {
+        send(res, { error: 'Unauthorized' }, 500);
+        return;
+    }
+
+    if (failNext.count > 0) {
+        failNext.count -= 1;
+        send(res, { error: 'Mock failure' }, failNext.status);
+        return;
+    }
+
+    try {
+        let body = null;
+        if (req.method === 'POST' && pathname.endsWith('/sync')) {
+            body = handleSync(await readJson(req));
+        } else if (req.method === 'GET' && pathname.endsWith('/pull')) {
+            body = handlePull(url);
+        } else if (req.method === 'GET' && pathname.endsWith('/subscriptions')) {
+            body = handleSubscriptionRestore(url);
+        } else if (req.method === 'POST' && pathname.endsWith('/subscriptions')) {
+            body = handleSubscriptions(await readJson(req));
+        } else if (pathname.endsWith('/encryption')) {
+            body = handleEncryptionKey(req.method === 'POST' ? await readJson(req) : null);
+        } else if (req.method === 'GET' && pathname.endsWith('/encryption/blobs')) {
+            body = handleEncryptionBlobs();
+        } else if (req.method === 'POST' && pathname.endsWith('/encryption/rekey')) {
+            body = handleEncryptionRekey(await readJson(req));
+        }
+
+        if (!body) {
+            send(res, { error: 'Not found' }, 404);
+            return;
+        }
+
+        if (logRequests) {
+            console.log(`${req.method} ${url.pathname}${url.search}`);
+        }
+        send(res, body);
+    } catch (error) {
+        send(res, { error: error?.message || 'Server error' }, error?.status || 500);
+    }
+}
+
+/**
+ * Create the mock Worker with empty data. The server is not listening yet.
+ * @param {{token?: string, pageSize?: number, log?: boolean}} [options]
+ * @returns {http.Server}
+ */
+export function createMockSyncServer(options = {}) {
+    apiToken = typeof options.token === 'string' ? options.token : '';
+    pageSize = Math.max(1, Number.parseInt(options.pageSize, 10) || 1000);
+    logRequests = options.log === true;
+    Object.assign(state, createEmptyState());
+    failNext = { count: 0, status: 500 };
+    return http.createServer(handleRequest);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = Number.parseInt(args.port, 10) || 8787;
+    const server = createMockSyncServer({ token: args.token, pageSize: args['page-size'], log: true });
+    server.listen(port, () => {
+        console.log(`Mock sync Worker listening on http://localhost:${port} (page size ${pageSize})`);
+    });
+}
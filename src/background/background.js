@@ -1,107 +1,88 @@
-const YOUTUBE_TAB_URL_PATTERN = 'https://www.youtube.com/*';
-const YOUTUBE_BOOTSTRAP_URL = 'https://www.youtube.com/';
-
-const CONTENT_SCRIPT_BOOT_DELAY_MS = 900;
-const TAB_READY_TIMEOUT_MS = 20000;
-const MESSAGE_TIMEOUT_MS = 12000;
-const TAB_RECEIVER_CHECK_RETRIES = 8;
-const TAB_RECEIVER_CHECK_DELAY_MS = 350;
-const CLOUDFLARE_SYNC_REQUEST_TIMEOUT_MS = 60000;
-
-const AUTO_SYNC_ALARM_NAME = 'ytCommanderCloudflareAutoSync';
-const AUTO_SYNC_CHECK_PERIOD_MINUTES = 1;
-const AUTO_SYNC_CHUNK_SIZE = 300;
-const AUTO_SYNC_MAX_IDS_PER_RUN = 1200;
-const MANUAL_SYNC_MAX_IDS_PER_RUN = 6000;
-const FILE_SEED_IMPORT_BATCH_SIZE = 2000;
-
-const CLOUD_SYNC_STORAGE_KEYS = {
-    ENDPOINT: 'cloudflareSyncEndpoint',
-    API_TOKEN: 'cloudflareSyncApiToken',
-    AUTO_ENABLED: 'cloudflareSyncAutoEnabled',
-    INTERVAL_MINUTES: 'cloudflareSyncIntervalMinutes',
-    LAST_AT: 'cloudflareSyncLastAt',
-    STATUS: 'cloudflareSyncStatus',
-    ERROR: 'cloudflareSyncError',
-    COUNT: 'cloudflareSyncCount',
-    PENDING_COUNT: 'cloudflareSyncPendingCount',
-    PENDING_QUEUE: 'cloudflareSyncPendingVideoIds',
-    PENDING_BY_ACCOUNT: 'cloudflareSyncPendingByAccount',
-    PRIMARY_ACCOUNT_KEY: 'cloudflareSyncPrimaryAccountKey',
-    FAILURE_COUNT: 'cloudflareSyncFailureCount',
-    BACKOFF_UNTIL: 'cloudflareSyncBackoffUntil',
-    QUEUE_SEEDED: 'cloudflareSyncQueueSeeded'
-};
+import {
+    SMART_PLAYLIST_LOG_LIMIT,
+    SMART_PLAYLIST_STORAGE_KEYS,
+    normalizeSmartPlaylists,
+    planSmartPlaylistSync,
+    resolveSmartPlaylistChannelIds,
+    validateSmartPlaylist
+} from '../shared/smartPlaylists.js';
+import {
+    PLAYLIST_SNAPSHOT_RETENTION,
+    PLAYLIST_SNAPSHOT_STORAGE_KEYS,
+    buildPlaylistSnapshotEntries,
+    diffPlaylistSnapshots,
+    isPlaylistSnapshotDiffEmpty,
+    normalizePlaylistSnapshotInterval,
+    normalizeTrackedPlaylists
+} from '../shared/playlistSnapshots.js';
+import {
+    CATEGORY_INDEX_STORAGE_KEYS,
+    buildChannelCategoryIndex
+} from '../shared/channelCategoryIndex.js';
+import {
+    AUTO_SYNC_ALARM_NAME,
+    CLOUD_SYNC_STORAGE_KEYS,
+    DEFAULT_ACCOUNT_KEY,
+    FILE_SEED_IMPORT_BATCH_SIZE,
+    SUBSCRIPTION_SYNC_ALARM_NAME,
+    SUBSCRIPTION_SYNC_STORAGE_KEYS,
+    autoLockPrimaryAccountIfMissing,
+    changeSyncEncryptionPassphrase,
+    computeBackoffMinutes,
+    downloadFromCloudflare,
+    enableSyncEncryption,
+    enqueuePendingVideoIds,
+    ensureAutoSyncAlarm,
+    ensureSubscriptionAutoSyncAlarm,
+    forgetSyncEncryptionKey,
+    getCloudSyncStatus,
+    getSubscriptionSyncStatus,
+    importVideoIdsIntoLocalHistory,
+    isSubscriptionChannelAccountKey,
+    lockPrimarySyncAccountFromTab,
+    lockSubscriptionSyncAccountFromTab,
+    normalizeAccountKey,
+    normalizeSyncRecordDetails,
+    normalizeVideoIds,
+    performCloudflareSync,
+    performSubscriptionSync,
+    proxyWatchedHistoryMessage,
+    queuePendingClear,
+    readSubscriptionPendingKeys,
+    restoreSubscriptionsFromCloudflare,
+    runAutoSyncIfDue,
+    runSubscriptionAutoSyncIfDue,
+    seedHistoryToLocalAndCloudflare,
+    storePendingRecordDetails,
+    syncWithLocalFile,
+    updateCloudSyncConfig,
+    updatePendingDeletions,
+    updateSubscriptionSyncConfig
+} from './cloudSync.js';
+import {
+    YOUTUBE_TAB_URL_PATTERN,
+    clearAlarm,
+    createTab,
+    delay,
+    findExistingYouTubeTabWithReceiver,
+    getAlarm,
+    queryTabs,
+    removeTab,
+    resolveYouTubeTabForHistory,
+    sendMessageToTab,
+    storageLocalGet,
+    storageLocalSet,
+    waitForTabReady
+} from './extensionApi.js';
 
-const CLOUD_SYNC_DEFAULTS = {
-    autoEnabled: true,
-    intervalMinutes: 30,
-    failureCount: 0,
-    backoffUntil: 0,
-    queueSeeded: false,
-    pendingCount: 0
-};
-const SUBSCRIPTION_SYNC_ALARM_NAME = 'ytCommanderSubscriptionAutoSync';
 const EXTENSION_TITLE = 'YouTube Commander';
-const SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES = 1;
-
-const SUBSCRIPTION_SYNC_STORAGE_KEYS = {
-    ENDPOINT: 'subscriptionSyncEndpoint',
-    API_TOKEN: 'subscriptionSyncApiToken',
-    AUTO_ENABLED: 'subscriptionSyncAutoEnabled',
-    INTERVAL_MINUTES: 'subscriptionSyncIntervalMinutes',
-    LAST_AT: 'subscriptionSyncLastAt',
-    STATUS: 'subscriptionSyncStatus',
-    ERROR: 'subscriptionSyncError',
-    COUNT: 'subscriptionSyncCount',
-    PENDING_COUNT: 'subscriptionSyncPendingCount',
-    PENDING_KEYS: 'subscriptionSyncPendingKeys',
-    PRIMARY_ACCOUNT_KEY: 'subscriptionSyncPrimaryAccountKey',
-    FAILURE_COUNT: 'subscriptionSyncFailureCount',
-    BACKOFF_UNTIL: 'subscriptionSyncBackoffUntil'
-};
-
-const SUBSCRIPTION_SYNC_DEFAULTS = {
-    autoEnabled: true,
-    intervalMinutes: 60,
-    failureCount: 0,
-    backoffUntil: 0,
-    pendingCount: 0
-};
-
 const BADGE_MAX_COUNT = 999;
 const BADGE_BACKGROUND_COLOR = '#ff5b6e';
 const BADGE_TEXT_COLOR = '#ffffff';
 
-let cloudSyncInProgress = false;
-let subscriptionSyncInProgress = false;
-let subscriptionRestoreInProgress = false;
-let pendingQueueMutationChain = Promise.resolve();
-const DEFAULT_ACCOUNT_KEY = 'default';
-const SUBSCRIPTION_ACCOUNT_KEY_PREFIX = 'ytch:';
 let lastWatchedPendingCount = 0;
 let lastSubscriptionPendingCount = 0;
 
-/**
- * Sleep helper.
- * @param {number} ms
- * @returns {Promise<void>}
- */
-function delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/**
- * Query tabs helper.
- * @param {chrome.tabs.QueryInfo} queryInfo
- * @returns {Promise<chrome.tabs.Tab[]>}
- */
-async function queryTabs(queryInfo) {
-    return new Promise((resolve) => {
-        chrome.tabs.query(queryInfo, (tabs) => resolve(tabs || []));
-    });
-}
-
 /**
  * Format badge count text.
  * @param {number} count
@@ -172,3513 +153,3093 @@ function refreshWatchedHistoryBadge() {
     });
 }
 
-/**
- * Create tab helper.
- * @param {chrome.tabs.CreateProperties} createProperties
- * @returns {Promise<chrome.tabs.Tab>}
- */
-async function createTab(createProperties) {
-    return new Promise((resolve, reject) => {
-        chrome.tabs.create(createProperties, (tab) => {
-            if (chrome.runtime.lastError) {
-                reject(new Error(chrome.runtime.lastError.message || 'Failed to create tab'));
-                return;
-            }
 
-            resolve(tab);
-        });
+chrome.runtime.onInstalled.addListener(() => {
+    refreshWatchedHistoryBadge();
+    ensureAutoSyncAlarm().catch((error) => {
+        console.error('[YT-Commander][CloudSync] Failed to ensure alarm on install', error);
     });
-}
-
-/**
- * Remove tab helper.
- * @param {number} tabId
- * @returns {Promise<void>}
- */
-async function removeTab(tabId) {
-    return new Promise((resolve) => {
-        chrome.tabs.remove(tabId, () => resolve());
+    ensureSubscriptionAutoSyncAlarm().catch((error) => {
+        console.error('[YT-Commander][SubscriptionSync] Failed to ensure alarm on install', error);
     });
-}
-
-/**
- * Wait until tab load completes.
- * @param {number} tabId
- * @param {number} timeoutMs
- * @returns {Promise<void>}
- */
-async function waitForTabReady(tabId, timeoutMs = TAB_READY_TIMEOUT_MS) {
-    return new Promise((resolve, reject) => {
-        let timeoutId = null;
-
-        const cleanup = () => {
-            if (timeoutId) {
-                clearTimeout(timeoutId);
-                timeoutId = null;
-            }
-            chrome.tabs.onUpdated.removeListener(onUpdated);
-        };
-
-        const onUpdated = (updatedTabId, changeInfo) => {
-            if (updatedTabId !== tabId) {
-                return;
-            }
-
-            if (changeInfo.status === 'complete') {
-                cleanup();
-                resolve();
-            }
-        };
-
-        timeoutId = setTimeout(() => {
-            cleanup();
-            reject(new Error('Timed out while waiting for YouTube tab to load'));
-        }, timeoutMs);
-
-        chrome.tabs.onUpdated.addListener(onUpdated);
+    runAutoSyncIfDue('install-check').catch((error) => {
+        console.error('[YT-Commander][CloudSync] Install due-check failed', error);
     });
-}
-
-/**
- * Send tab message with timeout.
- * @param {number} tabId
- * @param {any} message
- * @param {number} timeoutMs
- * @returns {Promise<any>}
- */
-async function sendMessageToTab(tabId, message, timeoutMs = MESSAGE_TIMEOUT_MS) {
-    return new Promise((resolve, reject) => {
-        let settled = false;
-        const timeoutId = setTimeout(() => {
-            if (settled) {
-                return;
-            }
-            settled = true;
-            reject(new Error('Tab did not respond in time'));
-        }, timeoutMs);
-
-        chrome.tabs.sendMessage(tabId, message, (response) => {
-            if (settled) {
-                return;
-            }
-
-            settled = true;
-            clearTimeout(timeoutId);
-
-            if (chrome.runtime.lastError) {
-                reject(new Error(chrome.runtime.lastError.message || 'Failed to send tab message'));
-                return;
-            }
-
-            resolve(response);
-        });
+    runSubscriptionAutoSyncIfDue('install-check').catch((error) => {
+        console.error('[YT-Commander][SubscriptionSync] Install due-check failed', error);
     });
-}
+});
 
-/**
- * Get local storage values.
- * @param {string|string[]} keys
- * @returns {Promise<object>}
- */
-async function storageLocalGet(keys) {
-    return new Promise((resolve) => {
-        chrome.storage.local.get(keys, (result) => resolve(result || {}));
+chrome.runtime.onStartup.addListener(() => {
+    refreshWatchedHistoryBadge();
+    ensureAutoSyncAlarm().catch((error) => {
+        console.error('[YT-Commander][CloudSync] Failed to ensure alarm on startup', error);
     });
-}
-
-/**
- * Set local storage values.
- * @param {object} values
- * @returns {Promise<void>}
- */
-async function storageLocalSet(values) {
-    return new Promise((resolve, reject) => {
-        chrome.storage.local.set(values, () => {
-            if (chrome.runtime.lastError) {
-                reject(new Error(chrome.runtime.lastError.message || 'Failed to persist local storage'));
-                return;
-            }
-            resolve();
-        });
+    ensureSubscriptionAutoSyncAlarm().catch((error) => {
+        console.error('[YT-Commander][SubscriptionSync] Failed to ensure alarm on startup', error);
     });
-}
-
-/**
- * Clear alarm by name.
- * @param {string} name
- * @returns {Promise<boolean>}
- */
-async function clearAlarm(name) {
-    return new Promise((resolve) => {
-        chrome.alarms.clear(name, (wasCleared) => resolve(Boolean(wasCleared)));
+    runAutoSyncIfDue('startup-check').catch((error) => {
+        console.error('[YT-Commander][CloudSync] Startup due-check failed', error);
     });
-}
-
-/**
- * Get alarm by name.
- * @param {string} name
- * @returns {Promise<chrome.alarms.Alarm|null>}
- */
-async function getAlarm(name) {
-    return new Promise((resolve) => {
-        chrome.alarms.get(name, (alarm) => resolve(alarm || null));
+    runSubscriptionAutoSyncIfDue('startup-check').catch((error) => {
+        console.error('[YT-Commander][SubscriptionSync] Startup due-check failed', error);
     });
-}
-
-/**
- * Check whether an error indicates that no content-script receiver exists on tab.
- * @param {any} error
- * @returns {boolean}
- */
-function isMissingReceiverError(error) {
-    const message = typeof error?.message === 'string' ? error.message.toLowerCase() : '';
-    return message.includes('receiving end does not exist')
-        || message.includes('could not establish connection')
-        || message.includes('message port closed before a response was received')
-        || message.includes('tab did not respond in time');
-}
+});
 
-/**
- * Verify that a tab has a working content-script receiver.
- * @param {number} tabId
- * @param {number} retries
- * @returns {Promise<boolean>}
- */
-async function hasWatchedHistoryReceiver(tabId, retries = 1) {
-    for (let attempt = 0; attempt < retries; attempt += 1) {
-        try {
-            await sendMessageToTab(tabId, { type: 'GET_WATCHED_COUNT' }, 4000);
-            return true;
-        } catch (error) {
-            if (attempt >= retries - 1) {
-                return false;
-            }
-            await delay(TAB_RECEIVER_CHECK_DELAY_MS);
-        }
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (!alarm) {
+        return;
     }
 
-    return false;
-}
-
-/**
- * Build preferred YouTube tab candidates (active current-window first, non-incognito first).
- * @returns {Promise<chrome.tabs.Tab[]>}
- */
-async function getYouTubeTabCandidates() {
-    const activeTabs = await queryTabs({
-        active: true,
-        currentWindow: true,
-        url: YOUTUBE_TAB_URL_PATTERN
-    });
-    const existingTabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN });
-
-    const seen = new Set();
-    const ordered = [];
-
-    const append = (tab) => {
-        if (!tab || typeof tab.id !== 'number' || seen.has(tab.id)) {
-            return;
-        }
-        seen.add(tab.id);
-        ordered.push(tab);
-    };
+    if (alarm.name === AUTO_SYNC_ALARM_NAME) {
+        runAutoSyncIfDue(`alarm:${alarm.name}`).catch((error) => {
+            console.error('[YT-Commander][CloudSync] Alarm due-check failed', error);
+        });
+        return;
+    }
 
-    activeTabs.filter((tab) => tab.incognito !== true).forEach(append);
-    activeTabs.forEach(append);
-    existingTabs.filter((tab) => tab.incognito !== true).forEach(append);
-    existingTabs.forEach(append);
+    if (alarm.name === SUBSCRIPTION_SYNC_ALARM_NAME) {
+        runSubscriptionAutoSyncIfDue(`alarm:${alarm.name}`).catch((error) => {
+            console.error('[YT-Commander][SubscriptionSync] Alarm due-check failed', error);
+        });
+    }
+});
 
-    return ordered;
-}
+const GEMINI_MODEL_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+let geminiModelCache = { fetchedAt: 0, models: [] };
 
-/**
- * Find an already-open YouTube tab with a working content receiver.
- * @returns {Promise<number|null>}
- */
-async function findExistingYouTubeTabWithReceiver() {
-    const candidates = await getYouTubeTabCandidates();
-    for (const candidate of candidates) {
-        if (await hasWatchedHistoryReceiver(candidate.id, 1)) {
-            return candidate.id;
-        }
+function normalizeGeminiModelName(name) {
+    if (typeof name !== 'string') {
+        return '';
     }
-    return null;
+    return name.replace(/^models\//i, '').trim();
 }
 
-/**
- * Resolve a usable YouTube tab, creating one if needed.
- * @returns {Promise<{tabId: number, created: boolean}>}
- */
-async function resolveYouTubeTabForHistory() {
-    const candidates = await getYouTubeTabCandidates();
-    for (const candidate of candidates) {
-        if (await hasWatchedHistoryReceiver(candidate.id, 1)) {
-            return { tabId: candidate.id, created: false };
-        }
+function buildGeminiEndpoint(endpoint, model, apiKey) {
+    const fallbackBase = 'https://generativelanguage.googleapis.com/v1beta/models';
+    const base = typeof endpoint === 'string' && endpoint.trim()
+        ? endpoint.trim()
+        : fallbackBase;
+    let url = base.replace(/\/+$/, '');
+    if (!url.includes(':generateContent')) {
+        const normalizedModel = normalizeGeminiModelName(model);
+        const safeModel = normalizedModel && normalizedModel.toLowerCase() !== 'auto'
+            ? normalizedModel
+            : 'gemini-1.5-pro';
+        url = `${url}/${safeModel}:generateContent`;
     }
-
-    const createdTab = await createTab({ url: YOUTUBE_BOOTSTRAP_URL, active: false });
-    if (!createdTab || typeof createdTab.id !== 'number') {
-        throw new Error('Failed to create a YouTube tab for sync');
+    if (apiKey && !url.includes('key=')) {
+        const separator = url.includes('?') ? '&' : '?';
+        url = `${url}${separator}key=${encodeURIComponent(apiKey)}`;
     }
+    return url;
+}
 
-    await waitForTabReady(createdTab.id);
-    await delay(CONTENT_SCRIPT_BOOT_DELAY_MS);
+function buildGeminiModelsEndpoint(endpoint, apiKey) {
+    const fallbackBase = 'https://generativelanguage.googleapis.com/v1beta/models';
+    let base = typeof endpoint === 'string' && endpoint.trim()
+        ? endpoint.trim()
+        : fallbackBase;
 
-    const hasReceiver = await hasWatchedHistoryReceiver(createdTab.id, TAB_RECEIVER_CHECK_RETRIES);
-    if (!hasReceiver) {
-        await removeTab(createdTab.id);
-        throw new Error('Could not connect to YouTube content script. Open a YouTube tab and retry sync.');
+    if (base.includes('/models/')) {
+        base = `${base.split('/models/')[0]}/models`;
+    } else if (base.includes('/models')) {
+        base = `${base.split('/models')[0]}/models`;
+    } else if (base.endsWith('/v1beta')) {
+        base = `${base}/models`;
+    } else if (!base.includes('/v1beta')) {
+        base = fallbackBase;
     }
 
-    return { tabId: createdTab.id, created: true };
-}
-
-/**
- * Read account identity from a YouTube tab.
- * @param {number} tabId
- * @returns {Promise<{accountKey: string, source: string, isPrimaryCandidate: boolean}>}
- */
-async function getSyncIdentityFromTab(tabId) {
-    const response = await sendMessageToTab(tabId, { type: 'GET_SYNC_ACCOUNT_IDENTITY' }, 20000);
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to read account identity from tab');
+    if (apiKey && !base.includes('key=')) {
+        const separator = base.includes('?') ? '&' : '?';
+        base = `${base}${separator}key=${encodeURIComponent(apiKey)}`;
     }
-
-    return {
-        accountKey: normalizeAccountKey(response.accountKey),
-        source: typeof response.source === 'string' ? response.source : 'unknown',
-        isPrimaryCandidate: response.isPrimaryCandidate !== false
-    };
+    return base;
 }
 
-/**
- * Read subscription sync identity from a YouTube tab.
- * @param {number} tabId
- * @returns {Promise<{accountKey: string, channelId: string, source: string, isPrimaryCandidate: boolean}>}
- */
-async function getSubscriptionSyncIdentityFromTab(tabId) {
-    const response = await sendMessageToTab(tabId, { type: 'GET_SUBSCRIPTION_SYNC_ACCOUNT_IDENTITY' }, 20000);
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to read subscription account identity from tab');
+function scoreGeminiModel(modelName) {
+    const name = modelName.toLowerCase();
+    const versionMatch = name.match(/gemini-(\d+)(?:\.(\d+))?/);
+    let score = 0;
+    if (versionMatch) {
+        const major = Number(versionMatch[1]) || 0;
+        const minor = Number(versionMatch[2]) || 0;
+        score += (major * 100) + (minor * 10);
     }
-
-    return {
-        accountKey: normalizeAccountKey(response.accountKey),
-        channelId: typeof response.channelId === 'string' ? response.channelId.trim() : '',
-        source: typeof response.source === 'string' ? response.source : 'unknown',
-        isPrimaryCandidate: response.isPrimaryCandidate !== false
-    };
-}
-
-/**
- * Check whether account key is a portable YouTube channel-based subscription key.
- * @param {any} rawAccountKey
- * @returns {boolean}
- */
-function isSubscriptionChannelAccountKey(rawAccountKey) {
-    const normalized = normalizeAccountKey(rawAccountKey);
-    return normalized.startsWith(`${SUBSCRIPTION_ACCOUNT_KEY_PREFIX}UC`)
-        && /^ytch:UC[A-Za-z0-9_-]{20,}$/.test(normalized);
+    if (name.includes('pro')) {
+        score += 20;
+    }
+    if (name.includes('flash')) {
+        score += 10;
+    }
+    if (name.includes('lite')) {
+        score -= 5;
+    }
+    if (name.includes('latest')) {
+        score += 5;
+    }
+    return score;
 }
 
-/**
- * Persist locked primary account key.
- * @param {string} accountKey
- * @returns {Promise<string>}
- */
-async function setPrimarySyncAccountKey(accountKey) {
-    const normalized = normalizeAccountKey(accountKey);
-    await storageLocalSet({
-        [CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: normalized
-    });
+async function listGeminiModels(apiKey, endpoint) {
+    const urlBase = buildGeminiModelsEndpoint(endpoint, apiKey);
+    const models = [];
+    let pageToken = '';
+    let pageCount = 0;
 
-    const queue = await readPendingQueue(normalized);
-    await storageLocalSet({
-        [CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE]: queue,
-        [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: queue.length
-    });
-
-    return normalized;
-}
-
-/**
- * Lock primary sync account from current/target tab.
- * @param {number} tabId
- * @returns {Promise<{accountKey: string, source: string}>}
- */
-async function lockPrimarySyncAccountFromTab(tabId) {
-    const identity = await getSyncIdentityFromTab(tabId);
-    const accountKey = normalizeAccountKey(identity.accountKey);
-    if (!isSubscriptionChannelAccountKey(accountKey)) {
-        throw new Error('Failed to resolve the signed-in YouTube channel from tab');
+    while (pageCount < 4) {
+        const url = pageToken ? `${urlBase}&pageToken=${encodeURIComponent(pageToken)}` : urlBase;
+        const response = await fetch(url);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = data?.error?.message || `ListModels failed (${response.status})`;
+            throw new Error(message);
+        }
+        const items = Array.isArray(data?.models) ? data.models : [];
+        items.forEach((model) => {
+            if (model?.name && Array.isArray(model?.supportedGenerationMethods)) {
+                models.push(model);
+            }
+        });
+        pageToken = data?.nextPageToken || '';
+        if (!pageToken) {
+            break;
+        }
+        pageCount += 1;
     }
-    const lockedKey = await setPrimarySyncAccountKey(accountKey);
-    return {
-        accountKey: lockedKey,
-        source: identity.source
-    };
-}
 
-/**
- * Lock subscription sync account from current/target tab.
- * @param {number} tabId
- * @returns {Promise<{accountKey: string, source: string}>}
- */
-async function lockSubscriptionSyncAccountFromTab(tabId) {
-    const identity = await getSubscriptionSyncIdentityFromTab(tabId);
-    const accountKey = normalizeAccountKey(identity.accountKey);
-    if (!isSubscriptionChannelAccountKey(accountKey)) {
-        throw new Error('Failed to resolve the signed-in YouTube channel from tab');
-    }
-    await storageLocalSet({
-        [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: accountKey
-    });
-    return {
-        accountKey,
-        source: identity.source
-    };
+    return models;
 }
 
-/**
- * Persist locked subscription account key.
- * @param {string} accountKey
- * @returns {Promise<string>}
- */
-async function setSubscriptionSyncAccountKey(accountKey) {
-    const normalized = normalizeAccountKey(accountKey);
-    if (!isSubscriptionChannelAccountKey(normalized)) {
-        throw new Error('Subscription sync requires a YouTube channel-based account key');
+async function resolveGeminiModel(requestedModel, apiKey, endpoint) {
+    const requested = normalizeGeminiModelName(requestedModel);
+    const requestedIsAuto = !requested || requested.toLowerCase() === 'auto';
+    const now = Date.now();
+    if (now - geminiModelCache.fetchedAt > GEMINI_MODEL_CACHE_TTL_MS) {
+        try {
+            const models = await listGeminiModels(apiKey, endpoint);
+            geminiModelCache = { fetchedAt: now, models };
+        } catch (_error) {
+            geminiModelCache = { fetchedAt: now, models: [] };
+        }
     }
 
-    await storageLocalSet({
-        [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: normalized
-    });
-
-    return normalized;
-}
+    const available = geminiModelCache.models
+        .filter((model) => model.supportedGenerationMethods.includes('generateContent'))
+        .map((model) => normalizeGeminiModelName(model.name))
+        .filter(Boolean);
 
-/**
- * Resolve a portable subscription sync account key for sync/restore actions.
- * @param {{accountKey?: string, preferredTabId?: number, state?: any}} options
- * @returns {Promise<{accountKey: string, source: string, usedTabId: number, createdTab: boolean}>}
- */
-async function resolveSubscriptionSyncAccountKey(options = {}) {
-    const explicitAccountKey = normalizeAccountKey(options.accountKey);
-    if (isSubscriptionChannelAccountKey(explicitAccountKey)) {
-        return {
-            accountKey: explicitAccountKey,
-            source: 'provided',
-            usedTabId: 0,
-            createdTab: false
-        };
+    if (!requestedIsAuto && available.includes(requested)) {
+        return requested;
     }
 
-    const state = options.state || await readSubscriptionSyncState();
-    const storedAccountKey = normalizeAccountKey(state.primaryAccountKey);
-    if (isSubscriptionChannelAccountKey(storedAccountKey)) {
-        return {
-            accountKey: storedAccountKey,
-            source: 'stored',
-            usedTabId: 0,
-            createdTab: false
-        };
+    if (available.length > 0) {
+        const sorted = available.slice().sort((a, b) => scoreGeminiModel(b) - scoreGeminiModel(a));
+        return sorted[0];
     }
 
-    let createdTab = false;
-    let usedTabId = 0;
+    if (!requestedIsAuto && requested) {
+        return requested;
+    }
+    return 'gemini-1.5-pro';
+}
 
-    const preferredTabId = Number.isFinite(options.preferredTabId) ? Number(options.preferredTabId) : 0;
-    if (preferredTabId) {
-        const hasReceiver = await hasWatchedHistoryReceiver(preferredTabId, 1);
-        if (hasReceiver) {
-            usedTabId = preferredTabId;
+async function resolveGeminiFallbackModel(primaryModel, apiKey, endpoint) {
+    const normalizedPrimary = normalizeGeminiModelName(primaryModel);
+    const now = Date.now();
+    if (now - geminiModelCache.fetchedAt > GEMINI_MODEL_CACHE_TTL_MS) {
+        try {
+            const models = await listGeminiModels(apiKey, endpoint);
+            geminiModelCache = { fetchedAt: now, models };
+        } catch (_error) {
+            geminiModelCache = { fetchedAt: now, models: [] };
         }
     }
 
-    if (!usedTabId) {
-        const tabInfo = await resolveYouTubeTabForHistory();
-        createdTab = tabInfo.created;
-        usedTabId = tabInfo.tabId;
-    }
+    const available = geminiModelCache.models
+        .filter((model) => model.supportedGenerationMethods.includes('generateContent'))
+        .map((model) => normalizeGeminiModelName(model.name))
+        .filter(Boolean);
 
-    try {
-        const identity = await getSubscriptionSyncIdentityFromTab(usedTabId);
-        const accountKey = await setSubscriptionSyncAccountKey(identity.accountKey);
-        return {
-            accountKey,
-            source: identity.source,
-            usedTabId,
-            createdTab
-        };
-    } catch (error) {
-        if (createdTab && usedTabId) {
-            await removeTab(usedTabId);
+    const filtered = available.filter((name) => name.includes('flash') || name.includes('lite'));
+    if (filtered.length > 0) {
+        const sorted = filtered.slice().sort((a, b) => scoreGeminiModel(b) - scoreGeminiModel(a));
+        const pick = sorted.find((name) => name !== normalizedPrimary);
+        if (pick) {
+            return pick;
         }
-        throw error;
     }
-}
 
-/**
- * Resolve sync account key for manual actions.
- * If no primary account is locked yet, lock it to current active YouTube tab.
- * @param {number|undefined} preferredTabId
- * @returns {Promise<string>}
- */
-async function resolveManualSyncAccountKey(preferredTabId) {
-    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
-    const currentPrimary = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
-    if (isSubscriptionChannelAccountKey(currentPrimary)) {
-        return currentPrimary;
-    }
+    const fallback = available.find((name) => name !== normalizedPrimary);
+    return fallback || 'gemini-1.5-flash';
+}
 
-    let tabId = Number.isFinite(preferredTabId) ? Number(preferredTabId) : 0;
-    if (!tabId) {
-        const candidates = await getYouTubeTabCandidates();
-        tabId = candidates.find((tab) => tab.active && typeof tab.id === 'number')?.id || 0;
-    }
+function isGeminiQuotaError(message) {
+    const text = typeof message === 'string' ? message.toLowerCase() : '';
+    return text.includes('quota') || text.includes('free_tier') || text.includes('free tier');
+}
 
-    if (!tabId) {
-        return currentPrimary || DEFAULT_ACCOUNT_KEY;
+async function requestGeminiGenerate(url, contentParts, generationConfig, timeoutMs) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                contents: [
+                    {
+                        role: 'user',
+                        parts: contentParts
+                    }
+                ],
+                generationConfig
+            }),
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timeout);
     }
 
+    let data = null;
     try {
-        const locked = await lockPrimarySyncAccountFromTab(tabId);
-        return locked.accountKey;
+        data = await response.json();
     } catch (_error) {
-        return DEFAULT_ACCOUNT_KEY;
+        data = null;
     }
-}
 
-/**
- * Auto-lock first observed non-default account as primary to preserve old auto-sync behavior.
- * @param {string} accountKey
- * @param {chrome.tabs.Tab|undefined} senderTab
- * @returns {Promise<void>}
- */
-async function autoLockPrimaryAccountIfMissing(accountKey, senderTab) {
-    const candidateKey = normalizeAccountKey(accountKey);
-    if (!candidateKey || candidateKey === DEFAULT_ACCOUNT_KEY) {
-        return;
-    }
-    if (!isSubscriptionChannelAccountKey(candidateKey)) {
-        return;
+    if (!response.ok) {
+        const message = data?.error?.message || `Gemini request failed (${response.status})`;
+        throw new Error(message);
     }
+    return data || {};
+}
 
-    if (senderTab?.incognito === true) {
-        return;
+async function requestGeminiAutoCategorize(payload) {
+    const apiKey = typeof payload?.apiKey === 'string' ? payload.apiKey.trim() : '';
+    if (!apiKey) {
+        throw new Error('Missing Gemini API key');
     }
-
-    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
-    const currentPrimary = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
-    if (isSubscriptionChannelAccountKey(currentPrimary)) {
-        return;
+    const prompt = typeof payload?.prompt === 'string' ? payload.prompt : '';
+    const parts = Array.isArray(payload?.parts) ? payload.parts.filter(Boolean) : [];
+    if (!prompt && parts.length === 0) {
+        throw new Error('Missing Gemini prompt');
     }
 
-    await setPrimarySyncAccountKey(candidateKey);
-}
+    const temperature = Number.isFinite(payload?.temperature) ? payload.temperature : 0.2;
+    const maxOutputTokens = Number.isFinite(payload?.maxOutputTokens) ? payload.maxOutputTokens : 1024;
+    const timeoutMs = Number.isFinite(payload?.timeoutMs) ? payload.timeoutMs : 20000;
 
-/**
- * Parse URL and validate protocol.
- * @param {string} rawEndpoint
- * @returns {URL}
- */
-function parseCloudflareEndpoint(rawEndpoint) {
-    const value = typeof rawEndpoint === 'string' ? rawEndpoint.trim() : '';
-    if (!value) {
-        throw new Error('Cloudflare endpoint is required');
-    }
+    const resolvedModel = await resolveGeminiModel(payload?.model, apiKey, payload?.endpoint);
+    const contentParts = parts.length > 0 ? parts : [{ text: prompt }];
+    const generationConfig = {
+        temperature,
+        maxOutputTokens
+    };
 
-    let url = null;
+    const primaryUrl = buildGeminiEndpoint(payload?.endpoint, resolvedModel, apiKey);
     try {
-        url = new URL(value);
-    } catch (_error) {
-        throw new Error('Cloudflare endpoint URL is invalid');
-    }
+        return await requestGeminiGenerate(primaryUrl, contentParts, generationConfig, timeoutMs);
+    } catch (error) {
+        const message = error instanceof Error ? error.message : '';
+        if (!isGeminiQuotaError(message)) {
+            throw error;
+        }
 
-    if (!['https:', 'http:'].includes(url.protocol)) {
-        throw new Error('Cloudflare endpoint must use http/https');
+        const fallbackModel = await resolveGeminiFallbackModel(resolvedModel, apiKey, payload?.endpoint);
+        if (fallbackModel === resolvedModel) {
+            throw error;
+        }
+        const fallbackUrl = buildGeminiEndpoint(payload?.endpoint, fallbackModel, apiKey);
+        return await requestGeminiGenerate(fallbackUrl, contentParts, generationConfig, timeoutMs);
     }
-
-    return url;
 }
-/**
- * Parse subscription sync endpoint.
- * @param {string} rawEndpoint
- * @returns {URL}
- */
-function parseSubscriptionEndpoint(rawEndpoint) {
-    const value = typeof rawEndpoint === 'string' ? rawEndpoint.trim() : '';
-    if (!value) {
-        throw new Error('Subscription sync endpoint is required');
-    }
 
-    let url = null;
-    try {
-        url = new URL(value);
-    } catch (_error) {
-        throw new Error('Subscription sync endpoint URL is invalid');
-    }
+const AUTO_CATEGORIZE_PROVIDER_IDS = ['gemini', 'openai', 'ollama'];
+const AUTO_CATEGORIZE_STORAGE_KEYS = {
+    PROVIDER: 'autoCategorizeProvider',
+    ENDPOINT: 'autoCategorizeEndpoint',
+    MODEL: 'autoCategorizeModel',
+    API_KEY: 'autoCategorizeApiKey'
+};
+const AUTO_CATEGORIZE_DEFAULT_MODELS = {
+    gemini: 'auto',
+    openai: 'gpt-4o-mini',
+    ollama: 'llama3.1'
+};
 
-    if (!['https:', 'http:'].includes(url.protocol)) {
-        throw new Error('Subscription sync endpoint must use http/https');
-    }
+/**
+ * Read auto-categorize provider settings; message fields override stored ones.
+ * @param {object} message
+ * @returns {Promise<{provider: string, endpoint: string, model: string, apiKey: string}>}
+ */
+async function readAutoCategorizeSettings(message) {
+    const result = await storageLocalGet(Object.values(AUTO_CATEGORIZE_STORAGE_KEYS));
+    const pick = (field, key) => {
+        const value = typeof message?.[field] === 'string' && message[field].trim()
+            ? message[field]
+            : result[key];
+        return typeof value === 'string' ? value.trim() : '';
+    };
 
-    return url;
+    const provider = pick('provider', AUTO_CATEGORIZE_STORAGE_KEYS.PROVIDER);
+    const resolvedProvider = AUTO_CATEGORIZE_PROVIDER_IDS.includes(provider) ? provider : 'gemini';
+    return {
+        provider: resolvedProvider,
+        endpoint: pick('endpoint', AUTO_CATEGORIZE_STORAGE_KEYS.ENDPOINT),
+        model: pick('model', AUTO_CATEGORIZE_STORAGE_KEYS.MODEL) || AUTO_CATEGORIZE_DEFAULT_MODELS[resolvedProvider],
+        apiKey: pick('apiKey', AUTO_CATEGORIZE_STORAGE_KEYS.API_KEY)
+    };
 }
 
 /**
- * Normalize subscription sync endpoint path.
- * @param {string} rawEndpoint
- * @returns {URL}
+ * Join the text parts of a Gemini generateContent response.
+ * @param {any} data
+ * @returns {string}
  */
-function buildSubscriptionEndpoint(rawEndpoint) {
-    const endpoint = parseSubscriptionEndpoint(rawEndpoint);
-    const pathname = endpoint.pathname || '/';
-
-    if (pathname.endsWith('/subscriptions')) {
-        return endpoint;
-    }
-
-    if (pathname.endsWith('/subscriptions/')) {
-        endpoint.pathname = pathname.slice(0, -1);
-        return endpoint;
-    }
+function extractGeminiText(data) {
+    const parts = data?.candidates?.[0]?.content?.parts;
+    return Array.isArray(parts)
+        ? parts.map((part) => (typeof part?.text === 'string' ? part.text : '')).join('')
+        : '';
+}
 
-    if (pathname.endsWith('/sync')) {
-        endpoint.pathname = `${pathname.slice(0, -5)}/subscriptions`;
-        return endpoint;
+/**
+ * Resolve the chat endpoint of an OpenAI-compatible or Ollama server.
+ * A base URL gets the provider's default route appended.
+ * @param {'openai'|'ollama'} provider
+ * @param {string} endpoint
+ * @returns {string}
+ */
+function buildChatCompletionEndpoint(provider, endpoint) {
+    const fallbackBase = provider === 'ollama' ? 'http://localhost:11434' : 'https://api.openai.com/v1';
+    const base = (endpoint || fallbackBase).replace(/\/+$/, '');
+    if (provider === 'ollama') {
+        return /\/api\/(chat|generate)$/.test(base) ? base : `${base}/api/chat`;
+    }
+    return base.endsWith('/chat/completions') ? base : `${base}/chat/completions`;
+}
+
+/**
+ * Send one chat prompt to an OpenAI-compatible or Ollama server.
+ * @param {'openai'|'ollama'} provider
+ * @param {{endpoint: string, model: string, apiKey: string}} settings
+ * @param {string} prompt
+ * @param {{temperature: number, maxOutputTokens: number, timeoutMs: number}} options
+ * @returns {Promise<{data: any, text: string}>}
+ */
+async function requestChatCompletion(provider, settings, prompt, options) {
+    const url = buildChatCompletionEndpoint(provider, settings.endpoint);
+    const messages = [{ role: 'user', content: prompt }];
+    const body = provider === 'ollama'
+        ? {
+            model: settings.model,
+            messages,
+            stream: false,
+            format: 'json',
+            options: { temperature: options.temperature, num_predict: options.maxOutputTokens }
+        }
+        : {
+            model: settings.model,
+            messages,
+            temperature: options.temperature,
+            max_tokens: options.maxOutputTokens
+        };
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) {
+        headers.Authorization = `Bearer ${settings.apiKey}`;
     }
 
-    if (pathname.endsWith('/sync/')) {
-        endpoint.pathname = `${pathname.slice(0, -6)}/subscriptions`;
-        return endpoint;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), options.timeoutMs);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+    } catch (error) {
+        throw new Error(error?.name === 'AbortError'
+            ? `Request to ${url} timed out`
+            : `Could not reach ${url}: ${error?.message || 'network error'}`);
+    } finally {
+        clearTimeout(timeout);
     }
 
-    if (pathname === '/' || pathname === '') {
-        endpoint.pathname = '/subscriptions';
-        return endpoint;
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        const detail = typeof data?.error === 'string' ? data.error : data?.error?.message;
+        throw new Error(detail || `Model request failed (${response.status})`);
     }
 
-    endpoint.pathname = pathname.endsWith('/') ? `${pathname}subscriptions` : `${pathname}/subscriptions`;
-    return endpoint;
+    const text = provider === 'ollama'
+        ? data?.message?.content ?? data?.response
+        : data?.choices?.[0]?.message?.content;
+    return { data: data || {}, text: typeof text === 'string' ? text : '' };
 }
 
 /**
- * Build pull endpoint URL from sync endpoint.
- * @param {URL} syncEndpoint
- * @returns {URL}
+ * Run an auto-categorize prompt against the configured model provider.
+ * @param {object} message
+ * @returns {Promise<{provider: string, data: any, text: string}>}
  */
-function buildCloudflarePullEndpoint(syncEndpoint) {
-    const pullUrl = new URL(syncEndpoint.toString());
-    if (pullUrl.pathname.endsWith('/sync')) {
-        pullUrl.pathname = `${pullUrl.pathname.slice(0, -5)}/pull`;
-    } else if (pullUrl.pathname.endsWith('/sync/')) {
-        pullUrl.pathname = `${pullUrl.pathname.slice(0, -6)}/pull`;
-    } else if (pullUrl.pathname.endsWith('/')) {
-        pullUrl.pathname = `${pullUrl.pathname}pull`;
-    } else {
-        pullUrl.pathname = `${pullUrl.pathname}/pull`;
-    }
-    return pullUrl;
-}
+async function requestAutoCategorizeCompletion(message) {
+    const settings = await readAutoCategorizeSettings(message);
+    const options = {
+        temperature: Number.isFinite(message?.temperature) ? message.temperature : 0.2,
+        maxOutputTokens: Number.isFinite(message?.maxOutputTokens) ? message.maxOutputTokens : 1024,
+        timeoutMs: Number.isFinite(message?.timeoutMs) ? message.timeoutMs : 20000
+    };
 
-/**
- * Parse JSON safely.
- * @param {string} text
- * @returns {any}
- */
-function parseJsonSafe(text) {
-    if (typeof text !== 'string' || !text.trim()) {
-        return null;
+    if (settings.provider === 'gemini') {
+        const data = await requestGeminiAutoCategorize({ ...message, ...settings, ...options });
+        return { provider: settings.provider, data, text: extractGeminiText(data) };
     }
 
-    try {
-        return JSON.parse(text);
-    } catch (_error) {
-        return null;
+    const prompt = typeof message?.prompt === 'string' ? message.prompt : '';
+    if (!prompt) {
+        throw new Error('Missing auto-categorize prompt');
     }
+    const result = await requestChatCompletion(settings.provider, settings, prompt, options);
+    return { provider: settings.provider, ...result };
 }
 
-/**
- * Normalize sync interval.
- * @param {number|string} raw
- * @returns {number}
- */
-function normalizeSyncInterval(raw) {
-    const parsed = Number.parseInt(raw, 10);
-    if (!Number.isFinite(parsed)) {
-        return CLOUD_SYNC_DEFAULTS.intervalMinutes;
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || typeof message.type !== 'string') {
+        return false;
     }
 
-    if (parsed <= 1) {
-        return 1;
-    }
-    if (parsed <= 15) {
-        return 15;
-    }
-    if (parsed <= 30) {
-        return 30;
-    }
-    if (parsed <= 60) {
-        return 60;
-    }
-    if (parsed <= 120) {
-        return 120;
-    }
-    if (parsed <= 180) {
-        return 180;
-    }
-    if (parsed <= 240) {
-        return 240;
-    }
-    if (parsed <= 720) {
-        return 720;
-    }
-    if (parsed <= 1440) {
-        return 1440;
-    }
-    return 1440;
-}
-/**
- * Normalize subscription sync interval.
- * @param {number|string} raw
- * @returns {number}
- */
-function normalizeSubscriptionInterval(raw) {
-    const parsed = Number.parseInt(raw, 10);
-    if (!Number.isFinite(parsed)) {
-        return SUBSCRIPTION_SYNC_DEFAULTS.intervalMinutes;
-    }
+    if (message.type === 'OPEN_NEW_TAB') {
+        const targetUrl = typeof message.url === 'string' ? message.url.trim() : '';
+        if (!targetUrl) {
+            sendResponse({ success: false, error: 'Missing URL for OPEN_NEW_TAB' });
+            return false;
+        }
+
+        const createProperties = {
+            url: targetUrl,
+            active: message.active === true
+        };
+
+        if (sender?.tab?.windowId !== undefined) {
+            createProperties.windowId = sender.tab.windowId;
+        }
+
+        chrome.tabs.create(createProperties, (tab) => {
+            if (chrome.runtime.lastError) {
+                sendResponse({
+                    success: false,
+                    error: chrome.runtime.lastError.message || 'Failed to open tab'
+                });
+                return;
+            }
+
+            sendResponse({
+                success: true,
+                tabId: typeof tab?.id === 'number' ? tab.id : null
+            });
+        });
 
-    if (parsed <= 1) {
-        return 1;
+        return true;
     }
-    if (parsed <= 15) {
-        return 15;
+
+    if (message.type === 'GET_WATCHED_IDS') {
+        chrome.storage.local.get(['watchedIds'], (result) => {
+            sendResponse(result.watchedIds || []);
+        });
+        return true;
     }
-    if (parsed <= 30) {
-        return 30;
+
+    if (message.type === 'REFRESH_BADGES') {
+        chrome.tabs.query({ url: YOUTUBE_TAB_URL_PATTERN }, (tabs) => {
+            tabs.forEach((tab) => {
+                if (typeof tab.id !== 'number') {
+                    return;
+                }
+
+                chrome.tabs.sendMessage(tab.id, { type: 'REFRESH_BADGE' }, () => {
+                    if (chrome.runtime.lastError) {
+                        return;
+                    }
+                });
+            });
+        });
+        return false;
     }
-    if (parsed <= 60) {
-        return 60;
+
+    if (message.type === 'UPDATE_CLOUDFLARE_SYNC_CONFIG') {
+        updateCloudSyncConfig({
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken,
+            autoEnabled: message.autoEnabled,
+            intervalMinutes: message.intervalMinutes,
+            primaryAccountKey: message.primaryAccountKey,
+            provider: message.provider,
+            providerConfig: message.providerConfig
+        })
+            .then((status) => sendResponse({ success: true, ...status }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
-    if (parsed <= 120) {
-        return 120;
+
+    if (message.type === 'GET_CLOUDFLARE_SYNC_STATUS') {
+        getCloudSyncStatus()
+            .then((status) => sendResponse(status))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
-    if (parsed <= 180) {
-        return 180;
+
+    if (message.type === 'SYNC_TO_CLOUDFLARE') {
+        performCloudflareSync({
+            manual: true,
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken,
+            source: 'popup-manual-sync',
+            activeTabId: Number.isFinite(message.activeTabId) ? Number(message.activeTabId) : undefined
+        })
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
-    if (parsed <= 240) {
-        return 240;
+
+    if (message.type === 'UPDATE_SUBSCRIPTION_SYNC_CONFIG') {
+        updateSubscriptionSyncConfig({
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken,
+            autoEnabled: message.autoEnabled,
+            intervalMinutes: message.intervalMinutes
+        })
+            .then((status) => sendResponse({ success: true, ...status }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
-    if (parsed <= 720) {
-        return 720;
+
+    if (message.type === 'GET_SUBSCRIPTION_SYNC_STATUS') {
+        getSubscriptionSyncStatus()
+            .then((status) => sendResponse(status))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
-    if (parsed <= 1440) {
-        return 1440;
+
+    if (message.type === 'SYNC_SUBSCRIPTIONS_TO_CLOUDFLARE') {
+        performSubscriptionSync({
+            manual: true,
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken,
+            source: 'popup-manual-sync',
+            activeTabId: Number.isFinite(message.activeTabId) ? Number(message.activeTabId) : undefined
+        })
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
-    return 1440;
-}
 
-/**
- * Keep valid unique video IDs only.
- * @param {string[]} ids
- * @returns {string[]}
- */
-function normalizeVideoIds(ids) {
-    const unique = [];
-    const seen = new Set();
-
-    for (const rawId of ids || []) {
-        const videoId = typeof rawId === 'string' ? rawId.trim() : '';
-        if (!/^[A-Za-z0-9_-]{10,15}$/.test(videoId) || seen.has(videoId)) {
-            continue;
+    if (message.type === 'RESTORE_SUBSCRIPTIONS_FROM_CLOUDFLARE') {
+        restoreSubscriptionsFromCloudflare({
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken,
+            accountKey: message.accountKey,
+            activeTabId: Number.isFinite(message.activeTabId) ? Number(message.activeTabId) : undefined
+        })
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    if (message.type === 'LOCK_SUBSCRIPTION_SYNC_ACCOUNT') {
+        const tabId = Number.isFinite(message.tabId) ? Number(message.tabId) : 0;
+        if (!tabId) {
+            sendResponse({ success: false, error: 'A valid YouTube tab is required to lock account' });
+            return false;
         }
 
-        seen.add(videoId);
-        unique.push(videoId);
+        lockSubscriptionSyncAccountFromTab(tabId)
+            .then(async (result) => {
+                const status = await getSubscriptionSyncStatus();
+                sendResponse({
+                    success: true,
+                    ...status,
+                    accountKey: result.accountKey,
+                    source: result.source
+                });
+            })
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
+    if (message.type === 'LOCK_PRIMARY_SYNC_ACCOUNT') {
+        const tabId = Number.isFinite(message.tabId) ? Number(message.tabId) : 0;
+        if (!tabId) {
+            sendResponse({ success: false, error: 'A valid YouTube tab is required to lock account' });
+            return false;
+        }
 
-    return unique;
-}
+        lockPrimarySyncAccountFromTab(tabId)
+            .then(async (result) => {
+                const status = await getCloudSyncStatus();
+                sendResponse({
+                    success: true,
+                    ...status,
+                    accountKey: result.accountKey,
+                    source: result.source
+                });
+            })
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
 
-/**
- * Serialize pending-queue mutations to avoid lost updates from concurrent
- * read-modify-write operations.
- * @template T
- * @param {() => Promise<T>} mutator
- * @returns {Promise<T>}
- */
-function runPendingQueueMutation(mutator) {
-    const run = pendingQueueMutationChain.then(() => mutator(), () => mutator());
-    pendingQueueMutationChain = run.catch(() => undefined);
-    return run;
-}
+    if (message.type === 'SYNC_LOCAL_FILE') {
+        syncWithLocalFile({
+            content: message.content,
+            restoreSubscriptions: message.restoreSubscriptions === true,
+            activeTabId: Number.isFinite(message.activeTabId) ? Number(message.activeTabId) : undefined
+        })
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
 
-/**
- * Normalize account key used for cloud-sync queue partitioning.
- * @param {any} rawAccountKey
- * @returns {string}
- */
-function normalizeAccountKey(rawAccountKey) {
-    const value = typeof rawAccountKey === 'string' ? rawAccountKey.trim() : '';
-    if (!value) {
-        return DEFAULT_ACCOUNT_KEY;
+    if (message.type === 'DOWNLOAD_FROM_CLOUDFLARE') {
+        downloadFromCloudflare({
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken
+        })
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
 
-    const cleaned = value.replace(/[^A-Za-z0-9:_-]/g, '');
-    if (!cleaned) {
-        return DEFAULT_ACCOUNT_KEY;
+    if (message.type === 'ENABLE_SYNC_ENCRYPTION') {
+        enableSyncEncryption({
+            passphrase: message.passphrase,
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken
+        })
+            .then(async (result) => {
+                const status = await getCloudSyncStatus();
+                sendResponse({ ...status, success: true, ...result });
+            })
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
 
-    return cleaned.slice(0, 120);
-}
+    if (message.type === 'CHANGE_SYNC_ENCRYPTION_PASSPHRASE') {
+        changeSyncEncryptionPassphrase({
+            currentPassphrase: message.currentPassphrase,
+            newPassphrase: message.newPassphrase,
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken
+        })
+            .then(async (result) => {
+                const status = await getCloudSyncStatus();
+                sendResponse({ ...status, success: true, ...result });
+            })
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
 
-/**
- * Keep only valid account queues.
- * @param {any} rawValue
- * @returns {Record<string, string[]>}
- */
-function normalizePendingByAccount(rawValue) {
-    const normalized = {};
-    if (!rawValue || typeof rawValue !== 'object') {
-        return normalized;
+    if (message.type === 'FORGET_SYNC_ENCRYPTION_KEY') {
+        forgetSyncEncryptionKey()
+            .then(() => getCloudSyncStatus())
+            .then((status) => sendResponse({ ...status, success: true }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
 
-    for (const [rawKey, rawQueue] of Object.entries(rawValue)) {
-        const accountKey = normalizeAccountKey(rawKey);
-        const videoIds = normalizeVideoIds(Array.isArray(rawQueue) ? rawQueue : []);
-        if (videoIds.length === 0) {
-            continue;
-        }
-        normalized[accountKey] = videoIds;
+    if (message.type === 'SEED_HISTORY_TO_LOCAL_AND_CLOUDFLARE') {
+        seedHistoryToLocalAndCloudflare({
+            videoIds: message.videoIds,
+            endpointUrl: message.endpointUrl,
+            apiToken: message.apiToken,
+            activeTabId: message.activeTabId
+        })
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
 
-    return normalized;
-}
+    if (message.type === 'GET_ALL_WATCHED_VIDEOS') {
+        const payload = message.query && typeof message.query === 'object'
+            ? { type: 'GET_ALL_WATCHED_VIDEOS', query: message.query }
+            : { type: 'GET_ALL_WATCHED_VIDEOS' };
+        proxyWatchedHistoryMessage(payload).then(sendResponse);
+        return true;
+    }
 
-/**
- * Ensure new per-account queue exists (migrate from legacy global queue if needed).
- * @returns {Promise<void>}
- */
-async function ensurePendingQueueMigration() {
-    const result = await storageLocalGet([
-        CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT,
-        CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE,
-        CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY
-    ]);
-    const existingMap = normalizePendingByAccount(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]);
-    if (Object.keys(existingMap).length > 0) {
-        return;
+    if (message.type === 'DELETE_WATCHED_VIDEOS') {
+        proxyWatchedHistoryMessage({
+            type: 'DELETE_WATCHED_VIDEOS',
+            videoIds: normalizeVideoIds(message.videoIds)
+        }).then(sendResponse);
+        return true;
     }
 
-    const legacyQueue = normalizeVideoIds(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE]);
-    if (legacyQueue.length === 0) {
-        return;
+    if (message.type === 'AUTO_CATEGORIZE_SUBSCRIPTIONS') {
+        requestAutoCategorizeCompletion(message)
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
 
-    const primaryAccountKey = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
-    const migratedMap = {
-        [primaryAccountKey]: legacyQueue
-    };
+    if (message.type === 'OPEN_URLS_IN_BACKGROUND') {
+        const requestedUrls = Array.isArray(message.urls) ? message.urls : [];
+        const urls = requestedUrls
+            .map((url) => (typeof url === 'string' ? url.trim() : ''))
+            .filter((url) => /^https:\/\/www\.youtube\.com\//.test(url))
+            .slice(0, 500);
 
-    await storageLocalSet({
-        [CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]: migratedMap
-    });
-}
+        (async () => {
+            if (urls.length === 0) {
+                sendResponse({ success: false, error: 'No valid URLs provided.' });
+                return;
+            }
 
-/**
- * Read pending queues for all accounts.
- * @returns {Promise<Record<string, string[]>>}
- */
-async function readPendingByAccount() {
-    await ensurePendingQueueMigration();
-    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]);
-    return normalizePendingByAccount(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]);
-}
-
-/**
- * Resolve account key used for syncing in current operation.
- * @returns {Promise<string>}
- */
-async function resolveSyncAccountKey() {
-    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
-    const primaryAccountKey = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
-    if (isSubscriptionChannelAccountKey(primaryAccountKey)) {
-        return primaryAccountKey;
-    }
-    return DEFAULT_ACCOUNT_KEY;
-}
-
-/**
- * Persist pending queues and mirrored legacy status fields for popup compatibility.
- * @param {Record<string, string[]>} pendingByAccount
- * @returns {Promise<void>}
- */
-async function writePendingByAccount(pendingByAccount) {
-    const normalizedMap = normalizePendingByAccount(pendingByAccount);
-    const activeAccountKey = normalizeAccountKey(await resolveSyncAccountKey());
-    const activeQueue = normalizeVideoIds(normalizedMap[activeAccountKey] || []);
-
-    await storageLocalSet({
-        [CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]: normalizedMap,
-        [CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE]: activeQueue,
-        [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: activeQueue.length
-    });
-}
+            const createdTabs = [];
+            for (const url of urls) {
+                const createProperties = {
+                    url,
+                    active: false
+                };
+                if (typeof sender?.tab?.windowId === 'number') {
+                    createProperties.windowId = sender.tab.windowId;
+                }
 
-/**
- * Read pending queue for a single account.
- * @param {string} [accountKey]
- * @returns {Promise<string[]>}
- */
-async function readPendingQueue(accountKey) {
-    const pendingByAccount = await readPendingByAccount();
-    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
-    return normalizeVideoIds(pendingByAccount[scopedAccountKey] || []);
-}
+                const tab = await createTab(createProperties);
+                if (tab) {
+                    createdTabs.push(tab);
+                }
+            }
 
-/**
- * Persist pending queue for one account.
- * @param {string[]} videoIds
- * @param {string} [accountKey]
- * @returns {Promise<void>}
- */
-async function writePendingQueue(videoIds, accountKey) {
-    const pendingByAccount = await readPendingByAccount();
-    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
-    const normalizedQueue = normalizeVideoIds(videoIds);
+            sendResponse({
+                success: true,
+                openedCount: createdTabs.length
+            });
+        })().catch((error) => {
+            sendResponse({
+                success: false,
+                error: error?.message || 'Failed to open background tabs.'
+            });
+        });
 
-    if (normalizedQueue.length > 0) {
-        pendingByAccount[scopedAccountKey] = normalizedQueue;
-    } else {
-        delete pendingByAccount[scopedAccountKey];
+        return true;
     }
 
-    await writePendingByAccount(pendingByAccount);
-}
+    
+    if (message.type === 'SUBSCRIPTION_MANAGER_UPDATED') {
+        const pendingCount = Number.isFinite(message.pendingCount) ? Number(message.pendingCount) : 0;
+        storageLocalSet({
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: pendingCount
+        }).catch((error) => {
+            console.warn('[YT-Commander][SubscriptionSync] Failed to update pending count', error);
+        });
 
-/**
- * Add IDs to pending queue (deduped) for selected account.
- * @param {string[]} incomingVideoIds
- * @param {string} [accountKey]
- * @returns {Promise<number>}
- */
-async function enqueuePendingVideoIds(incomingVideoIds, accountKey) {
-    const incoming = normalizeVideoIds(incomingVideoIds);
-    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
-
-    return runPendingQueueMutation(async () => {
-        if (incoming.length === 0) {
-            const current = await readPendingQueue(scopedAccountKey);
-            return current.length;
-        }
+        runSubscriptionAutoSyncIfDue('subscription-updated').catch((error) => {
+            console.error('[YT-Commander][SubscriptionSync] Update due-check failed', error);
+        });
 
-        const current = await readPendingQueue(scopedAccountKey);
-        const merged = normalizeVideoIds(current.concat(incoming));
-        await writePendingQueue(merged, scopedAccountKey);
-        return merged.length;
-    });
-}
+        sendResponse({ success: true, pendingCount });
+        return true;
+    }
 
-/**
- * Remove IDs from pending queue.
- * @param {string[]} syncedIds
- * @param {string} [accountKey]
- * @returns {Promise<number>}
- */
-async function removePendingVideoIds(syncedIds, accountKey) {
-    const removeSet = new Set(normalizeVideoIds(syncedIds));
-    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
-    return runPendingQueueMutation(async () => {
-        if (removeSet.size === 0) {
-            const current = await readPendingQueue(scopedAccountKey);
-            return current.length;
-        }
+    if (message.type === 'HISTORY_UPDATED') {
+        const changedIds = normalizeVideoIds([
+            ...(Array.isArray(message.videoIds) ? message.videoIds : []),
+            ...(typeof message.videoId === 'string' ? [message.videoId] : [])
+        ]);
+        const rawAccountKey = normalizeAccountKey(message.accountKey);
+        const accountKey = isSubscriptionChannelAccountKey(rawAccountKey)
+            ? rawAccountKey
+            : DEFAULT_ACCOUNT_KEY;
 
-        const current = await readPendingQueue(scopedAccountKey);
-        const next = current.filter((videoId) => !removeSet.has(videoId));
-        await writePendingQueue(next, scopedAccountKey);
-        return next.length;
-    });
-}
+        autoLockPrimaryAccountIfMissing(accountKey, sender.tab).catch((error) => {
+            console.warn('[YT-Commander][CloudSync] Could not auto-lock primary account', error);
+        });
 
-/**
- * Compute retry backoff in minutes.
- * @param {number} failureCount
- * @returns {number}
- */
-function computeBackoffMinutes(failureCount) {
-    if (!Number.isFinite(failureCount) || failureCount <= 0) {
-        return 0;
-    }
+        const removedIds = normalizeVideoIds(message.removedVideoIds);
+        const clearedAt = Number(message.clearedAt) || 0;
 
-    const minutes = 5 * (2 ** (failureCount - 1));
-    return Math.min(60, Math.max(5, minutes));
-}
+        enqueuePendingVideoIds(changedIds.concat(removedIds), accountKey)
+            .then(async (pendingCount) => {
+                await updatePendingDeletions(changedIds, accountKey, 0);
+                await storePendingRecordDetails(message.records, accountKey);
+                if (removedIds.length > 0) {
+                    await updatePendingDeletions(removedIds, accountKey, Number(message.removedAt) || Date.now());
+                }
+                if (clearedAt > 0) {
+                    pendingCount = await queuePendingClear(accountKey, clearedAt);
+                }
 
-/**
- * Read current cloud sync settings/state.
- * @returns {Promise<object>}
- */
-async function readCloudSyncState() {
-    const result = await storageLocalGet([
-        CLOUD_SYNC_STORAGE_KEYS.ENDPOINT,
-        CLOUD_SYNC_STORAGE_KEYS.API_TOKEN,
-        CLOUD_SYNC_STORAGE_KEYS.AUTO_ENABLED,
-        CLOUD_SYNC_STORAGE_KEYS.INTERVAL_MINUTES,
-        CLOUD_SYNC_STORAGE_KEYS.LAST_AT,
-        CLOUD_SYNC_STORAGE_KEYS.STATUS,
-        CLOUD_SYNC_STORAGE_KEYS.ERROR,
-        CLOUD_SYNC_STORAGE_KEYS.COUNT,
-        CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT,
-        CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY,
-        CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT,
-        CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL,
-        CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED
-    ]);
+                if (changedIds.length > 0) {
+                    console.info('[YT-Commander][CloudSync] Queued watched IDs', {
+                        added: changedIds.length,
+                        accountKey,
+                        pendingCount
+                    });
+                }
 
-    return {
-        endpointUrl: typeof result[CLOUD_SYNC_STORAGE_KEYS.ENDPOINT] === 'string'
-            ? result[CLOUD_SYNC_STORAGE_KEYS.ENDPOINT].trim()
-            : '',
-        apiToken: typeof result[CLOUD_SYNC_STORAGE_KEYS.API_TOKEN] === 'string'
-            ? result[CLOUD_SYNC_STORAGE_KEYS.API_TOKEN].trim()
-            : '',
-        autoEnabled: result[CLOUD_SYNC_STORAGE_KEYS.AUTO_ENABLED] !== false,
-        intervalMinutes: normalizeSyncInterval(result[CLOUD_SYNC_STORAGE_KEYS.INTERVAL_MINUTES]),
-        lastAt: Number(result[CLOUD_SYNC_STORAGE_KEYS.LAST_AT]) || 0,
-        status: typeof result[CLOUD_SYNC_STORAGE_KEYS.STATUS] === 'string'
-            ? result[CLOUD_SYNC_STORAGE_KEYS.STATUS]
-            : '',
-        error: typeof result[CLOUD_SYNC_STORAGE_KEYS.ERROR] === 'string'
-            ? result[CLOUD_SYNC_STORAGE_KEYS.ERROR]
-            : '',
-        count: Number(result[CLOUD_SYNC_STORAGE_KEYS.COUNT]) || 0,
-        pendingCount: Number(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]) || 0,
-        primaryAccountKey: normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]),
-        failureCount: Number(result[CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT]) || CLOUD_SYNC_DEFAULTS.failureCount,
-        backoffUntil: Number(result[CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]) || CLOUD_SYNC_DEFAULTS.backoffUntil,
-        queueSeeded: result[CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED] === true
-    };
-}
-/**
- * Read current subscription sync settings/state.
- * @returns {Promise<object>}
- */
-async function readSubscriptionSyncState() {
-    const result = await storageLocalGet([
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.AUTO_ENABLED,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.INTERVAL_MINUTES,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.LAST_AT,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT,
-        SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL
-    ]);
+                chrome.tabs.query({ url: YOUTUBE_TAB_URL_PATTERN }, (tabs) => {
+                    tabs.forEach((tab) => {
+                        if (typeof tab.id !== 'number' || tab.id === sender.tab?.id) {
+                            return;
+                        }
 
-    return {
-        endpointUrl: typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT] === 'string'
-            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT].trim()
-            : '',
-        apiToken: typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN] === 'string'
-            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN].trim()
-            : '',
-        autoEnabled: result[SUBSCRIPTION_SYNC_STORAGE_KEYS.AUTO_ENABLED] !== false,
-        intervalMinutes: normalizeSubscriptionInterval(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.INTERVAL_MINUTES]),
-        lastAt: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.LAST_AT]) || 0,
-        status: typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS] === 'string'
-            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]
-            : '',
-        error: typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR] === 'string'
-            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]
-            : '',
-        count: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT]) || 0,
-        pendingCount: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]) || 0,
-        pendingKeys: Array.isArray(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS])
-            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]
-            : [],
-        primaryAccountKey: normalizeAccountKey(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]),
-        failureCount: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT]) || SUBSCRIPTION_SYNC_DEFAULTS.failureCount,
-        backoffUntil: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]) || SUBSCRIPTION_SYNC_DEFAULTS.backoffUntil
-    };
-}
+                        chrome.tabs.sendMessage(tab.id, { type: 'HISTORY_UPDATED' }, () => {
+                            if (chrome.runtime.lastError) {
+                                return;
+                            }
+                        });
+                    });
+                });
 
-/**
- * Read subscription pending sync keys.
- * @returns {Promise<string[]>}
- */
-async function readSubscriptionPendingKeys() {
-    const result = await storageLocalGet([SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]);
-    const pending = Array.isArray(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS])
-        ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]
-        : [];
-    return pending.filter((key) => typeof key === 'string' && key.trim());
-}
+                runAutoSyncIfDue('history-updated').catch((error) => {
+                    console.error('[YT-Commander][CloudSync] History due-check failed', error);
+                });
 
-/**
- * Ensure periodic auto-sync alarm matches configured settings.
- * @returns {Promise<void>}
- */
-async function ensureAutoSyncAlarm() {
-    const state = await readCloudSyncState();
+                sendResponse({ success: true, pendingCount });
+            })
+            .catch((error) => {
+                console.error('[YT-Commander][CloudSync] Failed to enqueue history updates', error);
+                sendResponse({ success: false, error: error?.message || 'Failed to enqueue history update' });
+            });
 
-    if (!state.autoEnabled || !state.endpointUrl) {
-        await clearAlarm(AUTO_SYNC_ALARM_NAME);
-        return;
+        return true;
     }
 
-    const existingAlarm = await getAlarm(AUTO_SYNC_ALARM_NAME);
-    const existingPeriod = Number(existingAlarm?.periodInMinutes) || 0;
-    if (existingAlarm && Math.abs(existingPeriod - AUTO_SYNC_CHECK_PERIOD_MINUTES) < 0.0001) {
-        return;
-    }
+    if (message.type === 'PROCESS_IMPORT_BATCH') {
+        chrome.storage.local.get([message.storageKey], (result) => {
+            const batchData = result[message.storageKey];
+            if (!batchData) {
+                sendResponse({ success: false, error: 'Batch data not found' });
+                return;
+            }
 
-    await clearAlarm(AUTO_SYNC_ALARM_NAME);
-    chrome.alarms.create(AUTO_SYNC_ALARM_NAME, {
-        delayInMinutes: AUTO_SYNC_CHECK_PERIOD_MINUTES,
-        periodInMinutes: AUTO_SYNC_CHECK_PERIOD_MINUTES
-    });
-}
-/**
- * Ensure periodic subscription auto-sync alarm matches configured settings.
- * @returns {Promise<void>}
- */
-async function ensureSubscriptionAutoSyncAlarm() {
-    const state = await readSubscriptionSyncState();
+            chrome.tabs.sendMessage(message.tabId, {
+                type: 'IMPORT_WATCHED_VIDEOS',
+                videoIds: batchData.videoIds
+            }, (response) => {
+                chrome.storage.local.remove([message.storageKey]);
 
-    if (!state.autoEnabled || !state.endpointUrl) {
-        await clearAlarm(SUBSCRIPTION_SYNC_ALARM_NAME);
-        return;
-    }
+                if (chrome.runtime.lastError) {
+                    sendResponse({
+                        success: false,
+                        error: chrome.runtime.lastError.message,
+                        count: 0
+                    });
+                    return;
+                }
 
-    const existingAlarm = await getAlarm(SUBSCRIPTION_SYNC_ALARM_NAME);
-    const existingPeriod = Number(existingAlarm?.periodInMinutes) || 0;
-    if (existingAlarm && Math.abs(existingPeriod - SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES) < 0.0001) {
-        return;
+                sendResponse({
+                    success: true,
+                    count: response?.count || 0
+                });
+            });
+        });
+        return true;
     }
 
-    await clearAlarm(SUBSCRIPTION_SYNC_ALARM_NAME);
-    chrome.alarms.create(SUBSCRIPTION_SYNC_ALARM_NAME, {
-        delayInMinutes: SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES,
-        periodInMinutes: SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES
-    });
-}
+    if (message.type === 'GET_WATCHED_STATS') {
+        chrome.tabs.sendMessage(message.tabId, { type: 'GET_WATCHED_STATS' }, (response) => {
+            if (chrome.runtime.lastError) {
+                sendResponse({ success: false, error: chrome.runtime.lastError.message });
+                return;
+            }
 
-/**
- * Compute the next due timestamp based on last successful sync + interval.
- * If there was no successful sync yet, sync is considered immediately due.
- * @param {{autoEnabled: boolean, endpointUrl: string, intervalMinutes: number, lastAt: number}} state
- * @returns {number}
- */
-function getNextSyncAt(state) {
-    if (!state.autoEnabled || !state.endpointUrl) {
-        return 0;
+            sendResponse(response || { success: false, error: 'No response from content script' });
+        });
+        return true;
     }
 
-    const intervalMs = normalizeSyncInterval(state.intervalMinutes) * 60 * 1000;
-    const lastAt = Number(state.lastAt) || 0;
-    if (lastAt <= 0) {
-        return Date.now();
-    }
-    return lastAt + intervalMs;
-}
+    return false;
+});
 
-/**
- * Run auto sync only when interval has elapsed since last successful sync.
- * @param {string} source
- * @returns {Promise<void>}
- */
-async function runAutoSyncIfDue(source) {
-    const state = await readCloudSyncState();
-    if (!state.autoEnabled || !state.endpointUrl) {
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') {
         return;
     }
-
-    const nextSyncAt = getNextSyncAt(state);
-    if (nextSyncAt > Date.now()) {
-        return;
+    if (changes[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]) {
+        lastSubscriptionPendingCount = Number(changes[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT].newValue) || 0;
     }
-
-    await performCloudflareSync({
-        manual: false,
-        source
-    });
-}
-/**
- * Run subscription auto sync only when interval has elapsed since last successful sync.
- * @param {string} source
- * @returns {Promise<void>}
- */
-async function runSubscriptionAutoSyncIfDue(source) {
-    const state = await readSubscriptionSyncState();
-    if (!state.autoEnabled || !state.endpointUrl) {
+    if (changes[CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]) {
+        const next = Number(changes[CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT].newValue) || 0;
+        updateWatchedHistoryBadge(next);
         return;
     }
-
-    const nextSyncAt = getNextSyncAt(state);
-    if (nextSyncAt > Date.now()) {
-        return;
+    if (changes[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]) {
+        updateExtensionTitle();
     }
+});
 
-    await performSubscriptionSync({
-        manual: false,
-        source
-    });
-}
+refreshWatchedHistoryBadge();
 
-/**
- * Request pending sync IDs from content script.
- * @param {number} tabId
- * @param {number} limit
- * @returns {Promise<string[]>}
- */
-async function getPendingSyncVideoIdsFromTab(tabId, limit) {
-    const response = await sendMessageToTab(tabId, {
-        type: 'GET_PENDING_SYNC_VIDEO_IDS',
-        limit
-    });
+ensureAutoSyncAlarm().catch((error) => {
+    console.error('[YT-Commander][CloudSync] Failed to ensure startup alarm', error);
+});
 
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to read pending sync IDs');
-    }
+runAutoSyncIfDue('startup-bootstrap').catch((error) => {
+    console.error('[YT-Commander][CloudSync] Startup bootstrap due-check failed', error);
+});
+ensureSubscriptionAutoSyncAlarm().catch((error) => {
+    console.error('[YT-Commander][SubscriptionSync] Failed to ensure startup alarm', error);
+});
 
-    return normalizeVideoIds(response.videoIds);
-}
+runSubscriptionAutoSyncIfDue('startup-bootstrap').catch((error) => {
+    console.error('[YT-Commander][SubscriptionSync] Startup bootstrap due-check failed', error);
+});
 
-/**
- * Ack synced IDs in content script queue.
- * @param {number} tabId
- * @param {string[]} videoIds
- * @returns {Promise<number>}
- */
-async function ackSyncedVideoIdsInTab(tabId, videoIds) {
-    const response = await sendMessageToTab(tabId, {
-        type: 'ACK_SYNCED_VIDEO_IDS',
-        videoIds
-    });
-
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to ack synced IDs');
-    }
-
-    return Number(response.removedCount) || 0;
-}
-
-/**
- * Get pending sync queue count from content script.
- * @param {number} tabId
- * @returns {Promise<number>}
- */
-async function getPendingSyncCountFromTab(tabId) {
-    const response = await sendMessageToTab(tabId, { type: 'GET_PENDING_SYNC_COUNT' });
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to read pending sync count');
-    }
-    return Number(response.count) || 0;
-}
-
-/**
- * Seed sync queue from existing local watched history.
- * @param {number} tabId
- * @returns {Promise<number>}
- */
-async function seedSyncQueueFromHistoryInTab(tabId) {
-    const response = await sendMessageToTab(tabId, { type: 'SEED_SYNC_QUEUE_FROM_HISTORY' });
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to seed sync queue');
-    }
-    return Number(response.seededCount) || 0;
-}
-
-/**
- * Seed pending cloud queue from local watched history once.
- * This prevents first-time sync from missing already-watched records.
- * @param {string} accountKey
- * @returns {Promise<number>}
- */
-async function seedPendingQueueFromWatchedHistory(accountKey) {
-    let createdTab = false;
-    let tabId = 0;
+const AUTOMATION_ALARM_NAME = 'ytCommanderSubscriptionAutomation';
 
+function showNotification(title, message) {
     try {
-        const tabInfo = await resolveYouTubeTabForHistory();
-        createdTab = tabInfo.created;
-        tabId = tabInfo.tabId;
-
-        const response = await sendMessageToTab(tabId, { type: 'GET_ALL_WATCHED_VIDEOS' }, 60000);
-        if (!response?.success) {
-            throw new Error(response?.error || 'Failed to read watched history for queue seed');
-        }
-
-        const watchedVideos = Array.isArray(response?.videos) ? response.videos : [];
-        const seedIds = normalizeVideoIds(watchedVideos.map((entry) => entry?.videoId));
-        const pendingCount = await enqueuePendingVideoIds(seedIds, accountKey);
-
-        await storageLocalSet({
-            [CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED]: true,
-            [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: pendingCount
-        });
-
-        return seedIds.length;
-    } finally {
-        if (createdTab && tabId) {
-            await removeTab(tabId);
+        if (chrome.notifications) {
+            chrome.notifications.create({
+                type: 'basic',
+                iconUrl: '/assets/icon.png',
+                title: title,
+                message: message
+            });
         }
+    } catch (e) {
+        console.warn('[YT-Commander][Notifications] Failed to show notification:', e);
     }
 }
-/**
- * Get subscription snapshot from content script.
- * @param {number} tabId
- * @returns {Promise<{channels: object[], fetchedAt: number, hash: string}>}
- */
-async function getSubscriptionSnapshotFromTab(tabId) {
-    const response = await sendMessageToTab(tabId, { type: 'GET_SUBSCRIPTION_SNAPSHOT' }, 60000);
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to read subscription snapshot');
-    }
 
-    return {
-        channels: Array.isArray(response.channels) ? response.channels : [],
-        fetchedAt: Number(response.fetchedAt) || 0,
-        hash: typeof response.hash === 'string' ? response.hash : ''
-    };
-}
+const AUTOMATION_STORAGE_KEYS = {
+    ENABLED: 'subscriptionAutomationEnabled',
+    TIME: 'subscriptionAutomationTime',
+    LOOKBACK: 'subscriptionAutomationLookback',
+    SHORTS_PLAYLIST: 'subscriptionAutomationShortsPlaylist',
+    SHORTS_PLAYLIST_TITLE: 'subscriptionAutomationShortsPlaylistTitle',
+    VIDEOS_MODE: 'subscriptionAutomationVideosMode',
+    VIDEOS_PLAYLIST: 'subscriptionAutomationVideosPlaylist',
+    VIDEOS_PLAYLIST_TITLE: 'subscriptionAutomationVideosPlaylistTitle',
+    SPLIT_COUNT: 'subscriptionAutomationSplitCount',
+    LAST_RUN: 'subscriptionAutomationLastRun',
+    LAST_VIDEOS_COUNT: 'subscriptionAutomationLastVideosCount',
+    LAST_SHORTS_COUNT: 'subscriptionAutomationLastShortsCount',
+    LAST_STATUS: 'subscriptionAutomationLastStatus',
+    LAST_PLAYLIST_RESULTS: 'subscriptionAutomationLastPlaylistResults'
+};
 
-/**
- * Post one sync batch to Cloudflare.
- * @param {URL} endpoint
- * @param {string} apiToken
- * @param {string[]} videoIds
- * @param {string} [accountKey]
- * @returns {Promise<any>}
- */
-async function postCloudflareSyncBatch(endpoint, apiToken, videoIds, accountKey) {
-    const payload = { videoIds };
-    if (isSubscriptionChannelAccountKey(accountKey)) {
-        payload.accountKey = accountKey;
-    }
-    console.info('[YT-Commander][CloudSync] Sending batch to API', {
-        endpoint: endpoint.toString(),
-        count: videoIds.length,
-        firstIds: videoIds.slice(0, 5),
-        lastIds: videoIds.slice(-3)
-    });
+const AUTOMATION_PLAYLIST_BRIDGE = {
+    SOURCE: 'yt-commander',
+    REQUEST_TYPE: 'YT_COMMANDER_PLAYLIST_BRIDGE_REQUEST',
+    RESPONSE_TYPE: 'YT_COMMANDER_PLAYLIST_BRIDGE_RESPONSE',
+    TIMEOUT_MS: 5 * 60 * 1000
+};
+const AUTOMATION_SPLIT_COUNT_MIN = 5;
+const AUTOMATION_SPLIT_COUNT_MAX = 100;
 
-    const headers = {
-        'Content-Type': 'application/json',
-        'X-YT-Commander-Client': 'chrome-extension'
+async function readAutomationSettings() {
+    const result = await storageLocalGet([
+        AUTOMATION_STORAGE_KEYS.ENABLED,
+        AUTOMATION_STORAGE_KEYS.TIME,
+        AUTOMATION_STORAGE_KEYS.LOOKBACK,
+        AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST,
+        AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST_TITLE,
+        AUTOMATION_STORAGE_KEYS.VIDEOS_MODE,
+        AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST,
+        AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST_TITLE,
+        AUTOMATION_STORAGE_KEYS.SPLIT_COUNT
+    ]);
+    
+    const splitCount = parseInt(result[AUTOMATION_STORAGE_KEYS.SPLIT_COUNT]) || 20;
+    
+    return {
+        enabled: result[AUTOMATION_STORAGE_KEYS.ENABLED] === true,
+        time: result[AUTOMATION_STORAGE_KEYS.TIME] || '19:30',
+        lookback: result[AUTOMATION_STORAGE_KEYS.LOOKBACK] || 'yesterday',
+        shortsPlaylist: result[AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST] || 'WL',
+        shortsPlaylistTitle: result[AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST_TITLE] || 'Watch Later',
+        videosMode: result[AUTOMATION_STORAGE_KEYS.VIDEOS_MODE] || 'single',
+        videosPlaylist: result[AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST] || 'WL',
+        videosPlaylistTitle: result[AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST_TITLE] || 'Watch Later',
+        splitCount: Math.min(AUTOMATION_SPLIT_COUNT_MAX, Math.max(AUTOMATION_SPLIT_COUNT_MIN, splitCount))
     };
+}
 
-    if (apiToken) {
-        headers.Authorization = `Bearer ${apiToken}`;
-        headers['X-YT-Commander-Key'] = apiToken;
-    }
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CLOUDFLARE_SYNC_REQUEST_TIMEOUT_MS);
-
-    let response = null;
-    try {
-        response = await fetch(endpoint.toString(), {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(payload),
-            signal: controller.signal
-        });
-    } catch (error) {
-        if (error?.name === 'AbortError') {
-            throw new Error('Cloudflare request timed out');
-        }
-        const rawMessage = typeof error?.message === 'string' ? error.message : '';
-        if (error instanceof TypeError || /failed to fetch|networkerror|fetch/i.test(rawMessage)) {
-            throw new Error(
-                'Failed to establish connection to Cloudflare. Verify Worker URL (use https://.../sync), deployment, and network access.'
-            );
-        }
-        throw error;
-    } finally {
-        clearTimeout(timeoutId);
-    }
-
-    let rawBody = '';
-    try {
-        rawBody = await response.text();
-    } catch (_error) {
-        rawBody = '';
+async function scheduleAutomation() {
+    const settings = await readAutomationSettings();
+    
+    if (!settings.enabled) {
+        await clearAlarm(AUTOMATION_ALARM_NAME);
+        console.info('[YT-Commander][Automation] Disabled, clearing alarm');
+        return;
     }
-
-    const parsedBody = parseJsonSafe(rawBody);
-    if (!response.ok) {
-        const bodyMessage = typeof parsedBody?.error === 'string'
-            ? parsedBody.error
-            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
-        throw new Error(`Cloudflare sync failed (${response.status}): ${bodyMessage}`);
+    
+    const [hours, minutes] = settings.time.split(':').map(Number);
+    const now = new Date();
+    let nextRun = new Date(now);
+    nextRun.setHours(hours, minutes, 0, 0);
+    
+    if (nextRun <= now) {
+        nextRun.setDate(nextRun.getDate() + 1);
     }
-
-    console.info('[YT-Commander][CloudSync] API response received', {
-        status: response.status,
-        count: videoIds.length,
-        body: parsedBody || rawBody || null
+    
+    const delayInMinutes = (nextRun - now) / (1000 * 60);
+    
+    await clearAlarm(AUTOMATION_ALARM_NAME);
+    chrome.alarms.create(AUTOMATION_ALARM_NAME, {
+        delayInMinutes: delayInMinutes
     });
-
-    return parsedBody || rawBody || null;
+    
+    console.info('[YT-Commander][Automation] Scheduled for', nextRun.toISOString(), 'in', Math.round(delayInMinutes), 'minutes');
 }
+
 /**
- * Post subscription sync payload to Cloudflare worker.
- * @param {URL} endpoint
- * @param {string} apiToken
+ * Run one playlist bridge action in the page main world of a YouTube tab.
+ * @param {number} tabId
+ * @param {string} action
  * @param {object} payload
  * @returns {Promise<any>}
  */
-async function postSubscriptionSyncPayload(endpoint, apiToken, payload) {
-    const headers = {
-        'Content-Type': 'application/json',
-        'X-YT-Commander-Client': 'chrome-extension'
-    };
-
-    if (apiToken) {
-        headers.Authorization = `Bearer ${apiToken}`;
-        headers['X-YT-Commander-Key'] = apiToken;
-    }
-
-    const response = await fetch(endpoint.toString(), {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(payload)
-    });
+async function runPlaylistBridgeAction(tabId, action, payload) {
+    const bridgeScript = function(bridge, requestId, bridgeAction, bridgePayload) {
+        return new Promise((resolve) => {
+            let timeoutId = 0;
 
-    const rawBody = await response.text();
-    const parsedBody = parseJsonSafe(rawBody);
-
-    if (!response.ok) {
-        const message = typeof parsedBody?.error === 'string'
-            ? parsedBody.error
-            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
-        throw new Error(`Subscription sync failed (${response.status}): ${message}`);
-    }
-
-    return parsedBody || { ok: true };
-}
+            const handleMessage = (event) => {
+                const message = event.data;
+                if (event.source !== window || !message || typeof message !== 'object') {
+                    return;
+                }
+                if (
+                    message.source !== bridge.SOURCE
+                    || message.type !== bridge.RESPONSE_TYPE
+                    || message.requestId !== requestId
+                ) {
+                    return;
+                }
 
-/**
- * Fetch subscription payload from Cloudflare.
- * @param {URL} endpoint
- * @param {string} apiToken
- * @param {string} accountKey
- * @returns {Promise<any>}
- */
-async function fetchSubscriptionRestorePayload(endpoint, apiToken, accountKey) {
-    const requestUrl = new URL(endpoint.toString());
-    if (accountKey) {
-        requestUrl.searchParams.set('accountKey', accountKey);
-    }
+                window.removeEventListener('message', handleMessage);
+                clearTimeout(timeoutId);
+                resolve({
+                    success: message.success === true,
+                    data: message.data || null,
+                    error: message.error || null
+                });
+            };
 
-    const headers = {
-        'X-YT-Commander-Client': 'chrome-extension'
+            window.addEventListener('message', handleMessage);
+            timeoutId = setTimeout(() => {
+                window.removeEventListener('message', handleMessage);
+                resolve({ success: false, data: null, error: 'Playlist bridge request timed out.' });
+            }, bridge.TIMEOUT_MS);
+
+            window.postMessage({
+                source: bridge.SOURCE,
+                type: bridge.REQUEST_TYPE,
+                requestId,
+                action: bridgeAction,
+                payload: bridgePayload
+            }, '*');
+        });
     };
 
-    if (apiToken) {
-        headers.Authorization = `Bearer ${apiToken}`;
-        headers['X-YT-Commander-Key'] = apiToken;
-    }
-
-    const response = await fetch(requestUrl.toString(), {
-        method: 'GET',
-        headers
+    const requestId = `automation-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const response = await new Promise((resolve, reject) => {
+        chrome.scripting.executeScript({
+            target: { tabId },
+            func: bridgeScript,
+            args: [AUTOMATION_PLAYLIST_BRIDGE, requestId, action, payload],
+            world: 'MAIN'
+        }, (results) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(results?.[0]?.result || null);
+        });
     });
 
-    const rawBody = await response.text();
-    const parsedBody = parseJsonSafe(rawBody);
-
-    if (!response.ok) {
-        const message = typeof parsedBody?.error === 'string'
-            ? parsedBody.error
-            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
-        throw new Error(`Subscription restore failed (${response.status}): ${message}`);
+    if (!response?.success) {
+        throw new Error(response?.error || 'Playlist action failed.');
     }
 
-    return parsedBody || {};
+    return response.data;
 }
 
 /**
- * Fetch one page of IDs from Cloudflare pull endpoint.
- * @param {URL} pullEndpoint
- * @param {string} apiToken
- * @param {string|null} cursor
- * @param {number} limit
- * @returns {Promise<{videoIds: string[], nextCursor: string|null, hasMore: boolean}>}
+ * Build title for one automation split playlist.
+ * @param {Date} runDate
+ * @param {number} index
+ * @param {number} total
+ * @returns {string}
  */
-async function fetchCloudflarePullPage(pullEndpoint, apiToken, cursor, limit, accountKey) {
-    const requestUrl = new URL(pullEndpoint.toString());
-    requestUrl.searchParams.set('limit', String(Math.max(1, Math.min(limit, 1000))));
-    if (typeof cursor === 'string' && cursor) {
-        requestUrl.searchParams.set('cursor', cursor);
-    }
-    if (accountKey) {
-        requestUrl.searchParams.set('accountKey', accountKey);
-    }
+function buildAutomationSplitPlaylistTitle(runDate, index, total) {
+    const dateLabel = runDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const base = `Subscriptions ${dateLabel}`;
+    return total > 1 ? `${base} (${index + 1}/${total})` : base;
+}
 
-    const headers = {
-        'X-YT-Commander-Client': 'chrome-extension'
+/**
+ * Add videos to one existing playlist and return its per-playlist result.
+ * @param {number} tabId
+ * @param {'videos'|'shorts'} kind
+ * @param {string} playlistId
+ * @param {string} playlistTitle
+ * @param {string[]} videoIds
+ * @returns {Promise<{kind: string, playlistId: string, title: string, requestedCount: number, addedCount: number, addedVideoIds: string[], failedCount: number, error: string}>}
+ */
+async function addAutomationVideosToPlaylist(tabId, kind, playlistId, playlistTitle, videoIds) {
+    const entry = {
+        kind,
+        playlistId,
+        title: playlistTitle || playlistId,
+        requestedCount: videoIds.length,
+        addedCount: 0,
+        addedVideoIds: [],
+        failedCount: videoIds.length,
+        error: ''
     };
-    if (apiToken) {
-        headers.Authorization = `Bearer ${apiToken}`;
-        headers['X-YT-Commander-Key'] = apiToken;
-    }
 
-    let response = null;
     try {
-        response = await fetch(requestUrl.toString(), {
-            method: 'GET',
-            headers
+        const result = await runPlaylistBridgeAction(tabId, 'ADD_TO_PLAYLISTS', {
+            videoIds,
+            playlistIds: [playlistId],
+            playlistTitles: [entry.title]
         });
+        const playlistResult = Array.isArray(result?.playlistResults) ? result.playlistResults[0] : null;
+        entry.addedCount = Number(playlistResult?.addedCount) || 0;
+        entry.addedVideoIds = normalizeVideoIds(playlistResult?.addedVideoIds);
+        entry.failedCount = Math.max(0, videoIds.length - entry.addedCount);
+        entry.error = result?.failures?.[0]?.error || '';
     } catch (error) {
-        const message = typeof error?.message === 'string' ? error.message : 'Network error';
-        throw new Error(`Failed to download from Cloudflare pull endpoint: ${message}`);
-    }
-
-    const rawBody = await response.text().catch(() => '');
-    const parsedBody = parseJsonSafe(rawBody);
-
-    if (response.status === 404) {
-        throw new Error('Cloudflare /pull endpoint not found. Update your Worker script to support GET /pull.');
-    }
-
-    if (!response.ok) {
-        const bodyMessage = typeof parsedBody?.error === 'string'
-            ? parsedBody.error
-            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
-        throw new Error(`Cloudflare pull failed (${response.status}): ${bodyMessage}`);
+        entry.error = error.message;
     }
 
-    const rawIds = Array.isArray(parsedBody?.videoIds)
-        ? parsedBody.videoIds
-        : Array.isArray(parsedBody?.records)
-            ? parsedBody.records.map((item) => item?.videoId)
-            : [];
-
-    const videoIds = normalizeVideoIds(rawIds);
-    const nextCursor = typeof parsedBody?.nextCursor === 'string'
-        ? parsedBody.nextCursor
-        : (parsedBody?.nextCursor != null ? String(parsedBody.nextCursor) : null);
-    const hasMore = parsedBody?.hasMore === true || (videoIds.length >= limit && Boolean(nextCursor));
-
-    return { videoIds, nextCursor, hasMore };
+    return entry;
 }
 
 /**
- * Import IDs into local watched IndexedDB through content script.
+ * Create one new playlist holding the given videos and return its per-playlist result.
  * @param {number} tabId
+ * @param {string} title
  * @param {string[]} videoIds
- * @param {{skipSyncQueue?: boolean}} [options]
- * @returns {Promise<number>}
- */
-async function importVideoIdsIntoLocalHistory(tabId, videoIds, options = {}) {
-    const skipSyncQueue = options?.skipSyncQueue === true;
-    const response = await sendMessageToTab(tabId, {
-        type: 'IMPORT_WATCHED_VIDEOS',
-        videoIds,
-        options: { skipSyncQueue }
-    }, 45000);
+ * @returns {Promise<{kind: string, playlistId: string, title: string, requestedCount: number, addedCount: number, failedCount: number, error: string}>}
+ */
+async function createAutomationSplitPlaylist(tabId, title, videoIds) {
+    const entry = {
+        kind: 'videos',
+        playlistId: '',
+        title,
+        requestedCount: videoIds.length,
+        addedCount: 0,
+        failedCount: videoIds.length,
+        error: ''
+    };
 
-    if (!response?.success) {
-        throw new Error(response?.error || 'Failed to import IDs into local watched history');
+    try {
+        const result = await runPlaylistBridgeAction(tabId, 'CREATE_PLAYLIST_AND_ADD', {
+            title,
+            privacyStatus: 'PRIVATE',
+            videoIds
+        });
+        entry.playlistId = result?.playlistId || '';
+        entry.addedCount = Number(result?.addedCount) || 0;
+        entry.failedCount = Math.max(0, videoIds.length - entry.addedCount);
+        entry.error = result?.failures?.[0]?.error || '';
+    } catch (error) {
+        entry.error = error.message;
     }
 
-    return Number(response.count) || 0;
+    return entry;
 }
 
 /**
- * Download IDs from Cloudflare and import into local IndexedDB.
- * @param {{endpointUrl?: string, apiToken?: string}} options
- * @returns {Promise<{pulledCount: number, importedCount: number, pageCount: number}>}
+ * Route found uploads into the playlists chosen in automation settings.
+ * @param {number} tabId
+ * @param {object} settings
+ * @param {{videoIds: string[], shortIds: string[]}} found
+ * @param {Date} runDate
+ * @returns {Promise<Array<{kind: string, playlistId: string, title: string, requestedCount: number, addedCount: number, failedCount: number, error: string}>>}
  */
-async function downloadFromCloudflare(options = {}) {
-    if (cloudSyncInProgress) {
-        throw new Error('Sync is already in progress');
-    }
-
-    const state = await readCloudSyncState();
-    const endpointRaw = typeof options.endpointUrl === 'string' && options.endpointUrl.trim()
-        ? options.endpointUrl.trim()
-        : state.endpointUrl;
-    const apiToken = typeof options.apiToken === 'string'
-        ? options.apiToken.trim()
-        : state.apiToken;
-
-    const syncEndpoint = parseCloudflareEndpoint(endpointRaw);
-    const pullEndpoint = buildCloudflarePullEndpoint(syncEndpoint);
-    const resolvedAccountKey = await resolveSyncAccountKey();
-    const accountKey = isSubscriptionChannelAccountKey(resolvedAccountKey)
-        ? resolvedAccountKey
-        : '';
-
-    cloudSyncInProgress = true;
-
-    let createdTab = false;
-    let tabId = 0;
-
-    try {
-        const tabInfo = await resolveYouTubeTabForHistory();
-        createdTab = tabInfo.created;
-        tabId = tabInfo.tabId;
-
-        let cursor = null;
-        let pageCount = 0;
-        let pulledCount = 0;
-        let importedCount = 0;
-        const pageLimit = 1000;
-        const maxPages = 5000;
-
-        while (pageCount < maxPages) {
-            const page = await fetchCloudflarePullPage(pullEndpoint, apiToken, cursor, pageLimit, accountKey);
-            pageCount += 1;
-
-            if (page.videoIds.length === 0) {
-                break;
-            }
-
-            pulledCount += page.videoIds.length;
-            importedCount += await importVideoIdsIntoLocalHistory(tabId, page.videoIds, {
-                skipSyncQueue: true
-            });
-
-            console.info('[YT-Commander][CloudSync] Pulled page from Cloudflare', {
-                page: pageCount,
-                pulled: page.videoIds.length,
-                importedTotal: importedCount,
-                cursor: page.nextCursor || null
-            });
-
-            if (!page.hasMore) {
-                break;
-            }
+async function routeAutomationUploads(tabId, settings, found, runDate) {
+    const playlistResults = [];
 
-            if (!page.nextCursor || page.nextCursor === cursor) {
-                break;
-            }
-
-            cursor = page.nextCursor;
-        }
-
-        return { pulledCount, importedCount, pageCount };
-    } finally {
-        if (createdTab && tabId) {
-            await removeTab(tabId);
-        }
-        cloudSyncInProgress = false;
+    if (found.shortIds.length > 0) {
+        playlistResults.push(await addAutomationVideosToPlaylist(
+            tabId,
+            'shorts',
+            settings.shortsPlaylist,
+            settings.shortsPlaylistTitle,
+            found.shortIds
+        ));
     }
-}
 
-/**
- * Seed missing watched IDs from imported file into local IndexedDB and Cloudflare.
- * @param {{videoIds?: string[], endpointUrl?: string, apiToken?: string, activeTabId?: number}} options
- * @returns {Promise<{providedCount: number, importedCount: number, syncedCount: number, pendingCount: number, endpointHost: string, skipped?: boolean, reason?: string}>}
- */
-async function seedHistoryToLocalAndCloudflare(options = {}) {
-    const rawVideoIds = Array.isArray(options.videoIds) ? options.videoIds : [];
-    const videoIds = normalizeVideoIds(rawVideoIds);
-    if (videoIds.length === 0) {
-        throw new Error('No valid video IDs were provided');
+    if (found.videoIds.length === 0) {
+        return playlistResults;
     }
 
-    const state = await readCloudSyncState();
-    const endpointRaw = typeof options.endpointUrl === 'string' && options.endpointUrl.trim()
-        ? options.endpointUrl.trim()
-        : state.endpointUrl;
-    const apiToken = typeof options.apiToken === 'string'
-        ? options.apiToken.trim()
-        : state.apiToken;
-
-    if (!endpointRaw) {
-        throw new Error('Cloudflare Worker URL is required');
+    if (settings.videosMode !== 'split') {
+        playlistResults.push(await addAutomationVideosToPlaylist(
+            tabId,
+            'videos',
+            settings.videosPlaylist,
+            settings.videosPlaylistTitle,
+            found.videoIds
+        ));
+        return playlistResults;
     }
 
-    const endpoint = parseCloudflareEndpoint(endpointRaw);
+    const chunks = [];
+    for (let i = 0; i < found.videoIds.length; i += settings.splitCount) {
+        chunks.push(found.videoIds.slice(i, i + settings.splitCount));
+    }
 
-    let createdTab = false;
-    let tabId = 0;
-    const preferredTabId = Number.isFinite(options.activeTabId) ? Number(options.activeTabId) : 0;
+    for (let i = 0; i < chunks.length; i += 1) {
+        const title = buildAutomationSplitPlaylistTitle(runDate, i, chunks.length);
+        playlistResults.push(await createAutomationSplitPlaylist(tabId, title, chunks[i]));
+    }
 
-    try {
-        if (preferredTabId > 0 && await hasWatchedHistoryReceiver(preferredTabId, 1)) {
-            tabId = preferredTabId;
-        } else {
-            const tabInfo = await resolveYouTubeTabForHistory();
-            tabId = tabInfo.tabId;
-            createdTab = tabInfo.created === true;
-        }
+    return playlistResults;
+}
 
-        let importedCount = 0;
-        for (let index = 0; index < videoIds.length; index += FILE_SEED_IMPORT_BATCH_SIZE) {
-            const batch = videoIds.slice(index, index + FILE_SEED_IMPORT_BATCH_SIZE);
-            importedCount += await importVideoIdsIntoLocalHistory(tabId, batch, {
-                skipSyncQueue: false
-            });
-        }
+/**
+ * Resolve overall automation status from per-playlist results.
+ * @param {Array<{requestedCount: number, addedCount: number}>} playlistResults
+ * @returns {'success'|'partial'|'failed'}
+ */
+function resolveAutomationRunStatus(playlistResults) {
+    const requested = playlistResults.reduce((sum, entry) => sum + entry.requestedCount, 0);
+    const added = playlistResults.reduce((sum, entry) => sum + entry.addedCount, 0);
 
-        try {
-            const syncResult = await performCloudflareSync({
-                manual: true,
-                endpointUrl: endpoint.toString(),
-                apiToken,
-                source: 'seed-history-from-file',
-                activeTabId: tabId
-            });
-            const fallbackStatus = Number.isFinite(Number(syncResult?.pendingCount))
-                ? null
-                : await getCloudSyncStatus();
-
-            return {
-                providedCount: videoIds.length,
-                importedCount,
-                syncedCount: Number(syncResult?.syncedCount) || 0,
-                pendingCount: Number(syncResult?.pendingCount)
-                    || Number(fallbackStatus?.pendingCount)
-                    || 0,
-                endpointHost: typeof syncResult?.endpointHost === 'string' && syncResult.endpointHost
-                    ? syncResult.endpointHost
-                    : endpoint.host,
-                skipped: syncResult?.skipped === true,
-                reason: typeof syncResult?.reason === 'string' ? syncResult.reason : ''
-            };
-        } catch (error) {
-            const message = error?.message || 'Cloudflare sync failed';
-            throw new Error(`${message}. Local import completed for ${importedCount} new IDs.`);
-        }
-    } finally {
-        if (createdTab && tabId) {
-            await removeTab(tabId);
-        }
+    if (added >= requested) {
+        return 'success';
     }
+    return added > 0 ? 'partial' : 'failed';
 }
 
 /**
- * Perform queue-based cloud sync.
- * @param {{manual?: boolean, endpointUrl?: string, apiToken?: string, source?: string, activeTabId?: number}} options
- * @returns {Promise<object>}
+ * Load the signed-in account playlists for automation playlist pickers.
+ * @returns {Promise<{playlists: Array<{id: string, title: string}>}>}
  */
-async function performCloudflareSync(options = {}) {
-    if (cloudSyncInProgress) {
-        return {
-            success: true,
-            skipped: true,
-            reason: 'Sync already in progress',
-            syncedCount: 0
-        };
+async function getAutomationPlaylists() {
+    const tabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN });
+    const tab = tabs.find((item) => item.active) || tabs[0];
+    if (!tab?.id) {
+        throw new Error('Open a YouTube tab to load playlists');
     }
 
-    const manual = options.manual === true;
-    const source = typeof options.source === 'string' ? options.source : 'cloud-sync';
-
-    const state = await readCloudSyncState();
-    const endpointRaw = typeof options.endpointUrl === 'string' && options.endpointUrl.trim()
-        ? options.endpointUrl.trim()
-        : state.endpointUrl;
-    const apiToken = typeof options.apiToken === 'string'
-        ? options.apiToken.trim()
-        : state.apiToken;
-    const syncAccountKey = manual
-        ? await resolveManualSyncAccountKey(options.activeTabId)
-        : await resolveSyncAccountKey();
-
-    const endpoint = parseCloudflareEndpoint(endpointRaw);
-
-    if (!manual && !state.autoEnabled) {
-        return {
-            success: true,
-            skipped: true,
-            reason: 'Auto sync disabled',
-            syncedCount: 0
-        };
-    }
-
-    if (!manual && state.backoffUntil > Date.now()) {
-        return {
-            success: true,
-            skipped: true,
-            reason: 'Backoff active',
-            syncedCount: 0,
-            retryAt: state.backoffUntil
-        };
-    }
+    const result = await runPlaylistBridgeAction(tab.id, 'GET_PLAYLISTS', {});
+    const playlists = Array.isArray(result?.playlists) ? result.playlists : [];
+    return {
+        playlists: playlists
+            .filter((playlist) => playlist?.id && playlist.id !== 'WL')
+            .map((playlist) => ({ id: playlist.id, title: playlist.title || playlist.id }))
+    };
+}
 
-    let pendingBefore = await readPendingQueue(syncAccountKey);
-    if (pendingBefore.length === 0 && state.queueSeeded !== true) {
-        try {
-            const seededCount = await seedPendingQueueFromWatchedHistory(syncAccountKey);
-            if (seededCount > 0) {
-                console.info('[YT-Commander][CloudSync] Seeded pending queue from watched history', {
-                    accountKey: syncAccountKey,
-                    seededCount
+async function runSubscriptionAutomation() {
+    console.info('[YT-Commander][Automation] Starting subscription automation...');
+    
+    try {
+        const settings = await readAutomationSettings();
+        console.info('[YT-Commander][Automation] Settings:', settings);
+        
+        const now = new Date();
+        
+        await storageLocalSet({
+            [AUTOMATION_STORAGE_KEYS.LAST_RUN]: now.toISOString(),
+            [AUTOMATION_STORAGE_KEYS.LAST_VIDEOS_COUNT]: 0,
+            [AUTOMATION_STORAGE_KEYS.LAST_SHORTS_COUNT]: 0,
+            [AUTOMATION_STORAGE_KEYS.LAST_STATUS]: 'running',
+            [AUTOMATION_STORAGE_KEYS.LAST_PLAYLIST_RESULTS]: []
+        });
+        
+const SUBSCRIPTIONS_URL = 'https://www.youtube.com/feed/subscriptions';
+        let tab = null;
+        
+        const subscriptionsTabs = await queryTabs({ url: SUBSCRIPTIONS_URL, active: true });
+        if (subscriptionsTabs.length > 0) {
+            tab = subscriptionsTabs[0];
+        }
+        
+        if (!tab) {
+            const existingTabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN, active: true, currentWindow: true });
+            if (existingTabs.length > 0) {
+                tab = existingTabs[0];
+                await new Promise((resolve) => {
+                    chrome.tabs.update(tab.id, { url: SUBSCRIPTIONS_URL, active: true }, () => resolve());
                 });
+                await waitForTabReady(tab.id);
+                await delay(2000);
+            } else {
+                tab = await createTab({ url: SUBSCRIPTIONS_URL, active: true });
+                await waitForTabReady(tab.id);
+                await delay(3000);
             }
-        } catch (error) {
-            console.warn('[YT-Commander][CloudSync] Failed to seed pending queue from watched history', error);
-        }
-        pendingBefore = await readPendingQueue(syncAccountKey);
-    }
-
-    if (pendingBefore.length === 0) {
-        if (state.queueSeeded !== true) {
-            await storageLocalSet({
-                [CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED]: true
-            });
+        } else {
+            await chrome.tabs.update(tab.id, { active: true });
+            await delay(2000);
         }
-        await storageLocalSet({
-            [CLOUD_SYNC_STORAGE_KEYS.STATUS]: 'idle',
-            [CLOUD_SYNC_STORAGE_KEYS.ERROR]: '',
-            [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0
-        });
-
-        return {
-            success: true,
-            skipped: true,
-            reason: 'No changes to sync',
-            pendingCount: 0
-        };
-    }
-
-    cloudSyncInProgress = true;
-    console.info('[YT-Commander][CloudSync] Sync started', {
-        endpoint: endpoint.origin + endpoint.pathname,
-        manual,
-        source,
-        accountKey: syncAccountKey
-    });
-
-    try {
-        const maxPerRun = manual ? MANUAL_SYNC_MAX_IDS_PER_RUN : AUTO_SYNC_MAX_IDS_PER_RUN;
-        let syncedCount = 0;
-        let batchCount = 0;
-        let lastServerResult = null;
-
-        while (syncedCount < maxPerRun) {
-            const pendingQueue = await readPendingQueue(syncAccountKey);
-            if (pendingQueue.length === 0) {
+        
+        let lookbackMs = 24 * 60 * 60 * 1000;
+        switch (settings.lookback) {
+            case 'yesterday':
+            case '24h':
+                lookbackMs = 24 * 60 * 60 * 1000;
                 break;
-            }
-
-            const remaining = maxPerRun - syncedCount;
-            const chunkLimit = Math.min(AUTO_SYNC_CHUNK_SIZE, remaining, pendingQueue.length);
-            const videoIds = pendingQueue.slice(0, chunkLimit);
-
-            lastServerResult = await postCloudflareSyncBatch(endpoint, apiToken, videoIds, syncAccountKey);
-            await removePendingVideoIds(videoIds, syncAccountKey);
-
-            syncedCount += videoIds.length;
-            batchCount += 1;
-
-            if (videoIds.length < chunkLimit) {
+            case '48h':
+                lookbackMs = 48 * 60 * 60 * 1000;
                 break;
+            default:
+                lookbackMs = 24 * 60 * 60 * 1000;
+        }
+        
+        const automationScript = function(lookbackMsParam) {
+            function parsePublishedTime(publishedText) {
+                if (!publishedText) return null;
+                const now = new Date();
+                const match = publishedText.match(/(\d+)\s*(second|minute|hour|day|week|month|year)s?\s*ago/i);
+                if (!match) return null;
+                const value = parseInt(match[1]);
+                const unit = match[2].toLowerCase();
+                let ms;
+                switch (unit) {
+                    case 'second': ms = value * 1000; break;
+                    case 'minute': ms = value * 60 * 1000; break;
+                    case 'hour': ms = value * 60 * 60 * 1000; break;
+                    case 'day': ms = value * 24 * 60 * 60 * 1000; break;
+                    case 'week': ms = value * 7 * 24 * 60 * 60 * 1000; break;
+                    case 'month': ms = value * 30 * 24 * 60 * 60 * 1000; break;
+                    case 'year': ms = value * 365 * 24 * 60 * 60 * 1000; break;
+                    default: return null;
+                }
+                return new Date(now.getTime() - ms);
+            }
+            
+            async function getWatchedVideoIds() {
+                return new Promise((resolve) => {
+                    try {
+                        const request = indexedDB.open('YouTubeCommanderDB');
+                        request.onsuccess = () => {
+                            const db = request.result;
+                            if (!db.objectStoreNames.contains('watchedVideos')) {
+                                resolve([]);
+                                return;
+                            }
+                            const tx = db.transaction(['watchedVideos'], 'readonly');
+                            const store = tx.objectStore('watchedVideos');
+                            const getAll = store.getAll();
+                            getAll.onsuccess = () => resolve(getAll.result.map(v => v.videoId));
+                            getAll.onerror = () => resolve([]);
+                        };
+                        request.onerror = () => resolve([]);
+                    } catch (e) { resolve([]); }
+                });
             }
+            
+            return (async function() {
+                const watchedIds = new Set(await getWatchedVideoIds());
+                
+                const videos = [];
+                const shorts = [];
+                
+                const contents = window.__ytInitialData?.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]?.tabRenderer?.content?.richGridRenderer?.contents || [];
+                
+                for (const section of contents) {
+                    const richSection = section?.richSectionRenderer?.content;
+                    const richShelf = richSection?.richShelfRenderer || richSection?.shelfRenderer;
+                    const items = richShelf?.contents || [];
+                    
+                    for (const item of items) {
+                        const richItem = item?.richItemRenderer?.content;
+                        const lockup = richItem?.lockupViewModel;
+                        
+                        if (lockup?.contentId) {
+                            const videoId = lockup.contentId;
+                            const title = lockup?.metadata?.lockupMetadataViewModel?.title?.content || 'Unknown';
+                            const metadata = lockup?.metadata?.lockupMetadataViewModel;
+                            
+                            if (!watchedIds.has(videoId)) {
+                                const isShort = metadata?.metadataBadgeContainer?.metadataBadgeContainerRenderer?.metadataBadgeRenderer?.label?.content?.toLowerCase()?.includes('short');
+                                
+                                videos.push({ 
+                                    videoId: videoId, 
+                                    title: title,
+                                    isShort: isShort
+                                });
+                            }
+                        }
+                    }
+                }
+                
+                return { success: true, videos, shorts };
+            })();
+        };
+        
+        const result = await new Promise((resolve, reject) => {
+            chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: automationScript,
+                args: [lookbackMs],
+                world: 'MAIN'
+            }, (results) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(results?.[0]?.result || { success: false, error: 'No result', videos: [], shorts: [] });
+                }
+            });
+        });
+        
+        if (result?.error) {
+            console.error('[YT-Commander][Automation] API Error:', result.error);
+            throw new Error('API Error: ' + result.error);
         }
-
-        const pendingCount = (await readPendingQueue(syncAccountKey)).length;
-
+        
+        const foundItems = [
+            ...(Array.isArray(result?.videos) ? result.videos : []),
+            ...(Array.isArray(result?.shorts) ? result.shorts.map((item) => ({ ...item, isShort: true })) : [])
+        ];
+        const found = {
+            videoIds: normalizeVideoIds(foundItems.filter((item) => !item?.isShort).map((item) => item?.videoId)),
+            shortIds: normalizeVideoIds(foundItems.filter((item) => item?.isShort).map((item) => item?.videoId))
+        };
+        
+        console.info('[YT-Commander][Automation] Found', found.videoIds.length, 'videos and', found.shortIds.length, 'shorts');
+        
+        const playlistResults = await routeAutomationUploads(tab.id, settings, found, now);
+        const sumAdded = (kind) => playlistResults
+            .filter((entry) => entry.kind === kind)
+            .reduce((sum, entry) => sum + entry.addedCount, 0);
+        const videosCount = sumAdded('videos');
+        const shortsCount = sumAdded('shorts');
+        const status = resolveAutomationRunStatus(playlistResults);
+        
+        console.info('[YT-Commander][Automation] Playlist results', { status, playlistResults });
+        
         await storageLocalSet({
-            [CLOUD_SYNC_STORAGE_KEYS.ENDPOINT]: endpoint.toString(),
-            [CLOUD_SYNC_STORAGE_KEYS.API_TOKEN]: apiToken,
-            [CLOUD_SYNC_STORAGE_KEYS.LAST_AT]: Date.now(),
-            [CLOUD_SYNC_STORAGE_KEYS.STATUS]: 'success',
-            [CLOUD_SYNC_STORAGE_KEYS.ERROR]: '',
-            [CLOUD_SYNC_STORAGE_KEYS.COUNT]: syncedCount,
-            [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: pendingCount,
-            [CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT]: 0,
-            [CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: 0
+            [AUTOMATION_STORAGE_KEYS.LAST_VIDEOS_COUNT]: videosCount,
+            [AUTOMATION_STORAGE_KEYS.LAST_SHORTS_COUNT]: shortsCount,
+            [AUTOMATION_STORAGE_KEYS.LAST_STATUS]: status,
+            [AUTOMATION_STORAGE_KEYS.LAST_PLAYLIST_RESULTS]: playlistResults
         });
-
+        
+        await scheduleAutomation();
+        
+        const failedCount = playlistResults.reduce((sum, entry) => sum + entry.failedCount, 0);
+        showNotification(
+            'YouTube Commander',
+            failedCount > 0
+                ? `Added ${videosCount} videos and ${shortsCount} shorts, ${failedCount} failed`
+                : `Added ${videosCount} videos and ${shortsCount} shorts from subscriptions`
+        );
+        
         return {
-            success: true,
-            accountKey: syncAccountKey,
-            syncedCount,
-            pendingCount,
-            endpointHost: endpoint.host,
-            endpointPath: endpoint.pathname || '/',
-            batchCount,
-            serverResult: lastServerResult
+            success: status !== 'failed',
+            videosCount,
+            shortsCount,
+            failedCount,
+            status,
+            playlistResults,
+            error: status === 'failed' ? (playlistResults[0]?.error || 'Failed to add videos to playlists') : undefined
         };
     } catch (error) {
-        const failureCount = (state.failureCount || 0) + 1;
-        const backoffMinutes = manual ? 0 : computeBackoffMinutes(failureCount);
-        const backoffUntil = backoffMinutes > 0
-            ? Date.now() + (backoffMinutes * 60 * 1000)
-            : 0;
-
+        console.error('[YT-Commander][Automation] Error:', error);
+        
         await storageLocalSet({
-            [CLOUD_SYNC_STORAGE_KEYS.STATUS]: 'error',
-            [CLOUD_SYNC_STORAGE_KEYS.ERROR]: error?.message || 'Cloudflare sync failed',
-            [CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT]: failureCount,
-            [CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: backoffUntil
+            [AUTOMATION_STORAGE_KEYS.LAST_STATUS]: 'failed'
         });
-
-        console.error('[YT-Commander][CloudSync] Sync failed', error);
-        throw error;
-    } finally {
-        cloudSyncInProgress = false;
-    }
-}
-/**
- * Perform subscription sync.
- * @param {{manual?: boolean, endpointUrl?: string, apiToken?: string, source?: string, activeTabId?: number}} options
- * @returns {Promise<object>}
- */
-async function performSubscriptionSync(options = {}) {
-    if (subscriptionSyncInProgress) {
+        
+        showNotification('YouTube Commander', 'Subscription automation failed: ' + error.message);
+        
         return {
-            success: true,
-            skipped: true,
-            reason: 'Sync already in progress',
-            syncedCount: 0
+            success: false,
+            error: error.message
         };
     }
+}
 
-    const manual = options.manual === true;
-    const source = typeof options.source === 'string' ? options.source : 'subscription-sync';
-
-    const state = await readSubscriptionSyncState();
-    const endpointRaw = typeof options.endpointUrl === 'string' && options.endpointUrl.trim()
-        ? options.endpointUrl.trim()
-        : state.endpointUrl;
-    const apiToken = typeof options.apiToken === 'string'
-        ? options.apiToken.trim()
-        : state.apiToken;
-
-    const endpoint = buildSubscriptionEndpoint(endpointRaw);
-
-    if (!manual && !state.autoEnabled) {
-        return {
-            success: true,
-            skipped: true,
-            reason: 'Auto sync disabled',
-            syncedCount: 0
-        };
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AUTOMATION_ALARM_NAME) {
+        console.info('[YT-Commander][Automation] Alarm triggered, running automation...');
+        runSubscriptionAutomation().catch((error) => {
+            console.error('[YT-Commander][Automation] Alarm handler error:', error);
+        });
     }
+});
 
-    if (!manual && state.backoffUntil > Date.now()) {
-        return {
-            success: true,
-            skipped: true,
-            reason: 'Backoff active',
-            syncedCount: 0,
-            retryAt: state.backoffUntil
-        };
+chrome.runtime.onStartup.addListener(async () => {
+    console.info('[YT-Commander][Automation] Browser started, checking if automation was missed...');
+    
+    const settings = await readAutomationSettings();
+    if (!settings.enabled) {
+        return;
     }
-
-    const pendingBefore = await readSubscriptionPendingKeys();
-    if (pendingBefore.length === 0) {
-        await storageLocalSet({
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]: 'idle',
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]: '',
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0
+    
+    const [hours, minutes] = settings.time.split(':').map(Number);
+    const now = new Date();
+    const scheduledToday = new Date(now);
+    scheduledToday.setHours(hours, minutes, 0, 0);
+    
+    if (scheduledToday <= now) {
+        console.info('[YT-Commander][Automation] Missed today\'s scheduled run, executing now...');
+        runSubscriptionAutomation().catch((error) => {
+            console.error('[YT-Commander][Automation] Startup automation error:', error);
         });
-
-        return {
-            success: true,
-            skipped: true,
-            reason: 'No changes to sync',
-            pendingCount: 0
-        };
     }
+    
+    await scheduleAutomation();
+});
 
-    subscriptionSyncInProgress = true;
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'SCHEDULE_AUTOMATION') {
+        scheduleAutomation()
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    if (message.type === 'GET_AUTOMATION_PLAYLISTS') {
+        getAutomationPlaylists()
+            .then((result) => sendResponse({ success: true, ...result }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    if (message.type === 'RUN_SUBSCRIPTION_AUTOMATION') {
+        runSubscriptionAutomation()
+            .then((result) => sendResponse(result))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+    
+    return false;
+});
 
-    console.info('[YT-Commander][SubscriptionSync] Sync started', {
-        endpoint: endpoint.origin + endpoint.pathname,
-        manual,
-        source
-    });
+const AUTO_SKIP_STORAGE_KEY = 'autoSkipEnabled';
 
-    let createdTab = false;
-    let tabId = 0;
+const AUTO_SKIP_SELECTORS = [
+    '.ytp-skip-ad-button',
+    '#skip-button\\:2',
+    '.ytp-ad-skip-button-modern',
+    '.ytp-ad-skip-button'
+];
 
-    try {
-        const requestedTabId = Number.isFinite(options.activeTabId) ? Number(options.activeTabId) : 0;
-        const accountResolution = await resolveSubscriptionSyncAccountKey({
-            preferredTabId: requestedTabId,
-            state
-        });
+const AUTO_SKIP_AD_SELECTORS = [
+    '.ad-showing',
+    '.ytp-ad-player-overlay',
+    '.ytp-ad-module'
+];
 
-        let accountKey = accountResolution.accountKey;
-        if (accountResolution.usedTabId) {
-            tabId = accountResolution.usedTabId;
-            createdTab = accountResolution.createdTab;
+const AUTO_SKIP_SCRIPT = function() {
+    if (window.__ytCommanderAutoSkipInjected) {
+        return;
+    }
+    window.__ytCommanderAutoSkipInjected = true;
+    
+    console.log('[AutoSkipAds] Script injected successfully');
+    
+    function isAdPlaying() {
+        for (const selector of ['.ad-showing', '.ytp-ad-player-overlay']) {
+            const el = document.querySelector(selector);
+            if (el && el.offsetParent !== null) {
+                return true;
+            }
         }
-
-        if (!tabId) {
-            if (requestedTabId) {
-                const hasReceiver = await hasWatchedHistoryReceiver(requestedTabId, 1);
-                if (hasReceiver) {
-                    tabId = requestedTabId;
+        return false;
+    }
+    
+    function getSkipButton() {
+        for (const selector of ['.ytp-skip-ad-button', '#skip-button\\:2', '.ytp-ad-skip-button-modern', '.ytp-ad-skip-button']) {
+            try {
+                const el = document.querySelector(selector);
+                if (el && el.offsetParent !== null && el.getBoundingClientRect().height > 0) {
+                    return el;
                 }
-            }
-
-            if (!tabId) {
-                const tabInfo = await resolveYouTubeTabForHistory();
-                createdTab = tabInfo.created;
-                tabId = tabInfo.tabId;
-            }
+            } catch (e) {}
         }
+        return null;
+    }
+    
+    function trySkip() {
+        if (!isAdPlaying()) return;
+        const btn = getSkipButton();
+        if (btn) {
+            btn.click();
+            console.log('[AutoSkipAds] Clicked skip button!');
+        }
+    }
+    
+    setInterval(trySkip, 250);
+    
+    new MutationObserver(function() {
+        setTimeout(trySkip, 500);
+    }).observe(document.body, { childList: true, subtree: true });
+    
+    document.addEventListener('click', function(e) {
+        if (isAdPlaying()) {
+            setTimeout(trySkip, 300);
+        }
+    }, true);
+    
+    console.log('[AutoSkipAds] Auto-skip initialized');
+};
 
-        const snapshot = await getSubscriptionSnapshotFromTab(tabId);
-        const pendingKeys = await readSubscriptionPendingKeys();
-
-        const local = await storageLocalGet([
-            'subscriptionManagerCategories',
-            'subscriptionManagerAssignments'
-        ]);
-
-        const categories = Array.isArray(local.subscriptionManagerCategories)
-            ? local.subscriptionManagerCategories
-                .map((item) => {
-                    if (!item || typeof item !== 'object') {
-                        return null;
-                    }
-                    const id = typeof item.id === 'string' ? item.id.trim() : '';
-                    const name = typeof item.name === 'string' ? item.name.trim() : '';
-                    const color = typeof item.color === 'string' ? item.color : '';
-                    if (!id || !name) {
-                        return null;
-                    }
-                    return { id, name, color };
-                })
-                .filter(Boolean)
-            : [];
-
-        const categoryIds = new Set(categories.map((item) => item.id));
-        const assignments = {};
-        const rawAssignments = local.subscriptionManagerAssignments;
-        if (rawAssignments && typeof rawAssignments === 'object') {
-            Object.entries(rawAssignments).forEach(([channelId, list]) => {
-                if (typeof channelId !== 'string' || !channelId) {
-                    return;
-                }
-                const next = Array.isArray(list)
-                    ? list.filter((id) => typeof id === 'string' && id && categoryIds.has(id))
-                    : [];
-                if (next.length > 0) {
-                    assignments[channelId] = Array.from(new Set(next));
+async function injectAutoSkipScript(tabId) {
+    try {
+        await new Promise((resolve, reject) => {
+            chrome.scripting.executeScript({
+                target: { tabId: tabId },
+                func: AUTO_SKIP_SCRIPT,
+                world: 'MAIN'
+            }, (results) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(results);
                 }
             });
-        }
+        });
+        console.log('[AutoSkipAds] Successfully injected into tab', tabId);
+        return true;
+    } catch (error) {
+        console.error('[AutoSkipAds] Failed to inject into tab', tabId, error.message);
+        return false;
+    }
+}
 
-        const payload = {
-            accountKey,
-            syncedAt: Date.now(),
-            pendingKeys,
-            snapshot: {
-                hash: typeof snapshot.hash === 'string' ? snapshot.hash : '',
-                fetchedAt: Number(snapshot.fetchedAt) || Date.now(),
-                total: Array.isArray(snapshot.channels) ? snapshot.channels.length : 0,
-                channels: Array.isArray(snapshot.channels) ? snapshot.channels : []
-            },
-            categories,
-            assignments
-        };
+chrome.tabs.onCreated.addListener(async (tab) => {
+    if (!tab.id || !tab.url) return;
+    if (!tab.url.includes('youtube.com')) return;
+    
+    const result = await chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY]);
+    if (result[AUTO_SKIP_STORAGE_KEY] === false) return;
+    
+    setTimeout(async () => {
+        await injectAutoSkipScript(tab.id);
+    }, 2000);
+});
 
-        const serverResult = await postSubscriptionSyncPayload(endpoint, apiToken, payload);
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    if (changeInfo.status !== 'complete') return;
+    if (!tab?.url || !tab.url.includes('youtube.com')) return;
+    
+    const result = await chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY]);
+    if (result[AUTO_SKIP_STORAGE_KEY] === false) return;
+    
+    await injectAutoSkipScript(tabId);
+});
 
-        await storageLocalSet({
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT]: endpoint.toString(),
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN]: apiToken,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.LAST_AT]: Date.now(),
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]: 'success',
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]: '',
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT]: payload.snapshot.total,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: [],
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: accountKey,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT]: 0,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: 0
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'GET_AUTO_SKIP_ENABLED') {
+        chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY], (result) => {
+            sendResponse({ enabled: result[AUTO_SKIP_STORAGE_KEY] !== false });
         });
-
-        return {
-            success: true,
-            accountKey,
-            syncedCount: payload.snapshot.total,
-            pendingCount: 0,
-            endpointHost: endpoint.host,
-            endpointPath: endpoint.pathname || '/',
-            serverResult
-        };
-    } catch (error) {
-        const failureCount = (state.failureCount || 0) + 1;
-        const backoffMinutes = manual ? 0 : computeBackoffMinutes(failureCount);
-        const backoffUntil = backoffMinutes > 0
-            ? Date.now() + (backoffMinutes * 60 * 1000)
-            : 0;
-
-        await storageLocalSet({
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]: 'error',
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]: error?.message || 'Subscription sync failed',
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT]: failureCount,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: backoffUntil
+        return true;
+    }
+    
+    if (message.type === 'SET_AUTO_SKIP_ENABLED') {
+        chrome.storage.local.set({ [AUTO_SKIP_STORAGE_KEY]: message.enabled }, () => {
+            sendResponse({ success: true });
         });
+        return true;
+    }
+    
+    return false;
+});
 
-        console.error('[YT-Commander][SubscriptionSync] Sync failed', error);
-        throw error;
-    } finally {
-        if (createdTab && tabId) {
-            await removeTab(tabId);
+async function initializeAutoSkipOnExistingTabs() {
+    const result = await chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY]);
+    if (result[AUTO_SKIP_STORAGE_KEY] === false) return;
+    
+    try {
+        const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
+        for (const tab of tabs) {
+            if (tab.id) {
+                await injectAutoSkipScript(tab.id);
+            }
         }
-        subscriptionSyncInProgress = false;
+    } catch (error) {
+        console.error('[AutoSkipAds] Failed to initialize on existing tabs', error);
     }
 }
 
-/**
- * Restore subscription manager data from Cloudflare.
- * @param {{endpointUrl?: string, apiToken?: string, accountKey?: string}} options
- * @returns {Promise<{channelCount: number, categoryCount: number, assignmentCount: number, endpointHost: string}>}
- */
-async function restoreSubscriptionsFromCloudflare(options = {}) {
-    if (subscriptionRestoreInProgress) {
-        throw new Error('Restore is already in progress');
-    }
-    if (subscriptionSyncInProgress) {
-        throw new Error('Subscription sync is already in progress');
-    }
+scheduleAutomation().catch((error) => {
+    console.error('[YT-Commander][Automation] Initial schedule error:', error);
+});
 
-    const state = await readSubscriptionSyncState();
-    const endpointRaw = typeof options.endpointUrl === 'string' && options.endpointUrl.trim()
-        ? options.endpointUrl.trim()
-        : state.endpointUrl;
-    const apiToken = typeof options.apiToken === 'string'
-        ? options.apiToken.trim()
-        : state.apiToken;
+initializeAutoSkipOnExistingTabs();
 
-    const endpoint = buildSubscriptionEndpoint(endpointRaw);
+const LOCAL_BACKUP_ALARM_NAME = 'ytCommanderLocalBackup';
+const LOCAL_BACKUP_CHECK_PERIOD_MINUTES = 60;
+const LOCAL_BACKUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const LOCAL_BACKUP_RETENTION_DAILY = 7;
+const LOCAL_BACKUP_RETENTION_WEEKLY = 4;
+const LOCAL_BACKUP_MAX_SAFETY_SNAPSHOTS = 3;
+const LOCAL_BACKUP_FORMAT_VERSION = 1;
+const LOCAL_BACKUP_DB_NAME = 'YTCommanderBackups';
+const LOCAL_BACKUP_DB_VERSION = 1;
+const LOCAL_BACKUP_META_STORE = 'snapshots';
+const LOCAL_BACKUP_DATA_STORE = 'payloads';
+const LOCAL_BACKUP_SECTIONS = ['history', 'subscriptions', 'settings'];
+const LOCAL_BACKUP_STORAGE_KEYS = {
+    AUTO_ENABLED: 'localBackupAutoEnabled',
+    LAST_AUTO_AT: 'localBackupLastAutoAt',
+    LAST_ERROR: 'localBackupLastError'
+};
 
-    subscriptionRestoreInProgress = true;
+// Local-storage preferences captured with the sync-storage settings.
+// Sync endpoints, tokens and passwords are left out on purpose.
+const LOCAL_BACKUP_LOCAL_SETTING_KEYS = [
+    AUTOMATION_STORAGE_KEYS.ENABLED,
+    AUTOMATION_STORAGE_KEYS.TIME,
+    AUTOMATION_STORAGE_KEYS.LOOKBACK,
+    AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST,
+    AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST_TITLE,
+    AUTOMATION_STORAGE_KEYS.VIDEOS_MODE,
+    AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST,
+    AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST_TITLE,
+    AUTOMATION_STORAGE_KEYS.SPLIT_COUNT,
+    AUTO_SKIP_STORAGE_KEY,
+    CLOUD_SYNC_STORAGE_KEYS.AUTO_ENABLED,
+    CLOUD_SYNC_STORAGE_KEYS.INTERVAL_MINUTES,
+    SUBSCRIPTION_SYNC_STORAGE_KEYS.AUTO_ENABLED,
+    SUBSCRIPTION_SYNC_STORAGE_KEYS.INTERVAL_MINUTES,
+    LOCAL_BACKUP_STORAGE_KEYS.AUTO_ENABLED
+];
 
-    let createdTab = false;
-    let cleanupTabId = 0;
+let localBackupInProgress = false;
+let localBackupDbPromise = null;
 
-    try {
-        const accountResolution = await resolveSubscriptionSyncAccountKey({
-            accountKey: options.accountKey,
-            preferredTabId: options.activeTabId,
-            state
-        });
-        const accountKey = accountResolution.accountKey;
-        createdTab = accountResolution.createdTab;
-        cleanupTabId = accountResolution.usedTabId;
-
-        const payload = await fetchSubscriptionRestorePayload(endpoint, apiToken, accountKey);
-        const snapshot = payload && typeof payload.snapshot === 'object' ? payload.snapshot : {};
-        const rawChannels = Array.isArray(payload.channels)
-            ? payload.channels
-            : (Array.isArray(snapshot.channels) ? snapshot.channels : []);
-        const rawCategories = Array.isArray(payload.categories) ? payload.categories : [];
-        const rawAssignments = payload && typeof payload.assignments === 'object'
-            ? payload.assignments
-            : {};
-
-        const channels = rawChannels.filter((channel) => channel && typeof channel.channelId === 'string' && channel.channelId);
-
-        const categories = rawCategories
-            .map((item) => {
-                if (!item || typeof item !== 'object') {
-                    return null;
-                }
-                const id = typeof item.id === 'string' ? item.id.trim() : '';
-                const name = typeof item.name === 'string' ? item.name.trim() : '';
-                const color = typeof item.color === 'string' ? item.color : '';
-                if (!id || !name) {
-                    return null;
-                }
-                return { id, name, color };
-            })
-            .filter(Boolean);
-
-        const categoryIds = new Set(categories.map((item) => item.id));
-        const assignments = {};
-        let assignmentCount = 0;
-        if (rawAssignments && typeof rawAssignments === 'object') {
-            Object.entries(rawAssignments).forEach(([channelId, list]) => {
-                if (typeof channelId !== 'string' || !channelId) {
-                    return;
-                }
-                const next = Array.isArray(list)
-                    ? list.filter((id) => typeof id === 'string' && id && categoryIds.has(id))
-                    : [];
-                if (next.length > 0) {
-                    const unique = Array.from(new Set(next));
-                    assignments[channelId] = unique;
-                    assignmentCount += unique.length;
-                }
-            });
-        }
+/**
+ * Open the extension-origin backup database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openLocalBackupDb() {
+    if (localBackupDbPromise) {
+        return localBackupDbPromise;
+    }
 
-        const fetchedAt = Number(snapshot.fetchedAt) || Date.now();
-        const hash = typeof snapshot.hash === 'string' ? snapshot.hash : '';
+    localBackupDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(LOCAL_BACKUP_DB_NAME, LOCAL_BACKUP_DB_VERSION);
 
-        await storageLocalSet({
-            subscriptionManagerCategories: categories,
-            subscriptionManagerAssignments: assignments,
-            subscriptionManagerSnapshot: {
-                channels,
-                fetchedAt,
-                hash
-            },
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: [],
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT]: channels.length,
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: accountKey
-        });
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(LOCAL_BACKUP_META_STORE)) {
+                db.createObjectStore(LOCAL_BACKUP_META_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(LOCAL_BACKUP_DATA_STORE)) {
+                db.createObjectStore(LOCAL_BACKUP_DATA_STORE, { keyPath: 'id' });
+            }
+        };
 
-        return {
-            channelCount: channels.length,
-            categoryCount: categories.length,
-            assignmentCount,
-            endpointHost: endpoint.host
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            localBackupDbPromise = null;
+            reject(request.error || new Error('Failed to open backup database'));
         };
-    } finally {
-        if (createdTab && cleanupTabId) {
-            await removeTab(cleanupTabId);
-        }
-        subscriptionRestoreInProgress = false;
-    }
+    });
+
+    return localBackupDbPromise;
 }
 
 /**
- * Read cloud sync status and refresh pending count when possible.
- * @returns {Promise<object>}
+ * Run one read-write or read-only transaction on the backup stores.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(meta: IDBObjectStore, data: IDBObjectStore) => IDBRequest|void} run
+ * @returns {Promise<any>} Result of the request returned by `run`, if any.
  */
-async function getCloudSyncStatus() {
-    const state = await readCloudSyncState();
-    const syncAccountKey = isSubscriptionChannelAccountKey(state.primaryAccountKey)
-        ? normalizeAccountKey(state.primaryAccountKey)
-        : DEFAULT_ACCOUNT_KEY;
-    const pendingCount = (await readPendingQueue(syncAccountKey)).length;
-    const nextSyncAt = getNextSyncAt(state);
-
-    return {
-        success: true,
-        endpointUrl: state.endpointUrl,
-        autoEnabled: state.autoEnabled,
-        intervalMinutes: state.intervalMinutes,
-        lastAt: state.lastAt,
-        status: state.status,
-        error: state.error,
-        syncedCount: state.count,
-        pendingCount,
-        primaryAccountKey: syncAccountKey,
-        nextSyncAt,
-        backoffUntil: state.backoffUntil
-    };
+async function runLocalBackupTransaction(mode, run) {
+    const db = await openLocalBackupDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([LOCAL_BACKUP_META_STORE, LOCAL_BACKUP_DATA_STORE], mode);
+        const request = run(
+            transaction.objectStore(LOCAL_BACKUP_META_STORE),
+            transaction.objectStore(LOCAL_BACKUP_DATA_STORE)
+        );
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error || new Error('Backup database transaction failed'));
+        transaction.onabort = () => reject(transaction.error || new Error('Backup database transaction aborted'));
+    });
 }
+
 /**
- * Read subscription sync status and refresh pending count when possible.
- * @returns {Promise<object>}
+ * List snapshot metadata, newest first.
+ * @returns {Promise<object[]>}
  */
-async function getSubscriptionSyncStatus() {
-    const state = await readSubscriptionSyncState();
-    const pendingKeys = await readSubscriptionPendingKeys();
-    const pendingCount = pendingKeys.length;
-    const nextSyncAt = getNextSyncAt(state);
-    const primaryAccountKey = isSubscriptionChannelAccountKey(state.primaryAccountKey)
-        ? normalizeAccountKey(state.primaryAccountKey)
-        : DEFAULT_ACCOUNT_KEY;
-
-    return {
-        success: true,
-        endpointUrl: state.endpointUrl,
-        autoEnabled: state.autoEnabled,
-        intervalMinutes: state.intervalMinutes,
-        lastAt: state.lastAt,
-        status: state.status,
-        error: state.error,
-        syncedCount: state.count,
-        pendingCount,
-        primaryAccountKey,
-        nextSyncAt,
-        backoffUntil: state.backoffUntil
-    };
+async function listLocalBackups() {
+    const entries = await runLocalBackupTransaction('readonly', (meta) => meta.getAll());
+    return (Array.isArray(entries) ? entries : []).sort((a, b) => b.createdAt - a.createdAt);
 }
 
 /**
- * Update cloud sync config and re-arm alarms.
- * @param {{endpointUrl?: string, apiToken?: string, autoEnabled?: boolean, intervalMinutes?: number, primaryAccountKey?: string}} config
- * @returns {Promise<object>}
+ * Gzip a JSON-serializable value.
+ * @param {any} value
+ * @returns {Promise<{bytes: ArrayBuffer, rawSize: number}>}
  */
-async function updateCloudSyncConfig(config = {}) {
-    const nextValues = {};
-
-    if (typeof config.endpointUrl === 'string') {
-        nextValues[CLOUD_SYNC_STORAGE_KEYS.ENDPOINT] = config.endpointUrl.trim();
-    }
+async function compressBackupPayload(value) {
+    const blob = new Blob([JSON.stringify(value)], { type: 'application/json' });
+    const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = await new Response(stream).arrayBuffer();
+    return { bytes, rawSize: blob.size };
+}
 
-    if (typeof config.apiToken === 'string') {
-        nextValues[CLOUD_SYNC_STORAGE_KEYS.API_TOKEN] = config.apiToken.trim();
-    }
+/**
+ * Read a gzip-compressed JSON payload.
+ * @param {ArrayBuffer} bytes
+ * @returns {Promise<any>}
+ */
+async function decompressBackupPayload(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+}
 
-    if (typeof config.autoEnabled === 'boolean') {
-        nextValues[CLOUD_SYNC_STORAGE_KEYS.AUTO_ENABLED] = config.autoEnabled;
+/**
+ * Load and decompress one stored snapshot.
+ * @param {string} id
+ * @returns {Promise<{meta: object, payload: object}>}
+ */
+async function readLocalBackup(id) {
+    const meta = await runLocalBackupTransaction('readonly', (store) => store.get(String(id || '')));
+    if (!meta) {
+        throw new Error('Backup snapshot not found');
     }
 
-    if (config.intervalMinutes !== undefined) {
-        nextValues[CLOUD_SYNC_STORAGE_KEYS.INTERVAL_MINUTES] = normalizeSyncInterval(config.intervalMinutes);
+    const data = await runLocalBackupTransaction('readonly', (_meta, store) => store.get(meta.id));
+    if (!data?.bytes) {
+        throw new Error('Backup snapshot data is missing');
     }
 
-    if (typeof config.primaryAccountKey === 'string') {
-        const normalizedKey = normalizeAccountKey(config.primaryAccountKey);
-        if (normalizedKey === DEFAULT_ACCOUNT_KEY || isSubscriptionChannelAccountKey(normalizedKey)) {
-            nextValues[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY] = normalizedKey;
-        }
-    }
+    return { meta, payload: await decompressBackupPayload(data.bytes) };
+}
 
-    if (Object.keys(nextValues).length > 0) {
-        await storageLocalSet(nextValues);
+/**
+ * Delete snapshots by ID.
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+async function deleteLocalBackups(ids) {
+    if (!ids.length) {
+        return;
     }
 
-    await ensureAutoSyncAlarm();
-    return getCloudSyncStatus();
+    await runLocalBackupTransaction('readwrite', (meta, data) => {
+        ids.forEach((id) => {
+            meta.delete(id);
+            data.delete(id);
+        });
+    });
 }
+
 /**
- * Update subscription sync config and re-arm alarms.
- * @param {{endpointUrl?: string, apiToken?: string, autoEnabled?: boolean, intervalMinutes?: number}} config
+ * Read sync storage values.
  * @returns {Promise<object>}
  */
-async function updateSubscriptionSyncConfig(config = {}) {
-    const nextValues = {};
-
-    if (typeof config.endpointUrl === 'string') {
-        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT] = config.endpointUrl.trim();
-    }
+async function storageSyncGetAll() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get(null, (result) => resolve(result || {}));
+    });
+}
 
-    if (typeof config.apiToken === 'string') {
-        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN] = config.apiToken.trim();
-    }
+/**
+ * Set sync storage values.
+ * @param {object} values
+ * @returns {Promise<void>}
+ */
+async function storageSyncSet(values) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.sync.set(values, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message || 'Failed to persist sync storage'));
+                return;
+            }
+            resolve();
+        });
+    });
+}
 
-    if (typeof config.autoEnabled === 'boolean') {
-        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.AUTO_ENABLED] = config.autoEnabled;
+/**
+ * Read watched history from a YouTube tab as compact sync-style records.
+ * @param {number} tabId
+ * @returns {Promise<object[]>}
+ */
+async function readLocalHistoryRecordsFromTab(tabId) {
+    const response = await sendMessageToTab(tabId, { type: 'GET_ALL_WATCHED_VIDEOS' }, 60000);
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to read watched history from tab');
     }
 
-    if (config.intervalMinutes !== undefined) {
-        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.INTERVAL_MINUTES] = normalizeSubscriptionInterval(config.intervalMinutes);
-    }
+    return (Array.isArray(response.videos) ? response.videos : [])
+        .map((entry) => normalizeSyncRecordDetails({ ...entry, watchedAt: Number(entry?.timestamp) || 0 }))
+        .filter(Boolean);
+}
 
-    if (Object.keys(nextValues).length > 0) {
-        await storageLocalSet(nextValues);
-    }
+/**
+ * Read subscription categories and assignments.
+ * @returns {Promise<{categories: object[], assignments: Record<string, string[]>}>}
+ */
+async function readLocalBackupSubscriptions() {
+    const local = await storageLocalGet([
+        'subscriptionManagerCategories',
+        'subscriptionManagerAssignments'
+    ]);
 
-    await ensureSubscriptionAutoSyncAlarm();
-    return getSubscriptionSyncStatus();
+    return {
+        categories: Array.isArray(local.subscriptionManagerCategories) ? local.subscriptionManagerCategories : [],
+        assignments: local.subscriptionManagerAssignments && typeof local.subscriptionManagerAssignments === 'object'
+            ? local.subscriptionManagerAssignments
+            : {}
+    };
 }
 
 /**
- * Proxy watched videos from first available YouTube tab.
- * @returns {Promise<any>}
+ * Read all settings that a snapshot captures.
+ * @returns {Promise<{sync: object, local: object}>}
  */
-async function proxyGetAllWatchedVideos() {
-    const tabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN });
-    if (tabs.length === 0 || typeof tabs[0].id !== 'number') {
-        return { success: false, error: 'No YouTube tabs found' };
-    }
-
-    try {
-        const response = await sendMessageToTab(tabs[0].id, { type: 'GET_ALL_WATCHED_VIDEOS' });
-        return response || { success: false, error: 'No response from content script' };
-    } catch (error) {
-        return { success: false, error: error.message };
-    }
+async function readLocalBackupSettings() {
+    const [sync, local] = await Promise.all([
+        storageSyncGetAll(),
+        storageLocalGet(LOCAL_BACKUP_LOCAL_SETTING_KEYS)
+    ]);
+    return { sync, local };
 }
 
-chrome.runtime.onInstalled.addListener(() => {
-    refreshWatchedHistoryBadge();
-    ensureAutoSyncAlarm().catch((error) => {
-        console.error('[YT-Commander][CloudSync] Failed to ensure alarm on install', error);
-    });
-    ensureSubscriptionAutoSyncAlarm().catch((error) => {
-        console.error('[YT-Commander][SubscriptionSync] Failed to ensure alarm on install', error);
-    });
-    runAutoSyncIfDue('install-check').catch((error) => {
-        console.error('[YT-Commander][CloudSync] Install due-check failed', error);
-    });
-    runSubscriptionAutoSyncIfDue('install-check').catch((error) => {
-        console.error('[YT-Commander][SubscriptionSync] Install due-check failed', error);
-    });
-});
+/**
+ * Collect the current state for a snapshot or a diff.
+ * History needs a YouTube tab; without one the section is null.
+ * @param {number} tabId
+ * @returns {Promise<{history: {records: object[]}|null, subscriptions: object, settings: object}>}
+ */
+async function collectLocalBackupState(tabId) {
+    const history = tabId
+        ? { records: await readLocalHistoryRecordsFromTab(tabId) }
+        : null;
 
-chrome.runtime.onStartup.addListener(() => {
-    refreshWatchedHistoryBadge();
-    ensureAutoSyncAlarm().catch((error) => {
-        console.error('[YT-Commander][CloudSync] Failed to ensure alarm on startup', error);
-    });
-    ensureSubscriptionAutoSyncAlarm().catch((error) => {
-        console.error('[YT-Commander][SubscriptionSync] Failed to ensure alarm on startup', error);
-    });
-    runAutoSyncIfDue('startup-check').catch((error) => {
-        console.error('[YT-Commander][CloudSync] Startup due-check failed', error);
-    });
-    runSubscriptionAutoSyncIfDue('startup-check').catch((error) => {
-        console.error('[YT-Commander][SubscriptionSync] Startup due-check failed', error);
-    });
-});
+    return {
+        history,
+        subscriptions: await readLocalBackupSubscriptions(),
+        settings: await readLocalBackupSettings()
+    };
+}
 
-chrome.alarms.onAlarm.addListener((alarm) => {
-    if (!alarm) {
-        return;
-    }
+/**
+ * Get the bucket keys used by the retention policy.
+ * Weeks start on Monday, in local time.
+ * @param {number} timestamp
+ * @returns {{day: string, week: string}}
+ */
+function getLocalBackupBuckets(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    const day = date.toDateString();
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return { day, week: date.toDateString() };
+}
 
-    if (alarm.name === AUTO_SYNC_ALARM_NAME) {
-        runAutoSyncIfDue(`alarm:${alarm.name}`).catch((error) => {
-            console.error('[YT-Commander][CloudSync] Alarm due-check failed', error);
-        });
-        return;
-    }
+/**
+ * Pick snapshots that fall outside the retention policy.
+ * Automatic snapshots keep the newest one per day for the last 7 days and per
+ * week for the last 4 weeks. Manual snapshots stay until deleted; only the
+ * latest few pre-restore safety snapshots are kept.
+ * @param {object[]} entries Newest first.
+ * @returns {string[]}
+ */
+function selectExpiredLocalBackups(entries) {
+    const keep = new Set();
+    const automatic = entries.filter((entry) => entry.reason === 'auto');
 
-    if (alarm.name === SUBSCRIPTION_SYNC_ALARM_NAME) {
-        runSubscriptionAutoSyncIfDue(`alarm:${alarm.name}`).catch((error) => {
-            console.error('[YT-Commander][SubscriptionSync] Alarm due-check failed', error);
+    [['day', LOCAL_BACKUP_RETENTION_DAILY], ['week', LOCAL_BACKUP_RETENTION_WEEKLY]].forEach(([bucketName, limit]) => {
+        const seen = new Set();
+        automatic.forEach((entry) => {
+            const bucket = getLocalBackupBuckets(entry.createdAt)[bucketName];
+            if (seen.has(bucket) || seen.size >= limit) {
+                return;
+            }
+            seen.add(bucket);
+            keep.add(entry.id);
         });
-    }
-});
+    });
 
-const GEMINI_MODEL_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
-let geminiModelCache = { fetchedAt: 0, models: [] };
+    entries
+        .filter((entry) => entry.reason === 'pre-restore')
+        .slice(0, LOCAL_BACKUP_MAX_SAFETY_SNAPSHOTS)
+        .forEach((entry) => keep.add(entry.id));
 
-function normalizeGeminiModelName(name) {
-    if (typeof name !== 'string') {
-        return '';
-    }
-    return name.replace(/^models\//i, '').trim();
+    return entries
+        .filter((entry) => entry.reason !== 'manual' && !keep.has(entry.id))
+        .map((entry) => entry.id);
 }
 
-function buildGeminiEndpoint(endpoint, model, apiKey) {
-    const fallbackBase = 'https://generativelanguage.googleapis.com/v1beta/models';
-    const base = typeof endpoint === 'string' && endpoint.trim()
-        ? endpoint.trim()
-        : fallbackBase;
-    let url = base.replace(/\/+$/, '');
-    if (!url.includes(':generateContent')) {
-        const normalizedModel = normalizeGeminiModelName(model);
-        const safeModel = normalizedModel && normalizedModel.toLowerCase() !== 'auto'
-            ? normalizedModel
-            : 'gemini-1.5-pro';
-        url = `${url}/${safeModel}:generateContent`;
-    }
-    if (apiKey && !url.includes('key=')) {
-        const separator = url.includes('?') ? '&' : '?';
-        url = `${url}${separator}key=${encodeURIComponent(apiKey)}`;
+/**
+ * Create and store a snapshot, then apply retention.
+ * @param {'auto'|'manual'|'pre-restore'} reason
+ * @param {{tabId?: number, allowCreateTab?: boolean}} [options]
+ * @returns {Promise<object>} Stored snapshot metadata.
+ */
+async function createLocalBackup(reason, options = {}) {
+    let createdTab = false;
+    let tabId = Number(options.tabId) || 0;
+
+    try {
+        if (!tabId) {
+            if (options.allowCreateTab) {
+                const tabInfo = await resolveYouTubeTabForHistory();
+                createdTab = tabInfo.created;
+                tabId = tabInfo.tabId;
+            } else {
+                tabId = await findExistingYouTubeTabWithReceiver() || 0;
+            }
+        }
+        if (!tabId) {
+            throw new Error('Open a YouTube tab so watched history can be included in the backup');
+        }
+
+        const state = await collectLocalBackupState(tabId);
+        const createdAt = Date.now();
+        const payload = { version: LOCAL_BACKUP_FORMAT_VERSION, createdAt, ...state };
+        const { bytes, rawSize } = await compressBackupPayload(payload);
+        const meta = {
+            id: `backup-${createdAt}`,
+            createdAt,
+            reason,
+            size: bytes.byteLength,
+            rawSize,
+            counts: {
+                videos: state.history.records.length,
+                categories: state.subscriptions.categories.length,
+                assignments: Object.keys(state.subscriptions.assignments).length,
+                settings: Object.keys(state.settings.sync).length + Object.keys(state.settings.local).length
+            }
+        };
+
+        await runLocalBackupTransaction('readwrite', (metaStore, dataStore) => {
+            metaStore.put(meta);
+            dataStore.put({ id: meta.id, bytes });
+        });
+        await deleteLocalBackups(selectExpiredLocalBackups(await listLocalBackups()));
+
+        console.info('[YT-Commander][Backup] Snapshot stored', meta);
+        return meta;
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
+        }
     }
-    return url;
 }
 
-function buildGeminiModelsEndpoint(endpoint, apiKey) {
-    const fallbackBase = 'https://generativelanguage.googleapis.com/v1beta/models';
-    let base = typeof endpoint === 'string' && endpoint.trim()
-        ? endpoint.trim()
-        : fallbackBase;
+/**
+ * Read backup settings and status for the popup.
+ * @returns {Promise<{autoEnabled: boolean, lastAutoAt: number, lastError: string, snapshots: object[]}>}
+ */
+async function getLocalBackupStatus() {
+    const result = await storageLocalGet(Object.values(LOCAL_BACKUP_STORAGE_KEYS));
+    return {
+        autoEnabled: result[LOCAL_BACKUP_STORAGE_KEYS.AUTO_ENABLED] !== false,
+        lastAutoAt: Number(result[LOCAL_BACKUP_STORAGE_KEYS.LAST_AUTO_AT]) || 0,
+        lastError: typeof result[LOCAL_BACKUP_STORAGE_KEYS.LAST_ERROR] === 'string'
+            ? result[LOCAL_BACKUP_STORAGE_KEYS.LAST_ERROR]
+            : '',
+        snapshots: await listLocalBackups()
+    };
+}
 
-    if (base.includes('/models/')) {
-        base = `${base.split('/models/')[0]}/models`;
-    } else if (base.includes('/models')) {
-        base = `${base.split('/models')[0]}/models`;
-    } else if (base.endsWith('/v1beta')) {
-        base = `${base}/models`;
-    } else if (!base.includes('/v1beta')) {
-        base = fallbackBase;
+/**
+ * Ensure the hourly backup due-check alarm matches the auto-backup setting.
+ * @returns {Promise<void>}
+ */
+async function ensureLocalBackupAlarm() {
+    const { autoEnabled } = await getLocalBackupStatus();
+    if (!autoEnabled) {
+        await clearAlarm(LOCAL_BACKUP_ALARM_NAME);
+        return;
     }
 
-    if (apiKey && !base.includes('key=')) {
-        const separator = base.includes('?') ? '&' : '?';
-        base = `${base}${separator}key=${encodeURIComponent(apiKey)}`;
+    if (await getAlarm(LOCAL_BACKUP_ALARM_NAME)) {
+        return;
     }
-    return base;
+
+    chrome.alarms.create(LOCAL_BACKUP_ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: LOCAL_BACKUP_CHECK_PERIOD_MINUTES
+    });
 }
 
-function scoreGeminiModel(modelName) {
-    const name = modelName.toLowerCase();
-    const versionMatch = name.match(/gemini-(\d+)(?:\.(\d+))?/);
-    let score = 0;
-    if (versionMatch) {
-        const major = Number(versionMatch[1]) || 0;
-        const minor = Number(versionMatch[2]) || 0;
-        score += (major * 100) + (minor * 10);
-    }
-    if (name.includes('pro')) {
-        score += 20;
+/**
+ * Take the daily automatic snapshot when it is due.
+ * Automatic runs never open a tab; without an open YouTube tab the run waits
+ * for the next check.
+ * @param {string} trigger
+ * @returns {Promise<void>}
+ */
+async function runLocalBackupIfDue(trigger) {
+    const status = await getLocalBackupStatus();
+    if (!status.autoEnabled || localBackupInProgress) {
+        return;
     }
-    if (name.includes('flash')) {
-        score += 10;
+    if (Date.now() - status.lastAutoAt < LOCAL_BACKUP_INTERVAL_MS) {
+        return;
     }
-    if (name.includes('lite')) {
-        score -= 5;
+
+    const tabId = await findExistingYouTubeTabWithReceiver();
+    if (!tabId) {
+        console.info('[YT-Commander][Backup] No YouTube tab open, deferring automatic snapshot', { trigger });
+        return;
     }
-    if (name.includes('latest')) {
-        score += 5;
+
+    localBackupInProgress = true;
+    try {
+        const meta = await createLocalBackup('auto', { tabId });
+        await storageLocalSet({
+            [LOCAL_BACKUP_STORAGE_KEYS.LAST_AUTO_AT]: meta.createdAt,
+            [LOCAL_BACKUP_STORAGE_KEYS.LAST_ERROR]: ''
+        });
+    } catch (error) {
+        await storageLocalSet({ [LOCAL_BACKUP_STORAGE_KEYS.LAST_ERROR]: error.message });
+        throw error;
+    } finally {
+        localBackupInProgress = false;
     }
-    return score;
 }
 
-async function listGeminiModels(apiKey, endpoint) {
-    const urlBase = buildGeminiModelsEndpoint(endpoint, apiKey);
-    const models = [];
-    let pageToken = '';
-    let pageCount = 0;
+/**
+ * Normalize requested restore sections.
+ * @param {any} sections
+ * @returns {string[]}
+ */
+function normalizeLocalBackupSections(sections) {
+    const requested = Array.isArray(sections) ? sections : LOCAL_BACKUP_SECTIONS;
+    return LOCAL_BACKUP_SECTIONS.filter((section) => requested.includes(section));
+}
 
-    while (pageCount < 4) {
-        const url = pageToken ? `${urlBase}&pageToken=${encodeURIComponent(pageToken)}` : urlBase;
-        const response = await fetch(url);
-        const data = await response.json().catch(() => ({}));
-        if (!response.ok) {
-            const message = data?.error?.message || `ListModels failed (${response.status})`;
-            throw new Error(message);
-        }
-        const items = Array.isArray(data?.models) ? data.models : [];
-        items.forEach((model) => {
-            if (model?.name && Array.isArray(model?.supportedGenerationMethods)) {
-                models.push(model);
+/**
+ * Compare a snapshot with the current state.
+ * @param {object} payload
+ * @param {object} current
+ * @returns {{history: object|null, subscriptions: object, settings: object}}
+ */
+function diffLocalBackupState(payload, current) {
+    let history = null;
+    if (payload.history && current.history) {
+        const currentById = new Map(current.history.records.map((record) => [record.videoId, record]));
+        const snapshotIds = new Set();
+        let onlyInSnapshot = 0;
+        let changed = 0;
+        payload.history.records.forEach((record) => {
+            snapshotIds.add(record.videoId);
+            const existing = currentById.get(record.videoId);
+            if (!existing) {
+                onlyInSnapshot += 1;
+            } else if ((Number(existing.updatedAt) || 0) !== (Number(record.updatedAt) || 0)) {
+                changed += 1;
             }
         });
-        pageToken = data?.nextPageToken || '';
-        if (!pageToken) {
-            break;
-        }
-        pageCount += 1;
+        history = {
+            snapshotCount: payload.history.records.length,
+            currentCount: current.history.records.length,
+            onlyInSnapshot,
+            onlyInCurrent: current.history.records.filter((record) => !snapshotIds.has(record.videoId)).length,
+            changed
+        };
     }
 
-    return models;
+    const snapshotCategories = payload.subscriptions?.categories || [];
+    const currentCategories = current.subscriptions.categories;
+    const snapshotCategoryIds = new Set(snapshotCategories.map((category) => category.id));
+    const currentCategoryIds = new Set(currentCategories.map((category) => category.id));
+    const snapshotAssignments = payload.subscriptions?.assignments || {};
+    const currentAssignments = current.subscriptions.assignments;
+    const channelIds = new Set([...Object.keys(snapshotAssignments), ...Object.keys(currentAssignments)]);
+    const changedAssignments = Array.from(channelIds).filter((channelId) => (
+        JSON.stringify([...(snapshotAssignments[channelId] || [])].sort())
+            !== JSON.stringify([...(currentAssignments[channelId] || [])].sort())
+    )).length;
+
+    const changedSettings = [];
+    ['sync', 'local'].forEach((area) => {
+        const snapshotValues = payload.settings?.[area] || {};
+        const currentValues = current.settings[area];
+        new Set([...Object.keys(snapshotValues), ...Object.keys(currentValues)]).forEach((key) => {
+            if (JSON.stringify(snapshotValues[key]) !== JSON.stringify(currentValues[key])) {
+                changedSettings.push(key);
+            }
+        });
+    });
+
+    return {
+        history,
+        subscriptions: {
+            categoriesOnlyInSnapshot: snapshotCategories
+                .filter((category) => !currentCategoryIds.has(category.id))
+                .map((category) => category.name),
+            categoriesOnlyInCurrent: currentCategories
+                .filter((category) => !snapshotCategoryIds.has(category.id))
+                .map((category) => category.name),
+            changedAssignments
+        },
+        settings: { changedKeys: changedSettings.sort() }
+    };
 }
 
-async function resolveGeminiModel(requestedModel, apiKey, endpoint) {
-    const requested = normalizeGeminiModelName(requestedModel);
-    const requestedIsAuto = !requested || requested.toLowerCase() === 'auto';
-    const now = Date.now();
-    if (now - geminiModelCache.fetchedAt > GEMINI_MODEL_CACHE_TTL_MS) {
-        try {
-            const models = await listGeminiModels(apiKey, endpoint);
-            geminiModelCache = { fetchedAt: now, models };
-        } catch (_error) {
-            geminiModelCache = { fetchedAt: now, models: [] };
-        }
-    }
-
-    const available = geminiModelCache.models
-        .filter((model) => model.supportedGenerationMethods.includes('generateContent'))
-        .map((model) => normalizeGeminiModelName(model.name))
-        .filter(Boolean);
-
-    if (!requestedIsAuto && available.includes(requested)) {
-        return requested;
-    }
-
-    if (available.length > 0) {
-        const sorted = available.slice().sort((a, b) => scoreGeminiModel(b) - scoreGeminiModel(a));
-        return sorted[0];
-    }
-
-    if (!requestedIsAuto && requested) {
-        return requested;
-    }
-    return 'gemini-1.5-pro';
-}
-
-async function resolveGeminiFallbackModel(primaryModel, apiKey, endpoint) {
-    const normalizedPrimary = normalizeGeminiModelName(primaryModel);
-    const now = Date.now();
-    if (now - geminiModelCache.fetchedAt > GEMINI_MODEL_CACHE_TTL_MS) {
-        try {
-            const models = await listGeminiModels(apiKey, endpoint);
-            geminiModelCache = { fetchedAt: now, models };
-        } catch (_error) {
-            geminiModelCache = { fetchedAt: now, models: [] };
-        }
-    }
+/**
+ * Diff a stored snapshot against the current state.
+ * @param {string} id
+ * @returns {Promise<object>}
+ */
+async function diffLocalBackup(id) {
+    const { payload } = await readLocalBackup(id);
 
-    const available = geminiModelCache.models
-        .filter((model) => model.supportedGenerationMethods.includes('generateContent'))
-        .map((model) => normalizeGeminiModelName(model.name))
-        .filter(Boolean);
+    let createdTab = false;
+    let tabId = 0;
+    try {
+        const tabInfo = await resolveYouTubeTabForHistory();
+        createdTab = tabInfo.created;
+        tabId = tabInfo.tabId;
 
-    const filtered = available.filter((name) => name.includes('flash') || name.includes('lite'));
-    if (filtered.length > 0) {
-        const sorted = filtered.slice().sort((a, b) => scoreGeminiModel(b) - scoreGeminiModel(a));
-        const pick = sorted.find((name) => name !== normalizedPrimary);
-        if (pick) {
-            return pick;
+        return diffLocalBackupState(payload, await collectLocalBackupState(tabId));
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
         }
     }
-
-    const fallback = available.find((name) => name !== normalizedPrimary);
-    return fallback || 'gemini-1.5-flash';
-}
-
-function isGeminiQuotaError(message) {
-    const text = typeof message === 'string' ? message.toLowerCase() : '';
-    return text.includes('quota') || text.includes('free_tier') || text.includes('free tier');
 }
 
-async function requestGeminiGenerate(url, contentParts, generationConfig, timeoutMs) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-    let response;
-    try {
-        response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [
-                    {
-                        role: 'user',
-                        parts: contentParts
-                    }
-                ],
-                generationConfig
-            }),
-            signal: controller.signal
-        });
-    } finally {
-        clearTimeout(timeout);
-    }
-
-    let data = null;
-    try {
-        data = await response.json();
-    } catch (_error) {
-        data = null;
-    }
-
-    if (!response.ok) {
-        const message = data?.error?.message || `Gemini request failed (${response.status})`;
-        throw new Error(message);
+/**
+ * Restore all or some sections of a snapshot.
+ * A pre-restore snapshot of the current state is stored first. History is
+ * merged (videos watched since the snapshot are kept); subscription categories,
+ * assignments and settings are replaced.
+ * @param {string} id
+ * @param {string[]} [sections]
+ * @returns {Promise<{sections: string[], importedCount: number, safetySnapshotId: string}>}
+ */
+async function restoreLocalBackup(id, sections) {
+    if (localBackupInProgress) {
+        throw new Error('A backup or restore is already in progress');
     }
-    return data || {};
-}
 
-async function requestGeminiAutoCategorize(payload) {
-    const apiKey = typeof payload?.apiKey === 'string' ? payload.apiKey.trim() : '';
-    if (!apiKey) {
-        throw new Error('Missing Gemini API key');
-    }
-    const prompt = typeof payload?.prompt === 'string' ? payload.prompt : '';
-    const parts = Array.isArray(payload?.parts) ? payload.parts.filter(Boolean) : [];
-    if (!prompt && parts.length === 0) {
-        throw new Error('Missing Gemini prompt');
+    const selected = normalizeLocalBackupSections(sections);
+    if (selected.length === 0) {
+        throw new Error('Select at least one section to restore');
     }
 
-    const temperature = Number.isFinite(payload?.temperature) ? payload.temperature : 0.2;
-    const maxOutputTokens = Number.isFinite(payload?.maxOutputTokens) ? payload.maxOutputTokens : 1024;
-    const timeoutMs = Number.isFinite(payload?.timeoutMs) ? payload.timeoutMs : 20000;
-
-    const resolvedModel = await resolveGeminiModel(payload?.model, apiKey, payload?.endpoint);
-    const contentParts = parts.length > 0 ? parts : [{ text: prompt }];
-    const generationConfig = {
-        temperature,
-        maxOutputTokens
-    };
+    const { payload } = await readLocalBackup(id);
 
-    const primaryUrl = buildGeminiEndpoint(payload?.endpoint, resolvedModel, apiKey);
+    localBackupInProgress = true;
+    let createdTab = false;
+    let tabId = 0;
     try {
-        return await requestGeminiGenerate(primaryUrl, contentParts, generationConfig, timeoutMs);
-    } catch (error) {
-        const message = error instanceof Error ? error.message : '';
-        if (!isGeminiQuotaError(message)) {
-            throw error;
-        }
-
-        const fallbackModel = await resolveGeminiFallbackModel(resolvedModel, apiKey, payload?.endpoint);
-        if (fallbackModel === resolvedModel) {
-            throw error;
-        }
-        const fallbackUrl = buildGeminiEndpoint(payload?.endpoint, fallbackModel, apiKey);
-        return await requestGeminiGenerate(fallbackUrl, contentParts, generationConfig, timeoutMs);
-    }
-}
+        const tabInfo = await resolveYouTubeTabForHistory();
+        createdTab = tabInfo.created;
+        tabId = tabInfo.tabId;
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (!message || typeof message.type !== 'string') {
-        return false;
-    }
+        const safety = await createLocalBackup('pre-restore', { tabId });
 
-    if (message.type === 'OPEN_NEW_TAB') {
-        const targetUrl = typeof message.url === 'string' ? message.url.trim() : '';
-        if (!targetUrl) {
-            sendResponse({ success: false, error: 'Missing URL for OPEN_NEW_TAB' });
-            return false;
+        let importedCount = 0;
+        if (selected.includes('history') && payload.history) {
+            const records = payload.history.records;
+            for (let index = 0; index < records.length; index += FILE_SEED_IMPORT_BATCH_SIZE) {
+                const batch = records.slice(index, index + FILE_SEED_IMPORT_BATCH_SIZE);
+                importedCount += await importVideoIdsIntoLocalHistory(
+                    tabId,
+                    batch.map((record) => record.videoId),
+                    { records: batch }
+                );
+            }
         }
 
-        const createProperties = {
-            url: targetUrl,
-            active: message.active === true
-        };
-
-        if (sender?.tab?.windowId !== undefined) {
-            createProperties.windowId = sender.tab.windowId;
+        if (selected.includes('subscriptions') && payload.subscriptions) {
+            const pendingKeys = await readSubscriptionPendingKeys();
+            const nextPendingKeys = Array.from(new Set([...pendingKeys, 'restore']));
+            await storageLocalSet({
+                subscriptionManagerCategories: payload.subscriptions.categories,
+                subscriptionManagerAssignments: payload.subscriptions.assignments,
+                [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: nextPendingKeys,
+                [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: nextPendingKeys.length
+            });
         }
 
-        chrome.tabs.create(createProperties, (tab) => {
-            if (chrome.runtime.lastError) {
-                sendResponse({
-                    success: false,
-                    error: chrome.runtime.lastError.message || 'Failed to open tab'
-                });
-                return;
-            }
-
-            sendResponse({
-                success: true,
-                tabId: typeof tab?.id === 'number' ? tab.id : null
+        if (selected.includes('settings') && payload.settings) {
+            await storageSyncSet(payload.settings.sync || {});
+            await storageLocalSet(payload.settings.local || {});
+            const settings = await storageSyncGetAll();
+            const tabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN });
+            tabs.forEach((tab) => {
+                sendMessageToTab(tab.id, { type: 'SETTINGS_UPDATED', settings }).catch(() => {});
             });
-        });
+            await ensureAutoSyncAlarm();
+            await ensureSubscriptionAutoSyncAlarm();
+            await ensureLocalBackupAlarm();
+            await scheduleAutomation();
+        }
 
-        return true;
+        console.info('[YT-Commander][Backup] Snapshot restored', { id, sections: selected, importedCount });
+        return { sections: selected, importedCount, safetySnapshotId: safety.id };
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
+        }
+        localBackupInProgress = false;
     }
+}
 
-    if (message.type === 'GET_WATCHED_IDS') {
-        chrome.storage.local.get(['watchedIds'], (result) => {
-            sendResponse(result.watchedIds || []);
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === LOCAL_BACKUP_ALARM_NAME) {
+        runLocalBackupIfDue(`alarm:${alarm.name}`).catch((error) => {
+            console.error('[YT-Commander][Backup] Alarm due-check failed', error);
         });
-        return true;
     }
+});
 
-    if (message.type === 'REFRESH_BADGES') {
-        chrome.tabs.query({ url: YOUTUBE_TAB_URL_PATTERN }, (tabs) => {
-            tabs.forEach((tab) => {
-                if (typeof tab.id !== 'number') {
-                    return;
-                }
-
-                chrome.tabs.sendMessage(tab.id, { type: 'REFRESH_BADGE' }, () => {
-                    if (chrome.runtime.lastError) {
-                        return;
-                    }
-                });
-            });
-        });
-        return false;
-    }
+chrome.runtime.onStartup.addListener(() => {
+    ensureLocalBackupAlarm().catch((error) => {
+        console.error('[YT-Commander][Backup] Failed to ensure alarm on startup', error);
+    });
+});
 
-    if (message.type === 'UPDATE_CLOUDFLARE_SYNC_CONFIG') {
-        updateCloudSyncConfig({
-            endpointUrl: message.endpointUrl,
-            apiToken: message.apiToken,
-            autoEnabled: message.autoEnabled,
-            intervalMinutes: message.intervalMinutes,
-            primaryAccountKey: message.primaryAccountKey
-        })
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'GET_LOCAL_BACKUPS') {
+        getLocalBackupStatus()
             .then((status) => sendResponse({ success: true, ...status }))
             .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
     }
 
-    if (message.type === 'GET_CLOUDFLARE_SYNC_STATUS') {
-        getCloudSyncStatus()
-            .then((status) => sendResponse(status))
+    if (message.type === 'UPDATE_LOCAL_BACKUP_CONFIG') {
+        storageLocalSet({ [LOCAL_BACKUP_STORAGE_KEYS.AUTO_ENABLED]: message.autoEnabled !== false })
+            .then(() => ensureLocalBackupAlarm())
+            .then(() => getLocalBackupStatus())
+            .then((status) => sendResponse({ success: true, ...status }))
             .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
     }
 
-    if (message.type === 'SYNC_TO_CLOUDFLARE') {
-        performCloudflareSync({
-            manual: true,
-            endpointUrl: message.endpointUrl,
-            apiToken: message.apiToken,
-            source: 'popup-manual-sync',
-            activeTabId: Number.isFinite(message.activeTabId) ? Number(message.activeTabId) : undefined
-        })
-            .then((result) => sendResponse({ success: true, ...result }))
-            .catch((error) => sendResponse({ success: false, error: error.message }));
+    if (message.type === 'CREATE_LOCAL_BACKUP') {
+        if (localBackupInProgress) {
+            sendResponse({ success: false, error: 'A backup or restore is already in progress' });
+            return false;
+        }
+        localBackupInProgress = true;
+        createLocalBackup('manual', { allowCreateTab: true })
+            .then((snapshot) => sendResponse({ success: true, snapshot }))
+            .catch((error) => sendResponse({ success: false, error: error.message }))
+            .finally(() => {
+                localBackupInProgress = false;
+            });
         return true;
     }
 
-    if (message.type === 'UPDATE_SUBSCRIPTION_SYNC_CONFIG') {
-        updateSubscriptionSyncConfig({
-            endpointUrl: message.endpointUrl,
-            apiToken: message.apiToken,
-            autoEnabled: message.autoEnabled,
-            intervalMinutes: message.intervalMinutes
-        })
-            .then((status) => sendResponse({ success: true, ...status }))
+    if (message.type === 'RESTORE_LOCAL_BACKUP') {
+        restoreLocalBackup(message.id, message.sections)
+            .then((result) => sendResponse({ success: true, ...result }))
             .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
     }
 
-    if (message.type === 'GET_SUBSCRIPTION_SYNC_STATUS') {
-        getSubscriptionSyncStatus()
-            .then((status) => sendResponse(status))
+    if (message.type === 'DIFF_LOCAL_BACKUP') {
+        diffLocalBackup(message.id)
+            .then((diff) => sendResponse({ success: true, diff }))
             .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
     }
 
-    if (message.type === 'SYNC_SUBSCRIPTIONS_TO_CLOUDFLARE') {
-        performSubscriptionSync({
-            manual: true,
-            endpointUrl: message.endpointUrl,
-            apiToken: message.apiToken,
-            source: 'popup-manual-sync',
-            activeTabId: Number.isFinite(message.activeTabId) ? Number(message.activeTabId) : undefined
-        })
-            .then((result) => sendResponse({ success: true, ...result }))
+    if (message.type === 'DELETE_LOCAL_BACKUP') {
+        deleteLocalBackups([String(message.id || '')])
+            .then(() => sendResponse({ success: true }))
             .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
     }
 
-    if (message.type === 'RESTORE_SUBSCRIPTIONS_FROM_CLOUDFLARE') {
-        restoreSubscriptionsFromCloudflare({
-            endpointUrl: message.endpointUrl,
-            apiToken: message.apiToken,
-            accountKey: message.accountKey,
-            activeTabId: Number.isFinite(message.activeTabId) ? Number(message.activeTabId) : undefined
-        })
-            .then((result) => sendResponse({ success: true, ...result }))
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+    return false;
+});
+
+ensureLocalBackupAlarm()
+    .then(() => runLocalBackupIfDue('startup-bootstrap'))
+    .catch((error) => {
+        console.error('[YT-Commander][Backup] Startup due-check failed', error);
+    });
+
+const SMART_PLAYLIST_ALARM_NAME = 'ytCommanderSmartPlaylists';
+const SMART_PLAYLIST_CHECK_PERIOD_MINUTES = 60;
+
+const smartPlaylistRunsInProgress = new Set();
+
+/**
+ * Read saved smart playlists and their per-playlist run state.
+ * @returns {Promise<{playlists: Array<object>, state: Record<string, {lastRunAt: number, managedVideoIds: string[], dismissedVideoIds: string[], log: Array<object>}>}>}
+ */
+async function readSmartPlaylists() {
+    const result = await storageLocalGet([SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS, SMART_PLAYLIST_STORAGE_KEYS.STATE]);
+    const rawState = result[SMART_PLAYLIST_STORAGE_KEYS.STATE];
+    return {
+        playlists: normalizeSmartPlaylists(result[SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS]),
+        state: rawState && typeof rawState === 'object' ? rawState : {}
+    };
+}
+
+/**
+ * Normalize the stored run state of one smart playlist.
+ * @param {any} raw
+ * @returns {{lastRunAt: number, managedVideoIds: string[], dismissedVideoIds: string[], log: Array<object>}}
+ */
+function normalizeSmartPlaylistState(raw) {
+    return {
+        lastRunAt: Number(raw?.lastRunAt) || 0,
+        managedVideoIds: normalizeVideoIds(raw?.managedVideoIds),
+        dismissedVideoIds: normalizeVideoIds(raw?.dismissedVideoIds),
+        log: Array.isArray(raw?.log) ? raw.log : []
+    };
+}
+
+/**
+ * Save the run state of one smart playlist. State is re-read first so
+ * concurrent runs of other smart playlists are not overwritten.
+ * @param {string} id
+ * @param {object} entryState
+ * @returns {Promise<void>}
+ */
+async function writeSmartPlaylistState(id, entryState) {
+    const { state } = await readSmartPlaylists();
+    await storageLocalSet({ [SMART_PLAYLIST_STORAGE_KEYS.STATE]: { ...state, [id]: entryState } });
+}
+
+/**
+ * Keep the hourly due-check alarm while any smart playlist is enabled.
+ * @returns {Promise<void>}
+ */
+async function ensureSmartPlaylistAlarm() {
+    const { playlists } = await readSmartPlaylists();
+    if (!playlists.some((playlist) => playlist.enabled)) {
+        await clearAlarm(SMART_PLAYLIST_ALARM_NAME);
+        return;
     }
-    if (message.type === 'LOCK_SUBSCRIPTION_SYNC_ACCOUNT') {
-        const tabId = Number.isFinite(message.tabId) ? Number(message.tabId) : 0;
-        if (!tabId) {
-            sendResponse({ success: false, error: 'A valid YouTube tab is required to lock account' });
-            return false;
-        }
 
-        lockSubscriptionSyncAccountFromTab(tabId)
-            .then(async (result) => {
-                const status = await getSubscriptionSyncStatus();
-                sendResponse({
-                    success: true,
-                    ...status,
-                    accountKey: result.accountKey,
-                    source: result.source
-                });
-            })
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+    if (await getAlarm(SMART_PLAYLIST_ALARM_NAME)) {
+        return;
     }
-    if (message.type === 'LOCK_PRIMARY_SYNC_ACCOUNT') {
-        const tabId = Number.isFinite(message.tabId) ? Number(message.tabId) : 0;
-        if (!tabId) {
-            sendResponse({ success: false, error: 'A valid YouTube tab is required to lock account' });
-            return false;
-        }
 
-        lockPrimarySyncAccountFromTab(tabId)
-            .then(async (result) => {
-                const status = await getCloudSyncStatus();
-                sendResponse({
-                    success: true,
-                    ...status,
-                    accountKey: result.accountKey,
-                    source: result.source
-                });
-            })
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+    chrome.alarms.create(SMART_PLAYLIST_ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: SMART_PLAYLIST_CHECK_PERIOD_MINUTES
+    });
+}
+
+/**
+ * Read which of the given videos are in the local watched history.
+ * @param {number} tabId
+ * @param {string[]} videoIds
+ * @returns {Promise<Set<string>>}
+ */
+async function readWatchedVideoIdsFromTab(tabId, videoIds) {
+    if (videoIds.length === 0) {
+        return new Set();
+    }
+    const response = await sendMessageToTab(tabId, { type: 'FILTER_WATCHED_VIDEO_IDS', videoIds });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to read watched history');
     }
+    return new Set(normalizeVideoIds(response.videoIds));
+}
 
-    if (message.type === 'DOWNLOAD_FROM_CLOUDFLARE') {
-        downloadFromCloudflare({
-            endpointUrl: message.endpointUrl,
-            apiToken: message.apiToken
-        })
-            .then((result) => sendResponse({ success: true, ...result }))
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+/**
+ * Recompute one smart playlist and sync the result into its target playlist.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @param {number} tabId
+ * @param {{managedVideoIds: string[], dismissedVideoIds: string[]}} entryState
+ * @returns {Promise<{matchedCount: number, addedCount: number, removedCount: number, failedCount: number, failedChannelCount: number, skippedChannelCount: number, managedVideoIds: string[], dismissedVideoIds: string[], error: string}>}
+ */
+async function syncSmartPlaylist(playlist, tabId, entryState) {
+    const stored = await storageLocalGet(Object.values(CATEGORY_INDEX_STORAGE_KEYS));
+    const { channelIds, skippedCount } = resolveSmartPlaylistChannelIds(playlist, buildChannelCategoryIndex(stored));
+    if (channelIds.length === 0) {
+        throw new Error('No channels in the chosen categories');
     }
 
-    if (message.type === 'SEED_HISTORY_TO_LOCAL_AND_CLOUDFLARE') {
-        seedHistoryToLocalAndCloudflare({
-            videoIds: message.videoIds,
-            endpointUrl: message.endpointUrl,
-            apiToken: message.apiToken,
-            activeTabId: message.activeTabId
-        })
-            .then((result) => sendResponse({ success: true, ...result }))
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+    const { uploads, failedChannelIds } = await runPlaylistBridgeAction(tabId, 'GET_CHANNEL_UPLOADS', {
+        channelIds,
+        includeShorts: !playlist.excludeShorts,
+        maxAgeDays: playlist.maxAgeDays
+    });
+    if (failedChannelIds.length === channelIds.length) {
+        throw new Error('Could not read uploads from any channel');
     }
+    const { items } = await runPlaylistBridgeAction(tabId, 'GET_PLAYLIST_ITEMS', {
+        playlistId: playlist.targetPlaylistId
+    });
 
-    if (message.type === 'GET_ALL_WATCHED_VIDEOS') {
-        proxyGetAllWatchedVideos().then(sendResponse);
-        return true;
+    const watchedIds = playlist.excludeWatched || playlist.pruneWatched
+        ? await readWatchedVideoIdsFromTab(tabId, normalizeVideoIds([
+            ...uploads.map((upload) => upload.videoId),
+            ...items.map((item) => item.videoId)
+        ]))
+        : new Set();
+    const plan = planSmartPlaylistSync(playlist, {
+        candidates: uploads,
+        currentItems: items,
+        channelIds: new Set(channelIds),
+        watchedIds,
+        managedVideoIds: entryState.managedVideoIds,
+        dismissedVideoIds: entryState.dismissedVideoIds,
+        now: Date.now()
+    });
+
+    const errors = [];
+    let removedVideoIds = [];
+    if (plan.removeVideoIds.length > 0) {
+        try {
+            const result = await runPlaylistBridgeAction(tabId, 'REMOVE_FROM_PLAYLIST', {
+                playlistId: playlist.targetPlaylistId,
+                videoIds: plan.removeVideoIds
+            });
+            removedVideoIds = normalizeVideoIds(result?.removedVideoIds);
+        } catch (error) {
+            errors.push(error.message);
+        }
     }
 
-    if (message.type === 'AUTO_CATEGORIZE_SUBSCRIPTIONS') {
-        requestGeminiAutoCategorize(message)
-            .then((data) => sendResponse({ success: true, data }))
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+    let addedCount = 0;
+    let addedVideoIds = [];
+    if (plan.addVideoIds.length > 0) {
+        const entry = await addAutomationVideosToPlaylist(
+            tabId,
+            'videos',
+            playlist.targetPlaylistId,
+            playlist.targetPlaylistTitle,
+            plan.addVideoIds
+        );
+        addedCount = entry.addedCount;
+        addedVideoIds = entry.addedVideoIds;
+        if (entry.error) {
+            errors.push(entry.error);
+        }
     }
 
-    if (message.type === 'OPEN_URLS_IN_BACKGROUND') {
-        const requestedUrls = Array.isArray(message.urls) ? message.urls : [];
-        const urls = requestedUrls
-            .map((url) => (typeof url === 'string' ? url.trim() : ''))
-            .filter((url) => /^https:\/\/www\.youtube\.com\//.test(url))
-            .slice(0, 500);
+    const removed = new Set(removedVideoIds);
+    const currentIds = new Set(items.map((item) => item.videoId));
+    const managedVideoIds = entryState.managedVideoIds.filter((videoId) => currentIds.has(videoId) && !removed.has(videoId));
+    managedVideoIds.push(...addedVideoIds);
 
-        (async () => {
-            if (urls.length === 0) {
-                sendResponse({ success: false, error: 'No valid URLs provided.' });
-                return;
-            }
+    return {
+        matchedCount: plan.matchedCount,
+        addedCount,
+        removedCount: removedVideoIds.length,
+        failedCount: (plan.addVideoIds.length - addedCount) + (plan.removeVideoIds.length - removedVideoIds.length),
+        failedChannelCount: failedChannelIds.length,
+        skippedChannelCount: skippedCount,
+        managedVideoIds,
+        dismissedVideoIds: plan.dismissedVideoIds,
+        error: errors[0] || ''
+    };
+}
 
-            const createdTabs = [];
-            for (const url of urls) {
-                const createProperties = {
-                    url,
-                    active: false
-                };
-                if (typeof sender?.tab?.windowId === 'number') {
-                    createProperties.windowId = sender.tab.windowId;
-                }
+/**
+ * Run one smart playlist and record the outcome in its run log.
+ * Scheduled runs only use an open YouTube tab; manual runs open one if needed.
+ * @param {string} id
+ * @param {'manual'|'schedule'} trigger
+ * @returns {Promise<{status: string, matchedCount: number, addedCount: number, removedCount: number, failedCount: number, error: string}>}
+ */
+async function runSmartPlaylist(id, trigger) {
+    const { playlists, state } = await readSmartPlaylists();
+    const playlist = playlists.find((item) => item.id === id);
+    if (!playlist) {
+        throw new Error('Smart playlist not found');
+    }
+    const invalidReason = validateSmartPlaylist(playlist);
+    if (invalidReason) {
+        throw new Error(invalidReason);
+    }
+    if (smartPlaylistRunsInProgress.has(id)) {
+        throw new Error('This smart playlist is already running');
+    }
+    smartPlaylistRunsInProgress.add(id);
 
-                const tab = await createTab(createProperties);
-                if (tab) {
-                    createdTabs.push(tab);
-                }
+    let tab = null;
+    try {
+        if (trigger === 'manual') {
+            tab = await resolveYouTubeTabForHistory();
+        } else {
+            const tabId = await findExistingYouTubeTabWithReceiver();
+            if (!tabId) {
+                console.info('[YT-Commander][SmartPlaylists] No YouTube tab open, deferring run', { id });
+                return null;
             }
+            tab = { tabId, created: false };
+        }
 
-            sendResponse({
-                success: true,
-                openedCount: createdTabs.length
-            });
-        })().catch((error) => {
-            sendResponse({
-                success: false,
-                error: error?.message || 'Failed to open background tabs.'
+        const entryState = normalizeSmartPlaylistState(state[id]);
+        const logEntry = {
+            at: Date.now(),
+            trigger,
+            status: 'failed',
+            matchedCount: 0,
+            addedCount: 0,
+            removedCount: 0,
+            failedCount: 0,
+            failedChannelCount: 0,
+            skippedChannelCount: 0,
+            error: ''
+        };
+
+        try {
+            const result = await syncSmartPlaylist(playlist, tab.tabId, entryState);
+            entryState.managedVideoIds = result.managedVideoIds;
+            entryState.dismissedVideoIds = result.dismissedVideoIds;
+            Object.assign(logEntry, {
+                status: result.failedCount > 0 || result.failedChannelCount > 0 || result.skippedChannelCount > 0
+                    ? 'partial'
+                    : 'success',
+                matchedCount: result.matchedCount,
+                addedCount: result.addedCount,
+                removedCount: result.removedCount,
+                failedCount: result.failedCount,
+                failedChannelCount: result.failedChannelCount,
+                skippedChannelCount: result.skippedChannelCount,
+                error: result.error
             });
-        });
+        } catch (error) {
+            logEntry.error = error.message;
+        }
 
-        return true;
+        entryState.lastRunAt = logEntry.at;
+        entryState.log = [logEntry, ...entryState.log].slice(0, SMART_PLAYLIST_LOG_LIMIT);
+        await writeSmartPlaylistState(id, entryState);
+        console.info('[YT-Commander][SmartPlaylists] Run finished', { id, ...logEntry });
+        return logEntry;
+    } finally {
+        smartPlaylistRunsInProgress.delete(id);
+        if (tab?.created) {
+            await removeTab(tab.tabId);
+        }
     }
+}
 
-    
-    if (message.type === 'SUBSCRIPTION_MANAGER_UPDATED') {
-        const pendingCount = Number.isFinite(message.pendingCount) ? Number(message.pendingCount) : 0;
-        storageLocalSet({
-            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: pendingCount
-        }).catch((error) => {
-            console.warn('[YT-Commander][SubscriptionSync] Failed to update pending count', error);
-        });
+/**
+ * Run every enabled smart playlist whose interval has passed, one at a time.
+ * @param {string} trigger
+ * @returns {Promise<void>}
+ */
+async function runDueSmartPlaylists(trigger) {
+    const { playlists, state } = await readSmartPlaylists();
+    const now = Date.now();
+    const due = playlists.filter((playlist) => playlist.enabled
+        && !validateSmartPlaylist(playlist)
+        && now - normalizeSmartPlaylistState(state[playlist.id]).lastRunAt >= playlist.intervalHours * 60 * 60 * 1000);
+
+    for (const playlist of due) {
+        const logEntry = await runSmartPlaylist(playlist.id, 'schedule');
+        if (!logEntry) {
+            console.info('[YT-Commander][SmartPlaylists] Due-check deferred', { trigger });
+            return;
+        }
+    }
+}
 
-        runSubscriptionAutoSyncIfDue('subscription-updated').catch((error) => {
-            console.error('[YT-Commander][SubscriptionSync] Update due-check failed', error);
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SMART_PLAYLIST_ALARM_NAME) {
+        runDueSmartPlaylists(`alarm:${alarm.name}`).catch((error) => {
+            console.error('[YT-Commander][SmartPlaylists] Alarm due-check failed', error);
         });
-
-        sendResponse({ success: true, pendingCount });
-        return true;
     }
+});
 
-    if (message.type === 'HISTORY_UPDATED') {
-        const changedIds = normalizeVideoIds([
-            ...(Array.isArray(message.videoIds) ? message.videoIds : []),
-            ...(typeof message.videoId === 'string' ? [message.videoId] : [])
-        ]);
-        const rawAccountKey = normalizeAccountKey(message.accountKey);
-        const accountKey = isSubscriptionChannelAccountKey(rawAccountKey)
-            ? rawAccountKey
-            : DEFAULT_ACCOUNT_KEY;
+chrome.runtime.onStartup.addListener(() => {
+    ensureSmartPlaylistAlarm().catch((error) => {
+        console.error('[YT-Commander][SmartPlaylists] Failed to ensure alarm on startup', error);
+    });
+});
 
-        autoLockPrimaryAccountIfMissing(accountKey, sender.tab).catch((error) => {
-            console.warn('[YT-Commander][CloudSync] Could not auto-lock primary account', error);
-        });
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'SCHEDULE_SMART_PLAYLISTS') {
+        ensureSmartPlaylistAlarm()
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
 
-        enqueuePendingVideoIds(changedIds, accountKey)
-            .then((pendingCount) => {
-                if (changedIds.length > 0) {
-                    console.info('[YT-Commander][CloudSync] Queued watched IDs', {
-                        added: changedIds.length,
-                        accountKey,
-                        pendingCount
-                    });
-                }
+    if (message.type === 'RUN_SMART_PLAYLIST') {
+        runSmartPlaylist(String(message.id || ''), 'manual')
+            .then((logEntry) => sendResponse({ success: logEntry.status !== 'failed', logEntry, error: logEntry.error || undefined }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
 
-                chrome.tabs.query({ url: YOUTUBE_TAB_URL_PATTERN }, (tabs) => {
-                    tabs.forEach((tab) => {
-                        if (typeof tab.id !== 'number' || tab.id === sender.tab?.id) {
-                            return;
-                        }
+    return false;
+});
 
-                        chrome.tabs.sendMessage(tab.id, { type: 'HISTORY_UPDATED' }, () => {
-                            if (chrome.runtime.lastError) {
-                                return;
-                            }
-                        });
-                    });
-                });
+ensureSmartPlaylistAlarm().catch((error) => {
+    console.error('[YT-Commander][SmartPlaylists] Failed to ensure startup alarm', error);
+});
 
-                runAutoSyncIfDue('history-updated').catch((error) => {
-                    console.error('[YT-Commander][CloudSync] History due-check failed', error);
-                });
+const PLAYLIST_SNAPSHOT_ALARM_NAME = 'ytCommanderPlaylistSnapshots';
+const PLAYLIST_SNAPSHOT_CHECK_PERIOD_MINUTES = 60;
+const PLAYLIST_SNAPSHOT_DB_NAME = 'YTCommanderPlaylistSnapshots';
+const PLAYLIST_SNAPSHOT_DB_VERSION = 1;
+const PLAYLIST_SNAPSHOT_META_STORE = 'snapshots';
+const PLAYLIST_SNAPSHOT_DATA_STORE = 'entries';
 
-                sendResponse({ success: true, pendingCount });
-            })
-            .catch((error) => {
-                console.error('[YT-Commander][CloudSync] Failed to enqueue history updates', error);
-                sendResponse({ success: false, error: error?.message || 'Failed to enqueue history update' });
-            });
+let playlistSnapshotInProgress = false;
+let playlistSnapshotDbPromise = null;
 
-        return true;
+/**
+ * Open the extension-origin playlist snapshot database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openPlaylistSnapshotDb() {
+    if (playlistSnapshotDbPromise) {
+        return playlistSnapshotDbPromise;
     }
 
-    if (message.type === 'PROCESS_IMPORT_BATCH') {
-        chrome.storage.local.get([message.storageKey], (result) => {
-            const batchData = result[message.storageKey];
-            if (!batchData) {
-                sendResponse({ success: false, error: 'Batch data not found' });
-                return;
-            }
-
-            chrome.tabs.sendMessage(message.tabId, {
-                type: 'IMPORT_WATCHED_VIDEOS',
-                videoIds: batchData.videoIds
-            }, (response) => {
-                chrome.storage.local.remove([message.storageKey]);
-
-                if (chrome.runtime.lastError) {
-                    sendResponse({
-                        success: false,
-                        error: chrome.runtime.lastError.message,
-                        count: 0
-                    });
-                    return;
-                }
-
-                sendResponse({
-                    success: true,
-                    count: response?.count || 0
-                });
-            });
-        });
-        return true;
-    }
+    playlistSnapshotDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(PLAYLIST_SNAPSHOT_DB_NAME, PLAYLIST_SNAPSHOT_DB_VERSION);
 
-    if (message.type === 'GET_WATCHED_STATS') {
-        chrome.tabs.sendMessage(message.tabId, { type: 'GET_WATCHED_STATS' }, (response) => {
-            if (chrome.runtime.lastError) {
-                sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                return;
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PLAYLIST_SNAPSHOT_META_STORE)) {
+                db.createObjectStore(PLAYLIST_SNAPSHOT_META_STORE, { keyPath: 'id' });
             }
+            if (!db.objectStoreNames.contains(PLAYLIST_SNAPSHOT_DATA_STORE)) {
+                db.createObjectStore(PLAYLIST_SNAPSHOT_DATA_STORE, { keyPath: 'id' });
+            }
+        };
 
-            sendResponse(response || { success: false, error: 'No response from content script' });
-        });
-        return true;
-    }
-
-    return false;
-});
-
-chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName !== 'local') {
-        return;
-    }
-    if (changes[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]) {
-        lastSubscriptionPendingCount = Number(changes[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT].newValue) || 0;
-    }
-    if (changes[CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]) {
-        const next = Number(changes[CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT].newValue) || 0;
-        updateWatchedHistoryBadge(next);
-        return;
-    }
-    if (changes[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]) {
-        updateExtensionTitle();
-    }
-});
-
-refreshWatchedHistoryBadge();
-
-ensureAutoSyncAlarm().catch((error) => {
-    console.error('[YT-Commander][CloudSync] Failed to ensure startup alarm', error);
-});
-
-runAutoSyncIfDue('startup-bootstrap').catch((error) => {
-    console.error('[YT-Commander][CloudSync] Startup bootstrap due-check failed', error);
-});
-ensureSubscriptionAutoSyncAlarm().catch((error) => {
-    console.error('[YT-Commander][SubscriptionSync] Failed to ensure startup alarm', error);
-});
-
-runSubscriptionAutoSyncIfDue('startup-bootstrap').catch((error) => {
-    console.error('[YT-Commander][SubscriptionSync] Startup bootstrap due-check failed', error);
-});
-
-const AUTOMATION_ALARM_NAME = 'ytCommanderSubscriptionAutomation';
-
-function showNotification(title, message) {
-    try {
-        if (chrome.notifications) {
-            chrome.notifications.create({
-                type: 'basic',
-                iconUrl: '/assets/icon.png',
-                title: title,
-                message: message
-            });
-        }
-    } catch (e) {
-        console.warn('[YT-Commander][Notifications] Failed to show notification:', e);
-    }
-}
-
-const AUTOMATION_STORAGE_KEYS = {
-    ENABLED: 'subscriptionAutomationEnabled',
-    TIME: 'subscriptionAutomationTime',
-    LOOKBACK: 'subscriptionAutomationLookback',
-    SHORTS_PLAYLIST: 'subscriptionAutomationShortsPlaylist',
-    VIDEOS_MODE: 'subscriptionAutomationVideosMode',
-    VIDEOS_PLAYLIST: 'subscriptionAutomationVideosPlaylist',
-    SPLIT_COUNT: 'subscriptionAutomationSplitCount',
-    LAST_RUN: 'subscriptionAutomationLastRun',
-    LAST_VIDEOS_COUNT: 'subscriptionAutomationLastVideosCount',
-    LAST_SHORTS_COUNT: 'subscriptionAutomationLastShortsCount',
-    LAST_STATUS: 'subscriptionAutomationLastStatus'
-};
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            playlistSnapshotDbPromise = null;
+            reject(request.error || new Error('Failed to open playlist snapshot database'));
+        };
+    });
 
-async function readAutomationSettings() {
-    const result = await storageLocalGet([
-        AUTOMATION_STORAGE_KEYS.ENABLED,
-        AUTOMATION_STORAGE_KEYS.TIME,
-        AUTOMATION_STORAGE_KEYS.LOOKBACK,
-        AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST,
-        AUTOMATION_STORAGE_KEYS.VIDEOS_MODE,
-        AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST,
-        AUTOMATION_STORAGE_KEYS.SPLIT_COUNT
-    ]);
-    
-    return {
-        enabled: result[AUTOMATION_STORAGE_KEYS.ENABLED] === true,
-        time: result[AUTOMATION_STORAGE_KEYS.TIME] || '19:30',
-        lookback: result[AUTOMATION_STORAGE_KEYS.LOOKBACK] || 'yesterday',
-        shortsPlaylist: result[AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST] || 'WL',
-        videosMode: result[AUTOMATION_STORAGE_KEYS.VIDEOS_MODE] || 'single',
-        videosPlaylist: result[AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST] || 'WL',
-        splitCount: parseInt(result[AUTOMATION_STORAGE_KEYS.SPLIT_COUNT]) || 20
-    };
+    return playlistSnapshotDbPromise;
 }
 
-async function scheduleAutomation() {
-    const settings = await readAutomationSettings();
-    
-    if (!settings.enabled) {
-        await clearAlarm(AUTOMATION_ALARM_NAME);
-        console.info('[YT-Commander][Automation] Disabled, clearing alarm');
-        return;
-    }
-    
-    const [hours, minutes] = settings.time.split(':').map(Number);
-    const now = new Date();
-    let nextRun = new Date(now);
-    nextRun.setHours(hours, minutes, 0, 0);
-    
-    if (nextRun <= now) {
-        nextRun.setDate(nextRun.getDate() + 1);
-    }
-    
-    const delayInMinutes = (nextRun - now) / (1000 * 60);
-    
-    await clearAlarm(AUTOMATION_ALARM_NAME);
-    chrome.alarms.create(AUTOMATION_ALARM_NAME, {
-        delayInMinutes: delayInMinutes
+/**
+ * Run one read-write or read-only transaction on the playlist snapshot stores.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(meta: IDBObjectStore, data: IDBObjectStore) => IDBRequest|void} run
+ * @returns {Promise<any>} Result of the request returned by `run`, if any.
+ */
+async function runPlaylistSnapshotTransaction(mode, run) {
+    const db = await openPlaylistSnapshotDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([PLAYLIST_SNAPSHOT_META_STORE, PLAYLIST_SNAPSHOT_DATA_STORE], mode);
+        const request = run(
+            transaction.objectStore(PLAYLIST_SNAPSHOT_META_STORE),
+            transaction.objectStore(PLAYLIST_SNAPSHOT_DATA_STORE)
+        );
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error || new Error('Playlist snapshot transaction failed'));
+        transaction.onabort = () => reject(transaction.error || new Error('Playlist snapshot transaction aborted'));
     });
-    
-    console.info('[YT-Commander][Automation] Scheduled for', nextRun.toISOString(), 'in', Math.round(delayInMinutes), 'minutes');
 }
 
-async function runSubscriptionAutomation() {
-    console.info('[YT-Commander][Automation] Starting subscription automation...');
-    
-    try {
-        const settings = await readAutomationSettings();
-        console.info('[YT-Commander][Automation] Settings:', settings);
-        
-        const now = new Date();
-        
-        await storageLocalSet({
-            [AUTOMATION_STORAGE_KEYS.LAST_RUN]: now.toISOString(),
-            [AUTOMATION_STORAGE_KEYS.LAST_VIDEOS_COUNT]: 0,
-            [AUTOMATION_STORAGE_KEYS.LAST_SHORTS_COUNT]: 0,
-            [AUTOMATION_STORAGE_KEYS.LAST_STATUS]: 'running'
-        });
-        
-const SUBSCRIPTIONS_URL = 'https://www.youtube.com/feed/subscriptions';
-        let tab = null;
-        
-        const subscriptionsTabs = await queryTabs({ url: SUBSCRIPTIONS_URL, active: true });
-        if (subscriptionsTabs.length > 0) {
-            tab = subscriptionsTabs[0];
-        }
-        
-        if (!tab) {
-            const existingTabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN, active: true, currentWindow: true });
-            if (existingTabs.length > 0) {
-                tab = existingTabs[0];
-                await new Promise((resolve) => {
-                    chrome.tabs.update(tab.id, { url: SUBSCRIPTIONS_URL, active: true }, () => resolve());
-                });
-                await waitForTabReady(tab.id);
-                await delay(2000);
-            } else {
-                tab = await createTab({ url: SUBSCRIPTIONS_URL, active: true });
-                await waitForTabReady(tab.id);
-                await delay(3000);
-            }
-        } else {
-            await chrome.tabs.update(tab.id, { active: true });
-            await delay(2000);
-        }
-        
-        let lookbackMs = 24 * 60 * 60 * 1000;
-        switch (settings.lookback) {
-            case 'yesterday':
-            case '24h':
-                lookbackMs = 24 * 60 * 60 * 1000;
-                break;
-            case '48h':
-                lookbackMs = 48 * 60 * 60 * 1000;
-                break;
-            default:
-                lookbackMs = 24 * 60 * 60 * 1000;
-        }
-        
-        const automationScript = function(lookbackMsParam) {
-            function parsePublishedTime(publishedText) {
-                if (!publishedText) return null;
-                const now = new Date();
-                const match = publishedText.match(/(\d+)\s*(second|minute|hour|day|week|month|year)s?\s*ago/i);
-                if (!match) return null;
-                const value = parseInt(match[1]);
-                const unit = match[2].toLowerCase();
-                let ms;
-                switch (unit) {
-                    case 'second': ms = value * 1000; break;
-                    case 'minute': ms = value * 60 * 1000; break;
-                    case 'hour': ms = value * 60 * 60 * 1000; break;
-                    case 'day': ms = value * 24 * 60 * 60 * 1000; break;
-                    case 'week': ms = value * 7 * 24 * 60 * 60 * 1000; break;
-                    case 'month': ms = value * 30 * 24 * 60 * 60 * 1000; break;
-                    case 'year': ms = value * 365 * 24 * 60 * 60 * 1000; break;
-                    default: return null;
-                }
-                return new Date(now.getTime() - ms);
-            }
-            
-            async function getWatchedVideoIds() {
-                return new Promise((resolve) => {
-                    try {
-                        const request = indexedDB.open('YouTubeCommanderDB');
-                        request.onsuccess = () => {
-                            const db = request.result;
-                            if (!db.objectStoreNames.contains('watchedVideos')) {
-                                resolve([]);
-                                return;
-                            }
-                            const tx = db.transaction(['watchedVideos'], 'readonly');
-                            const store = tx.objectStore('watchedVideos');
-                            const getAll = store.getAll();
-                            getAll.onsuccess = () => resolve(getAll.result.map(v => v.videoId));
-                            getAll.onerror = () => resolve([]);
-                        };
-                        request.onerror = () => resolve([]);
-                    } catch (e) { resolve([]); }
-                });
-            }
-            
-            return (async function() {
-                const watchedIds = new Set(await getWatchedVideoIds());
-                
-                const videos = [];
-                const shorts = [];
-                
-                const contents = window.__ytInitialData?.contents?.twoColumnBrowseResultsRenderer?.tabs?.[0]?.tabRenderer?.content?.richGridRenderer?.contents || [];
-                
-                for (const section of contents) {
-                    const richSection = section?.richSectionRenderer?.content;
-                    const richShelf = richSection?.richShelfRenderer || richSection?.shelfRenderer;
-                    const items = richShelf?.contents || [];
-                    
-                    for (const item of items) {
-                        const richItem = item?.richItemRenderer?.content;
-                        const lockup = richItem?.lockupViewModel;
-                        
-                        if (lockup?.contentId) {
-                            const videoId = lockup.contentId;
-                            const title = lockup?.metadata?.lockupMetadataViewModel?.title?.content || 'Unknown';
-                            const metadata = lockup?.metadata?.lockupMetadataViewModel;
-                            
-                            if (!watchedIds.has(videoId)) {
-                                const isShort = metadata?.metadataBadgeContainer?.metadataBadgeContainerRenderer?.metadataBadgeRenderer?.label?.content?.toLowerCase()?.includes('short');
-                                
-                                videos.push({ 
-                                    videoId: videoId, 
-                                    title: title,
-                                    isShort: isShort
-                                });
-                            }
-                        }
-                    }
-                }
-                
-                return { success: true, videos, shorts };
-            })();
-        };
-        
-        const result = await new Promise((resolve, reject) => {
-            chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                func: automationScript,
-                args: [lookbackMs],
-                world: 'MAIN'
-            }, (results) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                } else {
-                    resolve(results?.[0]?.result || { success: false, error: 'No result', videos: [], shorts: [] });
-                }
-            });
-        });
-        
-        if (result?.error) {
-            console.error('[YT-Commander][Automation] API Error:', result.error);
-            throw new Error('API Error: ' + result.error);
-        }
-        
-        const videosCount = result?.videos?.length || 0;
-        const shortsCount = result?.shorts?.length || 0;
-        
-        console.info('[YT-Commander][Automation] Found', videosCount, 'videos and', shortsCount, 'shorts');
-        
-        await storageLocalSet({
-            [AUTOMATION_STORAGE_KEYS.LAST_VIDEOS_COUNT]: videosCount,
-            [AUTOMATION_STORAGE_KEYS.LAST_SHORTS_COUNT]: shortsCount,
-            [AUTOMATION_STORAGE_KEYS.LAST_STATUS]: 'success'
-        });
-        
-        await scheduleAutomation();
-        
-        showNotification('YouTube Commander', `Found ${videosCount} videos and ${shortsCount} shorts from subscriptions`);
-        
-        return {
-            success: true,
-            videosCount,
-            shortsCount
-        };
-    } catch (error) {
-        console.error('[YT-Commander][Automation] Error:', error);
-        
-        await storageLocalSet({
-            [AUTOMATION_STORAGE_KEYS.LAST_STATUS]: 'failed'
-        });
-        
-        showNotification('YouTube Commander', 'Subscription automation failed: ' + error.message);
-        
-        return {
-            success: false,
-            error: error.message
-        };
-    }
+/**
+ * List snapshot metadata of every playlist, newest first.
+ * @returns {Promise<object[]>}
+ */
+async function listPlaylistSnapshots() {
+    const entries = await runPlaylistSnapshotTransaction('readonly', (meta) => meta.getAll());
+    return (Array.isArray(entries) ? entries : []).sort((a, b) => b.createdAt - a.createdAt);
 }
-
-chrome.alarms.onAlarm.addListener((alarm) => {
-    if (alarm.name === AUTOMATION_ALARM_NAME) {
-        console.info('[YT-Commander][Automation] Alarm triggered, running automation...');
-        runSubscriptionAutomation().catch((error) => {
-            console.error('[YT-Commander][Automation] Alarm handler error:', error);
-        });
+
+/**
+ * Load the entries of one stored snapshot.
+ * @param {string} id
+ * @returns {Promise<Array<{videoId: string, title: string, channelName: string, channelId: string, available: boolean}>>}
+ */
+async function readPlaylistSnapshotEntries(id) {
+    const data = await runPlaylistSnapshotTransaction('readonly', (_meta, store) => store.get(id));
+    if (!Array.isArray(data?.entries)) {
+        throw new Error('Playlist snapshot data is missing');
     }
-});
+    return data.entries;
+}
 
-chrome.runtime.onStartup.addListener(async () => {
-    console.info('[YT-Commander][Automation] Browser started, checking if automation was missed...');
-    
-    const settings = await readAutomationSettings();
-    if (!settings.enabled) {
+/**
+ * Delete snapshots by ID.
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+async function deletePlaylistSnapshots(ids) {
+    if (!ids.length) {
         return;
     }
-    
-    const [hours, minutes] = settings.time.split(':').map(Number);
-    const now = new Date();
-    const scheduledToday = new Date(now);
-    scheduledToday.setHours(hours, minutes, 0, 0);
-    
-    if (scheduledToday <= now) {
-        console.info('[YT-Commander][Automation] Missed today\'s scheduled run, executing now...');
-        runSubscriptionAutomation().catch((error) => {
-            console.error('[YT-Commander][Automation] Startup automation error:', error);
+
+    await runPlaylistSnapshotTransaction('readwrite', (meta, data) => {
+        ids.forEach((id) => {
+            meta.delete(id);
+            data.delete(id);
         });
-    }
-    
-    await scheduleAutomation();
-});
+    });
+}
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'SCHEDULE_AUTOMATION') {
-        scheduleAutomation()
-            .then(() => sendResponse({ success: true }))
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+/**
+ * Read tracked playlists, interval and last run status.
+ * @returns {Promise<{playlists: Array<{playlistId: string, title: string}>, intervalHours: number, lastRunAt: number, lastError: string}>}
+ */
+async function readPlaylistSnapshotSettings() {
+    const result = await storageLocalGet(Object.values(PLAYLIST_SNAPSHOT_STORAGE_KEYS));
+    return {
+        playlists: normalizeTrackedPlaylists(result[PLAYLIST_SNAPSHOT_STORAGE_KEYS.PLAYLISTS]),
+        intervalHours: normalizePlaylistSnapshotInterval(result[PLAYLIST_SNAPSHOT_STORAGE_KEYS.INTERVAL_HOURS]),
+        lastRunAt: Number(result[PLAYLIST_SNAPSHOT_STORAGE_KEYS.LAST_RUN_AT]) || 0,
+        lastError: typeof result[PLAYLIST_SNAPSHOT_STORAGE_KEYS.LAST_ERROR] === 'string'
+            ? result[PLAYLIST_SNAPSHOT_STORAGE_KEYS.LAST_ERROR]
+            : ''
+    };
+}
+
+/**
+ * Read snapshot settings and stored snapshots for the popup.
+ * @returns {Promise<object>}
+ */
+async function getPlaylistSnapshotStatus() {
+    return {
+        ...(await readPlaylistSnapshotSettings()),
+        snapshots: await listPlaylistSnapshots()
+    };
+}
+
+/**
+ * Save tracked playlists and interval. Snapshots of playlists that are no
+ * longer tracked are deleted.
+ * @param {{playlists?: any, intervalHours?: any}} config
+ * @returns {Promise<void>}
+ */
+async function updatePlaylistSnapshotConfig(config) {
+    const current = await readPlaylistSnapshotSettings();
+    const playlists = config.playlists === undefined ? current.playlists : normalizeTrackedPlaylists(config.playlists);
+    await storageLocalSet({
+        [PLAYLIST_SNAPSHOT_STORAGE_KEYS.PLAYLISTS]: playlists,
+        [PLAYLIST_SNAPSHOT_STORAGE_KEYS.INTERVAL_HOURS]: normalizePlaylistSnapshotInterval(
+            config.intervalHours === undefined ? current.intervalHours : config.intervalHours
+        )
+    });
+
+    const trackedIds = new Set(playlists.map((playlist) => playlist.playlistId));
+    const untracked = (await listPlaylistSnapshots()).filter((meta) => !trackedIds.has(meta.playlistId));
+    await deletePlaylistSnapshots(untracked.map((meta) => meta.id));
+    await ensurePlaylistSnapshotAlarm();
+}
+
+/**
+ * Keep the hourly due-check alarm while any playlist is tracked.
+ * @returns {Promise<void>}
+ */
+async function ensurePlaylistSnapshotAlarm() {
+    const { playlists } = await readPlaylistSnapshotSettings();
+    if (playlists.length === 0) {
+        await clearAlarm(PLAYLIST_SNAPSHOT_ALARM_NAME);
+        return;
     }
-    
-    if (message.type === 'RUN_SUBSCRIPTION_AUTOMATION') {
-        runSubscriptionAutomation()
-            .then((result) => sendResponse(result))
-            .catch((error) => sendResponse({ success: false, error: error.message }));
-        return true;
+
+    if (await getAlarm(PLAYLIST_SNAPSHOT_ALARM_NAME)) {
+        return;
     }
-    
-    return false;
-});
 
-const AUTO_SKIP_STORAGE_KEY = 'autoSkipEnabled';
+    chrome.alarms.create(PLAYLIST_SNAPSHOT_ALARM_NAME, {
+        delayInMinutes: 1,
+        periodInMinutes: PLAYLIST_SNAPSHOT_CHECK_PERIOD_MINUTES
+    });
+}
 
-const AUTO_SKIP_SELECTORS = [
-    '.ytp-skip-ad-button',
-    '#skip-button\\:2',
-    '.ytp-ad-skip-button-modern',
-    '.ytp-ad-skip-button'
-];
+/**
+ * Snapshot one playlist. When nothing changed since the newest snapshot, that
+ * snapshot is only marked as checked, so stored snapshots mark changes.
+ * @param {number} tabId
+ * @param {{playlistId: string, title: string}} tracked
+ * @param {object[]} snapshots Stored snapshot metadata, newest first.
+ * @param {'manual'|'schedule'} trigger
+ * @returns {Promise<{meta: object, changed: boolean}>}
+ */
+async function snapshotPlaylist(tabId, tracked, snapshots, trigger) {
+    const { items } = await runPlaylistBridgeAction(tabId, 'GET_PLAYLIST_ITEMS', {
+        playlistId: tracked.playlistId,
+        includeUnavailable: true
+    });
 
-const AUTO_SKIP_AD_SELECTORS = [
-    '.ad-showing',
-    '.ytp-ad-player-overlay',
-    '.ytp-ad-module'
-];
+    const history = snapshots.filter((meta) => meta.playlistId === tracked.playlistId);
+    const previous = history[0] || null;
+    const previousEntries = previous ? await readPlaylistSnapshotEntries(previous.id) : [];
+    const entries = buildPlaylistSnapshotEntries(items, previousEntries);
+    const diff = diffPlaylistSnapshots(previousEntries, entries);
+    const now = Date.now();
 
-const AUTO_SKIP_SCRIPT = function() {
-    if (window.__ytCommanderAutoSkipInjected) {
-        return;
+    if (previous && isPlaylistSnapshotDiffEmpty(diff)) {
+        const meta = { ...previous, title: tracked.title || previous.title, checkedAt: now };
+        await runPlaylistSnapshotTransaction('readwrite', (metaStore) => {
+            metaStore.put(meta);
+        });
+        return { meta, changed: false };
+    }
+
+    const meta = {
+        id: `playlist-snapshot-${tracked.playlistId}-${now}`,
+        playlistId: tracked.playlistId,
+        title: tracked.title,
+        createdAt: now,
+        checkedAt: now,
+        trigger,
+        videoCount: entries.length,
+        unavailableCount: entries.filter((entry) => !entry.available).length,
+        changes: previous
+            ? {
+                added: diff.added.length,
+                removed: diff.removed.length,
+                unavailable: diff.unavailable.length,
+                restored: diff.restored.length
+            }
+            : null
+    };
+    await runPlaylistSnapshotTransaction('readwrite', (metaStore, dataStore) => {
+        metaStore.put(meta);
+        dataStore.put({ id: meta.id, entries });
+    });
+    await deletePlaylistSnapshots(history.slice(PLAYLIST_SNAPSHOT_RETENTION - 1).map((entry) => entry.id));
+    return { meta, changed: true };
+}
+
+/**
+ * Snapshot every tracked playlist, one at a time.
+ * Scheduled runs only use an open YouTube tab; manual runs open one if needed.
+ * @param {'manual'|'schedule'} trigger
+ * @returns {Promise<{checkedCount: number, changedCount: number, failedCount: number, error: string}|null>} null when deferred
+ */
+async function runPlaylistSnapshots(trigger) {
+    const { playlists } = await readPlaylistSnapshotSettings();
+    if (playlists.length === 0) {
+        throw new Error('No playlists are tracked');
     }
-    window.__ytCommanderAutoSkipInjected = true;
-    
-    console.log('[AutoSkipAds] Script injected successfully');
-    
-    function isAdPlaying() {
-        for (const selector of ['.ad-showing', '.ytp-ad-player-overlay']) {
-            const el = document.querySelector(selector);
-            if (el && el.offsetParent !== null) {
-                return true;
+    if (playlistSnapshotInProgress) {
+        throw new Error('Playlist snapshots are already running');
+    }
+    playlistSnapshotInProgress = true;
+
+    let tab = null;
+    const result = { checkedCount: 0, changedCount: 0, failedCount: 0, error: '' };
+    try {
+        if (trigger === 'manual') {
+            tab = await resolveYouTubeTabForHistory();
+        } else {
+            const tabId = await findExistingYouTubeTabWithReceiver();
+            if (!tabId) {
+                console.info('[YT-Commander][PlaylistSnapshots] No YouTube tab open, deferring run');
+                return null;
             }
+            tab = { tabId, created: false };
         }
-        return false;
-    }
-    
-    function getSkipButton() {
-        for (const selector of ['.ytp-skip-ad-button', '#skip-button\\:2', '.ytp-ad-skip-button-modern', '.ytp-ad-skip-button']) {
+
+        const snapshots = await listPlaylistSnapshots();
+        for (const tracked of playlists) {
             try {
-                const el = document.querySelector(selector);
-                if (el && el.offsetParent !== null && el.getBoundingClientRect().height > 0) {
-                    return el;
-                }
-            } catch (e) {}
+                const { changed } = await snapshotPlaylist(tab.tabId, tracked, snapshots, trigger);
+                result.checkedCount += 1;
+                result.changedCount += changed ? 1 : 0;
+            } catch (error) {
+                result.failedCount += 1;
+                result.error = result.error || `${tracked.title || tracked.playlistId}: ${error.message}`;
+            }
         }
-        return null;
-    }
-    
-    function trySkip() {
-        if (!isAdPlaying()) return;
-        const btn = getSkipButton();
-        if (btn) {
-            btn.click();
-            console.log('[AutoSkipAds] Clicked skip button!');
+    } finally {
+        playlistSnapshotInProgress = false;
+        if (tab?.created) {
+            await removeTab(tab.tabId);
         }
     }
-    
-    setInterval(trySkip, 250);
-    
-    new MutationObserver(function() {
-        setTimeout(trySkip, 500);
-    }).observe(document.body, { childList: true, subtree: true });
-    
-    document.addEventListener('click', function(e) {
-        if (isAdPlaying()) {
-            setTimeout(trySkip, 300);
-        }
-    }, true);
-    
-    console.log('[AutoSkipAds] Auto-skip initialized');
-};
 
-async function injectAutoSkipScript(tabId) {
-    try {
-        await new Promise((resolve, reject) => {
-            chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                func: AUTO_SKIP_SCRIPT,
-                world: 'MAIN'
-            }, (results) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                } else {
-                    resolve(results);
-                }
-            });
-        });
-        console.log('[AutoSkipAds] Successfully injected into tab', tabId);
-        return true;
-    } catch (error) {
-        console.error('[AutoSkipAds] Failed to inject into tab', tabId, error.message);
-        return false;
+    await storageLocalSet({
+        [PLAYLIST_SNAPSHOT_STORAGE_KEYS.LAST_RUN_AT]: Date.now(),
+        [PLAYLIST_SNAPSHOT_STORAGE_KEYS.LAST_ERROR]: result.error
+    });
+    console.info('[YT-Commander][PlaylistSnapshots] Run finished', { trigger, ...result });
+    return result;
+}
+
+/**
+ * Snapshot the tracked playlists when the interval has passed.
+ * @param {string} trigger
+ * @returns {Promise<void>}
+ */
+async function runPlaylistSnapshotsIfDue(trigger) {
+    const settings = await readPlaylistSnapshotSettings();
+    if (settings.playlists.length === 0 || playlistSnapshotInProgress) {
+        return;
+    }
+    if (Date.now() - settings.lastRunAt < settings.intervalHours * 60 * 60 * 1000) {
+        return;
+    }
+
+    const result = await runPlaylistSnapshots('schedule');
+    if (!result) {
+        console.info('[YT-Commander][PlaylistSnapshots] Due-check deferred', { trigger });
     }
 }
 
-chrome.tabs.onCreated.addListener(async (tab) => {
-    if (!tab.id || !tab.url) return;
-    if (!tab.url.includes('youtube.com')) return;
-    
-    const result = await chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY]);
-    if (result[AUTO_SKIP_STORAGE_KEY] === false) return;
-    
-    setTimeout(async () => {
-        await injectAutoSkipScript(tab.id);
-    }, 2000);
+/**
+ * Diff a stored snapshot against the snapshot of the same playlist before it.
+ * The first snapshot of a playlist lists every video as added.
+ * @param {string} id
+ * @returns {Promise<{snapshot: object, base: object|null, added: object[], removed: object[], unavailable: object[], restored: object[]}>}
+ */
+async function diffPlaylistSnapshot(id) {
+    const snapshots = await listPlaylistSnapshots();
+    const snapshot = snapshots.find((meta) => meta.id === id);
+    if (!snapshot) {
+        throw new Error('Playlist snapshot not found');
+    }
+    const base = snapshots.find((meta) => meta.playlistId === snapshot.playlistId && meta.createdAt < snapshot.createdAt) || null;
+
+    const olderEntries = base ? await readPlaylistSnapshotEntries(base.id) : [];
+    const newerEntries = await readPlaylistSnapshotEntries(snapshot.id);
+    return { snapshot, base, ...diffPlaylistSnapshots(olderEntries, newerEntries) };
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === PLAYLIST_SNAPSHOT_ALARM_NAME) {
+        runPlaylistSnapshotsIfDue(`alarm:${alarm.name}`).catch((error) => {
+            console.error('[YT-Commander][PlaylistSnapshots] Alarm due-check failed', error);
+        });
+    }
 });
 
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    if (changeInfo.status !== 'complete') return;
-    if (!tab?.url || !tab.url.includes('youtube.com')) return;
-    
-    const result = await chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY]);
-    if (result[AUTO_SKIP_STORAGE_KEY] === false) return;
-    
-    await injectAutoSkipScript(tabId);
+chrome.runtime.onStartup.addListener(() => {
+    ensurePlaylistSnapshotAlarm().catch((error) => {
+        console.error('[YT-Commander][PlaylistSnapshots] Failed to ensure alarm on startup', error);
+    });
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'GET_AUTO_SKIP_ENABLED') {
-        chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY], (result) => {
-            sendResponse({ enabled: result[AUTO_SKIP_STORAGE_KEY] !== false });
-        });
+    if (message.type === 'GET_PLAYLIST_SNAPSHOTS') {
+        getPlaylistSnapshotStatus()
+            .then((status) => sendResponse({ success: true, ...status }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
     }
-    
-    if (message.type === 'SET_AUTO_SKIP_ENABLED') {
-        chrome.storage.local.set({ [AUTO_SKIP_STORAGE_KEY]: message.enabled }, () => {
-            sendResponse({ success: true });
-        });
+
+    if (message.type === 'UPDATE_PLAYLIST_SNAPSHOT_CONFIG') {
+        updatePlaylistSnapshotConfig({ playlists: message.playlists, intervalHours: message.intervalHours })
+            .then(() => getPlaylistSnapshotStatus())
+            .then((status) => sendResponse({ success: true, ...status }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
     }
-    
-    return false;
-});
 
-async function initializeAutoSkipOnExistingTabs() {
-    const result = await chrome.storage.local.get([AUTO_SKIP_STORAGE_KEY]);
-    if (result[AUTO_SKIP_STORAGE_KEY] === false) return;
-    
-    try {
-        const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
-        for (const tab of tabs) {
-            if (tab.id) {
-                await injectAutoSkipScript(tab.id);
-            }
-        }
-    } catch (error) {
-        console.error('[AutoSkipAds] Failed to initialize on existing tabs', error);
+    if (message.type === 'RUN_PLAYLIST_SNAPSHOTS') {
+        runPlaylistSnapshots('manual')
+            .then((result) => sendResponse({ success: result.checkedCount > 0, ...result, error: result.error || undefined }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
     }
-}
 
-scheduleAutomation().catch((error) => {
-    console.error('[YT-Commander][Automation] Initial schedule error:', error);
+    if (message.type === 'DIFF_PLAYLIST_SNAPSHOT') {
+        diffPlaylistSnapshot(String(message.id || ''))
+            .then((diff) => sendResponse({ success: true, diff }))
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    return false;
 });
 
-initializeAutoSkipOnExistingTabs();
+ensurePlaylistSnapshotAlarm()
+    .then(() => runPlaylistSnapshotsIfDue('startup-bootstrap'))
+    .catch((error) => {
+        console.error('[YT-Commander][PlaylistSnapshots] Startup due-check failed', error);
+    });
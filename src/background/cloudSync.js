@@ -0,0 +1,3794 @@
+/**
+ * Watched-history and subscription sync: pending queues, providers, encryption,
+ * pulls and auto-sync scheduling. The service worker routes messages and alarms here.
+ */
+
+import { normalizeCategoryList } from '../shared/subscriptionCategories.js';
+import {
+    YOUTUBE_TAB_URL_PATTERN,
+    clearAlarm,
+    findExistingYouTubeTabWithReceiver,
+    getAlarm,
+    getYouTubeTabCandidates,
+    hasWatchedHistoryReceiver,
+    queryTabs,
+    removeTab,
+    resolveYouTubeTabForHistory,
+    sendMessageToTab,
+    storageLocalGet,
+    storageLocalSet
+} from './extensionApi.js';
+
+const CLOUDFLARE_SYNC_REQUEST_TIMEOUT_MS = 60000;
+
+export const AUTO_SYNC_ALARM_NAME = 'ytCommanderCloudflareAutoSync';
+const AUTO_SYNC_CHECK_PERIOD_MINUTES = 1;
+const AUTO_SYNC_CHUNK_SIZE = 300;
+const AUTO_SYNC_MAX_IDS_PER_RUN = 1200;
+const MANUAL_SYNC_MAX_IDS_PER_RUN = 6000;
+export const FILE_SEED_IMPORT_BATCH_SIZE = 2000;
+const PULL_PAGE_LIMIT = 1000;
+const PULL_MAX_PAGES = 5000;
+const PULL_ENCRYPTED_PAGE_LIMIT = 50;
+const SYNC_ENCRYPTION_BLOB_VERSION = 'v1';
+const SYNC_ENCRYPTION_KDF_ITERATIONS = 310000;
+const SYNC_ENCRYPTION_PASSPHRASE_MIN_LENGTH = 8;
+const SYNC_ENCRYPTION_VERIFIER_TEXT = 'yt-commander-sync-key-check';
+const SYNC_ENCRYPTION_WRONG_PASSPHRASE_ERROR = 'Wrong encryption passphrase: it does not unlock the data stored on this Worker';
+const SYNC_ENCRYPTION_KEY_CHANGED_ERROR = 'The sync encryption passphrase was changed on another device. Enter the new passphrase to continue.';
+const SYNC_PROVIDER_IDS = ['cloudflare', 'webdav', 'rest', 'file'];
+const DEFAULT_SYNC_PROVIDER = 'cloudflare';
+const REST_PROVIDER_DEFAULT_ROUTES = {
+    sync: '/sync',
+    pull: '/pull',
+    subscriptions: '/subscriptions',
+    encryption: '/encryption'
+};
+const WEBDAV_REQUEST_TIMEOUT_MS = 60000;
+const WEBDAV_WRITE_ATTEMPTS = 4;
+const LOCAL_SYNC_FILE_FORMAT = 'yt-commander-sync';
+
+export const CLOUD_SYNC_STORAGE_KEYS = {
+    ENDPOINT: 'cloudflareSyncEndpoint',
+    API_TOKEN: 'cloudflareSyncApiToken',
+    AUTO_ENABLED: 'cloudflareSyncAutoEnabled',
+    INTERVAL_MINUTES: 'cloudflareSyncIntervalMinutes',
+    LAST_AT: 'cloudflareSyncLastAt',
+    STATUS: 'cloudflareSyncStatus',
+    ERROR: 'cloudflareSyncError',
+    COUNT: 'cloudflareSyncCount',
+    PENDING_COUNT: 'cloudflareSyncPendingCount',
+    PENDING_QUEUE: 'cloudflareSyncPendingVideoIds',
+    PENDING_BY_ACCOUNT: 'cloudflareSyncPendingByAccount',
+    PENDING_DETAILS_BY_ACCOUNT: 'cloudflareSyncPendingDetailsByAccount',
+    PENDING_CLEAR_BY_ACCOUNT: 'cloudflareSyncPendingClearByAccount',
+    PULL_CURSOR_BY_ACCOUNT: 'cloudflareSyncPullCursorByAccount',
+    ENCRYPTED_PULL_CURSOR_BY_ACCOUNT: 'cloudflareSyncEncryptedPullCursorByAccount',
+    ENCRYPTION: 'cloudflareSyncEncryption',
+    PRIMARY_ACCOUNT_KEY: 'cloudflareSyncPrimaryAccountKey',
+    FAILURE_COUNT: 'cloudflareSyncFailureCount',
+    BACKOFF_UNTIL: 'cloudflareSyncBackoffUntil',
+    QUEUE_SEEDED: 'cloudflareSyncQueueSeeded',
+    PROVIDER: 'cloudSyncProvider',
+    PROVIDER_CONFIG: 'cloudSyncProviderConfig',
+    LOCAL_FILE_ID: 'cloudSyncLocalFileId'
+};
+
+const CLOUD_SYNC_DEFAULTS = {
+    autoEnabled: true,
+    intervalMinutes: 30,
+    failureCount: 0,
+    backoffUntil: 0,
+    queueSeeded: false,
+    pendingCount: 0
+};
+export const SUBSCRIPTION_SYNC_ALARM_NAME = 'ytCommanderSubscriptionAutoSync';
+const SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES = 1;
+
+export const SUBSCRIPTION_SYNC_STORAGE_KEYS = {
+    ENDPOINT: 'subscriptionSyncEndpoint',
+    API_TOKEN: 'subscriptionSyncApiToken',
+    AUTO_ENABLED: 'subscriptionSyncAutoEnabled',
+    INTERVAL_MINUTES: 'subscriptionSyncIntervalMinutes',
+    LAST_AT: 'subscriptionSyncLastAt',
+    STATUS: 'subscriptionSyncStatus',
+    ERROR: 'subscriptionSyncError',
+    COUNT: 'subscriptionSyncCount',
+    PENDING_COUNT: 'subscriptionSyncPendingCount',
+    PENDING_KEYS: 'subscriptionSyncPendingKeys',
+    PRIMARY_ACCOUNT_KEY: 'subscriptionSyncPrimaryAccountKey',
+    FAILURE_COUNT: 'subscriptionSyncFailureCount',
+    BACKOFF_UNTIL: 'subscriptionSyncBackoffUntil'
+};
+
+const SUBSCRIPTION_SYNC_DEFAULTS = {
+    autoEnabled: true,
+    intervalMinutes: 60,
+    failureCount: 0,
+    backoffUntil: 0,
+    pendingCount: 0
+};
+
+let cloudSyncInProgress = false;
+let subscriptionSyncInProgress = false;
+let subscriptionRestoreInProgress = false;
+let pendingQueueMutationChain = Promise.resolve();
+let syncEncryptionKeyCache = null;
+export const DEFAULT_ACCOUNT_KEY = 'default';
+const SUBSCRIPTION_ACCOUNT_KEY_PREFIX = 'ytch:';
+
+/**
+ * Read account identity from a YouTube tab.
+ * @param {number} tabId
+ * @returns {Promise<{accountKey: string, source: string, isPrimaryCandidate: boolean}>}
+ */
+async function getSyncIdentityFromTab(tabId) {
+    const response = await sendMessageToTab(tabId, { type: 'GET_SYNC_ACCOUNT_IDENTITY' }, 20000);
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to read account identity from tab');
+    }
+
+    return {
+        accountKey: normalizeAccountKey(response.accountKey),
+        source: typeof response.source === 'string' ? response.source : 'unknown',
+        isPrimaryCandidate: response.isPrimaryCandidate !== false
+    };
+}
+
+/**
+ * Read subscription sync identity from a YouTube tab.
+ * @param {number} tabId
+ * @returns {Promise<{accountKey: string, channelId: string, source: string, isPrimaryCandidate: boolean}>}
+ */
+async function getSubscriptionSyncIdentityFromTab(tabId) {
+    const response = await sendMessageToTab(tabId, { type: 'GET_SUBSCRIPTION_SYNC_ACCOUNT_IDENTITY' }, 20000);
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to read subscription account identity from tab');
+    }
+
+    return {
+        accountKey: normalizeAccountKey(response.accountKey),
+        channelId: typeof response.channelId === 'string' ? response.channelId.trim() : '',
+        source: typeof response.source === 'string' ? response.source : 'unknown',
+        isPrimaryCandidate: response.isPrimaryCandidate !== false
+    };
+}
+
+/**
+ * Check whether account key is a portable YouTube channel-based subscription key.
+ * @param {any} rawAccountKey
+ * @returns {boolean}
+ */
+export function isSubscriptionChannelAccountKey(rawAccountKey) {
+    const normalized = normalizeAccountKey(rawAccountKey);
+    return normalized.startsWith(`${SUBSCRIPTION_ACCOUNT_KEY_PREFIX}UC`)
+        && /^ytch:UC[A-Za-z0-9_-]{20,}$/.test(normalized);
+}
+
+/**
+ * Persist locked primary account key.
+ * @param {string} accountKey
+ * @returns {Promise<string>}
+ */
+async function setPrimarySyncAccountKey(accountKey) {
+    const normalized = normalizeAccountKey(accountKey);
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: normalized
+    });
+
+    const queue = await readPendingQueue(normalized);
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE]: queue,
+        [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: queue.length
+    });
+
+    return normalized;
+}
+
+/**
+ * Lock primary sync account from current/target tab.
+ * @param {number} tabId
+ * @returns {Promise<{accountKey: string, source: string}>}
+ */
+export async function lockPrimarySyncAccountFromTab(tabId) {
+    const identity = await getSyncIdentityFromTab(tabId);
+    const accountKey = normalizeAccountKey(identity.accountKey);
+    if (!isSubscriptionChannelAccountKey(accountKey)) {
+        throw new Error('Failed to resolve the signed-in YouTube channel from tab');
+    }
+    const lockedKey = await setPrimarySyncAccountKey(accountKey);
+    return {
+        accountKey: lockedKey,
+        source: identity.source
+    };
+}
+
+/**
+ * Lock subscription sync account from current/target tab.
+ * @param {number} tabId
+ * @returns {Promise<{accountKey: string, source: string}>}
+ */
+export async function lockSubscriptionSyncAccountFromTab(tabId) {
+    const identity = await getSubscriptionSyncIdentityFromTab(tabId);
+    const accountKey = normalizeAccountKey(identity.accountKey);
+    if (!isSubscriptionChannelAccountKey(accountKey)) {
+        throw new Error('Failed to resolve the signed-in YouTube channel from tab');
+    }
+    await storageLocalSet({
+        [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: accountKey
+    });
+    return {
+        accountKey,
+        source: identity.source
+    };
+}
+
+/**
+ * Persist locked subscription account key.
+ * @param {string} accountKey
+ * @returns {Promise<string>}
+ */
+async function setSubscriptionSyncAccountKey(accountKey) {
+    const normalized = normalizeAccountKey(accountKey);
+    if (!isSubscriptionChannelAccountKey(normalized)) {
+        throw new Error('Subscription sync requires a YouTube channel-based account key');
+    }
+
+    await storageLocalSet({
+        [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: normalized
+    });
+
+    return normalized;
+}
+
+/**
+ * Resolve a portable subscription sync account key for sync/restore actions.
+ * @param {{accountKey?: string, preferredTabId?: number, state?: any}} options
+ * @returns {Promise<{accountKey: string, source: string, usedTabId: number, createdTab: boolean}>}
+ */
+async function resolveSubscriptionSyncAccountKey(options = {}) {
+    const explicitAccountKey = normalizeAccountKey(options.accountKey);
+    if (isSubscriptionChannelAccountKey(explicitAccountKey)) {
+        return {
+            accountKey: explicitAccountKey,
+            source: 'provided',
+            usedTabId: 0,
+            createdTab: false
+        };
+    }
+
+    const state = options.state || await readSubscriptionSyncState();
+    const storedAccountKey = normalizeAccountKey(state.primaryAccountKey);
+    if (isSubscriptionChannelAccountKey(storedAccountKey)) {
+        return {
+            accountKey: storedAccountKey,
+            source: 'stored',
+            usedTabId: 0,
+            createdTab: false
+        };
+    }
+
+    let createdTab = false;
+    let usedTabId = 0;
+
+    const preferredTabId = Number.isFinite(options.preferredTabId) ? Number(options.preferredTabId) : 0;
+    if (preferredTabId) {
+        const hasReceiver = await hasWatchedHistoryReceiver(preferredTabId, 1);
+        if (hasReceiver) {
+            usedTabId = preferredTabId;
+        }
+    }
+
+    if (!usedTabId) {
+        const tabInfo = await resolveYouTubeTabForHistory();
+        createdTab = tabInfo.created;
+        usedTabId = tabInfo.tabId;
+    }
+
+    try {
+        const identity = await getSubscriptionSyncIdentityFromTab(usedTabId);
+        const accountKey = await setSubscriptionSyncAccountKey(identity.accountKey);
+        return {
+            accountKey,
+            source: identity.source,
+            usedTabId,
+            createdTab
+        };
+    } catch (error) {
+        if (createdTab && usedTabId) {
+            await removeTab(usedTabId);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Resolve sync account key for manual actions.
+ * If no primary account is locked yet, lock it to current active YouTube tab.
+ * @param {number|undefined} preferredTabId
+ * @returns {Promise<string>}
+ */
+async function resolveManualSyncAccountKey(preferredTabId) {
+    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
+    const currentPrimary = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
+    if (isSubscriptionChannelAccountKey(currentPrimary)) {
+        return currentPrimary;
+    }
+
+    let tabId = Number.isFinite(preferredTabId) ? Number(preferredTabId) : 0;
+    if (!tabId) {
+        const candidates = await getYouTubeTabCandidates();
+        tabId = candidates.find((tab) => tab.active && typeof tab.id === 'number')?.id || 0;
+    }
+
+    if (!tabId) {
+        return currentPrimary || DEFAULT_ACCOUNT_KEY;
+    }
+
+    try {
+        const locked = await lockPrimarySyncAccountFromTab(tabId);
+        return locked.accountKey;
+    } catch (_error) {
+        return DEFAULT_ACCOUNT_KEY;
+    }
+}
+
+/**
+ * Auto-lock first observed non-default account as primary to preserve old auto-sync behavior.
+ * @param {string} accountKey
+ * @param {chrome.tabs.Tab|undefined} senderTab
+ * @returns {Promise<void>}
+ */
+export async function autoLockPrimaryAccountIfMissing(accountKey, senderTab) {
+    const candidateKey = normalizeAccountKey(accountKey);
+    if (!candidateKey || candidateKey === DEFAULT_ACCOUNT_KEY) {
+        return;
+    }
+    if (!isSubscriptionChannelAccountKey(candidateKey)) {
+        return;
+    }
+
+    if (senderTab?.incognito === true) {
+        return;
+    }
+
+    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
+    const currentPrimary = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
+    if (isSubscriptionChannelAccountKey(currentPrimary)) {
+        return;
+    }
+
+    await setPrimarySyncAccountKey(candidateKey);
+}
+
+/**
+ * Parse URL and validate protocol.
+ * @param {string} rawEndpoint
+ * @returns {URL}
+ */
+function parseCloudflareEndpoint(rawEndpoint) {
+    const value = typeof rawEndpoint === 'string' ? rawEndpoint.trim() : '';
+    if (!value) {
+        throw new Error('Cloudflare endpoint is required');
+    }
+
+    let url = null;
+    try {
+        url = new URL(value);
+    } catch (_error) {
+        throw new Error('Cloudflare endpoint URL is invalid');
+    }
+
+    if (!['https:', 'http:'].includes(url.protocol)) {
+        throw new Error('Cloudflare endpoint must use http/https');
+    }
+
+    return url;
+}
+/**
+ * Parse subscription sync endpoint.
+ * @param {string} rawEndpoint
+ * @returns {URL}
+ */
+function parseSubscriptionEndpoint(rawEndpoint) {
+    const value = typeof rawEndpoint === 'string' ? rawEndpoint.trim() : '';
+    if (!value) {
+        throw new Error('Subscription sync endpoint is required');
+    }
+
+    let url = null;
+    try {
+        url = new URL(value);
+    } catch (_error) {
+        throw new Error('Subscription sync endpoint URL is invalid');
+    }
+
+    if (!['https:', 'http:'].includes(url.protocol)) {
+        throw new Error('Subscription sync endpoint must use http/https');
+    }
+
+    return url;
+}
+
+/**
+ * Normalize subscription sync endpoint path.
+ * @param {string} rawEndpoint
+ * @returns {URL}
+ */
+function buildSubscriptionEndpoint(rawEndpoint) {
+    const endpoint = parseSubscriptionEndpoint(rawEndpoint);
+    const pathname = endpoint.pathname || '/';
+
+    if (pathname.endsWith('/subscriptions')) {
+        return endpoint;
+    }
+
+    if (pathname.endsWith('/subscriptions/')) {
+        endpoint.pathname = pathname.slice(0, -1);
+        return endpoint;
+    }
+
+    if (pathname.endsWith('/sync')) {
+        endpoint.pathname = `${pathname.slice(0, -5)}/subscriptions`;
+        return endpoint;
+    }
+
+    if (pathname.endsWith('/sync/')) {
+        endpoint.pathname = `${pathname.slice(0, -6)}/subscriptions`;
+        return endpoint;
+    }
+
+    if (pathname === '/' || pathname === '') {
+        endpoint.pathname = '/subscriptions';
+        return endpoint;
+    }
+
+    endpoint.pathname = pathname.endsWith('/') ? `${pathname}subscriptions` : `${pathname}/subscriptions`;
+    return endpoint;
+}
+
+/**
+ * Build pull endpoint URL from sync endpoint.
+ * @param {URL} syncEndpoint
+ * @returns {URL}
+ */
+function buildCloudflarePullEndpoint(syncEndpoint) {
+    return buildCloudflareWorkerRoute(syncEndpoint, 'pull');
+}
+
+/**
+ * Build a sibling Worker route URL (e.g. `pull`, `encryption`) from the sync endpoint.
+ * @param {URL} syncEndpoint
+ * @param {string} route
+ * @returns {URL}
+ */
+function buildCloudflareWorkerRoute(syncEndpoint, route) {
+    const routeUrl = new URL(syncEndpoint.toString());
+    if (routeUrl.pathname.endsWith('/sync')) {
+        routeUrl.pathname = `${routeUrl.pathname.slice(0, -5)}/${route}`;
+    } else if (routeUrl.pathname.endsWith('/sync/')) {
+        routeUrl.pathname = `${routeUrl.pathname.slice(0, -6)}/${route}`;
+    } else if (routeUrl.pathname.endsWith('/')) {
+        routeUrl.pathname = `${routeUrl.pathname}${route}`;
+    } else {
+        routeUrl.pathname = `${routeUrl.pathname}/${route}`;
+    }
+    return routeUrl;
+}
+
+/**
+ * Parse JSON safely.
+ * @param {string} text
+ * @returns {any}
+ */
+function parseJsonSafe(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * Normalize sync interval.
+ * @param {number|string} raw
+ * @returns {number}
+ */
+function normalizeSyncInterval(raw) {
+    const parsed = Number.parseInt(raw, 10);
+    if (!Number.isFinite(parsed)) {
+        return CLOUD_SYNC_DEFAULTS.intervalMinutes;
+    }
+
+    if (parsed <= 1) {
+        return 1;
+    }
+    if (parsed <= 15) {
+        return 15;
+    }
+    if (parsed <= 30) {
+        return 30;
+    }
+    if (parsed <= 60) {
+        return 60;
+    }
+    if (parsed <= 120) {
+        return 120;
+    }
+    if (parsed <= 180) {
+        return 180;
+    }
+    if (parsed <= 240) {
+        return 240;
+    }
+    if (parsed <= 720) {
+        return 720;
+    }
+    if (parsed <= 1440) {
+        return 1440;
+    }
+    return 1440;
+}
+/**
+ * Normalize subscription sync interval.
+ * @param {number|string} raw
+ * @returns {number}
+ */
+function normalizeSubscriptionInterval(raw) {
+    const parsed = Number.parseInt(raw, 10);
+    if (!Number.isFinite(parsed)) {
+        return SUBSCRIPTION_SYNC_DEFAULTS.intervalMinutes;
+    }
+
+    if (parsed <= 1) {
+        return 1;
+    }
+    if (parsed <= 15) {
+        return 15;
+    }
+    if (parsed <= 30) {
+        return 30;
+    }
+    if (parsed <= 60) {
+        return 60;
+    }
+    if (parsed <= 120) {
+        return 120;
+    }
+    if (parsed <= 180) {
+        return 180;
+    }
+    if (parsed <= 240) {
+        return 240;
+    }
+    if (parsed <= 720) {
+        return 720;
+    }
+    if (parsed <= 1440) {
+        return 1440;
+    }
+    return 1440;
+}
+
+/**
+ * Keep valid unique video IDs only.
+ * @param {string[]} ids
+ * @returns {string[]}
+ */
+export function normalizeVideoIds(ids) {
+    const unique = [];
+    const seen = new Set();
+
+    for (const rawId of ids || []) {
+        const videoId = typeof rawId === 'string' ? rawId.trim() : '';
+        if (!/^[A-Za-z0-9_-]{10,15}$/.test(videoId) || seen.has(videoId)) {
+            continue;
+        }
+
+        seen.add(videoId);
+        unique.push(videoId);
+    }
+
+    return unique;
+}
+
+/**
+ * Serialize pending-queue mutations to avoid lost updates from concurrent
+ * read-modify-write operations.
+ * @template T
+ * @param {() => Promise<T>} mutator
+ * @returns {Promise<T>}
+ */
+function runPendingQueueMutation(mutator) {
+    const run = pendingQueueMutationChain.then(() => mutator(), () => mutator());
+    pendingQueueMutationChain = run.catch(() => undefined);
+    return run;
+}
+
+/**
+ * Normalize account key used for cloud-sync queue partitioning.
+ * @param {any} rawAccountKey
+ * @returns {string}
+ */
+export function normalizeAccountKey(rawAccountKey) {
+    const value = typeof rawAccountKey === 'string' ? rawAccountKey.trim() : '';
+    if (!value) {
+        return DEFAULT_ACCOUNT_KEY;
+    }
+
+    const cleaned = value.replace(/[^A-Za-z0-9:_-]/g, '');
+    if (!cleaned) {
+        return DEFAULT_ACCOUNT_KEY;
+    }
+
+    return cleaned.slice(0, 120);
+}
+
+/**
+ * Keep only valid account queues.
+ * @param {any} rawValue
+ * @returns {Record<string, string[]>}
+ */
+function normalizePendingByAccount(rawValue) {
+    const normalized = {};
+    if (!rawValue || typeof rawValue !== 'object') {
+        return normalized;
+    }
+
+    for (const [rawKey, rawQueue] of Object.entries(rawValue)) {
+        const accountKey = normalizeAccountKey(rawKey);
+        const videoIds = normalizeVideoIds(Array.isArray(rawQueue) ? rawQueue : []);
+        if (videoIds.length === 0) {
+            continue;
+        }
+        normalized[accountKey] = videoIds;
+    }
+
+    return normalized;
+}
+
+/**
+ * Ensure new per-account queue exists (migrate from legacy global queue if needed).
+ * @returns {Promise<void>}
+ */
+async function ensurePendingQueueMigration() {
+    const result = await storageLocalGet([
+        CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT,
+        CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE,
+        CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY
+    ]);
+    const existingMap = normalizePendingByAccount(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]);
+    if (Object.keys(existingMap).length > 0) {
+        return;
+    }
+
+    const legacyQueue = normalizeVideoIds(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE]);
+    if (legacyQueue.length === 0) {
+        return;
+    }
+
+    const primaryAccountKey = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
+    const migratedMap = {
+        [primaryAccountKey]: legacyQueue
+    };
+
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]: migratedMap
+    });
+}
+
+/**
+ * Read pending queues for all accounts.
+ * @returns {Promise<Record<string, string[]>>}
+ */
+async function readPendingByAccount() {
+    await ensurePendingQueueMigration();
+    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]);
+    return normalizePendingByAccount(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]);
+}
+
+/**
+ * Resolve account key used for syncing in current operation.
+ * @returns {Promise<string>}
+ */
+async function resolveSyncAccountKey() {
+    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
+    const primaryAccountKey = normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]);
+    if (isSubscriptionChannelAccountKey(primaryAccountKey)) {
+        return primaryAccountKey;
+    }
+    return DEFAULT_ACCOUNT_KEY;
+}
+
+/**
+ * Persist pending queues and mirrored legacy status fields for popup compatibility.
+ * @param {Record<string, string[]>} pendingByAccount
+ * @returns {Promise<void>}
+ */
+async function writePendingByAccount(pendingByAccount) {
+    const normalizedMap = normalizePendingByAccount(pendingByAccount);
+    const activeAccountKey = normalizeAccountKey(await resolveSyncAccountKey());
+    const activeQueue = normalizeVideoIds(normalizedMap[activeAccountKey] || []);
+
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.PENDING_BY_ACCOUNT]: normalizedMap,
+        [CLOUD_SYNC_STORAGE_KEYS.PENDING_QUEUE]: activeQueue,
+        [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: activeQueue.length
+    });
+}
+
+/**
+ * Read pending queue for a single account.
+ * @param {string} [accountKey]
+ * @returns {Promise<string[]>}
+ */
+async function readPendingQueue(accountKey) {
+    const pendingByAccount = await readPendingByAccount();
+    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
+    return normalizeVideoIds(pendingByAccount[scopedAccountKey] || []);
+}
+
+/**
+ * Persist pending queue for one account.
+ * @param {string[]} videoIds
+ * @param {string} [accountKey]
+ * @returns {Promise<void>}
+ */
+async function writePendingQueue(videoIds, accountKey) {
+    const pendingByAccount = await readPendingByAccount();
+    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
+    const normalizedQueue = normalizeVideoIds(videoIds);
+
+    if (normalizedQueue.length > 0) {
+        pendingByAccount[scopedAccountKey] = normalizedQueue;
+    } else {
+        delete pendingByAccount[scopedAccountKey];
+    }
+
+    await writePendingByAccount(pendingByAccount);
+}
+
+/**
+ * Add IDs to pending queue (deduped) for selected account.
+ * @param {string[]} incomingVideoIds
+ * @param {string} [accountKey]
+ * @returns {Promise<number>}
+ */
+export async function enqueuePendingVideoIds(incomingVideoIds, accountKey) {
+    const incoming = normalizeVideoIds(incomingVideoIds);
+    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
+
+    return runPendingQueueMutation(async () => {
+        if (incoming.length === 0) {
+            const current = await readPendingQueue(scopedAccountKey);
+            return current.length;
+        }
+
+        const current = await readPendingQueue(scopedAccountKey);
+        const merged = normalizeVideoIds(current.concat(incoming));
+        await writePendingQueue(merged, scopedAccountKey);
+        return merged.length;
+    });
+}
+
+/**
+ * Remove IDs from pending queue.
+ * @param {string[]} syncedIds
+ * @param {string} [accountKey]
+ * @returns {Promise<number>}
+ */
+async function removePendingVideoIds(syncedIds, accountKey) {
+    const removeSet = new Set(normalizeVideoIds(syncedIds));
+    const scopedAccountKey = normalizeAccountKey(accountKey || await resolveSyncAccountKey());
+    return runPendingQueueMutation(async () => {
+        if (removeSet.size === 0) {
+            const current = await readPendingQueue(scopedAccountKey);
+            return current.length;
+        }
+
+        const current = await readPendingQueue(scopedAccountKey);
+        const next = current.filter((videoId) => !removeSet.has(videoId));
+        await writePendingQueue(next, scopedAccountKey);
+        await updatePendingDetails(scopedAccountKey, (details) => {
+            removeSet.forEach((videoId) => {
+                delete details[videoId];
+            });
+        });
+        return next.length;
+    });
+}
+
+/**
+ * Normalize rich watched-record fields carried alongside queued IDs.
+ * @param {any} raw
+ * @returns {{videoId: string, watchedAt?: number, updatedAt?: number, title?: string, channelId?: string, channelName?: string, durationSeconds?: number, positionSeconds?: number, percentWatched?: number, positionUpdatedAt?: number, partial?: boolean, deleted?: boolean}|null}
+ */
+export function normalizeSyncRecordDetails(raw) {
+    const videoId = normalizeVideoIds([raw?.videoId])[0];
+    if (!videoId) {
+        return null;
+    }
+
+    const record = { videoId };
+    ['title', 'channelName'].forEach((field) => {
+        if (typeof raw[field] === 'string' && raw[field].trim()) {
+            record[field] = raw[field].trim().slice(0, 300);
+        }
+    });
+    if (typeof raw.channelId === 'string' && /^UC[A-Za-z0-9_-]{20,}$/.test(raw.channelId)) {
+        record.channelId = raw.channelId;
+    }
+    ['watchedAt', 'updatedAt', 'durationSeconds', 'positionSeconds', 'percentWatched', 'positionUpdatedAt'].forEach((field) => {
+        const value = Number(raw[field]);
+        if (Number.isFinite(value) && value >= 0) {
+            record[field] = value;
+        }
+    });
+    if (typeof raw.partial === 'boolean') {
+        record.partial = raw.partial;
+    }
+    if (raw.deleted === true) {
+        record.deleted = true;
+    }
+
+    return record;
+}
+
+/**
+ * Read pending record details for one account.
+ * @param {string} accountKey
+ * @returns {Promise<Record<string, object>>}
+ */
+async function readPendingDetails(accountKey) {
+    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PENDING_DETAILS_BY_ACCOUNT]);
+    const detailsByAccount = result[CLOUD_SYNC_STORAGE_KEYS.PENDING_DETAILS_BY_ACCOUNT];
+    const scoped = detailsByAccount && typeof detailsByAccount === 'object'
+        ? detailsByAccount[normalizeAccountKey(accountKey)]
+        : null;
+    return scoped && typeof scoped === 'object' ? scoped : {};
+}
+
+/**
+ * Apply a mutation to the pending record details of one account.
+ * Callers run inside runPendingQueueMutation so details stay aligned with the ID queue.
+ * @param {string} accountKey
+ * @param {(details: Record<string, object>) => void} mutate
+ * @returns {Promise<void>}
+ */
+async function updatePendingDetails(accountKey, mutate) {
+    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.PENDING_DETAILS_BY_ACCOUNT]);
+    const rawMap = result[CLOUD_SYNC_STORAGE_KEYS.PENDING_DETAILS_BY_ACCOUNT];
+    const detailsByAccount = rawMap && typeof rawMap === 'object' ? rawMap : {};
+    const scopedAccountKey = normalizeAccountKey(accountKey);
+    const scoped = { ...(detailsByAccount[scopedAccountKey] || {}) };
+
+    mutate(scoped);
+
+    if (Object.keys(scoped).length > 0) {
+        detailsByAccount[scopedAccountKey] = scoped;
+    } else {
+        delete detailsByAccount[scopedAccountKey];
+    }
+
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.PENDING_DETAILS_BY_ACCOUNT]: detailsByAccount
+    });
+}
+
+/**
+ * Store rich details for queued IDs (latest update wins per video).
+ * @param {object[]} records
+ * @param {string} accountKey
+ * @returns {Promise<void>}
+ */
+export async function storePendingRecordDetails(records, accountKey) {
+    const normalized = (Array.isArray(records) ? records : [])
+        .map(normalizeSyncRecordDetails)
+        .filter(Boolean);
+    if (normalized.length === 0) {
+        return;
+    }
+
+    await runPendingQueueMutation(() => updatePendingDetails(accountKey, (details) => {
+        normalized.forEach((record) => {
+            const merged = { ...(details[record.videoId] || {}), ...record };
+            if (record.deleted !== true) {
+                delete merged.deleted;
+            }
+            details[record.videoId] = merged;
+        });
+    }));
+}
+
+/**
+ * Queue tombstones for removed IDs, or drop queued tombstones when IDs are added again.
+ * @param {string[]} videoIds
+ * @param {string} accountKey
+ * @param {number} deletedAt Deletion time in ms; 0 revives the IDs.
+ * @returns {Promise<void>}
+ */
+export async function updatePendingDeletions(videoIds, accountKey, deletedAt) {
+    const ids = normalizeVideoIds(videoIds);
+    if (ids.length === 0) {
+        return;
+    }
+
+    await runPendingQueueMutation(() => updatePendingDetails(accountKey, (details) => {
+        ids.forEach((videoId) => {
+            if (deletedAt > 0) {
+                details[videoId] = { videoId, deleted: true, updatedAt: deletedAt };
+            } else if (details[videoId]?.deleted === true) {
+                delete details[videoId];
+            }
+        });
+    }));
+}
+
+/**
+ * Read one account's value from a per-account map in local storage.
+ * @param {string} storageKey
+ * @param {string} accountKey
+ * @returns {Promise<any>}
+ */
+async function readAccountScopedValue(storageKey, accountKey) {
+    const result = await storageLocalGet([storageKey]);
+    const map = result[storageKey];
+    return map && typeof map === 'object' ? map[normalizeAccountKey(accountKey)] : undefined;
+}
+
+/**
+ * Write (or remove, for empty values) one account's value in a per-account map.
+ * @param {string} storageKey
+ * @param {string} accountKey
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+async function writeAccountScopedValue(storageKey, accountKey, value) {
+    const result = await storageLocalGet([storageKey]);
+    const map = result[storageKey] && typeof result[storageKey] === 'object' ? result[storageKey] : {};
+    const scopedAccountKey = normalizeAccountKey(accountKey);
+
+    if (value) {
+        map[scopedAccountKey] = value;
+    } else {
+        delete map[scopedAccountKey];
+    }
+
+    await storageLocalSet({ [storageKey]: map });
+}
+
+/**
+ * Replace the pending queue with a clear marker after local history was wiped.
+ * The next sync asks the Worker to tombstone everything changed before `clearedAt`.
+ * @param {string} accountKey
+ * @param {number} clearedAt
+ * @returns {Promise<number>}
+ */
+export async function queuePendingClear(accountKey, clearedAt) {
+    return runPendingQueueMutation(async () => {
+        await writePendingQueue([], accountKey);
+        await updatePendingDetails(accountKey, (details) => {
+            Object.keys(details).forEach((videoId) => {
+                delete details[videoId];
+            });
+        });
+        await writeAccountScopedValue(CLOUD_SYNC_STORAGE_KEYS.PENDING_CLEAR_BY_ACCOUNT, accountKey, clearedAt);
+        return 0;
+    });
+}
+
+/**
+ * Compute retry backoff in minutes.
+ * @param {number} failureCount
+ * @returns {number}
+ */
+export function computeBackoffMinutes(failureCount) {
+    if (!Number.isFinite(failureCount) || failureCount <= 0) {
+        return 0;
+    }
+
+    const minutes = 5 * (2 ** (failureCount - 1));
+    return Math.min(60, Math.max(5, minutes));
+}
+
+/**
+ * Read current cloud sync settings/state.
+ * @returns {Promise<object>}
+ */
+async function readCloudSyncState() {
+    const result = await storageLocalGet([
+        CLOUD_SYNC_STORAGE_KEYS.ENDPOINT,
+        CLOUD_SYNC_STORAGE_KEYS.API_TOKEN,
+        CLOUD_SYNC_STORAGE_KEYS.AUTO_ENABLED,
+        CLOUD_SYNC_STORAGE_KEYS.INTERVAL_MINUTES,
+        CLOUD_SYNC_STORAGE_KEYS.LAST_AT,
+        CLOUD_SYNC_STORAGE_KEYS.STATUS,
+        CLOUD_SYNC_STORAGE_KEYS.ERROR,
+        CLOUD_SYNC_STORAGE_KEYS.COUNT,
+        CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT,
+        CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY,
+        CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT,
+        CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL,
+        CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED,
+        CLOUD_SYNC_STORAGE_KEYS.PROVIDER,
+        CLOUD_SYNC_STORAGE_KEYS.PROVIDER_CONFIG
+    ]);
+
+    const endpointUrl = typeof result[CLOUD_SYNC_STORAGE_KEYS.ENDPOINT] === 'string'
+        ? result[CLOUD_SYNC_STORAGE_KEYS.ENDPOINT].trim()
+        : '';
+    const providerSettings = normalizeSyncProviderSettings(result);
+
+    return {
+        endpointUrl,
+        provider: providerSettings.provider,
+        targetConfigured: isSyncTargetConfigured(providerSettings, endpointUrl),
+        apiToken: typeof result[CLOUD_SYNC_STORAGE_KEYS.API_TOKEN] === 'string'
+            ? result[CLOUD_SYNC_STORAGE_KEYS.API_TOKEN].trim()
+            : '',
+        autoEnabled: result[CLOUD_SYNC_STORAGE_KEYS.AUTO_ENABLED] !== false,
+        intervalMinutes: normalizeSyncInterval(result[CLOUD_SYNC_STORAGE_KEYS.INTERVAL_MINUTES]),
+        lastAt: Number(result[CLOUD_SYNC_STORAGE_KEYS.LAST_AT]) || 0,
+        status: typeof result[CLOUD_SYNC_STORAGE_KEYS.STATUS] === 'string'
+            ? result[CLOUD_SYNC_STORAGE_KEYS.STATUS]
+            : '',
+        error: typeof result[CLOUD_SYNC_STORAGE_KEYS.ERROR] === 'string'
+            ? result[CLOUD_SYNC_STORAGE_KEYS.ERROR]
+            : '',
+        count: Number(result[CLOUD_SYNC_STORAGE_KEYS.COUNT]) || 0,
+        pendingCount: Number(result[CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]) || 0,
+        primaryAccountKey: normalizeAccountKey(result[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]),
+        failureCount: Number(result[CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT]) || CLOUD_SYNC_DEFAULTS.failureCount,
+        backoffUntil: Number(result[CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]) || CLOUD_SYNC_DEFAULTS.backoffUntil,
+        queueSeeded: result[CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED] === true
+    };
+}
+/**
+ * Read current subscription sync settings/state.
+ * @returns {Promise<object>}
+ */
+async function readSubscriptionSyncState() {
+    const result = await storageLocalGet([
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.AUTO_ENABLED,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.INTERVAL_MINUTES,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.LAST_AT,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT,
+        SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL,
+        CLOUD_SYNC_STORAGE_KEYS.PROVIDER,
+        CLOUD_SYNC_STORAGE_KEYS.PROVIDER_CONFIG
+    ]);
+
+    const endpointUrl = typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT] === 'string'
+        ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT].trim()
+        : '';
+    const providerSettings = normalizeSyncProviderSettings(result);
+
+    return {
+        endpointUrl,
+        provider: providerSettings.provider,
+        targetConfigured: isSyncTargetConfigured(providerSettings, endpointUrl),
+        apiToken: typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN] === 'string'
+            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN].trim()
+            : '',
+        autoEnabled: result[SUBSCRIPTION_SYNC_STORAGE_KEYS.AUTO_ENABLED] !== false,
+        intervalMinutes: normalizeSubscriptionInterval(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.INTERVAL_MINUTES]),
+        lastAt: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.LAST_AT]) || 0,
+        status: typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS] === 'string'
+            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]
+            : '',
+        error: typeof result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR] === 'string'
+            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]
+            : '',
+        count: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT]) || 0,
+        pendingCount: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]) || 0,
+        pendingKeys: Array.isArray(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS])
+            ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]
+            : [],
+        primaryAccountKey: normalizeAccountKey(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]),
+        failureCount: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT]) || SUBSCRIPTION_SYNC_DEFAULTS.failureCount,
+        backoffUntil: Number(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]) || SUBSCRIPTION_SYNC_DEFAULTS.backoffUntil
+    };
+}
+
+/**
+ * Read subscription pending sync keys.
+ * @returns {Promise<string[]>}
+ */
+export async function readSubscriptionPendingKeys() {
+    const result = await storageLocalGet([SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]);
+    const pending = Array.isArray(result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS])
+        ? result[SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]
+        : [];
+    return pending.filter((key) => typeof key === 'string' && key.trim());
+}
+
+/**
+ * Ensure periodic auto-sync alarm matches configured settings.
+ * @returns {Promise<void>}
+ */
+export async function ensureAutoSyncAlarm() {
+    const state = await readCloudSyncState();
+
+    if (!state.autoEnabled || !state.targetConfigured) {
+        await clearAlarm(AUTO_SYNC_ALARM_NAME);
+        return;
+    }
+
+    const existingAlarm = await getAlarm(AUTO_SYNC_ALARM_NAME);
+    const existingPeriod = Number(existingAlarm?.periodInMinutes) || 0;
+    if (existingAlarm && Math.abs(existingPeriod - AUTO_SYNC_CHECK_PERIOD_MINUTES) < 0.0001) {
+        return;
+    }
+
+    await clearAlarm(AUTO_SYNC_ALARM_NAME);
+    chrome.alarms.create(AUTO_SYNC_ALARM_NAME, {
+        delayInMinutes: AUTO_SYNC_CHECK_PERIOD_MINUTES,
+        periodInMinutes: AUTO_SYNC_CHECK_PERIOD_MINUTES
+    });
+}
+/**
+ * Ensure periodic subscription auto-sync alarm matches configured settings.
+ * @returns {Promise<void>}
+ */
+export async function ensureSubscriptionAutoSyncAlarm() {
+    const state = await readSubscriptionSyncState();
+
+    if (!state.autoEnabled || !state.targetConfigured) {
+        await clearAlarm(SUBSCRIPTION_SYNC_ALARM_NAME);
+        return;
+    }
+
+    const existingAlarm = await getAlarm(SUBSCRIPTION_SYNC_ALARM_NAME);
+    const existingPeriod = Number(existingAlarm?.periodInMinutes) || 0;
+    if (existingAlarm && Math.abs(existingPeriod - SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES) < 0.0001) {
+        return;
+    }
+
+    await clearAlarm(SUBSCRIPTION_SYNC_ALARM_NAME);
+    chrome.alarms.create(SUBSCRIPTION_SYNC_ALARM_NAME, {
+        delayInMinutes: SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES,
+        periodInMinutes: SUBSCRIPTION_SYNC_CHECK_PERIOD_MINUTES
+    });
+}
+
+/**
+ * Compute the next due timestamp based on last successful sync + interval.
+ * If there was no successful sync yet, sync is considered immediately due.
+ * @param {{autoEnabled: boolean, targetConfigured: boolean, intervalMinutes: number, lastAt: number}} state
+ * @returns {number}
+ */
+function getNextSyncAt(state) {
+    if (!state.autoEnabled || !state.targetConfigured) {
+        return 0;
+    }
+
+    const intervalMs = normalizeSyncInterval(state.intervalMinutes) * 60 * 1000;
+    const lastAt = Number(state.lastAt) || 0;
+    if (lastAt <= 0) {
+        return Date.now();
+    }
+    return lastAt + intervalMs;
+}
+
+/**
+ * Run auto sync only when interval has elapsed since last successful sync.
+ * @param {string} source
+ * @returns {Promise<void>}
+ */
+export async function runAutoSyncIfDue(source) {
+    const state = await readCloudSyncState();
+    if (!state.autoEnabled || !state.targetConfigured) {
+        return;
+    }
+
+    const nextSyncAt = getNextSyncAt(state);
+    if (nextSyncAt > Date.now()) {
+        return;
+    }
+
+    await performCloudflareSync({
+        manual: false,
+        source
+    });
+}
+/**
+ * Run subscription auto sync only when interval has elapsed since last successful sync.
+ * @param {string} source
+ * @returns {Promise<void>}
+ */
+export async function runSubscriptionAutoSyncIfDue(source) {
+    const state = await readSubscriptionSyncState();
+    if (!state.autoEnabled || !state.targetConfigured) {
+        return;
+    }
+
+    const nextSyncAt = getNextSyncAt(state);
+    if (nextSyncAt > Date.now()) {
+        return;
+    }
+
+    await performSubscriptionSync({
+        manual: false,
+        source
+    });
+}
+
+/**
+ * Request pending sync IDs from content script.
+ * @param {number} tabId
+ * @param {number} limit
+ * @returns {Promise<string[]>}
+ */
+async function getPendingSyncVideoIdsFromTab(tabId, limit) {
+    const response = await sendMessageToTab(tabId, {
+        type: 'GET_PENDING_SYNC_VIDEO_IDS',
+        limit
+    });
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to read pending sync IDs');
+    }
+
+    return normalizeVideoIds(response.videoIds);
+}
+
+/**
+ * Ack synced IDs in content script queue.
+ * @param {number} tabId
+ * @param {string[]} videoIds
+ * @returns {Promise<number>}
+ */
+async function ackSyncedVideoIdsInTab(tabId, videoIds) {
+    const response = await sendMessageToTab(tabId, {
+        type: 'ACK_SYNCED_VIDEO_IDS',
+        videoIds
+    });
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to ack synced IDs');
+    }
+
+    return Number(response.removedCount) || 0;
+}
+
+/**
+ * Get pending sync queue count from content script.
+ * @param {number} tabId
+ * @returns {Promise<number>}
+ */
+async function getPendingSyncCountFromTab(tabId) {
+    const response = await sendMessageToTab(tabId, { type: 'GET_PENDING_SYNC_COUNT' });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to read pending sync count');
+    }
+    return Number(response.count) || 0;
+}
+
+/**
+ * Seed sync queue from existing local watched history.
+ * @param {number} tabId
+ * @returns {Promise<number>}
+ */
+async function seedSyncQueueFromHistoryInTab(tabId) {
+    const response = await sendMessageToTab(tabId, { type: 'SEED_SYNC_QUEUE_FROM_HISTORY' });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to seed sync queue');
+    }
+    return Number(response.seededCount) || 0;
+}
+
+/**
+ * Seed pending cloud queue from local watched history once.
+ * This prevents first-time sync from missing already-watched records.
+ * @param {string} accountKey
+ * @returns {Promise<number>}
+ */
+async function seedPendingQueueFromWatchedHistory(accountKey) {
+    let createdTab = false;
+    let tabId = 0;
+
+    try {
+        const tabInfo = await resolveYouTubeTabForHistory();
+        createdTab = tabInfo.created;
+        tabId = tabInfo.tabId;
+
+        const response = await sendMessageToTab(tabId, { type: 'GET_ALL_WATCHED_VIDEOS' }, 60000);
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to read watched history for queue seed');
+        }
+
+        const watchedVideos = Array.isArray(response?.videos) ? response.videos : [];
+        const seedIds = normalizeVideoIds(watchedVideos.map((entry) => entry?.videoId));
+        const pendingCount = await enqueuePendingVideoIds(seedIds, accountKey);
+
+        await storageLocalSet({
+            [CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED]: true,
+            [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: pendingCount
+        });
+
+        return seedIds.length;
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
+        }
+    }
+}
+/**
+ * Get subscription snapshot from content script.
+ * @param {number} tabId
+ * @returns {Promise<{channels: object[], fetchedAt: number, hash: string}>}
+ */
+async function getSubscriptionSnapshotFromTab(tabId) {
+    const response = await sendMessageToTab(tabId, { type: 'GET_SUBSCRIPTION_SNAPSHOT' }, 60000);
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to read subscription snapshot');
+    }
+
+    return {
+        channels: Array.isArray(response.channels) ? response.channels : [],
+        fetchedAt: Number(response.fetchedAt) || 0,
+        hash: typeof response.hash === 'string' ? response.hash : ''
+    };
+}
+
+/**
+ * Encode bytes as base64.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let index = 0; index < bytes.length; index += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index += 1) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+}
+
+/**
+ * Derive the AES-GCM sync key from a passphrase with PBKDF2-SHA-256.
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveSyncEncryptionKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt a JSON value into an opaque `v1.<iv>.<ciphertext>` blob.
+ * @param {CryptoKey} key
+ * @param {any} value
+ * @returns {Promise<string>}
+ */
+async function encryptSyncBlob(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return `${SYNC_ENCRYPTION_BLOB_VERSION}.${bytesToBase64(iv)}.${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * Decrypt a blob from `encryptSyncBlob`.
+ * AES-GCM authenticates the ciphertext, so a wrong key yields null rather than garbage.
+ * @param {CryptoKey} key
+ * @param {string} blob
+ * @returns {Promise<any|null>}
+ */
+async function decryptSyncBlob(key, blob) {
+    const parts = typeof blob === 'string' ? blob.split('.') : [];
+    if (parts.length !== 3 || parts[0] !== SYNC_ENCRYPTION_BLOB_VERSION) {
+        return null;
+    }
+
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(parts[1]) },
+            key,
+            base64ToBytes(parts[2])
+        );
+        return parseJsonSafe(new TextDecoder().decode(plaintext));
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * Read the local sync encryption key, or null when encryption is off on this device.
+ * @returns {Promise<{keyId: string, key: CryptoKey}|null>}
+ */
+async function readSyncEncryption() {
+    const result = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.ENCRYPTION]);
+    const stored = result[CLOUD_SYNC_STORAGE_KEYS.ENCRYPTION];
+    if (!stored || typeof stored.keyId !== 'string' || typeof stored.rawKey !== 'string') {
+        return null;
+    }
+
+    if (syncEncryptionKeyCache?.keyId !== stored.keyId) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            base64ToBytes(stored.rawKey),
+            'AES-GCM',
+            false,
+            ['encrypt', 'decrypt']
+        );
+        syncEncryptionKeyCache = { keyId: stored.keyId, key };
+    }
+
+    return syncEncryptionKeyCache;
+}
+
+/**
+ * Store an unlocked key locally so background sync runs without the passphrase.
+ * @param {string} keyId
+ * @param {CryptoKey} key
+ * @returns {Promise<void>}
+ */
+async function storeSyncEncryptionKey(keyId, key) {
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    syncEncryptionKeyCache = null;
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.ENCRYPTION]: {
+            keyId,
+            rawKey: bytesToBase64(rawKey),
+            enabledAt: Date.now()
+        }
+    });
+}
+
+/**
+ * Validate a passphrase before deriving a key from it.
+ * @param {any} passphrase
+ * @returns {string}
+ */
+function readSyncPassphrase(passphrase) {
+    const value = typeof passphrase === 'string' ? passphrase : '';
+    if (value.length < SYNC_ENCRYPTION_PASSPHRASE_MIN_LENGTH) {
+        throw new Error(`Encryption passphrase must be at least ${SYNC_ENCRYPTION_PASSPHRASE_MIN_LENGTH} characters`);
+    }
+    return value;
+}
+
+/**
+ * Create key material for a passphrase: fresh salt, key, key ID and verifier blob.
+ * The Worker keeps everything except the key, so other devices can check a passphrase.
+ * @param {string} passphrase
+ * @returns {Promise<{keyId: string, salt: string, iterations: number, verifier: string, key: CryptoKey}>}
+ */
+async function createSyncKeyMaterial(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveSyncEncryptionKey(passphrase, salt, SYNC_ENCRYPTION_KDF_ITERATIONS);
+    const keyId = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+
+    return {
+        keyId,
+        salt: bytesToBase64(salt),
+        iterations: SYNC_ENCRYPTION_KDF_ITERATIONS,
+        verifier: await encryptSyncBlob(key, { check: SYNC_ENCRYPTION_VERIFIER_TEXT, keyId }),
+        key
+    };
+}
+
+/**
+ * Derive the key for stored key material and prove it opens the verifier.
+ * @param {string} passphrase
+ * @param {{salt: string, iterations: number, verifier: string}} material
+ * @returns {Promise<CryptoKey>}
+ */
+async function unlockSyncKeyMaterial(passphrase, material) {
+    const key = await deriveSyncEncryptionKey(passphrase, base64ToBytes(material.salt), material.iterations);
+    const check = await decryptSyncBlob(key, material.verifier);
+    if (check?.check !== SYNC_ENCRYPTION_VERIFIER_TEXT) {
+        throw new Error(SYNC_ENCRYPTION_WRONG_PASSPHRASE_ERROR);
+    }
+    return key;
+}
+
+/**
+ * Call one of the Worker's `/encryption` routes.
+ * @param {URL} url
+ * @param {string} apiToken
+ * @param {object|null} [body] POST body; GET when omitted.
+ * @returns {Promise<any>}
+ */
+async function requestCloudflareEncryptionRoute(url, apiToken, body = null) {
+    const headers = {
+        'X-YT-Commander-Client': 'chrome-extension'
+    };
+    if (body) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (apiToken) {
+        headers.Authorization = `Bearer ${apiToken}`;
+        headers['X-YT-Commander-Key'] = apiToken;
+    }
+
+    let response = null;
+    try {
+        response = await fetch(url.toString(), {
+            method: body ? 'POST' : 'GET',
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (error) {
+        const message = typeof error?.message === 'string' ? error.message : 'Network error';
+        throw new Error(`Failed to reach Cloudflare encryption endpoint: ${message}`);
+    }
+
+    const rawBody = await response.text().catch(() => '');
+    const parsedBody = parseJsonSafe(rawBody);
+
+    if (response.status === 404) {
+        throw new Error('Cloudflare /encryption endpoint not found. Update your Worker script to support encrypted sync.');
+    }
+
+    if (!response.ok) {
+        const bodyMessage = typeof parsedBody?.error === 'string'
+            ? parsedBody.error
+            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
+        throw new Error(`Cloudflare encryption request failed (${response.status}): ${bodyMessage}`);
+    }
+
+    return parsedBody || {};
+}
+
+/**
+ * Read the key material stored on the Worker, or null when encryption was never set up.
+ * @param {object} provider
+ * @returns {Promise<{keyId: string, salt: string, iterations: number, verifier: string}|null>}
+ */
+async function fetchRemoteSyncKeyMaterial(provider) {
+    const body = await provider.requestEncryption('');
+    if (typeof body.keyId !== 'string' || !body.keyId) {
+        return null;
+    }
+
+    return {
+        keyId: body.keyId,
+        salt: typeof body.salt === 'string' ? body.salt : '',
+        iterations: Number(body.iterations) || SYNC_ENCRYPTION_KDF_ITERATIONS,
+        verifier: typeof body.verifier === 'string' ? body.verifier : ''
+    };
+}
+
+/**
+ * Resolve the sync provider for encryption setup; it must store key material server-side.
+ * @param {{endpointUrl?: string, apiToken?: string}} options
+ * @returns {Promise<object>}
+ */
+async function resolveEncryptionSyncTarget(options) {
+    const provider = await resolveHistorySyncProvider(options);
+    if (!provider.supportsEncryption) {
+        throw new Error(`End-to-end encryption is not available for the ${provider.label} provider`);
+    }
+    return provider;
+}
+
+/**
+ * Turn on end-to-end encryption for this device.
+ * Joins the Worker's existing key when one is set up (the passphrase must match),
+ * otherwise creates it. Local history and subscriptions are then re-uploaded encrypted.
+ * @param {{passphrase?: string, endpointUrl?: string, apiToken?: string}} options
+ * @returns {Promise<{created: boolean, keyId: string}>}
+ */
+export async function enableSyncEncryption(options = {}) {
+    if (cloudSyncInProgress || subscriptionSyncInProgress) {
+        throw new Error('Sync is already in progress');
+    }
+
+    const passphrase = readSyncPassphrase(options.passphrase);
+    const provider = await resolveEncryptionSyncTarget(options);
+    const remote = await fetchRemoteSyncKeyMaterial(provider);
+
+    let keyId = '';
+    let key = null;
+    if (remote) {
+        key = await unlockSyncKeyMaterial(passphrase, remote);
+        keyId = remote.keyId;
+    } else {
+        const material = await createSyncKeyMaterial(passphrase);
+        await provider.requestEncryption('', {
+            keyId: material.keyId,
+            salt: material.salt,
+            iterations: material.iterations,
+            verifier: material.verifier
+        });
+        keyId = material.keyId;
+        key = material.key;
+    }
+
+    await storeSyncEncryptionKey(keyId, key);
+
+    const pendingKeys = await readSubscriptionPendingKeys();
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED]: false,
+        [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: Array.from(new Set([...pendingKeys, 'encryption']))
+    });
+
+    console.info('[YT-Commander][CloudSync] Encryption enabled', { keyId, created: !remote });
+    return { created: !remote, keyId };
+}
+
+/**
+ * Re-encrypt everything on the Worker under a new passphrase.
+ * All blobs are decrypted and re-encrypted locally, then swapped in one request,
+ * so a failure part-way leaves the old passphrase working.
+ * @param {{currentPassphrase?: string, newPassphrase?: string, endpointUrl?: string, apiToken?: string}} options
+ * @returns {Promise<{keyId: string, historyCount: number, subscriptionCount: number}>}
+ */
+export async function changeSyncEncryptionPassphrase(options = {}) {
+    if (cloudSyncInProgress || subscriptionSyncInProgress) {
+        throw new Error('Sync is already in progress');
+    }
+
+    const currentPassphrase = readSyncPassphrase(options.currentPassphrase);
+    const newPassphrase = readSyncPassphrase(options.newPassphrase);
+    const provider = await resolveEncryptionSyncTarget(options);
+
+    cloudSyncInProgress = true;
+    subscriptionSyncInProgress = true;
+
+    try {
+        const remote = await fetchRemoteSyncKeyMaterial(provider);
+        if (!remote) {
+            throw new Error('Encryption is not set up on this Worker yet');
+        }
+
+        const currentKey = await unlockSyncKeyMaterial(currentPassphrase, remote);
+        const stored = await provider.requestEncryption('blobs');
+        const next = await createSyncKeyMaterial(newPassphrase);
+
+        const history = [];
+        for (const entry of Array.isArray(stored.history) ? stored.history : []) {
+            const value = await decryptSyncBlob(currentKey, entry?.blob);
+            if (value === null) {
+                throw new Error(`History batch ${entry?.seq} does not decrypt with the current passphrase; nothing was changed`);
+            }
+            history.push({ seq: entry.seq, blob: await encryptSyncBlob(next.key, value) });
+        }
+
+        const subscriptions = [];
+        for (const entry of Array.isArray(stored.subscriptions) ? stored.subscriptions : []) {
+            const value = await decryptSyncBlob(currentKey, entry?.blob);
+            if (value === null) {
+                throw new Error(`Subscription backup for ${entry?.accountKey} does not decrypt with the current passphrase; nothing was changed`);
+            }
+            subscriptions.push({ accountKey: entry.accountKey, blob: await encryptSyncBlob(next.key, value) });
+        }
+
+        await provider.requestEncryption('rekey', {
+            previousKeyId: remote.keyId,
+            keyId: next.keyId,
+            salt: next.salt,
+            iterations: next.iterations,
+            verifier: next.verifier,
+            history,
+            subscriptions
+        });
+
+        await storeSyncEncryptionKey(next.keyId, next.key);
+
+        console.info('[YT-Commander][CloudSync] Encryption passphrase changed', {
+            keyId: next.keyId,
+            historyCount: history.length,
+            subscriptionCount: subscriptions.length
+        });
+
+        return {
+            keyId: next.keyId,
+            historyCount: history.length,
+            subscriptionCount: subscriptions.length
+        };
+    } finally {
+        cloudSyncInProgress = false;
+        subscriptionSyncInProgress = false;
+    }
+}
+
+/**
+ * Forget the encryption key on this device. Data on the Worker stays encrypted,
+ * so this device cannot sync again until the passphrase is entered.
+ * @returns {Promise<void>}
+ */
+export async function forgetSyncEncryptionKey() {
+    syncEncryptionKeyCache = null;
+    await storageLocalSet({
+        [CLOUD_SYNC_STORAGE_KEYS.ENCRYPTION]: null
+    });
+}
+
+/**
+ * Check that a blob response was written with this device's key.
+ * @param {any} body
+ * @param {{keyId: string}} encryption
+ */
+function assertSyncKeyCurrent(body, encryption) {
+    const remoteKeyId = typeof body?.keyId === 'string' ? body.keyId : '';
+    if (remoteKeyId && remoteKeyId !== encryption.keyId) {
+        throw new Error(SYNC_ENCRYPTION_KEY_CHANGED_ERROR);
+    }
+}
+
+/**
+ * Post one sync batch to Cloudflare.
+ * @param {URL} endpoint
+ * @param {string} apiToken
+ * @param {string[]} videoIds
+ * @param {string} [accountKey]
+ * @param {object[]} [records] Rich details for IDs in this batch (title, channel, progress).
+ * @param {{deletions?: {videoId: string, updatedAt: number}[], clearedAt?: number}} [changes] Tombstones for this batch.
+ * @returns {Promise<any>}
+ */
+async function postCloudflareSyncBatch(endpoint, apiToken, videoIds, accountKey, records = [], changes = {}) {
+    const payload = { videoIds };
+    if (isSubscriptionChannelAccountKey(accountKey)) {
+        payload.accountKey = accountKey;
+    }
+    if (Array.isArray(records) && records.length > 0) {
+        payload.records = records;
+    }
+    if (Array.isArray(changes.deletions) && changes.deletions.length > 0) {
+        payload.deletions = changes.deletions;
+    }
+    if (Number(changes.clearedAt) > 0) {
+        payload.clearedAt = Number(changes.clearedAt);
+    }
+
+    // With encryption on, the Worker only sees the account key and an opaque blob.
+    const encryption = await readSyncEncryption();
+    const requestBody = encryption
+        ? {
+            accountKey: payload.accountKey,
+            keyId: encryption.keyId,
+            encrypted: await encryptSyncBlob(encryption.key, payload)
+        }
+        : payload;
+
+    console.info('[YT-Commander][CloudSync] Sending batch to API', {
+        endpoint: endpoint.toString(),
+        count: videoIds.length,
+        deletions: payload.deletions?.length || 0,
+        clearedAt: payload.clearedAt || null,
+        encrypted: Boolean(encryption),
+        firstIds: videoIds.slice(0, 5),
+        lastIds: videoIds.slice(-3)
+    });
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-YT-Commander-Client': 'chrome-extension'
+    };
+
+    if (apiToken) {
+        headers.Authorization = `Bearer ${apiToken}`;
+        headers['X-YT-Commander-Key'] = apiToken;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CLOUDFLARE_SYNC_REQUEST_TIMEOUT_MS);
+
+    let response = null;
+    try {
+        response = await fetch(endpoint.toString(), {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(requestBody),
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            throw new Error('Cloudflare request timed out');
+        }
+        const rawMessage = typeof error?.message === 'string' ? error.message : '';
+        if (error instanceof TypeError || /failed to fetch|networkerror|fetch/i.test(rawMessage)) {
+            throw new Error(
+                'Failed to establish connection to Cloudflare. Verify Worker URL (use https://.../sync), deployment, and network access.'
+            );
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    let rawBody = '';
+    try {
+        rawBody = await response.text();
+    } catch (_error) {
+        rawBody = '';
+    }
+
+    const parsedBody = parseJsonSafe(rawBody);
+    if (!response.ok) {
+        const bodyMessage = typeof parsedBody?.error === 'string'
+            ? parsedBody.error
+            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
+        throw new Error(`Cloudflare sync failed (${response.status}): ${bodyMessage}`);
+    }
+
+    console.info('[YT-Commander][CloudSync] API response received', {
+        status: response.status,
+        count: videoIds.length,
+        body: parsedBody || rawBody || null
+    });
+
+    return parsedBody || rawBody || null;
+}
+/**
+ * Post subscription sync payload to Cloudflare worker.
+ * @param {URL} endpoint
+ * @param {string} apiToken
+ * @param {object} payload
+ * @returns {Promise<any>}
+ */
+async function postSubscriptionSyncPayload(endpoint, apiToken, payload) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-YT-Commander-Client': 'chrome-extension'
+    };
+
+    if (apiToken) {
+        headers.Authorization = `Bearer ${apiToken}`;
+        headers['X-YT-Commander-Key'] = apiToken;
+    }
+
+    const encryption = await readSyncEncryption();
+    const requestBody = encryption
+        ? {
+            accountKey: payload.accountKey,
+            keyId: encryption.keyId,
+            encrypted: await encryptSyncBlob(encryption.key, payload)
+        }
+        : payload;
+
+    const response = await fetch(endpoint.toString(), {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody)
+    });
+
+    const rawBody = await response.text();
+    const parsedBody = parseJsonSafe(rawBody);
+
+    if (!response.ok) {
+        const message = typeof parsedBody?.error === 'string'
+            ? parsedBody.error
+            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
+        throw new Error(`Subscription sync failed (${response.status}): ${message}`);
+    }
+
+    return parsedBody || { ok: true };
+}
+
+/**
+ * Fetch subscription payload from Cloudflare.
+ * @param {URL} endpoint
+ * @param {string} apiToken
+ * @param {string} accountKey
+ * @returns {Promise<any>}
+ */
+async function fetchSubscriptionRestorePayload(endpoint, apiToken, accountKey) {
+    const requestUrl = new URL(endpoint.toString());
+    if (accountKey) {
+        requestUrl.searchParams.set('accountKey', accountKey);
+    }
+
+    const headers = {
+        'X-YT-Commander-Client': 'chrome-extension'
+    };
+
+    if (apiToken) {
+        headers.Authorization = `Bearer ${apiToken}`;
+        headers['X-YT-Commander-Key'] = apiToken;
+    }
+
+    const response = await fetch(requestUrl.toString(), {
+        method: 'GET',
+        headers
+    });
+
+    const rawBody = await response.text();
+    const parsedBody = parseJsonSafe(rawBody);
+
+    if (!response.ok) {
+        const message = typeof parsedBody?.error === 'string'
+            ? parsedBody.error
+            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
+        throw new Error(`Subscription restore failed (${response.status}): ${message}`);
+    }
+
+    if (typeof parsedBody?.encrypted === 'string') {
+        return decryptSubscriptionRestorePayload(parsedBody);
+    }
+
+    return parsedBody || {};
+}
+
+/**
+ * Decrypt an end-to-end encrypted subscription backup.
+ * @param {{keyId?: string, encrypted: string}} body
+ * @returns {Promise<object>}
+ */
+async function decryptSubscriptionRestorePayload(body) {
+    const encryption = await readSyncEncryption();
+    if (!encryption) {
+        throw new Error('This subscription backup is end-to-end encrypted. Enable encryption with your passphrase, then restore again.');
+    }
+    assertSyncKeyCurrent(body, encryption);
+
+    const payload = await decryptSyncBlob(encryption.key, body.encrypted);
+    if (!payload || typeof payload !== 'object') {
+        throw new Error(`Cannot decrypt subscription backup. ${SYNC_ENCRYPTION_WRONG_PASSPHRASE_ERROR}.`);
+    }
+    return payload;
+}
+
+/**
+ * Fetch one page of changes from Cloudflare pull endpoint.
+ * Plain pages hold a single change; encrypted pages hold one change per stored batch,
+ * in upload order.
+ * @param {URL} pullEndpoint
+ * @param {string} apiToken
+ * @param {string|null} cursor
+ * @param {number} limit
+ * @param {string} [accountKey]
+ * @param {{keyId: string, key: CryptoKey}|null} [encryption]
+ * @returns {Promise<{changes: {videoIds: string[], records: object[], deletions: {videoId: string, updatedAt: number}[], clearedAt: number}[], nextCursor: string|null, hasMore: boolean, incremental: boolean}>}
+ */
+async function fetchCloudflarePullPage(pullEndpoint, apiToken, cursor, limit, accountKey, encryption = null) {
+    const requestUrl = new URL(pullEndpoint.toString());
+    requestUrl.searchParams.set('limit', String(Math.max(1, Math.min(limit, 1000))));
+    if (typeof cursor === 'string' && cursor) {
+        requestUrl.searchParams.set('cursor', cursor);
+    }
+    if (accountKey) {
+        requestUrl.searchParams.set('accountKey', accountKey);
+    }
+    if (encryption) {
+        requestUrl.searchParams.set('encrypted', '1');
+    }
+
+    const headers = {
+        'X-YT-Commander-Client': 'chrome-extension'
+    };
+    if (apiToken) {
+        headers.Authorization = `Bearer ${apiToken}`;
+        headers['X-YT-Commander-Key'] = apiToken;
+    }
+
+    let response = null;
+    try {
+        response = await fetch(requestUrl.toString(), {
+            method: 'GET',
+            headers
+        });
+    } catch (error) {
+        const message = typeof error?.message === 'string' ? error.message : 'Network error';
+        throw new Error(`Failed to download from Cloudflare pull endpoint: ${message}`);
+    }
+
+    const rawBody = await response.text().catch(() => '');
+    const parsedBody = parseJsonSafe(rawBody);
+
+    if (response.status === 404) {
+        throw new Error('Cloudflare /pull endpoint not found. Update your Worker script to support GET /pull.');
+    }
+
+    if (!response.ok) {
+        const bodyMessage = typeof parsedBody?.error === 'string'
+            ? parsedBody.error
+            : (rawBody.replace(/\s+/g, ' ').trim().slice(0, 220) || 'Unknown error');
+        throw new Error(`Cloudflare pull failed (${response.status}): ${bodyMessage}`);
+    }
+
+    return readPullPageBody(parsedBody, limit, encryption);
+}
+
+/**
+ * Normalize a pull response body (the Worker's `GET /pull` shape) into changes.
+ * @param {any} parsedBody
+ * @param {number} limit
+ * @param {{keyId: string, key: CryptoKey}|null} encryption
+ * @returns {Promise<{changes: object[], nextCursor: string|null, hasMore: boolean, incremental: boolean}>}
+ */
+async function readPullPageBody(parsedBody, limit, encryption) {
+    const nextCursor = typeof parsedBody?.nextCursor === 'string'
+        ? parsedBody.nextCursor
+        : (parsedBody?.nextCursor != null ? String(parsedBody.nextCursor) : null);
+
+    if (encryption) {
+        assertSyncKeyCurrent(parsedBody, encryption);
+        const blobs = Array.isArray(parsedBody?.blobs) ? parsedBody.blobs : [];
+        const changes = [];
+        for (const entry of blobs) {
+            const batch = await decryptSyncBlob(encryption.key, entry?.blob);
+            if (!batch || typeof batch !== 'object') {
+                throw new Error(`Cannot decrypt synced history. ${SYNC_ENCRYPTION_WRONG_PASSPHRASE_ERROR}.`);
+            }
+            changes.push(normalizePulledChange(batch));
+        }
+
+        return {
+            changes,
+            nextCursor,
+            hasMore: parsedBody?.hasMore === true || (blobs.length >= limit && Boolean(nextCursor)),
+            incremental: true
+        };
+    }
+
+    if (parsedBody?.encryptionEnabled === true) {
+        throw new Error('History on this Worker is end-to-end encrypted. Enable encryption with your passphrase to sync.');
+    }
+
+    const rawIds = Array.isArray(parsedBody?.videoIds)
+        ? parsedBody.videoIds
+        : Array.isArray(parsedBody?.records)
+            ? parsedBody.records.map((item) => item?.videoId)
+            : [];
+
+    const rawRecords = Array.isArray(parsedBody?.records) ? parsedBody.records : [];
+    const allRecords = rawRecords.map(normalizeSyncRecordDetails).filter(Boolean);
+    const deletions = allRecords
+        .filter((record) => record.deleted === true)
+        .map((record) => ({ videoId: record.videoId, updatedAt: Number(record.updatedAt) || 0 }));
+    const deletedIds = new Set(deletions.map((entry) => entry.videoId));
+    const videoIds = normalizeVideoIds(rawIds).filter((videoId) => !deletedIds.has(videoId));
+    const records = allRecords.filter((record) => record.deleted !== true);
+    const hasMore = parsedBody?.hasMore === true
+        || (Math.max(rawIds.length, rawRecords.length) >= limit && Boolean(nextCursor));
+
+    return {
+        changes: [{ videoIds, records, deletions, clearedAt: 0 }],
+        nextCursor,
+        hasMore,
+        incremental: parsedBody?.incremental === true
+    };
+}
+
+/**
+ * Normalize a decrypted sync batch (the same shape `postCloudflareSyncBatch` sends).
+ * @param {object} batch
+ * @returns {{videoIds: string[], records: object[], deletions: {videoId: string, updatedAt: number}[], clearedAt: number}}
+ */
+function normalizePulledChange(batch) {
+    const deletions = (Array.isArray(batch.deletions) ? batch.deletions : [])
+        .filter((entry) => normalizeVideoIds([entry?.videoId]).length === 1)
+        .map((entry) => ({ videoId: entry.videoId, updatedAt: Number(entry.updatedAt) || 0 }));
+
+    return {
+        videoIds: normalizeVideoIds(batch.videoIds),
+        records: (Array.isArray(batch.records) ? batch.records : []).map(normalizeSyncRecordDetails).filter(Boolean),
+        deletions,
+        clearedAt: Number(batch.clearedAt) || 0
+    };
+}
+
+/**
+ * Normalize per-provider settings (WebDAV folder and REST API routes).
+ * @param {any} rawConfig
+ * @returns {{rest: {baseUrl: string, apiToken: string, routes: Record<string, string>}, webdav: {url: string, username: string, password: string}}}
+ */
+function normalizeSyncProviderConfig(rawConfig) {
+    const config = rawConfig && typeof rawConfig === 'object' ? rawConfig : {};
+    const rest = config.rest && typeof config.rest === 'object' ? config.rest : {};
+    const webdav = config.webdav && typeof config.webdav === 'object' ? config.webdav : {};
+    const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    const routes = {};
+    Object.entries(REST_PROVIDER_DEFAULT_ROUTES).forEach(([name, fallback]) => {
+        routes[name] = readText(rest.routes?.[name]) || fallback;
+    });
+
+    return {
+        rest: {
+            baseUrl: readText(rest.baseUrl),
+            apiToken: readText(rest.apiToken),
+            routes
+        },
+        webdav: {
+            url: readText(webdav.url),
+            username: readText(webdav.username),
+            password: typeof webdav.password === 'string' ? webdav.password : ''
+        }
+    };
+}
+
+/**
+ * Read the selected provider and its settings from storage values.
+ * @param {Record<string, any>} result Storage values keyed by CLOUD_SYNC_STORAGE_KEYS.
+ * @returns {{provider: string, rest: object, webdav: object}}
+ */
+function normalizeSyncProviderSettings(result) {
+    const rawProvider = result[CLOUD_SYNC_STORAGE_KEYS.PROVIDER];
+    return {
+        provider: SYNC_PROVIDER_IDS.includes(rawProvider) ? rawProvider : DEFAULT_SYNC_PROVIDER,
+        ...normalizeSyncProviderConfig(result[CLOUD_SYNC_STORAGE_KEYS.PROVIDER_CONFIG])
+    };
+}
+
+/**
+ * Read the selected sync provider and its settings.
+ * @returns {Promise<{provider: string, rest: object, webdav: object}>}
+ */
+async function readSyncProviderSettings() {
+    const result = await storageLocalGet([
+        CLOUD_SYNC_STORAGE_KEYS.PROVIDER,
+        CLOUD_SYNC_STORAGE_KEYS.PROVIDER_CONFIG
+    ]);
+    return normalizeSyncProviderSettings(result);
+}
+
+/**
+ * Check whether the selected provider has enough settings to sync.
+ * The local file provider only syncs from the popup, so it never counts for auto sync.
+ * @param {{provider: string, rest: {baseUrl: string}, webdav: {url: string}}} settings
+ * @param {string} endpointUrl Cloudflare Worker URL for the Cloudflare provider.
+ * @returns {boolean}
+ */
+function isSyncTargetConfigured(settings, endpointUrl) {
+    if (settings.provider === 'webdav') {
+        return Boolean(settings.webdav.url);
+    }
+    if (settings.provider === 'rest') {
+        return Boolean(settings.rest.baseUrl);
+    }
+    if (settings.provider === 'file') {
+        return false;
+    }
+    return Boolean(endpointUrl);
+}
+
+/**
+ * Build a sync provider for HTTP APIs that follow the Worker contract
+ * (Cloudflare Worker or a self-hosted REST server).
+ * Every provider exposes the same methods, so the sync flow, pending queue,
+ * backoff and account keys stay provider-agnostic.
+ * @param {string} id
+ * @param {{sync?: URL, pull?: URL, subscriptions?: URL, encryption?: URL}} routes
+ * @param {string} apiToken
+ * @returns {object}
+ */
+function createHttpSyncProvider(id, routes, apiToken) {
+    const label = id === 'rest' ? 'REST API' : 'Cloudflare';
+    const primary = routes.sync || routes.subscriptions;
+    const requireRoute = (name) => {
+        if (!routes[name]) {
+            throw new Error(`${label} ${name} route is not configured`);
+        }
+        return routes[name];
+    };
+
+    return {
+        id,
+        label,
+        host: primary.host,
+        endpointPath: primary.pathname || '/',
+        endpointUrl: primary.toString(),
+        supportsEncryption: Boolean(routes.encryption),
+        pushHistory: (batch) => postCloudflareSyncBatch(
+            requireRoute('sync'),
+            apiToken,
+            batch.videoIds,
+            batch.accountKey,
+            batch.records,
+            batch
+        ),
+        pullHistoryPage: (cursor, limit, accountKey, encryption) => fetchCloudflarePullPage(
+            requireRoute('pull'),
+            apiToken,
+            cursor,
+            limit,
+            accountKey,
+            encryption
+        ),
+        pushSubscriptions: (payload) => postSubscriptionSyncPayload(requireRoute('subscriptions'), apiToken, payload),
+        fetchSubscriptions: (accountKey) => fetchSubscriptionRestorePayload(requireRoute('subscriptions'), apiToken, accountKey),
+        requestEncryption: (subPath, body = null) => {
+            const url = new URL(requireRoute('encryption').toString());
+            if (subPath) {
+                url.pathname = `${url.pathname.replace(/\/+$/, '')}/${subPath}`;
+            }
+            return requestCloudflareEncryptionRoute(url, apiToken, body);
+        }
+    };
+}
+
+/**
+ * Build the REST provider from its base URL and route settings.
+ * Routes may be paths relative to the base URL or absolute URLs.
+ * @param {{baseUrl: string, apiToken: string, routes: Record<string, string>}} config
+ * @returns {object}
+ */
+function createRestSyncProvider(config) {
+    if (!config.baseUrl) {
+        throw new Error('REST API base URL is required');
+    }
+
+    let baseUrl = null;
+    try {
+        baseUrl = new URL(config.baseUrl);
+    } catch (_error) {
+        throw new Error('REST API base URL is invalid');
+    }
+    if (!['https:', 'http:'].includes(baseUrl.protocol)) {
+        throw new Error('REST API base URL must use http/https');
+    }
+
+    const routes = {};
+    Object.entries(config.routes).forEach(([name, route]) => {
+        if (/^https?:\/\//i.test(route)) {
+            routes[name] = new URL(route);
+            return;
+        }
+        const url = new URL(baseUrl.toString());
+        url.pathname = `${url.pathname.replace(/\/+$/, '')}/${route.replace(/^\/+/, '')}`;
+        routes[name] = url;
+    });
+
+    return createHttpSyncProvider('rest', routes, config.apiToken);
+}
+
+/**
+ * Parse the WebDAV folder URL; the trailing slash makes file URLs resolve inside it.
+ * @param {string} rawUrl
+ * @returns {URL}
+ */
+function parseWebDavFolder(rawUrl) {
+    if (!rawUrl) {
+        throw new Error('WebDAV folder URL is required');
+    }
+
+    let url = null;
+    try {
+        url = new URL(rawUrl);
+    } catch (_error) {
+        throw new Error('WebDAV folder URL is invalid');
+    }
+    if (!['https:', 'http:'].includes(url.protocol)) {
+        throw new Error('WebDAV folder URL must use http/https');
+    }
+    if (!url.pathname.endsWith('/')) {
+        url.pathname = `${url.pathname}/`;
+    }
+    return url;
+}
+
+/**
+ * Send one WebDAV request with a timeout.
+ * @param {URL} url
+ * @param {string} method
+ * @param {string} authorization
+ * @param {{headers?: Record<string, string>, body?: string}} [options]
+ * @returns {Promise<Response>}
+ */
+async function requestWebDav(url, method, authorization, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (authorization) {
+        headers.Authorization = authorization;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), WEBDAV_REQUEST_TIMEOUT_MS);
+    let response = null;
+    try {
+        response = await fetch(url.toString(), {
+            method,
+            headers,
+            body: options.body,
+            cache: 'no-store',
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            throw new Error('WebDAV request timed out');
+        }
+        const message = typeof error?.message === 'string' ? error.message : 'Network error';
+        throw new Error(`Failed to reach WebDAV server: ${message}`);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+        throw new Error(`WebDAV server rejected the credentials (${response.status})`);
+    }
+    return response;
+}
+
+/**
+ * Read a JSON file from WebDAV.
+ * A missing file reads as null with an empty ETag, so the first write can use `If-None-Match: *`.
+ * @param {URL} url
+ * @param {string} authorization
+ * @returns {Promise<{value: any, etag: string|null}>}
+ */
+async function readWebDavJson(url, authorization) {
+    const response = await requestWebDav(url, 'GET', authorization);
+    if (response.status === 404) {
+        return { value: null, etag: '' };
+    }
+    if (!response.ok) {
+        throw new Error(`WebDAV download failed (${response.status})`);
+    }
+
+    const rawBody = await response.text().catch(() => '');
+    const value = parseJsonSafe(rawBody);
+    if (rawBody.trim() && value === null) {
+        throw new Error(`WebDAV file ${url.pathname} is not valid JSON`);
+    }
+    return { value, etag: response.headers.get('ETag') };
+}
+
+/**
+ * Write a JSON file to WebDAV, creating the folder when the server reports it missing.
+ * @param {URL} url
+ * @param {any} value
+ * @param {string} authorization
+ * @param {URL} folder
+ * @param {string|null} [etag] Expected ETag; '' means the file must not exist yet, null skips the check.
+ * @returns {Promise<boolean>} False when the file changed since it was read (412).
+ */
+async function writeWebDavJson(url, value, authorization, folder, etag = null) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (etag === '') {
+        headers['If-None-Match'] = '*';
+    } else if (etag) {
+        headers['If-Match'] = etag;
+    }
+    const body = JSON.stringify(value);
+
+    let response = await requestWebDav(url, 'PUT', authorization, { headers, body });
+    if (response.status === 409 || response.status === 404) {
+        const created = await requestWebDav(folder, 'MKCOL', authorization);
+        if (!created.ok && created.status !== 405) {
+            throw new Error(`WebDAV folder could not be created (${created.status})`);
+        }
+        response = await requestWebDav(url, 'PUT', authorization, { headers, body });
+    }
+
+    if (response.status === 412) {
+        return false;
+    }
+    if (!response.ok) {
+        throw new Error(`WebDAV upload failed (${response.status})`);
+    }
+    return true;
+}
+
+/**
+ * Normalize a WebDAV history file: records keyed by video ID, each stamped with
+ * the file revision that last changed it.
+ * @param {any} raw
+ * @returns {{version: number, revision: number, records: Record<string, object>}}
+ */
+function normalizeWebDavHistoryState(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    return {
+        version: 1,
+        revision: Number(source.revision) || 0,
+        records: source.records && typeof source.records === 'object' ? source.records : {}
+    };
+}
+
+/**
+ * Merge one pushed batch into a WebDAV history file.
+ * WebDAV has no server logic, so this applies the Worker's rules client-side:
+ * clears tombstone older rows, detail fields are last-writer-wins by `updatedAt`,
+ * playback position by `positionUpdatedAt`, and deletions leave tombstones.
+ * @param {{revision: number, records: Record<string, object>}} state
+ * @param {{videoIds: string[], records?: object[], deletions?: {videoId: string, updatedAt: number}[], clearedAt?: number}} batch
+ * @param {number} now
+ * @returns {{inserted: number, deleted: number, cleared: boolean}}
+ */
+function mergeBatchIntoWebDavHistory(state, batch, now) {
+    state.revision += 1;
+    const revision = state.revision;
+    const videoIds = normalizeVideoIds(batch.videoIds);
+    const deletions = Array.isArray(batch.deletions) ? batch.deletions : [];
+    const clearedAt = Number(batch.clearedAt) || 0;
+
+    if (clearedAt > 0) {
+        Object.values(state.records).forEach((row) => {
+            if (!row.deleted && row.updatedAt <= clearedAt) {
+                row.deleted = true;
+                row.updatedAt = clearedAt;
+                row.rev = revision;
+            }
+        });
+    }
+
+    const recordsById = new Map();
+    (Array.isArray(batch.records) ? batch.records : []).forEach((record) => {
+        if (record && typeof record.videoId === 'string') {
+            recordsById.set(record.videoId, record);
+        }
+    });
+
+    videoIds.forEach((videoId) => {
+        const record = recordsById.get(videoId) || {};
+        const updatedAt = Number(record.updatedAt) > 0 ? Number(record.updatedAt) : now;
+        const existing = state.records[videoId];
+        const row = existing || { videoId, partial: record.partial === true, updatedAt: 0, deleted: false };
+        const newer = updatedAt >= row.updatedAt;
+        const applyField = (field, overwrite) => {
+            const incoming = record[field];
+            if (incoming !== undefined && incoming !== null && (overwrite || row[field] === undefined)) {
+                row[field] = incoming;
+            }
+        };
+
+        ['title', 'channelId', 'channelName', 'durationSeconds'].forEach((field) => applyField(field, newer));
+        const positionUpdatedAt = Number(record.positionUpdatedAt) || 0;
+        if (positionUpdatedAt >= (row.positionUpdatedAt || 0)) {
+            applyField('positionSeconds', true);
+            applyField('percentWatched', true);
+            if (positionUpdatedAt > 0) {
+                row.positionUpdatedAt = positionUpdatedAt;
+            }
+        }
+        if (!row.watchedAt && Number(record.watchedAt) > 0) {
+            row.watchedAt = Number(record.watchedAt);
+        }
+
+        if (existing) {
+            row.partial = row.deleted && newer
+                ? record.partial === true
+                : row.partial && record.partial === true;
+        }
+        if (newer) {
+            row.deleted = false;
+        }
+        row.updatedAt = Math.max(row.updatedAt, updatedAt);
+        row.rev = revision;
+        state.records[videoId] = row;
+    });
+
+    deletions.forEach((entry) => {
+        const videoId = normalizeVideoIds([entry?.videoId])[0];
+        if (!videoId) {
+            return;
+        }
+        const deletedAt = Number(entry.updatedAt) > 0 ? Number(entry.updatedAt) : now;
+        const row = state.records[videoId] || { videoId, partial: false, updatedAt: 0, deleted: false };
+        if (deletedAt >= row.updatedAt) {
+            row.deleted = true;
+        }
+        row.updatedAt = Math.max(row.updatedAt, deletedAt);
+        row.rev = revision;
+        state.records[videoId] = row;
+    });
+
+    return { inserted: videoIds.length, deleted: deletions.length, cleared: clearedAt > 0 };
+}
+
+/**
+ * Read one page of a WebDAV history file in the Worker's `GET /pull` shape.
+ * Rows are ordered by (revision, videoId), so `"<revision>:<videoId>"` cursors resume exactly.
+ * @param {{records: Record<string, object>}} state
+ * @param {string|null} cursor
+ * @param {number} limit
+ * @returns {{videoIds: string[], records: object[], nextCursor: string, hasMore: boolean, incremental: boolean}}
+ */
+function readWebDavHistoryPage(state, cursor, limit) {
+    const [rawRevision, ...rawId] = (typeof cursor === 'string' ? cursor : '').split(':');
+    const afterRevision = Number(rawRevision) || 0;
+    const afterId = rawId.join(':');
+
+    const rows = Object.values(state.records)
+        .filter((row) => row && typeof row.videoId === 'string')
+        .filter((row) => (Number(row.rev) || 0) > afterRevision
+            || ((Number(row.rev) || 0) === afterRevision && row.videoId > afterId))
+        .sort((a, b) => ((Number(a.rev) || 0) - (Number(b.rev) || 0)) || (a.videoId < b.videoId ? -1 : 1))
+        .slice(0, limit);
+    const lastRow = rows[rows.length - 1];
+
+    return {
+        videoIds: rows.filter((row) => !row.deleted).map((row) => row.videoId),
+        records: rows.map(({ rev: _rev, ...row }) => (row.deleted
+            ? { videoId: row.videoId, deleted: true, updatedAt: row.updatedAt }
+            : row)),
+        nextCursor: lastRow ? `${Number(lastRow.rev) || 0}:${lastRow.videoId}` : `${afterRevision}:${afterId}`,
+        hasMore: rows.length === limit,
+        incremental: true
+    };
+}
+
+/**
+ * Name an account inside sync files (`default` or `ytch_<channelId>`).
+ * Same account scoping as the Worker: only channel accounts get their own data.
+ * @param {string} accountKey
+ * @returns {string}
+ */
+function resolveSyncFileAccountKey(accountKey) {
+    const fileKey = isSubscriptionChannelAccountKey(accountKey)
+        ? normalizeAccountKey(accountKey)
+        : DEFAULT_ACCOUNT_KEY;
+    return fileKey.replace(/:/g, '_');
+}
+
+/**
+ * Build the WebDAV provider. Each account gets a `history-<account>.json` and a
+ * `subscriptions-<account>.json` file in the configured folder; history writes use
+ * ETag preconditions so concurrent devices never overwrite each other's changes.
+ * @param {{url: string, username: string, password: string}} config
+ * @returns {object}
+ */
+function createWebDavSyncProvider(config) {
+    const folder = parseWebDavFolder(config.url);
+    const authorization = config.username || config.password
+        ? `Basic ${bytesToBase64(new TextEncoder().encode(`${config.username}:${config.password}`))}`
+        : '';
+    const historyCache = new Map();
+    const buildFileUrl = (prefix, accountKey) => new URL(`${prefix}-${resolveSyncFileAccountKey(accountKey)}.json`, folder);
+
+    return {
+        id: 'webdav',
+        label: 'WebDAV',
+        host: folder.host,
+        endpointPath: folder.pathname,
+        endpointUrl: folder.toString(),
+        supportsEncryption: false,
+        async pushHistory(batch) {
+            const url = buildFileUrl('history', batch.accountKey);
+            historyCache.delete(url.toString());
+
+            for (let attempt = 0; attempt < WEBDAV_WRITE_ATTEMPTS; attempt += 1) {
+                const { value, etag } = await readWebDavJson(url, authorization);
+                const state = normalizeWebDavHistoryState(value);
+                const result = mergeBatchIntoWebDavHistory(state, batch, Date.now());
+                if (await writeWebDavJson(url, state, authorization, folder, etag)) {
+                    return { ok: true, ...result, revision: state.revision };
+                }
+            }
+            throw new Error('WebDAV history file kept changing during sync; try again shortly');
+        },
+        async pullHistoryPage(cursor, limit, accountKey) {
+            // The whole file is downloaded once per pull and paged locally.
+            const url = buildFileUrl('history', accountKey);
+            if (!historyCache.has(url.toString())) {
+                const { value } = await readWebDavJson(url, authorization);
+                historyCache.set(url.toString(), normalizeWebDavHistoryState(value));
+            }
+            return readPullPageBody(readWebDavHistoryPage(historyCache.get(url.toString()), cursor, limit), limit, null);
+        },
+        async pushSubscriptions(payload) {
+            await writeWebDavJson(buildFileUrl('subscriptions', payload.accountKey), payload, authorization, folder);
+            return { ok: true, channelCount: payload.snapshot?.total || 0 };
+        },
+        async fetchSubscriptions(accountKey) {
+            const { value } = await readWebDavJson(buildFileUrl('subscriptions', accountKey), authorization);
+            if (!value || typeof value !== 'object') {
+                throw new Error('No subscription backup found in the WebDAV folder');
+            }
+            return value;
+        },
+        requestEncryption() {
+            throw new Error('End-to-end encryption is not available for the WebDAV provider');
+        }
+    };
+}
+
+/**
+ * Normalize a local sync file: one document holding every account's history
+ * (in the WebDAV history file format) and subscription backup.
+ * @param {any} raw
+ * @returns {{format: string, version: number, fileId: string, updatedAt: number, history: Record<string, object>, subscriptions: Record<string, object>}}
+ */
+function normalizeLocalSyncFile(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const readMap = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : {});
+    return {
+        format: LOCAL_SYNC_FILE_FORMAT,
+        version: 1,
+        fileId: typeof source.fileId === 'string' && source.fileId ? source.fileId : crypto.randomUUID(),
+        updatedAt: Number(source.updatedAt) || 0,
+        history: readMap(source.history),
+        subscriptions: readMap(source.subscriptions)
+    };
+}
+
+/**
+ * Build the local file provider over a sync file loaded in memory. Merges and
+ * pull pages follow the WebDAV provider; the popup saves the file afterwards.
+ * @param {ReturnType<typeof normalizeLocalSyncFile>} file
+ * @returns {object}
+ */
+function createLocalFileSyncProvider(file) {
+    const readHistory = (accountKey) => normalizeWebDavHistoryState(file.history[resolveSyncFileAccountKey(accountKey)]);
+
+    return {
+        id: 'file',
+        label: 'Local file',
+        host: 'local file',
+        endpointPath: '',
+        endpointUrl: '',
+        supportsEncryption: false,
+        async pushHistory(batch) {
+            const state = readHistory(batch.accountKey);
+            const result = mergeBatchIntoWebDavHistory(state, batch, Date.now());
+            file.history[resolveSyncFileAccountKey(batch.accountKey)] = state;
+            return { ok: true, ...result, revision: state.revision };
+        },
+        async pullHistoryPage(cursor, limit, accountKey) {
+            return readPullPageBody(readWebDavHistoryPage(readHistory(accountKey), cursor, limit), limit, null);
+        },
+        async pushSubscriptions(payload) {
+            file.subscriptions[resolveSyncFileAccountKey(payload.accountKey)] = payload;
+            return { ok: true, channelCount: payload.snapshot?.total || 0 };
+        },
+        async fetchSubscriptions(accountKey) {
+            const value = file.subscriptions[resolveSyncFileAccountKey(accountKey)];
+            if (!value || typeof value !== 'object') {
+                throw new Error('No subscription backup found in the sync file');
+            }
+            return value;
+        },
+        requestEncryption() {
+            throw new Error('End-to-end encryption is not available for the local file provider');
+        }
+    };
+}
+
+/**
+ * Sync watched history and subscriptions with a sync file picked in the popup.
+ * The service worker cannot keep access to a file, so the popup passes the file
+ * contents in and saves the returned contents back. A different file than last
+ * time starts over like a provider switch: pull cursors reset and local data is
+ * queued for upload again.
+ * @param {{content?: string, restoreSubscriptions?: boolean, activeTabId?: number}} options
+ * @returns {Promise<{content: string, history: object, subscriptions: object}>}
+ */
+export async function syncWithLocalFile(options = {}) {
+    const settings = await readSyncProviderSettings();
+    if (settings.provider !== 'file') {
+        throw new Error('Choose Local file as the sync provider first');
+    }
+
+    const text = typeof options.content === 'string' ? options.content.trim() : '';
+    const raw = text ? parseJsonSafe(text) : {};
+    if (!raw || typeof raw !== 'object' || (text && raw.format !== LOCAL_SYNC_FILE_FORMAT)) {
+        throw new Error('The chosen file is not a YT Commander sync file');
+    }
+    const file = normalizeLocalSyncFile(raw);
+
+    const stored = await storageLocalGet([CLOUD_SYNC_STORAGE_KEYS.LOCAL_FILE_ID]);
+    const previousFileId = stored[CLOUD_SYNC_STORAGE_KEYS.LOCAL_FILE_ID];
+    if (previousFileId !== file.fileId) {
+        const pendingKeys = await readSubscriptionPendingKeys();
+        await storageLocalSet({
+            [CLOUD_SYNC_STORAGE_KEYS.LOCAL_FILE_ID]: file.fileId,
+            ...(previousFileId
+                ? {
+                    [CLOUD_SYNC_STORAGE_KEYS.PULL_CURSOR_BY_ACCOUNT]: {},
+                    [CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED]: false,
+                    [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: Array.from(new Set([...pendingKeys, 'provider']))
+                }
+                : {})
+        });
+    }
+
+    const provider = createLocalFileSyncProvider(file);
+    const activeTabId = Number.isFinite(options.activeTabId) ? Number(options.activeTabId) : undefined;
+    const history = await performCloudflareSync({
+        manual: true,
+        source: 'local-file-sync',
+        activeTabId,
+        provider
+    });
+    const subscriptions = options.restoreSubscriptions === true
+        ? await restoreSubscriptionsFromCloudflare({ activeTabId, provider })
+        : await performSubscriptionSync({
+            manual: true,
+            source: 'local-file-sync',
+            activeTabId,
+            provider
+        });
+
+    file.updatedAt = Date.now();
+    return { content: JSON.stringify(file), history, subscriptions };
+}
+
+/**
+ * Resolve the provider used for watched-history sync.
+ * The Cloudflare Worker URL and token may come from the popup before they are saved.
+ * A provider passed in options (the local file provider) is used as is.
+ * @param {{endpointUrl?: string, apiToken?: string, provider?: object}} [options]
+ * @returns {Promise<object>}
+ */
+async function resolveHistorySyncProvider(options = {}) {
+    if (options.provider) {
+        return options.provider;
+    }
+    const settings = await readSyncProviderSettings();
+    if (settings.provider === 'file') {
+        throw new Error('The local file provider syncs with "Sync with File" in the sync settings');
+    }
+    if (settings.provider === 'webdav') {
+        return createWebDavSyncProvider(settings.webdav);
+    }
+    if (settings.provider === 'rest') {
+        return createRestSyncProvider(settings.rest);
+    }
+
+    const state = await readCloudSyncState();
+    const endpointRaw = typeof options.endpointUrl === 'string' && options.endpointUrl.trim()
+        ? options.endpointUrl.trim()
+        : state.endpointUrl;
+    const apiToken = typeof options.apiToken === 'string'
+        ? options.apiToken.trim()
+        : state.apiToken;
+    const syncEndpoint = parseCloudflareEndpoint(endpointRaw);
+
+    return createHttpSyncProvider('cloudflare', {
+        sync: syncEndpoint,
+        pull: buildCloudflarePullEndpoint(syncEndpoint),
+        subscriptions: buildSubscriptionEndpoint(syncEndpoint.toString()),
+        encryption: buildCloudflareWorkerRoute(syncEndpoint, 'encryption')
+    }, apiToken);
+}
+
+/**
+ * Resolve the provider used for subscription sync and restore.
+ * @param {{endpointUrl?: string, apiToken?: string, provider?: object}} [options]
+ * @returns {Promise<object>}
+ */
+async function resolveSubscriptionSyncProvider(options = {}) {
+    const settings = await readSyncProviderSettings();
+    if (options.provider || settings.provider !== DEFAULT_SYNC_PROVIDER) {
+        return resolveHistorySyncProvider(options);
+    }
+
+    const state = await readSubscriptionSyncState();
+    const endpointRaw = typeof options.endpointUrl === 'string' && options.endpointUrl.trim()
+        ? options.endpointUrl.trim()
+        : state.endpointUrl;
+    const apiToken = typeof options.apiToken === 'string'
+        ? options.apiToken.trim()
+        : state.apiToken;
+
+    return createHttpSyncProvider('cloudflare', {
+        subscriptions: buildSubscriptionEndpoint(endpointRaw)
+    }, apiToken);
+}
+
+/**
+ * Import IDs into local watched IndexedDB through content script.
+ * @param {number} tabId
+ * @param {string[]} videoIds
+ * @param {{skipSyncQueue?: boolean, records?: object[]}} [options]
+ * @returns {Promise<number>}
+ */
+export async function importVideoIdsIntoLocalHistory(tabId, videoIds, options = {}) {
+    const skipSyncQueue = options?.skipSyncQueue === true;
+    const records = Array.isArray(options?.records) ? options.records : [];
+    const response = await sendMessageToTab(tabId, {
+        type: 'IMPORT_WATCHED_VIDEOS',
+        videoIds,
+        options: { skipSyncQueue, records }
+    }, 45000);
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to import IDs into local watched history');
+    }
+
+    return Number(response.count) || 0;
+}
+
+/**
+ * Apply tombstones pulled from Cloudflare to local watched history.
+ * @param {number} tabId
+ * @param {{videoId: string, updatedAt: number}[]} deletions
+ * @returns {Promise<number>}
+ */
+async function applyRemoteDeletionsInTab(tabId, deletions) {
+    const response = await sendMessageToTab(tabId, {
+        type: 'APPLY_REMOTE_DELETIONS',
+        deletions
+    }, 45000);
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to apply remote deletions to local watched history');
+    }
+
+    return Number(response.removedCount) || 0;
+}
+
+/**
+ * Apply a history clear pulled from an encrypted Worker to local watched history.
+ * Plain Workers turn clears into tombstones server-side; encrypted ones cannot.
+ * @param {number} tabId
+ * @param {number} clearedAt
+ * @returns {Promise<number>}
+ */
+async function applyRemoteClearInTab(tabId, clearedAt) {
+    const response = await sendMessageToTab(tabId, {
+        type: 'APPLY_REMOTE_CLEAR',
+        clearedAt
+    }, 45000);
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to apply remote clear to local watched history');
+    }
+
+    return Number(response.removedCount) || 0;
+}
+
+/**
+ * Pull change pages from the sync provider, starting at `cursor`, into local history.
+ * Incremental Workers return a change cursor to resume from next time; with
+ * `requireIncremental`, older Workers (full-list pull only) stop after one page.
+ * @param {number} tabId
+ * @param {object} provider
+ * @param {string} accountKey
+ * @param {string|null} cursor
+ * @param {{requireIncremental?: boolean, encryption?: {keyId: string, key: CryptoKey}|null}} [options]
+ * @returns {Promise<{pulledCount: number, importedCount: number, removedCount: number, pageCount: number, cursor: string|null}>}
+ */
+async function pullCloudflareChanges(tabId, provider, accountKey, cursor, options = {}) {
+    const encryption = options.encryption || null;
+    const pageLimit = encryption ? PULL_ENCRYPTED_PAGE_LIMIT : PULL_PAGE_LIMIT;
+    let currentCursor = cursor || null;
+    let pageCount = 0;
+    let pulledCount = 0;
+    let importedCount = 0;
+    let removedCount = 0;
+    let incremental = false;
+
+    while (pageCount < PULL_MAX_PAGES) {
+        const page = await provider.pullHistoryPage(currentCursor, pageLimit, accountKey, encryption);
+        pageCount += 1;
+        incremental = page.incremental;
+
+        let pagePulled = 0;
+        let pageDeletions = 0;
+        for (const change of page.changes) {
+            if (change.clearedAt > 0) {
+                removedCount += await applyRemoteClearInTab(tabId, change.clearedAt);
+            }
+            if (change.videoIds.length > 0) {
+                pagePulled += change.videoIds.length;
+                importedCount += await importVideoIdsIntoLocalHistory(tabId, change.videoIds, {
+                    skipSyncQueue: true,
+                    records: change.records
+                });
+            }
+            if (change.deletions.length > 0) {
+                pageDeletions += change.deletions.length;
+                removedCount += await applyRemoteDeletionsInTab(tabId, change.deletions);
+            }
+        }
+        pulledCount += pagePulled;
+
+        console.info('[YT-Commander][CloudSync] Pulled page', {
+            provider: provider.id,
+            page: pageCount,
+            pulled: pagePulled,
+            deletions: pageDeletions,
+            importedTotal: importedCount,
+            cursor: page.nextCursor || null
+        });
+
+        const advanced = Boolean(page.nextCursor) && page.nextCursor !== currentCursor;
+        if (advanced) {
+            currentCursor = page.nextCursor;
+        }
+
+        if (!page.hasMore || !advanced || (options.requireIncremental === true && !incremental)) {
+            break;
+        }
+    }
+
+    return {
+        pulledCount,
+        importedCount,
+        removedCount,
+        pageCount,
+        cursor: incremental ? currentCursor : null
+    };
+}
+
+/**
+ * Pull remote changes since the last successful sync for one account.
+ * Auto sync only uses an already open YouTube tab; manual sync may open one.
+ * @param {object} provider
+ * @param {string} accountKey
+ * @param {{manual?: boolean, tabId?: number}} [options]
+ * @returns {Promise<{pulledCount: number, importedCount: number, removedCount: number, pageCount: number}|null>}
+ */
+async function pullCloudflareChangesSinceLastSync(provider, accountKey, options = {}) {
+    let createdTab = false;
+    let tabId = Number.isFinite(options.tabId) && options.tabId > 0 && await hasWatchedHistoryReceiver(options.tabId, 1)
+        ? Number(options.tabId)
+        : 0;
+
+    if (!tabId && options.manual === true) {
+        const tabInfo = await resolveYouTubeTabForHistory();
+        tabId = tabInfo.tabId;
+        createdTab = tabInfo.created === true;
+    } else if (!tabId) {
+        tabId = await findExistingYouTubeTabWithReceiver() || 0;
+    }
+
+    if (!tabId) {
+        return null;
+    }
+
+    try {
+        const encryption = provider.supportsEncryption ? await readSyncEncryption() : null;
+        const cursorStorageKey = encryption
+            ? CLOUD_SYNC_STORAGE_KEYS.ENCRYPTED_PULL_CURSOR_BY_ACCOUNT
+            : CLOUD_SYNC_STORAGE_KEYS.PULL_CURSOR_BY_ACCOUNT;
+        const storedCursor = await readAccountScopedValue(cursorStorageKey, accountKey);
+        const result = await pullCloudflareChanges(
+            tabId,
+            provider,
+            isSubscriptionChannelAccountKey(accountKey) ? accountKey : '',
+            typeof storedCursor === 'string' ? storedCursor : null,
+            { requireIncremental: true, encryption }
+        );
+
+        if (result.cursor) {
+            await writeAccountScopedValue(cursorStorageKey, accountKey, result.cursor);
+        }
+
+        return result;
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
+        }
+    }
+}
+
+/**
+ * Download the full history from the sync provider and import it into local IndexedDB.
+ * Also resets the incremental pull cursor to the end of the downloaded changes.
+ * @param {{endpointUrl?: string, apiToken?: string}} options
+ * @returns {Promise<{pulledCount: number, importedCount: number, removedCount: number, pageCount: number}>}
+ */
+export async function downloadFromCloudflare(options = {}) {
+    if (cloudSyncInProgress) {
+        throw new Error('Sync is already in progress');
+    }
+
+    const provider = await resolveHistorySyncProvider(options);
+    const resolvedAccountKey = await resolveSyncAccountKey();
+    const accountKey = isSubscriptionChannelAccountKey(resolvedAccountKey)
+        ? resolvedAccountKey
+        : '';
+
+    cloudSyncInProgress = true;
+
+    let createdTab = false;
+    let tabId = 0;
+
+    try {
+        const tabInfo = await resolveYouTubeTabForHistory();
+        createdTab = tabInfo.created;
+        tabId = tabInfo.tabId;
+
+        const encryption = provider.supportsEncryption ? await readSyncEncryption() : null;
+        const result = await pullCloudflareChanges(tabId, provider, accountKey, null, { encryption });
+        if (result.cursor) {
+            await writeAccountScopedValue(
+                encryption
+                    ? CLOUD_SYNC_STORAGE_KEYS.ENCRYPTED_PULL_CURSOR_BY_ACCOUNT
+                    : CLOUD_SYNC_STORAGE_KEYS.PULL_CURSOR_BY_ACCOUNT,
+                resolvedAccountKey,
+                result.cursor
+            );
+        }
+
+        return {
+            pulledCount: result.pulledCount,
+            importedCount: result.importedCount,
+            removedCount: result.removedCount,
+            pageCount: result.pageCount
+        };
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
+        }
+        cloudSyncInProgress = false;
+    }
+}
+
+/**
+ * Seed missing watched IDs from imported file into local IndexedDB and Cloudflare.
+ * @param {{videoIds?: string[], endpointUrl?: string, apiToken?: string, activeTabId?: number}} options
+ * @returns {Promise<{providedCount: number, importedCount: number, syncedCount: number, pendingCount: number, endpointHost: string, skipped?: boolean, reason?: string}>}
+ */
+export async function seedHistoryToLocalAndCloudflare(options = {}) {
+    const rawVideoIds = Array.isArray(options.videoIds) ? options.videoIds : [];
+    const videoIds = normalizeVideoIds(rawVideoIds);
+    if (videoIds.length === 0) {
+        throw new Error('No valid video IDs were provided');
+    }
+
+    // Validates the provider settings before anything is imported locally.
+    const provider = await resolveHistorySyncProvider(options);
+
+    let createdTab = false;
+    let tabId = 0;
+    const preferredTabId = Number.isFinite(options.activeTabId) ? Number(options.activeTabId) : 0;
+
+    try {
+        if (preferredTabId > 0 && await hasWatchedHistoryReceiver(preferredTabId, 1)) {
+            tabId = preferredTabId;
+        } else {
+            const tabInfo = await resolveYouTubeTabForHistory();
+            tabId = tabInfo.tabId;
+            createdTab = tabInfo.created === true;
+        }
+
+        let importedCount = 0;
+        for (let index = 0; index < videoIds.length; index += FILE_SEED_IMPORT_BATCH_SIZE) {
+            const batch = videoIds.slice(index, index + FILE_SEED_IMPORT_BATCH_SIZE);
+            importedCount += await importVideoIdsIntoLocalHistory(tabId, batch, {
+                skipSyncQueue: false
+            });
+        }
+
+        try {
+            const syncResult = await performCloudflareSync({
+                manual: true,
+                endpointUrl: options.endpointUrl,
+                apiToken: options.apiToken,
+                source: 'seed-history-from-file',
+                activeTabId: tabId
+            });
+            const fallbackStatus = Number.isFinite(Number(syncResult?.pendingCount))
+                ? null
+                : await getCloudSyncStatus();
+
+            return {
+                providedCount: videoIds.length,
+                importedCount,
+                syncedCount: Number(syncResult?.syncedCount) || 0,
+                pendingCount: Number(syncResult?.pendingCount)
+                    || Number(fallbackStatus?.pendingCount)
+                    || 0,
+                endpointHost: typeof syncResult?.endpointHost === 'string' && syncResult.endpointHost
+                    ? syncResult.endpointHost
+                    : provider.host,
+                skipped: syncResult?.skipped === true,
+                reason: typeof syncResult?.reason === 'string' ? syncResult.reason : ''
+            };
+        } catch (error) {
+            const message = error?.message || `${provider.label} sync failed`;
+            throw new Error(`${message}. Local import completed for ${importedCount} new IDs.`);
+        }
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
+        }
+    }
+}
+
+/**
+ * Perform two-way cloud sync: push queued changes (adds, edits, tombstones),
+ * then pull remote changes since the last successful sync.
+ * @param {{manual?: boolean, endpointUrl?: string, apiToken?: string, source?: string, activeTabId?: number, provider?: object}} options
+ * @returns {Promise<object>}
+ */
+export async function performCloudflareSync(options = {}) {
+    if (cloudSyncInProgress) {
+        return {
+            success: true,
+            skipped: true,
+            reason: 'Sync already in progress',
+            syncedCount: 0
+        };
+    }
+
+    const manual = options.manual === true;
+    const source = typeof options.source === 'string' ? options.source : 'cloud-sync';
+
+    const state = await readCloudSyncState();
+    const apiToken = typeof options.apiToken === 'string'
+        ? options.apiToken.trim()
+        : state.apiToken;
+    const syncAccountKey = manual
+        ? await resolveManualSyncAccountKey(options.activeTabId)
+        : await resolveSyncAccountKey();
+
+    const provider = await resolveHistorySyncProvider(options);
+
+    if (!manual && !state.autoEnabled) {
+        return {
+            success: true,
+            skipped: true,
+            reason: 'Auto sync disabled',
+            syncedCount: 0
+        };
+    }
+
+    if (!manual && state.backoffUntil > Date.now()) {
+        return {
+            success: true,
+            skipped: true,
+            reason: 'Backoff active',
+            syncedCount: 0,
+            retryAt: state.backoffUntil
+        };
+    }
+
+    let pendingBefore = await readPendingQueue(syncAccountKey);
+    if (pendingBefore.length === 0 && state.queueSeeded !== true) {
+        try {
+            const seededCount = await seedPendingQueueFromWatchedHistory(syncAccountKey);
+            if (seededCount > 0) {
+                console.info('[YT-Commander][CloudSync] Seeded pending queue from watched history', {
+                    accountKey: syncAccountKey,
+                    seededCount
+                });
+            }
+        } catch (error) {
+            console.warn('[YT-Commander][CloudSync] Failed to seed pending queue from watched history', error);
+        }
+        pendingBefore = await readPendingQueue(syncAccountKey);
+    }
+
+    const pendingClearAt = Number(await readAccountScopedValue(
+        CLOUD_SYNC_STORAGE_KEYS.PENDING_CLEAR_BY_ACCOUNT,
+        syncAccountKey
+    )) || 0;
+    const hasLocalChanges = pendingBefore.length > 0 || pendingClearAt > 0;
+    if (!hasLocalChanges && state.queueSeeded !== true) {
+        await storageLocalSet({
+            [CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED]: true
+        });
+    }
+
+    // Without local changes, auto sync only runs when it can pull into an open tab.
+    const pullTabId = manual
+        ? Number(options.activeTabId) || 0
+        : await findExistingYouTubeTabWithReceiver() || 0;
+    if (!hasLocalChanges && !manual && !pullTabId) {
+        await storageLocalSet({
+            [CLOUD_SYNC_STORAGE_KEYS.STATUS]: 'idle',
+            [CLOUD_SYNC_STORAGE_KEYS.ERROR]: '',
+            [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0
+        });
+
+        return {
+            success: true,
+            skipped: true,
+            reason: 'No changes to sync',
+            pendingCount: 0
+        };
+    }
+
+    cloudSyncInProgress = true;
+    console.info('[YT-Commander][CloudSync] Sync started', {
+        provider: provider.id,
+        endpoint: provider.host + provider.endpointPath,
+        manual,
+        source,
+        accountKey: syncAccountKey
+    });
+
+    try {
+        const maxPerRun = manual ? MANUAL_SYNC_MAX_IDS_PER_RUN : AUTO_SYNC_MAX_IDS_PER_RUN;
+        let syncedCount = 0;
+        let batchCount = 0;
+        let lastServerResult = null;
+
+        if (pendingClearAt > 0) {
+            lastServerResult = await provider.pushHistory({
+                videoIds: [],
+                accountKey: syncAccountKey,
+                records: [],
+                clearedAt: pendingClearAt
+            });
+            await writeAccountScopedValue(CLOUD_SYNC_STORAGE_KEYS.PENDING_CLEAR_BY_ACCOUNT, syncAccountKey, 0);
+            batchCount += 1;
+        }
+
+        while (syncedCount < maxPerRun) {
+            const pendingQueue = await readPendingQueue(syncAccountKey);
+            if (pendingQueue.length === 0) {
+                break;
+            }
+
+            const remaining = maxPerRun - syncedCount;
+            const chunkLimit = Math.min(AUTO_SYNC_CHUNK_SIZE, remaining, pendingQueue.length);
+            const videoIds = pendingQueue.slice(0, chunkLimit);
+            const pendingDetails = await readPendingDetails(syncAccountKey);
+            const batchRecords = videoIds
+                .map((videoId) => pendingDetails[videoId])
+                .filter(Boolean);
+            const deletions = batchRecords
+                .filter((record) => record.deleted === true)
+                .map((record) => ({ videoId: record.videoId, updatedAt: record.updatedAt }));
+            const deletedIds = new Set(deletions.map((entry) => entry.videoId));
+
+            lastServerResult = await provider.pushHistory({
+                videoIds: videoIds.filter((videoId) => !deletedIds.has(videoId)),
+                accountKey: syncAccountKey,
+                records: batchRecords.filter((record) => record.deleted !== true),
+                deletions
+            });
+            await removePendingVideoIds(videoIds, syncAccountKey);
+
+            syncedCount += videoIds.length;
+            batchCount += 1;
+
+            if (videoIds.length < chunkLimit) {
+                break;
+            }
+        }
+
+        let pullResult = null;
+        let pullError = '';
+        try {
+            pullResult = await pullCloudflareChangesSinceLastSync(provider, syncAccountKey, {
+                manual,
+                tabId: pullTabId
+            });
+        } catch (error) {
+            // Pushed changes are already acknowledged; a failed pull is retried next sync.
+            pullError = error?.message || `${provider.label} pull failed`;
+            console.warn('[YT-Commander][CloudSync] Pull after sync failed', error);
+        }
+
+        const pendingCount = (await readPendingQueue(syncAccountKey)).length;
+
+        await storageLocalSet({
+            ...(provider.id === DEFAULT_SYNC_PROVIDER
+                ? {
+                    [CLOUD_SYNC_STORAGE_KEYS.ENDPOINT]: provider.endpointUrl,
+                    [CLOUD_SYNC_STORAGE_KEYS.API_TOKEN]: apiToken
+                }
+                : {}),
+            [CLOUD_SYNC_STORAGE_KEYS.LAST_AT]: Date.now(),
+            [CLOUD_SYNC_STORAGE_KEYS.STATUS]: 'success',
+            [CLOUD_SYNC_STORAGE_KEYS.ERROR]: '',
+            [CLOUD_SYNC_STORAGE_KEYS.COUNT]: syncedCount,
+            [CLOUD_SYNC_STORAGE_KEYS.PENDING_COUNT]: pendingCount,
+            [CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT]: 0,
+            [CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: 0
+        });
+
+        return {
+            success: true,
+            accountKey: syncAccountKey,
+            syncedCount,
+            pendingCount,
+            provider: provider.id,
+            endpointHost: provider.host,
+            endpointPath: provider.endpointPath,
+            batchCount,
+            pulledCount: pullResult?.pulledCount || 0,
+            importedCount: pullResult?.importedCount || 0,
+            removedCount: pullResult?.removedCount || 0,
+            pullError,
+            serverResult: lastServerResult
+        };
+    } catch (error) {
+        const failureCount = (state.failureCount || 0) + 1;
+        const backoffMinutes = manual ? 0 : computeBackoffMinutes(failureCount);
+        const backoffUntil = backoffMinutes > 0
+            ? Date.now() + (backoffMinutes * 60 * 1000)
+            : 0;
+
+        await storageLocalSet({
+            [CLOUD_SYNC_STORAGE_KEYS.STATUS]: 'error',
+            [CLOUD_SYNC_STORAGE_KEYS.ERROR]: error?.message || `${provider.label} sync failed`,
+            [CLOUD_SYNC_STORAGE_KEYS.FAILURE_COUNT]: failureCount,
+            [CLOUD_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: backoffUntil
+        });
+
+        console.error('[YT-Commander][CloudSync] Sync failed', error);
+        throw error;
+    } finally {
+        cloudSyncInProgress = false;
+    }
+}
+/**
+ * Perform subscription sync.
+ * @param {{manual?: boolean, endpointUrl?: string, apiToken?: string, source?: string, activeTabId?: number, provider?: object}} options
+ * @returns {Promise<object>}
+ */
+export async function performSubscriptionSync(options = {}) {
+    if (subscriptionSyncInProgress) {
+        return {
+            success: true,
+            skipped: true,
+            reason: 'Sync already in progress',
+            syncedCount: 0
+        };
+    }
+
+    const manual = options.manual === true;
+    const source = typeof options.source === 'string' ? options.source : 'subscription-sync';
+
+    const state = await readSubscriptionSyncState();
+    const apiToken = typeof options.apiToken === 'string'
+        ? options.apiToken.trim()
+        : state.apiToken;
+
+    const provider = await resolveSubscriptionSyncProvider(options);
+
+    if (!manual && !state.autoEnabled) {
+        return {
+            success: true,
+            skipped: true,
+            reason: 'Auto sync disabled',
+            syncedCount: 0
+        };
+    }
+
+    if (!manual && state.backoffUntil > Date.now()) {
+        return {
+            success: true,
+            skipped: true,
+            reason: 'Backoff active',
+            syncedCount: 0,
+            retryAt: state.backoffUntil
+        };
+    }
+
+    const pendingBefore = await readSubscriptionPendingKeys();
+    if (pendingBefore.length === 0) {
+        await storageLocalSet({
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]: 'idle',
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]: '',
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0
+        });
+
+        return {
+            success: true,
+            skipped: true,
+            reason: 'No changes to sync',
+            pendingCount: 0
+        };
+    }
+
+    subscriptionSyncInProgress = true;
+
+    console.info('[YT-Commander][SubscriptionSync] Sync started', {
+        provider: provider.id,
+        endpoint: provider.host + provider.endpointPath,
+        manual,
+        source
+    });
+
+    let createdTab = false;
+    let tabId = 0;
+
+    try {
+        const requestedTabId = Number.isFinite(options.activeTabId) ? Number(options.activeTabId) : 0;
+        const accountResolution = await resolveSubscriptionSyncAccountKey({
+            preferredTabId: requestedTabId,
+            state
+        });
+
+        let accountKey = accountResolution.accountKey;
+        if (accountResolution.usedTabId) {
+            tabId = accountResolution.usedTabId;
+            createdTab = accountResolution.createdTab;
+        }
+
+        if (!tabId) {
+            if (requestedTabId) {
+                const hasReceiver = await hasWatchedHistoryReceiver(requestedTabId, 1);
+                if (hasReceiver) {
+                    tabId = requestedTabId;
+                }
+            }
+
+            if (!tabId) {
+                const tabInfo = await resolveYouTubeTabForHistory();
+                createdTab = tabInfo.created;
+                tabId = tabInfo.tabId;
+            }
+        }
+
+        const snapshot = await getSubscriptionSnapshotFromTab(tabId);
+        const pendingKeys = await readSubscriptionPendingKeys();
+
+        const local = await storageLocalGet([
+            'subscriptionManagerCategories',
+            'subscriptionManagerAssignments'
+        ]);
+
+        const categories = normalizeCategoryList(local.subscriptionManagerCategories);
+
+        const categoryIds = new Set(categories.map((item) => item.id));
+        const assignments = {};
+        const rawAssignments = local.subscriptionManagerAssignments;
+        if (rawAssignments && typeof rawAssignments === 'object') {
+            Object.entries(rawAssignments).forEach(([channelId, list]) => {
+                if (typeof channelId !== 'string' || !channelId) {
+                    return;
+                }
+                const next = Array.isArray(list)
+                    ? list.filter((id) => typeof id === 'string' && id && categoryIds.has(id))
+                    : [];
+                if (next.length > 0) {
+                    assignments[channelId] = Array.from(new Set(next));
+                }
+            });
+        }
+
+        const payload = {
+            accountKey,
+            syncedAt: Date.now(),
+            pendingKeys,
+            snapshot: {
+                hash: typeof snapshot.hash === 'string' ? snapshot.hash : '',
+                fetchedAt: Number(snapshot.fetchedAt) || Date.now(),
+                total: Array.isArray(snapshot.channels) ? snapshot.channels.length : 0,
+                channels: Array.isArray(snapshot.channels) ? snapshot.channels : []
+            },
+            categories,
+            assignments
+        };
+
+        const serverResult = await provider.pushSubscriptions(payload);
+
+        await storageLocalSet({
+            ...(provider.id === DEFAULT_SYNC_PROVIDER
+                ? {
+                    [SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT]: provider.endpointUrl,
+                    [SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN]: apiToken
+                }
+                : {}),
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.LAST_AT]: Date.now(),
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]: 'success',
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]: '',
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT]: payload.snapshot.total,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: [],
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: accountKey,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT]: 0,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: 0
+        });
+
+        return {
+            success: true,
+            accountKey,
+            syncedCount: payload.snapshot.total,
+            pendingCount: 0,
+            provider: provider.id,
+            endpointHost: provider.host,
+            endpointPath: provider.endpointPath,
+            serverResult
+        };
+    } catch (error) {
+        const failureCount = (state.failureCount || 0) + 1;
+        const backoffMinutes = manual ? 0 : computeBackoffMinutes(failureCount);
+        const backoffUntil = backoffMinutes > 0
+            ? Date.now() + (backoffMinutes * 60 * 1000)
+            : 0;
+
+        await storageLocalSet({
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.STATUS]: 'error',
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.ERROR]: error?.message || 'Subscription sync failed',
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.FAILURE_COUNT]: failureCount,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.BACKOFF_UNTIL]: backoffUntil
+        });
+
+        console.error('[YT-Commander][SubscriptionSync] Sync failed', error);
+        throw error;
+    } finally {
+        if (createdTab && tabId) {
+            await removeTab(tabId);
+        }
+        subscriptionSyncInProgress = false;
+    }
+}
+
+/**
+ * Restore subscription manager data from the sync provider.
+ * @param {{endpointUrl?: string, apiToken?: string, accountKey?: string, activeTabId?: number, provider?: object}} options
+ * @returns {Promise<{channelCount: number, categoryCount: number, assignmentCount: number, endpointHost: string}>}
+ */
+export async function restoreSubscriptionsFromCloudflare(options = {}) {
+    if (subscriptionRestoreInProgress) {
+        throw new Error('Restore is already in progress');
+    }
+    if (subscriptionSyncInProgress) {
+        throw new Error('Subscription sync is already in progress');
+    }
+
+    const state = await readSubscriptionSyncState();
+    const provider = await resolveSubscriptionSyncProvider(options);
+
+    subscriptionRestoreInProgress = true;
+
+    let createdTab = false;
+    let cleanupTabId = 0;
+
+    try {
+        const accountResolution = await resolveSubscriptionSyncAccountKey({
+            accountKey: options.accountKey,
+            preferredTabId: options.activeTabId,
+            state
+        });
+        const accountKey = accountResolution.accountKey;
+        createdTab = accountResolution.createdTab;
+        cleanupTabId = accountResolution.usedTabId;
+
+        const payload = await provider.fetchSubscriptions(accountKey);
+        const snapshot = payload && typeof payload.snapshot === 'object' ? payload.snapshot : {};
+        const rawChannels = Array.isArray(payload.channels)
+            ? payload.channels
+            : (Array.isArray(snapshot.channels) ? snapshot.channels : []);
+        const rawCategories = Array.isArray(payload.categories) ? payload.categories : [];
+        const rawAssignments = payload && typeof payload.assignments === 'object'
+            ? payload.assignments
+            : {};
+
+        const channels = rawChannels.filter((channel) => channel && typeof channel.channelId === 'string' && channel.channelId);
+
+        const categories = normalizeCategoryList(rawCategories);
+
+        const categoryIds = new Set(categories.map((item) => item.id));
+        const assignments = {};
+        let assignmentCount = 0;
+        if (rawAssignments && typeof rawAssignments === 'object') {
+            Object.entries(rawAssignments).forEach(([channelId, list]) => {
+                if (typeof channelId !== 'string' || !channelId) {
+                    return;
+                }
+                const next = Array.isArray(list)
+                    ? list.filter((id) => typeof id === 'string' && id && categoryIds.has(id))
+                    : [];
+                if (next.length > 0) {
+                    const unique = Array.from(new Set(next));
+                    assignments[channelId] = unique;
+                    assignmentCount += unique.length;
+                }
+            });
+        }
+
+        const fetchedAt = Number(snapshot.fetchedAt) || Date.now();
+        const hash = typeof snapshot.hash === 'string' ? snapshot.hash : '';
+
+        await storageLocalSet({
+            subscriptionManagerCategories: categories,
+            subscriptionManagerAssignments: assignments,
+            subscriptionManagerSnapshot: {
+                channels,
+                fetchedAt,
+                hash
+            },
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: [],
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_COUNT]: 0,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.COUNT]: channels.length,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY]: accountKey
+        });
+
+        return {
+            channelCount: channels.length,
+            categoryCount: categories.length,
+            assignmentCount,
+            endpointHost: provider.host
+        };
+    } finally {
+        if (createdTab && cleanupTabId) {
+            await removeTab(cleanupTabId);
+        }
+        subscriptionRestoreInProgress = false;
+    }
+}
+
+/**
+ * Read cloud sync status and refresh pending count when possible.
+ * @returns {Promise<object>}
+ */
+export async function getCloudSyncStatus() {
+    const state = await readCloudSyncState();
+    const syncAccountKey = isSubscriptionChannelAccountKey(state.primaryAccountKey)
+        ? normalizeAccountKey(state.primaryAccountKey)
+        : DEFAULT_ACCOUNT_KEY;
+    const pendingCount = (await readPendingQueue(syncAccountKey)).length;
+    const nextSyncAt = getNextSyncAt(state);
+    const encryption = await readSyncEncryption();
+
+    return {
+        success: true,
+        endpointUrl: state.endpointUrl,
+        autoEnabled: state.autoEnabled,
+        intervalMinutes: state.intervalMinutes,
+        lastAt: state.lastAt,
+        status: state.status,
+        error: state.error,
+        syncedCount: state.count,
+        pendingCount,
+        primaryAccountKey: syncAccountKey,
+        nextSyncAt,
+        backoffUntil: state.backoffUntil,
+        provider: state.provider,
+        targetConfigured: state.targetConfigured,
+        encryptionEnabled: Boolean(encryption)
+    };
+}
+/**
+ * Read subscription sync status and refresh pending count when possible.
+ * @returns {Promise<object>}
+ */
+export async function getSubscriptionSyncStatus() {
+    const state = await readSubscriptionSyncState();
+    const pendingKeys = await readSubscriptionPendingKeys();
+    const pendingCount = pendingKeys.length;
+    const nextSyncAt = getNextSyncAt(state);
+    const primaryAccountKey = isSubscriptionChannelAccountKey(state.primaryAccountKey)
+        ? normalizeAccountKey(state.primaryAccountKey)
+        : DEFAULT_ACCOUNT_KEY;
+
+    return {
+        success: true,
+        endpointUrl: state.endpointUrl,
+        autoEnabled: state.autoEnabled,
+        intervalMinutes: state.intervalMinutes,
+        lastAt: state.lastAt,
+        status: state.status,
+        error: state.error,
+        syncedCount: state.count,
+        pendingCount,
+        primaryAccountKey,
+        nextSyncAt,
+        backoffUntil: state.backoffUntil,
+        provider: state.provider,
+        targetConfigured: state.targetConfigured
+    };
+}
+
+/**
+ * Update cloud sync config and re-arm alarms.
+ * Switching providers starts over against an empty backend: cursors and the
+ * encryption key belong to the old one, and local data is queued for upload again.
+ * @param {{endpointUrl?: string, apiToken?: string, autoEnabled?: boolean, intervalMinutes?: number, primaryAccountKey?: string, provider?: string, providerConfig?: object}} config
+ * @returns {Promise<object>}
+ */
+export async function updateCloudSyncConfig(config = {}) {
+    const nextValues = {};
+    let providerChanged = false;
+
+    if (SYNC_PROVIDER_IDS.includes(config.provider)) {
+        const current = await readSyncProviderSettings();
+        nextValues[CLOUD_SYNC_STORAGE_KEYS.PROVIDER] = config.provider;
+        providerChanged = current.provider !== config.provider;
+    }
+
+    if (config.providerConfig && typeof config.providerConfig === 'object') {
+        nextValues[CLOUD_SYNC_STORAGE_KEYS.PROVIDER_CONFIG] = normalizeSyncProviderConfig(config.providerConfig);
+    }
+
+    if (providerChanged) {
+        const pendingKeys = await readSubscriptionPendingKeys();
+        syncEncryptionKeyCache = null;
+        Object.assign(nextValues, {
+            [CLOUD_SYNC_STORAGE_KEYS.PULL_CURSOR_BY_ACCOUNT]: {},
+            [CLOUD_SYNC_STORAGE_KEYS.ENCRYPTED_PULL_CURSOR_BY_ACCOUNT]: {},
+            [CLOUD_SYNC_STORAGE_KEYS.ENCRYPTION]: null,
+            [CLOUD_SYNC_STORAGE_KEYS.QUEUE_SEEDED]: false,
+            [SUBSCRIPTION_SYNC_STORAGE_KEYS.PENDING_KEYS]: Array.from(new Set([...pendingKeys, 'provider']))
+        });
+    }
+
+    if (typeof config.endpointUrl === 'string') {
+        nextValues[CLOUD_SYNC_STORAGE_KEYS.ENDPOINT] = config.endpointUrl.trim();
+    }
+
+    if (typeof config.apiToken === 'string') {
+        nextValues[CLOUD_SYNC_STORAGE_KEYS.API_TOKEN] = config.apiToken.trim();
+    }
+
+    if (typeof config.autoEnabled === 'boolean') {
+        nextValues[CLOUD_SYNC_STORAGE_KEYS.AUTO_ENABLED] = config.autoEnabled;
+    }
+
+    if (config.intervalMinutes !== undefined) {
+        nextValues[CLOUD_SYNC_STORAGE_KEYS.INTERVAL_MINUTES] = normalizeSyncInterval(config.intervalMinutes);
+    }
+
+    if (typeof config.primaryAccountKey === 'string') {
+        const normalizedKey = normalizeAccountKey(config.primaryAccountKey);
+        if (normalizedKey === DEFAULT_ACCOUNT_KEY || isSubscriptionChannelAccountKey(normalizedKey)) {
+            nextValues[CLOUD_SYNC_STORAGE_KEYS.PRIMARY_ACCOUNT_KEY] = normalizedKey;
+        }
+    }
+
+    if (Object.keys(nextValues).length > 0) {
+        await storageLocalSet(nextValues);
+    }
+
+    await ensureAutoSyncAlarm();
+    if (providerChanged || config.providerConfig) {
+        await ensureSubscriptionAutoSyncAlarm();
+    }
+    return getCloudSyncStatus();
+}
+/**
+ * Update subscription sync config and re-arm alarms.
+ * @param {{endpointUrl?: string, apiToken?: string, autoEnabled?: boolean, intervalMinutes?: number}} config
+ * @returns {Promise<object>}
+ */
+export async function updateSubscriptionSyncConfig(config = {}) {
+    const nextValues = {};
+
+    if (typeof config.endpointUrl === 'string') {
+        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.ENDPOINT] = config.endpointUrl.trim();
+    }
+
+    if (typeof config.apiToken === 'string') {
+        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.API_TOKEN] = config.apiToken.trim();
+    }
+
+    if (typeof config.autoEnabled === 'boolean') {
+        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.AUTO_ENABLED] = config.autoEnabled;
+    }
+
+    if (config.intervalMinutes !== undefined) {
+        nextValues[SUBSCRIPTION_SYNC_STORAGE_KEYS.INTERVAL_MINUTES] = normalizeSubscriptionInterval(config.intervalMinutes);
+    }
+
+    if (Object.keys(nextValues).length > 0) {
+        await storageLocalSet(nextValues);
+    }
+
+    await ensureSubscriptionAutoSyncAlarm();
+    return getSubscriptionSyncStatus();
+}
+
+/**
+ * Proxy a watched-history message to the first available YouTube tab.
+ * @param {object} payload
+ * @returns {Promise<any>}
+ */
+export async function proxyWatchedHistoryMessage(payload) {
+    const tabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN });
+    if (tabs.length === 0 || typeof tabs[0].id !== 'number') {
+        return { success: false, error: 'No YouTube tabs found' };
+    }
+
+    try {
+        const response = await sendMessageToTab(tabs[0].id, payload);
+        return response || { success: false, error: 'No response from content script' };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
@@ -0,0 +1,294 @@
+/**
+ * Promise wrappers around the chrome.* callback APIs, plus the YouTube tab lookup
+ * the service worker uses to reach the watched-history content script.
+ */
+
+export const YOUTUBE_TAB_URL_PATTERN = 'https://www.youtube.com/*';
+const YOUTUBE_BOOTSTRAP_URL = 'https://www.youtube.com/';
+
+const CONTENT_SCRIPT_BOOT_DELAY_MS = 900;
+const TAB_READY_TIMEOUT_MS = 20000;
+const MESSAGE_TIMEOUT_MS = 12000;
+const TAB_RECEIVER_CHECK_RETRIES = 8;
+const TAB_RECEIVER_CHECK_DELAY_MS = 350;
+/**
+ * Sleep helper.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Query tabs helper.
+ * @param {chrome.tabs.QueryInfo} queryInfo
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+export async function queryTabs(queryInfo) {
+    return new Promise((resolve) => {
+        chrome.tabs.query(queryInfo, (tabs) => resolve(tabs || []));
+    });
+}
+
+/**
+ * Create tab helper.
+ * @param {chrome.tabs.CreateProperties} createProperties
+ * @returns {Promise<chrome.tabs.Tab>}
+ */
+export async function createTab(createProperties) {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.create(createProperties, (tab) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message || 'Failed to create tab'));
+                return;
+            }
+
+            resolve(tab);
+        });
+    });
+}
+
+/**
+ * Remove tab helper.
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export async function removeTab(tabId) {
+    return new Promise((resolve) => {
+        chrome.tabs.remove(tabId, () => resolve());
+    });
+}
+
+/**
+ * Wait until tab load completes.
+ * @param {number} tabId
+ * @param {number} timeoutMs
+ * @returns {Promise<void>}
+ */
+export async function waitForTabReady(tabId, timeoutMs = TAB_READY_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        let timeoutId = null;
+
+        const cleanup = () => {
+            if (timeoutId) {
+                clearTimeout(timeoutId);
+                timeoutId = null;
+            }
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+        };
+
+        const onUpdated = (updatedTabId, changeInfo) => {
+            if (updatedTabId !== tabId) {
+                return;
+            }
+
+            if (changeInfo.status === 'complete') {
+                cleanup();
+                resolve();
+            }
+        };
+
+        timeoutId = setTimeout(() => {
+            cleanup();
+            reject(new Error('Timed out while waiting for YouTube tab to load'));
+        }, timeoutMs);
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+    });
+}
+
+/**
+ * Send tab message with timeout.
+ * @param {number} tabId
+ * @param {any} message
+ * @param {number} timeoutMs
+ * @returns {Promise<any>}
+ */
+export async function sendMessageToTab(tabId, message, timeoutMs = MESSAGE_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        let settled = false;
+        const timeoutId = setTimeout(() => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            reject(new Error('Tab did not respond in time'));
+        }, timeoutMs);
+
+        chrome.tabs.sendMessage(tabId, message, (response) => {
+            if (settled) {
+                return;
+            }
+
+            settled = true;
+            clearTimeout(timeoutId);
+
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message || 'Failed to send tab message'));
+                return;
+            }
+
+            resolve(response);
+        });
+    });
+}
+
+/**
+ * Get local storage values.
+ * @param {string|string[]} keys
+ * @returns {Promise<object>}
+ */
+export async function storageLocalGet(keys) {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(keys, (result) => resolve(result || {}));
+    });
+}
+
+/**
+ * Set local storage values.
+ * @param {object} values
+ * @returns {Promise<void>}
+ */
+export async function storageLocalSet(values) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.set(values, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message || 'Failed to persist local storage'));
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Clear alarm by name.
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+export async function clearAlarm(name) {
+    return new Promise((resolve) => {
+        chrome.alarms.clear(name, (wasCleared) => resolve(Boolean(wasCleared)));
+    });
+}
+
+/**
+ * Get alarm by name.
+ * @param {string} name
+ * @returns {Promise<chrome.alarms.Alarm|null>}
+ */
+export async function getAlarm(name) {
+    return new Promise((resolve) => {
+        chrome.alarms.get(name, (alarm) => resolve(alarm || null));
+    });
+}
+
+/**
+ * Check whether an error indicates that no content-script receiver exists on tab.
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isMissingReceiverError(error) {
+    const message = typeof error?.message === 'string' ? error.message.toLowerCase() : '';
+    return message.includes('receiving end does not exist')
+        || message.includes('could not establish connection')
+        || message.includes('message port closed before a response was received')
+        || message.includes('tab did not respond in time');
+}
+
+/**
+ * Verify that a tab has a working content-script receiver.
+ * @param {number} tabId
+ * @param {number} retries
+ * @returns {Promise<boolean>}
+ */
+export async function hasWatchedHistoryReceiver(tabId, retries = 1) {
+    for (let attempt = 0; attempt < retries; attempt += 1) {
+        try {
+            await sendMessageToTab(tabId, { type: 'GET_WATCHED_COUNT' }, 4000);
+            return true;
+        } catch (error) {
+            if (attempt >= retries - 1) {
+                return false;
+            }
+            await delay(TAB_RECEIVER_CHECK_DELAY_MS);
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Build preferred YouTube tab candidates (active current-window first, non-incognito first).
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+export async function getYouTubeTabCandidates() {
+    const activeTabs = await queryTabs({
+        active: true,
+        currentWindow: true,
+        url: YOUTUBE_TAB_URL_PATTERN
+    });
+    const existingTabs = await queryTabs({ url: YOUTUBE_TAB_URL_PATTERN });
+
+    const seen = new Set();
+    const ordered = [];
+
+    const append = (tab) => {
+        if (!tab || typeof tab.id !== 'number' || seen.has(tab.id)) {
+            return;
+        }
+        seen.add(tab.id);
+        ordered.push(tab);
+    };
+
+    activeTabs.filter((tab) => tab.incognito !== true).forEach(append);
+    activeTabs.forEach(append);
+    existingTabs.filter((tab) => tab.incognito !== true).forEach(append);
+    existingTabs.forEach(append);
+
+    return ordered;
+}
+
+/**
+ * Find an already-open YouTube tab with a working content receiver.
+ * @returns {Promise<number|null>}
+ */
+export async function findExistingYouTubeTabWithReceiver() {
+    const candidates = await getYouTubeTabCandidates();
+    for (const candidate of candidates) {
+        if (await hasWatchedHistoryReceiver(candidate.id, 1)) {
+            return candidate.id;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve a usable YouTube tab, creating one if needed.
+ * @returns {Promise<{tabId: number, created: boolean}>}
+ */
+export async function resolveYouTubeTabForHistory() {
+    const candidates = await getYouTubeTabCandidates();
+    for (const candidate of candidates) {
+        if (await hasWatchedHistoryReceiver(candidate.id, 1)) {
+            return { tabId: candidate.id, created: false };
+        }
+    }
+
+    const createdTab = await createTab({ url: YOUTUBE_BOOTSTRAP_URL, active: false });
+    if (!createdTab || typeof createdTab.id !== 'number') {
+        throw new Error('Failed to create a YouTube tab for sync');
+    }
+
+    await waitForTabReady(createdTab.id);
+    await delay(CONTENT_SCRIPT_BOOT_DELAY_MS);
+
+    const hasReceiver = await hasWatchedHistoryReceiver(createdTab.id, TAB_RECEIVER_CHECK_RETRIES);
+    if (!hasReceiver) {
+        await removeTab(createdTab.id);
+        throw new Error('Could not connect to YouTube content script. Open a YouTube tab and retry sync.');
+    }
+
+    return { tabId: createdTab.id, created: true };
+}
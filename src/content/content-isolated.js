@@ -195,6 +195,7 @@ async function initializeModules() {
             import('./watchedHistory.js').catch(e => { logger.warn('Failed to import watchedHistory:', e); throw e; }),
             import('./hideSubscribedVideos.js').catch(e => { logger.warn('Failed to import hideSubscribedVideos:', e); throw e; }),
             import('./subscriptionManager.js').catch(e => { logger.warn('Failed to import subscriptionManager:', e); throw e; }),
+            import('./subscriptionLabelData.js').catch(e => { logger.warn('Failed to import subscriptionLabelData:', e); throw e; }),
             import('./miniGuidePlaylistButton.js').catch(e => { logger.warn('Failed to import miniGuidePlaylistButton:', e); throw e; })
         ]);
         
@@ -219,6 +220,7 @@ async function initializeModules() {
                     'watchedHistory',
                     'hideSubscribedVideos',
                     'subscriptionManager',
+                    'subscriptionLabelData',
                     'miniGuidePlaylistButton'
                 ];
                 const moduleName = moduleNames[index];
@@ -246,6 +248,7 @@ async function initializeModules() {
                 if (module.initWatchedHistory) initPromises.push(module.initWatchedHistory());
                 if (module.initHideSubscribedVideos) initPromises.push(module.initHideSubscribedVideos());
                 if (module.initSubscriptionManager) initPromises.push(module.initSubscriptionManager());
+                if (module.initSubscriptionLabelData) initPromises.push(module.initSubscriptionLabelData());
                 if (module.initMiniGuidePlaylistButton) initPromises.push(module.initMiniGuidePlaylistButton());
             } else {
                 logger.error(`Failed to load module:`, result.reason);
@@ -264,6 +267,7 @@ async function initializeModules() {
                     'watchedHistory',
                     'hideSubscribedVideos',
                     'subscriptionManager',
+                    'subscriptionLabelData',
                     'miniGuidePlaylistButton'
                 ];
                 const failedName = moduleNames[index];
@@ -364,6 +368,11 @@ function updateModuleSettings() {
     if (hideSubscribedModule && hideSubscribedModule.updateSettings) {
         hideSubscribedModule.updateSettings(currentSettings);
     }
+
+    const labelDataModule = moduleInstances['subscriptionLabelData'];
+    if (labelDataModule && labelDataModule.updateSettings) {
+        labelDataModule.updateSettings(currentSettings);
+    }
     
     // Add other modules here as needed
     logger.debug('Module settings updated');
@@ -389,7 +398,16 @@ try {
                         sendResponse({ count: 0 });
                     }
                 } else if (message.type === 'GET_ALL_WATCHED_VIDEOS') {
-                    // Handle watched videos export requests
+                    // Handle watched videos export requests (paged when a query is given)
+                    if (message.query && typeof message.query === 'object' && watchedModule?.queryWatchedVideos) {
+                        watchedModule.queryWatchedVideos(message.query).then(page => {
+                            sendResponse({ success: true, ...page });
+                        }).catch(error => {
+                            logger.error('Failed to query watched videos:', error);
+                            sendResponse({ success: false, error: error.message });
+                        });
+                        return true;
+                    }
                     if (watchedModule && watchedModule.getAllWatchedVideos) {
                         watchedModule.getAllWatchedVideos().then(videos => {
                             sendResponse({ success: true, videos });
@@ -98,12 +98,13 @@ async function initializeMainWorldModules() {
             import('./playlistApi.js').catch(e => { logger.warn('Failed to import playlistApi:', e); throw e; }),
             import('./subscriptionLabels.js').catch(e => { logger.warn('Failed to import subscriptionLabels:', e); throw e; }),
             import('./shortsVolumeBridge.js').catch(e => { logger.warn('Failed to import shortsVolumeBridge:', e); throw e; }),
-            import('./subscriptionSyncIdentityBridge.js').catch(e => { logger.warn('Failed to import subscriptionSyncIdentityBridge:', e); throw e; })
+            import('./subscriptionSyncIdentityBridge.js').catch(e => { logger.warn('Failed to import subscriptionSyncIdentityBridge:', e); throw e; }),
+            import('./watchedVideoDetailsBridge.js').catch(e => { logger.warn('Failed to import watchedVideoDetailsBridge:', e); throw e; })
         ]);
         
         // Initialize successfully imported modules
         modules.forEach((result, index) => {
-            const moduleName = ['qualityControls', 'audioTrackControls', 'playlistApi', 'subscriptionLabels', 'shortsVolumeBridge', 'subscriptionSyncIdentityBridge'][index];
+            const moduleName = ['qualityControls', 'audioTrackControls', 'playlistApi', 'subscriptionLabels', 'shortsVolumeBridge', 'subscriptionSyncIdentityBridge', 'watchedVideoDetailsBridge'][index];
             
             if (result.status === 'fulfilled') {
                 logger.info(`${moduleName} module loaded successfully`);
@@ -124,6 +125,11 @@ async function initializeMainWorldModules() {
                         logger.error('Failed to init subscriptionSyncIdentityBridge', error);
                     });
                 }
+                if (moduleName === 'watchedVideoDetailsBridge' && module.initWatchedVideoDetailsBridge) {
+                    module.initWatchedVideoDetailsBridge().catch(error => {
+                        logger.error('Failed to init watchedVideoDetailsBridge', error);
+                    });
+                }
             } else {
                 logger.error(`Failed to load ${moduleName} module`, result.reason);
             }
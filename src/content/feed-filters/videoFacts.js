@@ -0,0 +1,172 @@
+/**
+ * Read the facts feed filter rules match on from a rendered feed card.
+ * Cards only show English relative ages ("3 days ago"); other languages leave the age unknown.
+ */
+
+const TITLE_SELECTORS = [
+    '#video-title',
+    'a#video-title-link',
+    '.yt-lockup-metadata-view-model__title',
+    '.shortsLockupViewModelHostMetadataTitle',
+    'h3 a[title]'
+];
+const CHANNEL_NAME_SELECTORS = [
+    'ytd-channel-name #text',
+    '#channel-name #text',
+    'ytd-channel-name a',
+    '.yt-content-metadata-view-model__metadata-row a'
+];
+const BADGE_SELECTORS = [
+    'ytd-thumbnail-overlay-time-status-renderer #text',
+    'ytd-thumbnail-overlay-time-status-renderer',
+    '.yt-badge-shape__text',
+    '.badge-shape-wiz__text'
+];
+const METADATA_TEXT_SELECTORS = [
+    '#metadata-line span',
+    '.inline-metadata-item',
+    '.yt-content-metadata-view-model__metadata-text',
+    '.yt-content-metadata-view-model__metadata-row span'
+];
+const LIVE_BADGE_SELECTOR = [
+    'ytd-thumbnail-overlay-time-status-renderer[overlay-style="LIVE"]',
+    '.badge-style-type-live-now',
+    '.badge-style-type-live-now-alternate',
+    '.yt-badge-shape--thumbnail-live'
+].join(', ');
+const UPCOMING_BADGE_SELECTOR = 'ytd-thumbnail-overlay-time-status-renderer[overlay-style="UPCOMING"]';
+const SHORTS_CONTAINER_SELECTOR = 'ytm-shorts-lockup-view-model, ytd-reel-item-renderer';
+const DURATION_PATTERN = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/;
+const RELATIVE_AGE_PATTERN = /\b(\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago\b/i;
+const UPCOMING_TEXT_PATTERN = /\b(premieres|scheduled for|upcoming)\b/i;
+const DAYS_PER_UNIT = {
+    second: 1 / 86400,
+    minute: 1 / 1440,
+    hour: 1 / 24,
+    day: 1,
+    week: 7,
+    month: 30,
+    year: 365
+};
+
+/**
+ * Read trimmed text of the first matching element that has any.
+ * @param {Element} container
+ * @param {string[]} selectors
+ * @param {boolean} [preferTitleAttribute=false]
+ * @returns {string}
+ */
+function readFirstText(container, selectors, preferTitleAttribute = false) {
+    for (const selector of selectors) {
+        const element = container.querySelector(selector);
+        if (!element) {
+            continue;
+        }
+        const text = (preferTitleAttribute && element.getAttribute('title')) || element.textContent || '';
+        const trimmed = text.replace(/\s+/g, ' ').trim();
+        if (trimmed) {
+            return trimmed;
+        }
+    }
+    return '';
+}
+
+/**
+ * Collect trimmed texts of every element matching any selector.
+ * @param {Element} container
+ * @param {string[]} selectors
+ * @returns {string[]}
+ */
+function readAllTexts(container, selectors) {
+    return Array.from(container.querySelectorAll(selectors.join(', ')))
+        .map((element) => (element.textContent || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse a thumbnail duration badge ("4:05", "1:02:03") into seconds.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseDurationText(text) {
+    const match = String(text || '').trim().match(DURATION_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const hours = Number.parseInt(match[1] || '0', 10);
+    const minutes = Number.parseInt(match[2], 10);
+    const seconds = Number.parseInt(match[3], 10);
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Parse a relative age ("3 days ago", "Streamed 2 weeks ago") into days.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseRelativeAgeDays(text) {
+    const match = String(text || '').match(RELATIVE_AGE_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const amount = Number.parseInt(match[1], 10);
+    const unitDays = DAYS_PER_UNIT[match[2].toLowerCase()];
+    return Number.isFinite(amount) && unitDays ? amount * unitDays : null;
+}
+
+/**
+ * Read whether a card is live now, an upcoming premiere/stream or neither.
+ * @param {Element} container
+ * @param {string[]} badgeTexts
+ * @param {string[]} metadataTexts
+ * @returns {'live'|'upcoming'|'none'}
+ */
+function readLiveState(container, badgeTexts, metadataTexts) {
+    if (container.querySelector(LIVE_BADGE_SELECTOR) || badgeTexts.some((text) => /^live$/i.test(text))) {
+        return 'live';
+    }
+    if (container.querySelector(UPCOMING_BADGE_SELECTOR)
+        || badgeTexts.some((text) => /^upcoming$/i.test(text))
+        || metadataTexts.some((text) => UPCOMING_TEXT_PATTERN.test(text))) {
+        return 'upcoming';
+    }
+    return 'none';
+}
+
+/**
+ * Read the video facts a feed card shows.
+ * @param {Element} container
+ * @param {string} videoHref
+ * @returns {{title: string, channelName: string, durationSeconds: number|null, ageDays: number|null, isShort: boolean, liveState: 'live'|'upcoming'|'none'}}
+ */
+export function readVideoFacts(container, videoHref) {
+    const badgeTexts = readAllTexts(container, BADGE_SELECTORS);
+    const metadataTexts = readAllTexts(container, METADATA_TEXT_SELECTORS);
+
+    let durationSeconds = null;
+    for (const text of badgeTexts) {
+        durationSeconds = parseDurationText(text);
+        if (durationSeconds !== null) {
+            break;
+        }
+    }
+
+    let ageDays = null;
+    for (const text of metadataTexts) {
+        ageDays = parseRelativeAgeDays(text);
+        if (ageDays !== null) {
+            break;
+        }
+    }
+
+    return {
+        title: readFirstText(container, TITLE_SELECTORS, true),
+        channelName: readFirstText(container, CHANNEL_NAME_SELECTORS),
+        durationSeconds,
+        ageDays,
+        isShort: (videoHref || '').includes('/shorts/')
+            || container.matches(SHORTS_CONTAINER_SELECTOR)
+            || Boolean(container.querySelector(SHORTS_CONTAINER_SELECTOR)),
+        liveState: readLiveState(container, badgeTexts, metadataTexts)
+    };
+}
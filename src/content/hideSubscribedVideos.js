@@ -1,12 +1,27 @@
 /**
- * Hide subscribed channel videos on the Home feed.
+ * Hide subscribed channel videos on the Home feed, and apply feed filter rules
+ * (hide, dim or highlight) on Home, Subscriptions, search and the watch sidebar.
  */
 
 import { createLogger } from './utils/logger.js';
+import { compileFeedFilterRules, matchesFeedFilterRule, normalizeFeedFilterRules } from '../shared/feedFilterRules.js';
+import { readVideoFacts } from './feed-filters/videoFacts.js';
+import {
+    CATEGORY_INDEX_STORAGE_KEYS,
+    buildChannelCategoryIndex
+} from '../shared/channelCategoryIndex.js';
+import { isVideoWatched } from './watchedHistory.js';
 
 const logger = createLogger('HideSubscribedVideos');
 
 const HOME_BROWSE_SELECTOR = 'ytd-browse[page-subtype="home"], ytd-browse[browse-id="FEwhat_to_watch"]';
+const SCOPE_ROOTS = [
+    { scope: 'home', selector: HOME_BROWSE_SELECTOR },
+    { scope: 'subscriptions', selector: 'ytd-browse[page-subtype="subscriptions"], ytd-browse[browse-id="FEsubscriptions"]' },
+    { scope: 'search', selector: 'ytd-search' },
+    { scope: 'watch', selector: 'ytd-watch-next-secondary-results-renderer' }
+];
+const SCOPE_ROOT_SELECTOR = SCOPE_ROOTS.map((root) => root.selector).join(', ');
 const FEED_RENDERER_SELECTOR = [
     'ytd-rich-item-renderer',
     'ytd-video-renderer',
@@ -20,6 +35,17 @@ const FEED_RENDERER_SELECTOR = [
 ].join(', ');
 const VIDEO_LINK_SELECTOR = 'a[href*="/watch?v="], a[href*="/shorts/"]';
 const HIDDEN_CLASS = 'yt-commander-hidden-subscribed-video';
+const RULE_HIDDEN_CLASS = 'yt-commander-feed-rule-hidden';
+const RULE_DIMMED_CLASS = 'yt-commander-feed-rule-dimmed';
+const RULE_HIGHLIGHTED_CLASS = 'yt-commander-feed-rule-highlighted';
+const REVEAL_CLASS = 'yt-commander-feed-filter-reveal';
+const COUNTER_ID = 'yt-commander-feed-filter-counter';
+const FEED_FILTER_RULES_KEY = 'feedFilterRules';
+const RULE_ACTION_CLASSES = {
+    hide: RULE_HIDDEN_CLASS,
+    dim: RULE_DIMMED_CLASS,
+    highlight: RULE_HIGHLIGHTED_CLASS
+};
 const SUBSCRIPTION_CACHE_KEY = 'ytCommanderSubscribedChannelsCache';
 const SHORTS_CHANNEL_CACHE_KEY = 'ytCommanderShortsChannelCache';
 const CACHE_REFRESH_DEBOUNCE_MS = 400;
@@ -27,6 +53,13 @@ const RENDER_DEBOUNCE_MS = 120;
 const MAX_PENDING_NODES = 2000;
 
 let hideSubscribedEnabled = false;
+let compiledRules = [];
+let rulesUseWatched = false;
+let channelCategories = {};
+let channelIdsByPath = {};
+let categoryParentById = new Map();
+let watchedVideoIds = new Set();
+let revealHidden = false;
 let subscribedChannelIds = new Set();
 let subscribedChannelPaths = new Set();
 let shortsChannelCache = new Map();
@@ -52,26 +85,41 @@ function isElementHidden(element) {
     return false;
 }
 
-function getHomeBrowseRoot() {
-    const roots = document.querySelectorAll(HOME_BROWSE_SELECTOR);
-    for (const root of roots) {
-        if (!root || !root.isConnected) {
-            continue;
-        }
-        if (isElementHidden(root)) {
-            continue;
-        }
-        return root;
+/**
+ * Check whether a scope root belongs to the page on screen.
+ * @param {Element|null} root
+ * @returns {boolean}
+ */
+function isScopeRootVisible(root) {
+    if (!root || !root.isConnected || isElementHidden(root)) {
+        return false;
     }
-    return null;
+    // The watch sidebar stays in the DOM under a hidden ytd-watch-flexy after leaving the watch page.
+    const watchPage = root.closest('ytd-watch-flexy');
+    return !watchPage || !isElementHidden(watchPage);
 }
 
-function isHomeContainer(container) {
-    const root = container?.closest?.(HOME_BROWSE_SELECTOR);
-    if (!root || !root.isConnected) {
-        return false;
+/**
+ * Find the visible page sections feed filters apply to.
+ * @returns {Element[]}
+ */
+function getVisibleScopeRoots() {
+    return Array.from(document.querySelectorAll(SCOPE_ROOT_SELECTOR)).filter(isScopeRootVisible);
+}
+
+/**
+ * Resolve which feed a container sits in.
+ * @param {Element} container
+ * @returns {'home'|'subscriptions'|'search'|'watch'|''} empty when it is in none or that page is hidden
+ */
+function resolveContainerScope(container) {
+    for (const { scope, selector } of SCOPE_ROOTS) {
+        const root = container?.closest?.(selector);
+        if (root) {
+            return isScopeRootVisible(root) ? scope : '';
+        }
     }
-    return !isElementHidden(root);
+    return '';
 }
 
 function normalizeChannelPath(path) {
@@ -345,26 +393,96 @@ function isSubscribedChannel(channelId, channelPath, videoId) {
     return false;
 }
 
+/**
+ * Read the Subscription Manager categories of a channel, parents included.
+ * @param {string|null} channelId
+ * @returns {string[]}
+ */
+function readChannelCategoryIds(channelId) {
+    const direct = channelId ? channelCategories[channelId] : null;
+    if (!Array.isArray(direct)) {
+        return [];
+    }
+    const ids = new Set(direct);
+    direct.forEach((categoryId) => {
+        const parentId = categoryParentById.get(categoryId);
+        if (parentId) {
+            ids.add(parentId);
+        }
+    });
+    return Array.from(ids);
+}
+
+/**
+ * Collect the actions of every rule that matches a container.
+ * @param {Element} container
+ * @param {string} scope
+ * @param {string} href
+ * @param {string} videoId
+ * @param {{channelId: string|null, channelPath: string|null}} info
+ * @returns {Set<string>}
+ */
+function matchRuleActions(container, scope, href, videoId, info) {
+    const actions = new Set();
+    if (compiledRules.length === 0 || !videoId) {
+        return actions;
+    }
+
+    const channelId = info.channelId
+        || (videoId ? shortsChannelCache.get(videoId) : '')
+        || (info.channelPath ? channelIdsByPath[info.channelPath] : '')
+        || '';
+    const video = {
+        ...readVideoFacts(container, href),
+        scope,
+        channelId,
+        channelPath: info.channelPath || '',
+        categoryIds: readChannelCategoryIds(channelId),
+        watched: watchedVideoIds.has(videoId)
+    };
+    compiledRules.forEach((rule) => {
+        if (!actions.has(rule.action) && matchesFeedFilterRule(rule, video)) {
+            actions.add(rule.action);
+        }
+    });
+    return actions;
+}
+
+function clearRuleClasses(container) {
+    Object.values(RULE_ACTION_CLASSES).forEach((className) => container.classList.remove(className));
+}
+
 function decorateContainer(container) {
     if (!container || !container.isConnected) {
         return;
     }
 
-    if (!isHomeContainer(container)) {
+    const scope = resolveContainerScope(container);
+    if (!scope) {
         container.classList.remove(HIDDEN_CLASS);
+        clearRuleClasses(container);
         return;
     }
 
-    const link = container.querySelector(VIDEO_LINK_SELECTOR);
-    const videoId = extractVideoIdFromHref(link?.getAttribute?.('href') || '');
+    const href = container.querySelector(VIDEO_LINK_SELECTOR)?.getAttribute?.('href') || '';
+    const videoId = extractVideoIdFromHref(href);
     const info = extractChannelInfo(container);
-    const subscribed = isSubscribedChannel(info.channelId, info.channelPath, videoId);
 
-    if (hideSubscribedEnabled && subscribed) {
+    if (scope === 'home' && hideSubscribedEnabled && isSubscribedChannel(info.channelId, info.channelPath, videoId)) {
         container.classList.add(HIDDEN_CLASS);
     } else {
         container.classList.remove(HIDDEN_CLASS);
     }
+
+    // Nested renderers share the card of their outer renderer; only the outer one gets rule styles.
+    if (container.parentElement?.closest(FEED_RENDERER_SELECTOR)) {
+        clearRuleClasses(container);
+        return;
+    }
+    const actions = matchRuleActions(container, scope, href, videoId, info);
+    Object.entries(RULE_ACTION_CLASSES).forEach(([action, className]) => {
+        container.classList.toggle(className, actions.has(action));
+    });
 }
 
 function scheduleRender(reason, fullScan = false) {
@@ -383,6 +501,11 @@ async function flushRender(reason, fullScan = false) {
     if (!hideSubscribedEnabled) {
         document.querySelectorAll(`.${HIDDEN_CLASS}`).forEach((node) => node.classList.remove(HIDDEN_CLASS));
     }
+    if (compiledRules.length === 0) {
+        Object.values(RULE_ACTION_CLASSES).forEach((className) => {
+            document.querySelectorAll(`.${className}`).forEach((node) => node.classList.remove(className));
+        });
+    }
 
     loadSubscriptionCache();
     loadShortsChannelCache();
@@ -399,16 +522,87 @@ async function flushRender(reason, fullScan = false) {
     pendingContainers.clear();
 
     if (toProcess.size === 0) {
+        updateHiddenCounter();
         return;
     }
 
     const batch = Array.from(toProcess);
+    if (rulesUseWatched) {
+        await loadWatchedState(batch);
+    }
     const chunkSize = 120;
     for (let i = 0; i < batch.length; i += chunkSize) {
         const slice = batch.slice(i, i + chunkSize);
         slice.forEach((container) => decorateContainer(container));
         await new Promise((resolve) => requestAnimationFrame(resolve));
     }
+    updateHiddenCounter();
+}
+
+/**
+ * Look up watched state for the videos about to be decorated.
+ * @param {Element[]} containers
+ * @returns {Promise<void>}
+ */
+async function loadWatchedState(containers) {
+    const videoIds = Array.from(new Set(containers
+        .map((container) => extractVideoIdFromHref(container.querySelector(VIDEO_LINK_SELECTOR)?.getAttribute?.('href') || ''))
+        .filter(Boolean)));
+    try {
+        const flags = await Promise.all(videoIds.map((videoId) => isVideoWatched(videoId)));
+        videoIds.forEach((videoId, index) => {
+            if (flags[index]) {
+                watchedVideoIds.add(videoId);
+            } else {
+                watchedVideoIds.delete(videoId);
+            }
+        });
+    } catch (error) {
+        logger.debug('Failed to read watched state for feed filters', error);
+    }
+}
+
+/**
+ * Show how many cards are hidden on the current page, with a button that reveals them.
+ */
+function updateHiddenCounter() {
+    const hiddenCount = Array.from(document.querySelectorAll(`.${HIDDEN_CLASS}, .${RULE_HIDDEN_CLASS}`))
+        .filter((container) => !container.parentElement?.closest(`.${HIDDEN_CLASS}, .${RULE_HIDDEN_CLASS}`))
+        .filter((container) => resolveContainerScope(container))
+        .length;
+
+    let counter = document.getElementById(COUNTER_ID);
+    if (hiddenCount === 0 && !revealHidden) {
+        counter?.remove();
+        return;
+    }
+    if (!counter) {
+        counter = document.createElement('div');
+        counter.id = COUNTER_ID;
+        const label = document.createElement('span');
+        label.className = `${COUNTER_ID}-label`;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `${COUNTER_ID}-button`;
+        button.addEventListener('click', () => {
+            setRevealHidden(!revealHidden);
+        });
+        counter.appendChild(label);
+        counter.appendChild(button);
+        document.body.appendChild(counter);
+    }
+    counter.querySelector(`.${COUNTER_ID}-label`).textContent = `${hiddenCount} hidden`;
+    counter.querySelector(`.${COUNTER_ID}-button`).textContent = revealHidden ? 'Hide again' : 'Show';
+}
+
+/**
+ * Show or re-hide the cards hidden on this page.
+ * @param {boolean} reveal
+ */
+function setRevealHidden(reveal) {
+    revealHidden = reveal;
+    document.documentElement.classList.toggle(REVEAL_CLASS, reveal);
+    updateHiddenCounter();
 }
 
 function queueContainer(container) {
@@ -423,14 +617,12 @@ function queueContainer(container) {
 }
 
 function scanVisibleContainers() {
-    const homeRoot = getHomeBrowseRoot();
-    if (!homeRoot) {
-        return;
-    }
-    homeRoot.querySelectorAll(FEED_RENDERER_SELECTOR).forEach((node) => {
-        if (node instanceof Element) {
-            queueContainer(node);
-        }
+    getVisibleScopeRoots().forEach((root) => {
+        root.querySelectorAll(FEED_RENDERER_SELECTOR).forEach((node) => {
+            if (node instanceof Element) {
+                queueContainer(node);
+            }
+        });
     });
 }
 
@@ -464,9 +656,55 @@ function injectStyles() {
     const style = document.createElement('style');
     style.id = 'yt-commander-hide-subscribed-styles';
     style.textContent = `
-        .${HIDDEN_CLASS} {
+        html:not(.${REVEAL_CLASS}) .${HIDDEN_CLASS},
+        html:not(.${REVEAL_CLASS}) .${RULE_HIDDEN_CLASS} {
             display: none !important;
         }
+        html.${REVEAL_CLASS} .${HIDDEN_CLASS},
+        html.${REVEAL_CLASS} .${RULE_HIDDEN_CLASS} {
+            opacity: 0.5;
+            outline: 2px dashed rgba(255, 255, 255, 0.35);
+            outline-offset: 2px;
+        }
+        .${RULE_DIMMED_CLASS} {
+            opacity: 0.35;
+            transition: opacity 0.15s ease;
+        }
+        .${RULE_DIMMED_CLASS}:hover {
+            opacity: 1;
+        }
+        .${RULE_HIGHLIGHTED_CLASS} {
+            outline: 2px solid #3ea6ff;
+            outline-offset: 2px;
+            border-radius: 12px;
+        }
+        #${COUNTER_ID} {
+            position: fixed;
+            left: 16px;
+            bottom: 16px;
+            z-index: 2000;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px 8px 6px 12px;
+            border-radius: 999px;
+            background: rgba(15, 15, 15, 0.9);
+            color: #f1f1f1;
+            font: 500 12px/1.4 Roboto, Arial, sans-serif;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        }
+        .${COUNTER_ID}-button {
+            border: none;
+            border-radius: 999px;
+            padding: 4px 10px;
+            background: rgba(255, 255, 255, 0.15);
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+        }
+        .${COUNTER_ID}-button:hover {
+            background: rgba(255, 255, 255, 0.25);
+        }
     `;
     document.head.appendChild(style);
 }
@@ -481,9 +719,64 @@ async function loadHideSubscribedSetting() {
     }
 }
 
+/**
+ * Compile the stored feed filter rules.
+ * @param {any} rawRules
+ */
+function applyFeedFilterRules(rawRules) {
+    compiledRules = compileFeedFilterRules(normalizeFeedFilterRules(rawRules));
+    rulesUseWatched = compiledRules.some((rule) => rule.usesWatched);
+    if (!rulesUseWatched) {
+        watchedVideoIds.clear();
+    }
+}
+
+async function loadFeedFilterRules() {
+    try {
+        const result = await chrome.storage.sync.get([FEED_FILTER_RULES_KEY]);
+        applyFeedFilterRules(result[FEED_FILTER_RULES_KEY]);
+    } catch (error) {
+        logger.debug('Failed to load feed filter rules', error);
+        applyFeedFilterRules([]);
+    }
+}
+
+/**
+ * Load which Subscription Manager categories each channel is in, for category rules.
+ * @returns {Promise<void>}
+ */
+async function loadCategoryIndex() {
+    try {
+        const stored = await chrome.storage.local.get(Object.values(CATEGORY_INDEX_STORAGE_KEYS));
+        const index = buildChannelCategoryIndex(stored || {});
+        channelCategories = index.channelCategories;
+        channelIdsByPath = index.channelPaths;
+        categoryParentById = new Map(index.categories
+            .filter((category) => category.parentId)
+            .map((category) => [category.id, category.parentId]));
+    } catch (error) {
+        logger.debug('Failed to load subscription categories for feed filters', error);
+    }
+}
+
+function handleNavigate() {
+    setRevealHidden(false);
+    scheduleRender('navigate', true);
+}
+
 function attachListeners() {
     if (!storageListener) {
         storageListener = (changes, area) => {
+            if (area === 'local') {
+                if (Object.values(CATEGORY_INDEX_STORAGE_KEYS).some((key) => changes[key])) {
+                    loadCategoryIndex().then(() => {
+                        if (compiledRules.length > 0) {
+                            scheduleRender('category-change', true);
+                        }
+                    });
+                }
+                return;
+            }
             if (area !== 'sync') {
                 return;
             }
@@ -491,12 +784,16 @@ function attachListeners() {
                 hideSubscribedEnabled = changes.hideSubscribedVideosEnabled.newValue === true;
                 scheduleRender('setting-change', true);
             }
+            if (changes[FEED_FILTER_RULES_KEY]) {
+                applyFeedFilterRules(changes[FEED_FILTER_RULES_KEY].newValue);
+                scheduleRender('rules-change', true);
+            }
         };
         chrome.storage.onChanged.addListener(storageListener);
     }
 
-    window.addEventListener('yt-navigate-finish', () => scheduleRender('navigate', true));
-    document.addEventListener('yt-navigate-finish', () => scheduleRender('navigate', true));
+    window.addEventListener('yt-navigate-finish', handleNavigate);
+    document.addEventListener('yt-navigate-finish', handleNavigate);
     window.addEventListener('yt-page-data-updated', () => scheduleRender('page-update', true));
     document.addEventListener('yt-page-data-updated', () => scheduleRender('page-update', true));
 }
@@ -509,11 +806,15 @@ function updateSettings(settings) {
         hideSubscribedEnabled = settings.hideSubscribedVideosEnabled === true;
         scheduleRender('settings-update', true);
     }
+    if (Object.prototype.hasOwnProperty.call(settings, FEED_FILTER_RULES_KEY)) {
+        applyFeedFilterRules(settings[FEED_FILTER_RULES_KEY]);
+        scheduleRender('settings-update', true);
+    }
 }
 
 async function initHideSubscribedVideos() {
     injectStyles();
-    await loadHideSubscribedSetting();
+    await Promise.all([loadHideSubscribedSetting(), loadFeedFilterRules(), loadCategoryIndex()]);
     loadSubscriptionCache();
     loadShortsChannelCache();
     attachListeners();
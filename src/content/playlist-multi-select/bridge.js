@@ -14,7 +14,7 @@ const PROGRESS_TYPE = 'YT_COMMANDER_BRIDGE_PROGRESS';
  *   requestPrefix?: string
  * }} options
  * @returns {{
- *   sendRequest: (action: string, payload: object, onProgress?: (progress: object) => void) => Promise<any>,
+ *   sendRequest: (action: string, payload: object, onProgress?: (progress: object) => void, requestOptions?: {timeoutMs?: number}) => Promise<any>,
  *   handleResponse: (event: MessageEvent) => void,
  *   handleProgress: (event: MessageEvent) => void,
  *   rejectAll: (message: string) => void
@@ -35,19 +35,21 @@ function createBridgeClient(options) {
      * @param {string} action
      * @param {object} payload
      * @param {((progress: object) => void)=} onProgress
+     * @param {{timeoutMs?: number}=} requestOptions Overrides the client timeout for long requests.
      * @returns {Promise<any>}
      */
-    function sendRequest(action, payload, onProgress) {
+    function sendRequest(action, payload, onProgress, requestOptions) {
         const requestId = `${requestPrefix}-${Date.now()}-${++requestCounter}`;
+        const requestTimeoutMs = requestOptions?.timeoutMs !== undefined ? Number(requestOptions.timeoutMs) : timeoutMs;
 
         return new Promise((resolve, reject) => {
             let timeoutId = null;
             
-            if (timeoutMs > 0) {
+            if (requestTimeoutMs > 0) {
                 timeoutId = window.setTimeout(() => {
                     pendingRequests.delete(requestId);
                     reject(new Error('Playlist request timed out.'));
-                }, timeoutMs);
+                }, requestTimeoutMs);
             }
 
             pendingRequests.set(requestId, {
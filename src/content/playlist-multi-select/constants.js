@@ -14,7 +14,10 @@ const ACTIONS = {
     ADD_TO_PLAYLISTS: 'ADD_TO_PLAYLISTS',
     CREATE_PLAYLIST_AND_ADD: 'CREATE_PLAYLIST_AND_ADD',
     REMOVE_FROM_PLAYLIST: 'REMOVE_FROM_PLAYLIST',
-    DELETE_PLAYLISTS: 'DELETE_PLAYLISTS'
+    DELETE_PLAYLISTS: 'DELETE_PLAYLISTS',
+    GET_PLAYLIST_ITEMS: 'GET_PLAYLIST_ITEMS',
+    MOVE_PLAYLIST_ITEMS: 'MOVE_PLAYLIST_ITEMS',
+    REMOVE_PLAYLIST_ENTRIES: 'REMOVE_PLAYLIST_ENTRIES'
 };
 
 const FEED_RENDERER_SELECTOR = [
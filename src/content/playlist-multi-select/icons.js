@@ -133,6 +133,27 @@ function createSplitIcon() {
     return createSvgIcon('M4 4h7v7H4V4zm9 0h7v7h-7V4zM4 13h7v7H4v-7zm9 2h7v5h-7v-5z');
 }
 
+/**
+ * @returns {SVGSVGElement}
+ */
+function createSortIcon() {
+    return createSvgIcon('M3 18h6v-2H3v2zM3 6v2h18V6H3zm0 7h12v-2H3v2z');
+}
+
+/**
+ * @returns {SVGSVGElement}
+ */
+function createDuplicatesIcon() {
+    return createSvgIcon('M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z');
+}
+
+/**
+ * @returns {SVGSVGElement}
+ */
+function createTransferIcon() {
+    return createSvgIcon('M9 3 5 6.99h3V14h2V6.99h3L9 3zm7 14.01V10h-2v7.01h-3L15 21l4-3.99h-3z');
+}
+
 export {
     createSvgIcon,
     createMastheadIcon,
@@ -148,5 +169,8 @@ export {
     createRemoveIcon,
     createSelectAllIcon,
     createUnselectAllIcon,
-    createSplitIcon
+    createSplitIcon,
+    createSortIcon,
+    createDuplicatesIcon,
+    createTransferIcon
 };
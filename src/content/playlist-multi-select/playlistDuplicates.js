@@ -0,0 +1,138 @@
+/**
+ * Playlist duplicates: find videos saved more than once and pick the copies to remove.
+ */
+
+const DUPLICATE_KEEP_MODES = [
+    { id: 'oldest', label: 'Oldest copy' },
+    { id: 'newest', label: 'Newest copy' },
+    { id: 'priority', label: 'Playlist priority' }
+];
+
+/**
+ * Group the copies of every video found more than once in the scanned playlists.
+ * @param {Array<{playlistId: string, items: Array<{videoId: string, setVideoId: string, title: string, channelName: string, position: number, addedAt: number|null, addedRank: number|null}>}>} playlists
+ * @returns {Array<{
+ *   videoId: string,
+ *   title: string,
+ *   channelName: string,
+ *   copies: Array<{playlistId: string, videoId: string, setVideoId: string, position: number, addedAt: number|null, addedRank: number|null}>,
+ *   playlistIds: string[],
+ *   hasWithin: boolean,
+ *   hasAcross: boolean
+ * }>}
+ */
+function findPlaylistDuplicates(playlists) {
+    const groups = new Map();
+    playlists.forEach((playlist) => {
+        playlist.items.forEach((item) => {
+            let group = groups.get(item.videoId);
+            if (!group) {
+                group = { videoId: item.videoId, title: '', channelName: '', copies: [] };
+                groups.set(item.videoId, group);
+            }
+            group.title = group.title || item.title || '';
+            group.channelName = group.channelName || item.channelName || '';
+            group.copies.push({
+                playlistId: playlist.playlistId,
+                videoId: item.videoId,
+                setVideoId: item.setVideoId,
+                position: item.position,
+                addedAt: Number.isFinite(item.addedAt) ? item.addedAt : null,
+                addedRank: item.addedRank
+            });
+        });
+    });
+
+    return Array.from(groups.values())
+        .filter((group) => group.copies.length > 1)
+        .map((group) => {
+            const playlistIds = Array.from(new Set(group.copies.map((copy) => copy.playlistId)));
+            return {
+                ...group,
+                playlistIds,
+                hasWithin: playlistIds.length < group.copies.length,
+                hasAcross: playlistIds.length > 1
+            };
+        });
+}
+
+/**
+ * Pick the copy to keep. Dates added are used when every copy has one, then the
+ * date-added order; otherwise the playlist position stands in for it.
+ * @param {Array<{position: number, addedAt: number|null, addedRank: number|null}>} copies
+ * @param {string} keep One of DUPLICATE_KEEP_MODES.
+ * @returns {object}
+ */
+function pickKeptCopy(copies, keep) {
+    const field = keep === 'priority'
+        ? 'position'
+        : ['addedAt', 'addedRank'].find((name) => copies.every((copy) => Number.isFinite(copy[name]))) || 'position';
+    const ageOf = (copy) => copy[field];
+    return copies.reduce((best, copy) => {
+        const better = keep === 'newest' ? ageOf(copy) > ageOf(best) : ageOf(copy) < ageOf(best);
+        return better ? copy : best;
+    });
+}
+
+/**
+ * Plan which copies to remove.
+ * Across playlists, the oldest or newest copy stays when every copy has a date
+ * added. Date-added order only compares within one playlist, so otherwise, and
+ * in priority mode, the copy in the highest-priority playlist stays.
+ * @param {ReturnType<typeof findPlaylistDuplicates>} groups
+ * @param {{keep: string, priorityPlaylistIds: string[], within: boolean, across: boolean}} options
+ * @returns {{removals: Array<{playlistId: string, videoId: string, setVideoId: string}>, keptSetVideoIds: Set<string>, undatedAcrossCount: number}}
+ */
+function planDuplicateRemovals(groups, options) {
+    const priority = new Map(options.priorityPlaylistIds.map((playlistId, index) => [playlistId, index]));
+    const rankOf = (playlistId) => (priority.has(playlistId) ? priority.get(playlistId) : Number.MAX_SAFE_INTEGER);
+    const removals = [];
+    const keptSetVideoIds = new Set();
+    let undatedAcrossCount = 0;
+
+    groups.forEach((group) => {
+        let playlistIds = group.playlistIds;
+        if (options.across && group.hasAcross) {
+            const dated = group.copies.every((copy) => Number.isFinite(copy.addedAt));
+            if (!dated) {
+                undatedAcrossCount += 1;
+            }
+            const keptPlaylistId = options.keep !== 'priority' && dated
+                ? pickKeptCopy(group.copies, options.keep).playlistId
+                : playlistIds.reduce((best, playlistId) => (rankOf(playlistId) < rankOf(best) ? playlistId : best));
+            group.copies
+                .filter((copy) => copy.playlistId !== keptPlaylistId)
+                .forEach((copy) => removals.push(copy));
+            playlistIds = [keptPlaylistId];
+        }
+
+        playlistIds.forEach((playlistId) => {
+            const copies = group.copies.filter((copy) => copy.playlistId === playlistId);
+            if (!options.within || copies.length < 2) {
+                copies.forEach((copy) => keptSetVideoIds.add(copy.setVideoId));
+                return;
+            }
+            const kept = pickKeptCopy(copies, options.keep);
+            keptSetVideoIds.add(kept.setVideoId);
+            copies
+                .filter((copy) => copy !== kept)
+                .forEach((copy) => removals.push(copy));
+        });
+    });
+
+    return {
+        removals: removals.map((copy) => ({
+            playlistId: copy.playlistId,
+            videoId: copy.videoId,
+            setVideoId: copy.setVideoId
+        })),
+        keptSetVideoIds,
+        undatedAcrossCount
+    };
+}
+
+export {
+    DUPLICATE_KEEP_MODES,
+    findPlaylistDuplicates,
+    planDuplicateRemovals
+};
@@ -0,0 +1,355 @@
+/**
+ * Playlist files: write playlist contents as JSON, CSV or M3U and read them back.
+ */
+
+import { escapeCsvValue, parseCsvLine } from '../../shared/csv.js';
+
+const PLAYLIST_FILE_FORMATS = [
+    { id: 'json', label: 'JSON' },
+    { id: 'csv', label: 'CSV' },
+    { id: 'm3u', label: 'M3U' }
+];
+
+const JSON_FORMAT_NAME = 'yt-commander-playlists';
+const JSON_FORMAT_VERSION = 1;
+const CSV_COLUMNS = [
+    'playlistId',
+    'playlistTitle',
+    'position',
+    'videoId',
+    'title',
+    'channel',
+    'channelId',
+    'durationSeconds',
+    'publishedAt',
+    'addedAt',
+    'addedOrder',
+    'available',
+    'url'
+];
+// Marks the next M3U entry as unavailable; players skip unknown comment lines.
+const M3U_UNAVAILABLE_TAG = '#YTC-UNAVAILABLE';
+const WATCH_URL_PREFIX = 'https://www.youtube.com/watch?v=';
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const VIDEO_URL_PATTERN = /(?:[?&]v=|youtu\.be\/|\/shorts\/|\/embed\/|\/live\/)([A-Za-z0-9_-]{11})/;
+
+/**
+ * Read a video ID from a bare ID or a YouTube video URL.
+ * @param {string} value
+ * @returns {string}
+ */
+function readVideoId(value) {
+    const text = String(value || '').trim();
+    if (VIDEO_ID_PATTERN.test(text)) {
+        return text;
+    }
+    return text.match(VIDEO_URL_PATTERN)?.[1] || '';
+}
+
+/**
+ * Turn a playlist title into a file name part.
+ * @param {string} title
+ * @returns {string}
+ */
+function slugify(title) {
+    return String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'playlist';
+}
+
+/**
+ * Keep one line of text; M3U and CSV rows cannot span lines.
+ * @param {string} value
+ * @returns {string}
+ */
+function singleLine(value) {
+    return String(value || '').replace(/\s*[\r\n]+\s*/g, ' ').trim();
+}
+
+/**
+ * Map loaded playlist entries to exported videos. addedAt is the date the entry
+ * was added, when YouTube showed it; addedOrder counts from 1 for the entry
+ * added first, when the date-added order was read.
+ * @param {Array<{position: number, videoId: string, title: string, channelName: string, channelId: string, durationSeconds: number|null, publishedAt: number|null, addedAt: number|null, addedRank: number|null, isPlayable: boolean}>} items
+ * @returns {Array<object>}
+ */
+function toExportVideos(items) {
+    return items.map((item, index) => ({
+        position: (Number.isFinite(item.position) ? item.position : index) + 1,
+        videoId: item.videoId,
+        title: item.title || '',
+        channel: item.channelName || '',
+        channelId: item.channelId || '',
+        durationSeconds: Number.isFinite(item.durationSeconds) ? item.durationSeconds : null,
+        publishedAt: Number.isFinite(item.publishedAt) ? new Date(item.publishedAt).toISOString() : null,
+        addedAt: Number.isFinite(item.addedAt) ? new Date(item.addedAt).toISOString() : null,
+        addedOrder: Number.isFinite(item.addedRank) ? item.addedRank + 1 : null,
+        available: item.isPlayable !== false
+    }));
+}
+
+/**
+ * @param {Array<{playlistId: string, title: string, videos: Array<object>}>} playlists
+ * @returns {string}
+ */
+function buildJson(playlists) {
+    return JSON.stringify({
+        format: JSON_FORMAT_NAME,
+        version: JSON_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        playlists: playlists.map((playlist) => ({
+            playlistId: playlist.playlistId,
+            title: playlist.title,
+            url: `https://www.youtube.com/playlist?list=${playlist.playlistId}`,
+            videoCount: playlist.videos.length,
+            videos: playlist.videos
+        }))
+    }, null, 2);
+}
+
+/**
+ * @param {Array<{playlistId: string, title: string, videos: Array<object>}>} playlists
+ * @returns {string}
+ */
+function buildCsv(playlists) {
+    const lines = [CSV_COLUMNS.join(',')];
+    playlists.forEach((playlist) => {
+        playlist.videos.forEach((video) => {
+            lines.push([
+                playlist.playlistId,
+                singleLine(playlist.title),
+                video.position,
+                video.videoId,
+                singleLine(video.title),
+                singleLine(video.channel),
+                video.channelId,
+                video.durationSeconds ?? '',
+                video.publishedAt || '',
+                video.addedAt || '',
+                video.addedOrder ?? '',
+                video.available ? 'true' : 'false',
+                `${WATCH_URL_PREFIX}${video.videoId}`
+            ].map(escapeCsvValue).join(','));
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build an extended M3U list. Each playlist starts with a #PLAYLIST line, so an
+ * archive reads as one list in players and splits back up on import.
+ * @param {Array<{playlistId: string, title: string, videos: Array<object>}>} playlists
+ * @returns {string}
+ */
+function buildM3u(playlists) {
+    const lines = ['#EXTM3U'];
+    playlists.forEach((playlist) => {
+        lines.push(`#PLAYLIST:${singleLine(playlist.title)}`);
+        playlist.videos.forEach((video) => {
+            if (!video.available) {
+                lines.push(M3U_UNAVAILABLE_TAG);
+            }
+            const label = [video.channel, video.title].map(singleLine).filter(Boolean).join(' - ') || video.videoId;
+            lines.push(`#EXTINF:${video.durationSeconds ?? -1},${label}`);
+            lines.push(`${WATCH_URL_PREFIX}${video.videoId}`);
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a playlist file. More than one playlist makes an archive.
+ * @param {'json'|'csv'|'m3u'} format
+ * @param {Array<{playlistId: string, title: string, items: Array<object>}>} playlists
+ * @returns {{content: string, filename: string, mimeType: string, videoCount: number, undatedPlaylistCount: number}}
+ */
+function buildPlaylistFile(format, playlists) {
+    const exported = playlists.map((playlist) => ({
+        playlistId: playlist.playlistId,
+        title: playlist.title || playlist.playlistId,
+        videos: toExportVideos(playlist.items)
+    }));
+    if (exported.length === 0) {
+        throw new Error('No playlists to export.');
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const baseName = exported.length === 1
+        ? `playlist-${slugify(exported[0].title)}-${date}`
+        : `yt-commander-playlists-${date}`;
+    const videoCount = exported.reduce((sum, playlist) => sum + playlist.videos.length, 0);
+    const undatedPlaylistCount = exported
+        .filter((playlist) => playlist.videos.some((video) => !video.addedAt))
+        .length;
+    const summary = { videoCount, undatedPlaylistCount };
+
+    if (format === 'json') {
+        return { content: buildJson(exported), filename: `${baseName}.json`, mimeType: 'application/json;charset=utf-8', ...summary };
+    }
+    if (format === 'csv') {
+        return { content: buildCsv(exported), filename: `${baseName}.csv`, mimeType: 'text/csv;charset=utf-8', ...summary };
+    }
+    if (format === 'm3u') {
+        return { content: buildM3u(exported), filename: `${baseName}.m3u8`, mimeType: 'audio/x-mpegurl;charset=utf-8', ...summary };
+    }
+    throw new Error('Unsupported export format.');
+}
+
+/**
+ * Read a JSON playlist file: this extension's format, one playlist object with
+ * videos, or a plain list of video IDs, URLs or video objects.
+ * @param {any} data
+ * @param {string} fallbackTitle
+ * @returns {Array<{title: string, videos: Array<{videoId: string, title: string, available: boolean}>}>}
+ */
+function readJsonPlaylists(data, fallbackTitle) {
+    const readVideos = (list) => (Array.isArray(list) ? list : []).map((entry) => {
+        if (typeof entry === 'string') {
+            return { videoId: readVideoId(entry), title: '', available: true };
+        }
+        return {
+            videoId: readVideoId(entry?.videoId || entry?.url || ''),
+            title: typeof entry?.title === 'string' ? entry.title : '',
+            available: entry?.available !== false
+        };
+    });
+
+    if (Array.isArray(data)) {
+        return [{ title: fallbackTitle, videos: readVideos(data) }];
+    }
+    const playlists = Array.isArray(data?.playlists) ? data.playlists : [data];
+    return playlists.map((playlist) => ({
+        title: typeof playlist?.title === 'string' && playlist.title.trim() ? playlist.title.trim() : fallbackTitle,
+        videos: readVideos(playlist?.videos)
+    }));
+}
+
+/**
+ * Read a CSV playlist file. The header needs a video ID or URL column; playlist
+ * columns, when present, split the rows into playlists.
+ * @param {string} text
+ * @param {string} fallbackTitle
+ * @returns {Array<{title: string, videos: Array<object>}>}
+ */
+function readCsvPlaylists(text, fallbackTitle) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim());
+    const headerIndex = lines.findIndex((line) => parseCsvLine(line)
+        .some((cell) => /^(video ?id|url)$/i.test(cell.trim())));
+    if (headerIndex === -1) {
+        throw new Error('The CSV file has no videoId or url column.');
+    }
+
+    const header = parseCsvLine(lines[headerIndex]).map((cell) => cell.trim().toLowerCase().replace(/\s+/g, ''));
+    const column = (name) => header.indexOf(name.toLowerCase());
+    const columns = {
+        videoId: column('videoId'),
+        url: column('url'),
+        title: column('title'),
+        available: column('available'),
+        playlistId: column('playlistId'),
+        playlistTitle: column('playlistTitle')
+    };
+
+    const playlists = new Map();
+    lines.slice(headerIndex + 1).forEach((line) => {
+        const cells = parseCsvLine(line);
+        const cell = (index) => (index >= 0 ? (cells[index] || '').trim() : '');
+        const videoId = readVideoId(cell(columns.videoId)) || readVideoId(cell(columns.url));
+        if (!videoId) {
+            return;
+        }
+        const key = cell(columns.playlistId) || cell(columns.playlistTitle) || '';
+        if (!playlists.has(key)) {
+            playlists.set(key, { title: cell(columns.playlistTitle) || fallbackTitle, videos: [] });
+        }
+        playlists.get(key).videos.push({
+            videoId,
+            title: cell(columns.title),
+            available: cell(columns.available).toLowerCase() !== 'false'
+        });
+    });
+    return Array.from(playlists.values());
+}
+
+/**
+ * Read an M3U playlist file, split on #PLAYLIST lines.
+ * @param {string} text
+ * @param {string} fallbackTitle
+ * @returns {Array<{title: string, videos: Array<object>}>}
+ */
+function readM3uPlaylists(text, fallbackTitle) {
+    const playlists = [];
+    let current = null;
+    let pendingTitle = '';
+    let pendingUnavailable = false;
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (line.startsWith('#PLAYLIST:')) {
+            current = { title: line.slice('#PLAYLIST:'.length).trim() || fallbackTitle, videos: [] };
+            playlists.push(current);
+        } else if (line === M3U_UNAVAILABLE_TAG) {
+            pendingUnavailable = true;
+        } else if (line.startsWith('#EXTINF:')) {
+            pendingTitle = line.slice(line.indexOf(',') + 1).trim();
+        } else if (line && !line.startsWith('#')) {
+            const videoId = readVideoId(line);
+            if (videoId) {
+                if (!current) {
+                    current = { title: fallbackTitle, videos: [] };
+                    playlists.push(current);
+                }
+                current.videos.push({ videoId, title: pendingTitle, available: !pendingUnavailable });
+            }
+            pendingTitle = '';
+            pendingUnavailable = false;
+        }
+    });
+    return playlists;
+}
+
+/**
+ * Read playlists from an exported file. The format is detected from the content.
+ * @param {string} text
+ * @param {string} filename
+ * @returns {Array<{title: string, videos: Array<{videoId: string, title: string, available: boolean}>}>}
+ */
+function parsePlaylistFile(text, filename) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const fallbackTitle = String(filename || '').replace(/\.[^.]+$/, '').trim() || 'Imported playlist';
+    const trimmed = content.trim();
+
+    let playlists;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (_error) {
+            throw new Error('The JSON file could not be read.');
+        }
+        playlists = readJsonPlaylists(data, fallbackTitle);
+    } else if (trimmed.startsWith('#EXTM3U') || /\.m3u8?$/i.test(filename || '')) {
+        playlists = readM3uPlaylists(content, fallbackTitle);
+    } else {
+        playlists = readCsvPlaylists(content, fallbackTitle);
+    }
+
+    const result = playlists
+        .map((playlist) => ({
+            title: playlist.title,
+            videos: playlist.videos.filter((video) => video.videoId)
+        }))
+        .filter((playlist) => playlist.videos.length > 0);
+    if (result.length === 0) {
+        throw new Error('No videos found in the file.');
+    }
+    return result;
+}
+
+export {
+    PLAYLIST_FILE_FORMATS,
+    buildPlaylistFile,
+    parsePlaylistFile
+};
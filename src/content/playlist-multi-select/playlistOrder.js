@@ -0,0 +1,172 @@
+/**
+ * Playlist reordering: compute a new order and the moves that produce it.
+ */
+
+const PLAYLIST_ORDER_MODES = [
+    { id: 'published-newest', label: 'Newest uploads' },
+    { id: 'published-oldest', label: 'Oldest uploads' },
+    { id: 'added-newest', label: 'Recently added' },
+    { id: 'added-oldest', label: 'First added' },
+    { id: 'duration-shortest', label: 'Shortest' },
+    { id: 'duration-longest', label: 'Longest' },
+    { id: 'title', label: 'Title A-Z' },
+    { id: 'channel', label: 'Channel A-Z' },
+    { id: 'reverse', label: 'Reverse' },
+    { id: 'shuffle', label: 'Shuffle' },
+    { id: 'selected-top', label: 'Selected to top' },
+    { id: 'selected-bottom', label: 'Selected to bottom' }
+];
+
+const textCollator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Sort by a numeric field; entries without a value keep their order at the end.
+ * @param {Array<object>} items
+ * @param {string} field
+ * @param {1|-1} direction
+ * @returns {Array<object>}
+ */
+function sortByNumber(items, field, direction) {
+    return [...items].sort((a, b) => {
+        const left = Number.isFinite(a[field]) ? a[field] : null;
+        const right = Number.isFinite(b[field]) ? b[field] : null;
+        if (left === null || right === null) {
+            return (left === null) - (right === null) || a.position - b.position;
+        }
+        return (left - right) * direction || a.position - b.position;
+    });
+}
+
+/**
+ * Sort by a text field; ties keep their current order.
+ * @param {Array<object>} items
+ * @param {string} field
+ * @returns {Array<object>}
+ */
+function sortByText(items, field) {
+    return [...items].sort((a, b) => textCollator.compare(a[field] || '', b[field] || '') || a.position - b.position);
+}
+
+/**
+ * Fisher-Yates shuffle.
+ * @param {Array<object>} items
+ * @returns {Array<object>}
+ */
+function shuffle(items) {
+    const result = [...items];
+    for (let index = result.length - 1; index > 0; index -= 1) {
+        const swapIndex = Math.floor(Math.random() * (index + 1));
+        [result[index], result[swapIndex]] = [result[swapIndex], result[index]];
+    }
+    return result;
+}
+
+/**
+ * Build the reordered playlist.
+ * @param {Array<{position: number, videoId: string, title: string, channelName: string, durationSeconds: number|null, publishedAt: number|null, addedRank: number|null}>} items Entries in current order.
+ * @param {string} mode One of PLAYLIST_ORDER_MODES.
+ * @param {Set<string>} [selectedVideoIds] Used by the selected-to-top/bottom modes.
+ * @returns {Array<object>}
+ */
+function orderPlaylistItems(items, mode, selectedVideoIds = new Set()) {
+    switch (mode) {
+        case 'published-newest':
+            return sortByNumber(items, 'publishedAt', -1);
+        case 'published-oldest':
+            return sortByNumber(items, 'publishedAt', 1);
+        case 'added-newest':
+            return sortByNumber(items, 'addedRank', -1);
+        case 'added-oldest':
+            return sortByNumber(items, 'addedRank', 1);
+        case 'duration-shortest':
+            return sortByNumber(items, 'durationSeconds', 1);
+        case 'duration-longest':
+            return sortByNumber(items, 'durationSeconds', -1);
+        case 'title':
+            return sortByText(items, 'title');
+        case 'channel':
+            return sortByText(items, 'channelName');
+        case 'reverse':
+            return [...items].reverse();
+        case 'shuffle':
+            return shuffle(items);
+        case 'selected-top':
+        case 'selected-bottom': {
+            const selected = items.filter((item) => selectedVideoIds.has(item.videoId));
+            const rest = items.filter((item) => !selectedVideoIds.has(item.videoId));
+            return mode === 'selected-top' ? [...selected, ...rest] : [...rest, ...selected];
+        }
+        default:
+            return [...items];
+    }
+}
+
+/**
+ * Find the entries that can stay put: the longest run of entries whose
+ * current positions already increase in target order.
+ * @param {number[]} positions Current position of each entry, in target order.
+ * @returns {Set<number>} Target indexes that do not need to move.
+ */
+function findStableIndexes(positions) {
+    const tailIndexes = [];
+    const previous = new Array(positions.length).fill(-1);
+
+    positions.forEach((position, index) => {
+        let low = 0;
+        let high = tailIndexes.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (positions[tailIndexes[middle]] < position) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        previous[index] = low > 0 ? tailIndexes[low - 1] : -1;
+        tailIndexes[low] = index;
+    });
+
+    const stable = new Set();
+    let index = tailIndexes.length > 0 ? tailIndexes[tailIndexes.length - 1] : -1;
+    while (index !== -1) {
+        stable.add(index);
+        index = previous[index];
+    }
+    return stable;
+}
+
+/**
+ * Plan the fewest single-entry moves that turn the current order into the target order.
+ * Moves apply in sequence: each one places an entry right after the entry before it
+ * in the target order, or before the current first entry when it goes to the top.
+ * @param {string[]} currentSetVideoIds
+ * @param {string[]} targetSetVideoIds
+ * @returns {Array<{setVideoId: string, predecessorSetVideoId?: string, successorSetVideoId?: string}>}
+ */
+function planPlaylistMoves(currentSetVideoIds, targetSetVideoIds) {
+    const currentIndex = new Map(currentSetVideoIds.map((id, index) => [id, index]));
+    const stable = findStableIndexes(targetSetVideoIds.map((id) => currentIndex.get(id)));
+    const moves = [];
+
+    targetSetVideoIds.forEach((setVideoId, index) => {
+        if (stable.has(index)) {
+            return;
+        }
+        if (index > 0) {
+            moves.push({ setVideoId, predecessorSetVideoId: targetSetVideoIds[index - 1] });
+            return;
+        }
+        // Nothing has moved yet, so the current first entry is still first.
+        if (currentSetVideoIds[0] !== setVideoId) {
+            moves.push({ setVideoId, successorSetVideoId: currentSetVideoIds[0] });
+        }
+    });
+
+    return moves;
+}
+
+export {
+    PLAYLIST_ORDER_MODES,
+    orderPlaylistItems,
+    planPlaylistMoves
+};
@@ -20,9 +20,15 @@ const ACTIONS = {
     CREATE_PLAYLIST_AND_ADD: 'CREATE_PLAYLIST_AND_ADD',
     REMOVE_FROM_PLAYLIST: 'REMOVE_FROM_PLAYLIST',
     DELETE_PLAYLISTS: 'DELETE_PLAYLISTS',
+    GET_PLAYLIST_ITEMS: 'GET_PLAYLIST_ITEMS',
+    MOVE_PLAYLIST_ITEMS: 'MOVE_PLAYLIST_ITEMS',
+    REMOVE_PLAYLIST_ENTRIES: 'REMOVE_PLAYLIST_ENTRIES',
     GET_SHORTS_UPLOAD_TIMESTAMPS: 'GET_SHORTS_UPLOAD_TIMESTAMPS',
     GET_SUBSCRIPTIONS: 'GET_SUBSCRIPTIONS',
-    UNSUBSCRIBE_CHANNELS: 'UNSUBSCRIBE_CHANNELS'
+    GET_CHANNEL_ACTIVITY: 'GET_CHANNEL_ACTIVITY',
+    GET_CHANNEL_UPLOADS: 'GET_CHANNEL_UPLOADS',
+    UNSUBSCRIBE_CHANNELS: 'UNSUBSCRIBE_CHANNELS',
+    SUBSCRIBE_CHANNELS: 'SUBSCRIBE_CHANNELS'
 };
 
 const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{10,15}$/;
@@ -38,7 +44,23 @@ const SHORTS_TIMESTAMP_RESOLVE_CONCURRENCY = 6;
 const SUBSCRIPTION_BROWSE_ID = 'FEchannels';
 const SUBSCRIPTION_PAGE_LIMIT = 600;
 const SUBSCRIPTION_BATCH_SIZE = 50;
+const SUBSCRIBE_INTERVAL_MS = 1200;
+const SUBSCRIBE_MAX_CONSECUTIVE_FAILURES = 3;
+const CHANNEL_VIDEOS_TAB_PARAMS = 'EgZ2aWRlb3PyBgQKAjoA';
+const CHANNEL_SHORTS_TAB_PARAMS = 'EgZzaG9ydHPyBgUKA5oBAA%3D%3D';
+// Shorts tabs carry no upload dates, so each short costs a player request.
+const CHANNEL_SHORTS_DATED_LIMIT = 6;
+const DURATION_TEXT_PATTERN = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/;
+const CHANNEL_ACTIVITY_CONCURRENCY = 3;
+const CHANNEL_ACTIVITY_MAX_CHANNELS = 50;
+const RELATIVE_AGE_PATTERN = /\b\d+\s+(second|minute|hour|day|week|month|year)s?\s+ago\b/i;
+// Owner views of some playlists show "Added 3 days ago" or "Added Jan 5, 2024" in the video info line.
+const PLAYLIST_ADDED_TEXT_PATTERN = /^\s*added\s+(.+)$/i;
 const PLAYLIST_THUMBNAIL_CONCURRENCY = 3;
+const SET_VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// YouTube playlists hold at most 5000 videos, 100 per page.
+const PLAYLIST_ITEMS_PAGE_LIMIT = 60;
+const PLAYLIST_RENDERER_MAX_DEPTH = 24;
 
 let isInitialized = false;
 let cachedAuthHeader = null;
@@ -2755,7 +2777,7 @@ async function getPlaylistThumbnails(payload) {
  * @param {string[]} videoIds
  * @param {{apiKey: string, context: object, headers: Record<string, string>}} config
  * @param {{throwOnFailure?: boolean, retryAttempts?: number, onProgress?: (processed: number, total: number) => void}} [options]
- * @returns {Promise<{requestedCount: number, addedCount: number, failures: Array<{batchIndex: number, videoIds: string[], error: string}>}>}
+ * @returns {Promise<{requestedCount: number, addedCount: number, addedVideoIds: string[], failures: Array<{batchIndex: number, videoIds: string[], error: string}>}>}
  */
 async function addVideosToSinglePlaylist(playlistId, videoIds, config, options = {}) {
     const retryAttempts = Number.isFinite(options.retryAttempts)
@@ -2767,6 +2789,7 @@ async function addVideosToSinglePlaylist(playlistId, videoIds, config, options =
 
     const initialBatches = chunk(videoIds, MAX_BATCH_SIZE);
     const failures = [];
+    const addedVideoIds = [];
     let addedCount = 0;
     const progress = {
         processed: 0,
@@ -2820,6 +2843,7 @@ async function addVideosToSinglePlaylist(playlistId, videoIds, config, options =
         if (success) {
             progress.processed += batch.length;
             addedCount += batch.length;
+            addedVideoIds.push(...batch);
             if (typeof options.onProgress === 'function') {
                 options.onProgress(progress.processed, progress.total);
             }
@@ -2860,6 +2884,7 @@ async function addVideosToSinglePlaylist(playlistId, videoIds, config, options =
     return {
         requestedCount: videoIds.length,
         addedCount,
+        addedVideoIds,
         failures
     };
 }
@@ -2872,7 +2897,8 @@ async function addVideosToSinglePlaylist(playlistId, videoIds, config, options =
  *   requestedVideoCount: number,
  *   requestedPlaylistCount: number,
  *   successCount: number,
- *   failures: Array<{playlistId: string, error: string}>
+ *   failures: Array<{playlistId: string, error: string}>,
+ *   playlistResults: Array<{playlistId: string, title: string, addedCount: number, addedVideoIds: string[], failedCount: number}>
  * }>}
  */
 async function addToPlaylists(payload, options = {}) {
@@ -2889,6 +2915,7 @@ async function addToPlaylists(payload, options = {}) {
     const playlistTitles = Array.isArray(payload?.playlistTitles) ? payload.playlistTitles : [];
     const config = await getInnertubeConfig();
     const failures = [];
+    const playlistResults = [];
     let successCount = 0;
 
     for (let i = 0; i < playlistIds.length; i += 1) {
@@ -2910,6 +2937,13 @@ async function addToPlaylists(payload, options = {}) {
 
             const addedCount = Number(addResult?.addedCount) || 0;
             const failedCount = Array.isArray(addResult?.failures) ? addResult.failures.length : 0;
+            playlistResults.push({
+                playlistId,
+                title: playlistTitle,
+                addedCount,
+                addedVideoIds: Array.isArray(addResult?.addedVideoIds) ? addResult.addedVideoIds : [],
+                failedCount: Math.max(0, videoIds.length - addedCount)
+            });
 
             if (addedCount > 0) {
                 successCount += 1;
@@ -2927,6 +2961,13 @@ async function addToPlaylists(payload, options = {}) {
                 });
             }
         } catch (error) {
+            playlistResults.push({
+                playlistId,
+                title: playlistTitle,
+                addedCount: 0,
+                addedVideoIds: [],
+                failedCount: videoIds.length
+            });
             failures.push({
                 playlistId,
                 error: error instanceof Error ? error.message : 'Failed'
@@ -2942,7 +2983,8 @@ async function addToPlaylists(payload, options = {}) {
         requestedVideoCount: videoIds.length,
         requestedPlaylistCount: playlistIds.length,
         successCount,
-        failures
+        failures,
+        playlistResults
     };
 }
 
@@ -3352,6 +3394,377 @@ async function createPlaylistAndAdd(payload, options = {}) {
     };
 }
 
+/**
+ * Parse the date-added label of a playlist entry.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parsePlaylistAddedText(text) {
+    const value = String(text || '').match(PLAYLIST_ADDED_TEXT_PATTERN)?.[1]?.trim().toLowerCase() || '';
+    if (!value) {
+        return null;
+    }
+    if (value === 'today') {
+        return Date.now();
+    }
+    if (value === 'yesterday') {
+        return Date.now() - (24 * 60 * 60 * 1000);
+    }
+    const relative = parseRelativeAgeToTimestamp(value);
+    if (relative !== null) {
+        return relative;
+    }
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Read one entry of a playlist page.
+ * addedAt is only set when the entry carries a date-added label.
+ * @param {any} renderer playlistVideoRenderer
+ * @returns {{videoId: string, setVideoId: string, title: string, channelName: string, channelId: string, durationSeconds: number|null, publishedAt: number|null, addedAt: number|null, isPlayable: boolean}|null}
+ */
+function normalizePlaylistVideoRenderer(renderer) {
+    const videoId = readVideoIdFromRenderer(renderer);
+    const setVideoId = typeof renderer?.setVideoId === 'string' ? renderer.setVideoId : '';
+    if (!videoId || !SET_VIDEO_ID_PATTERN.test(setVideoId)) {
+        return null;
+    }
+
+    const bylineRun = Array.isArray(renderer.shortBylineText?.runs) ? renderer.shortBylineText.runs[0] : null;
+    const channelId = bylineRun?.navigationEndpoint?.browseEndpoint?.browseId || '';
+    const lengthSeconds = Number.parseInt(renderer.lengthSeconds, 10);
+
+    return {
+        videoId,
+        setVideoId,
+        title: readText(renderer.title),
+        channelName: readText(renderer.shortBylineText),
+        channelId: typeof channelId === 'string' && channelId.startsWith('UC') ? channelId : '',
+        durationSeconds: Number.isFinite(lengthSeconds) ? lengthSeconds : null,
+        publishedAt: parseRelativeAgeToTimestamp(readTextValue(renderer.videoInfo)),
+        addedAt: parsePlaylistAddedText(findTextMatching(renderer.videoInfo, PLAYLIST_ADDED_TEXT_PATTERN)),
+        isPlayable: renderer.isPlayable !== false
+    };
+}
+
+/**
+ * Read entries and the next-page token from a playlist browse or continuation response.
+ * Only continuation items are followed, so the page's sort menu tokens are ignored.
+ * @param {any} body
+ * @returns {{items: Array<object>, continuation: string}}
+ */
+function readPlaylistItemsPage(body) {
+    const renderers = [];
+    collectNodesByKey(body, 'playlistVideoRenderer', renderers, new WeakSet(), 0, PLAYLIST_RENDERER_MAX_DEPTH);
+    const continuationRenderers = [];
+    collectNodesByKey(body, 'continuationItemRenderer', continuationRenderers, new WeakSet(), 0, PLAYLIST_RENDERER_MAX_DEPTH);
+    const continuation = continuationRenderers
+        .map((renderer) => renderer?.continuationEndpoint?.continuationCommand?.token)
+        .find((token) => typeof token === 'string' && token) || '';
+
+    return {
+        items: renderers.map(normalizePlaylistVideoRenderer).filter(Boolean),
+        continuation
+    };
+}
+
+/**
+ * Load every entry of a playlist, following continuations.
+ * @param {{continuation?: string, browseId?: string, params?: string}} start
+ * @param {{context: object, apiKey: string, headers: Record<string, string>}} config
+ * @param {(loaded: number) => void} [onPage]
+ * @returns {Promise<{items: Array<object>, firstBody: any}>}
+ */
+async function fetchPlaylistEntries(start, config, onPage) {
+    // Upload ages ("3 years ago") and sort menu titles are only parsed in English.
+    const context = { ...config.context, client: { ...config.context?.client, hl: 'en' } };
+    const items = [];
+    const seenTokens = new Set();
+    let firstBody = null;
+    let request = start;
+
+    for (let page = 0; request && page < PLAYLIST_ITEMS_PAGE_LIMIT; page += 1) {
+        const response = await postInnertube('browse', { context, ...request }, config);
+        firstBody = firstBody || response.body;
+        const result = readPlaylistItemsPage(response.body);
+        items.push(...result.items);
+        onPage?.(items.length);
+
+        if (!result.continuation || seenTokens.has(result.continuation)) {
+            break;
+        }
+        seenTokens.add(result.continuation);
+        request = { continuation: result.continuation };
+    }
+
+    return { items, firstBody };
+}
+
+/**
+ * Find the request that loads a playlist sorted by date added, oldest first,
+ * from the sort menu of its first page.
+ * @param {any} body
+ * @returns {{continuation?: string, browseId?: string, params?: string}|null}
+ */
+function readAddedOrderRequest(body) {
+    const menus = [];
+    collectNodesByKey(body, 'sortFilterSubMenuRenderer', menus, new WeakSet(), 0, PLAYLIST_RENDERER_MAX_DEPTH);
+    for (const menu of menus) {
+        const items = Array.isArray(menu?.subMenuItems) ? menu.subMenuItems : [];
+        const item = items.find((entry) => /date added/i.test(readText(entry?.title) || '') && /oldest/i.test(readText(entry?.title) || ''));
+        const endpoint = item?.serviceEndpoint || item?.navigationEndpoint;
+        const token = endpoint?.continuationCommand?.token;
+        if (typeof token === 'string' && token) {
+            return { continuation: token };
+        }
+        const browseEndpoint = endpoint?.browseEndpoint;
+        if (typeof browseEndpoint?.browseId === 'string' && browseEndpoint.browseId) {
+            return { browseId: browseEndpoint.browseId, params: browseEndpoint.params || '' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the request that loads a playlist with its unavailable videos shown.
+ * YouTube only offers it, in the playlist menu, when some entries are hidden.
+ * @param {any} body
+ * @returns {{browseId: string, params: string}|null}
+ */
+function readUnavailableVideosRequest(body) {
+    const endpoints = [];
+    ['menuNavigationItemRenderer', 'menuServiceItemRenderer'].forEach((key) => {
+        const items = [];
+        collectNodesByKey(body, key, items, new WeakSet(), 0, PLAYLIST_RENDERER_MAX_DEPTH);
+        items.forEach((item) => endpoints.push([readText(item?.text), item?.navigationEndpoint || item?.serviceEndpoint]));
+    });
+    const listItems = [];
+    collectNodesByKey(body, 'listItemViewModel', listItems, new WeakSet(), 0, PLAYLIST_RENDERER_MAX_DEPTH);
+    listItems.forEach((item) => endpoints.push([
+        item?.title?.content,
+        item?.rendererContext?.commandContext?.onTap?.innertubeCommand
+    ]));
+
+    for (const [text, endpoint] of endpoints) {
+        const browseEndpoint = endpoint?.browseEndpoint;
+        if (/unavailable videos/i.test(text || '') && typeof browseEndpoint?.browseId === 'string' && browseEndpoint.browseId) {
+            return { browseId: browseEndpoint.browseId, params: browseEndpoint.params || '' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Bridge action: read every entry of a playlist in its current order.
+ * With includeAddedOrder, each entry also gets addedRank (0 = added first) when
+ * YouTube offers a date-added sort for the playlist, otherwise null. hasAddedDates
+ * tells whether every entry carried its own addedAt date.
+ * With includeUnavailable, deleted and private entries YouTube hides by default
+ * are read too (isPlayable false).
+ * @param {{playlistId: string, includeAddedOrder?: boolean, includeUnavailable?: boolean}} payload
+ * @param {{onProgress?: (progress: {loaded: number, phase: string}) => void}} [options]
+ * @returns {Promise<{playlistId: string, items: Array<object>, hasAddedOrder: boolean, hasAddedDates: boolean}>}
+ */
+async function getPlaylistItems(payload, options = {}) {
+    const playlistId = sanitizePlaylistId(payload?.playlistId || '');
+    if (!playlistId) {
+        throw new Error('No valid playlist selected.');
+    }
+
+    const config = await getInnertubeConfig();
+    const browseId = playlistId.startsWith('VL') ? playlistId : `VL${playlistId}`;
+    let { items, firstBody } = await fetchPlaylistEntries({ browseId }, config, (loaded) => {
+        options.onProgress?.({ loaded, phase: 'items' });
+    });
+    const unavailableRequest = payload?.includeUnavailable === true ? readUnavailableVideosRequest(firstBody) : null;
+    if (unavailableRequest) {
+        ({ items, firstBody } = await fetchPlaylistEntries(unavailableRequest, config, (loaded) => {
+            options.onProgress?.({ loaded, phase: 'unavailable' });
+        }));
+    }
+    items.forEach((item, index) => {
+        item.position = index;
+        item.addedRank = null;
+    });
+
+    let hasAddedOrder = false;
+    if (payload?.includeAddedOrder === true && items.length > 1) {
+        try {
+            const addedOrderRequest = readAddedOrderRequest(firstBody);
+            if (addedOrderRequest) {
+                const { items: addedOrder } = await fetchPlaylistEntries(addedOrderRequest, config, (loaded) => {
+                    options.onProgress?.({ loaded, phase: 'added-order' });
+                });
+                const rankBySetVideoId = new Map(addedOrder.map((entry, index) => [entry.setVideoId, index]));
+                hasAddedOrder = items.every((item) => rankBySetVideoId.has(item.setVideoId));
+                if (hasAddedOrder) {
+                    items.forEach((item) => {
+                        item.addedRank = rankBySetVideoId.get(item.setVideoId);
+                    });
+                }
+            }
+        } catch (error) {
+            logger.debug('Failed to read playlist date-added order', error);
+        }
+    }
+
+    const hasAddedDates = items.length > 0 && items.every((item) => Number.isFinite(item.addedAt));
+    return { playlistId, items, hasAddedOrder, hasAddedDates };
+}
+
+/**
+ * Validate planned playlist moves.
+ * @param {any} rawMoves
+ * @returns {Array<{setVideoId: string, predecessorSetVideoId?: string, successorSetVideoId?: string}>}
+ */
+function sanitizePlaylistMoves(rawMoves) {
+    if (!Array.isArray(rawMoves)) {
+        return [];
+    }
+    return rawMoves.filter((move) => {
+        if (!SET_VIDEO_ID_PATTERN.test(move?.setVideoId || '')) {
+            return false;
+        }
+        const anchor = move.predecessorSetVideoId || move.successorSetVideoId || '';
+        return SET_VIDEO_ID_PATTERN.test(anchor) && anchor !== move.setVideoId;
+    });
+}
+
+/**
+ * Bridge action: move playlist entries. Moves depend on the ones before them,
+ * so batches run one after another and stop at the first batch YouTube rejects.
+ * @param {{playlistId: string, moves: Array<{setVideoId: string, predecessorSetVideoId?: string, successorSetVideoId?: string}>}} payload
+ * @param {{onProgress?: (progress: {processed: number, total: number}) => void}} [options]
+ * @returns {Promise<{playlistId: string, movedCount: number}>}
+ */
+async function movePlaylistItems(payload, options = {}) {
+    const playlistId = sanitizePlaylistId(payload?.playlistId || '');
+    if (!playlistId) {
+        throw new Error('No valid playlist selected.');
+    }
+
+    const moves = sanitizePlaylistMoves(payload?.moves);
+    if (moves.length === 0) {
+        return { playlistId, movedCount: 0 };
+    }
+
+    const config = await getInnertubeConfig();
+    const actions = moves.map((move) => (move.predecessorSetVideoId
+        ? {
+            action: 'ACTION_MOVE_VIDEO_AFTER',
+            setVideoId: move.setVideoId,
+            movedSetVideoIdPredecessor: move.predecessorSetVideoId
+        }
+        : {
+            action: 'ACTION_MOVE_VIDEO_BEFORE',
+            setVideoId: move.setVideoId,
+            movedSetVideoIdSuccessor: move.successorSetVideoId
+        }));
+
+    let movedCount = 0;
+    for (const batch of chunk(actions, MAX_BATCH_SIZE)) {
+        let lastError = null;
+        for (let attempt = 1; attempt <= EDIT_PLAYLIST_RETRY_ATTEMPTS; attempt += 1) {
+            try {
+                await postInnertube(['playlist/edit_playlist', 'browse/edit_playlist'], {
+                    context: config.context,
+                    playlistId,
+                    actions: batch
+                }, config);
+                lastError = null;
+                break;
+            } catch (error) {
+                lastError = error;
+                if (attempt < EDIT_PLAYLIST_RETRY_ATTEMPTS) {
+                    await delay(EDIT_PLAYLIST_RETRY_DELAY_MS * attempt);
+                }
+            }
+        }
+
+        if (lastError) {
+            const reason = lastError instanceof Error ? lastError.message : 'YouTube rejected the change.';
+            throw new Error(movedCount > 0
+                ? `Moved ${movedCount} of ${actions.length} videos, then failed: ${reason}`
+                : reason);
+        }
+
+        movedCount += batch.length;
+        options.onProgress?.({ processed: movedCount, total: actions.length });
+    }
+
+    return { playlistId, movedCount };
+}
+
+/**
+ * Bridge action: remove single playlist entries by setVideoId, so one copy of a
+ * video can go while other copies in the same playlist stay.
+ * @param {{playlistId: string, entries: Array<{videoId: string, setVideoId: string}>}} payload
+ * @param {{onProgress?: (progress: {processed: number, total: number}) => void}} [options]
+ * @returns {Promise<{
+ *   playlistId: string,
+ *   requestedCount: number,
+ *   removedCount: number,
+ *   removedSetVideoIds: string[],
+ *   failures: Array<{videoId: string, setVideoId: string, error: string}>
+ * }>}
+ */
+async function removePlaylistEntries(payload, options = {}) {
+    const playlistId = sanitizePlaylistId(payload?.playlistId || '');
+    if (!playlistId) {
+        throw new Error('No valid playlist selected.');
+    }
+
+    const entries = [];
+    const seen = new Set();
+    (Array.isArray(payload?.entries) ? payload.entries : []).forEach((entry) => {
+        const setVideoId = entry?.setVideoId || '';
+        if (!VIDEO_ID_PATTERN.test(entry?.videoId || '') || !SET_VIDEO_ID_PATTERN.test(setVideoId) || seen.has(setVideoId)) {
+            return;
+        }
+        seen.add(setVideoId);
+        entries.push({
+            videoId: entry.videoId,
+            setVideoId,
+            key: `set:${setVideoId}`,
+            action: {
+                action: 'ACTION_REMOVE_VIDEO',
+                setVideoId
+            }
+        });
+    });
+    if (entries.length === 0) {
+        throw new Error('No valid playlist entries selected.');
+    }
+
+    const config = await getInnertubeConfig();
+    const result = await executeRemoveEntriesBatched(playlistId, entries, config, {
+        batchSize: MAX_BATCH_SIZE,
+        retryAttempts: EDIT_PLAYLIST_RETRY_ATTEMPTS,
+        onProgress: options.onProgress
+    });
+
+    const failedSetVideoIds = new Set(result.failedEntries.map((entry) => entry.setVideoId));
+    const removedSetVideoIds = entries
+        .map((entry) => entry.setVideoId)
+        .filter((setVideoId) => !failedSetVideoIds.has(setVideoId));
+    if (removedSetVideoIds.length === 0) {
+        throw new Error(result.failedEntries[0]?.error || 'Failed to remove playlist entries.');
+    }
+
+    return {
+        playlistId,
+        requestedCount: entries.length,
+        removedCount: removedSetVideoIds.length,
+        removedSetVideoIds,
+        failures: result.failedEntries.map((entry) => ({
+            videoId: entry.videoId,
+            setVideoId: entry.setVideoId,
+            error: entry.error || 'Failed to remove video.'
+        }))
+    };
+}
+
 /**
  * Extract one upload timestamp from player response payload.
  * @param {any} responseBody
@@ -3561,6 +3974,7 @@ function normalizeChannelRenderer(renderer) {
     const handle = url.startsWith('/@') ? url.split('/')[1] : '';
     const subscriberCount = readText(renderer.subscriberCountText);
     const videoCount = readText(renderer.videoCountText);
+    const description = readText(renderer.descriptionSnippet);
     const avatar = pickThumbnailUrl(renderer?.thumbnail?.thumbnails);
 
     return {
@@ -3570,7 +3984,8 @@ function normalizeChannelRenderer(renderer) {
         url,
         avatar,
         subscriberCount,
-        videoCount
+        videoCount,
+        description
     };
 }
 
@@ -3634,6 +4049,315 @@ async function getSubscriptions(payload) {
     };
 }
 
+/**
+ * Find the first text matching a pattern, such as a relative age ("3 days ago"),
+ * in a renderer tree.
+ * @param {any} node
+ * @param {RegExp} pattern
+ * @param {number} [depth]
+ * @returns {string}
+ */
+function findTextMatching(node, pattern, depth = 0) {
+    if (depth > 14 || !node) {
+        return '';
+    }
+    if (typeof node === 'string') {
+        return pattern.test(node) ? node : '';
+    }
+    if (typeof node !== 'object') {
+        return '';
+    }
+    const values = Array.isArray(node) ? node : Object.values(node);
+    for (const value of values) {
+        const found = findTextMatching(value, pattern, depth + 1);
+        if (found) {
+            return found;
+        }
+    }
+    return '';
+}
+
+/**
+ * Parse a duration label ("4:05", "1:02:03") into seconds.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseDurationText(text) {
+    const match = String(text || '').trim().match(DURATION_TEXT_PATTERN);
+    if (!match) {
+        return null;
+    }
+    return (Number(match[1] || 0) * 3600) + (Number(match[2]) * 60) + Number(match[3]);
+}
+
+/**
+ * Find the first duration label inside a lockup.
+ * @param {any} node
+ * @param {number} [depth]
+ * @returns {number|null}
+ */
+function findDurationSeconds(node, depth = 0) {
+    if (depth > 14 || !node) {
+        return null;
+    }
+    if (typeof node === 'string') {
+        return parseDurationText(node);
+    }
+    if (typeof node !== 'object') {
+        return null;
+    }
+    const values = Array.isArray(node) ? node : Object.values(node);
+    for (const value of values) {
+        const found = findDurationSeconds(value, depth + 1);
+        if (found !== null) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read uploads (newest first) from a channel Videos tab response.
+ * Returns null when the channel has no Videos tab (e.g. Shorts-only channels).
+ * @param {any} body
+ * @returns {{videoId: string, title: string, durationSeconds: number|null, publishedAt: number|null}[] | null}
+ */
+function readChannelVideosTabUploads(body) {
+    const tabs = body?.contents?.twoColumnBrowseResultsRenderer?.tabs;
+    const selectedTab = Array.isArray(tabs)
+        ? tabs.map((tab) => tab?.tabRenderer).find((tab) => tab?.selected)
+        : null;
+    const tabUrl = selectedTab?.endpoint?.commandMetadata?.webCommandMetadata?.url || '';
+    if (!selectedTab || !/\/videos\/?$/.test(tabUrl)) {
+        return null;
+    }
+
+    const uploads = [];
+    const videoRenderers = [];
+    collectNodesByKey(selectedTab.content, 'videoRenderer', videoRenderers, new WeakSet(), 0, 40);
+    videoRenderers.forEach((renderer) => {
+        const videoId = typeof renderer?.videoId === 'string' ? renderer.videoId : '';
+        if (VIDEO_ID_PATTERN.test(videoId)) {
+            uploads.push({
+                videoId,
+                title: readText(renderer.title),
+                durationSeconds: parseDurationText(readText(renderer.lengthText)),
+                publishedAt: parseRelativeAgeToTimestamp(readText(renderer.publishedTimeText))
+            });
+        }
+    });
+
+    if (uploads.length === 0) {
+        const lockups = [];
+        collectNodesByKey(selectedTab.content, 'lockupViewModel', lockups, new WeakSet(), 0, 40);
+        lockups.forEach((lockup) => {
+            const videoId = typeof lockup?.contentId === 'string' ? lockup.contentId : '';
+            if (VIDEO_ID_PATTERN.test(videoId)) {
+                uploads.push({
+                    videoId,
+                    title: readText(lockup.metadata?.lockupMetadataViewModel?.title?.content),
+                    durationSeconds: findDurationSeconds(lockup.contentImage),
+                    publishedAt: parseRelativeAgeToTimestamp(findTextMatching(lockup.metadata, RELATIVE_AGE_PATTERN))
+                });
+            }
+        });
+    }
+
+    return uploads;
+}
+
+/**
+ * Estimate days between uploads from approximate publish times.
+ * @param {{publishedAt: number|null}[]} uploads
+ * @returns {number|null}
+ */
+function estimateUploadIntervalDays(uploads) {
+    const times = uploads
+        .map((upload) => upload.publishedAt)
+        .filter((value) => Number.isFinite(value))
+        .sort((a, b) => b - a);
+    if (times.length < 2) {
+        return null;
+    }
+    const spanDays = (times[0] - times[times.length - 1]) / (24 * 60 * 60 * 1000);
+    return Math.max(0, Math.round((spanDays / (times.length - 1)) * 10) / 10);
+}
+
+/**
+ * Resolve last upload time and upload cadence for one channel.
+ * @param {string} channelId
+ * @param {{apiKey: string, context: object, headers: Record<string, string>}} config
+ * @returns {Promise<{status: 'ok' | 'no-videos' | 'error', lastUploadAt: number|null, uploadIntervalDays: number|null, sampleSize: number}>}
+ */
+async function resolveChannelActivity(channelId, config) {
+    try {
+        const response = await postInnertube('browse', {
+            // Relative ages ("3 days ago") are only parsed in English.
+            context: { ...config.context, client: { ...config.context?.client, hl: 'en' } },
+            browseId: channelId,
+            params: CHANNEL_VIDEOS_TAB_PARAMS
+        }, config);
+        const uploads = readChannelVideosTabUploads(response.body);
+        if (!uploads) {
+            return { status: 'no-videos', lastUploadAt: null, uploadIntervalDays: null, sampleSize: 0 };
+        }
+        if (uploads.length === 0) {
+            return { status: 'ok', lastUploadAt: 0, uploadIntervalDays: null, sampleSize: 0 };
+        }
+
+        // The newest upload gets an exact date; the tab only carries relative ages.
+        const exact = await resolveUploadTimestampFromPlayer(uploads[0].videoId, config);
+        const lastUploadAt = Number.isFinite(exact) ? Number(exact) : uploads[0].publishedAt;
+        return {
+            status: 'ok',
+            lastUploadAt: Number.isFinite(lastUploadAt) ? lastUploadAt : null,
+            uploadIntervalDays: estimateUploadIntervalDays(uploads),
+            sampleSize: uploads.length
+        };
+    } catch (error) {
+        logger.debug('Channel activity request failed', {
+            channelId,
+            error: error instanceof Error ? error.message : String(error || 'Unknown error')
+        });
+        return { status: 'error', lastUploadAt: null, uploadIntervalDays: null, sampleSize: 0 };
+    }
+}
+
+/**
+ * Bridge action: read last upload and upload cadence from channel Videos tabs.
+ * @param {{channelIds?: string[]}} payload
+ * @param {{onProgress?: (progress: {done: number, total: number}) => void}} [options]
+ * @returns {Promise<{activityById: Record<string, object>}>}
+ */
+async function getChannelActivity(payload, options = {}) {
+    const channelIds = sanitizeChannelIds(payload?.channelIds).slice(0, CHANNEL_ACTIVITY_MAX_CHANNELS);
+    if (channelIds.length === 0) {
+        return { activityById: {} };
+    }
+
+    const config = await getInnertubeConfig();
+    const activityById = {};
+    let done = 0;
+    await mapWithConcurrency(channelIds, CHANNEL_ACTIVITY_CONCURRENCY, async (channelId) => {
+        activityById[channelId] = await resolveChannelActivity(channelId, config);
+        done += 1;
+        options.onProgress?.({ done, total: channelIds.length });
+    });
+
+    return { activityById };
+}
+
+/**
+ * Read shorts (newest first) from a channel Shorts tab response.
+ * @param {any} body
+ * @returns {{videoId: string, title: string}[]}
+ */
+function readChannelShortsTab(body) {
+    const shorts = [];
+    const seen = new Set();
+    const push = (videoId, title) => {
+        if (VIDEO_ID_PATTERN.test(videoId || '') && !seen.has(videoId)) {
+            seen.add(videoId);
+            shorts.push({ videoId, title: title || '' });
+        }
+    };
+
+    const lockups = [];
+    collectNodesByKey(body, 'shortsLockupViewModel', lockups, new WeakSet(), 0, 40);
+    lockups.forEach((lockup) => {
+        push(lockup?.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId, readText(lockup?.overlayMetadata?.primaryText?.content));
+    });
+
+    const reelItems = [];
+    collectNodesByKey(body, 'reelItemRenderer', reelItems, new WeakSet(), 0, 40);
+    reelItems.forEach((renderer) => {
+        push(renderer?.videoId, readText(renderer?.headline));
+    });
+
+    return shorts;
+}
+
+/**
+ * Load recent uploads of one channel for smart playlists.
+ * @param {string} channelId
+ * @param {{includeShorts: boolean, maxAgeDays: number}} options
+ * @param {{apiKey: string, context: object, headers: Record<string, string>}} config
+ * @returns {Promise<Array<{videoId: string, channelId: string, title: string, durationSeconds: number|null, publishedAt: number|null, isShort: boolean}>>}
+ */
+async function resolveChannelUploads(channelId, options, config) {
+    // Relative ages ("3 days ago") are only parsed in English.
+    const context = { ...config.context, client: { ...config.context?.client, hl: 'en' } };
+    const videosResponse = await postInnertube('browse', {
+        context,
+        browseId: channelId,
+        params: CHANNEL_VIDEOS_TAB_PARAMS
+    }, config);
+    const uploads = (readChannelVideosTabUploads(videosResponse.body) || [])
+        .map((upload) => ({ ...upload, channelId, isShort: false }));
+
+    if (!options.includeShorts) {
+        return uploads;
+    }
+
+    const shortsResponse = await postInnertube('browse', {
+        context,
+        browseId: channelId,
+        params: CHANNEL_SHORTS_TAB_PARAMS
+    }, config);
+    const oldestAllowed = options.maxAgeDays > 0 ? Date.now() - (options.maxAgeDays * 24 * 60 * 60 * 1000) : 0;
+    for (const short of readChannelShortsTab(shortsResponse.body).slice(0, CHANNEL_SHORTS_DATED_LIMIT)) {
+        const publishedAt = await resolveUploadTimestampFromPlayer(short.videoId, config);
+        if (Number.isFinite(publishedAt) && publishedAt < oldestAllowed) {
+            break;
+        }
+        uploads.push({
+            ...short,
+            channelId,
+            durationSeconds: null,
+            publishedAt: Number.isFinite(publishedAt) ? publishedAt : null,
+            isShort: true
+        });
+    }
+    return uploads;
+}
+
+/**
+ * Bridge action: read recent uploads from channel Videos (and Shorts) tabs.
+ * @param {{channelIds?: string[], includeShorts?: boolean, maxAgeDays?: number}} payload
+ * @param {{onProgress?: (progress: {done: number, total: number}) => void}} [options]
+ * @returns {Promise<{uploads: Array<object>, failedChannelIds: string[]}>}
+ */
+async function getChannelUploads(payload, options = {}) {
+    const channelIds = sanitizeChannelIds(payload?.channelIds).slice(0, CHANNEL_ACTIVITY_MAX_CHANNELS);
+    if (channelIds.length === 0) {
+        return { uploads: [], failedChannelIds: [] };
+    }
+
+    const uploadOptions = {
+        includeShorts: payload?.includeShorts === true,
+        maxAgeDays: Math.max(0, Number(payload?.maxAgeDays) || 0)
+    };
+    const config = await getInnertubeConfig();
+    const uploads = [];
+    const failedChannelIds = [];
+    let done = 0;
+    await mapWithConcurrency(channelIds, CHANNEL_ACTIVITY_CONCURRENCY, async (channelId) => {
+        try {
+            uploads.push(...await resolveChannelUploads(channelId, uploadOptions, config));
+        } catch (error) {
+            logger.debug('Channel uploads request failed', {
+                channelId,
+                error: error instanceof Error ? error.message : String(error || 'Unknown error')
+            });
+            failedChannelIds.push(channelId);
+        }
+        done += 1;
+        options.onProgress?.({ done, total: channelIds.length });
+    });
+
+    return { uploads, failedChannelIds };
+}
+
 /**
  * Unsubscribe from multiple channels.
  * @param {{channelIds: string[]}} payload
@@ -3657,6 +4381,93 @@ async function unsubscribeChannels(payload) {
     return { unsubscribedCount };
 }
 
+/**
+ * Validate subscribe targets: a channel ID, or a YouTube channel path to resolve.
+ * @param {Array<{channelId?: string, url?: string}>} rawTargets
+ * @returns {Array<{channelId: string, url: string}>}
+ */
+function sanitizeSubscribeTargets(rawTargets) {
+    if (!Array.isArray(rawTargets)) {
+        return [];
+    }
+
+    const seen = new Set();
+    const targets = [];
+    rawTargets.forEach((target) => {
+        const channelId = sanitizeChannelIds([target?.channelId])[0] || '';
+        const rawUrl = typeof target?.url === 'string' ? target.url.trim() : '';
+        const url = /^\/(@|c\/|user\/)[^/?#\s]+$/.test(rawUrl) ? rawUrl : '';
+        const key = channelId || url.toLowerCase();
+        if (!key || seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+        targets.push({ channelId, url });
+    });
+    return targets;
+}
+
+/**
+ * Resolve a channel path such as /@handle to its channel ID.
+ * @param {string} url
+ * @param {{context: object, apiKey: string, headers: Record<string, string>}} config
+ * @returns {Promise<string>}
+ */
+async function resolveChannelIdFromPath(url, config) {
+    const response = await postInnertube('navigation/resolve_url', {
+        context: config.context,
+        url: `https://www.youtube.com${url}`
+    }, config);
+    const browseId = response.body?.endpoint?.browseEndpoint?.browseId;
+    return sanitizeChannelIds([browseId])[0] || '';
+}
+
+/**
+ * Subscribe to channels one at a time with a pause between requests.
+ * Stops early after repeated failures, which usually means YouTube is rate limiting.
+ * @param {{channels: Array<{channelId?: string, url?: string}>}} payload
+ * @param {{onProgress?: (progress: {done: number, total: number}) => void}} [options]
+ * @returns {Promise<{subscribedIds: string[], failed: Array<{key: string, error: string}>, stopped: boolean}>}
+ */
+async function subscribeChannels(payload, options = {}) {
+    const targets = sanitizeSubscribeTargets(payload?.channels);
+    if (targets.length === 0) {
+        return { subscribedIds: [], failed: [], stopped: false };
+    }
+
+    const config = await getInnertubeConfig();
+    const subscribedIds = [];
+    const failed = [];
+    let consecutiveFailures = 0;
+    let stopped = false;
+
+    for (let index = 0; index < targets.length && !stopped; index += 1) {
+        if (index > 0) {
+            await delay(SUBSCRIBE_INTERVAL_MS);
+        }
+        const target = targets[index];
+        try {
+            const channelId = target.channelId || await resolveChannelIdFromPath(target.url, config);
+            if (!channelId) {
+                // A missing channel is not a sign of rate limiting; keep going.
+                failed.push({ key: target.url, error: 'Channel not found.' });
+                options.onProgress?.({ done: index + 1, total: targets.length });
+                continue;
+            }
+            await postInnertube('subscription/subscribe', { context: config.context, channelIds: [channelId] }, config);
+            subscribedIds.push(channelId);
+            consecutiveFailures = 0;
+        } catch (error) {
+            failed.push({ key: target.channelId || target.url, error: error?.message || 'Subscribe failed.' });
+            consecutiveFailures += 1;
+            stopped = consecutiveFailures >= SUBSCRIBE_MAX_CONSECUTIVE_FAILURES;
+        }
+        options.onProgress?.({ done: index + 1, total: targets.length });
+    }
+
+    return { subscribedIds, failed, stopped };
+}
+
 /**
  * Post bridge response.
  * @param {string} requestId
@@ -3735,10 +4546,46 @@ async function handleBridgeRequest(message) {
                     postBridgeProgress(requestId, progress);
                 }
             });
+        } else if (action === ACTIONS.GET_PLAYLIST_ITEMS) {
+            result = await getPlaylistItems(payload, {
+                onProgress: (progress) => {
+                    postBridgeProgress(requestId, progress);
+                }
+            });
+        } else if (action === ACTIONS.MOVE_PLAYLIST_ITEMS) {
+            result = await movePlaylistItems(payload, {
+                onProgress: (progress) => {
+                    postBridgeProgress(requestId, progress);
+                }
+            });
+        } else if (action === ACTIONS.REMOVE_PLAYLIST_ENTRIES) {
+            result = await removePlaylistEntries(payload, {
+                onProgress: (progress) => {
+                    postBridgeProgress(requestId, progress);
+                }
+            });
         } else if (action === ACTIONS.GET_SUBSCRIPTIONS) {
             result = await getSubscriptions(payload);
+        } else if (action === ACTIONS.GET_CHANNEL_ACTIVITY) {
+            result = await getChannelActivity(payload, {
+                onProgress: (progress) => {
+                    postBridgeProgress(requestId, progress);
+                }
+            });
+        } else if (action === ACTIONS.GET_CHANNEL_UPLOADS) {
+            result = await getChannelUploads(payload, {
+                onProgress: (progress) => {
+                    postBridgeProgress(requestId, progress);
+                }
+            });
         } else if (action === ACTIONS.UNSUBSCRIBE_CHANNELS) {
             result = await unsubscribeChannels(payload);
+        } else if (action === ACTIONS.SUBSCRIBE_CHANNELS) {
+            result = await subscribeChannels(payload, {
+                onProgress: (progress) => {
+                    postBridgeProgress(requestId, progress);
+                }
+            });
         } else {
             throw new Error('Unsupported playlist action.');
         }
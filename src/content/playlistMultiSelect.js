@@ -45,7 +45,10 @@ import {
     createRemoveIcon,
     createSelectAllIcon,
     createUnselectAllIcon,
-    createSplitIcon
+    createSplitIcon,
+    createSortIcon,
+    createDuplicatesIcon,
+    createTransferIcon
 } from './playlist-multi-select/icons.js';
 import {
     extractVideoId,
@@ -59,6 +62,9 @@ import {
 } from './playlist-multi-select/pageContext.js';
 import { createBridgeClient } from './playlist-multi-select/bridge.js';
 import { createSelectionRangeController } from './playlist-multi-select/selectionRange.js';
+import { PLAYLIST_ORDER_MODES, orderPlaylistItems, planPlaylistMoves } from './playlist-multi-select/playlistOrder.js';
+import { DUPLICATE_KEEP_MODES, findPlaylistDuplicates, planDuplicateRemovals } from './playlist-multi-select/playlistDuplicates.js';
+import { PLAYLIST_FILE_FORMATS, buildPlaylistFile, parsePlaylistFile } from './playlist-multi-select/playlistFiles.js';
 import { isVideoWatched } from './watchedHistory.js';
 
 const logger = createLogger('PlaylistMultiSelect');
@@ -91,6 +97,9 @@ let actionWatchLaterButton = null;
 let actionSaveButton = null;
 let actionQuickCreateButton = null;
 let actionSplitButton = null;
+let actionReorderButton = null;
+let actionDuplicatesButton = null;
+let actionTransferButton = null;
 let actionRemoveButton = null;
 let actionRemoveWatchedButton = null;
 let actionDeletePlaylistsButton = null;
@@ -119,6 +128,48 @@ let splitCountInput = null;
 let splitStatus = null;
 let splitPreview = null;
 let splitSubmitting = false;
+let reorderBackdrop = null;
+let reorderModal = null;
+let reorderModeList = null;
+let reorderPreview = null;
+let reorderStatus = null;
+let reorderApplyButton = null;
+let reorderPlaylistId = '';
+let reorderItems = [];
+let reorderTarget = [];
+let reorderMoves = [];
+let reorderMode = '';
+let reorderHasAddedOrder = false;
+let reorderLoading = false;
+let reorderSubmitting = false;
+let dedupeBackdrop = null;
+let dedupeInfo = null;
+let dedupeOptions = null;
+let dedupeWithinInput = null;
+let dedupeAcrossInput = null;
+let dedupeKeepSelect = null;
+let dedupeKeepHint = null;
+let dedupePriorityList = null;
+let dedupeResults = null;
+let dedupeStatus = null;
+let dedupeApplyButton = null;
+let dedupePlaylists = [];
+let dedupeGroups = [];
+let dedupePriority = [];
+let dedupePlan = { removals: [], keptSetVideoIds: new Set(), undatedAcrossCount: 0 };
+let dedupeScanning = false;
+let dedupeSubmitting = false;
+let transferBackdrop = null;
+let transferInfo = null;
+let transferFormatSelect = null;
+let transferScopeSelect = null;
+let transferExportButton = null;
+let transferFileInput = null;
+let transferPrivacySelect = null;
+let transferImportButton = null;
+let transferResults = null;
+let transferStatus = null;
+let transferBusy = false;
 let createTitleInput = null;
 let createVisibilityButton = null;
 let createVisibilityValue = null;
@@ -168,6 +219,11 @@ let nativeDrawerApplying = false;
 
 const DECORATE_MAX_RETRIES = 3;
 const DECORATE_RETRY_DELAY_MS = 320;
+const REORDER_PREVIEW_LIMIT = 200;
+const REORDER_RELOAD_DELAY_MS = 1200;
+const DEDUPE_RESULT_LIMIT = 200;
+const TRANSFER_RESULT_LIMIT = 200;
+const PLAYLIST_TITLE_MAX_LENGTH = 150;
 
 let playlistOptions = [];
 
@@ -501,6 +557,9 @@ function ensureActionBar() {
     actionSaveButton = createActionIconButton(createBookmarkIcon(), 'Save to playlist');
     actionQuickCreateButton = createActionIconButton(createPlaylistAddIcon(), 'Save to new playlist');
     actionSplitButton = createActionIconButton(createSplitIcon(), 'Split into playlists');
+    actionReorderButton = createActionIconButton(createSortIcon(), 'Reorder playlist');
+    actionDuplicatesButton = createActionIconButton(createDuplicatesIcon(), 'Find duplicates');
+    actionTransferButton = createActionIconButton(createTransferIcon(), 'Export / import playlists');
     actionRemoveButton = createActionIconButton(createRemoveIcon(), getRemoveActionLabel());
     actionRemoveWatchedButton = createActionIconButton(createRemoveIcon(), 'Remove watched');
     actionDeletePlaylistsButton = createActionIconButton(createRemoveIcon(), 'Remove selected playlist');
@@ -530,6 +589,9 @@ function ensureActionBar() {
     actionBar.appendChild(actionSaveButton);
     actionBar.appendChild(actionQuickCreateButton);
     actionBar.appendChild(actionSplitButton);
+    actionBar.appendChild(actionReorderButton);
+    actionBar.appendChild(actionDuplicatesButton);
+    actionBar.appendChild(actionTransferButton);
     actionBar.appendChild(actionRemoveButton);
     actionBar.appendChild(actionRemoveWatchedButton);
     actionBar.appendChild(actionDeletePlaylistsButton);
@@ -573,6 +635,9 @@ function ensureActionBar() {
     actionSaveButton.addEventListener('click', handleActionSaveClick);
     actionQuickCreateButton.addEventListener('click', handleActionQuickCreateClick);
     actionSplitButton.addEventListener('click', handleSplitClick);
+    actionReorderButton.addEventListener('click', handleReorderClick);
+    actionDuplicatesButton.addEventListener('click', handleDuplicatesClick);
+    actionTransferButton.addEventListener('click', handleTransferClick);
     actionRemoveButton.addEventListener('click', handleActionRemoveClick);
     actionRemoveWatchedButton.addEventListener('click', handleActionRemoveWatchedClick);
     actionDeletePlaylistsButton.addEventListener('click', handleActionDeletePlaylistsClick);
@@ -588,6 +653,9 @@ function ensureActionBar() {
     cleanupCallbacks.push(() => actionSaveButton?.removeEventListener('click', handleActionSaveClick));
     cleanupCallbacks.push(() => actionQuickCreateButton?.removeEventListener('click', handleActionQuickCreateClick));
     cleanupCallbacks.push(() => actionSplitButton?.removeEventListener('click', handleSplitClick));
+    cleanupCallbacks.push(() => actionReorderButton?.removeEventListener('click', handleReorderClick));
+    cleanupCallbacks.push(() => actionDuplicatesButton?.removeEventListener('click', handleDuplicatesClick));
+    cleanupCallbacks.push(() => actionTransferButton?.removeEventListener('click', handleTransferClick));
     cleanupCallbacks.push(() => actionRemoveButton?.removeEventListener('click', handleActionRemoveClick));
     cleanupCallbacks.push(() => actionRemoveWatchedButton?.removeEventListener('click', handleActionRemoveWatchedClick));
     cleanupCallbacks.push(() => actionDeletePlaylistsButton?.removeEventListener('click', handleActionDeletePlaylistsClick));
@@ -1340,6 +1408,20 @@ function updateActionUiState() {
         actionRemoveWatchedButton.disabled = submitting || loadingPlaylists || nativeDrawerBusy;
     }
 
+    if (actionReorderButton) {
+        actionReorderButton.hidden = !isViewPlaylistPage;
+        actionReorderButton.disabled = submitting || loadingPlaylists || nativeDrawerBusy || reorderSubmitting;
+    }
+
+    if (actionDuplicatesButton) {
+        actionDuplicatesButton.hidden = !isViewPlaylistPage && !isPlaylistPage;
+        actionDuplicatesButton.disabled = submitting || loadingPlaylists || nativeDrawerBusy || dedupeSubmitting;
+    }
+    if (actionTransferButton) {
+        actionTransferButton.hidden = !isViewPlaylistPage && !isPlaylistPage;
+        actionTransferButton.disabled = submitting || loadingPlaylists || nativeDrawerBusy;
+    }
+
     if (actionDeletePlaylistsButton) {
         actionDeletePlaylistsButton.hidden = !isPlaylistPage;
         actionDeletePlaylistsButton.disabled = selectedPlaylistCount === 0
@@ -3781,6 +3863,1094 @@ function setSplitStatus(message, kind = 'info') {
     splitStatus.className = `yt-commander-split-modal__status is-${kind}`;
 }
 
+/**
+ * Open the reorder dialog and load every entry of the current playlist.
+ * @param {MouseEvent} event
+ */
+function handleReorderClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const playlistId = getCurrentPlaylistId();
+    if (!playlistId) {
+        setStatusMessage('No playlist detected.', STATUS_KIND.ERROR);
+        return;
+    }
+
+    ensureReorderModal();
+    reorderBackdrop.classList.add('is-visible');
+    if (playlistId !== reorderPlaylistId || reorderItems.length === 0) {
+        reorderPlaylistId = playlistId;
+        reorderItems = [];
+        reorderHasAddedOrder = false;
+        loadReorderItems(playlistId);
+    }
+    setReorderMode('');
+}
+
+function ensureReorderModal() {
+    if (reorderBackdrop && reorderBackdrop.isConnected) {
+        return;
+    }
+
+    reorderBackdrop = document.createElement('div');
+    reorderBackdrop.className = 'yt-commander-split-backdrop';
+
+    reorderModal = document.createElement('div');
+    reorderModal.className = 'yt-commander-split-modal yt-commander-reorder-modal';
+    reorderModal.setAttribute('role', 'dialog');
+    reorderModal.setAttribute('aria-modal', 'true');
+    reorderModal.setAttribute('aria-label', 'Reorder playlist');
+
+    const modalTitle = document.createElement('h3');
+    modalTitle.className = 'yt-commander-split-modal__title';
+    modalTitle.textContent = 'Reorder playlist';
+
+    const infoText = document.createElement('p');
+    infoText.className = 'yt-commander-split-modal__info';
+    infoText.textContent = 'Pick an order to preview it. Nothing changes until you apply.';
+
+    reorderModeList = document.createElement('div');
+    reorderModeList.className = 'yt-commander-reorder-modal__modes';
+    PLAYLIST_ORDER_MODES.forEach((mode) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'yt-commander-reorder-modal__mode';
+        button.dataset.mode = mode.id;
+        button.textContent = mode.label;
+        button.addEventListener('click', () => setReorderMode(mode.id));
+        reorderModeList.appendChild(button);
+    });
+
+    reorderPreview = document.createElement('ol');
+    reorderPreview.className = 'yt-commander-reorder-modal__list';
+
+    reorderStatus = document.createElement('div');
+    reorderStatus.className = 'yt-commander-split-modal__status';
+    reorderStatus.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'yt-commander-split-modal__actions';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'yt-commander-split-modal__button';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => closeReorderModal());
+
+    reorderApplyButton = document.createElement('button');
+    reorderApplyButton.type = 'button';
+    reorderApplyButton.className = 'yt-commander-split-modal__button yt-commander-split-modal__button--primary';
+    reorderApplyButton.textContent = 'Apply';
+    reorderApplyButton.addEventListener('click', submitReorder);
+
+    actions.appendChild(cancelBtn);
+    actions.appendChild(reorderApplyButton);
+
+    reorderModal.appendChild(modalTitle);
+    reorderModal.appendChild(infoText);
+    reorderModal.appendChild(reorderModeList);
+    reorderModal.appendChild(reorderPreview);
+    reorderModal.appendChild(reorderStatus);
+    reorderModal.appendChild(actions);
+
+    reorderBackdrop.appendChild(reorderModal);
+    document.body.appendChild(reorderBackdrop);
+
+    reorderBackdrop.addEventListener('click', (e) => {
+        if (e.target === reorderBackdrop) {
+            closeReorderModal();
+        }
+    });
+}
+
+function closeReorderModal() {
+    if (reorderBackdrop) {
+        reorderBackdrop.classList.remove('is-visible');
+    }
+}
+
+/**
+ * Load all playlist entries, including the date-added order when YouTube offers it.
+ * @param {string} playlistId
+ */
+async function loadReorderItems(playlistId) {
+    reorderLoading = true;
+    setReorderStatus('Loading playlist...', STATUS_KIND.INFO);
+    updateReorderModalState();
+
+    try {
+        const response = await sendBridgeRequest(ACTIONS.GET_PLAYLIST_ITEMS, {
+            playlistId,
+            includeAddedOrder: true
+        }, (progress) => {
+            const loaded = Number(progress?.loaded) || 0;
+            setReorderStatus(progress?.phase === 'added-order'
+                ? `Reading date-added order... ${loaded} videos`
+                : `Loading playlist... ${loaded} videos`, STATUS_KIND.INFO);
+        });
+        if (playlistId !== reorderPlaylistId) {
+            return;
+        }
+        reorderItems = Array.isArray(response?.items) ? response.items : [];
+        reorderHasAddedOrder = response?.hasAddedOrder === true;
+        setReorderStatus(
+            reorderItems.length > 1
+                ? `${reorderItems.length} videos loaded.`
+                : 'This playlist has nothing to reorder.',
+            STATUS_KIND.INFO
+        );
+    } catch (error) {
+        logger.warn('Failed to load playlist for reordering', error);
+        reorderItems = [];
+        setReorderStatus(error instanceof Error ? error.message : 'Failed to load playlist.', STATUS_KIND.ERROR);
+    } finally {
+        reorderLoading = false;
+        setReorderMode(reorderMode);
+    }
+}
+
+/**
+ * Preview one order mode.
+ * @param {string} mode
+ */
+function setReorderMode(mode) {
+    reorderMode = mode;
+    reorderTarget = mode && reorderItems.length > 0
+        ? orderPlaylistItems(reorderItems, mode, selectedVideoIds)
+        : [];
+    reorderMoves = reorderTarget.length > 0
+        ? planPlaylistMoves(
+            reorderItems.map((item) => item.setVideoId),
+            reorderTarget.map((item) => item.setVideoId)
+        )
+        : [];
+    renderReorderPreview();
+    updateReorderModalState();
+}
+
+/**
+ * Format a duration in seconds as m:ss or h:mm:ss.
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatReorderDuration(seconds) {
+    if (!Number.isFinite(seconds)) {
+        return '';
+    }
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+function renderReorderPreview() {
+    if (!reorderPreview) {
+        return;
+    }
+    reorderPreview.innerHTML = '';
+    const list = reorderTarget.length > 0 ? reorderTarget : reorderItems;
+    list.slice(0, REORDER_PREVIEW_LIMIT).forEach((item, index) => {
+        const row = document.createElement('li');
+        row.className = 'yt-commander-reorder-modal__row';
+        row.classList.toggle('is-moved', reorderTarget.length > 0 && item.position !== index);
+        row.classList.toggle('is-unavailable', item.isPlayable === false);
+
+        const title = document.createElement('span');
+        title.className = 'yt-commander-reorder-modal__row-title';
+        title.textContent = item.title || item.videoId;
+
+        const meta = document.createElement('span');
+        meta.className = 'yt-commander-reorder-modal__row-meta';
+        meta.textContent = [item.channelName, formatReorderDuration(item.durationSeconds)].filter(Boolean).join(' · ');
+
+        row.title = `Now #${item.position + 1}`;
+        row.appendChild(title);
+        row.appendChild(meta);
+        reorderPreview.appendChild(row);
+    });
+    if (list.length > REORDER_PREVIEW_LIMIT) {
+        const more = document.createElement('li');
+        more.className = 'yt-commander-reorder-modal__more';
+        more.textContent = `...and ${list.length - REORDER_PREVIEW_LIMIT} more`;
+        reorderPreview.appendChild(more);
+    }
+    reorderPreview.hidden = list.length === 0;
+}
+
+function updateReorderModalState() {
+    const busy = reorderLoading || reorderSubmitting;
+    reorderModeList?.querySelectorAll('.yt-commander-reorder-modal__mode').forEach((button) => {
+        const mode = button.dataset.mode || '';
+        const needsAddedOrder = mode.startsWith('added-');
+        const needsSelection = mode.startsWith('selected-');
+        button.disabled = busy
+            || reorderItems.length < 2
+            || (needsAddedOrder && !reorderHasAddedOrder)
+            || (needsSelection && selectedVideoIds.size === 0);
+        button.classList.toggle('is-active', mode === reorderMode);
+        button.title = needsAddedOrder && !reorderHasAddedOrder && !reorderLoading
+            ? 'YouTube does not offer a date-added order for this playlist'
+            : '';
+    });
+
+    if (reorderApplyButton) {
+        reorderApplyButton.disabled = busy || reorderMoves.length === 0;
+        reorderApplyButton.textContent = reorderSubmitting
+            ? 'Reordering...'
+            : (reorderMoves.length > 0 ? `Apply (${reorderMoves.length} moves)` : 'Apply');
+    }
+
+    if (reorderMode && !reorderLoading && reorderItems.length > 1) {
+        setReorderStatus(
+            reorderMoves.length > 0
+                ? `${reorderMoves.length} of ${reorderItems.length} videos will move.`
+                : 'The playlist is already in this order.',
+            STATUS_KIND.INFO
+        );
+    }
+}
+
+function setReorderStatus(message, kind = STATUS_KIND.INFO) {
+    if (!reorderStatus) {
+        return;
+    }
+    reorderStatus.textContent = message;
+    reorderStatus.className = `yt-commander-split-modal__status is-${kind}`;
+}
+
+async function submitReorder() {
+    if (reorderSubmitting || reorderMoves.length === 0) {
+        return;
+    }
+
+    const playlistId = reorderPlaylistId;
+    const moves = reorderMoves;
+    reorderSubmitting = true;
+    submitting = true;
+    closeReorderModal();
+    updateActionUiState();
+    showSaveProgress(0, moves.length, 'Reordering playlist');
+
+    try {
+        const response = await sendBridgeRequest(ACTIONS.MOVE_PLAYLIST_ITEMS, { playlistId, moves }, (progress) => {
+            if (progress) {
+                showSaveProgress(progress.processed, progress.total, 'Reordering playlist');
+            }
+        });
+        hideSaveProgress();
+        const movedCount = Number(response?.movedCount) || 0;
+        setStatusMessage(`Playlist reordered (${movedCount} moves).`, STATUS_KIND.SUCCESS);
+        showBottomNotification('Playlist reordered. Reloading to show the new order...', STATUS_KIND.SUCCESS);
+        reorderItems = [];
+        window.setTimeout(() => {
+            window.location.reload();
+        }, REORDER_RELOAD_DELAY_MS);
+    } catch (error) {
+        logger.warn('Failed to reorder playlist', error);
+        hideSaveProgress();
+        // A partial reorder leaves the loaded order stale.
+        reorderItems = [];
+        setStatusMessage(error instanceof Error ? error.message : 'Failed to reorder playlist.', STATUS_KIND.ERROR);
+        showBottomNotification(error instanceof Error ? error.message : 'Failed to reorder playlist.', STATUS_KIND.ERROR);
+    } finally {
+        reorderSubmitting = false;
+        submitting = false;
+        updateReorderModalState();
+        updateActionUiState();
+    }
+}
+
+/**
+ * Open the duplicate finder for the current playlist, or on the playlists page
+ * for the selected playlists (all rendered ones when none are selected).
+ * @param {MouseEvent} event
+ */
+function handleDuplicatesClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (dedupeScanning || dedupeSubmitting) {
+        ensureDedupeModal();
+        dedupeBackdrop.classList.add('is-visible');
+        return;
+    }
+
+    let playlistIds = [];
+    if (isPlaylistsPage()) {
+        playlistIds = selectedPlaylistIds.size > 0 ? Array.from(selectedPlaylistIds) : collectRenderedPlaylistIds();
+    } else if (getCurrentPlaylistId()) {
+        playlistIds = [getCurrentPlaylistId()];
+    }
+    if (playlistIds.length === 0) {
+        setStatusMessage('No playlists to scan.', STATUS_KIND.ERROR);
+        return;
+    }
+
+    ensureDedupeModal();
+    dedupeBackdrop.classList.add('is-visible');
+    scanDuplicatePlaylists(playlistIds);
+}
+
+function ensureDedupeModal() {
+    if (dedupeBackdrop && dedupeBackdrop.isConnected) {
+        return;
+    }
+
+    dedupeBackdrop = document.createElement('div');
+    dedupeBackdrop.className = 'yt-commander-split-backdrop';
+
+    const modal = document.createElement('div');
+    modal.className = 'yt-commander-split-modal yt-commander-dedupe-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-label', 'Find duplicates');
+
+    const modalTitle = document.createElement('h3');
+    modalTitle.className = 'yt-commander-split-modal__title';
+    modalTitle.textContent = 'Find duplicates';
+
+    dedupeInfo = document.createElement('p');
+    dedupeInfo.className = 'yt-commander-split-modal__info';
+
+    dedupeOptions = document.createElement('div');
+    dedupeOptions.className = 'yt-commander-dedupe-modal__options';
+
+    const createCheckbox = (label) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'yt-commander-dedupe-modal__option';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = true;
+        input.addEventListener('change', updateDedupePlan);
+        wrapper.appendChild(input);
+        wrapper.appendChild(document.createTextNode(label));
+        dedupeOptions.appendChild(wrapper);
+        return input;
+    };
+    dedupeWithinInput = createCheckbox('Within a playlist');
+    dedupeAcrossInput = createCheckbox('Across playlists');
+
+    const keepLabel = document.createElement('label');
+    keepLabel.className = 'yt-commander-dedupe-modal__option';
+    keepLabel.appendChild(document.createTextNode('Keep'));
+    dedupeKeepSelect = document.createElement('select');
+    dedupeKeepSelect.className = 'yt-commander-dedupe-modal__select';
+    DUPLICATE_KEEP_MODES.forEach((mode) => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        dedupeKeepSelect.appendChild(option);
+    });
+    dedupeKeepSelect.addEventListener('change', updateDedupePlan);
+    keepLabel.appendChild(dedupeKeepSelect);
+    dedupeOptions.appendChild(keepLabel);
+
+    dedupeKeepHint = document.createElement('p');
+    dedupeKeepHint.className = 'yt-commander-split-modal__info';
+
+    dedupePriorityList = document.createElement('ol');
+    dedupePriorityList.className = 'yt-commander-dedupe-modal__priority';
+
+    dedupeResults = document.createElement('ul');
+    dedupeResults.className = 'yt-commander-reorder-modal__list yt-commander-dedupe-modal__results';
+
+    dedupeStatus = document.createElement('div');
+    dedupeStatus.className = 'yt-commander-split-modal__status';
+    dedupeStatus.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'yt-commander-split-modal__actions';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'yt-commander-split-modal__button';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => closeDedupeModal());
+
+    dedupeApplyButton = document.createElement('button');
+    dedupeApplyButton.type = 'button';
+    dedupeApplyButton.className = 'yt-commander-split-modal__button yt-commander-split-modal__button--primary';
+    dedupeApplyButton.textContent = 'Remove';
+    dedupeApplyButton.addEventListener('click', submitDuplicateRemoval);
+
+    actions.appendChild(closeBtn);
+    actions.appendChild(dedupeApplyButton);
+
+    modal.appendChild(modalTitle);
+    modal.appendChild(dedupeInfo);
+    modal.appendChild(dedupeOptions);
+    modal.appendChild(dedupeKeepHint);
+    modal.appendChild(dedupePriorityList);
+    modal.appendChild(dedupeResults);
+    modal.appendChild(dedupeStatus);
+    modal.appendChild(actions);
+
+    dedupeBackdrop.appendChild(modal);
+    document.body.appendChild(dedupeBackdrop);
+
+    dedupeBackdrop.addEventListener('click', (e) => {
+        if (e.target === dedupeBackdrop) {
+            closeDedupeModal();
+        }
+    });
+}
+
+function closeDedupeModal() {
+    if (dedupeBackdrop) {
+        dedupeBackdrop.classList.remove('is-visible');
+    }
+}
+
+function setDedupeStatus(message, kind = STATUS_KIND.INFO) {
+    if (!dedupeStatus) {
+        return;
+    }
+    dedupeStatus.textContent = message;
+    dedupeStatus.className = `yt-commander-split-modal__status is-${kind}`;
+}
+
+/**
+ * Load every entry of the given playlists and group the duplicates.
+ * Only playlists you can edit are scanned.
+ * @param {string[]} playlistIds
+ */
+async function scanDuplicatePlaylists(playlistIds) {
+    dedupeScanning = true;
+    dedupePlaylists = [];
+    dedupeGroups = [];
+    dedupeInfo.textContent = '';
+    setDedupeStatus('Loading playlists...', STATUS_KIND.INFO);
+    updateDedupePlan();
+
+    try {
+        const response = await sendBridgeRequest(ACTIONS.GET_PLAYLISTS, {});
+        const titles = new Map(
+            (Array.isArray(response?.playlists) ? response.playlists : [])
+                .map((playlist) => [playlist.id, playlist.title || playlist.id])
+        );
+        const editableIds = playlistIds.filter((playlistId) => titles.has(playlistId));
+        if (editableIds.length === 0) {
+            throw new Error(playlistIds.length === 1
+                ? 'You can only remove duplicates from your own playlists.'
+                : 'None of these playlists are yours.');
+        }
+
+        for (let index = 0; index < editableIds.length; index += 1) {
+            const playlistId = editableIds[index];
+            const title = titles.get(playlistId);
+            const prefix = editableIds.length > 1 ? `Scanning ${index + 1} of ${editableIds.length}: ${title}` : `Scanning ${title}`;
+            setDedupeStatus(`${prefix}...`, STATUS_KIND.INFO);
+            const result = await sendBridgeRequest(ACTIONS.GET_PLAYLIST_ITEMS, {
+                playlistId,
+                includeAddedOrder: true
+            }, (progress) => {
+                setDedupeStatus(`${prefix}... ${Number(progress?.loaded) || 0} videos`, STATUS_KIND.INFO);
+            });
+            dedupePlaylists.push({
+                playlistId,
+                title,
+                items: Array.isArray(result?.items) ? result.items : []
+            });
+        }
+
+        dedupeGroups = findPlaylistDuplicates(dedupePlaylists);
+        dedupePriority = dedupePlaylists.map((playlist) => playlist.playlistId);
+        const videoCount = dedupePlaylists.reduce((sum, playlist) => sum + playlist.items.length, 0);
+        const skippedCount = playlistIds.length - editableIds.length;
+        dedupeInfo.textContent = `Scanned ${dedupePlaylists.length} playlist(s), ${videoCount} videos.`
+            + (skippedCount > 0 ? ` Skipped ${skippedCount} playlist(s) that are not yours.` : '');
+    } catch (error) {
+        logger.warn('Failed to scan playlists for duplicates', error);
+        dedupePlaylists = [];
+        dedupeGroups = [];
+        setDedupeStatus(error instanceof Error ? error.message : 'Failed to scan playlists.', STATUS_KIND.ERROR);
+    } finally {
+        dedupeScanning = false;
+        renderDedupePriority();
+        updateDedupePlan();
+    }
+}
+
+/**
+ * Move a playlist up or down the keep priority.
+ * @param {number} index
+ * @param {-1|1} offset
+ */
+function moveDedupePriority(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= dedupePriority.length) {
+        return;
+    }
+    [dedupePriority[index], dedupePriority[target]] = [dedupePriority[target], dedupePriority[index]];
+    renderDedupePriority();
+    updateDedupePlan();
+}
+
+function renderDedupePriority() {
+    if (!dedupePriorityList) {
+        return;
+    }
+    dedupePriorityList.innerHTML = '';
+    const titles = new Map(dedupePlaylists.map((playlist) => [playlist.playlistId, playlist.title]));
+    dedupePriority.forEach((playlistId, index) => {
+        const row = document.createElement('li');
+        row.className = 'yt-commander-dedupe-modal__priority-row';
+
+        const label = document.createElement('span');
+        label.textContent = titles.get(playlistId) || playlistId;
+        row.appendChild(label);
+
+        [['\u2191', -1, 'Keep before the playlist above'], ['\u2193', 1, 'Keep after the playlist below']].forEach(([text, offset, title]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'yt-commander-dedupe-modal__priority-move';
+            button.textContent = text;
+            button.title = title;
+            button.disabled = index + offset < 0 || index + offset >= dedupePriority.length;
+            button.addEventListener('click', () => moveDedupePriority(index, offset));
+            row.appendChild(button);
+        });
+
+        dedupePriorityList.appendChild(row);
+    });
+}
+
+/**
+ * Recompute the removal plan from the current options and render it.
+ */
+function updateDedupePlan() {
+    if (!dedupeResults) {
+        return;
+    }
+    const multiplePlaylists = dedupePlaylists.length > 1;
+    const across = multiplePlaylists && dedupeAcrossInput.checked;
+    const within = dedupeWithinInput.checked;
+    dedupePlan = planDuplicateRemovals(dedupeGroups, {
+        keep: dedupeKeepSelect.value,
+        priorityPlaylistIds: dedupePriority,
+        within,
+        across
+    });
+
+    dedupeOptions.hidden = dedupeGroups.length === 0;
+    dedupeAcrossInput.parentElement.hidden = !multiplePlaylists;
+    dedupePriorityList.hidden = !across || dedupeGroups.length === 0;
+    dedupeKeepHint.hidden = dedupePriorityList.hidden;
+    dedupeKeepHint.textContent = describeDedupeAcrossKeep(dedupeKeepSelect.value, dedupePlan.undatedAcrossCount);
+
+    const titles = new Map(dedupePlaylists.map((playlist) => [playlist.playlistId, playlist.title]));
+    const removedSetVideoIds = new Set(dedupePlan.removals.map((entry) => entry.setVideoId));
+    const visibleGroups = dedupeGroups.filter((group) => (within && group.hasWithin) || (across && group.hasAcross));
+
+    dedupeResults.innerHTML = '';
+    visibleGroups.slice(0, DEDUPE_RESULT_LIMIT).forEach((group) => {
+        const row = document.createElement('li');
+        row.className = 'yt-commander-reorder-modal__row';
+
+        const title = document.createElement('span');
+        title.className = 'yt-commander-reorder-modal__row-title';
+        title.textContent = group.title || group.videoId;
+
+        const meta = document.createElement('span');
+        meta.className = 'yt-commander-reorder-modal__row-meta';
+        meta.textContent = group.playlistIds.map((playlistId) => {
+            const copies = group.copies.filter((copy) => copy.playlistId === playlistId);
+            const keptCount = copies.filter((copy) => !removedSetVideoIds.has(copy.setVideoId)).length;
+            const name = titles.get(playlistId) || playlistId;
+            const count = copies.length > 1 ? ` \u00d7${copies.length}` : '';
+            return keptCount === copies.length ? `${name}${count}` : `${name}${count} (keeps ${keptCount})`;
+        }).join(' \u00b7 ');
+        const kept = across && group.hasAcross
+            ? group.copies.find((copy) => !removedSetVideoIds.has(copy.setVideoId))
+            : null;
+        if (kept) {
+            meta.textContent += ` \u2014 kept in ${titles.get(kept.playlistId) || kept.playlistId}`;
+        }
+
+        row.appendChild(title);
+        row.appendChild(meta);
+        dedupeResults.appendChild(row);
+    });
+    if (visibleGroups.length > DEDUPE_RESULT_LIMIT) {
+        const more = document.createElement('li');
+        more.className = 'yt-commander-reorder-modal__more';
+        more.textContent = `...and ${visibleGroups.length - DEDUPE_RESULT_LIMIT} more`;
+        dedupeResults.appendChild(more);
+    }
+    dedupeResults.hidden = visibleGroups.length === 0;
+
+    const removalCount = dedupePlan.removals.length;
+    if (dedupeApplyButton) {
+        dedupeApplyButton.disabled = dedupeScanning || dedupeSubmitting || removalCount === 0;
+        dedupeApplyButton.textContent = removalCount > 0 ? `Remove ${removalCount} copies` : 'Remove';
+    }
+    if (!dedupeScanning && !dedupeSubmitting && dedupePlaylists.length > 0) {
+        setDedupeStatus(
+            visibleGroups.length > 0
+                ? `${visibleGroups.length} duplicate video(s). ${removalCount} copies will be removed.`
+                : 'No duplicates found.',
+            visibleGroups.length > 0 ? STATUS_KIND.INFO : STATUS_KIND.SUCCESS
+        );
+    }
+}
+
+/**
+ * Explain which copy stays when a video is in more than one playlist.
+ * @param {string} keep
+ * @param {number} undatedCount Videos whose copies do not all have a date added.
+ * @returns {string}
+ */
+function describeDedupeAcrossKeep(keep, undatedCount) {
+    const byPriority = 'the copy in the playlist highest in this list is kept';
+    if (keep === 'priority') {
+        return `Across playlists, ${byPriority}.`;
+    }
+    const age = keep === 'newest' ? 'newest' : 'oldest';
+    if (undatedCount === 0) {
+        return `Across playlists, the ${age} copy by date added is kept.`;
+    }
+    return `Across playlists, the ${age} copy by date added is kept. YouTube did not show when ${undatedCount} video(s) were added, so for those ${byPriority}.`;
+}
+
+async function submitDuplicateRemoval() {
+    if (dedupeSubmitting || dedupePlan.removals.length === 0) {
+        return;
+    }
+
+    const removalsByPlaylist = new Map();
+    dedupePlan.removals.forEach((entry) => {
+        if (!removalsByPlaylist.has(entry.playlistId)) {
+            removalsByPlaylist.set(entry.playlistId, []);
+        }
+        removalsByPlaylist.get(entry.playlistId).push(entry);
+    });
+    const total = dedupePlan.removals.length;
+    const currentPlaylistId = isPlaylistCollectionPage() ? getCurrentPlaylistId() : '';
+
+    dedupeSubmitting = true;
+    submitting = true;
+    closeDedupeModal();
+    updateActionUiState();
+    showSaveProgress(0, total, 'Removing duplicates');
+
+    let removedCount = 0;
+    let failedCount = 0;
+    let lastError = '';
+    try {
+        for (const [playlistId, entries] of removalsByPlaylist) {
+            const doneBefore = removedCount + failedCount;
+            try {
+                const response = await sendBridgeRequest(ACTIONS.REMOVE_PLAYLIST_ENTRIES, {
+                    playlistId,
+                    entries: entries.map(({ videoId, setVideoId }) => ({ videoId, setVideoId }))
+                }, (progress) => {
+                    if (progress) {
+                        showSaveProgress(doneBefore + progress.processed, total, 'Removing duplicates');
+                    }
+                });
+                const removed = Number(response?.removedCount) || 0;
+                removedCount += removed;
+                failedCount += entries.length - removed;
+                if (Array.isArray(response?.failures) && response.failures.length > 0) {
+                    lastError = response.failures[0].error || lastError;
+                }
+            } catch (error) {
+                logger.warn('Failed to remove duplicates from playlist', playlistId, error);
+                failedCount += entries.length;
+                lastError = error instanceof Error ? error.message : 'Failed to remove videos.';
+            }
+        }
+
+        hideSaveProgress();
+        dedupePlaylists = [];
+        dedupeGroups = [];
+        if (failedCount > 0) {
+            const message = `Removed ${removedCount} duplicate(s). ${failedCount} failed${lastError ? `: ${lastError}` : '.'}`;
+            setStatusMessage(message, STATUS_KIND.ERROR);
+            showBottomNotification(message, STATUS_KIND.ERROR);
+        } else {
+            setStatusMessage(`Removed ${removedCount} duplicate(s).`, STATUS_KIND.SUCCESS);
+            showBottomNotification(`Removed ${removedCount} duplicate(s).`, STATUS_KIND.SUCCESS);
+        }
+
+        // Copies of one video share a video ID, so the page cannot drop just the removed cards.
+        if (removedCount > 0 && currentPlaylistId && removalsByPlaylist.has(currentPlaylistId)) {
+            window.setTimeout(() => {
+                window.location.reload();
+            }, REORDER_RELOAD_DELAY_MS);
+        }
+    } finally {
+        dedupeSubmitting = false;
+        submitting = false;
+        updateDedupePlan();
+        updateActionUiState();
+    }
+}
+
+/**
+ * Open the playlist export and import dialog.
+ * @param {MouseEvent} event
+ */
+function handleTransferClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    ensureTransferModal();
+    if (!transferBusy) {
+        transferResults.innerHTML = '';
+        transferResults.hidden = true;
+        setTransferStatus('', STATUS_KIND.INFO);
+    }
+    updateTransferModalState();
+    transferBackdrop.classList.add('is-visible');
+}
+
+function ensureTransferModal() {
+    if (transferBackdrop && transferBackdrop.isConnected) {
+        return;
+    }
+
+    transferBackdrop = document.createElement('div');
+    transferBackdrop.className = 'yt-commander-split-backdrop';
+
+    const modal = document.createElement('div');
+    modal.className = 'yt-commander-split-modal yt-commander-transfer-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-label', 'Export / import playlists');
+
+    const modalTitle = document.createElement('h3');
+    modalTitle.className = 'yt-commander-split-modal__title';
+    modalTitle.textContent = 'Export / import playlists';
+
+    transferInfo = document.createElement('p');
+    transferInfo.className = 'yt-commander-split-modal__info';
+
+    const createSection = (heading) => {
+        const section = document.createElement('div');
+        section.className = 'yt-commander-transfer-modal__section';
+        const label = document.createElement('span');
+        label.className = 'yt-commander-transfer-modal__heading';
+        label.textContent = heading;
+        section.appendChild(label);
+        return section;
+    };
+    const createSelect = (options) => {
+        const select = document.createElement('select');
+        select.className = 'yt-commander-dedupe-modal__select';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        return select;
+    };
+
+    const exportSection = createSection('Export');
+    transferFormatSelect = createSelect(PLAYLIST_FILE_FORMATS.map((format) => ({ value: format.id, label: format.label })));
+    transferScopeSelect = createSelect([
+        { value: 'selected', label: 'Selected playlists' },
+        { value: 'all', label: 'All my playlists (archive)' }
+    ]);
+    transferScopeSelect.addEventListener('change', updateTransferModalState);
+    transferExportButton = document.createElement('button');
+    transferExportButton.type = 'button';
+    transferExportButton.className = 'yt-commander-split-modal__button yt-commander-split-modal__button--primary';
+    transferExportButton.textContent = 'Export';
+    transferExportButton.addEventListener('click', () => {
+        exportPlaylistsToFile().catch((error) => {
+            logger.warn('Failed to export playlists', error);
+        });
+    });
+    exportSection.appendChild(transferFormatSelect);
+    exportSection.appendChild(transferScopeSelect);
+    exportSection.appendChild(transferExportButton);
+
+    const importSection = createSection('Import');
+    transferFileInput = document.createElement('input');
+    transferFileInput.type = 'file';
+    transferFileInput.accept = '.json,.csv,.m3u,.m3u8';
+    transferFileInput.className = 'yt-commander-transfer-modal__file';
+    transferFileInput.addEventListener('change', updateTransferModalState);
+    transferPrivacySelect = createSelect(VISIBILITY_OPTIONS.map((option) => ({ value: option.value, label: option.label })));
+    transferPrivacySelect.value = 'PRIVATE';
+    transferImportButton = document.createElement('button');
+    transferImportButton.type = 'button';
+    transferImportButton.className = 'yt-commander-split-modal__button yt-commander-split-modal__button--primary';
+    transferImportButton.textContent = 'Import';
+    transferImportButton.addEventListener('click', () => {
+        importPlaylistsFromFile().catch((error) => {
+            logger.warn('Failed to import playlists', error);
+        });
+    });
+    importSection.appendChild(transferFileInput);
+    importSection.appendChild(transferPrivacySelect);
+    importSection.appendChild(transferImportButton);
+
+    transferResults = document.createElement('ul');
+    transferResults.className = 'yt-commander-reorder-modal__list yt-commander-transfer-modal__results';
+    transferResults.hidden = true;
+
+    transferStatus = document.createElement('div');
+    transferStatus.className = 'yt-commander-split-modal__status';
+    transferStatus.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'yt-commander-split-modal__actions';
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'yt-commander-split-modal__button';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => closeTransferModal());
+    actions.appendChild(closeBtn);
+
+    modal.appendChild(modalTitle);
+    modal.appendChild(transferInfo);
+    modal.appendChild(exportSection);
+    modal.appendChild(importSection);
+    modal.appendChild(transferResults);
+    modal.appendChild(transferStatus);
+    modal.appendChild(actions);
+
+    transferBackdrop.appendChild(modal);
+    document.body.appendChild(transferBackdrop);
+
+    transferBackdrop.addEventListener('click', (e) => {
+        if (e.target === transferBackdrop) {
+            closeTransferModal();
+        }
+    });
+}
+
+function closeTransferModal() {
+    if (transferBackdrop) {
+        transferBackdrop.classList.remove('is-visible');
+    }
+}
+
+function setTransferStatus(message, kind = STATUS_KIND.INFO) {
+    if (!transferStatus) {
+        return;
+    }
+    transferStatus.textContent = message;
+    transferStatus.className = `yt-commander-split-modal__status is-${kind}`;
+}
+
+/**
+ * Sync the dialog controls with the page and the busy state.
+ */
+function updateTransferModalState() {
+    if (!transferBackdrop) {
+        return;
+    }
+    const onPlaylistsPage = isPlaylistsPage();
+    transferScopeSelect.hidden = !onPlaylistsPage;
+    if (!onPlaylistsPage) {
+        transferInfo.textContent = 'Export this playlist, or create a new playlist from an exported file.';
+    } else if (transferScopeSelect.value === 'all') {
+        transferInfo.textContent = 'Export every playlist you own as one archive, or create playlists from an exported file.';
+    } else {
+        const count = selectedPlaylistIds.size > 0 ? selectedPlaylistIds.size : collectRenderedPlaylistIds().length;
+        transferInfo.textContent = `Export ${count} ${selectedPlaylistIds.size > 0 ? 'selected' : 'listed'} playlist(s), or create playlists from an exported file.`;
+    }
+    transferFormatSelect.disabled = transferBusy;
+    transferScopeSelect.disabled = transferBusy;
+    transferExportButton.disabled = transferBusy;
+    transferFileInput.disabled = transferBusy;
+    transferPrivacySelect.disabled = transferBusy;
+    transferImportButton.disabled = transferBusy || !transferFileInput.files?.length;
+}
+
+/**
+ * List the videos an import skipped or failed to add.
+ * @param {Array<{title: string, videoId: string, reason: string}>} entries
+ */
+function renderTransferResults(entries) {
+    transferResults.innerHTML = '';
+    entries.slice(0, TRANSFER_RESULT_LIMIT).forEach((entry) => {
+        const row = document.createElement('li');
+        row.className = 'yt-commander-reorder-modal__row';
+
+        const title = document.createElement('span');
+        title.className = 'yt-commander-reorder-modal__row-title';
+        title.textContent = entry.title || entry.videoId;
+
+        const meta = document.createElement('span');
+        meta.className = 'yt-commander-reorder-modal__row-meta';
+        meta.textContent = entry.reason;
+
+        row.appendChild(title);
+        row.appendChild(meta);
+        transferResults.appendChild(row);
+    });
+    if (entries.length > TRANSFER_RESULT_LIMIT) {
+        const more = document.createElement('li');
+        more.className = 'yt-commander-reorder-modal__more';
+        more.textContent = `...and ${entries.length - TRANSFER_RESULT_LIMIT} more`;
+        transferResults.appendChild(more);
+    }
+    transferResults.hidden = entries.length === 0;
+}
+
+/**
+ * Resolve the playlists to export: the open playlist, or on the playlists page
+ * the selected ones (all rendered ones when none are selected) or every owned one.
+ * @param {Map<string, string>} ownedTitles
+ * @returns {string[]}
+ */
+function resolveTransferExportIds(ownedTitles) {
+    if (!isPlaylistsPage()) {
+        const playlistId = getCurrentPlaylistId();
+        return playlistId ? [playlistId] : [];
+    }
+    if (transferScopeSelect.value === 'all') {
+        return Array.from(ownedTitles.keys());
+    }
+    return selectedPlaylistIds.size > 0 ? Array.from(selectedPlaylistIds) : collectRenderedPlaylistIds();
+}
+
+/**
+ * Load the chosen playlists and download them in the chosen format.
+ */
+async function exportPlaylistsToFile() {
+    if (transferBusy) {
+        return;
+    }
+    transferBusy = true;
+    renderTransferResults([]);
+    updateTransferModalState();
+    setTransferStatus('Loading playlists...', STATUS_KIND.INFO);
+
+    try {
+        const response = await sendBridgeRequest(ACTIONS.GET_PLAYLISTS, {});
+        const ownedTitles = buildPlaylistTitleMap(response?.playlists);
+        const playlistIds = resolveTransferExportIds(ownedTitles);
+        if (playlistIds.length === 0) {
+            throw new Error('No playlists to export.');
+        }
+
+        // Playlists saved from other channels are not in the owned list; the page names the open one.
+        const pageTitle = document.title.replace(/\s*-\s*YouTube\s*$/, '').trim();
+        const playlists = [];
+        for (let index = 0; index < playlistIds.length; index += 1) {
+            const playlistId = playlistIds[index];
+            const title = ownedTitles.get(playlistId)
+                || (playlistId === getCurrentPlaylistId() && pageTitle)
+                || playlistId;
+            const prefix = playlistIds.length > 1 ? `Loading ${index + 1} of ${playlistIds.length}: ${title}` : `Loading ${title}`;
+            setTransferStatus(`${prefix}...`, STATUS_KIND.INFO);
+            const result = await sendBridgeRequest(ACTIONS.GET_PLAYLIST_ITEMS, {
+                playlistId,
+                includeAddedOrder: true
+            }, (progress) => {
+                setTransferStatus(`${prefix}... ${Number(progress?.loaded) || 0} videos`, STATUS_KIND.INFO);
+            });
+            playlists.push({
+                playlistId,
+                title,
+                items: Array.isArray(result?.items) ? result.items : []
+            });
+        }
+
+        const exported = buildPlaylistFile(transferFormatSelect.value, playlists);
+        const url = URL.createObjectURL(new Blob([exported.content], { type: exported.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = exported.filename;
+        link.click();
+        window.setTimeout(() => URL.revokeObjectURL(url), 0);
+        // M3U has no date fields, so only JSON and CSV exports mention missing dates.
+        const undatedNote = exported.undatedPlaylistCount > 0 && transferFormatSelect.value !== 'm3u'
+            ? ` YouTube did not show when videos were added in ${exported.undatedPlaylistCount} playlist(s), so those only have the date-added order.`
+            : '';
+        setTransferStatus(
+            `Exported ${exported.videoCount} video(s) from ${playlists.length} playlist(s) to ${exported.filename}.${undatedNote}`,
+            STATUS_KIND.SUCCESS
+        );
+    } catch (error) {
+        setTransferStatus(error instanceof Error ? error.message : 'Failed to export playlists.', STATUS_KIND.ERROR);
+        throw error;
+    } finally {
+        transferBusy = false;
+        updateTransferModalState();
+    }
+}
+
+/**
+ * Recreate the playlists in the chosen file. Videos the file marks as
+ * unavailable are skipped, and both those and videos YouTube refused are listed.
+ */
+async function importPlaylistsFromFile() {
+    const file = transferFileInput?.files?.[0];
+    if (transferBusy || !file) {
+        return;
+    }
+    transferBusy = true;
+    renderTransferResults([]);
+    updateTransferModalState();
+    setTransferStatus(`Reading ${file.name}...`, STATUS_KIND.INFO);
+
+    const reported = [];
+    let createdCount = 0;
+    let addedCount = 0;
+    try {
+        const playlists = parsePlaylistFile(await file.text(), file.name);
+        for (let index = 0; index < playlists.length; index += 1) {
+            const playlist = playlists[index];
+            const title = playlist.title.slice(0, PLAYLIST_TITLE_MAX_LENGTH);
+            const titleById = new Map(playlist.videos.map((video) => [video.videoId, video.title]));
+            playlist.videos
+                .filter((video) => !video.available)
+                .forEach((video) => reported.push({ ...video, reason: `${title}: unavailable, skipped` }));
+            const videoIds = Array.from(new Set(
+                playlist.videos.filter((video) => video.available).map((video) => video.videoId)
+            ));
+            if (videoIds.length === 0) {
+                continue;
+            }
+
+            const prefix = playlists.length > 1 ? `Creating ${index + 1} of ${playlists.length}: ${title}` : `Creating ${title}`;
+            setTransferStatus(`${prefix}...`, STATUS_KIND.INFO);
+            const response = await sendBridgeRequest(ACTIONS.CREATE_PLAYLIST_AND_ADD, {
+                title,
+                privacyStatus: transferPrivacySelect.value,
+                collaborate: false,
+                videoIds
+            }, (progress) => {
+                if (progress) {
+                    setTransferStatus(`${prefix}... ${progress.processed}/${progress.total}`, STATUS_KIND.INFO);
+                }
+            });
+            createdCount += 1;
+            addedCount += Number(response?.addedCount) || 0;
+            (Array.isArray(response?.failures) ? response.failures : []).forEach((failure) => {
+                (failure.videoIds || []).forEach((videoId) => reported.push({
+                    videoId,
+                    title: titleById.get(videoId) || '',
+                    reason: `${title}: ${failure.error || 'could not be added'}`
+                }));
+            });
+        }
+
+        lastPlaylistProbeVideoId = '';
+        playlistOptions = [];
+        renderTransferResults(reported);
+        const message = `Created ${createdCount} playlist(s) with ${addedCount} video(s).`
+            + (reported.length > 0 ? ` ${reported.length} video(s) were skipped or failed.` : '');
+        setTransferStatus(message, reported.length > 0 || createdCount === 0 ? STATUS_KIND.INFO : STATUS_KIND.SUCCESS);
+        showBottomNotification(message, reported.length > 0 ? STATUS_KIND.INFO : STATUS_KIND.SUCCESS);
+        transferFileInput.value = '';
+    } catch (error) {
+        renderTransferResults(reported);
+        const message = error instanceof Error ? error.message : 'Failed to import playlists.';
+        setTransferStatus(createdCount > 0 ? `Created ${createdCount} playlist(s), then failed: ${message}` : message, STATUS_KIND.ERROR);
+        throw error;
+    } finally {
+        transferBusy = false;
+        updateTransferModalState();
+    }
+}
+
 /**
  * Handle "remove from playlist" action click.
  * @param {MouseEvent} event
@@ -4476,6 +5646,15 @@ function cleanup() {
     if (splitBackdrop) {
         splitBackdrop.remove();
     }
+    if (reorderBackdrop) {
+        reorderBackdrop.remove();
+    }
+    if (dedupeBackdrop) {
+        dedupeBackdrop.remove();
+    }
+    if (transferBackdrop) {
+        transferBackdrop.remove();
+    }
 
     actionBar = null;
     actionCount = null;
@@ -4500,6 +5679,44 @@ function cleanup() {
     splitCountInput = null;
     splitStatus = null;
     splitSubmitting = false;
+    reorderBackdrop = null;
+    reorderModal = null;
+    reorderModeList = null;
+    reorderPreview = null;
+    reorderStatus = null;
+    reorderApplyButton = null;
+    reorderItems = [];
+    reorderTarget = [];
+    reorderMoves = [];
+    reorderLoading = false;
+    reorderSubmitting = false;
+    dedupeBackdrop = null;
+    dedupeInfo = null;
+    dedupeOptions = null;
+    dedupeWithinInput = null;
+    dedupeAcrossInput = null;
+    dedupeKeepSelect = null;
+    dedupePriorityList = null;
+    dedupeResults = null;
+    dedupeStatus = null;
+    dedupeApplyButton = null;
+    dedupePlaylists = [];
+    dedupeGroups = [];
+    dedupePriority = [];
+    dedupePlan = { removals: [], keptSetVideoIds: new Set() };
+    dedupeScanning = false;
+    dedupeSubmitting = false;
+    transferBackdrop = null;
+    transferInfo = null;
+    transferFormatSelect = null;
+    transferScopeSelect = null;
+    transferExportButton = null;
+    transferFileInput = null;
+    transferPrivacySelect = null;
+    transferImportButton = null;
+    transferResults = null;
+    transferStatus = null;
+    transferBusy = false;
     createTitleInput = null;
     createVisibilityButton = null;
     createVisibilityValue = null;
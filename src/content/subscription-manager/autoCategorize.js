@@ -0,0 +1,120 @@
+/**
+ * Prompt building and response parsing for model-assisted channel categorization.
+ */
+
+import { fetchChannelFeedEntries } from './channelFeed.js';
+
+export const AUTO_CATEGORIZE_BATCH_SIZE = 25;
+export const RECENT_UPLOAD_TITLE_LIMIT = 3;
+
+const PROMPT_TITLE_MAX_LENGTH = 120;
+
+/**
+ * Read the latest upload titles of a channel from its public RSS feed.
+ * Failures resolve to an empty list; titles only sharpen the prompt.
+ * @param {string} channelId
+ * @param {number} [limit]
+ * @returns {Promise<string[]>}
+ */
+export async function fetchRecentUploadTitles(channelId, limit = RECENT_UPLOAD_TITLE_LIMIT) {
+    const entries = await fetchChannelFeedEntries(channelId);
+    return (entries || [])
+        .map((entry) => entry.title)
+        .filter(Boolean)
+        .slice(0, limit);
+}
+
+/**
+ * Trim a value for the prompt.
+ * @param {any} value
+ * @returns {string}
+ */
+function clipPromptText(value) {
+    return typeof value === 'string' ? value.trim().slice(0, PROMPT_TITLE_MAX_LENGTH) : '';
+}
+
+/**
+ * Build the categorization prompt for one batch of channels.
+ * @param {{channelId: string, title: string, handle: string, recentTitles: string[]}[]} batch
+ * @param {string[]} categoryNames
+ * @returns {string}
+ */
+export function buildAutoCategorizePrompt(batch, categoryNames) {
+    const channelsPayload = batch.map((channel) => ({
+        channelId: channel.channelId,
+        title: clipPromptText(channel.title),
+        handle: clipPromptText(channel.handle),
+        recentUploads: (channel.recentTitles || []).map(clipPromptText).filter(Boolean)
+    }));
+
+    return [
+        'You sort YouTube channels into categories.',
+        categoryNames.length > 0
+            ? `Existing categories: ${JSON.stringify(categoryNames)}. Prefer these exact names.`
+            : 'There are no categories yet.',
+        'Suggest a new short category name (1-3 words) only when no existing category fits.',
+        'Skip a channel when you cannot tell what it is about.',
+        'Answer with JSON only, no prose, in this shape:',
+        '{"assignments":[{"channelId":"UC...","category":"Name"}]}',
+        `Channels: ${JSON.stringify(channelsPayload)}`
+    ].join('\n');
+}
+
+/**
+ * Pull the first JSON value out of a model reply (handles code fences and prose).
+ * @param {string} text
+ * @returns {any}
+ */
+function extractJson(text) {
+    const source = typeof text === 'string' ? text.replace(/```(?:json)?/gi, '') : '';
+    const start = source.search(/[[{]/);
+    if (start < 0) {
+        return null;
+    }
+    const end = Math.max(source.lastIndexOf('}'), source.lastIndexOf(']'));
+    try {
+        return JSON.parse(source.slice(start, end + 1));
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * Turn a model reply into suggestions for channels of the batch.
+ * Category names are matched to existing categories case-insensitively;
+ * unmatched names are returned as new categories.
+ * @param {string} text
+ * @param {{channelId: string}[]} batch
+ * @param {{id: string, name: string}[]} existingCategories
+ * @returns {{channelId: string, categoryId: string, categoryName: string, isNew: boolean}[]}
+ */
+export function parseAutoCategorizeSuggestions(text, batch, existingCategories) {
+    const parsed = extractJson(text);
+    const list = Array.isArray(parsed) ? parsed : parsed?.assignments;
+    if (!Array.isArray(list)) {
+        throw new Error('The model reply did not contain category assignments.');
+    }
+
+    const batchIds = new Set(batch.map((channel) => channel.channelId));
+    const categoriesByName = new Map(existingCategories.map((category) => [category.name.toLowerCase(), category]));
+    const seen = new Set();
+    const suggestions = [];
+
+    list.forEach((entry) => {
+        const channelId = typeof entry?.channelId === 'string' ? entry.channelId.trim() : '';
+        const name = typeof entry?.category === 'string' ? entry.category.trim().slice(0, 40) : '';
+        if (!batchIds.has(channelId) || !name || seen.has(channelId)) {
+            return;
+        }
+        seen.add(channelId);
+        const existing = categoriesByName.get(name.toLowerCase());
+        suggestions.push({
+            channelId,
+            categoryId: existing?.id || '',
+            categoryName: existing?.name || name,
+            isNew: !existing
+        });
+    });
+
+    return suggestions;
+}
@@ -0,0 +1,45 @@
+/**
+ * Public per-channel upload feed (RSS), used where the subscriptions API has no upload data.
+ */
+
+const CHANNEL_FEED_URL = 'https://www.youtube.com/feeds/videos.xml?channel_id=';
+const CHANNEL_FEED_TIMEOUT_MS = 8000;
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{20,}$/;
+
+/**
+ * Read the latest uploads of a channel, newest first.
+ * The feed lists about 15 recent videos, Shorts included.
+ * @param {string} channelId
+ * @returns {Promise<{title: string, publishedAt: number}[] | null>} null when the feed could not be read
+ */
+export async function fetchChannelFeedEntries(channelId) {
+    if (!CHANNEL_ID_PATTERN.test(channelId || '')) {
+        return null;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CHANNEL_FEED_TIMEOUT_MS);
+    try {
+        const response = await fetch(`${CHANNEL_FEED_URL}${encodeURIComponent(channelId)}`, {
+            credentials: 'omit',
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            return null;
+        }
+        const xml = new DOMParser().parseFromString(await response.text(), 'text/xml');
+        if (xml.querySelector('parsererror')) {
+            return null;
+        }
+        return Array.from(xml.querySelectorAll('entry'))
+            .map((entry) => ({
+                title: (entry.querySelector('title')?.textContent || '').trim(),
+                publishedAt: Date.parse(entry.querySelector('published')?.textContent || '') || 0
+            }))
+            .sort((a, b) => b.publishedAt - a.publishedAt);
+    } catch (_error) {
+        return null;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Fuzzy text search and combinable filters for the Subscription Manager list.
+ */
+
+const MAX_INACTIVE_DAYS = 3650;
+const MAX_COUNT_INPUT_LENGTH = 16;
+
+// Field weights: a title hit ranks above the same hit in a handle or category name.
+const FIELD_WEIGHTS = {
+    title: 1,
+    handle: 0.9,
+    category: 0.7
+};
+
+export const DEFAULT_CHANNEL_FILTERS = Object.freeze({
+    includeCategoryIds: [],
+    excludeCategoryIds: [],
+    minSubscribers: '',
+    maxSubscribers: '',
+    minVideos: '',
+    maxVideos: '',
+    inactiveDays: 0
+});
+
+/**
+ * Lowercase text and strip diacritics so "Cafe" finds "Café".
+ * @param {any} value
+ * @returns {string}
+ */
+export function normalizeSearchText(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Split a query into normalized tokens. Every token must match for a channel to show.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function tokenizeSearchQuery(query) {
+    return normalizeSearchText(query)
+        .split(/\s+/)
+        .map((token) => token.replace(/^@/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Check whether the character at index starts a word.
+ * @param {string} text
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isWordStart(text, index) {
+    return index === 0 || /[\s\-_.@/|:&]/.test(text[index - 1]);
+}
+
+/**
+ * Score one token against one text. Substrings score highest; otherwise the
+ * token's characters must appear in order within a short span (so "mkbhd"
+ * finds "MKBHD Clips" and "lnus" finds "Linus Tech Tips").
+ * @param {string} token
+ * @param {string} text
+ * @returns {number} 0 when the token does not match
+ */
+export function scoreFuzzyToken(token, text) {
+    if (!token || !text) {
+        return 0;
+    }
+
+    const index = text.indexOf(token);
+    if (index >= 0) {
+        let score = 100;
+        if (index === 0) {
+            score += 40;
+        } else if (isWordStart(text, index)) {
+            score += 25;
+        }
+        if (token.length === text.length) {
+            score += 40;
+        }
+        return score - Math.min(20, text.length - token.length);
+    }
+
+    if (token.length < 2) {
+        return 0;
+    }
+
+    let score = 0;
+    let textIndex = 0;
+    let firstMatch = -1;
+    let previousMatch = -1;
+    for (const char of token) {
+        const found = text.indexOf(char, textIndex);
+        if (found < 0) {
+            return 0;
+        }
+        if (firstMatch < 0) {
+            firstMatch = found;
+        }
+        score += 4;
+        if (found === previousMatch + 1) {
+            score += 4;
+        }
+        if (isWordStart(text, found)) {
+            score += 6;
+        }
+        previousMatch = found;
+        textIndex = found + 1;
+    }
+
+    const span = previousMatch - firstMatch + 1;
+    if (span > token.length * 3 + 2) {
+        return 0;
+    }
+    return Math.max(1, Math.min(90, score - (span - token.length)));
+}
+
+/**
+ * Score a channel against query tokens.
+ * @param {string[]} tokens
+ * @param {{title?: string, handle?: string, categoryNames?: string[]}} fields
+ * @returns {number} 0 when any token is missing from every field
+ */
+export function scoreChannelSearch(tokens, fields) {
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+        return 1;
+    }
+
+    const candidates = [
+        [normalizeSearchText(fields.title), FIELD_WEIGHTS.title],
+        [normalizeSearchText(fields.handle).replace(/^@/, ''), FIELD_WEIGHTS.handle],
+        ...(fields.categoryNames || []).map((name) => [normalizeSearchText(name), FIELD_WEIGHTS.category])
+    ].filter(([text]) => text);
+
+    let total = 0;
+    for (const token of tokens) {
+        let best = 0;
+        candidates.forEach(([text, weight]) => {
+            best = Math.max(best, scoreFuzzyToken(token, text) * weight);
+        });
+        if (best <= 0) {
+            return 0;
+        }
+        total += best;
+    }
+    return total;
+}
+
+/**
+ * Normalize a count bound typed by the user ("10k", "1.5M", "250").
+ * @param {any} value
+ * @returns {string}
+ */
+function normalizeCountInput(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    return typeof value === 'string' ? value.trim().slice(0, MAX_COUNT_INPUT_LENGTH) : '';
+}
+
+/**
+ * Normalize a list of category IDs.
+ * @param {any} value
+ * @returns {string[]}
+ */
+function normalizeCategoryIdList(value) {
+    if (!Array.isArray(value)) {
+        return [];
+    }
+    return Array.from(new Set(value.filter((id) => typeof id === 'string' && id)));
+}
+
+/**
+ * Normalize stored or edited filter state.
+ * @param {any} raw
+ * @returns {{includeCategoryIds: string[], excludeCategoryIds: string[], minSubscribers: string, maxSubscribers: string, minVideos: string, maxVideos: string, inactiveDays: number}}
+ */
+export function normalizeChannelFilters(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const includeCategoryIds = normalizeCategoryIdList(source.includeCategoryIds);
+    const excludeCategoryIds = normalizeCategoryIdList(source.excludeCategoryIds)
+        .filter((id) => !includeCategoryIds.includes(id));
+    const days = Math.floor(Number(source.inactiveDays));
+
+    return {
+        includeCategoryIds,
+        excludeCategoryIds,
+        minSubscribers: normalizeCountInput(source.minSubscribers),
+        maxSubscribers: normalizeCountInput(source.maxSubscribers),
+        minVideos: normalizeCountInput(source.minVideos),
+        maxVideos: normalizeCountInput(source.maxVideos),
+        inactiveDays: Number.isFinite(days) && days > 0 ? Math.min(days, MAX_INACTIVE_DAYS) : 0
+    };
+}
+
+/**
+ * Drop category IDs that no longer exist.
+ * @param {ReturnType<typeof normalizeChannelFilters>} filters
+ * @param {Set<string>} validCategoryIds
+ * @returns {ReturnType<typeof normalizeChannelFilters>}
+ */
+export function pruneChannelFilterCategories(filters, validCategoryIds) {
+    return {
+        ...filters,
+        includeCategoryIds: filters.includeCategoryIds.filter((id) => validCategoryIds.has(id)),
+        excludeCategoryIds: filters.excludeCategoryIds.filter((id) => validCategoryIds.has(id))
+    };
+}
+
+/**
+ * Count active filter conditions.
+ * @param {ReturnType<typeof normalizeChannelFilters>} filters
+ * @returns {number}
+ */
+export function countActiveChannelFilters(filters) {
+    return filters.includeCategoryIds.length
+        + filters.excludeCategoryIds.length
+        + [filters.minSubscribers, filters.maxSubscribers, filters.minVideos, filters.maxVideos]
+            .filter(Boolean).length
+        + (filters.inactiveDays > 0 ? 1 : 0);
+}
+
+/**
+ * Cycle a category through required -> excluded -> ignored.
+ * @param {ReturnType<typeof normalizeChannelFilters>} filters
+ * @param {string} categoryId
+ * @returns {ReturnType<typeof normalizeChannelFilters>}
+ */
+export function cycleCategoryFilter(filters, categoryId) {
+    const included = filters.includeCategoryIds.includes(categoryId);
+    const excluded = filters.excludeCategoryIds.includes(categoryId);
+    const includeCategoryIds = filters.includeCategoryIds.filter((id) => id !== categoryId);
+    const excludeCategoryIds = filters.excludeCategoryIds.filter((id) => id !== categoryId);
+
+    if (!included && !excluded) {
+        includeCategoryIds.push(categoryId);
+    } else if (included) {
+        excludeCategoryIds.push(categoryId);
+    }
+    return { ...filters, includeCategoryIds, excludeCategoryIds };
+}
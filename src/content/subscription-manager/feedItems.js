@@ -0,0 +1,52 @@
+/**
+ * Video items on the native subscriptions feed and the channel each one belongs to.
+ */
+
+export const SUBSCRIPTIONS_FEED_SELECTOR = 'ytd-browse[page-subtype="subscriptions"], ytd-browse[browse-id="FEsubscriptions"]';
+export const FEED_ITEM_SELECTOR = [
+    'ytd-rich-item-renderer',
+    'ytd-video-renderer',
+    'ytd-grid-video-renderer'
+].join(', ');
+
+const CHANNEL_LINK_SELECTOR = [
+    'a[href^="/@"]',
+    'a[href^="/channel/"]',
+    'a[href^="/c/"]',
+    'a[href^="/user/"]'
+].join(', ');
+
+/**
+ * Return the visible subscriptions feed root, if any.
+ * YouTube keeps earlier browse pages in the DOM with the hidden attribute.
+ * @returns {Element|null}
+ */
+export function getSubscriptionsFeedRoot() {
+    const roots = document.querySelectorAll(SUBSCRIPTIONS_FEED_SELECTOR);
+    for (const root of roots) {
+        if (root.isConnected && !root.hasAttribute('hidden')) {
+            return root;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the channel identity of a feed item from its byline or avatar link.
+ * @param {Element} item
+ * @returns {{channelId: string, handle: string, url: string} | null}
+ */
+export function readFeedItemIdentity(item) {
+    const href = item?.querySelector(CHANNEL_LINK_SELECTOR)?.getAttribute('href') || '';
+    if (!href) {
+        return null;
+    }
+    const path = href.split(/[?#]/)[0];
+    const handleMatch = path.match(/^\/(@[^/]+)/);
+    const channelMatch = path.match(/^\/channel\/(UC[A-Za-z0-9_-]+)/);
+    return {
+        channelId: channelMatch ? channelMatch[1] : '',
+        handle: handleMatch ? decodeURIComponent(handleMatch[1]) : '',
+        url: path
+    };
+}
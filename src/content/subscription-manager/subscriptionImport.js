@@ -0,0 +1,175 @@
+/**
+ * Read subscription lists exported by this extension, Google Takeout or
+ * OPML-based apps (NewPipe, FreeTube) into channel entries.
+ */
+
+import { parseCsvLine } from '../../shared/csv.js';
+
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+const CHANNEL_ID_IN_TEXT_PATTERN = /(?:channel_id=|\/channel\/)(UC[A-Za-z0-9_-]{22})/;
+const HANDLE_IN_URL_PATTERN = /youtube\.com\/(@[^/?#\s]+)|^\/(@[^/?#\s]+)/;
+const LEGACY_URL_PATTERN = /(?:youtube\.com)?(\/(?:c|user)\/[^/?#\s]+)/;
+
+export const IMPORT_FORMAT_LABELS = Object.freeze({
+    csv: 'The CSV export',
+    takeout: 'The Google Takeout file',
+    opml: 'The OPML file'
+});
+
+/**
+ * Pull a channel ID out of a bare ID, a channel URL or an RSS feed URL.
+ * @param {string} value
+ * @returns {string}
+ */
+function readChannelId(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (CHANNEL_ID_PATTERN.test(text)) {
+        return text;
+    }
+    const match = text.match(CHANNEL_ID_IN_TEXT_PATTERN);
+    return match ? match[1] : '';
+}
+
+/**
+ * Pull an @handle out of a channel URL.
+ * @param {string} value
+ * @returns {string}
+ */
+function readHandle(value) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    const match = text.match(HANDLE_IN_URL_PATTERN);
+    if (!match) {
+        return '';
+    }
+    try {
+        return decodeURIComponent(match[1] || match[2]);
+    } catch (_error) {
+        return match[1] || match[2];
+    }
+}
+
+/**
+ * Pull a legacy /c/ or /user/ path out of a channel URL.
+ * @param {string} value
+ * @returns {string}
+ */
+function readLegacyPath(value) {
+    const match = (typeof value === 'string' ? value.trim() : '').match(LEGACY_URL_PATTERN);
+    return match ? match[1] : '';
+}
+
+/**
+ * Build an entry from the values a row or outline offers.
+ * @param {string[]} values Candidate IDs and URLs, most reliable first.
+ * @param {string} title
+ * @returns {{channelId: string, handle: string, url: string, title: string} | null}
+ */
+function buildEntry(values, title) {
+    let channelId = '';
+    let handle = '';
+    let url = '';
+    values.forEach((value) => {
+        channelId = channelId || readChannelId(value);
+        handle = handle || readHandle(value);
+        url = url || readLegacyPath(value);
+    });
+    if (!channelId && !handle && !url) {
+        return null;
+    }
+    return {
+        channelId,
+        handle,
+        url: handle ? `/${handle}` : url,
+        title: typeof title === 'string' ? title.trim() : ''
+    };
+}
+
+/**
+ * Parse OPML outlines. Both NewPipe and FreeTube point xmlUrl at the channel RSS feed.
+ * @param {string} text
+ * @returns {Array<{channelId: string, handle: string, url: string, title: string}|null>}
+ */
+function parseOpml(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('The OPML file could not be read.');
+    }
+    // Folder outlines carry no URL; only channel outlines are read.
+    return Array.from(doc.querySelectorAll('outline[xmlUrl], outline[htmlUrl]')).map((outline) => buildEntry(
+        [outline.getAttribute('xmlUrl') || '', outline.getAttribute('htmlUrl') || ''],
+        outline.getAttribute('title') || outline.getAttribute('text') || ''
+    ));
+}
+
+/**
+ * Parse CSV rows. Takeout uses "Channel Id,Channel Url,Channel Title"; the
+ * extension uses "channel_url,category,rules" and leaves the URL empty on
+ * category rows, which are skipped here.
+ * @param {string[]} lines
+ * @param {string[]} header Lowercased header cells.
+ * @returns {Array<{channelId: string, handle: string, url: string, title: string}|null>}
+ */
+function parseCsvRows(lines, header) {
+    const idIndex = header.indexOf('channel id');
+    const urlIndex = header.findIndex((cell) => cell === 'channel url' || cell === 'channel_url');
+    const titleIndex = header.indexOf('channel title');
+    return lines.flatMap((line) => {
+        const cells = parseCsvLine(line);
+        const values = [
+            idIndex >= 0 ? cells[idIndex] : '',
+            urlIndex >= 0 ? cells[urlIndex] : ''
+        ];
+        if (values.every((value) => !(value || '').trim())) {
+            return [];
+        }
+        return [buildEntry(values, titleIndex >= 0 ? cells[titleIndex] : '')];
+    });
+}
+
+/**
+ * Parse an import file into unique channel entries.
+ * @param {string} text
+ * @returns {{format: 'csv'|'takeout'|'opml', entries: Array<{channelId: string, handle: string, url: string, title: string}>, skipped: number}}
+ */
+export function parseSubscriptionImport(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+    let format = '';
+    let rows = [];
+
+    if (/^<\?xml|<opml[\s>]/i.test(content.slice(0, 500))) {
+        format = 'opml';
+        rows = parseOpml(content);
+    } else {
+        const lines = content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+        const header = lines.length > 0 ? parseCsvLine(lines[0]).map((cell) => cell.trim().toLowerCase()) : [];
+        if (header.includes('channel id')) {
+            format = 'takeout';
+        } else if (header.includes('channel_url')) {
+            format = 'csv';
+        }
+        if (format) {
+            rows = parseCsvRows(lines.slice(1), header);
+        }
+    }
+
+    if (!format) {
+        throw new Error('Unrecognized file. Use the extension CSV, Google Takeout subscriptions.csv or an OPML export.');
+    }
+
+    const seen = new Set();
+    const entries = [];
+    let skipped = 0;
+    rows.forEach((entry) => {
+        if (!entry) {
+            skipped += 1;
+            return;
+        }
+        const key = entry.channelId || entry.url.toLowerCase();
+        if (seen.has(key)) {
+            return;
+        }
+        seen.add(key);
+        entries.push(entry);
+    });
+    return { format, entries, skipped };
+}
@@ -0,0 +1,112 @@
+/**
+ * Bounded undo history for Subscription Manager bulk actions.
+ * Entries record the values a change replaced, so undoing one only touches
+ * the categories, assignments and channels that change wrote.
+ */
+
+/**
+ * @typedef {object} UndoEntry
+ * @property {string} label Shown in the undo toast.
+ * @property {Array<{id: string, index: number, before: object|null}>} categories
+ *   Category state before the change; null when the change created it.
+ * @property {Array<{key: string, before: string[]|null}>} assignments
+ *   Assignment list before the change; null when the channel had none.
+ * @property {object[]} [channels] Channels removed by an unsubscribe.
+ */
+
+/**
+ * Create an undo stack that keeps only the most recent entries.
+ * @param {number} limit
+ * @returns {{push: (entry: UndoEntry) => void, pop: () => UndoEntry|null, peek: () => UndoEntry|null, size: () => number}}
+ */
+export function createUndoStack(limit) {
+    const entries = [];
+    return {
+        push(entry) {
+            entries.push(entry);
+            if (entries.length > limit) {
+                entries.shift();
+            }
+        },
+        pop() {
+            return entries.pop() || null;
+        },
+        peek() {
+            return entries[entries.length - 1] || null;
+        },
+        size() {
+            return entries.length;
+        }
+    };
+}
+
+/**
+ * Capture assignment lists before they change.
+ * @param {Record<string, string[]>} assignments
+ * @param {string[]} keys
+ * @returns {Array<{key: string, before: string[]|null}>}
+ */
+export function captureAssignments(assignments, keys) {
+    return Array.from(new Set(keys)).map((key) => ({
+        key,
+        before: Array.isArray(assignments[key]) ? assignments[key].slice() : null
+    }));
+}
+
+/**
+ * Capture categories before they change or are deleted.
+ * @param {Array<{id: string}>} categories
+ * @param {string[]} ids
+ * @returns {Array<{id: string, index: number, before: object|null}>}
+ */
+export function captureCategories(categories, ids) {
+    return Array.from(new Set(ids)).map((id) => {
+        const index = categories.findIndex((category) => category.id === id);
+        return {
+            id,
+            index,
+            before: index >= 0 ? { ...categories[index] } : null
+        };
+    });
+}
+
+/**
+ * Put captured categories back into a list.
+ * @param {Array<{id: string}>} categories
+ * @param {UndoEntry['categories']} captured
+ * @returns {Array<object>} new list
+ */
+export function restoreCategories(categories, captured) {
+    const next = categories.slice();
+    // Reinsert by ascending original index so each index is valid when used.
+    captured.slice().sort((left, right) => left.index - right.index).forEach(({ id, index, before }) => {
+        const current = next.findIndex((category) => category.id === id);
+        if (!before) {
+            if (current >= 0) {
+                next.splice(current, 1);
+            }
+            return;
+        }
+        if (current >= 0) {
+            next[current] = { ...before };
+            return;
+        }
+        next.splice(Math.min(Math.max(index, 0), next.length), 0, { ...before });
+    });
+    return next;
+}
+
+/**
+ * Put captured assignment lists back in place.
+ * @param {Record<string, string[]>} assignments
+ * @param {UndoEntry['assignments']} captured
+ */
+export function restoreAssignments(assignments, captured) {
+    captured.forEach(({ key, before }) => {
+        if (before && before.length > 0) {
+            assignments[key] = before.slice();
+        } else {
+            delete assignments[key];
+        }
+    });
+}
@@ -0,0 +1,66 @@
+/**
+ * Read-only per-channel statistics from the local watched history database.
+ */
+
+import { DB_NAME, STORE_NAME, CHANNEL_INDEX_NAME } from '../watched-history/constants.js';
+
+/**
+ * Count watched videos per channel.
+ * Only records that carry a channel ID are counted; older records gain one
+ * when the video is revisited. Resolves empty when history was never stored.
+ * @returns {Promise<Map<string, number>>}
+ */
+export function readWatchCountsByChannel() {
+    return new Promise((resolve) => {
+        const counts = new Map();
+        let request;
+        try {
+            // No version: never upgrades the schema owned by watched history.
+            request = indexedDB.open(DB_NAME);
+        } catch (_error) {
+            resolve(counts);
+            return;
+        }
+
+        request.onupgradeneeded = () => {
+            // The database does not exist yet; do not create an empty one.
+            request.transaction?.abort();
+        };
+
+        request.onerror = () => {
+            resolve(counts);
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            const hasIndex = db.objectStoreNames.contains(STORE_NAME)
+                && db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).indexNames.contains(CHANNEL_INDEX_NAME);
+            if (!hasIndex) {
+                db.close();
+                resolve(counts);
+                return;
+            }
+
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const cursorRequest = transaction.objectStore(STORE_NAME).index(CHANNEL_INDEX_NAME).openKeyCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    return;
+                }
+                if (typeof cursor.key === 'string' && cursor.key) {
+                    counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+                }
+                cursor.continue();
+            };
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(counts);
+            };
+            transaction.onerror = () => {
+                db.close();
+                resolve(counts);
+            };
+        };
+    });
+}
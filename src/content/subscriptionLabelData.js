@@ -0,0 +1,140 @@
+/**
+ * Send Subscription Manager categories to the main-world feed labels.
+ * The labels run in the page world without extension storage, so this module
+ * resolves each channel's categories here and posts them over, again whenever
+ * categories, assignments or the label setting change.
+ */
+
+import { createLogger } from './utils/logger.js';
+import { MESSAGE_TYPES } from '../shared/constants.js';
+import { formatCategoryPath } from '../shared/subscriptionCategories.js';
+import {
+    CATEGORY_INDEX_STORAGE_KEYS,
+    buildChannelCategoryIndex
+} from '../shared/channelCategoryIndex.js';
+
+const logger = createLogger('SubscriptionLabelData');
+
+const NOT_SUBSCRIBED_SETTING_KEY = 'subscriptionLabelsNotSubscribedEnabled';
+const POST_DEBOUNCE_MS = 150;
+
+let showNotSubscribed = false;
+let postTimer = null;
+let storageListener = null;
+let messageListenerAttached = false;
+
+/**
+ * Resolve label data from stored Subscription Manager state.
+ * @param {Record<string, any>} stored
+ * @returns {{categories: Array<{id: string, name: string, path: string, color: string}>, channelCategories: Record<string, string[]>, channelPaths: Record<string, string>}}
+ */
+function buildLabelData(stored) {
+    const { categories, channelCategories, channelPaths } = buildChannelCategoryIndex(stored);
+    const categoriesById = new Map(categories.map((category) => [category.id, category]));
+    const usedIds = new Set(Object.values(channelCategories).flat());
+    return {
+        categories: categories
+            .filter((category) => usedIds.has(category.id))
+            .map((category) => ({
+                id: category.id,
+                name: category.name,
+                path: formatCategoryPath(category, categoriesById),
+                color: category.color
+            })),
+        channelCategories,
+        channelPaths
+    };
+}
+
+/**
+ * Post current label data to the main world.
+ * @returns {Promise<void>}
+ */
+async function postLabelData() {
+    try {
+        const stored = await chrome.storage.local.get(Object.values(CATEGORY_INDEX_STORAGE_KEYS));
+        window.postMessage({
+            source: 'yt-commander',
+            type: MESSAGE_TYPES.SUBSCRIPTION_LABEL_DATA,
+            showNotSubscribed,
+            ...buildLabelData(stored || {})
+        }, '*');
+    } catch (error) {
+        logger.debug('Failed to send subscription label data', error);
+    }
+}
+
+/**
+ * Coalesce bursts of storage writes into one post.
+ */
+function schedulePost() {
+    if (postTimer) {
+        window.clearTimeout(postTimer);
+    }
+    postTimer = window.setTimeout(() => {
+        postTimer = null;
+        postLabelData();
+    }, POST_DEBOUNCE_MS);
+}
+
+function handleWindowMessage(event) {
+    if (event.source !== window || !event.data || typeof event.data !== 'object') {
+        return;
+    }
+    if (event.data.type !== MESSAGE_TYPES.SUBSCRIPTION_LABEL_DATA_REQUEST) {
+        return;
+    }
+    schedulePost();
+}
+
+async function loadNotSubscribedSetting() {
+    try {
+        const result = await chrome.storage.sync.get([NOT_SUBSCRIBED_SETTING_KEY]);
+        showNotSubscribed = result[NOT_SUBSCRIBED_SETTING_KEY] === true;
+    } catch (error) {
+        logger.debug('Failed to load not-subscribed label setting', error);
+        showNotSubscribed = false;
+    }
+}
+
+function attachListeners() {
+    if (!messageListenerAttached) {
+        window.addEventListener('message', handleWindowMessage);
+        messageListenerAttached = true;
+    }
+
+    if (!storageListener) {
+        storageListener = (changes, area) => {
+            if (area === 'sync' && changes[NOT_SUBSCRIBED_SETTING_KEY]) {
+                showNotSubscribed = changes[NOT_SUBSCRIBED_SETTING_KEY].newValue === true;
+                schedulePost();
+                return;
+            }
+            if (area === 'local' && Object.values(CATEGORY_INDEX_STORAGE_KEYS).some((key) => changes[key])) {
+                schedulePost();
+            }
+        };
+        chrome.storage.onChanged.addListener(storageListener);
+    }
+}
+
+function updateSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return;
+    }
+    if (Object.prototype.hasOwnProperty.call(settings, NOT_SUBSCRIBED_SETTING_KEY)) {
+        showNotSubscribed = settings[NOT_SUBSCRIBED_SETTING_KEY] === true;
+        schedulePost();
+    }
+}
+
+async function initSubscriptionLabelData() {
+    await loadNotSubscribedSetting();
+    attachListeners();
+    schedulePost();
+}
+
+export {
+    initSubscriptionLabelData,
+    updateSettings
+};
@@ -1,5 +1,6 @@
-// Subscription labels for Home/Feed (Isolated World)
+// Subscription and category labels for Home, search and watch sidebar cards (Main World)
 import { createLogger } from './utils/logger.js';
+import { MESSAGE_TYPES } from '../shared/constants.js';
 
 const logger = createLogger('SubscriptionLabels');
 
@@ -10,6 +11,10 @@ const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
 const LABEL_CLASS = 'yt-commander-subscription-label';
 const LABEL_KIND_ATTR = 'data-yt-commander-subscription-kind';
 const LABEL_KIND_SUBSCRIBED = 'subscribed';
+const LABEL_KIND_CATEGORY = 'category';
+const LABEL_KIND_NOT_SUBSCRIBED = 'not-subscribed';
+const LABEL_COLOR_VAR = '--yt-commander-label-color';
+const LABEL_CATEGORY_SEPARATOR = ' · ';
 const HOST_CLASS = 'yt-commander-subscription-host';
 const CARD_SELECTOR = 'ytd-rich-item-renderer, ytd-video-renderer, ytd-compact-video-renderer, ytd-grid-video-renderer';
 const ROW_CLASS = 'yt-content-metadata-view-model__metadata-row';
@@ -25,6 +30,9 @@ const METADATA_ROW_SELECTORS = [
 ];
 const SUBSCRIBE_PAGE_URL = 'https://www.youtube.com/feed/channels';
 const HOME_BROWSE_SELECTOR = 'ytd-browse[page-subtype="home"], ytd-browse[browse-id="FEwhat_to_watch"]';
+const SEARCH_RESULTS_SELECTOR = 'ytd-search';
+const WATCH_SIDEBAR_SELECTOR = 'ytd-watch-next-secondary-results-renderer';
+const LABEL_ROOT_SELECTOR = [HOME_BROWSE_SELECTOR, SEARCH_RESULTS_SELECTOR, WATCH_SIDEBAR_SELECTOR].join(', ');
 const MAX_CONTINUATION_PAGES = 500;
 const CONTINUATION_FETCH_DELAY_MS = 120;
 const CONTINUATION_RETRY_DELAY_MS = 4000;
@@ -35,10 +43,11 @@ const SHORTS_LOOKUP_CONCURRENCY = 3;
 const SHORTS_LOOKUP_FAIL_TTL_MS = 10 * 60 * 1000;
 const DEFER_RENDER_DELAY_MS = 260;
 const MAX_DECORATIONS_PER_FRAME = 48;
-const HOME_SCAN_BURST_DELAYS_MS = [0, 260, 900];
+const SCAN_BURST_DELAYS_MS = [0, 260, 900];
 
 let subscribedChannelIds = new Set();
 let subscribedChannelPaths = new Set();
+let subscriptionIndexComplete = false;
 let dataReady = false;
 let dataInitialized = false;
 let mutationObserver = null;
@@ -53,9 +62,13 @@ let shortsLookupPending = new Set();
 let shortsLookupInFlight = new Set();
 let shortsLookupFailures = new Map();
 let shortsLookupCards = new Map();
-let homeBootstrapped = false;
+let indexBootstrapped = false;
 let deferredRenderTimer = null;
-let homeScanBurstToken = 0;
+let scanBurstToken = 0;
+let labelCategoriesById = new Map();
+let channelCategoryIds = new Map();
+let channelIdsByPath = new Map();
+let showNotSubscribedLabels = false;
 
 function setDebugState(key, value) {
     try {
@@ -99,29 +112,30 @@ function isElementHidden(element) {
     return false;
 }
 
-function getHomeBrowseRoot() {
-    const roots = document.querySelectorAll(HOME_BROWSE_SELECTOR);
-    for (const root of roots) {
-        if (!root || !root.isConnected) {
-            continue;
-        }
-        if (isElementHidden(root)) {
-            continue;
-        }
-        return root;
+/**
+ * Check whether a label root belongs to the page on screen.
+ * @param {Element|null} root
+ * @returns {boolean}
+ */
+function isLabelRootVisible(root) {
+    if (!root || !root.isConnected || isElementHidden(root)) {
+        return false;
     }
-    return null;
+    // The watch sidebar stays in the DOM under a hidden ytd-watch-flexy after leaving the watch page.
+    const watchPage = root.closest('ytd-watch-flexy');
+    return !watchPage || !isElementHidden(watchPage);
 }
 
-function isHomeCard(card) {
-    const root = card?.closest?.(HOME_BROWSE_SELECTOR);
-    if (!root) {
-        return false;
-    }
-    if (!root.isConnected) {
-        return false;
-    }
-    return !isElementHidden(root);
+/**
+ * Find the visible page sections that get labels: Home, search results and the watch sidebar.
+ * @returns {Element[]}
+ */
+function getLabelRoots() {
+    return Array.from(document.querySelectorAll(LABEL_ROOT_SELECTOR)).filter(isLabelRootVisible);
+}
+
+function isLabelCard(card) {
+    return isLabelRootVisible(card?.closest?.(LABEL_ROOT_SELECTOR) || null);
 }
 
 function clearLabelsFromCard(card) {
@@ -796,6 +810,7 @@ async function loadSubscriptionCache() {
     const source = typeof cached?.source === 'string' ? cached.source : null;
     subscribedChannelIds = new Set(ids);
     subscribedChannelPaths = new Set(paths.map(normalizeChannelPath));
+    subscriptionIndexComplete = complete && continuations.length === 0;
     dataReady = subscribedChannelIds.size > 0 || subscribedChannelPaths.size > 0;
 
     const fresh = fetchedAt > 0 && now - fetchedAt < CACHE_TTL_MS;
@@ -850,6 +865,7 @@ async function ensureSubscriptionIndex() {
         const result = await fetchSubscribedChannels(seed);
         subscribedChannelIds = result.channelIds;
         subscribedChannelPaths = result.channelPaths;
+        subscriptionIndexComplete = result.complete === true;
         dataReady = subscribedChannelIds.size > 0 || subscribedChannelPaths.size > 0;
         await saveSubscriptionCache(
             subscribedChannelIds,
@@ -939,15 +955,43 @@ function injectStyles() {
         }
 
         ytd-browse[page-subtype="home"] .${LABEL_CLASS},
-        ytd-browse[browse-id="FEwhat_to_watch"] .${LABEL_CLASS} {
+        ytd-browse[browse-id="FEwhat_to_watch"] .${LABEL_CLASS},
+        ${SEARCH_RESULTS_SELECTOR} .${LABEL_CLASS},
+        ${WATCH_SIDEBAR_SELECTOR} .${LABEL_CLASS} {
             display: inline-flex;
         }
 
+        ${WATCH_SIDEBAR_SELECTOR} .${LABEL_CLASS} {
+            min-height: 18px;
+            padding: 0 8px;
+            margin-left: 6px;
+            font-size: 11px;
+        }
+
         .${LABEL_CLASS}[${LABEL_KIND_ATTR}='${LABEL_KIND_SUBSCRIBED}'] {
             background: rgba(22, 127, 74, 0.28);
             color: #d9f9e7;
             border-color: rgba(95, 220, 163, 0.5);
         }
+
+        .${LABEL_CLASS}[${LABEL_KIND_ATTR}='${LABEL_KIND_CATEGORY}'] {
+            ${LABEL_COLOR_VAR}: #5fdca3;
+            max-width: 220px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            text-transform: none;
+            letter-spacing: 0;
+            background: color-mix(in srgb, var(${LABEL_COLOR_VAR}) 30%, rgba(0, 0, 0, 0.36));
+            color: #f1f1f1;
+            border-color: color-mix(in srgb, var(${LABEL_COLOR_VAR}) 70%, transparent);
+        }
+
+        .${LABEL_CLASS}[${LABEL_KIND_ATTR}='${LABEL_KIND_NOT_SUBSCRIBED}'] {
+            background: transparent;
+            color: rgba(241, 241, 241, 0.7);
+            border-color: rgba(255, 255, 255, 0.18);
+            border-style: dashed;
+        }
     `;
 
     document.head.appendChild(style);
@@ -958,7 +1002,7 @@ function injectStyles() {
  * @returns {boolean}
  */
 function isEligiblePage() {
-    return Boolean(getHomeBrowseRoot());
+    return getLabelRoots().length > 0;
 }
 
 /**
@@ -1201,7 +1245,86 @@ function ensureLabel(anchor, hostOverride = null) {
 }
 
 /**
- * Decorate a card with subscription label.
+ * Read the Subscription Manager categories of a channel.
+ * @param {string|null} channelId
+ * @param {string|null} channelPath
+ * @returns {Array<{name: string, path: string, color: string}>}
+ */
+function readChannelCategories(channelId, channelPath) {
+    const resolvedId = channelId || (channelPath ? channelIdsByPath.get(channelPath) : '') || '';
+    const ids = resolvedId ? channelCategoryIds.get(resolvedId) : null;
+    if (!ids) {
+        return [];
+    }
+    return ids.map((id) => labelCategoriesById.get(id)).filter(Boolean);
+}
+
+/**
+ * Choose what a card label shows.
+ * @param {string|null} channelId
+ * @param {string|null} channelPath
+ * @param {boolean} subscribed
+ * @returns {{kind: string, text: string, title: string, color: string}|null} null when the card gets no label
+ */
+function resolveLabelContent(channelId, channelPath, subscribed) {
+    if (!subscribed) {
+        // An incomplete index would mark channels it has not reached yet as not subscribed.
+        if (!showNotSubscribedLabels || !subscriptionIndexComplete) {
+            return null;
+        }
+        return { kind: LABEL_KIND_NOT_SUBSCRIBED, text: 'Not subscribed', title: '', color: '' };
+    }
+
+    const channelCategories = readChannelCategories(channelId, channelPath);
+    if (channelCategories.length === 0) {
+        return { kind: LABEL_KIND_SUBSCRIBED, text: 'Subscribed', title: '', color: '' };
+    }
+    return {
+        kind: LABEL_KIND_CATEGORY,
+        text: channelCategories.map((category) => category.name).join(LABEL_CATEGORY_SEPARATOR),
+        title: channelCategories.map((category) => category.path).join(', '),
+        color: channelCategories[0].color
+    };
+}
+
+/**
+ * Show label content on a card, or remove its label when there is none.
+ * @param {Element} card
+ * @param {Element|null} anchor
+ * @param {Element|null} host
+ * @param {ReturnType<typeof resolveLabelContent>} content
+ * @returns {boolean} True when a label is shown.
+ */
+function renderLabel(card, anchor, host, content) {
+    if (!content) {
+        const existing = card.querySelector(`.${LABEL_CLASS}`);
+        if (existing) {
+            existing.remove();
+        }
+        return false;
+    }
+
+    const label = ensureLabel(anchor, host);
+    if (!label) {
+        return false;
+    }
+    label.setAttribute(LABEL_KIND_ATTR, content.kind);
+    label.textContent = content.text;
+    if (content.title) {
+        label.title = content.title;
+    } else {
+        label.removeAttribute('title');
+    }
+    if (content.color) {
+        label.style.setProperty(LABEL_COLOR_VAR, content.color);
+    } else {
+        label.style.removeProperty(LABEL_COLOR_VAR);
+    }
+    return true;
+}
+
+/**
+ * Decorate a card with its subscription or category label.
  * @param {Element} card
  * @returns {boolean} True when processed; false when deferred to protect hover preview.
  */
@@ -1210,7 +1333,7 @@ function decorateCard(card) {
         return true;
     }
 
-    if (!isHomeCard(card)) {
+    if (!isLabelCard(card)) {
         clearLabelsFromCard(card);
         return true;
     }
@@ -1233,13 +1356,7 @@ function decorateCard(card) {
             const cachedChannelId = shortsChannelCache.get(shortsVideoId);
             if (cachedChannelId) {
                 const subscribed = subscribedChannelIds.has(cachedChannelId);
-                if (subscribed) {
-                    const label = ensureLabel(anchor, host);
-                    if (label) {
-                        label.setAttribute(LABEL_KIND_ATTR, LABEL_KIND_SUBSCRIBED);
-                        label.textContent = 'Subscribed';
-                    }
-                }
+                renderLabel(card, anchor, host, resolveLabelContent(cachedChannelId, null, subscribed));
                 return true;
             }
             enqueueShortsLookup(shortsVideoId, card);
@@ -1251,23 +1368,17 @@ function decorateCard(card) {
         || (channelPath && subscribedChannelPaths.has(channelPath));
 
     if (!isSubscribed) {
-        const existing = card.querySelector(`.${LABEL_CLASS}`);
-        if (existing) {
-            existing.remove();
-        }
         const shortsVideoId = getShortsVideoId(card);
         if (shortsVideoId && !shortsChannelCache.has(shortsVideoId)) {
+            renderLabel(card, anchor, host, null);
             enqueueShortsLookup(shortsVideoId, card);
+            return true;
         }
-        return true;
     }
 
-    const label = ensureLabel(anchor, host);
-    if (!label) {
+    if (!renderLabel(card, anchor, host, resolveLabelContent(channelId, channelPath, Boolean(isSubscribed)))) {
         return true;
     }
-    label.setAttribute(LABEL_KIND_ATTR, LABEL_KIND_SUBSCRIBED);
-    label.textContent = 'Subscribed';
     renderedCount += 1;
     try {
         document.documentElement.setAttribute('data-yt-commander-subs-rendered', String(renderedCount));
@@ -1421,15 +1532,15 @@ function queueCards(cards) {
  * Scan current page for cards.
  */
 function scanVisibleCards() {
-    const homeRoot = getHomeBrowseRoot();
-    if (!homeRoot) {
+    const roots = getLabelRoots();
+    if (roots.length === 0) {
         clearLabels();
         pendingCards.clear();
         clearDeferredRenderTimer();
         return;
     }
-    if (!homeBootstrapped) {
-        homeBootstrapped = true;
+    if (!indexBootstrapped) {
+        indexBootstrapped = true;
         ensureSubscriptionIndex().then(() => {
             setDebugState('dataReady', dataReady);
             setDebugState('subscriptionCounts', {
@@ -1447,7 +1558,7 @@ function scanVisibleCards() {
         return;
     }
 
-    const cards = homeRoot.querySelectorAll(CARD_SELECTOR);
+    const cards = roots.flatMap((root) => Array.from(root.querySelectorAll(CARD_SELECTOR)));
     if (cards.length > 0) {
         try {
             document.documentElement.setAttribute('data-yt-commander-subs-cards', String(cards.length));
@@ -1461,12 +1572,12 @@ function scanVisibleCards() {
 /**
  * Schedule a short burst of scans around navigation/hydration updates.
  */
-function scheduleHomeScanBurst() {
-    homeScanBurstToken += 1;
-    const token = homeScanBurstToken;
-    HOME_SCAN_BURST_DELAYS_MS.forEach((delayMs) => {
+function scheduleScanBurst() {
+    scanBurstToken += 1;
+    const token = scanBurstToken;
+    SCAN_BURST_DELAYS_MS.forEach((delayMs) => {
         window.setTimeout(() => {
-            if (token !== homeScanBurstToken) {
+            if (token !== scanBurstToken) {
                 return;
             }
             scanVisibleCards();
@@ -1485,6 +1596,38 @@ function clearLabels() {
     }
 }
 
+/**
+ * Ask the isolated world for Subscription Manager categories and label settings.
+ */
+function requestLabelData() {
+    window.postMessage({
+        source: 'yt-commander',
+        type: MESSAGE_TYPES.SUBSCRIPTION_LABEL_DATA_REQUEST
+    }, '*');
+}
+
+/**
+ * Store categories and label settings sent by the isolated world, then relabel visible cards.
+ * @param {{categories?: Array<object>, channelCategories?: Record<string, string[]>, channelPaths?: Record<string, string>, showNotSubscribed?: boolean}} data
+ */
+function applyLabelData(data) {
+    const categories = Array.isArray(data.categories) ? data.categories : [];
+    labelCategoriesById = new Map(categories
+        .filter((category) => typeof category?.id === 'string' && typeof category.name === 'string')
+        .map((category) => [category.id, {
+            name: category.name,
+            path: typeof category.path === 'string' ? category.path : category.name,
+            color: typeof category.color === 'string' ? category.color : ''
+        }]));
+    channelCategoryIds = new Map(Object.entries(data.channelCategories || {})
+        .filter(([, ids]) => Array.isArray(ids) && ids.length > 0));
+    channelIdsByPath = new Map(Object.entries(data.channelPaths || {})
+        .map(([path, channelId]) => [normalizeChannelPath(path), channelId]));
+    showNotSubscribedLabels = data.showNotSubscribed === true;
+    setDebugMeta('category-counts', `categories:${labelCategoriesById.size};channels:${channelCategoryIds.size}`);
+    scanVisibleCards();
+}
+
 function resetSubscriptionCache() {
     try {
         window.localStorage.removeItem(LOCAL_STORAGE_KEY);
@@ -1503,8 +1646,8 @@ function startObserver() {
     }
 
     mutationObserver = new MutationObserver((mutations) => {
-        const homeRoot = getHomeBrowseRoot();
-        if (!homeRoot) {
+        const roots = getLabelRoots();
+        if (roots.length === 0) {
             clearLabels();
             pendingCards.clear();
             return;
@@ -1516,12 +1659,15 @@ function startObserver() {
                     return;
                 }
 
-                if (node === homeRoot || node.contains(homeRoot)) {
-                    homeRoot.querySelectorAll(CARD_SELECTOR).forEach((card) => found.add(card));
+                const containedRoots = roots.filter((root) => node === root || node.contains(root));
+                if (containedRoots.length > 0) {
+                    containedRoots.forEach((root) => {
+                        root.querySelectorAll(CARD_SELECTOR).forEach((card) => found.add(card));
+                    });
                     return;
                 }
 
-                if (!homeRoot.contains(node)) {
+                if (!roots.some((root) => root.contains(node))) {
                     return;
                 }
 
@@ -1551,16 +1697,17 @@ async function init() {
     setDebugAttribute('initialized');
     
     startObserver();
-    scheduleHomeScanBurst();
+    scheduleScanBurst();
+    requestLabelData();
 
-    const handleHomeRefresh = () => {
-        scheduleHomeScanBurst();
+    const handlePageRefresh = () => {
+        scheduleScanBurst();
     };
 
-    window.addEventListener('yt-navigate-finish', handleHomeRefresh);
-    document.addEventListener('yt-navigate-finish', handleHomeRefresh);
-    window.addEventListener('yt-page-data-updated', handleHomeRefresh);
-    document.addEventListener('yt-page-data-updated', handleHomeRefresh);
+    window.addEventListener('yt-navigate-finish', handlePageRefresh);
+    document.addEventListener('yt-navigate-finish', handlePageRefresh);
+    window.addEventListener('yt-page-data-updated', handlePageRefresh);
+    document.addEventListener('yt-page-data-updated', handlePageRefresh);
 }
 
 /**
@@ -1586,4 +1733,7 @@ window.addEventListener('message', (event) => {
             logger.debug('Reset refresh failed', error);
         });
     }
+    if (event.data?.type === MESSAGE_TYPES.SUBSCRIPTION_LABEL_DATA) {
+        applyLabelData(event.data);
+    }
 });
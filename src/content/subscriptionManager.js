@@ -2,6 +2,38 @@ import { createLogger } from './utils/logger.js';
 import { createBridgeClient } from './playlist-multi-select/bridge.js';
 import { resolveMastheadMountPoint, isEligiblePage } from './playlist-multi-select/pageContext.js';
 import { MASTHEAD_SLOT_CLASS, MASTHEAD_BUTTON_CLASS } from './playlist-multi-select/constants.js';
+import {
+    AUTO_CATEGORIZE_BATCH_SIZE,
+    buildAutoCategorizePrompt,
+    fetchRecentUploadTitles,
+    parseAutoCategorizeSuggestions
+} from './subscription-manager/autoCategorize.js';
+import {
+    countActiveChannelFilters,
+    cycleCategoryFilter,
+    normalizeChannelFilters,
+    pruneChannelFilterCategories,
+    scoreChannelSearch,
+    tokenizeSearchQuery
+} from './subscription-manager/channelSearch.js';
+import { readWatchCountsByChannel } from './subscription-manager/watchStats.js';
+import { computeSmartMembership, parseCountValue, validateSmartPattern } from '../shared/smartCategories.js';
+import {
+    FEED_ITEM_SELECTOR,
+    getSubscriptionsFeedRoot,
+    readFeedItemIdentity
+} from './subscription-manager/feedItems.js';
+import { formatRelativeAge } from './shorts-upload-age/time.js';
+import { IMPORT_FORMAT_LABELS, parseSubscriptionImport } from './subscription-manager/subscriptionImport.js';
+import {
+    captureAssignments,
+    captureCategories,
+    createUndoStack,
+    restoreAssignments,
+    restoreCategories
+} from './subscription-manager/undoHistory.js';
+import { normalizeCategoryList, normalizeSmartRules } from '../shared/subscriptionCategories.js';
+import { SUBSCRIPTION_EXPORT_FORMATS, buildSubscriptionExport } from '../shared/subscriptionExport.js';
 const logger = createLogger('SubscriptionManager');
 
 const BRIDGE_SOURCE = 'yt-commander';
@@ -10,7 +42,9 @@ const RESPONSE_TYPE = 'YT_COMMANDER_PLAYLIST_BRIDGE_RESPONSE';
 
 const ACTIONS = {
     GET_SUBSCRIPTIONS: 'GET_SUBSCRIPTIONS',
-    UNSUBSCRIBE_CHANNELS: 'UNSUBSCRIBE_CHANNELS'
+    GET_CHANNEL_ACTIVITY: 'GET_CHANNEL_ACTIVITY',
+    UNSUBSCRIBE_CHANNELS: 'UNSUBSCRIBE_CHANNELS',
+    SUBSCRIBE_CHANNELS: 'SUBSCRIBE_CHANNELS'
 };
 
 const STORAGE_KEYS = {
@@ -19,6 +53,10 @@ const STORAGE_KEYS = {
     SNAPSHOT: 'subscriptionManagerSnapshot',
     FILTER: 'subscriptionManagerFilter',
     SORT: 'subscriptionManagerSort',
+    ADVANCED_FILTERS: 'subscriptionManagerAdvancedFilters',
+    FIRST_SEEN: 'subscriptionManagerFirstSeen',
+    DORMANT_MONTHS: 'subscriptionManagerDormantMonths',
+    FEED_CATEGORY: 'subscriptionManagerFeedCategory',
     SIDEBAR_COLLAPSED: 'subscriptionManagerSidebarCollapsed',
     PENDING_KEYS: 'subscriptionSyncPendingKeys',
     PENDING_COUNT: 'subscriptionSyncPendingCount'
@@ -67,13 +105,41 @@ const FILTER_ITEM_CLASS = 'yt-commander-sub-manager-filter-item';
 const FILTER_DOT_CLASS = 'yt-commander-sub-manager-filter-dot';
 const FILTER_COUNT_CLASS = 'yt-commander-sub-manager-filter-count';
 const QUICK_ADD_CLASS = 'yt-commander-sub-manager-quick-add';
-const MODAL_VERSION = '2026-03-20-1';
+const FEED_BAR_CLASS = 'yt-commander-sub-feed-bar';
+const FEED_CHIP_CLASS = 'yt-commander-sub-feed-chip';
+const FEED_HIDDEN_CLASS = 'yt-commander-sub-feed-hidden';
+const FEED_SHELF_SELECTOR = 'ytd-rich-section-renderer, ytd-reel-shelf-renderer';
+const SUBSCRIPTIONS_FEED_PATH = '/feed/subscriptions';
+const MODAL_VERSION = '2026-10-19-7';
 
 const CARD_ROW_HEIGHT_ESTIMATE = 312;
 const CARD_MIN_WIDTH = 260;
 const CARD_GAP = 14;
 const VIRTUAL_OVERSCAN = 6;
 const SNAPSHOT_TTL_MS = 30 * 60 * 1000;
+const SORT_OPTIONS = [
+    { id: 'name', label: 'Name' },
+    { id: 'subscribers', label: 'Subscribers' },
+    { id: 'subscribed', label: 'Recently subscribed' },
+    { id: 'lastUpload', label: 'Latest upload' },
+    { id: 'watched', label: 'Most watched' }
+];
+const SEARCH_DEBOUNCE_MS = 150;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+const CHANNEL_ACTIVITY_TTL_MS = 24 * 60 * 60 * 1000;
+const CHANNEL_ACTIVITY_RETRY_MS = 60 * 60 * 1000;
+const CHANNEL_ACTIVITY_BATCH_SIZE = 12;
+const DEFAULT_DORMANT_MONTHS = 6;
+const MAX_DORMANT_MONTHS = 120;
+const WATCH_COUNTS_TTL_MS = 60 * 1000;
+const UNDO_LIMIT = 20;
+const UNDO_TOAST_MS = 8000;
+// The bridge pauses 1.2 s between subscribes and may make two InnerTube calls per
+// channel (resolve a handle, then subscribe), so batches stay small and each
+// request gets a timeout sized to its batch.
+const SUBSCRIBE_BATCH_SIZE = 4;
+const SUBSCRIBE_TIMEOUT_PER_CHANNEL_MS = 1200 + (2 * 15000);
 const bridgeClient = createBridgeClient({
     source: BRIDGE_SOURCE,
     requestType: REQUEST_TYPE,
@@ -81,6 +147,7 @@ const bridgeClient = createBridgeClient({
     timeoutMs: 30000,
     requestPrefix: 'ytc-subscription'
 });
+const undoStack = createUndoStack(UNDO_LIMIT);
 
 let isInitialized = false;
 let mastheadSlot = null;
@@ -92,13 +159,21 @@ let cardsWrap = null;
 let mainWrap = null;
 let statusEl = null;
 let statusTimeoutId = 0;
+let undoToastEl = null;
+let undoToastLabelEl = null;
+let undoToastTimer = 0;
+let undoInProgress = false;
 let selectionBadgeEl = null;
 let clearSelectionButton = null;
 let selectionGroupEl = null;
 let selectionHeaderEl = null;
 let selectionCountEl = null;
 let floatingStackEl = null;
-let sortButton = null;
+let sortSelect = null;
+let searchInput = null;
+let filtersButton = null;
+let filterPanel = null;
+let filterChipList = null;
 let sidebar = null;
 let sidebarList = null;
 let sidebarToggleButton = null;
@@ -113,6 +188,17 @@ let chipbarNextButton = null;
 let addCategoryButton = null;
 let removeCategoryButton = null;
 let unsubscribeButton = null;
+let autoCategorizeButton = null;
+let autoCategorizeInProgress = false;
+let dormantUnsubscribeButton = null;
+let importSubscriptionsButton = null;
+let exportButton = null;
+let exportMenu = null;
+let importFileInput = null;
+let importInProgress = false;
+let progressEl = null;
+let progressLabelEl = null;
+let progressFillEl = null;
 
 let picker = null;
 let pickerMode = 'toggle';
@@ -129,7 +215,16 @@ let sidebarDraftColor = '';
 let confirmBackdrop = null;
 let confirmTitleEl = null;
 let confirmMessageEl = null;
+let confirmListEl = null;
 let confirmResolve = null;
+let reviewBackdrop = null;
+let reviewSummaryEl = null;
+let reviewListEl = null;
+let reviewApplyButton = null;
+let reviewSuggestions = [];
+let reviewResolve = null;
+let categorySettingsBackdrop = null;
+let categorySettingsResolve = null;
 let tooltipPortal = null;
 let tooltipPortalTarget = null;
 
@@ -146,11 +241,25 @@ let assignments = {};
 let categoriesVersion = 0;
 let assignmentsVersion = 0;
 let assignmentCache = new Map();
+let categoryIdsCache = new Map();
+let categoryParentById = new Map();
+let smartMembership = new Map();
 let categoryCountsCache = null;
 let categoryCountsCacheKey = '';
 let lastSnapshotHash = '';
 let filterMode = 'all';
 let sortMode = 'name';
+let searchQuery = '';
+let searchRenderTimer = 0;
+let channelFilters = normalizeChannelFilters(null);
+let firstSeenById = new Map();
+let channelActivityById = new Map();
+let channelActivityLoading = false;
+let channelActivityPausedUntil = 0;
+let dormantMonths = DEFAULT_DORMANT_MONTHS;
+let watchCountsById = new Map();
+let watchCountsLoadedAt = 0;
+let watchCountsLoading = false;
 let selectedChannelIds = new Set();
 let resetScrollPending = false;
 let selectionAnchorId = '';
@@ -166,6 +275,11 @@ let suppressNextClickTimer = 0;
 
 let quickAddObserver = null;
 let quickAddPending = false;
+let feedCategoryId = '';
+let feedBar = null;
+let feedBarKey = '';
+let feedObserver = null;
+let feedFilterPending = false;
 let filteredChannelsCache = [];
 let cardRowHeight = CARD_ROW_HEIGHT_ESTIMATE;
 let cardColumns = 1;
@@ -317,13 +431,27 @@ function resetModalElements() {
         window.clearTimeout(statusTimeoutId);
         statusTimeoutId = 0;
     }
+    undoToastEl = null;
+    undoToastLabelEl = null;
+    if (undoToastTimer) {
+        window.clearTimeout(undoToastTimer);
+        undoToastTimer = 0;
+    }
     selectionBadgeEl = null;
     clearSelectionButton = null;
     selectionGroupEl = null;
     selectionHeaderEl = null;
     selectionCountEl = null;
     floatingStackEl = null;
-    sortButton = null;
+    sortSelect = null;
+    searchInput = null;
+    filtersButton = null;
+    filterPanel = null;
+    filterChipList = null;
+    if (searchRenderTimer) {
+        window.clearTimeout(searchRenderTimer);
+        searchRenderTimer = 0;
+    }
     sidebar = null;
     sidebarList = null;
     sidebarToggleButton = null;
@@ -338,6 +466,15 @@ function resetModalElements() {
     addCategoryButton = null;
     removeCategoryButton = null;
     unsubscribeButton = null;
+    autoCategorizeButton = null;
+    importSubscriptionsButton = null;
+    importFileInput = null;
+    exportButton = null;
+    exportMenu = null;
+    progressEl = null;
+    progressLabelEl = null;
+    progressFillEl = null;
+    dormantUnsubscribeButton = null;
     picker = null;
     pickerAnchorEl = null;
     pickerTargetIds = [];
@@ -345,7 +482,16 @@ function resetModalElements() {
     confirmBackdrop = null;
     confirmTitleEl = null;
     confirmMessageEl = null;
+    confirmListEl = null;
     confirmResolve = null;
+    reviewBackdrop = null;
+    reviewSummaryEl = null;
+    reviewListEl = null;
+    reviewApplyButton = null;
+    reviewSuggestions = [];
+    reviewResolve = null;
+    categorySettingsBackdrop = null;
+    categorySettingsResolve = null;
     tooltipPortal = null;
     tooltipPortalTarget = null;
     resetScrollPending = false;
@@ -433,7 +579,13 @@ const ICONS = {
     prev: 'M15.41 7.41 14 6 8 12 14 18 15.41 16.59 10.83 12z',
     next: 'M8.59 16.59 13.17 12 8.59 7.41 10 6l6 6-6 6z',
     chevronDown: 'M7.41 8.59 12 13.17l4.59-4.58L18 10l-6 6-6-6z',
-    refresh: 'M17.65 6.35A7.95 7.95 0 0 0 12 4V1L7 6l5 5V7a5 5 0 1 1-5 5H5a7 7 0 1 0 12.65-5.65z'
+    refresh: 'M17.65 6.35A7.95 7.95 0 0 0 12 4V1L7 6l5 5V7a5 5 0 1 1-5 5H5a7 7 0 1 0 12.65-5.65z',
+    sparkle: 'M10 2l1.9 5.1L17 9l-5.1 1.9L10 16l-1.9-5.1L3 9l5.1-1.9L10 2zm8 11 1 2.6 2.6 1-2.6 1L18 20l-1-2.4-2.6-1 2.6-1L18 13z',
+    search: 'M15.5 14h-.79l-.28-.27A6.47 6.47 0 0 0 16 9.5 6.5 6.5 0 1 0 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z',
+    filter: 'M10 18h4v-2h-4v2zM3 6v2h18V6H3zm3 7h12v-2H6v2z',
+    tune: 'M3 17v2h6v-2H3zM3 5v2h10V5H3zm10 16v-2h8v-2h-8v-2h-2v6h2zM7 9v2H3v2h4v2h2V9H7zm14 4v-2H11v2h10zm-6-4h2V7h4V5h-4V3h-2v6z',
+    download: 'M5 20h14v-2H5v2zM19 9h-4V3H9v6H5l7 7 7-7z',
+    personAdd: 'M15 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm-9-2V7H4v3H1v2h3v3h2v-3h3v-2H6zm9 4c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z'
 };
 
 /**
@@ -551,31 +703,10 @@ function openUrlInBackground(url) {
 /**
  * Normalize categories list.
  * @param {any} raw
- * @returns {Array<{id: string, name: string, color: string}>}
+ * @returns {Array<{id: string, name: string, color: string, parentId?: string, rules?: object}>}
  */
 function normalizeCategories(raw) {
-    if (!Array.isArray(raw)) {
-        return [];
-    }
-
-    return raw
-        .map((item) => {
-            if (!item || typeof item !== 'object') {
-                return null;
-            }
-            const id = typeof item.id === 'string' ? item.id : '';
-            const name = typeof item.name === 'string' ? item.name.trim() : '';
-            const color = typeof item.color === 'string' ? item.color : '';
-            if (!id || !name) {
-                return null;
-            }
-            return {
-                id,
-                name,
-                color: color || pickCategoryColor(name)
-            };
-        })
-        .filter(Boolean);
+    return normalizeCategoryList(raw, pickCategoryColor);
 }
 
 /**
@@ -813,15 +944,101 @@ function rebuildChannelIndexes(list) {
  */
 function markCategoriesDirty() {
     categoriesVersion += 1;
+    categoryParentById = new Map(
+        categories.filter((category) => category.parentId).map((category) => [category.id, category.parentId])
+    );
+    categoryIdsCache.clear();
     categoryCountsCacheKey = '';
 }
 
+/**
+ * Recompute smart category membership from the current channel list.
+ */
+function recomputeSmartCategories() {
+    smartMembership = computeSmartMembership(categories, channels, readSmartRuleFields);
+    markAssignmentsDirty();
+}
+
+/**
+ * Read the channel fields smart rules look at.
+ * @param {object} channel
+ * @returns {{title: string, handle: string, description: string, subscriberCount: string}}
+ */
+function readSmartRuleFields(channel) {
+    return {
+        title: channel.title || '',
+        handle: channel.handle || '',
+        description: channel.description || '',
+        subscriberCount: resolveChannelCounts(channel).subscribers
+    };
+}
+
+/**
+ * Read the categories a channel sits in directly: its manual category plus matching smart categories.
+ * @param {string} channelId
+ * @returns {string[]}
+ */
+function readDirectCategoryIds(channelId) {
+    const manual = readChannelAssignments(channelId);
+    const smart = smartMembership.get(channelId);
+    if (!smart) {
+        return manual;
+    }
+    return Array.from(new Set([...manual, ...smart]));
+}
+
+/**
+ * Read every category a channel counts toward, parents of subcategories included.
+ * @param {string} channelId
+ * @returns {string[]}
+ */
+function readChannelCategoryIds(channelId) {
+    if (!channelId) {
+        return [];
+    }
+    if (categoryIdsCache.has(channelId)) {
+        return categoryIdsCache.get(channelId);
+    }
+    const direct = readDirectCategoryIds(channelId);
+    const ids = new Set(direct);
+    direct.forEach((categoryId) => {
+        const parentId = categoryParentById.get(categoryId);
+        if (parentId) {
+            ids.add(parentId);
+        }
+    });
+    const list = ids.size === direct.length ? direct : Array.from(ids);
+    categoryIdsCache.set(channelId, list);
+    return list;
+}
+
+/**
+ * Order categories as a tree: each top-level category followed by its subcategories.
+ * @returns {Array<object>}
+ */
+function getOrderedCategories() {
+    const ordered = [];
+    categories.forEach((category) => {
+        if (category.parentId) {
+            return;
+        }
+        ordered.push(category);
+        categories.forEach((child) => {
+            if (child.parentId === category.id) {
+                ordered.push(child);
+            }
+        });
+    });
+    return ordered;
+}
+
 /**
  * Mark assignments changed for memoized views.
  */
 function markAssignmentsDirty() {
     assignmentsVersion += 1;
     assignmentCache.clear();
+    categoryIdsCache.clear();
     categoryCountsCacheKey = '';
 }
 
@@ -845,7 +1062,7 @@ function getCategoryCounts() {
         if (!channelId) {
             return;
         }
-        const assigned = readChannelAssignments(channelId);
+        const assigned = readChannelCategoryIds(channelId);
         if (!assigned || assigned.length === 0) {
             counts.uncategorized += 1;
             return;
@@ -872,6 +1089,10 @@ async function loadLocalState() {
         STORAGE_KEYS.ASSIGNMENTS,
         STORAGE_KEYS.FILTER,
         STORAGE_KEYS.SORT,
+        STORAGE_KEYS.ADVANCED_FILTERS,
+        STORAGE_KEYS.FIRST_SEEN,
+        STORAGE_KEYS.DORMANT_MONTHS,
+        STORAGE_KEYS.FEED_CATEGORY,
         STORAGE_KEYS.SIDEBAR_COLLAPSED
     ]);
 
@@ -880,7 +1101,11 @@ async function loadLocalState() {
     markCategoriesDirty();
     markAssignmentsDirty();
     filterMode = typeof result[STORAGE_KEYS.FILTER] === 'string' ? result[STORAGE_KEYS.FILTER] : 'all';
-    sortMode = result[STORAGE_KEYS.SORT] === 'subscribers' ? 'subscribers' : 'name';
+    sortMode = SORT_OPTIONS.some((option) => option.id === result[STORAGE_KEYS.SORT]) ? result[STORAGE_KEYS.SORT] : 'name';
+    channelFilters = normalizeChannelFilters(result[STORAGE_KEYS.ADVANCED_FILTERS]);
+    firstSeenById = readTimestampMap(result[STORAGE_KEYS.FIRST_SEEN]);
+    dormantMonths = normalizeDormantMonths(result[STORAGE_KEYS.DORMANT_MONTHS]);
+    feedCategoryId = typeof result[STORAGE_KEYS.FEED_CATEGORY] === 'string' ? result[STORAGE_KEYS.FEED_CATEGORY] : '';
     sidebarCollapsed = result[STORAGE_KEYS.SIDEBAR_COLLAPSED] === true;
 }
 
@@ -902,8 +1127,111 @@ async function persistLocalState() {
 async function persistViewState() {
     await storageSet({
         [STORAGE_KEYS.FILTER]: filterMode,
-        [STORAGE_KEYS.SORT]: sortMode
+        [STORAGE_KEYS.SORT]: sortMode,
+        [STORAGE_KEYS.ADVANCED_FILTERS]: channelFilters
+    });
+}
+
+/**
+ * Read a stored channelId -> timestamp map.
+ * @param {any} raw
+ * @returns {Map<string, number>}
+ */
+function readTimestampMap(raw) {
+    const map = new Map();
+    if (!raw || typeof raw !== 'object') {
+        return map;
+    }
+    Object.entries(raw).forEach(([channelId, value]) => {
+        const timestamp = Number(value);
+        if (channelId && Number.isFinite(timestamp) && timestamp > 0) {
+            map.set(channelId, timestamp);
+        }
+    });
+    return map;
+}
+
+/**
+ * Clamp the dormant threshold in months.
+ * @param {any} value
+ * @returns {number}
+ */
+function normalizeDormantMonths(value) {
+    const months = Math.floor(Number(value));
+    return Number.isFinite(months) && months > 0 ? Math.min(months, MAX_DORMANT_MONTHS) : DEFAULT_DORMANT_MONTHS;
+}
+
+/**
+ * Read channel activity cached in the snapshot.
+ * `lastUploadAt` is 0 for a Videos tab without uploads and null when unknown
+ * (no Videos tab, or the request failed).
+ * @param {any} raw
+ * @returns {Map<string, {lastUploadAt: number | null, uploadIntervalDays: number | null, checkedAt: number, failed?: boolean}>}
+ */
+function readChannelActivityMap(raw) {
+    const map = new Map();
+    if (!raw || typeof raw !== 'object') {
+        return map;
+    }
+    Object.entries(raw).forEach(([channelId, value]) => {
+        const checkedAt = Number(value?.checkedAt);
+        if (!channelId || !Number.isFinite(checkedAt) || checkedAt <= 0) {
+            return;
+        }
+        const lastUploadAt = value?.lastUploadAt === null ? NaN : Number(value?.lastUploadAt);
+        const interval = value?.uploadIntervalDays === null ? NaN : Number(value?.uploadIntervalDays);
+        map.set(channelId, {
+            lastUploadAt: Number.isFinite(lastUploadAt) && lastUploadAt >= 0 ? lastUploadAt : null,
+            uploadIntervalDays: Number.isFinite(interval) && interval >= 0 ? interval : null,
+            checkedAt,
+            ...(value?.failed === true ? { failed: true } : {})
+        });
+    });
+    return map;
+}
+
+/**
+ * Serialize cached activity for the channels in a list.
+ * @param {Array<object>} list
+ * @returns {Record<string, object>}
+ */
+function serializeChannelActivity(list) {
+    const activity = {};
+    list.forEach((channel) => {
+        const entry = channelActivityById.get(channel?.channelId);
+        if (entry) {
+            activity[channel.channelId] = entry;
+        }
+    });
+    return activity;
+}
+
+/**
+ * Record when each channel first showed up in the subscription list.
+ * YouTube does not expose subscription dates, so this stands in for them.
+ * @param {Array<object>} list
+ * @returns {Promise<void>}
+ */
+async function recordFirstSeen(list) {
+    const now = Date.now();
+    const next = new Map();
+    let changed = false;
+    list.forEach((channel) => {
+        const channelId = channel?.channelId;
+        if (!channelId) {
+            return;
+        }
+        const seenAt = firstSeenById.get(channelId);
+        if (!seenAt) {
+            changed = true;
+        }
+        next.set(channelId, seenAt || now);
     });
+    if (!changed && next.size === firstSeenById.size) {
+        return;
+    }
+    firstSeenById = next;
+    await storageSet({ [STORAGE_KEYS.FIRST_SEEN]: Object.fromEntries(firstSeenById) });
 }
 
 /**
@@ -973,7 +1301,26 @@ async function persistSnapshot(list, hash) {
         [STORAGE_KEYS.SNAPSHOT]: {
             channels: list,
             fetchedAt: Date.now(),
-            hash
+            hash,
+            activity: serializeChannelActivity(list)
+        }
+    });
+}
+
+/**
+ * Write cached channel activity back into the stored snapshot.
+ * @returns {Promise<void>}
+ */
+async function persistChannelActivity() {
+    const stored = await storageGet([STORAGE_KEYS.SNAPSHOT]);
+    const snapshot = stored?.[STORAGE_KEYS.SNAPSHOT];
+    if (!snapshot || !Array.isArray(snapshot.channels)) {
+        return;
+    }
+    await storageSet({
+        [STORAGE_KEYS.SNAPSHOT]: {
+            ...snapshot,
+            activity: serializeChannelActivity(snapshot.channels)
         }
     });
 }
@@ -996,8 +1343,11 @@ async function hydrateSnapshotFromStorage() {
     channels = snapshot.channels;
     channelsFetchedAt = fetchedAt;
     lastSnapshotHash = typeof snapshot.hash === 'string' ? snapshot.hash : computeSnapshotHash(channels);
+    channelActivityById = readChannelActivityMap(snapshot.activity);
     rebuildChannelIndexes(channels);
-    refreshQuickAddButtons();
+    recomputeSmartCategories();
+    refreshPageCategoryViews();
+    await recordFirstSeen(channels);
     return true;
 }
 
@@ -1454,6 +1804,14 @@ function refreshQuickAddButtons() {
     });
 }
 
+/**
+ * Refresh on-page views that show channel categories.
+ */
+function refreshPageCategoryViews() {
+    refreshQuickAddButtons();
+    scheduleFeedCategoryFilter();
+}
+
 function resolveSubscribeRendererForQuickAdd(button) {
     if (!button) {
         return null;
@@ -1521,6 +1879,203 @@ function startQuickAddObserver() {
     scheduleQuickAddScan();
 }
 
+/**
+ * Check whether the current page is the subscriptions feed.
+ * @returns {boolean}
+ */
+function isSubscriptionsFeedPage() {
+    return location.pathname === SUBSCRIPTIONS_FEED_PATH;
+}
+
+/**
+ * Check whether the stored feed category still exists.
+ * @returns {boolean}
+ */
+function isFeedCategoryActive() {
+    if (!feedCategoryId) {
+        return false;
+    }
+    return feedCategoryId === 'uncategorized' || categories.some((category) => category.id === feedCategoryId);
+}
+
+/**
+ * Resolve the categories of a feed item's channel through the manager's assignments.
+ * @param {Element} item
+ * @returns {string[]|null} null when the item has no channel link
+ */
+function readFeedItemCategoryIds(item) {
+    const identity = readFeedItemIdentity(item);
+    if (!identity) {
+        return null;
+    }
+    const channelId = resolveChannelIdFromIdentity(identity);
+    const assignmentKey = resolveAssignmentKeyForRead(identity, channelId);
+    if (!assignmentKey || assignmentKey === channelId) {
+        return readChannelCategoryIds(channelId);
+    }
+    return Array.from(new Set([...readChannelCategoryIds(channelId), ...readChannelCategoryIds(assignmentKey)]));
+}
+
+/**
+ * Build a chip for the feed category bar.
+ * @param {string} id
+ * @param {string} label
+ * @param {string} [color]
+ * @returns {HTMLButtonElement}
+ */
+function buildFeedCategoryChip(id, label, color = '') {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = FEED_CHIP_CLASS;
+    chip.setAttribute('data-feed-category', id);
+    chip.textContent = label;
+    if (color) {
+        applyCategoryItemColors(chip, color);
+    }
+    const active = isFeedCategoryActive() ? feedCategoryId === id : id === '';
+    chip.classList.toggle('active', active);
+    chip.setAttribute('aria-pressed', String(active));
+    return chip;
+}
+
+/**
+ * Place the feed category bar above the subscriptions feed and refresh its chips.
+ * Chips are rebuilt only when categories or the selection change, so the
+ * page observer does not see its own writes on every pass.
+ * @param {Element} root
+ * @returns {HTMLElement|null}
+ */
+function ensureFeedCategoryBar(root) {
+    const anchor = root.querySelector('ytd-rich-grid-renderer, ytd-section-list-renderer');
+    if (!anchor?.parentElement) {
+        return null;
+    }
+
+    if (!feedBar) {
+        feedBar = document.createElement('div');
+        feedBar.className = FEED_BAR_CLASS;
+        feedBar.setAttribute('role', 'toolbar');
+        feedBar.setAttribute('aria-label', 'Filter feed by category');
+        feedBar.addEventListener('click', handleFeedCategoryClick);
+    }
+    if (feedBar.nextElementSibling !== anchor) {
+        anchor.insertAdjacentElement('beforebegin', feedBar);
+    }
+
+    const nextKey = `${categoriesVersion}:${feedCategoryId}`;
+    if (feedBarKey !== nextKey) {
+        feedBarKey = nextKey;
+        feedBar.innerHTML = '';
+        feedBar.appendChild(buildFeedCategoryChip('', 'All'));
+        getOrderedCategories().forEach((category) => {
+            const chip = buildFeedCategoryChip(category.id, category.name, category.color);
+            chip.classList.toggle('is-child', Boolean(category.parentId));
+            feedBar.appendChild(chip);
+        });
+        feedBar.appendChild(buildFeedCategoryChip('uncategorized', 'Uncategorized'));
+        const summary = document.createElement('span');
+        summary.className = 'yt-commander-sub-feed-summary';
+        summary.setAttribute('data-role', 'feed-summary');
+        feedBar.appendChild(summary);
+    }
+    return feedBar;
+}
+
+/**
+ * Show only feed items whose channel is in the selected category.
+ */
+function applyFeedCategoryFilter() {
+    const root = isSubscriptionsFeedPage() ? getSubscriptionsFeedRoot() : null;
+    if (!root) {
+        return;
+    }
+    if (categories.length === 0) {
+        feedBar?.remove();
+        root.querySelectorAll(`.${FEED_HIDDEN_CLASS}`).forEach((node) => node.classList.remove(FEED_HIDDEN_CLASS));
+        return;
+    }
+
+    const bar = ensureFeedCategoryBar(root);
+    const active = isFeedCategoryActive();
+    const filterKey = active ? `${feedCategoryId}:${assignmentsVersion}:${categoriesVersion}:${channelsVersion}` : '';
+    let shown = 0;
+    let total = 0;
+
+    root.querySelectorAll(FEED_SHELF_SELECTOR).forEach((shelf) => {
+        // Shelves (Shorts) carry no channel byline, so they cannot be matched.
+        shelf.classList.toggle(FEED_HIDDEN_CLASS, active);
+    });
+    root.querySelectorAll(FEED_ITEM_SELECTOR).forEach((item) => {
+        if (item.closest(FEED_SHELF_SELECTOR)) {
+            return;
+        }
+        total += 1;
+        if (!active) {
+            item.classList.remove(FEED_HIDDEN_CLASS);
+            delete item.dataset.ytcFeedFilter;
+            shown += 1;
+            return;
+        }
+        const href = item.querySelector('a[href]')?.getAttribute('href') || '';
+        const itemKey = `${filterKey}|${href}`;
+        if (item.dataset.ytcFeedFilter !== itemKey) {
+            item.dataset.ytcFeedFilter = itemKey;
+            const categoryIds = readFeedItemCategoryIds(item);
+            const matches = Boolean(categoryIds) && (feedCategoryId === 'uncategorized'
+                ? categoryIds.length === 0
+                : categoryIds.includes(feedCategoryId));
+            item.classList.toggle(FEED_HIDDEN_CLASS, !matches);
+        }
+        if (!item.classList.contains(FEED_HIDDEN_CLASS)) {
+            shown += 1;
+        }
+    });
+
+    const summary = bar?.querySelector('[data-role="feed-summary"]');
+    const summaryText = active ? `${shown} of ${total} loaded videos` : '';
+    if (summary && summary.textContent !== summaryText) {
+        summary.textContent = summaryText;
+    }
+}
+
+function scheduleFeedCategoryFilter() {
+    if (feedFilterPending || !isSubscriptionsFeedPage()) {
+        return;
+    }
+    feedFilterPending = true;
+    window.requestAnimationFrame(() => {
+        feedFilterPending = false;
+        applyFeedCategoryFilter();
+    });
+}
+
+function startFeedCategoryObserver() {
+    if (feedObserver) {
+        return;
+    }
+    feedObserver = new MutationObserver(scheduleFeedCategoryFilter);
+    feedObserver.observe(document.body, { childList: true, subtree: true });
+    scheduleFeedCategoryFilter();
+}
+
+/**
+ * Handle clicks on the feed category bar.
+ * @param {MouseEvent} event
+ */
+function handleFeedCategoryClick(event) {
+    const chip = event.target instanceof Element ? event.target.closest(`.${FEED_CHIP_CLASS}`) : null;
+    if (!chip) {
+        return;
+    }
+    const nextId = chip.getAttribute('data-feed-category') || '';
+    if (nextId === feedCategoryId) {
+        return;
+    }
+    feedCategoryId = nextId;
+    storageSet({ [STORAGE_KEYS.FEED_CATEGORY]: feedCategoryId }).catch(() => undefined);
+    scheduleFeedCategoryFilter();
+}
+
 function isQuickAddPage() {
     const href = String(location.href || '');
     return QUICK_ADD_PAGES.some((pattern) => pattern.test(href));
@@ -1662,31 +2217,97 @@ function ensureModal() {
     refreshButton.setAttribute('data-action', 'refresh-subscriptions');
     setIconButton(refreshButton, ICONS.refresh, 'Refresh subscriptions');
 
-    sortButton = document.createElement('button');
-    sortButton.type = 'button';
-    sortButton.className = 'yt-commander-sub-manager-toggle';
-    sortButton.setAttribute('data-action', 'sort-toggle');
-    updateSortButton();
+    autoCategorizeButton = document.createElement('button');
+    autoCategorizeButton.type = 'button';
+    autoCategorizeButton.className = 'yt-commander-sub-manager-toggle';
+    autoCategorizeButton.setAttribute('data-action', 'auto-categorize');
+    setIconButton(autoCategorizeButton, ICONS.sparkle, 'Auto-categorize uncategorized channels');
+
+    importSubscriptionsButton = document.createElement('button');
+    importSubscriptionsButton.type = 'button';
+    importSubscriptionsButton.className = 'yt-commander-sub-manager-toggle';
+    importSubscriptionsButton.setAttribute('data-action', 'import-subscriptions');
+    importSubscriptionsButton.disabled = importInProgress;
+    setIconButton(importSubscriptionsButton, ICONS.personAdd, 'Subscribe from CSV, Takeout or OPML file');
+
+    exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'yt-commander-sub-manager-toggle';
+    exportButton.setAttribute('data-action', 'toggle-export-menu');
+    setIconButton(exportButton, ICONS.download, 'Export subscriptions');
+
+    importFileInput = document.createElement('input');
+    importFileInput.type = 'file';
+    importFileInput.accept = '.csv,.opml,.xml,text/csv,text/xml';
+    importFileInput.style.display = 'none';
+    importFileInput.addEventListener('change', handleImportFileChange);
+
+    const searchWrap = document.createElement('label');
+    searchWrap.className = 'yt-commander-sub-manager-search';
+    const searchIcon = createIcon(ICONS.search);
+    searchIcon.classList.add('yt-commander-sub-manager-icon');
+    searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.className = 'yt-commander-sub-manager-search-input';
+    searchInput.placeholder = 'Search channels, handles, categories';
+    searchInput.setAttribute('aria-label', 'Search channels');
+    searchInput.value = searchQuery;
+    searchWrap.appendChild(searchIcon);
+    searchWrap.appendChild(searchInput);
+
+    filtersButton = document.createElement('button');
+    filtersButton.type = 'button';
+    filtersButton.className = 'yt-commander-sub-manager-toggle';
+    filtersButton.setAttribute('data-action', 'toggle-filters');
+
+    sortSelect = document.createElement('select');
+    sortSelect.className = 'yt-commander-sub-manager-filter';
+    sortSelect.setAttribute('data-action', 'sort-select');
+    sortSelect.setAttribute('aria-label', 'Sort channels');
+    SORT_OPTIONS.forEach((option) => {
+        const item = document.createElement('option');
+        item.value = option.id;
+        item.textContent = option.label;
+        sortSelect.appendChild(item);
+    });
+    updateSortSelect();
+
+    dormantUnsubscribeButton = document.createElement('button');
+    dormantUnsubscribeButton.type = 'button';
+    dormantUnsubscribeButton.className = 'yt-commander-sub-manager-btn danger';
+    dormantUnsubscribeButton.setAttribute('data-action', 'unsubscribe-dormant');
+    dormantUnsubscribeButton.style.display = 'none';
 
     const actionGroup = document.createElement('div');
     actionGroup.className = 'yt-commander-sub-manager-action-group';
+    actionGroup.appendChild(dormantUnsubscribeButton);
     actionGroup.appendChild(unsubscribeButton);
     const headerDivider = document.createElement('div');
     headerDivider.className = 'yt-commander-sub-manager-header-divider';
 
     headerActions.appendChild(refreshButton);
-    headerActions.appendChild(sortButton);
+    headerActions.appendChild(autoCategorizeButton);
+    headerActions.appendChild(importSubscriptionsButton);
+    headerActions.appendChild(importFileInput);
+    headerActions.appendChild(exportButton);
+    headerActions.appendChild(filtersButton);
+    headerActions.appendChild(sortSelect);
     headerActions.appendChild(headerDivider);
     headerActions.appendChild(actionGroup);
 
 
     header.appendChild(titleWrap);
+    header.appendChild(searchWrap);
     header.appendChild(headerActions);
 
 
     const content = document.createElement('div');
     content.className = 'yt-commander-sub-manager-content';
 
+    filterPanel = buildFilterPanel();
+    content.appendChild(filterPanel);
+    updateFiltersButton();
+
     sidebar = document.createElement('div');
     sidebar.className = 'yt-commander-sub-manager-chipbar';
 
@@ -1754,6 +2375,40 @@ function ensureModal() {
         floatingStackEl.appendChild(statusEl);
     }
 
+    undoToastEl = document.createElement('div');
+    undoToastEl.className = 'yt-commander-sub-manager-undo-toast';
+    undoToastEl.setAttribute('role', 'status');
+    undoToastEl.style.display = 'none';
+    undoToastLabelEl = document.createElement('span');
+    undoToastLabelEl.className = 'yt-commander-sub-manager-undo-label';
+    const undoButton = document.createElement('button');
+    undoButton.type = 'button';
+    undoButton.className = 'yt-commander-sub-manager-undo-button';
+    undoButton.setAttribute('data-action', 'undo');
+    undoButton.textContent = 'Undo';
+    undoToastEl.appendChild(undoToastLabelEl);
+    undoToastEl.appendChild(undoButton);
+    if (floatingStackEl) {
+        floatingStackEl.appendChild(undoToastEl);
+    }
+
+    progressEl = document.createElement('div');
+    progressEl.className = 'yt-commander-sub-manager-progress';
+    progressEl.setAttribute('role', 'progressbar');
+    progressEl.style.display = 'none';
+    progressLabelEl = document.createElement('span');
+    progressLabelEl.className = 'yt-commander-sub-manager-progress-label';
+    const progressTrack = document.createElement('div');
+    progressTrack.className = 'yt-commander-sub-manager-progress-track';
+    progressFillEl = document.createElement('div');
+    progressFillEl.className = 'yt-commander-sub-manager-progress-fill';
+    progressTrack.appendChild(progressFillEl);
+    progressEl.appendChild(progressLabelEl);
+    progressEl.appendChild(progressTrack);
+    if (floatingStackEl) {
+        floatingStackEl.appendChild(progressEl);
+    }
+
     modal.appendChild(header);
     modal.appendChild(content);
 
@@ -1778,6 +2433,7 @@ function ensureModal() {
     ensurePicker();
     ensureTooltipPortal();
     ensureConfirmDialog();
+    ensureReviewDialog();
 }
 
 /**
@@ -1847,10 +2503,13 @@ function renderPicker() {
     const activeCategoryId = resolvePickerActiveCategoryId();
 
     const addPickerItem = (options) => {
-        const { id, label, color, isActive, isUncategorized } = options;
+        const { id, label, color, isActive, isUncategorized, isChild } = options;
         const button = document.createElement('button');
         button.type = 'button';
         button.className = 'yt-commander-sub-manager-picker-item';
+        if (isChild) {
+            button.classList.add('is-child');
+        }
         button.setAttribute('data-category-id', id);
         const dot = document.createElement('span');
         dot.className = 'yt-commander-sub-manager-picker-dot';
@@ -1888,13 +2547,15 @@ function renderPicker() {
         empty.textContent = 'No categories yet.';
         list.appendChild(empty);
     } else {
-        categories.forEach((category) => {
+        // Smart categories are assigned by their rules, not by hand.
+        getOrderedCategories().filter((category) => !category.rules).forEach((category) => {
             addPickerItem({
                 id: category.id,
                 label: category.name,
                 color: category.color,
                 isActive: activeCategoryId === category.id,
-                isUncategorized: false
+                isUncategorized: false,
+                isChild: Boolean(category.parentId)
             });
         });
     }
@@ -2092,6 +2753,10 @@ function ensureConfirmDialog() {
     confirmMessageEl = document.createElement('div');
     confirmMessageEl.className = 'yt-commander-sub-manager-confirm-message';
 
+    confirmListEl = document.createElement('ul');
+    confirmListEl.className = 'yt-commander-sub-manager-confirm-list';
+    confirmListEl.style.display = 'none';
+
     const actions = document.createElement('div');
     actions.className = 'yt-commander-sub-manager-confirm-actions';
 
@@ -2112,6 +2777,7 @@ function ensureConfirmDialog() {
 
     dialog.appendChild(confirmTitleEl);
     dialog.appendChild(confirmMessageEl);
+    dialog.appendChild(confirmListEl);
     dialog.appendChild(actions);
 
     confirmBackdrop.appendChild(dialog);
@@ -2136,7 +2802,7 @@ function ensureConfirmDialog() {
 
 /**
  * Show confirm dialog.
- * @param {{title?: string, message?: string, confirmLabel?: string, cancelLabel?: string}} options
+ * @param {{title?: string, message?: string, items?: string[], confirmLabel?: string, cancelLabel?: string}} options
  * @returns {Promise<boolean>}
  */
 function showConfirmDialog(options = {}) {
@@ -2144,13 +2810,22 @@ function showConfirmDialog(options = {}) {
     if (!confirmBackdrop) {
         return Promise.resolve(false);
     }
-    const { title, message, confirmLabel, cancelLabel } = options;
+    const { title, message, items, confirmLabel, cancelLabel } = options;
     if (confirmTitleEl && title) {
         confirmTitleEl.textContent = title;
     }
     if (confirmMessageEl && message) {
         confirmMessageEl.textContent = message;
     }
+    if (confirmListEl) {
+        confirmListEl.innerHTML = '';
+        (Array.isArray(items) ? items : []).forEach((text) => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            confirmListEl.appendChild(item);
+        });
+        confirmListEl.style.display = confirmListEl.childElementCount > 0 ? '' : 'none';
+    }
     const confirmButton = confirmBackdrop.querySelector('[data-action="confirm-accept"]');
     const cancelButton = confirmBackdrop.querySelector('[data-action="confirm-cancel"]');
     if (confirmButton && confirmLabel) {
@@ -2184,56 +2859,466 @@ function closeConfirmDialog(accepted) {
 }
 
 /**
- * Position picker near anchor.
+ * Ensure the auto-categorize review dialog exists.
  */
-function positionPicker() {
-    if (!picker || !pickerAnchorEl) {
+function ensureReviewDialog() {
+    if (reviewBackdrop && reviewBackdrop.isConnected) {
         return;
     }
-    if (picker.style.display !== 'block') {
-        return;
-    }
-    const rect = pickerAnchorEl.getBoundingClientRect();
-    const list = picker.querySelector('.yt-commander-sub-manager-picker-list');
-    if (list) {
-        list.style.maxHeight = '';
-    }
-    const initialPickerRect = picker.getBoundingClientRect();
-    const initialListRect = list ? list.getBoundingClientRect() : { height: 0 };
-    const padding = 8;
-    const spaceBelow = window.innerHeight - rect.bottom - padding;
-    const spaceAbove = rect.top - padding;
-    const openAbove = spaceAbove > spaceBelow;
-    const available = Math.max(openAbove ? spaceAbove : spaceBelow, 0);
-    const nonListHeight = Math.max(0, initialPickerRect.height - initialListRect.height);
-    if (list) {
-        const maxListHeight = Math.max(0, Math.floor(available - nonListHeight));
-        list.style.maxHeight = `${maxListHeight}px`;
-    }
-    const pickerRect = picker.getBoundingClientRect();
-    let top = openAbove
-        ? rect.top - pickerRect.height - padding
-        : rect.bottom + padding;
-    let left = rect.left;
 
-    if (left + pickerRect.width > window.innerWidth - padding) {
-        left = window.innerWidth - pickerRect.width - padding;
-    }
+    reviewBackdrop = document.createElement('div');
+    reviewBackdrop.className = 'yt-commander-sub-manager-confirm-backdrop';
+    reviewBackdrop.setAttribute('aria-hidden', 'true');
 
-    picker.style.top = `${Math.max(padding, top)}px`;
-    picker.style.left = `${Math.max(padding, left)}px`;
-}
+    const dialog = document.createElement('div');
+    dialog.className = 'yt-commander-sub-manager-confirm-dialog yt-commander-sub-manager-review-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
 
-/**
- * Create a category.
- * @param {string} name
- * @param {string} [colorOverride]
- * @returns {{id: string, name: string, color: string}}
- */
-function createCategory(name, colorOverride = '') {
-    const trimmed = name.trim();
-    const id = `cat_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
-    const color = typeof colorOverride === 'string' && colorOverride.trim()
+    const title = document.createElement('div');
+    title.className = 'yt-commander-sub-manager-confirm-title';
+    title.textContent = 'Review suggested categories';
+
+    reviewSummaryEl = document.createElement('div');
+    reviewSummaryEl.className = 'yt-commander-sub-manager-confirm-message';
+
+    reviewListEl = document.createElement('div');
+    reviewListEl.className = 'yt-commander-sub-manager-review-list';
+
+    const actions = document.createElement('div');
+    actions.className = 'yt-commander-sub-manager-confirm-actions';
+
+    const toggleAllButton = document.createElement('button');
+    toggleAllButton.type = 'button';
+    toggleAllButton.className = 'yt-commander-sub-manager-btn secondary';
+    toggleAllButton.setAttribute('data-action', 'review-toggle-all');
+    toggleAllButton.textContent = 'Toggle all';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'yt-commander-sub-manager-btn secondary';
+    cancelButton.setAttribute('data-action', 'review-cancel');
+    cancelButton.textContent = 'Reject all';
+
+    reviewApplyButton = document.createElement('button');
+    reviewApplyButton.type = 'button';
+    reviewApplyButton.className = 'yt-commander-sub-manager-btn';
+    reviewApplyButton.setAttribute('data-action', 'review-apply');
+
+    actions.appendChild(toggleAllButton);
+    actions.appendChild(cancelButton);
+    actions.appendChild(reviewApplyButton);
+
+    dialog.appendChild(title);
+    dialog.appendChild(reviewSummaryEl);
+    dialog.appendChild(reviewListEl);
+    dialog.appendChild(actions);
+
+    reviewBackdrop.appendChild(dialog);
+    modal.appendChild(reviewBackdrop);
+
+    reviewBackdrop.addEventListener('click', (event) => {
+        if (event.target === reviewBackdrop) {
+            closeReviewDialog(false);
+            return;
+        }
+        const actionType = event.target?.closest('[data-action]')?.getAttribute('data-action');
+        if (actionType === 'review-apply') {
+            closeReviewDialog(true);
+        } else if (actionType === 'review-cancel') {
+            closeReviewDialog(false);
+        } else if (actionType === 'review-toggle-all') {
+            const boxes = Array.from(reviewListEl.querySelectorAll('input[type="checkbox"]'));
+            const nextChecked = boxes.some((box) => !box.checked);
+            boxes.forEach((box) => {
+                box.checked = nextChecked;
+            });
+            updateReviewApplyButton();
+        }
+    });
+    reviewListEl.addEventListener('change', updateReviewApplyButton);
+}
+
+/**
+ * Update the apply button label with the accepted count.
+ */
+function updateReviewApplyButton() {
+    if (!reviewApplyButton || !reviewListEl) {
+        return;
+    }
+    const count = reviewListEl.querySelectorAll('input[type="checkbox"]:checked').length;
+    reviewApplyButton.textContent = `Apply ${count}`;
+    reviewApplyButton.disabled = count === 0;
+}
+
+/**
+ * Build the category settings dialog (parent and smart rules).
+ */
+function ensureCategorySettingsDialog() {
+    if (categorySettingsBackdrop && categorySettingsBackdrop.isConnected) {
+        return;
+    }
+
+    categorySettingsBackdrop = document.createElement('div');
+    categorySettingsBackdrop.className = 'yt-commander-sub-manager-confirm-backdrop';
+    categorySettingsBackdrop.setAttribute('aria-hidden', 'true');
+
+    const dialog = document.createElement('div');
+    dialog.className = 'yt-commander-sub-manager-confirm-dialog yt-commander-sub-manager-category-settings';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    const title = document.createElement('div');
+    title.className = 'yt-commander-sub-manager-confirm-title';
+    title.setAttribute('data-role', 'settings-title');
+
+    const buildRow = (labelText, control) => {
+        const row = document.createElement('label');
+        row.className = 'yt-commander-sub-manager-category-settings-row';
+        const label = document.createElement('span');
+        label.className = 'yt-commander-sub-manager-filter-panel-label';
+        label.textContent = labelText;
+        row.appendChild(label);
+        row.appendChild(control);
+        return row;
+    };
+    const buildInput = (field, placeholder) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'yt-commander-sub-manager-filter-panel-input';
+        input.setAttribute('data-settings-field', field);
+        input.placeholder = placeholder;
+        input.spellcheck = false;
+        return input;
+    };
+
+    const parentSelect = document.createElement('select');
+    parentSelect.className = 'yt-commander-sub-manager-filter';
+    parentSelect.setAttribute('data-settings-field', 'parentId');
+
+    const parentHint = document.createElement('div');
+    parentHint.className = 'yt-commander-sub-manager-category-settings-hint';
+    parentHint.setAttribute('data-role', 'parent-hint');
+
+    const rulesTitle = document.createElement('div');
+    rulesTitle.className = 'yt-commander-sub-manager-category-settings-section';
+    rulesTitle.textContent = 'Smart rules';
+
+    const rulesHint = document.createElement('div');
+    rulesHint.className = 'yt-commander-sub-manager-category-settings-hint';
+    rulesHint.textContent = 'Set any rule to fill this category automatically. A channel joins when it matches every rule that is set. Leave all empty for a manual category.';
+
+    const subscribersWrap = document.createElement('span');
+    subscribersWrap.className = 'yt-commander-sub-manager-category-settings-range';
+    const minInput = buildInput('minSubscribers', 'Min');
+    const maxInput = buildInput('maxSubscribers', 'Max');
+    const dash = document.createElement('span');
+    dash.textContent = '-';
+    subscribersWrap.appendChild(minInput);
+    subscribersWrap.appendChild(dash);
+    subscribersWrap.appendChild(maxInput);
+
+    const preview = document.createElement('div');
+    preview.className = 'yt-commander-sub-manager-category-settings-hint';
+    preview.setAttribute('data-role', 'settings-preview');
+    preview.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'yt-commander-sub-manager-confirm-actions';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'yt-commander-sub-manager-btn secondary';
+    cancelButton.setAttribute('data-action', 'settings-cancel');
+    cancelButton.textContent = 'Cancel';
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.className = 'yt-commander-sub-manager-btn';
+    saveButton.setAttribute('data-action', 'settings-save');
+    saveButton.textContent = 'Save';
+
+    actions.appendChild(cancelButton);
+    actions.appendChild(saveButton);
+
+    dialog.appendChild(title);
+    dialog.appendChild(buildRow('Parent', parentSelect));
+    dialog.appendChild(parentHint);
+    dialog.appendChild(rulesTitle);
+    dialog.appendChild(rulesHint);
+    dialog.appendChild(buildRow('Title matches', buildInput('titlePattern', 'Regex, e.g. speedrun|any%')));
+    dialog.appendChild(buildRow('Handle matches', buildInput('handlePattern', 'Regex, e.g. ^gdq')));
+    dialog.appendChild(buildRow('Subscribers', subscribersWrap));
+    dialog.appendChild(buildRow('Description has', buildInput('descriptionKeywords', 'Keywords, comma separated')));
+    dialog.appendChild(preview);
+    dialog.appendChild(actions);
+
+    categorySettingsBackdrop.appendChild(dialog);
+    modal.appendChild(categorySettingsBackdrop);
+
+    categorySettingsBackdrop.addEventListener('click', (event) => {
+        if (event.target === categorySettingsBackdrop) {
+            closeCategorySettingsDialog(false);
+            return;
+        }
+        const actionType = event.target?.closest('[data-action]')?.getAttribute('data-action');
+        if (actionType === 'settings-save') {
+            closeCategorySettingsDialog(true);
+        } else if (actionType === 'settings-cancel') {
+            closeCategorySettingsDialog(false);
+        }
+    });
+    dialog.addEventListener('input', updateCategorySettingsPreview);
+}
+
+/**
+ * Read the rules currently typed in the settings dialog.
+ * @returns {ReturnType<typeof normalizeSmartRules>}
+ */
+function readCategorySettingsRules() {
+    const read = (field) => categorySettingsBackdrop
+        ?.querySelector(`[data-settings-field="${field}"]`)?.value || '';
+    return normalizeSmartRules({
+        titlePattern: read('titlePattern'),
+        handlePattern: read('handlePattern'),
+        minSubscribers: read('minSubscribers'),
+        maxSubscribers: read('maxSubscribers'),
+        descriptionKeywords: read('descriptionKeywords')
+    });
+}
+
+/**
+ * Show pattern errors or how many channels the typed rules match.
+ * @returns {boolean} true when the rules can be saved
+ */
+function updateCategorySettingsPreview() {
+    const preview = categorySettingsBackdrop?.querySelector('[data-role="settings-preview"]');
+    if (!preview) {
+        return false;
+    }
+    const rules = readCategorySettingsRules();
+    const patternError = rules
+        ? (validateSmartPattern(rules.titlePattern) || validateSmartPattern(rules.handlePattern))
+        : '';
+    preview.classList.toggle('is-error', Boolean(patternError));
+    if (patternError) {
+        preview.textContent = `Invalid pattern: ${patternError}`;
+        return false;
+    }
+    if (!rules) {
+        preview.textContent = 'Manual category: channels are assigned by hand.';
+        return true;
+    }
+    const matched = computeSmartMembership([{ id: 'preview', rules }], channels, readSmartRuleFields).size;
+    preview.textContent = `Matches ${matched} of ${channels.length} channel(s).`;
+    return true;
+}
+
+/**
+ * Open the settings dialog for a category.
+ * @param {{id: string, name: string, parentId?: string, rules?: object}} category
+ * @returns {Promise<{parentId: string, rules: object|null} | null>} null when cancelled
+ */
+function showCategorySettingsDialog(category) {
+    ensureCategorySettingsDialog();
+    if (!categorySettingsBackdrop) {
+        return Promise.resolve(null);
+    }
+
+    categorySettingsBackdrop.querySelector('[data-role="settings-title"]').textContent = `Category: ${category.name}`;
+
+    const hasChildren = categories.some((item) => item.parentId === category.id);
+    const parentSelect = categorySettingsBackdrop.querySelector('[data-settings-field="parentId"]');
+    parentSelect.innerHTML = '';
+    const topOption = document.createElement('option');
+    topOption.value = '';
+    topOption.textContent = 'None (top level)';
+    parentSelect.appendChild(topOption);
+    categories
+        .filter((item) => !item.parentId && item.id !== category.id)
+        .forEach((item) => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.name;
+            parentSelect.appendChild(option);
+        });
+    parentSelect.value = category.parentId || '';
+    parentSelect.disabled = hasChildren;
+    categorySettingsBackdrop.querySelector('[data-role="parent-hint"]').textContent = hasChildren
+        ? 'This category has subcategories, so it stays at the top level.'
+        : 'Subcategories nest one level deep. Their channels count toward the parent.';
+
+    const rules = category.rules || {};
+    const fieldValues = {
+        titlePattern: rules.titlePattern || '',
+        handlePattern: rules.handlePattern || '',
+        minSubscribers: rules.minSubscribers || '',
+        maxSubscribers: rules.maxSubscribers || '',
+        descriptionKeywords: (rules.descriptionKeywords || []).join(', ')
+    };
+    Object.entries(fieldValues).forEach(([field, value]) => {
+        categorySettingsBackdrop.querySelector(`[data-settings-field="${field}"]`).value = value;
+    });
+    updateCategorySettingsPreview();
+
+    categorySettingsBackdrop.classList.add('is-visible');
+    categorySettingsBackdrop.setAttribute('aria-hidden', 'false');
+    return new Promise((resolve) => {
+        categorySettingsResolve = resolve;
+    });
+}
+
+/**
+ * Close the category settings dialog.
+ * @param {boolean} accepted Save the typed settings.
+ */
+function closeCategorySettingsDialog(accepted) {
+    if (!categorySettingsBackdrop) {
+        return;
+    }
+    if (accepted && !updateCategorySettingsPreview()) {
+        return;
+    }
+    const result = accepted
+        ? {
+            parentId: categorySettingsBackdrop.querySelector('[data-settings-field="parentId"]').value || '',
+            rules: readCategorySettingsRules()
+        }
+        : null;
+    categorySettingsBackdrop.classList.remove('is-visible');
+    categorySettingsBackdrop.setAttribute('aria-hidden', 'true');
+    if (categorySettingsResolve) {
+        const resolve = categorySettingsResolve;
+        categorySettingsResolve = null;
+        resolve(result);
+    }
+}
+
+/**
+ * Show suggestions for review; resolves with the accepted ones.
+ * @param {{channelId: string, categoryId: string, categoryName: string, isNew: boolean}[]} suggestions
+ * @param {string} summary
+ * @returns {Promise<object[]>}
+ */
+function showReviewDialog(suggestions, summary) {
+    ensureReviewDialog();
+    if (!reviewBackdrop) {
+        return Promise.resolve([]);
+    }
+
+    reviewSuggestions = suggestions;
+    reviewSummaryEl.textContent = summary;
+    reviewListEl.textContent = '';
+    suggestions.forEach((suggestion, index) => {
+        const channel = channelsById.get(suggestion.channelId);
+
+        const row = document.createElement('label');
+        row.className = 'yt-commander-sub-manager-review-row';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.setAttribute('data-index', String(index));
+
+        const name = document.createElement('span');
+        name.className = 'yt-commander-sub-manager-review-channel';
+        name.textContent = channel?.title || suggestion.channelId;
+
+        const category = document.createElement('span');
+        category.className = 'yt-commander-sub-manager-review-category';
+        category.textContent = suggestion.isNew ? `${suggestion.categoryName} (new)` : suggestion.categoryName;
+        if (suggestion.isNew) {
+            category.classList.add('is-new');
+        }
+
+        row.appendChild(checkbox);
+        row.appendChild(name);
+        row.appendChild(category);
+        reviewListEl.appendChild(row);
+    });
+    updateReviewApplyButton();
+
+    reviewBackdrop.classList.add('is-visible');
+    reviewBackdrop.setAttribute('aria-hidden', 'false');
+    return new Promise((resolve) => {
+        reviewResolve = resolve;
+    });
+}
+
+/**
+ * Close the review dialog.
+ * @param {boolean} accepted Apply the checked suggestions.
+ */
+function closeReviewDialog(accepted) {
+    if (!reviewBackdrop) {
+        return;
+    }
+    const chosen = accepted
+        ? Array.from(reviewListEl.querySelectorAll('input[type="checkbox"]:checked'))
+            .map((box) => reviewSuggestions[Number(box.getAttribute('data-index'))])
+            .filter(Boolean)
+        : [];
+    reviewBackdrop.classList.remove('is-visible');
+    reviewBackdrop.setAttribute('aria-hidden', 'true');
+    reviewSuggestions = [];
+    if (reviewResolve) {
+        const resolve = reviewResolve;
+        reviewResolve = null;
+        resolve(chosen);
+    }
+}
+
+/**
+ * Position picker near anchor.
+ */
+function positionPicker() {
+    if (!picker || !pickerAnchorEl) {
+        return;
+    }
+    if (picker.style.display !== 'block') {
+        return;
+    }
+    const rect = pickerAnchorEl.getBoundingClientRect();
+    const list = picker.querySelector('.yt-commander-sub-manager-picker-list');
+    if (list) {
+        list.style.maxHeight = '';
+    }
+    const initialPickerRect = picker.getBoundingClientRect();
+    const initialListRect = list ? list.getBoundingClientRect() : { height: 0 };
+    const padding = 8;
+    const spaceBelow = window.innerHeight - rect.bottom - padding;
+    const spaceAbove = rect.top - padding;
+    const openAbove = spaceAbove > spaceBelow;
+    const available = Math.max(openAbove ? spaceAbove : spaceBelow, 0);
+    const nonListHeight = Math.max(0, initialPickerRect.height - initialListRect.height);
+    if (list) {
+        const maxListHeight = Math.max(0, Math.floor(available - nonListHeight));
+        list.style.maxHeight = `${maxListHeight}px`;
+    }
+    const pickerRect = picker.getBoundingClientRect();
+    let top = openAbove
+        ? rect.top - pickerRect.height - padding
+        : rect.bottom + padding;
+    let left = rect.left;
+
+    if (left + pickerRect.width > window.innerWidth - padding) {
+        left = window.innerWidth - pickerRect.width - padding;
+    }
+
+    picker.style.top = `${Math.max(padding, top)}px`;
+    picker.style.left = `${Math.max(padding, left)}px`;
+}
+
+/**
+ * Create a category.
+ * @param {string} name
+ * @param {string} [colorOverride]
+ * @returns {{id: string, name: string, color: string}}
+ */
+function createCategory(name, colorOverride = '') {
+    const trimmed = name.trim();
+    const id = `cat_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const color = typeof colorOverride === 'string' && colorOverride.trim()
         ? colorOverride.trim()
         : generateRandomCategoryColor();
     return {
@@ -2262,14 +3347,206 @@ function updateSidebarToggleButton() {
     setIconButton(sidebarToggleButton, icon, label);
 }
 
-function updateSortButton() {
-    if (!sortButton) {
+function updateSortSelect() {
+    if (!sortSelect) {
+        return;
+    }
+    sortSelect.value = sortMode;
+}
+
+/**
+ * Build a min/max pair of count inputs.
+ * @param {string} label
+ * @param {string} minField
+ * @param {string} maxField
+ * @returns {HTMLDivElement}
+ */
+function buildFilterRangeRow(label, minField, maxField) {
+    const row = document.createElement('div');
+    row.className = 'yt-commander-sub-manager-filter-panel-row';
+    const title = document.createElement('span');
+    title.className = 'yt-commander-sub-manager-filter-panel-label';
+    title.textContent = label;
+    row.appendChild(title);
+
+    [[minField, 'Min'], [maxField, 'Max']].forEach(([field, placeholder], index) => {
+        if (index > 0) {
+            const dash = document.createElement('span');
+            dash.textContent = '-';
+            row.appendChild(dash);
+        }
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.className = 'yt-commander-sub-manager-filter-panel-input';
+        input.placeholder = placeholder;
+        input.setAttribute('data-filter-field', field);
+        input.setAttribute('aria-label', `${label} ${placeholder.toLowerCase()}`);
+        row.appendChild(input);
+    });
+    return row;
+}
+
+/**
+ * Build the collapsible advanced filter panel.
+ * @returns {HTMLDivElement}
+ */
+function buildFilterPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'yt-commander-sub-manager-filter-panel';
+    panel.style.display = 'none';
+
+    const categoryRow = document.createElement('div');
+    categoryRow.className = 'yt-commander-sub-manager-filter-panel-row';
+    const categoryLabel = document.createElement('span');
+    categoryLabel.className = 'yt-commander-sub-manager-filter-panel-label';
+    categoryLabel.textContent = 'Categories';
+    setTooltip(categoryLabel, 'Click a category to require it, again to exclude it, again to ignore it');
+    filterChipList = document.createElement('div');
+    filterChipList.className = 'yt-commander-sub-manager-filter-panel-chips';
+    categoryRow.appendChild(categoryLabel);
+    categoryRow.appendChild(filterChipList);
+
+    const activityRow = document.createElement('div');
+    activityRow.className = 'yt-commander-sub-manager-filter-panel-row';
+    const activityLabel = document.createElement('span');
+    activityLabel.className = 'yt-commander-sub-manager-filter-panel-label';
+    activityLabel.textContent = 'No upload in';
+    const daysInput = document.createElement('input');
+    daysInput.type = 'number';
+    daysInput.min = '0';
+    daysInput.step = '1';
+    daysInput.className = 'yt-commander-sub-manager-filter-panel-input';
+    daysInput.placeholder = 'Any';
+    daysInput.setAttribute('data-filter-field', 'inactiveDays');
+    daysInput.setAttribute('aria-label', 'No upload in days');
+    const daysSuffix = document.createElement('span');
+    daysSuffix.textContent = 'days';
+    activityRow.appendChild(activityLabel);
+    activityRow.appendChild(daysInput);
+    activityRow.appendChild(daysSuffix);
+
+    const dormantRow = document.createElement('div');
+    dormantRow.className = 'yt-commander-sub-manager-filter-panel-row';
+    const dormantLabel = document.createElement('span');
+    dormantLabel.className = 'yt-commander-sub-manager-filter-panel-label';
+    dormantLabel.textContent = 'Dormant after';
+    setTooltip(dormantLabel, 'Threshold for the Dormant chip');
+    const monthsInput = document.createElement('input');
+    monthsInput.type = 'number';
+    monthsInput.min = '1';
+    monthsInput.max = String(MAX_DORMANT_MONTHS);
+    monthsInput.step = '1';
+    monthsInput.className = 'yt-commander-sub-manager-filter-panel-input';
+    monthsInput.setAttribute('data-setting', 'dormantMonths');
+    monthsInput.setAttribute('aria-label', 'Dormant after months');
+    const monthsSuffix = document.createElement('span');
+    monthsSuffix.textContent = 'months';
+    dormantRow.appendChild(dormantLabel);
+    dormantRow.appendChild(monthsInput);
+    dormantRow.appendChild(monthsSuffix);
+
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = 'yt-commander-sub-manager-btn';
+    clearButton.setAttribute('data-action', 'clear-filters');
+    clearButton.textContent = 'Clear filters';
+
+    panel.appendChild(categoryRow);
+    panel.appendChild(buildFilterRangeRow('Subscribers', 'minSubscribers', 'maxSubscribers'));
+    panel.appendChild(buildFilterRangeRow('Videos', 'minVideos', 'maxVideos'));
+    panel.appendChild(activityRow);
+    panel.appendChild(dormantRow);
+    panel.appendChild(clearButton);
+    syncFilterInputs(panel);
+    return panel;
+}
+
+/**
+ * Copy filter state into the panel inputs.
+ * @param {HTMLElement | null} [panel]
+ */
+function syncFilterInputs(panel = filterPanel) {
+    if (!panel) {
+        return;
+    }
+    panel.querySelectorAll('input[data-filter-field]').forEach((input) => {
+        const field = input.getAttribute('data-filter-field') || '';
+        const value = channelFilters[field];
+        input.value = field === 'inactiveDays' ? (value > 0 ? String(value) : '') : (value || '');
+    });
+    const monthsInput = panel.querySelector('input[data-setting="dormantMonths"]');
+    if (monthsInput) {
+        monthsInput.value = String(dormantMonths);
+    }
+}
+
+/**
+ * Render include/exclude chips for the category filter.
+ */
+function renderFilterCategoryChips() {
+    if (!filterChipList) {
+        return;
+    }
+    filterChipList.innerHTML = '';
+    if (categories.length === 0) {
+        const empty = document.createElement('span');
+        empty.className = 'yt-commander-sub-manager-filter-panel-empty';
+        empty.textContent = 'No categories yet.';
+        filterChipList.appendChild(empty);
+        return;
+    }
+    categories.forEach((category) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'yt-commander-sub-manager-filter-panel-chip';
+        chip.setAttribute('data-action', 'filter-category-cycle');
+        chip.setAttribute('data-category-id', category.id);
+        let prefix = '';
+        if (channelFilters.includeCategoryIds.includes(category.id)) {
+            chip.classList.add('is-include');
+            prefix = '+ ';
+        } else if (channelFilters.excludeCategoryIds.includes(category.id)) {
+            chip.classList.add('is-exclude');
+            prefix = '- ';
+        }
+        chip.textContent = `${prefix}${category.name}`;
+        filterChipList.appendChild(chip);
+    });
+}
+
+/**
+ * Reflect active filter count on the header button.
+ */
+function updateFiltersButton() {
+    if (!filtersButton) {
+        return;
+    }
+    const activeCount = countActiveChannelFilters(channelFilters);
+    const label = activeCount > 0 ? `Filters (${activeCount} active)` : 'Filters';
+    setIconButton(filtersButton, ICONS.filter, label);
+    filtersButton.classList.toggle('active', activeCount > 0 || filterPanel?.style.display === 'flex');
+}
+
+/**
+ * Apply an edited filter state and re-render.
+ * @param {object} nextFilters
+ */
+function updateChannelFilters(nextFilters) {
+    channelFilters = normalizeChannelFilters(nextFilters);
+    resetScrollPending = true;
+    persistViewState().catch(() => undefined);
+    renderList();
+}
+
+function updateDormantUnsubscribeButton() {
+    if (!dormantUnsubscribeButton) {
         return;
     }
-    const isSubscribers = sortMode === 'subscribers';
-    const label = isSubscribers ? 'Sort by name' : 'Sort by subscribers';
-    setIconButton(sortButton, ICONS.sort, label);
-    sortButton.classList.toggle('active', isSubscribers);
+    const count = filterMode === 'dormant' ? filteredChannelsCache.length : 0;
+    dormantUnsubscribeButton.style.display = count > 0 ? '' : 'none';
+    dormantUnsubscribeButton.textContent = `Unsubscribe ${count} dormant`;
+    setTooltip(dormantUnsubscribeButton, `Unsubscribe from the ${count} channel(s) listed`);
 }
 
 function updateRemoveCategoryButton() {
@@ -2542,8 +3819,8 @@ function renderSidebarCategories() {
         sidebarCountEl.textContent = String(categories.length);
     }
 
-    const counts = getCategoryCounts();
-    const validIds = new Set(['all', 'uncategorized', ...categories.map((category) => category.id)]);
+    const counts = { ...getCategoryCounts(), dormant: countDormantChannels() };
+    const validIds = new Set(['all', 'uncategorized', 'dormant', ...categories.map((category) => category.id)]);
     if (!validIds.has(filterMode)) {
         filterMode = 'all';
         persistViewState().catch(() => undefined);
@@ -2675,7 +3952,8 @@ function renderSidebarCategories() {
 
     addItem('all', 'All categories', '#616b7f');
     addItem('uncategorized', 'Uncategorized', '#3b4457');
-    categories.forEach((category) => {
+    addItem('dormant', `Dormant ${dormantMonths}+ mo`, '#5c4a2e');
+    getOrderedCategories().forEach((category) => {
         if (sidebarEditingId === category.id) {
             addEditableItem(category);
             return;
@@ -2683,6 +3961,8 @@ function renderSidebarCategories() {
         const countValue = typeof counts[category.id] === 'number' ? counts[category.id] : 0;
         const item = document.createElement('div');
         item.className = `${FILTER_ITEM_CLASS} yt-commander-sub-manager-sidebar-item`;
+        item.classList.toggle('is-child', Boolean(category.parentId));
+        item.classList.toggle('is-smart', Boolean(category.rules));
         item.setAttribute('data-action', 'filter-select');
         item.setAttribute('data-filter-id', category.id);
         item.setAttribute('role', 'button');
@@ -2708,6 +3988,13 @@ function renderSidebarCategories() {
 
         left.appendChild(initial);
         left.appendChild(name);
+        if (category.rules) {
+            const smartTag = document.createElement('span');
+            smartTag.className = 'yt-commander-sub-manager-filter-smart';
+            smartTag.appendChild(createIcon(ICONS.sparkle));
+            setTooltip(smartTag, 'Smart category: filled by rules');
+            left.appendChild(smartTag);
+        }
 
         const right = document.createElement('span');
         right.className = 'yt-commander-sub-manager-filter-right';
@@ -2716,6 +4003,16 @@ function renderSidebarCategories() {
         count.className = FILTER_COUNT_CLASS;
         count.textContent = String(countValue);
 
+        const settings = document.createElement('button');
+        settings.type = 'button';
+        settings.className = 'yt-commander-sub-manager-filter-remove';
+        settings.setAttribute('data-action', 'category-settings');
+        settings.setAttribute('data-category-id', category.id);
+        setTooltip(settings, `Nesting and rules for ${category.name}`);
+        const settingsIcon = createIcon(ICONS.tune);
+        settingsIcon.classList.add('yt-commander-sub-manager-icon');
+        settings.appendChild(settingsIcon);
+
         const remove = document.createElement('button');
         remove.type = 'button';
         remove.className = 'yt-commander-sub-manager-filter-remove';
@@ -2727,6 +4024,7 @@ function renderSidebarCategories() {
         remove.appendChild(removeIcon);
 
         right.appendChild(count);
+        right.appendChild(settings);
         right.appendChild(remove);
 
         item.appendChild(left);
@@ -2770,10 +4068,19 @@ async function removeCategory(categoryId) {
         return;
     }
 
-    categories = categories.filter((item) => item.id !== categoryId);
+    const childIds = categories.filter((item) => item.parentId === categoryId).map((item) => item.id);
+    const undoCategories = captureCategories(categories, [categoryId, ...childIds]);
+    const undoAssignments = captureAssignments(
+        assignments,
+        Object.keys(assignments).filter((key) => Array.isArray(assignments[key]) && assignments[key].includes(categoryId))
+    );
+    categories = normalizeCategories(categories.filter((item) => item.id !== categoryId));
     markCategoriesDirty();
+    if (category.rules) {
+        recomputeSmartCategories();
+    }
 
-    const updatedKeys = [`category:${categoryId}`];
+    const updatedKeys = [`category:${categoryId}`, ...childIds.map((id) => `category:${id}`)];
     let affected = 0;
     Object.entries(assignments).forEach(([channelId, list]) => {
         if (!Array.isArray(list) || !list.includes(categoryId)) {
@@ -2796,31 +4103,75 @@ async function removeCategory(categoryId) {
     await persistLocalState();
     await markPending(updatedKeys);
     setStatus(`Deleted "${category.name}" and unassigned ${affected} channel(s).`, 'success');
+    recordUndo({
+        label: `Deleted "${category.name}"`,
+        categories: undoCategories,
+        assignments: undoAssignments
+    });
     renderSidebarCategories();
     renderList();
 }
 
-function getCategoryLabel(categoryId) {
-    if (categoryId === 'all') {
-        return 'All categories';
-    }
-    if (categoryId === 'uncategorized') {
-        return 'Uncategorized';
-    }
-    const category = categories.find((item) => item.id === categoryId);
-    return category ? category.name : 'category';
-}
-
 /**
- * Render status message.
- * @param {string} message
- * @param {string} [kind]
+ * Edit a category's parent and smart rules.
+ * @param {string} categoryId
+ * @returns {Promise<void>}
  */
-function setStatus(message, kind = 'info') {
-    if (!statusEl) {
+async function editCategorySettings(categoryId) {
+    const category = categories.find((item) => item.id === categoryId);
+    if (!category) {
         return;
     }
-    statusEl.textContent = message;
+    const result = await showCategorySettingsDialog(category);
+    if (!result) {
+        return;
+    }
+
+    const rulesChanged = JSON.stringify(category.rules || null) !== JSON.stringify(result.rules);
+    if (!rulesChanged && (category.parentId || '') === result.parentId) {
+        return;
+    }
+
+    categories = normalizeCategories(categories.map((item) => (
+        item.id === categoryId ? { ...item, parentId: result.parentId, rules: result.rules } : item
+    )));
+    markCategoriesDirty();
+    if (rulesChanged) {
+        recomputeSmartCategories();
+    }
+
+    await persistLocalState();
+    await markPending([`category:${categoryId}`]);
+    if (result.rules) {
+        const matched = Array.from(smartMembership.values()).filter((ids) => ids.includes(categoryId)).length;
+        setStatus(`"${category.name}" now fills itself by rules (${matched} channel(s)).`, 'success');
+    } else {
+        setStatus(`Updated "${category.name}".`, 'success');
+    }
+    renderList();
+}
+
+function getCategoryLabel(categoryId) {
+    if (categoryId === 'all') {
+        return 'All categories';
+    }
+    if (categoryId === 'uncategorized') {
+        return 'Uncategorized';
+    }
+    const category = categories.find((item) => item.id === categoryId);
+    return category ? category.name : 'category';
+}
+
+/**
+ * Render status message.
+ * @param {string} message
+ * @param {string} [kind]
+ */
+function setStatus(message, kind = 'info') {
+    if (!statusEl) {
+        return;
+    }
+    statusEl.textContent = message;
     statusEl.setAttribute('data-status', kind);
     if (statusTimeoutId) {
         window.clearTimeout(statusTimeoutId);
@@ -2840,6 +4191,126 @@ function setStatus(message, kind = 'info') {
     updateFloatingHeaderVisibility();
 }
 
+/**
+ * Show the undo toast for the latest recorded action.
+ * @param {string} label
+ */
+function showUndoToast(label) {
+    if (!undoToastEl || !undoToastLabelEl) {
+        return;
+    }
+    undoToastLabelEl.textContent = label;
+    undoToastEl.style.display = 'flex';
+    if (undoToastTimer) {
+        window.clearTimeout(undoToastTimer);
+    }
+    undoToastTimer = window.setTimeout(hideUndoToast, UNDO_TOAST_MS);
+    updateFloatingHeaderVisibility();
+}
+
+/**
+ * Hide the undo toast. Ctrl+Z keeps working on the remaining history.
+ */
+function hideUndoToast() {
+    if (undoToastTimer) {
+        window.clearTimeout(undoToastTimer);
+        undoToastTimer = 0;
+    }
+    if (undoToastEl) {
+        undoToastEl.style.display = 'none';
+    }
+    updateFloatingHeaderVisibility();
+}
+
+/**
+ * Remember an action so it can be undone, and offer it in the toast.
+ * @param {import('./subscription-manager/undoHistory.js').UndoEntry} entry
+ */
+function recordUndo(entry) {
+    if (entry.categories.length === 0 && entry.assignments.length === 0 && !entry.channels?.length) {
+        return;
+    }
+    undoStack.push(entry);
+    showUndoToast(entry.label);
+}
+
+/**
+ * Revert the most recent recorded action.
+ * Unsubscribes are reverted by subscribing again; local changes are marked pending for sync.
+ * Channels that cannot be subscribed again stay in the history, with their assignments,
+ * so Undo can retry them.
+ * @returns {Promise<void>}
+ */
+async function undoLastAction() {
+    if (undoInProgress) {
+        return;
+    }
+    const entry = undoStack.pop();
+    if (!entry) {
+        hideUndoToast();
+        setStatus('Nothing to undo.', 'info');
+        return;
+    }
+
+    undoInProgress = true;
+    hideUndoToast();
+    try {
+        const updatedKeys = [];
+        const currentIds = new Set(channels.map((channel) => channel.channelId));
+        const restoredChannels = (entry.channels || []).filter((channel) => !currentIds.has(channel.channelId));
+        let failedChannels = [];
+        if (restoredChannels.length > 0) {
+            const { subscribedIds } = await subscribeChannelEntries(
+                restoredChannels.map((channel) => ({ channelId: channel.channelId, url: '' })),
+                'Subscribing again'
+            );
+            if (subscribedIds.length === 0) {
+                undoStack.push(entry);
+                throw new Error('Could not subscribe again. Try Undo later.');
+            }
+            const resubscribed = new Set(subscribedIds);
+            failedChannels = restoredChannels.filter((channel) => !resubscribed.has(channel.channelId));
+            channels = [...channels, ...restoredChannels.filter((channel) => resubscribed.has(channel.channelId))];
+            rebuildChannelIndexes(channels);
+            updatedKeys.push('snapshot');
+        }
+
+        if (entry.categories.length > 0) {
+            categories = normalizeCategories(restoreCategories(categories, entry.categories));
+            markCategoriesDirty();
+            updatedKeys.push(...entry.categories.map(({ id }) => `category:${id}`));
+        }
+        const failedIds = new Set(failedChannels.map((channel) => channel.channelId));
+        const restoredAssignments = entry.assignments.filter(({ key }) => !failedIds.has(key));
+        if (restoredAssignments.length > 0) {
+            restoreAssignments(assignments, restoredAssignments);
+            markAssignmentsDirty();
+            updatedKeys.push(...restoredAssignments.map(({ key }) => `channel:${key}`));
+        }
+        if (entry.categories.length > 0 || restoredChannels.length > 0) {
+            recomputeSmartCategories();
+        }
+
+        await persistLocalState();
+        await markPending(updatedKeys);
+        if (failedChannels.length > 0) {
+            recordUndo({
+                label: entry.label,
+                categories: [],
+                assignments: entry.assignments.filter(({ key }) => failedIds.has(key)),
+                channels: failedChannels
+            });
+            setStatus(`Undid part of: ${entry.label}. ${failedChannels.length} channels could not be subscribed again; Undo retries them.`, 'info');
+        } else {
+            setStatus(`Undid: ${entry.label}.`, 'success');
+        }
+        renderSidebarCategories();
+        renderList();
+    } finally {
+        undoInProgress = false;
+    }
+}
+
 /**
  * Format subscription load errors for the UI.
  * @param {any} error
@@ -2954,11 +4425,13 @@ function buildSelectionTooltip() {
 function updateFloatingHeaderVisibility() {
     const hasSelection = selectedChannelIds.size > 0;
     const hasStatus = Boolean(statusEl && statusEl.textContent);
+    const hasUndoToast = Boolean(undoToastEl && undoToastEl.style.display !== 'none');
+    const hasProgress = Boolean(progressEl && progressEl.style.display !== 'none');
     if (selectionGroupEl) {
         selectionGroupEl.style.display = hasSelection ? 'inline-flex' : 'none';
     }
     if (selectionHeaderEl) {
-        selectionHeaderEl.style.display = hasSelection || hasStatus ? 'flex' : 'none';
+        selectionHeaderEl.style.display = hasSelection || hasStatus || hasUndoToast || hasProgress ? 'flex' : 'none';
     }
 }
 
@@ -3032,12 +4505,18 @@ function handleChannelSelectionInteraction(channelId, options = {}) {
  * @param {string[]} channelIds
  * @param {string} categoryId
  * @param {'add'|'remove'|'toggle'} mode
+ * @param {{recordUndo?: boolean}} [options] Pass recordUndo: false when the caller records its own entry.
+ * @returns {Promise<Array<{key: string, before: string[]|null}>>} assignments as they were before the update
  */
-async function applyCategoryUpdate(channelIds, categoryId, mode) {
+async function applyCategoryUpdate(channelIds, categoryId, mode, options = {}) {
     if (!categoryId) {
-        return;
+        return [];
     }
     const isUncategorized = categoryId === 'uncategorized';
+    if (categories.some((category) => category.id === categoryId && category.rules)) {
+        setStatus('Smart categories are filled by their rules. Edit the rules to change them.', 'info');
+        return [];
+    }
     const categoryLabel = getCategoryLabel(categoryId);
     const categoryDisplay = isUncategorized
         ? 'Uncategorized'
@@ -3046,10 +4525,11 @@ async function applyCategoryUpdate(channelIds, categoryId, mode) {
     const ids = (channelIds || []).filter((id) => typeof id === 'string' && id);
     if (ids.length === 0) {
         setStatus('Select at least one channel.', 'error');
-        return;
+        return [];
     }
 
     const updatedKeys = [];
+    const undoAssignments = [];
     const total = ids.length;
     const batchSize = Math.min(50, Math.max(5, Math.ceil(total / 6)));
     let processed = 0;
@@ -3076,6 +4556,7 @@ async function applyCategoryUpdate(channelIds, categoryId, mode) {
             }
 
             if (changed) {
+                undoAssignments.push(...captureAssignments(assignments, [channelId]));
                 writeChannelAssignments(channelId, next);
                 updatedKeys.push(`channel:${channelId}`);
                 if (next.length === 0) {
@@ -3110,7 +4591,7 @@ async function applyCategoryUpdate(channelIds, categoryId, mode) {
         } else {
             setStatus('No category changes.', 'info');
         }
-        return;
+        return [];
     }
 
     await persistLocalState();
@@ -3126,9 +4607,17 @@ async function applyCategoryUpdate(channelIds, categoryId, mode) {
         successMessage = `Updated ${categoryDisplay}: assigned ${assignedCount}, cleared ${clearedCount} channel(s).`;
     }
     setStatus(successMessage, 'success');
+    if (options.recordUndo !== false) {
+        recordUndo({
+            label: successMessage.replace(/\.$/, ''),
+            categories: [],
+            assignments: undoAssignments
+        });
+    }
     selectedChannelIds = new Set();
     selectionAnchorId = '';
     renderList();
+    return undoAssignments;
 }
 
 /**
@@ -3141,6 +4630,14 @@ function handleOverlayClick(event) {
             closeConfirmDialog(false);
             return;
         }
+        if (reviewBackdrop?.classList.contains('is-visible')) {
+            closeReviewDialog(false);
+            return;
+        }
+        if (categorySettingsBackdrop?.classList.contains('is-visible')) {
+            closeCategorySettingsDialog(false);
+            return;
+        }
         closeModal();
     }
 }
@@ -3159,7 +4656,13 @@ function handleDocumentClick(event) {
             closePicker();
         }
     }
-
+    if (exportMenu) {
+        const inMenu = (target && exportMenu.contains(target)) || path.includes(exportMenu);
+        const inButton = (target && exportButton?.contains(target)) || (exportButton && path.includes(exportButton));
+        if (!inMenu && !inButton) {
+            closeExportMenu();
+        }
+    }
 }
 
 /**
@@ -3181,14 +4684,30 @@ function handleModalClick(event) {
             return;
         }
 
-        if (action === 'sort-toggle') {
-            sortMode = sortMode === 'subscribers' ? 'name' : 'subscribers';
-            persistViewState().catch(() => undefined);
-            renderList();
+        if (action === 'toggle-filters') {
+            if (filterPanel) {
+                filterPanel.style.display = filterPanel.style.display === 'flex' ? 'none' : 'flex';
+            }
+            updateFiltersButton();
+            return;
+        }
+
+        if (action === 'filter-category-cycle') {
+            const categoryId = actionTarget.getAttribute('data-category-id') || '';
+            if (categoryId) {
+                updateChannelFilters(cycleCategoryFilter(channelFilters, categoryId));
+            }
+            return;
+        }
+
+        if (action === 'clear-filters') {
+            updateChannelFilters(null);
+            syncFilterInputs();
             return;
         }
 
         if (action === 'refresh-subscriptions') {
+            channelActivityPausedUntil = 0;
             loadSubscriptions({ force: true }).then(() => {
                 renderList();
             }).catch((error) => {
@@ -3197,6 +4716,39 @@ function handleModalClick(event) {
             return;
         }
 
+        if (action === 'auto-categorize') {
+            autoCategorizeChannels().catch((error) => {
+                setStatus(error?.message || 'Auto-categorize failed', 'error');
+            });
+            return;
+        }
+
+        if (action === 'toggle-export-menu') {
+            toggleExportMenu();
+            return;
+        }
+
+        if (action === 'import-subscriptions') {
+            if (!importInProgress) {
+                importFileInput?.click();
+            }
+            return;
+        }
+
+        if (action === 'undo') {
+            undoLastAction().catch((error) => {
+                setStatus(error?.message || 'Undo failed', 'error');
+            });
+            return;
+        }
+
+        if (action === 'unsubscribe-dormant') {
+            unsubscribeDormant().catch((error) => {
+                setStatus(error?.message || 'Failed to unsubscribe', 'error');
+            });
+            return;
+        }
+
         if (action === 'unsubscribe-selected') {
             unsubscribeSelected().catch((error) => {
                 setStatus(error?.message || 'Failed to unsubscribe', 'error');
@@ -3257,6 +4809,14 @@ function handleModalClick(event) {
             return;
         }
 
+        if (action === 'category-settings') {
+            const categoryId = actionTarget.getAttribute('data-category-id') || '';
+            editCategorySettings(categoryId).catch((error) => {
+                setStatus(error?.message || 'Failed to update category', 'error');
+            });
+            return;
+        }
+
         if (action === 'remove-category') {
             const channelId = actionTarget.getAttribute('data-channel-id') || '';
             const categoryId = actionTarget.getAttribute('data-category-id') || '';
@@ -3473,6 +5033,13 @@ function handleModalDoubleClick(event) {
  */
 function handleModalChange(event) {
     const target = event.target instanceof Element ? event.target : null;
+    if (target instanceof HTMLSelectElement && target.getAttribute('data-action') === 'sort-select') {
+        sortMode = SORT_OPTIONS.some((option) => option.id === target.value) ? target.value : 'name';
+        resetScrollPending = true;
+        persistViewState().catch(() => undefined);
+        renderList();
+        return;
+    }
     const colorInput = target?.closest('input[type="color"][data-action="category-color"]');
     if (colorInput) {
         const mode = colorInput.getAttribute('data-mode') || '';
@@ -3500,6 +5067,32 @@ function handleModalInput(event) {
     if (!(target instanceof HTMLInputElement)) {
         return;
     }
+    if (target === searchInput) {
+        searchQuery = target.value;
+        if (searchRenderTimer) {
+            window.clearTimeout(searchRenderTimer);
+        }
+        searchRenderTimer = window.setTimeout(() => {
+            searchRenderTimer = 0;
+            resetScrollPending = true;
+            renderList();
+        }, SEARCH_DEBOUNCE_MS);
+        return;
+    }
+    const filterField = target.getAttribute('data-filter-field');
+    if (filterField) {
+        updateChannelFilters({ ...channelFilters, [filterField]: target.value });
+        return;
+    }
+    if (target.getAttribute('data-setting') === 'dormantMonths') {
+        if (!target.value) {
+            return;
+        }
+        dormantMonths = normalizeDormantMonths(target.value);
+        storageSet({ [STORAGE_KEYS.DORMANT_MONTHS]: dormantMonths }).catch(() => undefined);
+        renderList();
+        return;
+    }
     if (!target.classList.contains('yt-commander-sub-manager-sidebar-input')) {
         return;
     }
@@ -3521,6 +5114,16 @@ function handleModalKeydown(event) {
     const isSidebarInput = target instanceof HTMLInputElement
         && target.classList.contains('yt-commander-sub-manager-sidebar-input');
 
+    if (event.key === 'Escape' && target === searchInput && searchInput.value) {
+        event.preventDefault();
+        event.stopPropagation();
+        searchInput.value = '';
+        searchQuery = '';
+        resetScrollPending = true;
+        renderList();
+        return;
+    }
+
     if (event.key === 'Escape' && (sidebarCreating || sidebarEditingId)) {
         event.preventDefault();
         event.stopPropagation();
@@ -3640,10 +5243,12 @@ async function loadSubscriptions(options = {}) {
         channels = list;
         channelsFetchedAt = Date.now();
         rebuildChannelIndexes(channels);
-        refreshQuickAddButtons();
+        recomputeSmartCategories();
+        refreshPageCategoryViews();
         const hash = computeSnapshotHash(list);
         const prevHash = prevSnapshot?.hash || '';
         await persistSnapshot(list, hash);
+        await recordFirstSeen(list);
         if (hash && hash !== prevHash) {
             await markPending(['snapshot']);
         }
@@ -3680,39 +5285,6 @@ function buildChannelMeta(channel) {
     return bits.join(' | ');
 }
 
-/**
- * Parse count label to numeric value.
- * @param {string | number | null | undefined} value
- * @returns {number}
- */
-function parseCountValue(value) {
-    if (typeof value === 'number' && Number.isFinite(value)) {
-        return value;
-    }
-    const text = String(value ?? '').trim();
-    if (!text || text === '-' || text.startsWith('@')) {
-        return 0;
-    }
-    const cleaned = text.replace(/,/g, '').replace(/subscribers?/i, '').trim();
-    const match = cleaned.match(/([\d.]+)\s*([kmb])?/i);
-    if (!match) {
-        return 0;
-    }
-    let numberValue = parseFloat(match[1]);
-    if (!Number.isFinite(numberValue)) {
-        return 0;
-    }
-    const suffix = (match[2] || '').toLowerCase();
-    if (suffix === 'k') {
-        numberValue *= 1000;
-    } else if (suffix === 'm') {
-        numberValue *= 1000000;
-    } else if (suffix === 'b') {
-        numberValue *= 1000000000;
-    }
-    return numberValue;
-}
-
 /**
  * Compare channel names.
  * @param {object} a
@@ -3729,12 +5301,26 @@ function compareChannelName(a, b) {
  * @returns {Array<object>}
  */
 function sortChannels(list) {
-    if (sortMode !== 'subscribers') {
+    if (sortMode === 'name') {
         return list;
     }
+    const readValue = (channel) => {
+        if (sortMode === 'subscribers') {
+            return parseCountValue(resolveChannelCounts(channel).subscribers);
+        }
+        if (sortMode === 'subscribed') {
+            return firstSeenById.get(channel.channelId) || 0;
+        }
+        if (sortMode === 'lastUpload') {
+            // Unchecked or unknown channels sort after channels without uploads.
+            const lastUploadAt = channelActivityById.get(channel.channelId)?.lastUploadAt;
+            return typeof lastUploadAt === 'number' ? lastUploadAt : -1;
+        }
+        return watchCountsById.get(channel.channelId) || 0;
+    };
     return [...list].sort((a, b) => {
-        const aValue = parseCountValue(resolveChannelCounts(a).subscribers);
-        const bValue = parseCountValue(resolveChannelCounts(b).subscribers);
+        const aValue = readValue(a);
+        const bValue = readValue(b);
         if (bValue !== aValue) {
             return bValue - aValue;
         }
@@ -3822,8 +5408,8 @@ function buildCategoryBadges(channelId) {
     const wrapper = document.createElement('div');
     wrapper.className = 'yt-commander-sub-manager-categories';
 
-    const assigned = readChannelAssignments(channelId);
-    assigned.forEach((categoryId) => {
+    const manual = readChannelAssignments(channelId);
+    readDirectCategoryIds(channelId).forEach((categoryId) => {
         const category = categories.find((item) => item.id === categoryId);
         if (!category) {
             return;
@@ -3832,6 +5418,12 @@ function buildCategoryBadges(channelId) {
         badge.className = BADGE_CLASS;
         badge.style.backgroundColor = category.color;
         badge.textContent = category.name;
+        if (!manual.includes(categoryId)) {
+            badge.classList.add('is-smart');
+            badge.setAttribute('title', `${category.name} (smart category)`);
+            wrapper.appendChild(badge);
+            return;
+        }
 
         const remove = document.createElement('button');
         remove.type = 'button';
@@ -3885,22 +5477,102 @@ function buildCard(channel) {
     name.setAttribute('data-field', 'name');
     name.textContent = channel.title || 'Untitled channel';
     setTooltip(name, channel.title || 'Untitled channel');
-    const counts = resolveChannelCounts(channel);
     const subscribers = document.createElement('div');
     subscribers.className = 'yt-commander-sub-manager-card-metric';
     subscribers.setAttribute('data-field', 'subscribers');
-    subscribers.textContent = counts.subscribers;
+    subscribers.textContent = resolveCardMetric(channel);
     const nameRow = document.createElement('div');
     nameRow.className = 'yt-commander-sub-manager-card-title-row';
     nameRow.appendChild(name);
     nameRow.appendChild(subscribers);
+    const activity = document.createElement('div');
+    activity.className = 'yt-commander-sub-manager-card-activity';
+    activity.setAttribute('data-field', 'activity');
+    applyCardActivity(activity, channel.channelId);
 
     stats.appendChild(nameRow);
+    stats.appendChild(activity);
     card.appendChild(stats);
 
     return card;
 }
 
+/**
+ * Describe how often a channel uploads.
+ * @param {number | null} intervalDays
+ * @returns {string}
+ */
+function formatUploadCadence(intervalDays) {
+    if (!Number.isFinite(intervalDays)) {
+        return '';
+    }
+    if (intervalDays < 1.5) {
+        return 'daily';
+    }
+    if (intervalDays < 5.5) {
+        return `every ${Math.round(intervalDays)} days`;
+    }
+    if (intervalDays < 10) {
+        return 'weekly';
+    }
+    if (intervalDays < 25) {
+        return `every ${Math.round(intervalDays / 7)} weeks`;
+    }
+    if (intervalDays < 45) {
+        return 'monthly';
+    }
+    return `every ${Math.round(intervalDays / 30)} months`;
+}
+
+/**
+ * Render the last-upload and cadence line of a card.
+ * @param {HTMLElement} el
+ * @param {string} channelId
+ */
+function applyCardActivity(el, channelId) {
+    const entry = channelActivityById.get(channelId);
+    let text = '';
+    if (entry?.lastUploadAt === 0) {
+        text = 'No uploads';
+    } else if (typeof entry?.lastUploadAt === 'number') {
+        const cadence = formatUploadCadence(entry.uploadIntervalDays);
+        text = `Last upload ${formatRelativeAge(entry.lastUploadAt)}${cadence ? ` · ${cadence}` : ''}`;
+    } else if (entry && !entry.failed) {
+        text = 'No Videos tab';
+    }
+    el.textContent = text;
+    el.classList.toggle('is-dormant', isDormantChannel(channelId, Date.now()));
+    if (text) {
+        setTooltip(el, text);
+    }
+}
+
+/**
+ * Resolve the card metric for the active sort mode.
+ * @param {object} channel
+ * @returns {string}
+ */
+function resolveCardMetric(channel) {
+    if (sortMode === 'subscribed') {
+        const seenAt = firstSeenById.get(channel.channelId);
+        return seenAt
+            ? `Since ${new Date(seenAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+            : '-';
+    }
+    if (sortMode === 'lastUpload') {
+        const lastUploadAt = channelActivityById.get(channel.channelId)?.lastUploadAt;
+        if (lastUploadAt === 0) {
+            return 'No uploads';
+        }
+        return typeof lastUploadAt === 'number' ? formatRelativeAge(lastUploadAt) : '-';
+    }
+    if (sortMode === 'watched') {
+        const count = watchCountsById.get(channel.channelId) || 0;
+        return `${count.toLocaleString()} watched`;
+    }
+    return resolveChannelCounts(channel).subscribers;
+}
+
 function updateCard(card, channel) {
     const name = card.querySelector('[data-field="name"]');
     if (name) {
@@ -3915,10 +5587,13 @@ function updateCard(card, channel) {
     if (avatar && channel.avatar) {
         avatar.src = channel.avatar;
     }
-    const counts = resolveChannelCounts(channel);
     const subscribers = card.querySelector('[data-field="subscribers"]');
     if (subscribers) {
-        subscribers.textContent = counts.subscribers;
+        subscribers.textContent = resolveCardMetric(channel);
+    }
+    const activity = card.querySelector('[data-field="activity"]');
+    if (activity) {
+        applyCardActivity(activity, channel.channelId);
     }
 }
 
@@ -3964,19 +5639,253 @@ function renderCards(pageItems, options = {}) {
 }
 
 /**
- * Filter channels by category.
+ * Check whether a count label falls inside optional user-typed bounds.
+ * @param {string} value
+ * @param {string} min
+ * @param {string} max
+ * @returns {boolean}
+ */
+function isCountInRange(value, min, max) {
+    const count = parseCountValue(value);
+    if (min && count < parseCountValue(min)) {
+        return false;
+    }
+    return !(max && count > parseCountValue(max));
+}
+
+/**
+ * Check a channel against the advanced filter panel.
+ * @param {object} channel
+ * @param {string[]} assigned
+ * @param {number} now
+ * @returns {boolean}
+ */
+function matchesChannelFilters(channel, assigned, now) {
+    const filters = channelFilters;
+    if (!filters.includeCategoryIds.every((id) => assigned.includes(id))) {
+        return false;
+    }
+    if (filters.excludeCategoryIds.some((id) => assigned.includes(id))) {
+        return false;
+    }
+    const counts = resolveChannelCounts(channel);
+    if (!isCountInRange(counts.subscribers, filters.minSubscribers, filters.maxSubscribers)) {
+        return false;
+    }
+    if (!isCountInRange(counts.videos, filters.minVideos, filters.maxVideos)) {
+        return false;
+    }
+    if (filters.inactiveDays > 0) {
+        return hasNoUploadSince(channel.channelId, now - filters.inactiveDays * DAY_MS);
+    }
+    return true;
+}
+
+/**
+ * Check whether a channel's newest upload is older than a cutoff.
+ * Channels without known activity never match, so they are not treated as inactive.
+ * @param {string} channelId
+ * @param {number} cutoff
+ * @returns {boolean}
+ */
+function hasNoUploadSince(channelId, cutoff) {
+    const lastUploadAt = channelActivityById.get(channelId)?.lastUploadAt;
+    return typeof lastUploadAt === 'number' && lastUploadAt < cutoff;
+}
+
+/**
+ * Check the "Dormant" smart filter.
+ * @param {string} channelId
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isDormantChannel(channelId, now) {
+    return hasNoUploadSince(channelId, now - dormantMonths * MONTH_MS);
+}
+
+/**
+ * Count channels matching the "Dormant" smart filter.
+ * @returns {number}
+ */
+function countDormantChannels() {
+    const now = Date.now();
+    return channels.filter((channel) => isDormantChannel(channel.channelId, now)).length;
+}
+
+/**
+ * Filter channels by category, search text and advanced filters.
+ * With a search query the best matches come first; ties keep the active sort.
  * @returns {Array<object>}
  */
 function filterChannels() {
-    let list = channels;
-    if (filterMode === 'all') {
-        list = channels;
-    } else if (filterMode === 'uncategorized') {
-        list = channels.filter((channel) => readChannelAssignments(channel.channelId).length === 0);
-    } else {
-        list = channels.filter((channel) => readChannelAssignments(channel.channelId).includes(filterMode));
+    const tokens = tokenizeSearchQuery(searchQuery);
+    const categoryNames = new Map(categories.map((category) => [category.id, category.name]));
+    const scores = new Map();
+    const now = Date.now();
+
+    const list = channels.filter((channel) => {
+        const assigned = readChannelCategoryIds(channel.channelId);
+        if (filterMode === 'uncategorized' && assigned.length > 0) {
+            return false;
+        }
+        if (filterMode === 'dormant' && !isDormantChannel(channel.channelId, now)) {
+            return false;
+        }
+        if (!['all', 'uncategorized', 'dormant'].includes(filterMode) && !assigned.includes(filterMode)) {
+            return false;
+        }
+        if (!matchesChannelFilters(channel, assigned, now)) {
+            return false;
+        }
+        if (tokens.length === 0) {
+            return true;
+        }
+        const score = scoreChannelSearch(tokens, {
+            title: channel.title,
+            handle: channel.handle,
+            categoryNames: assigned.map((id) => categoryNames.get(id)).filter(Boolean)
+        });
+        scores.set(channel.channelId, score);
+        return score > 0;
+    });
+
+    const sorted = sortChannels(list);
+    if (tokens.length === 0) {
+        return sorted;
+    }
+    return (sorted === list ? [...sorted] : sorted)
+        .sort((a, b) => (scores.get(b.channelId) || 0) - (scores.get(a.channelId) || 0));
+}
+
+/**
+ * Check whether the active view needs channel activity.
+ * @returns {boolean}
+ */
+function needsChannelActivity() {
+    return sortMode === 'lastUpload' || channelFilters.inactiveDays > 0 || filterMode === 'dormant';
+}
+
+/**
+ * Check whether cached activity for a channel should be read again.
+ * @param {{checkedAt: number, failed?: boolean} | undefined} entry
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isChannelActivityStale(entry, now) {
+    if (!entry) {
+        return true;
+    }
+    return (now - entry.checkedAt) > (entry.failed ? CHANNEL_ACTIVITY_RETRY_MS : CHANNEL_ACTIVITY_TTL_MS);
+}
+
+/**
+ * Read last upload and upload cadence for channels without fresh activity.
+ * @returns {Promise<boolean>} true when new data was read
+ */
+async function refreshChannelActivity() {
+    const now = Date.now();
+    if (channelActivityLoading || now < channelActivityPausedUntil) {
+        return false;
+    }
+    const queue = channels
+        .map((channel) => channel.channelId)
+        .filter((channelId) => channelId && isChannelActivityStale(channelActivityById.get(channelId), now));
+    if (queue.length === 0) {
+        return false;
+    }
+
+    channelActivityLoading = true;
+    const total = queue.length;
+    let done = 0;
+    let failed = 0;
+    setStatus(`Checking channel activity... 0/${total}`, 'info');
+
+    try {
+        for (let index = 0; index < queue.length; index += CHANNEL_ACTIVITY_BATCH_SIZE) {
+            const batch = queue.slice(index, index + CHANNEL_ACTIVITY_BATCH_SIZE);
+            let response;
+            try {
+                response = await bridgeClient.sendRequest(ACTIONS.GET_CHANNEL_ACTIVITY, { channelIds: batch }, (progress) => {
+                    setStatus(`Checking channel activity... ${done + (Number(progress?.done) || 0)}/${total}`, 'info');
+                });
+            } catch (error) {
+                logger.warn('Failed to read channel activity', error);
+                // Do not retry on every render; a manual refresh lifts the pause.
+                channelActivityPausedUntil = Date.now() + CHANNEL_ACTIVITY_RETRY_MS;
+                setStatus(`Stopped checking channel activity at ${done}/${total}: ${formatSubscriptionError(error)}`, 'error');
+                return done > 0;
+            }
+
+            const checkedAt = Date.now();
+            batch.forEach((channelId) => {
+                const activity = response?.activityById?.[channelId];
+                const isFailed = !activity || activity.status === 'error';
+                if (isFailed) {
+                    failed += 1;
+                }
+                channelActivityById.set(channelId, {
+                    lastUploadAt: Number.isFinite(activity?.lastUploadAt) ? activity.lastUploadAt : null,
+                    uploadIntervalDays: Number.isFinite(activity?.uploadIntervalDays) ? activity.uploadIntervalDays : null,
+                    checkedAt,
+                    ...(isFailed ? { failed: true } : {})
+                });
+            });
+            done += batch.length;
+            await persistChannelActivity();
+        }
+
+        setStatus(
+            failed > 0 ? `Checked channel activity (${failed} channels unavailable).` : 'Checked channel activity.',
+            failed > 0 ? 'error' : 'success'
+        );
+        return true;
+    } finally {
+        channelActivityLoading = false;
+    }
+}
+
+/**
+ * Count watched videos per channel from local history.
+ * @returns {Promise<boolean>} true when counts were re-read
+ */
+async function refreshWatchCounts() {
+    if (watchCountsLoading || (Date.now() - watchCountsLoadedAt) < WATCH_COUNTS_TTL_MS) {
+        return false;
+    }
+    watchCountsLoading = true;
+    try {
+        watchCountsById = await readWatchCountsByChannel();
+        watchCountsLoadedAt = Date.now();
+        return true;
+    } finally {
+        watchCountsLoading = false;
+    }
+}
+
+/**
+ * Load data the active sort or filters rely on, then re-render once it arrives.
+ */
+function ensureSortFilterData() {
+    if (!overlay?.classList.contains('is-visible')) {
+        return;
+    }
+    const tasks = [];
+    if (needsChannelActivity()) {
+        tasks.push(refreshChannelActivity());
+    }
+    if (sortMode === 'watched') {
+        tasks.push(refreshWatchCounts());
+    }
+    if (tasks.length === 0) {
+        return;
     }
-    return sortChannels(list);
+    Promise.all(tasks).then((results) => {
+        if (results.some(Boolean)) {
+            renderList();
+        }
+    }).catch((error) => {
+        logger.warn('Failed to load sort/filter data', error);
+    });
 }
 
 function resolveCardColumns() {
@@ -4066,7 +5975,7 @@ function measureCardMetrics() {
 
 function renderVirtualizedList(force = false) {
     if (!modal) {
-        refreshQuickAddButtons();
+        refreshPageCategoryViews();
         return;
     }
     if (force) {
@@ -4121,17 +6030,27 @@ function handleVirtualResize() {
  */
 function renderList() {
     if (!modal) {
-        refreshQuickAddButtons();
+        refreshPageCategoryViews();
         return;
     }
 
     captureSidebarDraftState();
     renderSidebarCategories();
 
+    const validCategoryIds = new Set(categories.map((category) => category.id));
+    const prunedFilters = pruneChannelFilterCategories(channelFilters, validCategoryIds);
+    if (countActiveChannelFilters(prunedFilters) !== countActiveChannelFilters(channelFilters)) {
+        channelFilters = prunedFilters;
+        persistViewState().catch(() => undefined);
+    }
+    renderFilterCategoryChips();
+    updateFiltersButton();
+
     filteredChannelsCache = filterChannels();
 
     cardsWrap.style.display = 'grid';
-    updateSortButton();
+    updateSortSelect();
+    updateDormantUnsubscribeButton();
 
     if (resetScrollPending && mainWrap) {
         mainWrap.scrollTop = 0;
@@ -4142,7 +6061,9 @@ function renderList() {
 
     updateSelectionSummary();
 
-    refreshQuickAddButtons();
+    refreshPageCategoryViews();
+
+    ensureSortFilterData();
 }
 
 /**
@@ -4155,7 +6076,9 @@ function closeModal() {
     overlay.classList.remove('is-visible');
     closePicker();
     closeFilterMenu();
+    closeExportMenu();
     closeConfirmDialog(false);
+    closeReviewDialog(false);
     hideTooltipPortal();
     resetSidebarDraftState();
 }
@@ -4196,7 +6119,7 @@ async function unsubscribeSelected() {
 
     const confirmed = await showConfirmDialog({
         title: 'Unsubscribe selected channels?',
-        message: `Unsubscribe from ${ids.length} channel(s)? This action cannot be undone.`,
+        message: `Unsubscribe from ${ids.length} channel(s)? You can undo this from the toast that follows.`,
         confirmLabel: 'Unsubscribe',
         cancelLabel: 'Cancel'
     });
@@ -4204,12 +6127,56 @@ async function unsubscribeSelected() {
         return;
     }
 
+    await unsubscribeChannelIds(ids);
+}
+
+/**
+ * Unsubscribe from every channel in the Dormant view, after listing them.
+ * @returns {Promise<void>}
+ */
+async function unsubscribeDormant() {
+    if (filterMode !== 'dormant') {
+        return;
+    }
+    const list = filteredChannelsCache.filter((channel) => channel?.channelId);
+    if (list.length === 0) {
+        return;
+    }
+
+    const confirmed = await showConfirmDialog({
+        title: `Unsubscribe ${list.length} dormant channel(s)?`,
+        message: `These channels have not uploaded in ${dormantMonths}+ months. You can undo this from the toast that follows.`,
+        items: list.map((channel) => {
+            const lastUploadAt = channelActivityById.get(channel.channelId)?.lastUploadAt;
+            const age = lastUploadAt ? `last upload ${formatRelativeAge(lastUploadAt)}` : 'no uploads';
+            return `${channel.title || channel.channelId} (${age})`;
+        }),
+        confirmLabel: `Unsubscribe ${list.length}`,
+        cancelLabel: 'Cancel'
+    });
+    if (!confirmed) {
+        return;
+    }
+
+    await unsubscribeChannelIds(list.map((channel) => channel.channelId));
+}
+
+/**
+ * Unsubscribe channels and drop their local state.
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+async function unsubscribeChannelIds(ids) {
     setStatus('Unsubscribing...', 'info');
     const result = await bridgeClient.sendRequest(ACTIONS.UNSUBSCRIBE_CHANNELS, { channelIds: ids });
     const removed = Number(result?.unsubscribedCount) || 0;
 
-    channels = channels.filter((item) => !selectedChannelIds.has(item.channelId));
-    selectedChannelIds = new Set();
+    const removedIds = new Set(ids);
+    const removedChannels = channels.filter((item) => removedIds.has(item.channelId));
+    const undoAssignments = captureAssignments(assignments, ids);
+    channels = channels.filter((item) => !removedIds.has(item.channelId));
+    rebuildChannelIndexes(channels);
+    selectedChannelIds = new Set(Array.from(selectedChannelIds).filter((id) => !removedIds.has(id)));
     selectionAnchorId = '';
 
     ids.forEach((id) => {
@@ -4220,14 +6187,425 @@ async function unsubscribeSelected() {
     await markPending([...ids.map((id) => `channel:${id}`), 'snapshot']);
 
     setStatus(`Unsubscribed ${removed} channel(s).`, 'success');
+    recordUndo({
+        label: `Unsubscribed ${removed} channel(s)`,
+        categories: [],
+        assignments: undoAssignments,
+        channels: removedChannels
+    });
     renderList();
 }
 
 /**
- * Handle ESC key.
+ * Show subscribe progress in the floating stack.
+ * @param {string} label
+ * @param {number} done
+ * @param {number} total
+ */
+function showProgress(label, done, total) {
+    if (!progressEl || !progressLabelEl || !progressFillEl) {
+        return;
+    }
+    const percent = total > 0 ? Math.round((Math.min(done, total) / total) * 100) : 0;
+    progressLabelEl.textContent = `${label}... ${Math.min(done, total)}/${total}`;
+    progressFillEl.style.width = `${percent}%`;
+    progressEl.setAttribute('aria-valuenow', String(percent));
+    progressEl.style.display = 'flex';
+    updateFloatingHeaderVisibility();
+}
+
+/**
+ * Hide the progress bar.
+ */
+function hideProgress() {
+    if (progressEl) {
+        progressEl.style.display = 'none';
+    }
+    updateFloatingHeaderVisibility();
+}
+
+/**
+ * Subscribe to channels in small bridge requests, showing progress.
+ * Handle-only entries are resolved to channel IDs by the bridge.
+ * @param {Array<{channelId: string, url: string}>} entries
+ * @param {string} label
+ * @returns {Promise<{subscribedIds: string[], failed: Array<{key: string, error: string}>, stopped: boolean}>}
+ */
+async function subscribeChannelEntries(entries, label) {
+    const subscribedIds = [];
+    const failed = [];
+    let stopped = false;
+    let done = 0;
+    showProgress(label, 0, entries.length);
+
+    try {
+        for (let i = 0; i < entries.length && !stopped; i += SUBSCRIBE_BATCH_SIZE) {
+            const batch = entries.slice(i, i + SUBSCRIBE_BATCH_SIZE);
+            try {
+                const result = await bridgeClient.sendRequest(ACTIONS.SUBSCRIBE_CHANNELS, {
+                    channels: batch.map((entry) => ({ channelId: entry.channelId, url: entry.url }))
+                }, (progress) => {
+                    showProgress(label, done + (Number(progress?.done) || 0), entries.length);
+                }, { timeoutMs: batch.length * SUBSCRIBE_TIMEOUT_PER_CHANNEL_MS });
+                subscribedIds.push(...(Array.isArray(result?.subscribedIds) ? result.subscribedIds : []));
+                failed.push(...(Array.isArray(result?.failed) ? result.failed : []));
+                stopped = result?.stopped === true;
+            } catch (error) {
+                logger.warn('Failed to subscribe to channels', error);
+                failed.push(...batch.map((entry) => ({
+                    key: entry.channelId || entry.url,
+                    error: formatSubscriptionError(error)
+                })));
+                stopped = true;
+            }
+            done += batch.length;
+            showProgress(label, done, entries.length);
+        }
+    } finally {
+        hideProgress();
+    }
+
+    return { subscribedIds, failed, stopped };
+}
+
+/**
+ * Open or close the export format menu under the export button.
+ */
+function toggleExportMenu() {
+    if (exportMenu) {
+        closeExportMenu();
+        return;
+    }
+    if (!exportButton) {
+        return;
+    }
+
+    exportMenu = document.createElement('div');
+    exportMenu.className = 'yt-commander-sub-manager-filter-menu';
+    exportMenu.setAttribute('role', 'menu');
+    SUBSCRIPTION_EXPORT_FORMATS.forEach((format) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = FILTER_ITEM_CLASS;
+        item.setAttribute('role', 'menuitem');
+        item.setAttribute('data-format', format.id);
+        item.textContent = format.label;
+        exportMenu.appendChild(item);
+    });
+    exportMenu.addEventListener('click', (event) => {
+        const item = event.target instanceof Element ? event.target.closest('[data-format]') : null;
+        if (!item) {
+            return;
+        }
+        const format = item.getAttribute('data-format') || '';
+        closeExportMenu();
+        exportSubscriptionsFromManager(format);
+    });
+
+    const rect = exportButton.getBoundingClientRect();
+    exportMenu.style.top = `${Math.round(rect.bottom + 8)}px`;
+    exportMenu.style.right = `${Math.max(8, Math.round(window.innerWidth - rect.right))}px`;
+    document.body.appendChild(exportMenu);
+}
+
+/**
+ * Close the export format menu.
+ */
+function closeExportMenu() {
+    if (exportMenu) {
+        exportMenu.remove();
+        exportMenu = null;
+    }
+}
+
+/**
+ * Download the loaded subscriptions in another app's format.
+ * Smart categories count as categories here, like in the list.
+ * @param {string} format
+ */
+function exportSubscriptionsFromManager(format) {
+    try {
+        const exported = buildSubscriptionExport(format, {
+            channels,
+            categories,
+            readCategoryIds: readDirectCategoryIds
+        });
+        const url = URL.createObjectURL(new Blob([exported.content], { type: exported.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = exported.filename;
+        link.click();
+        window.setTimeout(() => URL.revokeObjectURL(url), 0);
+        setStatus(`Exported ${exported.count} channel(s) to ${exported.filename}.`, 'success');
+    } catch (error) {
+        setStatus(error?.message || 'Failed to export subscriptions', 'error');
+    }
+}
+
+/**
+ * Handle the subscription import file picker.
+ * @param {Event} event
+ */
+function handleImportFileChange(event) {
+    const input = event.target;
+    const file = input?.files?.[0];
+    if (input) {
+        input.value = '';
+    }
+    if (!file) {
+        return;
+    }
+    importSubscriptionsFromFile(file).catch((error) => {
+        setStatus(error?.message || 'Failed to import subscriptions', 'error');
+    });
+}
+
+/**
+ * Subscribe to the channels in an import file that are not followed yet,
+ * after listing them for confirmation.
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function importSubscriptionsFromFile(file) {
+    if (importInProgress) {
+        return;
+    }
+    if (channels.length === 0) {
+        throw new Error('Load your subscriptions before importing.');
+    }
+
+    const { format, entries, skipped } = parseSubscriptionImport(await file.text());
+    if (entries.length === 0) {
+        throw new Error('No channels found in the file.');
+    }
+
+    const missing = entries.filter((entry) => !channelsById.has(resolveChannelIdFromIdentity(entry)));
+    const alreadyCount = entries.length - missing.length;
+    if (missing.length === 0) {
+        setStatus(`Already subscribed to all ${entries.length} channel(s) in the file.`, 'info');
+        return;
+    }
+
+    const details = [`${IMPORT_FORMAT_LABELS[format]} lists ${entries.length} channel(s); ${alreadyCount} are already subscribed.`];
+    if (skipped > 0) {
+        details.push(`${skipped} row(s) could not be read.`);
+    }
+    const confirmed = await showConfirmDialog({
+        title: `Subscribe to ${missing.length} channel(s)?`,
+        message: details.join(' '),
+        items: missing.map((entry) => entry.title || entry.handle || entry.url || entry.channelId),
+        confirmLabel: `Subscribe ${missing.length}`,
+        cancelLabel: 'Cancel'
+    });
+    if (!confirmed) {
+        return;
+    }
+
+    importInProgress = true;
+    if (importSubscriptionsButton) {
+        importSubscriptionsButton.disabled = true;
+    }
+    try {
+        const { subscribedIds, failed, stopped } = await subscribeChannelEntries(missing, 'Subscribing');
+        if (subscribedIds.length > 0) {
+            await loadSubscriptions({ force: true });
+            renderList();
+        }
+
+        const summary = [`Subscribed to ${subscribedIds.length} of ${missing.length} channel(s)`];
+        if (failed.length > 0) {
+            summary.push(`${failed.length} failed`);
+        }
+        if (stopped) {
+            summary.push('stopped after repeated errors, try again later to continue');
+        }
+        setStatus(`${summary.join(', ')}.`, failed.length > 0 ? 'error' : 'success');
+    } finally {
+        importInProgress = false;
+        if (importSubscriptionsButton) {
+            importSubscriptionsButton.disabled = false;
+        }
+    }
+}
+
+/**
+ * Send a runtime message to the background worker.
+ * @param {object} message
+ * @returns {Promise<any>}
+ */
+function sendRuntimeMessage(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message || 'Extension background is unavailable'));
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+/**
+ * Ask the configured model to categorize uncategorized channels, then let the
+ * user review the suggestions before anything is written.
+ */
+async function autoCategorizeChannels() {
+    if (autoCategorizeInProgress) {
+        return;
+    }
+
+    const targets = channels.filter((channel) => channel?.channelId && readChannelCategoryIds(channel.channelId).length === 0);
+    if (targets.length === 0) {
+        setStatus('No uncategorized channels to categorize.', 'info');
+        return;
+    }
+
+    autoCategorizeInProgress = true;
+    if (autoCategorizeButton) {
+        autoCategorizeButton.disabled = true;
+    }
+
+    try {
+        const suggestions = [];
+        let failedBatches = 0;
+        let lastError = '';
+
+        for (let i = 0; i < targets.length; i += AUTO_CATEGORIZE_BATCH_SIZE) {
+            const batch = targets.slice(i, i + AUTO_CATEGORIZE_BATCH_SIZE);
+            setStatus(`Auto-categorizing ${i + batch.length}/${targets.length} channels...`, 'info');
+
+            const enriched = await Promise.all(batch.map(async (channel) => ({
+                channelId: channel.channelId,
+                title: channel.title || '',
+                handle: channel.handle || '',
+                recentTitles: await fetchRecentUploadTitles(channel.channelId)
+            })));
+
+            try {
+                const response = await sendRuntimeMessage({
+                    type: 'AUTO_CATEGORIZE_SUBSCRIPTIONS',
+                    prompt: buildAutoCategorizePrompt(enriched, categories.map((category) => category.name)),
+                    maxOutputTokens: 2048,
+                    timeoutMs: 90000
+                });
+                if (!response?.success) {
+                    throw new Error(response?.error || 'Model request failed');
+                }
+                suggestions.push(...parseAutoCategorizeSuggestions(response.text, enriched, categories));
+            } catch (error) {
+                // A failing first batch usually means the provider is misconfigured; stop early.
+                if (i === 0) {
+                    throw error;
+                }
+                failedBatches += 1;
+                lastError = error?.message || '';
+                logger.warn('Auto-categorize batch failed', error);
+            }
+        }
+
+        if (suggestions.length === 0) {
+            setStatus(failedBatches ? `Auto-categorize failed: ${lastError}` : 'The model had no suggestions.', failedBatches ? 'error' : 'info');
+            return;
+        }
+
+        const newCount = new Set(suggestions.filter((item) => item.isNew).map((item) => item.categoryName.toLowerCase())).size;
+        const summary = [
+            `${suggestions.length} of ${targets.length} uncategorized channels have a suggestion.`,
+            newCount ? `${newCount} new categories would be created.` : '',
+            failedBatches ? `${failedBatches} batch(es) failed: ${lastError}` : ''
+        ].filter(Boolean).join(' ');
+
+        const accepted = await showReviewDialog(suggestions, summary);
+        if (accepted.length === 0) {
+            setStatus('No suggestions applied.', 'info');
+            return;
+        }
+        await applyAutoCategorizeSuggestions(accepted);
+    } finally {
+        autoCategorizeInProgress = false;
+        if (autoCategorizeButton) {
+            autoCategorizeButton.disabled = false;
+        }
+    }
+}
+
+/**
+ * Write accepted suggestions, creating new categories first.
+ * @param {{channelId: string, categoryId: string, categoryName: string, isNew: boolean}[]} accepted
+ */
+async function applyAutoCategorizeSuggestions(accepted) {
+    const idsByCategory = new Map();
+    const createdKeys = [];
+    const undoCategories = [];
+    const undoAssignments = [];
+
+    accepted.forEach((suggestion) => {
+        let categoryId = suggestion.categoryId;
+        if (!categoryId) {
+            const name = suggestion.categoryName.toLowerCase();
+            let category = categories.find((item) => item.name.toLowerCase() === name);
+            if (!category) {
+                category = createCategory(suggestion.categoryName);
+                categories.push(category);
+                createdKeys.push(`category:${category.id}`);
+                undoCategories.push({ id: category.id, index: categories.length - 1, before: null });
+            }
+            categoryId = category.id;
+        }
+        const list = idsByCategory.get(categoryId) || [];
+        list.push(suggestion.channelId);
+        idsByCategory.set(categoryId, list);
+    });
+
+    if (createdKeys.length > 0) {
+        markCategoriesDirty();
+        await persistLocalState();
+        await markPending(createdKeys);
+    }
+
+    for (const [categoryId, channelIds] of idsByCategory) {
+        undoAssignments.push(...await applyCategoryUpdate(channelIds, categoryId, 'add', { recordUndo: false }));
+    }
+    setStatus(`Categorized ${accepted.length} channel(s)${createdKeys.length ? `, created ${createdKeys.length} categories` : ''}.`, 'success');
+    recordUndo({
+        label: `Auto-categorized ${accepted.length} channel(s)`,
+        categories: undoCategories,
+        assignments: undoAssignments
+    });
+}
+
+/**
+ * Check for Ctrl/Cmd+Z while the manager is open and focus is not in a text field.
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+function isUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.shiftKey || event.altKey || event.key.toLowerCase() !== 'z') {
+        return false;
+    }
+    if (!overlay?.classList.contains('is-visible') || undoStack.size() === 0) {
+        return false;
+    }
+    const target = event.target;
+    return !(target instanceof HTMLInputElement
+        || target instanceof HTMLTextAreaElement
+        || target instanceof HTMLSelectElement
+        || (target instanceof HTMLElement && target.isContentEditable));
+}
+
+/**
+ * Handle ESC key and the undo shortcut.
  * @param {KeyboardEvent} event
  */
 function handleKeydown(event) {
+    if (isUndoShortcut(event)) {
+        event.preventDefault();
+        event.stopPropagation();
+        undoLastAction().catch((error) => {
+            setStatus(error?.message || 'Undo failed', 'error');
+        });
+        return;
+    }
     if (event.key !== 'Escape') {
         return;
     }
@@ -4235,10 +6613,22 @@ function handleKeydown(event) {
         closeConfirmDialog(false);
         return;
     }
+    if (reviewBackdrop?.classList.contains('is-visible')) {
+        closeReviewDialog(false);
+        return;
+    }
+    if (categorySettingsBackdrop?.classList.contains('is-visible')) {
+        closeCategorySettingsDialog(false);
+        return;
+    }
     if (picker && picker.style.display === 'block') {
         closePicker();
         return;
     }
+    if (exportMenu) {
+        closeExportMenu();
+        return;
+    }
     if (overlay?.classList.contains('is-visible')) {
         closeModal();
     }
@@ -4256,9 +6646,11 @@ export async function initSubscriptionManager() {
     await hydrateSnapshotFromStorage();
     ensureMastheadButton();
     startQuickAddObserver();
+    startFeedCategoryObserver();
 
     window.addEventListener('yt-navigate-finish', () => {
         ensureMastheadButton();
+        scheduleFeedCategoryFilter();
     });
 
     window.addEventListener('resize', () => {
@@ -3,9 +3,12 @@
  */
 
 export const DB_NAME = 'YouTubeCommanderDB';
-export const DB_VERSION = 2;
+export const DB_VERSION = 4;
 export const STORE_NAME = 'watchedVideos';
 export const SYNC_QUEUE_STORE_NAME = 'watchedSyncQueue';
+export const PARTIAL_STORE_NAME = 'partialVideos';
+export const TIMESTAMP_INDEX_NAME = 'timestamp';
+export const CHANNEL_INDEX_NAME = 'channelId';
 
 export const FEED_RENDERER_SELECTOR = [
     'ytd-rich-item-renderer',
@@ -23,9 +26,22 @@ export const VIDEO_LINK_SELECTOR = 'a[href*="/watch?v="], a[href*="/shorts/"]';
 export const MARKER_CLASS = 'yt-commander-watched-marker';
 export const HIDDEN_CLASS = 'yt-commander-hidden-video';
 export const WATCHED_ATTR = 'data-yt-commander-watched';
+export const PARTIAL_MARKER_CLASS = 'yt-commander-partial-marker';
+export const PARTIAL_ATTR = 'data-yt-commander-partial';
 
 export const RENDER_DEBOUNCE_MS = 120;
 export const PLAYBACK_BIND_DELAY_MS = 250;
 export const PLAYBACK_BIND_MAX_RETRIES = 12;
 export const CACHE_REFRESH_DEBOUNCE_MS = 300;
 export const MAX_PENDING_NODES = 2000;
+export const PROGRESS_SAVE_INTERVAL_MS = 15000;
+export const PLAYED_DELTA_MAX_SECONDS = 2;
+export const DETAILS_REQUEST_TIMEOUT_MS = 8000;
+export const RESUME_MIN_POSITION_SECONDS = 10;
+export const RESUME_END_MARGIN_SECONDS = 20;
+export const RESUME_SEEK_TOLERANCE_SECONDS = 5;
+export const RESUME_INDICATOR_CLASS = 'yt-commander-resume-indicator';
+export const RESUME_INDICATOR_VISIBLE_MS = 4000;
+export const DEFAULT_RESUME_MIN_DURATION_MINUTES = 10;
+export const HISTORY_QUERY_DEFAULT_LIMIT = 200;
+export const HISTORY_QUERY_MAX_LIMIT = 1000;
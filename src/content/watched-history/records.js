@@ -0,0 +1,173 @@
+/**
+ * Watched history record helpers.
+ */
+
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{20,}$/;
+const TITLE_MAX_LENGTH = 300;
+const CHANNEL_NAME_MAX_LENGTH = 200;
+
+/**
+ * Trim a string field and cap its length.
+ * @param {any} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function readText(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * Read a non-negative number rounded to 0.1 precision.
+ * @param {any} value
+ * @returns {number|null}
+ */
+function readSeconds(value) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+        return null;
+    }
+    return Math.round(parsed * 10) / 10;
+}
+
+/**
+ * Normalize optional rich details for a watched record.
+ * Only fields with usable values are returned so merges never erase data.
+ * @param {any} raw
+ * @returns {{title?: string, channelId?: string, channelName?: string, durationSeconds?: number, positionSeconds?: number, percentWatched?: number, positionUpdatedAt?: number}}
+ */
+export function normalizeWatchedDetails(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return {};
+    }
+
+    const details = {};
+    const title = readText(raw.title, TITLE_MAX_LENGTH);
+    const channelId = readText(raw.channelId, 64);
+    const channelName = readText(raw.channelName, CHANNEL_NAME_MAX_LENGTH);
+    const durationSeconds = readSeconds(raw.durationSeconds);
+    const positionSeconds = readSeconds(raw.positionSeconds);
+    const percentWatched = readSeconds(raw.percentWatched);
+    const positionUpdatedAt = Number(raw.positionUpdatedAt);
+
+    if (title) {
+        details.title = title;
+    }
+    if (CHANNEL_ID_PATTERN.test(channelId)) {
+        details.channelId = channelId;
+    }
+    if (channelName) {
+        details.channelName = channelName;
+    }
+    if (durationSeconds !== null && durationSeconds > 0) {
+        details.durationSeconds = durationSeconds;
+    }
+    if (positionSeconds !== null) {
+        details.positionSeconds = durationSeconds
+            ? Math.min(positionSeconds, durationSeconds)
+            : positionSeconds;
+        if (Number.isFinite(positionUpdatedAt) && positionUpdatedAt > 0) {
+            details.positionUpdatedAt = positionUpdatedAt;
+        }
+    }
+    if (percentWatched !== null) {
+        details.percentWatched = Math.min(100, percentWatched);
+    } else if (details.positionSeconds !== undefined && details.durationSeconds) {
+        details.percentWatched = Math.min(100, Math.round((details.positionSeconds / details.durationSeconds) * 1000) / 10);
+    }
+
+    return details;
+}
+
+/**
+ * Merge details into an existing record, keeping the original watch timestamp.
+ * @param {object|null} existing
+ * @param {string} videoId
+ * @param {number} timestamp
+ * @param {object} details
+ * @returns {object}
+ */
+export function mergeWatchedRecord(existing, videoId, timestamp, details) {
+    const base = existing && typeof existing === 'object'
+        ? existing
+        : { videoId, timestamp };
+
+    const normalized = normalizeWatchedDetails(details);
+    if (normalized.positionSeconds !== undefined && !normalized.positionUpdatedAt) {
+        normalized.positionUpdatedAt = Date.now();
+    }
+
+    const merged = {
+        ...base,
+        ...normalized,
+        videoId,
+        timestamp: Number(base.timestamp) || timestamp,
+        updatedAt: Date.now()
+    };
+
+    // Position and duration can arrive in separate updates; keep percent in step.
+    if (Number.isFinite(merged.positionSeconds) && merged.durationSeconds > 0) {
+        merged.positionSeconds = Math.min(merged.positionSeconds, merged.durationSeconds);
+        merged.percentWatched = Math.min(100, Math.round((merged.positionSeconds / merged.durationSeconds) * 1000) / 10);
+    }
+
+    return merged;
+}
+
+/**
+ * Check whether a record is still missing player-response metadata.
+ * @param {object|null} record
+ * @returns {boolean}
+ */
+export function needsDetailsBackfill(record) {
+    return !record || !record.title || !record.channelId || !record.durationSeconds;
+}
+
+/**
+ * Resolve the position to resume from, or 0 when the record should start over.
+ * Finished videos store their full duration as position, which clears resume.
+ * @param {object|null} record
+ * @param {{minDurationSeconds: number, minPositionSeconds: number, endMarginSeconds: number}} limits
+ * @returns {number}
+ */
+export function getResumePosition(record, limits) {
+    const position = Number(record?.positionSeconds);
+    const duration = Number(record?.durationSeconds);
+    if (!Number.isFinite(position) || !Number.isFinite(duration) || duration <= 0) {
+        return 0;
+    }
+
+    if (duration < limits.minDurationSeconds) {
+        return 0;
+    }
+
+    if (position < limits.minPositionSeconds || position > duration - limits.endMarginSeconds) {
+        return 0;
+    }
+
+    return position;
+}
+
+/**
+ * Read when a record last changed; legacy rows fall back to their watch time.
+ * @param {object|null} record
+ * @returns {number}
+ */
+export function getRecordUpdatedAt(record) {
+    return Number(record?.updatedAt) || Number(record?.timestamp) || 0;
+}
+
+/**
+ * Pick the rich fields of a record for sync payloads.
+ * `updatedAt` drives last-writer-wins resolution across devices.
+ * @param {object} record
+ * @returns {{videoId: string, watchedAt: number, updatedAt: number, partial: boolean}}
+ */
+export function toSyncRecord(record) {
+    return {
+        videoId: record.videoId,
+        watchedAt: Number(record.timestamp) || 0,
+        updatedAt: getRecordUpdatedAt(record),
+        partial: record.partial === true,
+        ...normalizeWatchedDetails(record)
+    };
+}
@@ -7,21 +7,46 @@ import { getCurrentVideoId } from './utils/youtube.js';
 import { createLogger } from './utils/logger.js';
 import {
     CACHE_REFRESH_DEBOUNCE_MS,
+    CHANNEL_INDEX_NAME,
     DB_NAME,
+    DEFAULT_RESUME_MIN_DURATION_MINUTES,
     DB_VERSION,
+    DETAILS_REQUEST_TIMEOUT_MS,
     FEED_RENDERER_SELECTOR,
     HIDDEN_CLASS,
+    HISTORY_QUERY_DEFAULT_LIMIT,
+    HISTORY_QUERY_MAX_LIMIT,
     MARKER_CLASS,
     MAX_PENDING_NODES,
+    PARTIAL_ATTR,
+    PARTIAL_MARKER_CLASS,
+    PARTIAL_STORE_NAME,
+    PLAYED_DELTA_MAX_SECONDS,
     PLAYBACK_BIND_DELAY_MS,
     PLAYBACK_BIND_MAX_RETRIES,
+    PROGRESS_SAVE_INTERVAL_MS,
     RENDER_DEBOUNCE_MS,
+    RESUME_END_MARGIN_SECONDS,
+    RESUME_INDICATOR_CLASS,
+    RESUME_INDICATOR_VISIBLE_MS,
+    RESUME_MIN_POSITION_SECONDS,
+    RESUME_SEEK_TOLERANCE_SECONDS,
     STORE_NAME,
     SYNC_QUEUE_STORE_NAME,
+    TIMESTAMP_INDEX_NAME,
     VIDEO_LINK_SELECTOR,
     WATCHED_ATTR
 } from './watched-history/constants.js';
 import { extractVideoId, isValidVideoId } from './watched-history/videoId.js';
+import { isWatchedThresholdMet, normalizeWatchedThresholds } from '../shared/watchedThresholds.js';
+import {
+    getRecordUpdatedAt,
+    getResumePosition,
+    mergeWatchedRecord,
+    needsDetailsBackfill,
+    normalizeWatchedDetails,
+    toSyncRecord
+} from './watched-history/records.js';
 
 const logger = createLogger('WatchedHistory');
 
@@ -31,7 +56,10 @@ let initializingPromise = null;
 
 let isEnabled = true;
 let deleteVideosEnabled = false;
+let resumeMinDurationMinutes = DEFAULT_RESUME_MIN_DURATION_MINUTES;
+let watchedThresholds = normalizeWatchedThresholds(null);
 let watchedIds = new Set();
+let partialIds = new Set();
 
 let mutationObserver = null;
 let renderTimer = null;
@@ -59,6 +87,9 @@ const SUBSCRIPTION_IDENTITY_RESPONSE_TYPE = 'YT_COMMANDER_SUBSCRIPTION_ACCOUNT_R
 const SUBSCRIPTION_IDENTITY_ACTION = 'GET_ACTIVE_CHANNEL_IDENTITY';
 const SUBSCRIPTION_IDENTITY_TIMEOUT_MS = 20000;
 const CHANNEL_ACCOUNT_KEY_PATTERN = /^ytch:UC[A-Za-z0-9_-]{20,}$/;
+const DETAILS_REQUEST_TYPE = 'YT_COMMANDER_WATCHED_DETAILS_REQUEST';
+const DETAILS_RESPONSE_TYPE = 'YT_COMMANDER_WATCHED_DETAILS_RESPONSE';
+const DETAILS_ACTION = 'GET_VIDEO_DETAILS';
 
 let syncAccountKey = DEFAULT_SYNC_ACCOUNT_KEY;
 let syncAccountSource = 'fallback';
@@ -67,6 +98,10 @@ let syncAccountIdentityPromise = null;
 let subscriptionIdentityRequestCounter = 0;
 const pendingSubscriptionIdentityRequests = new Map();
 let subscriptionIdentityResponseListenerAttached = false;
+let detailsRequestCounter = 0;
+const pendingDetailsRequests = new Map();
+let detailsResponseListenerAttached = false;
+const detailsBackfilledIds = new Set();
 
 /**
  * Check whether a key is a portable YouTube channel account key.
@@ -152,6 +187,63 @@ function requestSubscriptionSyncIdentity() {
     });
 }
 
+/**
+ * Handle video details bridge responses from main world.
+ * @param {MessageEvent} event
+ */
+function handleDetailsBridgeResponse(event) {
+    if (event.source !== window || !event.data || typeof event.data !== 'object') {
+        return;
+    }
+
+    const message = event.data;
+    if (message.source !== SUBSCRIPTION_IDENTITY_BRIDGE_SOURCE || message.type !== DETAILS_RESPONSE_TYPE) {
+        return;
+    }
+
+    const requestId = typeof message.requestId === 'string' ? message.requestId : '';
+    const pending = pendingDetailsRequests.get(requestId);
+    if (!pending) {
+        return;
+    }
+
+    pendingDetailsRequests.delete(requestId);
+    window.clearTimeout(pending.timeoutId);
+    pending.resolve(message.success === true ? message.data || null : null);
+}
+
+/**
+ * Request player-response metadata for a video from main world.
+ * Resolves null when the player is not showing that video yet.
+ * @param {string} videoId
+ * @returns {Promise<{title?: string, channelId?: string, channelName?: string, durationSeconds?: number}|null>}
+ */
+function requestVideoDetails(videoId) {
+    if (!detailsResponseListenerAttached) {
+        window.addEventListener('message', handleDetailsBridgeResponse);
+        detailsResponseListenerAttached = true;
+    }
+
+    return new Promise((resolve) => {
+        detailsRequestCounter += 1;
+        const requestId = `watched-details-${Date.now()}-${detailsRequestCounter}`;
+        const timeoutId = window.setTimeout(() => {
+            pendingDetailsRequests.delete(requestId);
+            resolve(null);
+        }, DETAILS_REQUEST_TIMEOUT_MS);
+
+        pendingDetailsRequests.set(requestId, { resolve, timeoutId });
+
+        window.postMessage({
+            source: SUBSCRIPTION_IDENTITY_BRIDGE_SOURCE,
+            type: DETAILS_REQUEST_TYPE,
+            action: DETAILS_ACTION,
+            requestId,
+            payload: { videoId }
+        }, '*');
+    });
+}
+
 /**
  * Resolve and cache the sync account identity for watched history.
  * @returns {Promise<{accountKey: string, source: string, isPrimaryCandidate: boolean}>}
@@ -304,17 +396,38 @@ async function initDB() {
 
         request.onupgradeneeded = (event) => {
             const upgradedDb = event.target.result;
-            if (!upgradedDb.objectStoreNames.contains(STORE_NAME)) {
-                upgradedDb.createObjectStore(STORE_NAME, { keyPath: 'videoId' });
-            }
+            const store = upgradedDb.objectStoreNames.contains(STORE_NAME)
+                ? event.target.transaction.objectStore(STORE_NAME)
+                : upgradedDb.createObjectStore(STORE_NAME, { keyPath: 'videoId' });
             if (!upgradedDb.objectStoreNames.contains(SYNC_QUEUE_STORE_NAME)) {
                 upgradedDb.createObjectStore(SYNC_QUEUE_STORE_NAME, { keyPath: 'videoId' });
             }
+            // v4: videos played below the watched threshold live in their own store,
+            // so everything reading the watched store keeps "watched" semantics.
+            if (!upgradedDb.objectStoreNames.contains(PARTIAL_STORE_NAME)) {
+                upgradedDb.createObjectStore(PARTIAL_STORE_NAME, { keyPath: 'videoId' });
+            }
+
+            // v3: records carry title/channel/duration/progress; existing rows are
+            // backfilled lazily from the player response when a video is revisited.
+            if (!store.indexNames.contains(TIMESTAMP_INDEX_NAME)) {
+                store.createIndex(TIMESTAMP_INDEX_NAME, 'timestamp', { unique: false });
+            }
+            if (!store.indexNames.contains(CHANNEL_INDEX_NAME)) {
+                store.createIndex(CHANNEL_INDEX_NAME, 'channelId', { unique: false });
+            }
         };
 
         request.onsuccess = () => {
             db = request.result;
 
+            db.onversionchange = () => {
+                logger.info('Watched history database upgraded in another tab, closing connection');
+                db.close();
+                db = null;
+                initialized = false;
+            };
+
             db.onclose = () => {
                 logger.warn('IndexedDB connection closed');
                 db = null;
@@ -352,7 +465,7 @@ async function ensureInitialized() {
         const identity = await resolveSyncAccountIdentity();
         syncAccountKey = identity.accountKey;
         await initDB();
-        await loadDeleteModeSetting();
+        await loadWatchedSettings();
         await hydrateWatchedIdCache();
         injectStyles();
         attachListeners();
@@ -382,21 +495,39 @@ async function ensureInitialized() {
 }
 
 /**
- * Load delete-videos mode from sync storage.
+ * Load delete-videos mode, resume threshold and watched rules from sync storage.
  * @returns {Promise<void>}
  */
-async function loadDeleteModeSetting() {
+async function loadWatchedSettings() {
     try {
-        const result = await chrome.storage.sync.get(['deleteVideosEnabled']);
+        const result = await chrome.storage.sync.get([
+            'deleteVideosEnabled',
+            'resumeMinDurationMinutes',
+            'watchedThresholds'
+        ]);
         deleteVideosEnabled = result.deleteVideosEnabled === true;
+        resumeMinDurationMinutes = normalizeResumeMinDuration(result.resumeMinDurationMinutes);
+        watchedThresholds = normalizeWatchedThresholds(result.watchedThresholds);
     } catch (error) {
-        logger.warn('Failed to load delete mode setting, using default', error);
+        logger.warn('Failed to load watched history settings, using defaults', error);
         deleteVideosEnabled = false;
+        resumeMinDurationMinutes = DEFAULT_RESUME_MIN_DURATION_MINUTES;
+        watchedThresholds = normalizeWatchedThresholds(null);
     }
 }
 
 /**
- * Pull all watched IDs into in-memory cache for O(1) checks during rendering.
+ * Normalize the resume minimum video length (minutes).
+ * @param {any} value
+ * @returns {number}
+ */
+function normalizeResumeMinDuration(value) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_RESUME_MIN_DURATION_MINUTES;
+}
+
+/**
+ * Pull all watched and partially watched IDs into in-memory caches for O(1) checks during rendering.
  * @returns {Promise<void>}
  */
 async function hydrateWatchedIdCache() {
@@ -404,9 +535,24 @@ async function hydrateWatchedIdCache() {
         throw new Error('Database not initialized');
     }
 
-    const ids = await new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME], 'readonly');
-        const store = transaction.objectStore(STORE_NAME);
+    const [ids, partial] = await Promise.all([
+        readStoreKeys(STORE_NAME),
+        readStoreKeys(PARTIAL_STORE_NAME)
+    ]);
+
+    watchedIds = new Set(ids.filter((videoId) => isValidVideoId(videoId)));
+    partialIds = new Set(partial.filter((videoId) => isValidVideoId(videoId) && !watchedIds.has(videoId)));
+}
+
+/**
+ * Read all video ID keys of one object store.
+ * @param {string} storeName
+ * @returns {Promise<string[]>}
+ */
+function readStoreKeys(storeName) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
 
         const request = typeof store.getAllKeys === 'function' ? store.getAllKeys() : store.getAll();
 
@@ -427,8 +573,6 @@ async function hydrateWatchedIdCache() {
             reject(request.error || new Error('Failed to read watched IDs'));
         };
     });
-
-    watchedIds = new Set(ids.filter((videoId) => isValidVideoId(videoId)));
 }
 
 /**
@@ -478,6 +622,44 @@ function injectStyles() {
             justify-content: center !important;
             box-shadow: 0 2px 8px rgba(0, 0, 0, 0.35) !important;
         }
+
+        [${PARTIAL_ATTR}='true'] {
+            position: relative !important;
+            display: block !important;
+        }
+
+        .${PARTIAL_MARKER_CLASS} {
+            position: absolute !important;
+            top: 6px !important;
+            right: 6px !important;
+            z-index: 12 !important;
+            pointer-events: none !important;
+            padding: 2px 8px !important;
+            border-radius: 999px !important;
+            background: rgba(217, 119, 6, 0.95) !important;
+            color: #ffffff !important;
+            font: 600 11px/1.5 Roboto, Arial, sans-serif !important;
+            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.35) !important;
+        }
+
+        .${RESUME_INDICATOR_CLASS} {
+            position: absolute;
+            left: 12px;
+            bottom: 64px;
+            z-index: 60;
+            padding: 6px 10px;
+            border-radius: 6px;
+            background: rgba(0, 0, 0, 0.75);
+            color: #ffffff;
+            font: 500 13px/1.3 Roboto, Arial, sans-serif;
+            pointer-events: none;
+            opacity: 1;
+            transition: opacity 0.3s ease;
+        }
+
+        .${RESUME_INDICATOR_CLASS}.is-hiding {
+            opacity: 0;
+        }
     `;
 
     document.head.appendChild(style);
@@ -503,9 +685,41 @@ function attachListeners() {
                 return undefined;
             }
 
+            if (message.type === 'FILTER_WATCHED_VIDEO_IDS') {
+                const videoIds = Array.isArray(message.videoIds) ? message.videoIds : [];
+                ensureInitialized()
+                    .then(() => sendResponse({ success: true, videoIds: videoIds.filter((videoId) => watchedIds.has(videoId)) }))
+                    .catch((error) => sendResponse({ success: false, error: error.message }));
+                return true;
+            }
+
             if (message.type === 'GET_ALL_WATCHED_VIDEOS') {
-                getAllWatchedVideos()
-                    .then((videos) => sendResponse({ success: true, videos }))
+                const request = message.query && typeof message.query === 'object'
+                    ? queryWatchedVideos(message.query).then((page) => ({ success: true, ...page }))
+                    : getAllWatchedVideos().then((videos) => ({ success: true, videos }));
+                request
+                    .then(sendResponse)
+                    .catch((error) => sendResponse({ success: false, error: error.message }));
+                return true;
+            }
+
+            if (message.type === 'DELETE_WATCHED_VIDEOS') {
+                deleteWatchedVideos(message.videoIds)
+                    .then((removedCount) => sendResponse({ success: true, removedCount }))
+                    .catch((error) => sendResponse({ success: false, error: error.message }));
+                return true;
+            }
+
+            if (message.type === 'APPLY_REMOTE_DELETIONS') {
+                applyRemoteDeletions(message.deletions)
+                    .then((removedCount) => sendResponse({ success: true, removedCount }))
+                    .catch((error) => sendResponse({ success: false, error: error.message }));
+                return true;
+            }
+
+            if (message.type === 'APPLY_REMOTE_CLEAR') {
+                applyRemoteClear(message.clearedAt)
+                    .then((removedCount) => sendResponse({ success: true, removedCount }))
                     .catch((error) => sendResponse({ success: false, error: error.message }));
                 return true;
             }
@@ -575,6 +789,14 @@ function attachListeners() {
                 deleteVideosEnabled = changes.deleteVideosEnabled.newValue === true;
                 scheduleRender('storage-change', true);
             }
+
+            if (changes.resumeMinDurationMinutes) {
+                resumeMinDurationMinutes = normalizeResumeMinDuration(changes.resumeMinDurationMinutes.newValue);
+            }
+
+            if (changes.watchedThresholds) {
+                watchedThresholds = normalizeWatchedThresholds(changes.watchedThresholds.newValue);
+            }
         };
 
         chrome.storage.onChanged.addListener(storageListener);
@@ -820,6 +1042,24 @@ function decorateContainer(container) {
             marker.remove();
         }
     }
+
+    // Partially watched videos are never hidden, only badged.
+    if (!isWatched && partialIds.has(videoId)) {
+        thumbnail.setAttribute(PARTIAL_ATTR, 'true');
+
+        if (!thumbnail.querySelector(`.${PARTIAL_MARKER_CLASS}`)) {
+            const marker = document.createElement('div');
+            marker.className = PARTIAL_MARKER_CLASS;
+            marker.textContent = 'Partly watched';
+            thumbnail.appendChild(marker);
+        }
+    } else {
+        thumbnail.removeAttribute(PARTIAL_ATTR);
+        const marker = thumbnail.querySelector(`.${PARTIAL_MARKER_CLASS}`);
+        if (marker) {
+            marker.remove();
+        }
+    }
 }
 
 /**
@@ -901,8 +1141,7 @@ function pruneDisconnectedPlaybackBindings() {
             continue;
         }
 
-        video.removeEventListener('play', binding.onPlay);
-        video.removeEventListener('loadeddata', binding.onLoadedData);
+        removePlaybackBindingListeners(video, binding);
         playbackBindings.delete(video);
     }
 }
@@ -959,8 +1198,15 @@ function bindPlayHandler(video, currentVideoId = null) {
 
     const binding = {
         lastMarkedId: '',
+        lastProgressSavedAt: 0,
+        resumeCheckedId: '',
+        resumePending: false,
+        promotingId: '',
+        progress: { videoId: '', playedSeconds: 0, maxPositionSeconds: 0, lastTime: 0 },
         onPlay: null,
         onLoadedData: null,
+        onTimeUpdate: null,
+        onPause: null,
         markCurrent: (_seedVideoId) => {}
     };
 
@@ -980,36 +1226,277 @@ function bindPlayHandler(video, currentVideoId = null) {
             return;
         }
 
-        if (binding.lastMarkedId === resolvedVideoId && watchedIds.has(resolvedVideoId)) {
+        if (
+            binding.lastMarkedId === resolvedVideoId
+            && (watchedIds.has(resolvedVideoId) || partialIds.has(resolvedVideoId))
+        ) {
             return;
         }
 
+        if (binding.progress.videoId !== resolvedVideoId) {
+            binding.progress = {
+                videoId: resolvedVideoId,
+                playedSeconds: 0,
+                maxPositionSeconds: 0,
+                lastTime: video.currentTime
+            };
+        }
+
         binding.lastMarkedId = resolvedVideoId;
-        addToWatchedHistory(resolvedVideoId).catch((error) => {
+        startWatchTracking(resolvedVideoId, getActiveWatchedRule()).catch((error) => {
             logger.error('Failed to mark video on play event', error);
         });
     };
 
-    const onPlay = () => markCurrent();
+    const evaluateWatchedThreshold = (ended) => {
+        const videoId = binding.progress.videoId;
+        if (
+            !isValidVideoId(videoId)
+            || videoId !== binding.lastMarkedId
+            || watchedIds.has(videoId)
+            || binding.promotingId === videoId
+        ) {
+            return;
+        }
+
+        const met = isWatchedThresholdMet(getActiveWatchedRule(), {
+            playedSeconds: binding.progress.playedSeconds,
+            maxPositionSeconds: binding.progress.maxPositionSeconds,
+            durationSeconds: video.duration,
+            ended
+        });
+        if (!met) {
+            return;
+        }
+
+        binding.promotingId = videoId;
+        addToWatchedHistory(videoId)
+            .catch((error) => {
+                logger.error('Failed to mark video watched after threshold', error);
+            })
+            .finally(() => {
+                binding.promotingId = '';
+            });
+    };
+
+    const trackPlayedTime = () => {
+        const progress = binding.progress;
+        if (!progress.videoId || video.closest('.html5-video-player')?.classList.contains('ad-showing')) {
+            progress.lastTime = video.currentTime;
+            return;
+        }
+
+        const current = video.currentTime;
+        const delta = current - progress.lastTime;
+        // Larger jumps are seeks or the resume seek; they add neither played time nor position.
+        if (!video.paused && delta > 0 && delta <= PLAYED_DELTA_MAX_SECONDS) {
+            progress.playedSeconds += delta;
+            progress.maxPositionSeconds = Math.max(progress.maxPositionSeconds, current);
+        }
+        progress.lastTime = current;
+        evaluateWatchedThreshold(false);
+    };
+
+    const resumeCurrent = () => {
+        if (!isEnabled || binding.resumePending || location.pathname !== '/watch') {
+            return;
+        }
+
+        const resolvedVideoId = resolvePlaybackVideoId(video);
+        if (!isValidVideoId(resolvedVideoId) || binding.resumeCheckedId === resolvedVideoId) {
+            return;
+        }
+
+        binding.resumePending = true;
+        resumePlayback(resolvedVideoId, video)
+            .then((checked) => {
+                if (checked) {
+                    binding.resumeCheckedId = resolvedVideoId;
+                    binding.lastProgressSavedAt = Date.now();
+                }
+            })
+            .catch((error) => {
+                binding.resumeCheckedId = resolvedVideoId;
+                logger.debug('Failed to resume playback position', error);
+            })
+            .finally(() => {
+                binding.resumePending = false;
+            });
+    };
+
+    const saveProgress = (queueSync) => {
+        if (!isEnabled || !getCurrentPageVideoId()) {
+            return;
+        }
+
+        const resolvedVideoId = resolvePlaybackVideoId(video);
+        if (
+            !isValidVideoId(resolvedVideoId)
+            || (!watchedIds.has(resolvedVideoId) && !partialIds.has(resolvedVideoId))
+        ) {
+            return;
+        }
+
+        // Never persist the pre-resume position over the stored one.
+        if (location.pathname === '/watch' && binding.resumeCheckedId !== resolvedVideoId) {
+            return;
+        }
+
+        binding.lastProgressSavedAt = Date.now();
+        saveWatchedProgress(resolvedVideoId, video, { queueSync }).catch((error) => {
+            logger.debug('Failed to save watch progress', error);
+        });
+    };
+
+    const onPlay = () => {
+        resumeCurrent();
+        markCurrent();
+    };
     const onLoadedData = () => {
+        resumeCurrent();
         if (!video.paused) {
             markCurrent();
         }
     };
+    const onTimeUpdate = () => {
+        trackPlayedTime();
+        if (Date.now() - binding.lastProgressSavedAt >= PROGRESS_SAVE_INTERVAL_MS) {
+            saveProgress(false);
+        }
+    };
+    const onPause = (event) => {
+        if (event?.type === 'ended') {
+            evaluateWatchedThreshold(true);
+        }
+        saveProgress(true);
+    };
 
     binding.onPlay = onPlay;
     binding.onLoadedData = onLoadedData;
+    binding.onTimeUpdate = onTimeUpdate;
+    binding.onPause = onPause;
     binding.markCurrent = markCurrent;
 
     video.addEventListener('play', onPlay);
     video.addEventListener('loadeddata', onLoadedData);
+    video.addEventListener('timeupdate', onTimeUpdate);
+    video.addEventListener('pause', onPause);
+    video.addEventListener('ended', onPause);
     playbackBindings.set(video, binding);
 
+    resumeCurrent();
     if (!video.paused || isValidVideoId(currentVideoId)) {
         markCurrent(currentVideoId);
     }
 }
 
+/**
+ * Pick the watched rule for the current page (Shorts vs long-form).
+ * @returns {{mode: string, percent: number, seconds: number}}
+ */
+function getActiveWatchedRule() {
+    return location.pathname.startsWith('/shorts/') ? watchedThresholds.shorts : watchedThresholds.long;
+}
+
+/**
+ * Start tracking a played video: mark it watched right away when the rule allows,
+ * otherwise record it as partially watched until the threshold is met.
+ * @param {string} videoId
+ * @param {{mode: string}} rule
+ * @returns {Promise<void>}
+ */
+async function startWatchTracking(videoId, rule) {
+    await ensureInitialized();
+
+    if (watchedIds.has(videoId) || rule.mode === 'play') {
+        await addToWatchedHistory(videoId);
+        return;
+    }
+
+    await markPartiallyWatched(videoId);
+}
+
+/**
+ * Seek to the stored position of a partially watched video and show an indicator.
+ * Resolves false when the check should be retried (e.g. an ad is playing).
+ * @param {string} videoId
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<boolean>}
+ */
+async function resumePlayback(videoId, video) {
+    await ensureInitialized();
+
+    const player = video.closest('.html5-video-player');
+    if (player?.classList.contains('ad-showing')) {
+        return false;
+    }
+
+    // Explicit ?t= links win over stored positions.
+    if (new URL(location.href).searchParams.has('t')) {
+        return true;
+    }
+
+    let record = null;
+    if (watchedIds.has(videoId)) {
+        record = await readWatchedRecord(videoId);
+    } else if (partialIds.has(videoId)) {
+        record = await readWatchedRecord(videoId, PARTIAL_STORE_NAME);
+    }
+    const position = getResumePosition(record, {
+        minDurationSeconds: resumeMinDurationMinutes * 60,
+        minPositionSeconds: RESUME_MIN_POSITION_SECONDS,
+        endMarginSeconds: RESUME_END_MARGIN_SECONDS
+    });
+
+    if (resolvePlaybackVideoId(video) !== videoId) {
+        return false;
+    }
+
+    if (position > 0 && Math.abs(video.currentTime - position) > RESUME_SEEK_TOLERANCE_SECONDS) {
+        video.currentTime = position;
+        showResumeIndicator(player, position);
+        logger.info('Resumed playback position', { videoId, position });
+    }
+
+    return true;
+}
+
+/**
+ * Show a short-lived "Resumed at" badge over the player.
+ * @param {Element|null} player
+ * @param {number} position
+ */
+function showResumeIndicator(player, position) {
+    if (!player) {
+        return;
+    }
+
+    player.querySelectorAll(`.${RESUME_INDICATOR_CLASS}`).forEach((node) => node.remove());
+
+    const indicator = document.createElement('div');
+    indicator.className = RESUME_INDICATOR_CLASS;
+    indicator.textContent = `Resumed at ${formatPlaybackTime(position)}`;
+    player.appendChild(indicator);
+
+    window.setTimeout(() => indicator.classList.add('is-hiding'), RESUME_INDICATOR_VISIBLE_MS);
+    window.setTimeout(() => indicator.remove(), RESUME_INDICATOR_VISIBLE_MS + 400);
+}
+
+/**
+ * Format seconds as h:mm:ss or m:ss.
+ * @param {number} totalSeconds
+ * @returns {string}
+ */
+function formatPlaybackTime(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(totalSeconds));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+        : `${minutes}:${rest}`;
+}
+
 /**
  * Resolve the current page video ID for /watch and /shorts pages.
  * @returns {string|null}
@@ -1077,12 +1564,24 @@ function getActiveShortsRenderer() {
  */
 function clearPlaybackBindings() {
     for (const [video, binding] of playbackBindings.entries()) {
-        video.removeEventListener('play', binding.onPlay);
-        video.removeEventListener('loadeddata', binding.onLoadedData);
+        removePlaybackBindingListeners(video, binding);
     }
     playbackBindings.clear();
 }
 
+/**
+ * Detach all playback listeners of one binding.
+ * @param {HTMLVideoElement} video
+ * @param {object} binding
+ */
+function removePlaybackBindingListeners(video, binding) {
+    video.removeEventListener('play', binding.onPlay);
+    video.removeEventListener('loadeddata', binding.onLoadedData);
+    video.removeEventListener('timeupdate', binding.onTimeUpdate);
+    video.removeEventListener('pause', binding.onPause);
+    video.removeEventListener('ended', binding.onPause);
+}
+
 /**
  * Store watched ID in DB + cache and update visible markers.
  * @param {string} videoId
@@ -1096,43 +1595,234 @@ async function addToWatchedHistory(videoId) {
     await ensureInitialized();
 
     if (watchedIds.has(videoId)) {
+        await backfillWatchedDetails(videoId);
         return;
     }
 
-    await putWatchedRecordAndQueue(videoId, Date.now());
+    const details = await requestVideoDetails(videoId);
+    const record = await putWatchedRecordAndQueue(videoId, Date.now(), details || {});
     watchedIds.add(videoId);
+    partialIds.delete(videoId);
+    if (details) {
+        detailsBackfilledIds.add(videoId);
+    }
+    await queueRecordsForCloudSync([record]);
+
+    decorateMatchingVisibleContainers(videoId);
+}
+
+/**
+ * Record a video that was played but has not met the watched threshold yet.
+ * @param {string} videoId
+ * @returns {Promise<void>}
+ */
+async function markPartiallyWatched(videoId) {
+    if (watchedIds.has(videoId) || partialIds.has(videoId)) {
+        return;
+    }
+
+    const details = await requestVideoDetails(videoId);
+    const record = await putPartialRecord(videoId, Date.now(), details || {});
+    if (!record) {
+        return;
+    }
+
+    partialIds.add(videoId);
+    if (details) {
+        detailsBackfilledIds.add(videoId);
+    }
+    await queueRecordsForCloudSync([record]);
+
+    decorateMatchingVisibleContainers(videoId);
+}
+
+/**
+ * Insert/update a partially watched record.
+ * @param {string} videoId
+ * @param {number} timestamp
+ * @param {object} [details]
+ * @returns {Promise<object|null>}
+ */
+async function putPartialRecord(videoId, timestamp, details = {}) {
+    if (!db) {
+        throw new Error('Database not initialized');
+    }
+
+    if (watchedIds.has(videoId)) {
+        return null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([PARTIAL_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PARTIAL_STORE_NAME);
+        let record = null;
+
+        const getRequest = store.get(videoId);
+        getRequest.onsuccess = () => {
+            record = { ...mergeWatchedRecord(getRequest.result || null, videoId, timestamp, details), partial: true };
+            store.put(record);
+        };
+
+        transaction.oncomplete = () => resolve(record);
+        transaction.onerror = () => reject(transaction.error || new Error('Failed to write partial record'));
+        transaction.onabort = () => reject(transaction.error || new Error('Partial write transaction aborted'));
+    });
+}
+
+/**
+ * Notify background about changed records, falling back to the local pending queue.
+ * @param {object[]} records
+ * @returns {Promise<void>}
+ */
+async function queueRecordsForCloudSync(records) {
+    const videoIds = records.map((record) => record.videoId);
     const backgroundQueued = await notifyBackgroundHistoryUpdated({
         type: 'HISTORY_UPDATED',
-        videoId,
+        videoIds,
+        records: records.map(toSyncRecord),
         accountKey: syncAccountKey || DEFAULT_SYNC_ACCOUNT_KEY
     });
     if (!backgroundQueued) {
-        await persistPendingCloudSyncIds([videoId]);
+        await persistPendingCloudSyncIds(videoIds);
     }
+}
 
-    decorateMatchingVisibleContainers(videoId);
+/**
+ * Fill missing title/channel/duration on an already watched record once per session.
+ * @param {string} videoId
+ * @returns {Promise<void>}
+ */
+async function backfillWatchedDetails(videoId) {
+    if (detailsBackfilledIds.has(videoId)) {
+        return;
+    }
+
+    const existing = await readWatchedRecord(videoId);
+    if (!needsDetailsBackfill(existing)) {
+        detailsBackfilledIds.add(videoId);
+        return;
+    }
+
+    const details = await requestVideoDetails(videoId);
+    if (!details) {
+        return;
+    }
+
+    detailsBackfilledIds.add(videoId);
+    const record = await putWatchedRecordAndQueue(videoId, Date.now(), details);
+    await queueRecordsForCloudSync([record]);
+    logger.debug('Backfilled watched record details', { videoId });
 }
 
 /**
- * Insert/update a watched record and queue it for cloud sync.
+ * Persist playback position/percent for a watched or partially watched video.
  * @param {string} videoId
- * @param {number} timestamp
+ * @param {HTMLVideoElement} video
+ * @param {{queueSync?: boolean}} [options]
  * @returns {Promise<void>}
  */
-async function putWatchedRecordAndQueue(videoId, timestamp) {
+async function saveWatchedProgress(videoId, video, options = {}) {
+    const player = video.closest('.html5-video-player');
+    if (player?.classList.contains('ad-showing')) {
+        return;
+    }
+
+    const duration = Number(video.duration);
+    const details = {
+        positionSeconds: video.ended && Number.isFinite(duration) ? duration : video.currentTime
+    };
+
+    if (!detailsBackfilledIds.has(videoId)) {
+        const playerDetails = await requestVideoDetails(videoId);
+        if (playerDetails) {
+            Object.assign(details, playerDetails);
+            detailsBackfilledIds.add(videoId);
+        }
+    }
+
+    if (!details.durationSeconds && Number.isFinite(duration)) {
+        details.durationSeconds = duration;
+    }
+
+    const queueSync = options?.queueSync === true;
+    const record = watchedIds.has(videoId)
+        ? await putWatchedRecordAndQueue(videoId, Date.now(), details, { skipSyncQueue: !queueSync })
+        : await putPartialRecord(videoId, Date.now(), details);
+
+    if (record && queueSync) {
+        await queueRecordsForCloudSync([record]);
+    }
+}
+
+/**
+ * Read one watched (or partial) record.
+ * @param {string} videoId
+ * @param {string} [storeName]
+ * @returns {Promise<object|null>}
+ */
+async function readWatchedRecord(videoId, storeName = STORE_NAME) {
     if (!db) {
         throw new Error('Database not initialized');
     }
 
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME, SYNC_QUEUE_STORE_NAME], 'readwrite');
+        const transaction = db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).get(videoId);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error || new Error('Failed to read watched record'));
+    });
+}
+
+/**
+ * Insert/update a watched record (merging rich details) and queue it for cloud sync.
+ * @param {string} videoId
+ * @param {number} timestamp
+ * @param {object} [details]
+ * @param {{skipSyncQueue?: boolean}} [options]
+ * @returns {Promise<object>}
+ */
+async function putWatchedRecordAndQueue(videoId, timestamp, details = {}, options = {}) {
+    if (!db) {
+        throw new Error('Database not initialized');
+    }
+
+    const skipSyncQueue = options?.skipSyncQueue === true;
+
+    return new Promise((resolve, reject) => {
+        const storeNames = skipSyncQueue
+            ? [STORE_NAME, PARTIAL_STORE_NAME]
+            : [STORE_NAME, PARTIAL_STORE_NAME, SYNC_QUEUE_STORE_NAME];
+        const transaction = db.transaction(storeNames, 'readwrite');
         const store = transaction.objectStore(STORE_NAME);
-        const queueStore = transaction.objectStore(SYNC_QUEUE_STORE_NAME);
+        const partialStore = transaction.objectStore(PARTIAL_STORE_NAME);
+        let record = null;
+
+        const write = (existing) => {
+            record = mergeWatchedRecord(existing, videoId, timestamp, details);
+            delete record.partial;
+            store.put(record);
+            if (!skipSyncQueue) {
+                transaction.objectStore(SYNC_QUEUE_STORE_NAME).put({ videoId, queuedAt: Date.now() });
+            }
+        };
 
-        store.put({ videoId, timestamp });
-        queueStore.put({ videoId, queuedAt: Date.now() });
+        const getRequest = store.get(videoId);
+        getRequest.onsuccess = () => {
+            if (getRequest.result || !partialIds.has(videoId)) {
+                write(getRequest.result || null);
+                return;
+            }
 
-        transaction.oncomplete = () => resolve();
+            // Promote a partially watched record, keeping its details and progress.
+            const partialRequest = partialStore.get(videoId);
+            partialRequest.onsuccess = () => {
+                partialStore.delete(videoId);
+                write(partialRequest.result || null);
+            };
+        };
+
+        transaction.oncomplete = () => resolve(record);
         transaction.onerror = () => reject(transaction.error || new Error('Failed to write watched record'));
         transaction.onabort = () => reject(transaction.error || new Error('Write transaction aborted'));
     });
@@ -1173,7 +1863,7 @@ async function isVideoWatched(videoId) {
 
 /**
  * Read all watched records.
- * @returns {Promise<Array<{videoId: string, timestamp: number}>>}
+ * @returns {Promise<Array<{videoId: string, timestamp: number, title?: string, channelId?: string, channelName?: string, durationSeconds?: number, positionSeconds?: number, percentWatched?: number}>>}
  */
 async function getAllWatchedVideos() {
     await ensureInitialized();
@@ -1198,6 +1888,268 @@ async function getAllWatchedVideos() {
     });
 }
 
+/**
+ * Check whether a record matches a lowercase search term (title, channel or ID).
+ * @param {object} record
+ * @param {string} term
+ * @returns {boolean}
+ */
+function matchesHistorySearch(record, term) {
+    if (!term) {
+        return true;
+    }
+
+    return [record.videoId, record.title, record.channelName, record.channelId]
+        .some((value) => typeof value === 'string' && value.toLowerCase().includes(term));
+}
+
+/**
+ * Parse a history page cursor ("<timestamp>:<videoId>" of the last returned record).
+ * @param {any} value
+ * @returns {{timestamp: number, videoId: string}|null}
+ */
+function parseHistoryCursor(value) {
+    const match = /^(\d+):([A-Za-z0-9_-]{11})$/.exec(typeof value === 'string' ? value : '');
+    return match ? { timestamp: Number(match[1]), videoId: match[2] } : null;
+}
+
+/**
+ * Query one page of watched records, newest first.
+ * `cursor` is the nextCursor of the previous page; each page continues from that
+ * record's timestamp instead of rescanning the index from the start. The total
+ * is only counted for the first page (no cursor), later pages return null.
+ * @param {{search?: string, from?: number, to?: number, cursor?: string, limit?: number}} [query]
+ * @returns {Promise<{videos: object[], total: number|null, nextCursor: string|null, hasMore: boolean}>}
+ */
+async function queryWatchedVideos(query = {}) {
+    await ensureInitialized();
+
+    if (!db) {
+        return { videos: [], total: 0, nextCursor: null, hasMore: false };
+    }
+
+    const term = typeof query.search === 'string' ? query.search.trim().toLowerCase() : '';
+    const from = Number(query.from) > 0 ? Number(query.from) : 0;
+    const to = Number(query.to) > 0 ? Number(query.to) : Number.MAX_SAFE_INTEGER;
+    const after = parseHistoryCursor(query.cursor);
+    const countTotal = !after;
+    const parsedLimit = Number.parseInt(query.limit, 10);
+    const limit = Number.isFinite(parsedLimit) && parsedLimit > 0
+        ? Math.min(parsedLimit, HISTORY_QUERY_MAX_LIMIT)
+        : HISTORY_QUERY_DEFAULT_LIMIT;
+    const upper = after ? Math.min(to, after.timestamp) : to;
+    if (upper < from) {
+        return { videos: [], total: countTotal ? 0 : null, nextCursor: null, hasMore: false };
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readonly');
+        const index = transaction.objectStore(STORE_NAME).index(TIMESTAMP_INDEX_NAME);
+        const request = index.openCursor(IDBKeyRange.bound(from, upper), 'prev');
+        const videos = [];
+        let total = 0;
+        let hasMore = false;
+
+        const finish = () => {
+            const last = videos[videos.length - 1];
+            resolve({
+                videos,
+                total: countTotal ? total : null,
+                nextCursor: hasMore && last ? `${Number(last.timestamp) || 0}:${last.videoId}` : null,
+                hasMore
+            });
+        };
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                finish();
+                return;
+            }
+
+            // Records sharing the cursor's timestamp come in descending videoId
+            // order; the ones up to the cursor record were already returned.
+            const record = cursor.value;
+            const seen = after
+                && Number(record?.timestamp) === after.timestamp
+                && String(cursor.primaryKey) >= after.videoId;
+            if (!seen && isValidVideoId(record?.videoId) && matchesHistorySearch(record, term)) {
+                if (videos.length < limit) {
+                    videos.push(record);
+                } else {
+                    hasMore = true;
+                    if (!countTotal) {
+                        finish();
+                        return;
+                    }
+                }
+                total += 1;
+            }
+            cursor.continue();
+        };
+
+        request.onerror = () => {
+            reject(request.error || new Error('Failed to query watched videos'));
+        };
+    });
+}
+
+/**
+ * Delete watched records (and their pending sync entries) by ID.
+ * @param {string[]} videoIds
+ * @returns {Promise<number>}
+ */
+async function deleteWatchedVideos(videoIds) {
+    await ensureInitialized();
+
+    const removeIds = Array.from(new Set((videoIds || []).filter(isValidVideoId)));
+    if (!db || removeIds.length === 0) {
+        return 0;
+    }
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, PARTIAL_STORE_NAME, SYNC_QUEUE_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const partialStore = transaction.objectStore(PARTIAL_STORE_NAME);
+        const queueStore = transaction.objectStore(SYNC_QUEUE_STORE_NAME);
+        removeIds.forEach((videoId) => {
+            store.delete(videoId);
+            partialStore.delete(videoId);
+            queueStore.delete(videoId);
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error || new Error('Failed to delete watched videos'));
+        transaction.onabort = () => reject(transaction.error || new Error('Delete transaction aborted'));
+    });
+
+    removeIds.forEach((videoId) => {
+        watchedIds.delete(videoId);
+        partialIds.delete(videoId);
+    });
+    resetVisualDecorations();
+    scheduleRender('delete', true);
+
+    // Background turns removals into tombstones so other devices drop them too.
+    await notifyBackgroundHistoryUpdated({
+        type: 'HISTORY_UPDATED',
+        removedVideoIds: removeIds,
+        removedAt: Date.now(),
+        accountKey: syncAccountKey || DEFAULT_SYNC_ACCOUNT_KEY
+    });
+
+    return removeIds.length;
+}
+
+/**
+ * Apply deletions pulled from cloud sync. A local record changed after the remote
+ * deletion wins and is kept (last writer wins).
+ * @param {{videoId: string, updatedAt?: number}[]} deletions
+ * @returns {Promise<number>}
+ */
+async function applyRemoteDeletions(deletions) {
+    await ensureInitialized();
+
+    const deletedAtById = new Map();
+    (Array.isArray(deletions) ? deletions : []).forEach((entry) => {
+        if (isValidVideoId(entry?.videoId)) {
+            deletedAtById.set(entry.videoId, Number(entry.updatedAt) || 0);
+        }
+    });
+    const candidateIds = Array.from(deletedAtById.keys())
+        .filter((videoId) => watchedIds.has(videoId) || partialIds.has(videoId));
+    if (!db || candidateIds.length === 0) {
+        return 0;
+    }
+
+    const removedIds = [];
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, PARTIAL_STORE_NAME, SYNC_QUEUE_STORE_NAME], 'readwrite');
+        const queueStore = transaction.objectStore(SYNC_QUEUE_STORE_NAME);
+
+        candidateIds.forEach((videoId) => {
+            const storeName = watchedIds.has(videoId) ? STORE_NAME : PARTIAL_STORE_NAME;
+            const store = transaction.objectStore(storeName);
+            const request = store.get(videoId);
+            request.onsuccess = () => {
+                if (request.result && getRecordUpdatedAt(request.result) > deletedAtById.get(videoId)) {
+                    return;
+                }
+                store.delete(videoId);
+                queueStore.delete(videoId);
+                removedIds.push(videoId);
+            };
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error || new Error('Failed to apply remote deletions'));
+        transaction.onabort = () => reject(transaction.error || new Error('Remote deletion transaction aborted'));
+    });
+
+    if (removedIds.length > 0) {
+        removedIds.forEach((videoId) => {
+            watchedIds.delete(videoId);
+            partialIds.delete(videoId);
+        });
+        resetVisualDecorations();
+        scheduleRender('remote-delete', true);
+    }
+
+    return removedIds.length;
+}
+
+/**
+ * Apply a history clear pulled from cloud sync: drop every record last changed
+ * at or before `clearedAt`. Records changed after the clear are kept.
+ * @param {number} clearedAt
+ * @returns {Promise<number>}
+ */
+async function applyRemoteClear(clearedAt) {
+    await ensureInitialized();
+
+    const clearedAtMs = Number(clearedAt) || 0;
+    if (!db || clearedAtMs <= 0) {
+        return 0;
+    }
+
+    const removedIds = [];
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, PARTIAL_STORE_NAME, SYNC_QUEUE_STORE_NAME], 'readwrite');
+        const queueStore = transaction.objectStore(SYNC_QUEUE_STORE_NAME);
+
+        [STORE_NAME, PARTIAL_STORE_NAME].forEach((storeName) => {
+            const request = transaction.objectStore(storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+                if (getRecordUpdatedAt(cursor.value) <= clearedAtMs) {
+                    cursor.delete();
+                    queueStore.delete(cursor.key);
+                    removedIds.push(cursor.key);
+                }
+                cursor.continue();
+            };
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error || new Error('Failed to apply remote clear'));
+        transaction.onabort = () => reject(transaction.error || new Error('Remote clear transaction aborted'));
+    });
+
+    if (removedIds.length > 0) {
+        removedIds.forEach((videoId) => {
+            watchedIds.delete(videoId);
+            partialIds.delete(videoId);
+        });
+        resetVisualDecorations();
+        scheduleRender('remote-clear', true);
+    }
+
+    return removedIds.length;
+}
+
 /**
  * Read pending sync IDs from queue store.
  * @param {number} [rawLimit]
@@ -1364,11 +2316,10 @@ async function clearWatchedHistory() {
     }
 
     await new Promise((resolve, reject) => {
-        const transaction = db.transaction([STORE_NAME, SYNC_QUEUE_STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        const queueStore = transaction.objectStore(SYNC_QUEUE_STORE_NAME);
-        store.clear();
-        queueStore.clear();
+        const transaction = db.transaction([STORE_NAME, PARTIAL_STORE_NAME, SYNC_QUEUE_STORE_NAME], 'readwrite');
+        transaction.objectStore(STORE_NAME).clear();
+        transaction.objectStore(PARTIAL_STORE_NAME).clear();
+        transaction.objectStore(SYNC_QUEUE_STORE_NAME).clear();
 
         transaction.oncomplete = () => resolve();
         transaction.onerror = () => reject(transaction.error || new Error('Failed to clear watched history'));
@@ -1376,8 +2327,19 @@ async function clearWatchedHistory() {
     });
 
     watchedIds.clear();
+    partialIds.clear();
     resetVisualDecorations();
 
+    // Background replaces the pending queue with a clear marker that syncs as tombstones.
+    const backgroundQueued = await notifyBackgroundHistoryUpdated({
+        type: 'HISTORY_UPDATED',
+        clearedAt: Date.now(),
+        accountKey: syncAccountKey || DEFAULT_SYNC_ACCOUNT_KEY
+    });
+    if (backgroundQueued) {
+        return;
+    }
+
     try {
         const result = await chrome.storage.local.get([CLOUD_PENDING_BY_ACCOUNT_KEY]);
         const pendingByAccount = result?.[CLOUD_PENDING_BY_ACCOUNT_KEY]
@@ -1403,14 +2365,23 @@ async function clearWatchedHistory() {
 async function exportWatchedHistory() {
     const videos = await getAllWatchedVideos();
     return videos
-        .map((video) => `${video.videoId}\t${new Date(video.timestamp).toISOString()}`)
+        .map((video) => [
+            video.videoId,
+            new Date(video.timestamp).toISOString(),
+            (video.title || '').replace(/[\t\n]+/g, ' '),
+            video.channelName || '',
+            video.percentWatched ?? ''
+        ].join('\t'))
         .join('\n');
 }
 
 /**
  * Import watched IDs in batches and return newly added count.
+ * Optional `records` carry rich details (e.g. pulled from cloud sync); they are
+ * stored for new IDs and fill missing fields on existing ones. Records flagged
+ * `partial` are kept as partially watched unless the video is already watched.
  * @param {string[]} videoIds
- * @param {{skipSyncQueue?: boolean}} [options]
+ * @param {{skipSyncQueue?: boolean, records?: object[]}} [options]
  * @returns {Promise<number>}
  */
 async function importWatchedHistory(videoIds, options = {}) {
@@ -1421,6 +2392,33 @@ async function importWatchedHistory(videoIds, options = {}) {
     }
 
     const skipSyncQueue = options?.skipSyncQueue === true;
+    const detailsById = new Map();
+    const partialById = new Map();
+    (Array.isArray(options?.records) ? options.records : []).forEach((record) => {
+        if (!isValidVideoId(record?.videoId)) {
+            return;
+        }
+
+        const details = normalizeWatchedDetails(record);
+        const entry = {
+            details,
+            watchedAt: Number(record.watchedAt) || 0,
+            updatedAt: Number(record.updatedAt) || 0
+        };
+        if (record.partial === true) {
+            partialById.set(record.videoId, entry);
+        }
+        if (Object.keys(details).length > 0) {
+            detailsById.set(record.videoId, entry);
+        }
+    });
+
+    if (detailsById.size > 0) {
+        await fillMissingRecordDetails(detailsById);
+    }
+    if (partialById.size > 0) {
+        await importPartialRecords(partialById);
+    }
 
     const uniqueToAdd = [];
     const seenInBatch = new Set();
@@ -1431,7 +2429,7 @@ async function importWatchedHistory(videoIds, options = {}) {
             continue;
         }
 
-        if (watchedIds.has(trimmed) || seenInBatch.has(trimmed)) {
+        if (watchedIds.has(trimmed) || partialById.has(trimmed) || seenInBatch.has(trimmed)) {
             continue;
         }
 
@@ -1447,16 +2445,32 @@ async function importWatchedHistory(videoIds, options = {}) {
 
     await new Promise((resolve, reject) => {
         const storeNames = skipSyncQueue
-            ? [STORE_NAME]
-            : [STORE_NAME, SYNC_QUEUE_STORE_NAME];
+            ? [STORE_NAME, PARTIAL_STORE_NAME]
+            : [STORE_NAME, PARTIAL_STORE_NAME, SYNC_QUEUE_STORE_NAME];
         const transaction = db.transaction(storeNames, 'readwrite');
         const store = transaction.objectStore(STORE_NAME);
+        const partialStore = transaction.objectStore(PARTIAL_STORE_NAME);
         const queueStore = skipSyncQueue
             ? null
             : transaction.objectStore(SYNC_QUEUE_STORE_NAME);
 
         uniqueToAdd.forEach((videoId, index) => {
-            store.put({ videoId, timestamp: startTimestamp + index });
+            const imported = detailsById.get(videoId);
+            const timestamp = imported?.watchedAt || startTimestamp + index;
+            if (partialIds.has(videoId)) {
+                // Watched elsewhere: promote the local partial record.
+                const request = partialStore.get(videoId);
+                request.onsuccess = () => {
+                    const record = mergeImportedRecord(request.result || null, videoId, timestamp, imported, imported?.details || {});
+                    delete record.partial;
+                    store.put(record);
+                    partialStore.delete(videoId);
+                };
+            } else {
+                store.put(imported
+                    ? mergeImportedRecord(null, videoId, timestamp, imported, imported.details)
+                    : { videoId, timestamp: startTimestamp + index });
+            }
             if (queueStore) {
                 queueStore.put({ videoId, queuedAt: startTimestamp + index });
             }
@@ -1467,7 +2481,10 @@ async function importWatchedHistory(videoIds, options = {}) {
         transaction.onabort = () => reject(transaction.error || new Error('Import transaction aborted'));
     });
 
-    uniqueToAdd.forEach((videoId) => watchedIds.add(videoId));
+    uniqueToAdd.forEach((videoId) => {
+        watchedIds.add(videoId);
+        partialIds.delete(videoId);
+    });
 
     const historyUpdatedPayload = skipSyncQueue
         ? { type: 'HISTORY_UPDATED' }
@@ -1486,6 +2503,126 @@ async function importWatchedHistory(videoIds, options = {}) {
     return uniqueToAdd.length;
 }
 
+/**
+ * Apply imported details to already stored records (last writer wins; positions only move forward in time).
+ * @param {Map<string, {details: object, updatedAt: number}>} detailsById
+ * @returns {Promise<void>}
+ */
+async function fillMissingRecordDetails(detailsById) {
+    const existingIds = Array.from(detailsById.keys()).filter((videoId) => watchedIds.has(videoId));
+    if (existingIds.length === 0) {
+        return;
+    }
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+
+        existingIds.forEach((videoId) => {
+            const request = store.get(videoId);
+            request.onsuccess = () => {
+                const existing = request.result;
+                const imported = detailsById.get(videoId);
+                const patch = buildImportedDetailsPatch(existing, imported);
+                if (Object.keys(patch).length === 0) {
+                    return;
+                }
+                store.put(mergeImportedRecord(existing, videoId, Date.now(), imported, patch));
+            };
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error || new Error('Failed to merge imported details'));
+        transaction.onabort = () => reject(transaction.error || new Error('Merge transaction aborted'));
+    });
+}
+
+/**
+ * Pick incoming fields to apply locally. A remote record edited after the local one
+ * replaces its fields; an older one only fills gaps. Positions only move forward in time.
+ * @param {object|null} existing
+ * @param {{details: object, updatedAt: number}} imported
+ * @returns {object}
+ */
+function buildImportedDetailsPatch(existing, imported) {
+    const incoming = imported.details;
+    const remoteIsNewer = imported.updatedAt > getRecordUpdatedAt(existing);
+    const patch = {};
+    Object.entries(incoming).forEach(([key, value]) => {
+        if (remoteIsNewer || existing?.[key] === undefined || existing?.[key] === '') {
+            patch[key] = value;
+        }
+    });
+
+    // Playback positions follow the most recent device.
+    if ((incoming.positionUpdatedAt || 0) > (Number(existing?.positionUpdatedAt) || 0)) {
+        patch.positionSeconds = incoming.positionSeconds;
+        patch.positionUpdatedAt = incoming.positionUpdatedAt;
+    } else if (existing?.positionSeconds !== undefined) {
+        delete patch.positionSeconds;
+        delete patch.positionUpdatedAt;
+        delete patch.percentWatched;
+    }
+
+    return patch;
+}
+
+/**
+ * Merge imported details and keep the newest change time, so pulled records
+ * are not re-stamped as local edits.
+ * @param {object|null} existing
+ * @param {string} videoId
+ * @param {number} timestamp
+ * @param {{updatedAt: number}|undefined} imported
+ * @param {object} patch
+ * @returns {object}
+ */
+function mergeImportedRecord(existing, videoId, timestamp, imported, patch) {
+    const record = mergeWatchedRecord(existing, videoId, timestamp, patch);
+    record.updatedAt = Math.max(getRecordUpdatedAt(existing), Number(imported?.updatedAt) || 0) || record.updatedAt;
+    return record;
+}
+
+/**
+ * Store partially watched records from another device, skipping videos watched here.
+ * @param {Map<string, {details: object, watchedAt: number, updatedAt: number}>} partialById
+ * @returns {Promise<void>}
+ */
+async function importPartialRecords(partialById) {
+    const importIds = Array.from(partialById.keys()).filter((videoId) => !watchedIds.has(videoId));
+    if (importIds.length === 0) {
+        return;
+    }
+
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([PARTIAL_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(PARTIAL_STORE_NAME);
+
+        importIds.forEach((videoId) => {
+            const request = store.get(videoId);
+            request.onsuccess = () => {
+                const existing = request.result || null;
+                const imported = partialById.get(videoId);
+                const patch = existing ? buildImportedDetailsPatch(existing, imported) : imported.details;
+                if (existing && Object.keys(patch).length === 0) {
+                    return;
+                }
+                store.put({
+                    ...mergeImportedRecord(existing, videoId, imported.watchedAt || Date.now(), imported, patch),
+                    partial: true
+                });
+            };
+        });
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error || new Error('Failed to import partial records'));
+        transaction.onabort = () => reject(transaction.error || new Error('Partial import transaction aborted'));
+    });
+
+    importIds.forEach((videoId) => partialIds.add(videoId));
+    scheduleRender('import-partial', true);
+}
+
 /**
  * Debounced cache refresh for cross-tab updates.
  * @param {string} reason
@@ -1523,6 +2660,14 @@ function updateSettings(settings) {
             scheduleRender('settings-update', true);
         }
     }
+
+    if (Object.prototype.hasOwnProperty.call(settings, 'resumeMinDurationMinutes')) {
+        resumeMinDurationMinutes = normalizeResumeMinDuration(settings.resumeMinDurationMinutes);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(settings, 'watchedThresholds')) {
+        watchedThresholds = normalizeWatchedThresholds(settings.watchedThresholds);
+    }
 }
 
 /**
@@ -1545,6 +2690,9 @@ function resetVisualDecorations() {
 
     const hiddenContainers = document.querySelectorAll(`.${HIDDEN_CLASS}`);
     hiddenContainers.forEach((container) => container.classList.remove(HIDDEN_CLASS));
+
+    document.querySelectorAll(`.${PARTIAL_MARKER_CLASS}`).forEach((marker) => marker.remove());
+    document.querySelectorAll(`[${PARTIAL_ATTR}='true']`).forEach((thumb) => thumb.removeAttribute(PARTIAL_ATTR));
 }
 
 /**
@@ -1657,6 +2805,10 @@ export {
     addToWatchedHistory,
     isVideoWatched,
     getAllWatchedVideos,
+    queryWatchedVideos,
+    deleteWatchedVideos,
+    applyRemoteDeletions,
+    applyRemoteClear,
     getPendingSyncVideoIds,
     ackSyncedVideoIds,
     getPendingSyncCount,
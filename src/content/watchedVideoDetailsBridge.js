@@ -0,0 +1,144 @@
+/**
+ * Main-world bridge that reads video metadata from the YouTube player response
+ * for watched-history records.
+ */
+
+import { createLogger } from './utils/logger.js';
+import { getActivePlayer, getYouTubePlayer } from './utils/youtube.js';
+
+const logger = createLogger('WatchedVideoDetailsBridge');
+
+const BRIDGE_SOURCE = 'yt-commander';
+const REQUEST_TYPE = 'YT_COMMANDER_WATCHED_DETAILS_REQUEST';
+const RESPONSE_TYPE = 'YT_COMMANDER_WATCHED_DETAILS_RESPONSE';
+const ACTION_GET_VIDEO_DETAILS = 'GET_VIDEO_DETAILS';
+
+let initialized = false;
+
+/**
+ * Read the player response for the active player, falling back to page data.
+ * @returns {any}
+ */
+function readPlayerResponse() {
+    const players = [getActivePlayer(), getYouTubePlayer()];
+    for (const player of players) {
+        if (player && typeof player.getPlayerResponse === 'function') {
+            try {
+                const response = player.getPlayerResponse();
+                if (response?.videoDetails) {
+                    return response;
+                }
+            } catch (_error) {
+                // Try the next candidate.
+            }
+        }
+    }
+
+    return window.ytInitialPlayerResponse || null;
+}
+
+/**
+ * Resolve metadata for one video id from the current player.
+ * @param {string} videoId
+ * @returns {{videoId: string, title: string, channelId: string, channelName: string, durationSeconds: number}|null}
+ */
+function resolveVideoDetails(videoId) {
+    const response = readPlayerResponse();
+    const videoDetails = response?.videoDetails;
+    if (videoDetails?.videoId === videoId) {
+        return {
+            videoId,
+            title: videoDetails.title || '',
+            channelId: videoDetails.channelId || '',
+            channelName: videoDetails.author || '',
+            durationSeconds: Number(videoDetails.lengthSeconds) || 0
+        };
+    }
+
+    const player = getActivePlayer() || getYouTubePlayer();
+    const videoData = typeof player?.getVideoData === 'function' ? player.getVideoData() : null;
+    if (videoData?.video_id !== videoId) {
+        return null;
+    }
+
+    return {
+        videoId,
+        title: videoData.title || '',
+        channelId: '',
+        channelName: videoData.author || '',
+        durationSeconds: typeof player.getDuration === 'function' ? Number(player.getDuration()) || 0 : 0
+    };
+}
+
+/**
+ * Post bridge response back to isolated world.
+ * @param {string} requestId
+ * @param {boolean} success
+ * @param {object|null} data
+ * @param {string|null} error
+ */
+function postBridgeResponse(requestId, success, data = null, error = null) {
+    window.postMessage({
+        source: BRIDGE_SOURCE,
+        type: RESPONSE_TYPE,
+        requestId,
+        success,
+        data,
+        error
+    }, '*');
+}
+
+/**
+ * Handle isolated-world bridge request.
+ * @param {MessageEvent} event
+ */
+function handleWindowMessage(event) {
+    if (event.source !== window || !event.data || typeof event.data !== 'object') {
+        return;
+    }
+
+    const message = event.data;
+    if (message.source !== BRIDGE_SOURCE || message.type !== REQUEST_TYPE) {
+        return;
+    }
+
+    const requestId = typeof message.requestId === 'string' ? message.requestId : '';
+    if (!requestId) {
+        return;
+    }
+
+    if (message.action !== ACTION_GET_VIDEO_DETAILS) {
+        postBridgeResponse(requestId, false, null, 'Unsupported watched details action');
+        return;
+    }
+
+    try {
+        const videoId = typeof message.payload?.videoId === 'string' ? message.payload.videoId : '';
+        postBridgeResponse(requestId, true, resolveVideoDetails(videoId), null);
+    } catch (error) {
+        logger.warn('Failed to read video details from player response', error);
+        postBridgeResponse(
+            requestId,
+            false,
+            null,
+            error instanceof Error ? error.message : 'Failed to read video details'
+        );
+    }
+}
+
+/**
+ * Initialize the watched video details bridge.
+ */
+async function initWatchedVideoDetailsBridge() {
+    if (initialized) {
+        return;
+    }
+
+    window.addEventListener('message', handleWindowMessage);
+    initialized = true;
+    logger.info('Watched video details bridge initialized');
+}
+
+export {
+    initWatchedVideoDetailsBridge
+};
@@ -0,0 +1,459 @@
+/**
+ * Watched history browser page: paged, virtualized list over the watched-history store.
+ */
+
+const PAGE_SIZE = 500;
+const ROW_HEIGHT = 80;
+const DAY_ROW_HEIGHT = 40;
+const OVERSCAN_PX = 600;
+const LOAD_MORE_THRESHOLD_PX = 1200;
+const SEARCH_DEBOUNCE_MS = 250;
+
+const state = {
+    items: [],
+    totalHeight: 0,
+    loadedCount: 0,
+    total: 0,
+    nextCursor: null,
+    hasMore: false,
+    loading: false,
+    queryToken: 0,
+    lastDayKey: '',
+    selected: new Set()
+};
+
+let searchTimer = null;
+let renderFrame = 0;
+
+/**
+ * Send a runtime message and resolve with its response.
+ * @param {object} message
+ * @returns {Promise<any>}
+ */
+function sendRuntimeMessage(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+/**
+ * Parse a date input value as local midnight.
+ * @param {string} value
+ * @param {boolean} endOfDay
+ * @returns {number}
+ */
+function parseDateInput(value, endOfDay) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+        return 0;
+    }
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (endOfDay) {
+        date.setHours(23, 59, 59, 999);
+    }
+    return date.getTime();
+}
+
+/**
+ * Read current filters from the toolbar.
+ * @returns {{search: string, from: number, to: number}}
+ */
+function readFilters() {
+    return {
+        search: document.getElementById('historySearch').value.trim(),
+        from: parseDateInput(document.getElementById('historyFrom').value, false),
+        to: parseDateInput(document.getElementById('historyTo').value, true)
+    };
+}
+
+/**
+ * Build a stable day key and label for a timestamp.
+ * @param {number} timestamp
+ * @returns {{key: string, label: string}}
+ */
+function getDayInfo(timestamp) {
+    const date = new Date(timestamp);
+    const key = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+    let label = date.toLocaleDateString(undefined, {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    if (date.toDateString() === today.toDateString()) {
+        label = `Today - ${label}`;
+    } else if (date.toDateString() === yesterday.toDateString()) {
+        label = `Yesterday - ${label}`;
+    }
+
+    return { key, label };
+}
+
+/**
+ * Format seconds as h:mm:ss or m:ss.
+ * @param {number} totalSeconds
+ * @returns {string}
+ */
+function formatDuration(totalSeconds) {
+    const seconds = Math.max(0, Math.round(Number(totalSeconds) || 0));
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+        : `${minutes}:${rest}`;
+}
+
+/**
+ * Append a page of records to the flattened row list, inserting day headers.
+ * @param {object[]} videos
+ */
+function appendVideos(videos) {
+    videos.forEach((record) => {
+        const timestamp = Number(record.timestamp) || 0;
+        const day = getDayInfo(timestamp);
+        if (day.key !== state.lastDayKey) {
+            state.lastDayKey = day.key;
+            state.items.push({ kind: 'day', label: day.label, top: state.totalHeight, height: DAY_ROW_HEIGHT });
+            state.totalHeight += DAY_ROW_HEIGHT;
+        }
+
+        state.items.push({ kind: 'video', record, top: state.totalHeight, height: ROW_HEIGHT });
+        state.totalHeight += ROW_HEIGHT;
+    });
+
+    state.loadedCount += videos.length;
+}
+
+/**
+ * Find the first row whose bottom edge is below the given offset.
+ * @param {number} offset
+ * @returns {number}
+ */
+function findFirstVisibleIndex(offset) {
+    let low = 0;
+    let high = state.items.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        const item = state.items[mid];
+        if (item.top + item.height <= offset) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Create the DOM for one video row.
+ * @param {object} item
+ * @returns {HTMLElement}
+ */
+function createVideoRow(item) {
+    const record = item.record;
+    const videoId = record.videoId;
+    const watchUrl = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+
+    const row = document.createElement('div');
+    row.className = 'history-row is-video';
+    row.classList.toggle('is-selected', state.selected.has(videoId));
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = state.selected.has(videoId);
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+            state.selected.add(videoId);
+        } else {
+            state.selected.delete(videoId);
+        }
+        row.classList.toggle('is-selected', checkbox.checked);
+        updateSelectionControls();
+    });
+
+    const thumb = document.createElement('a');
+    thumb.className = 'history-thumb';
+    thumb.href = watchUrl;
+    thumb.target = '_blank';
+    thumb.rel = 'noopener';
+    const image = document.createElement('img');
+    image.loading = 'lazy';
+    image.alt = '';
+    image.src = `https://i.ytimg.com/vi/${encodeURIComponent(videoId)}/mqdefault.jpg`;
+    thumb.appendChild(image);
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+
+    const title = document.createElement('a');
+    title.className = 'history-title';
+    title.href = watchUrl;
+    title.target = '_blank';
+    title.rel = 'noopener';
+    title.textContent = record.title || videoId;
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    const metaParts = [];
+    if (record.channelName) {
+        metaParts.push(record.channelName);
+    }
+    if (record.durationSeconds) {
+        metaParts.push(formatDuration(record.durationSeconds));
+    }
+    if (Number.isFinite(record.percentWatched)) {
+        metaParts.push(`${Math.round(record.percentWatched)}% watched`);
+    }
+    metaParts.push(new Date(Number(record.timestamp) || 0).toLocaleTimeString(undefined, {
+        hour: '2-digit',
+        minute: '2-digit'
+    }));
+    metaParts.push(videoId);
+    meta.textContent = metaParts.join(' • ');
+
+    info.append(title, meta);
+
+    if (Number.isFinite(record.percentWatched)) {
+        const progress = document.createElement('div');
+        progress.className = 'history-progress';
+        const bar = document.createElement('span');
+        bar.style.width = `${Math.min(100, Math.max(0, record.percentWatched))}%`;
+        progress.appendChild(bar);
+        info.appendChild(progress);
+    }
+
+    row.append(checkbox, thumb, info);
+    return row;
+}
+
+/**
+ * Render only the rows intersecting the viewport (plus overscan).
+ */
+function renderVisibleRows() {
+    renderFrame = 0;
+
+    const viewport = document.getElementById('historyViewport');
+    const spacer = document.getElementById('historySpacer');
+    spacer.style.height = `${state.totalHeight}px`;
+
+    const fragment = document.createDocumentFragment();
+    if (state.items.length > 0) {
+        const startOffset = Math.max(0, viewport.scrollTop - OVERSCAN_PX);
+        const endOffset = viewport.scrollTop + viewport.clientHeight + OVERSCAN_PX;
+
+        for (let index = findFirstVisibleIndex(startOffset); index < state.items.length; index += 1) {
+            const item = state.items[index];
+            if (item.top > endOffset) {
+                break;
+            }
+
+            let row;
+            if (item.kind === 'day') {
+                row = document.createElement('div');
+                row.className = 'history-row is-day';
+                row.textContent = item.label;
+            } else {
+                row = createVideoRow(item);
+            }
+            row.style.top = `${item.top}px`;
+            row.style.height = `${item.height}px`;
+            fragment.appendChild(row);
+        }
+    }
+
+    spacer.replaceChildren(fragment);
+
+    if (
+        state.hasMore
+        && !state.loading
+        && viewport.scrollTop + viewport.clientHeight >= state.totalHeight - LOAD_MORE_THRESHOLD_PX
+    ) {
+        loadNextPage();
+    }
+}
+
+/**
+ * Schedule a render on the next animation frame.
+ */
+function scheduleRender() {
+    if (!renderFrame) {
+        renderFrame = window.requestAnimationFrame(renderVisibleRows);
+    }
+}
+
+/**
+ * Update header summary and empty-state text.
+ * @param {string} [errorMessage]
+ */
+function updateSummary(errorMessage = '') {
+    const summary = document.getElementById('historySummary');
+    const empty = document.getElementById('historyEmpty');
+
+    if (errorMessage) {
+        summary.textContent = 'Unavailable';
+        empty.textContent = errorMessage === 'No YouTube tabs found'
+            ? 'Open a YouTube tab to browse watched history.'
+            : errorMessage;
+        empty.style.display = 'block';
+        return;
+    }
+
+    summary.textContent = state.total === state.loadedCount
+        ? `${state.total} videos`
+        : `${state.loadedCount} of ${state.total} videos loaded`;
+    empty.textContent = 'No watched videos match these filters.';
+    empty.style.display = !state.loading && state.total === 0 ? 'block' : 'none';
+}
+
+/**
+ * Enable/disable bulk actions based on the current selection.
+ */
+function updateSelectionControls() {
+    const count = state.selected.size;
+    const deleteButton = document.getElementById('historyDeleteSelected');
+    deleteButton.disabled = count === 0;
+    deleteButton.textContent = count > 0 ? `Delete selected (${count})` : 'Delete selected';
+    document.getElementById('historyClearSelection').disabled = count === 0;
+}
+
+/**
+ * Fetch the next page for the current filters.
+ * @returns {Promise<void>}
+ */
+async function loadNextPage() {
+    if (state.loading) {
+        return;
+    }
+
+    const token = state.queryToken;
+    state.loading = true;
+
+    try {
+        const response = await sendRuntimeMessage({
+            type: 'GET_ALL_WATCHED_VIDEOS',
+            query: {
+                ...readFilters(),
+                cursor: state.nextCursor || '',
+                limit: PAGE_SIZE
+            }
+        });
+
+        if (token !== state.queryToken) {
+            return;
+        }
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to load watched history');
+        }
+
+        appendVideos(Array.isArray(response.videos) ? response.videos : []);
+        // Only the first page counts the matches; later pages return null.
+        if (response.total !== null && response.total !== undefined) {
+            state.total = Number(response.total) || 0;
+        }
+        state.nextCursor = response.nextCursor || null;
+        state.hasMore = response.hasMore === true && Boolean(state.nextCursor);
+        state.loading = false;
+        updateSummary();
+        scheduleRender();
+    } catch (error) {
+        if (token === state.queryToken) {
+            state.loading = false;
+            state.hasMore = false;
+            updateSummary(error?.message || 'Failed to load watched history');
+        }
+    }
+}
+
+/**
+ * Reset the list and load the first page for the current filters.
+ */
+function reloadHistory() {
+    state.queryToken += 1;
+    state.items = [];
+    state.totalHeight = 0;
+    state.loadedCount = 0;
+    state.total = 0;
+    state.nextCursor = null;
+    state.hasMore = false;
+    state.loading = false;
+    state.lastDayKey = '';
+
+    document.getElementById('historyViewport').scrollTop = 0;
+    document.getElementById('historySummary').textContent = 'Loading...';
+    scheduleRender();
+    loadNextPage();
+}
+
+/**
+ * Delete selected records after confirmation.
+ * @returns {Promise<void>}
+ */
+async function deleteSelected() {
+    const videoIds = Array.from(state.selected);
+    if (videoIds.length === 0) {
+        return;
+    }
+
+    if (!window.confirm(`Remove ${videoIds.length} video(s) from watched history?`)) {
+        return;
+    }
+
+    const button = document.getElementById('historyDeleteSelected');
+    button.disabled = true;
+
+    try {
+        const response = await sendRuntimeMessage({ type: 'DELETE_WATCHED_VIDEOS', videoIds });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to delete watched videos');
+        }
+
+        state.selected.clear();
+        updateSelectionControls();
+        reloadHistory();
+    } catch (error) {
+        window.alert(error?.message || 'Failed to delete watched videos');
+        updateSelectionControls();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const viewport = document.getElementById('historyViewport');
+    viewport.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', scheduleRender);
+
+    document.getElementById('historySearch').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(reloadHistory, SEARCH_DEBOUNCE_MS);
+    });
+    document.getElementById('historyFrom').addEventListener('change', reloadHistory);
+    document.getElementById('historyTo').addEventListener('change', reloadHistory);
+
+    document.getElementById('historySelectAll').addEventListener('click', () => {
+        state.items.forEach((item) => {
+            if (item.kind === 'video') {
+                state.selected.add(item.record.videoId);
+            }
+        });
+        updateSelectionControls();
+        scheduleRender();
+    });
+    document.getElementById('historyClearSelection').addEventListener('click', () => {
+        state.selected.clear();
+        updateSelectionControls();
+        scheduleRender();
+    });
+    document.getElementById('historyDeleteSelected').addEventListener('click', deleteSelected);
+
+    reloadHistory();
+});
@@ -1,11 +1,39 @@
 import { normalizeShortcutKey } from '../shared/shortcutKey.js';
 import { normalizeQualityId } from '../shared/quality.js';
+import { DEFAULT_WATCHED_THRESHOLDS, normalizeWatchedThresholds } from '../shared/watchedThresholds.js';
+import { escapeCsvValue, parseCsvLine } from '../shared/csv.js';
+import { buildSubscriptionExport } from '../shared/subscriptionExport.js';
+import {
+    FEED_FILTER_ACTIONS,
+    FEED_FILTER_SCOPES,
+    MAX_FEED_FILTER_RULES,
+    hasFeedFilterConditions,
+    normalizeFeedFilterRule,
+    normalizeFeedFilterRules,
+    validateFeedFilterPattern
+} from '../shared/feedFilterRules.js';
+import {
+    formatCategoryPath,
+    normalizeCategoryList,
+    normalizeSmartRules,
+    parseCategoryPath
+} from '../shared/subscriptionCategories.js';
+import {
+    MAX_SMART_PLAYLISTS,
+    MAX_SMART_PLAYLIST_CHANNELS,
+    SMART_PLAYLIST_STORAGE_KEYS,
+    normalizeSmartPlaylist,
+    normalizeSmartPlaylists,
+    validateSmartPlaylist
+} from '../shared/smartPlaylists.js';
+import { MAX_TRACKED_PLAYLISTS } from '../shared/playlistSnapshots.js';
 
 // Modern YouTube Commander Popup Script
 const defaultSettings = {
     // Popup-managed settings
     deleteVideosEnabled: false,
     hideSubscribedVideosEnabled: false,
+    subscriptionLabelsNotSubscribedEnabled: false,
     autoSwitchToOriginal: true,
     rotationShortcut: 'r',
     windowedFullscreenShortcut: 'Enter',
@@ -20,6 +48,15 @@ const defaultSettings = {
     shortSeekKey: { ctrl: false, shift: false, key: 'ArrowRight' },
     mediumSeekKey: { ctrl: false, shift: true, key: 'ArrowRight' },
     longSeekKey: { ctrl: true, shift: true, key: 'ArrowRight' },
+
+    // Watched history resume
+    resumeMinDurationMinutes: 10,
+
+    // When a played video counts as watched
+    watchedThresholds: normalizeWatchedThresholds(DEFAULT_WATCHED_THRESHOLDS),
+
+    // Feed filter rules (hide, dim or highlight matching feed videos)
+    feedFilterRules: [],
     
     // Quality settings
     maxQuality: 'hd1080',
@@ -51,12 +88,33 @@ let subscriptionLastSyncAt = 0;
 let subscriptionAutoEnabled = true;
 let subscriptionSyncIntervalMinutes = 30;
 let subscriptionSyncTriggered = false;
+let editingFeedFilterRuleId = '';
+let editingSmartPlaylistId = '';
+let ownedPlaylistOptions = [];
+let playlistSnapshotStatus = null;
 const CLOUDFLARE_STORAGE_KEYS = {
     ENDPOINT: 'cloudflareSyncEndpoint',
     API_TOKEN: 'cloudflareSyncApiToken',
     AUTO_ENABLED: 'cloudflareSyncAutoEnabled',
     INTERVAL_MINUTES: 'cloudflareSyncIntervalMinutes'
 };
+const SYNC_PROVIDER_STORAGE_KEYS = {
+    PROVIDER: 'cloudSyncProvider',
+    CONFIG: 'cloudSyncProviderConfig'
+};
+const SYNC_PROVIDER_LABELS = {
+    cloudflare: 'Cloudflare',
+    webdav: 'WebDAV',
+    rest: 'REST API',
+    file: 'Local file'
+};
+const LOCAL_SYNC_FILE_NAME = 'yt-commander-sync.json';
+const REST_ROUTE_INPUT_IDS = {
+    sync: 'restSyncRouteSync',
+    pull: 'restSyncRoutePull',
+    subscriptions: 'restSyncRouteSubscriptions',
+    encryption: 'restSyncRouteEncryption'
+};
 const SUBSCRIPTION_STORAGE_KEYS = {
     ENDPOINT: 'subscriptionSyncEndpoint',
     API_TOKEN: 'subscriptionSyncApiToken',
@@ -76,20 +134,67 @@ const AUTOMATION_STORAGE_KEYS = {
     TIME: 'subscriptionAutomationTime',
     LOOKBACK: 'subscriptionAutomationLookback',
     SHORTS_PLAYLIST: 'subscriptionAutomationShortsPlaylist',
+    SHORTS_PLAYLIST_TITLE: 'subscriptionAutomationShortsPlaylistTitle',
     VIDEOS_MODE: 'subscriptionAutomationVideosMode',
     VIDEOS_PLAYLIST: 'subscriptionAutomationVideosPlaylist',
+    VIDEOS_PLAYLIST_TITLE: 'subscriptionAutomationVideosPlaylistTitle',
     SPLIT_COUNT: 'subscriptionAutomationSplitCount',
     LAST_RUN: 'subscriptionAutomationLastRun',
     LAST_VIDEOS_COUNT: 'subscriptionAutomationLastVideosCount',
     LAST_SHORTS_COUNT: 'subscriptionAutomationLastShortsCount',
-    LAST_STATUS: 'subscriptionAutomationLastStatus'
+    LAST_STATUS: 'subscriptionAutomationLastStatus',
+    LAST_PLAYLIST_RESULTS: 'subscriptionAutomationLastPlaylistResults'
+};
+const AUTO_CATEGORIZE_STORAGE_KEYS = {
+    PROVIDER: 'autoCategorizeProvider',
+    ENDPOINT: 'autoCategorizeEndpoint',
+    MODEL: 'autoCategorizeModel',
+    API_KEY: 'autoCategorizeApiKey'
+};
+const AUTO_CATEGORIZE_PLACEHOLDERS = {
+    gemini: { endpoint: 'https://generativelanguage.googleapis.com/v1beta/models', model: 'auto', apiKey: 'Required for Gemini' },
+    openai: { endpoint: 'https://api.openai.com/v1', model: 'gpt-4o-mini', apiKey: 'Optional for local servers' },
+    ollama: { endpoint: 'http://localhost:11434', model: 'llama3.1', apiKey: 'Not needed' }
 };
 const SYNC_INTERVAL_OPTIONS = [15, 30, 60, 180, 720, 1440];
 const SQL_EXPORT_TABLE_NAME = 'watched_videos';
-const SQL_EXPORT_IDS_PER_FILE = 200000;
+const SQL_EXPORT_IDS_PER_FILE = 50000;
 const SQL_EXPORT_VALUES_PER_STATEMENT = 300;
 const SQL_EXPORT_DOWNLOAD_DELAY_MS = 250;
+const SQL_EXPORT_COLUMNS = [
+    'video_id',
+    'title',
+    'channel_id',
+    'channel_name',
+    'duration_seconds',
+    'position_seconds',
+    'percent_watched',
+    'position_updated_at',
+    'watched_at',
+    'partial',
+    'updated_at',
+    'deleted'
+];
+const SQL_EXPORT_COLUMN_TYPES = {
+    title: 'TEXT',
+    channel_id: 'TEXT',
+    channel_name: 'TEXT',
+    duration_seconds: 'REAL',
+    position_seconds: 'REAL',
+    percent_watched: 'REAL',
+    position_updated_at: 'INTEGER',
+    watched_at: 'INTEGER',
+    partial: 'INTEGER NOT NULL DEFAULT 0',
+    updated_at: 'INTEGER NOT NULL DEFAULT 0',
+    deleted: 'INTEGER NOT NULL DEFAULT 0'
+};
+// Maintained by the Worker only; created here so exported tables match its schema.
+const SQL_EXPORT_SCHEMA_ONLY_COLUMNS = {
+    change_seq: 'INTEGER NOT NULL DEFAULT 0'
+};
+const WATCHED_THRESHOLD_ID_SUFFIXES = { long: 'Long', shorts: 'Shorts' };
 const HISTORY_IMPORT_BATCH_SIZE = 5000;
+const PLAYLIST_SNAPSHOT_DIFF_LIMIT = 100;
 const HISTORY_SEED_SYNC_TIMEOUT_MS = 10 * 60 * 1000;
 const POPUP_UI_V2_CLASS = 'yt-commander-popup-v2';
 const POPUP_UI_V2_DEFAULT_FEATURE = 'history';
@@ -132,6 +237,261 @@ function setupHideSubscribedToggle() {
     });
 }
 
+// Setup "Not subscribed" feed label toggle
+function setupNotSubscribedLabelsToggle() {
+    const notSubscribedLabelsToggle = document.getElementById('notSubscribedLabelsToggle');
+    if (!notSubscribedLabelsToggle) {
+        return;
+    }
+
+    notSubscribedLabelsToggle.addEventListener('click', (event) => {
+        event.stopPropagation();
+
+        const enabled = !notSubscribedLabelsToggle.classList.contains('active');
+        setToggleState(notSubscribedLabelsToggle, enabled);
+        currentSettings.subscriptionLabelsNotSubscribedEnabled = enabled;
+        saveSyncSettings();
+    });
+}
+
+/**
+ * Summarize the conditions of a feed filter rule for the rule list.
+ * @param {ReturnType<typeof normalizeFeedFilterRule>} rule
+ * @returns {string}
+ */
+function describeFeedFilterRule(rule) {
+    const parts = [];
+    if (rule.channels.length > 0) parts.push(rule.channels.join(', '));
+    if (rule.categoryIds.length > 0) parts.push(`${rule.categoryIds.length} categor${rule.categoryIds.length === 1 ? 'y' : 'ies'}`);
+    if (rule.titleKeywords.length > 0) parts.push(`"${rule.titleKeywords.join('", "')}"`);
+    if (rule.titlePattern) parts.push(`/${rule.titlePattern}/`);
+    if (rule.minDurationSeconds || rule.maxDurationSeconds) {
+        parts.push(`${Math.round(rule.minDurationSeconds / 60)}-${rule.maxDurationSeconds ? Math.round(rule.maxDurationSeconds / 60) : '∞'} min`);
+    }
+    if (rule.minAgeDays || rule.maxAgeDays) {
+        parts.push(`${rule.minAgeDays}-${rule.maxAgeDays || '∞'} days old`);
+    }
+    if (rule.videoType !== 'any') parts.push(rule.videoType === 'shorts' ? 'Shorts' : 'long-form');
+    if (rule.liveState !== 'any') parts.push(rule.liveState);
+    if (rule.watched !== 'any') parts.push(rule.watched);
+    return parts.join(' · ');
+}
+
+/**
+ * Render the saved feed filter rules.
+ */
+function renderFeedFilterRules() {
+    const container = document.getElementById('feedFilterRuleList');
+    if (!container) {
+        return;
+    }
+
+    const rules = normalizeFeedFilterRules(currentSettings.feedFilterRules);
+    container.innerHTML = '';
+    container.style.display = rules.length > 0 ? 'flex' : 'none';
+
+    const actionLabels = Object.fromEntries(FEED_FILTER_ACTIONS.map((action) => [action.id, action.label]));
+    rules.forEach((rule) => {
+        const row = document.createElement('div');
+        row.style.cssText = `display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--ytc-v2-muted);${rule.enabled ? '' : ' opacity: 0.5;'}`;
+
+        const label = document.createElement('span');
+        label.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        const summary = describeFeedFilterRule(rule);
+        label.textContent = `${actionLabels[rule.action]}: ${rule.name || summary}`;
+        label.title = summary;
+
+        row.appendChild(label);
+        [
+            [rule.enabled ? 'Disable' : 'Enable', () => updateFeedFilterRules((list) => list.map((entry) => (
+                entry.id === rule.id ? { ...entry, enabled: !entry.enabled } : entry
+            )))],
+            ['Edit', () => openFeedFilterRuleForm(rule)],
+            ['Delete', () => updateFeedFilterRules((list) => list.filter((entry) => entry.id !== rule.id))]
+        ].forEach(([text, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.style.cssText = 'flex-shrink: 0; padding: 4px 8px; font-size: 11px;';
+            button.textContent = text;
+            button.addEventListener('click', handler);
+            row.appendChild(button);
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Apply a change to the rule list and save it.
+ * @param {(rules: Array<object>) => Array<object>} update
+ */
+function updateFeedFilterRules(update) {
+    currentSettings = {
+        ...currentSettings,
+        feedFilterRules: update(normalizeFeedFilterRules(currentSettings.feedFilterRules))
+    };
+    saveSyncSettings(true);
+    renderFeedFilterRules();
+}
+
+/**
+ * Render checkboxes into a rule form list.
+ * @param {string} containerId
+ * @param {Array<{id: string, label: string, color?: string}>} options
+ * @param {string[]} selectedIds
+ * @param {string} emptyText
+ */
+function renderFeedFilterCheckboxes(containerId, options, selectedIds, emptyText) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+    if (options.length === 0) {
+        container.textContent = emptyText;
+        return;
+    }
+    options.forEach((option) => {
+        const label = document.createElement('label');
+        label.style.cssText = 'display: inline-flex; align-items: center; gap: 4px; cursor: pointer;';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = option.id;
+        checkbox.checked = selectedIds.includes(option.id);
+        label.appendChild(checkbox);
+        if (option.color) {
+            const swatch = document.createElement('span');
+            swatch.style.cssText = `width: 8px; height: 8px; border-radius: 50%; background: ${option.color};`;
+            label.appendChild(swatch);
+        }
+        label.appendChild(document.createTextNode(option.label));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Read checked values from a rule form list.
+ * @param {string} containerId
+ * @returns {string[]}
+ */
+function readFeedFilterCheckboxes(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`))
+        .map((checkbox) => checkbox.value);
+}
+
+/**
+ * Show the rule form, filled with a rule or blank for a new one.
+ * @param {ReturnType<typeof normalizeFeedFilterRule>|null} rule
+ */
+async function openFeedFilterRuleForm(rule) {
+    const form = document.getElementById('feedFilterRuleForm');
+    if (!form) {
+        return;
+    }
+    const draft = rule || normalizeFeedFilterRule({});
+    editingFeedFilterRuleId = rule ? rule.id : '';
+
+    document.getElementById('feedFilterRuleName').value = draft.name;
+    document.getElementById('feedFilterRuleChannels').value = draft.channels.join(', ');
+    document.getElementById('feedFilterRuleKeywords').value = draft.titleKeywords.join(', ');
+    document.getElementById('feedFilterRulePattern').value = draft.titlePattern;
+    document.getElementById('feedFilterRuleMinDuration').value = draft.minDurationSeconds ? Math.round(draft.minDurationSeconds / 60) : '';
+    document.getElementById('feedFilterRuleMaxDuration').value = draft.maxDurationSeconds ? Math.round(draft.maxDurationSeconds / 60) : '';
+    document.getElementById('feedFilterRuleMinAge').value = draft.minAgeDays || '';
+    document.getElementById('feedFilterRuleMaxAge').value = draft.maxAgeDays || '';
+    updateDropdownSelection('feedFilterActionDropdown', draft.action);
+    updateDropdownSelection('feedFilterVideoTypeDropdown', draft.videoType);
+    updateDropdownSelection('feedFilterLiveStateDropdown', draft.liveState);
+    updateDropdownSelection('feedFilterWatchedDropdown', draft.watched);
+    renderFeedFilterCheckboxes('feedFilterScopeList', FEED_FILTER_SCOPES, draft.scopes, '');
+
+    let categories = [];
+    try {
+        const stored = await chrome.storage.local.get([SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]);
+        categories = normalizeCategories(stored[SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]);
+    } catch (_error) {
+        // Category conditions stay unavailable without stored categories.
+    }
+    const categoriesById = new Map(categories.map((category) => [category.id, category]));
+    renderFeedFilterCheckboxes(
+        'feedFilterCategoryList',
+        categories.map((category) => ({
+            id: category.id,
+            label: formatCategoryPath(category, categoriesById),
+            color: category.color
+        })),
+        draft.categoryIds,
+        'No categories yet. Create them in the Subscription Manager.'
+    );
+
+    form.style.display = 'block';
+    document.getElementById('feedFilterRuleName').focus();
+}
+
+function closeFeedFilterRuleForm() {
+    editingFeedFilterRuleId = '';
+    const form = document.getElementById('feedFilterRuleForm');
+    if (form) {
+        form.style.display = 'none';
+    }
+}
+
+/**
+ * Validate the rule form and save the rule.
+ */
+function saveFeedFilterRuleFromForm() {
+    const readValue = (id) => document.getElementById(id)?.value || '';
+    const readMinutes = (id) => Math.round((Number(readValue(id)) || 0) * 60);
+    const rule = normalizeFeedFilterRule({
+        id: editingFeedFilterRuleId || undefined,
+        name: readValue('feedFilterRuleName'),
+        action: document.getElementById('feedFilterActionDropdown')?.dataset.value,
+        scopes: readFeedFilterCheckboxes('feedFilterScopeList'),
+        channels: readValue('feedFilterRuleChannels'),
+        categoryIds: readFeedFilterCheckboxes('feedFilterCategoryList'),
+        titleKeywords: readValue('feedFilterRuleKeywords'),
+        titlePattern: readValue('feedFilterRulePattern'),
+        minDurationSeconds: readMinutes('feedFilterRuleMinDuration'),
+        maxDurationSeconds: readMinutes('feedFilterRuleMaxDuration'),
+        minAgeDays: readValue('feedFilterRuleMinAge'),
+        maxAgeDays: readValue('feedFilterRuleMaxAge'),
+        videoType: document.getElementById('feedFilterVideoTypeDropdown')?.dataset.value,
+        liveState: document.getElementById('feedFilterLiveStateDropdown')?.dataset.value,
+        watched: document.getElementById('feedFilterWatchedDropdown')?.dataset.value
+    });
+
+    const patternError = validateFeedFilterPattern(rule.titlePattern);
+    if (patternError) {
+        showStatus(`Invalid title regex: ${patternError}`, 'error');
+        return;
+    }
+    if (!hasFeedFilterConditions(rule)) {
+        showStatus('Set at least one condition for the rule.', 'error');
+        return;
+    }
+
+    const rules = normalizeFeedFilterRules(currentSettings.feedFilterRules);
+    const existingIndex = rules.findIndex((entry) => entry.id === rule.id);
+    if (existingIndex === -1 && rules.length >= MAX_FEED_FILTER_RULES) {
+        showStatus(`Up to ${MAX_FEED_FILTER_RULES} rules can be saved.`, 'error');
+        return;
+    }
+
+    updateFeedFilterRules((list) => (existingIndex === -1
+        ? [...list, rule]
+        : list.map((entry) => (entry.id === rule.id ? { ...rule, enabled: entry.enabled } : entry))));
+    closeFeedFilterRuleForm();
+}
+
+// Setup feed filter rule editor
+function setupFeedFilterRules() {
+    document.getElementById('feedFilterAddRule')?.addEventListener('click', () => {
+        openFeedFilterRuleForm(null);
+    });
+    document.getElementById('feedFilterSaveRule')?.addEventListener('click', saveFeedFilterRuleFromForm);
+    document.getElementById('feedFilterCancelRule')?.addEventListener('click', closeFeedFilterRuleForm);
+}
+
 /**
  * Setup show/hide toggle for sensitive token inputs.
  * @param {string} inputId
@@ -594,6 +954,13 @@ function loadSettings() {
         document.getElementById('shortSeek').value = currentSettings.shortSeek;
         document.getElementById('mediumSeek').value = currentSettings.mediumSeek;
         document.getElementById('longSeek').value = currentSettings.longSeek;
+        const resumeMinDurationInput = document.getElementById('resumeMinDurationMinutes');
+        if (resumeMinDurationInput) {
+            resumeMinDurationInput.value = currentSettings.resumeMinDurationMinutes;
+        }
+        Object.keys(WATCHED_THRESHOLD_ID_SUFFIXES).forEach((kind) => {
+            renderWatchedThresholdRule(kind, currentSettings.watchedThresholds[kind]);
+        });
         document.getElementById('shortSeekKey').value = formatSeekShortcutCombo(
             currentSettings.shortSeekKey,
             defaultSettings.shortSeekKey
@@ -627,6 +994,11 @@ function loadSettings() {
             document.getElementById('hideSubscribedToggle'),
             currentSettings.hideSubscribedVideosEnabled === true
         );
+        setToggleState(
+            document.getElementById('notSubscribedLabelsToggle'),
+            currentSettings.subscriptionLabelsNotSubscribedEnabled === true
+        );
+        renderFeedFilterRules();
         setToggleState(
             document.getElementById('autoSwitchToOriginalToggle'),
             currentSettings.autoSwitchToOriginal !== false
@@ -672,9 +1044,51 @@ function sanitizeSettings(settings) {
         sanitized.maxQuality,
         defaultSettings.maxQuality
     );
+    sanitized.watchedThresholds = normalizeWatchedThresholds(sanitized.watchedThresholds);
+    sanitized.feedFilterRules = normalizeFeedFilterRules(sanitized.feedFilterRules);
     return sanitized;
 }
 
+/**
+ * Show one watched-threshold rule; the value input edits percent or seconds by mode.
+ * @param {'long'|'shorts'} kind
+ * @param {{mode: string, percent: number, seconds: number}} rule
+ */
+function renderWatchedThresholdRule(kind, rule) {
+    const suffix = WATCHED_THRESHOLD_ID_SUFFIXES[kind];
+    updateDropdownSelection(`watched${suffix}ModeDropdown`, rule.mode);
+
+    const row = document.getElementById(`watched${suffix}ValueRow`);
+    const input = document.getElementById(`watched${suffix}Value`);
+    const unit = document.getElementById(`watched${suffix}Unit`);
+    if (!row || !input || !unit) {
+        return;
+    }
+
+    const usesSeconds = rule.mode === 'seconds';
+    row.style.display = usesSeconds || rule.mode === 'percent' ? '' : 'none';
+    input.max = usesSeconds ? '36000' : '100';
+    input.value = usesSeconds ? rule.seconds : rule.percent;
+    unit.textContent = usesSeconds ? 'sec' : '%';
+}
+
+/**
+ * Read watched-threshold values from the popup inputs.
+ * @returns {{long: object, shorts: object}}
+ */
+function parseWatchedThresholdsInput() {
+    const thresholds = normalizeWatchedThresholds(currentSettings.watchedThresholds);
+    Object.entries(WATCHED_THRESHOLD_ID_SUFFIXES).forEach(([kind, suffix]) => {
+        const rule = thresholds[kind];
+        if (rule.mode === 'seconds') {
+            rule.seconds = parseNumberInput(`watched${suffix}Value`, rule.seconds);
+        } else if (rule.mode === 'percent') {
+            rule.percent = parseNumberInput(`watched${suffix}Value`, rule.percent);
+        }
+    });
+    return normalizeWatchedThresholds(thresholds);
+}
+
 // Load watched history statistics (using content script approach)
 async function loadWatchedHistoryStats() {
     try {
@@ -772,6 +1186,11 @@ function saveSyncSettings(showMessage = false) {
         shortSeek: parseNumberInput('shortSeek', defaultSettings.shortSeek),
         mediumSeek: parseNumberInput('mediumSeek', defaultSettings.mediumSeek),
         longSeek: parseNumberInput('longSeek', defaultSettings.longSeek),
+        resumeMinDurationMinutes: Math.max(
+            0,
+            parseNumberInput('resumeMinDurationMinutes', defaultSettings.resumeMinDurationMinutes)
+        ),
+        watchedThresholds: parseWatchedThresholdsInput(),
         maxQuality: document.getElementById('maxQuality')?.value || defaultSettings.maxQuality,
         rotationShortcut: parseShortcutInput('rotationShortcut', defaultSettings.rotationShortcut),
         windowedFullscreenShortcut: parseShortcutInput('windowedFullscreenShortcut', defaultSettings.windowedFullscreenShortcut),
@@ -830,6 +1249,9 @@ function setupAutoSave() {
         'shortSeek',
         'mediumSeek',
         'longSeek',
+        'resumeMinDurationMinutes',
+        'watchedLongValue',
+        'watchedShortsValue',
         'shortSeekKey',
         'mediumSeekKey',
         'longSeekKey',
@@ -1099,6 +1521,109 @@ function getUnifiedAutoSyncSettings() {
     return { autoEnabled, intervalMinutes };
 }
 
+/**
+ * Read the sync provider selected in the popup.
+ * @returns {string}
+ */
+function getSelectedSyncProvider() {
+    const providerSelect = document.getElementById('syncProvider');
+    const value = typeof providerSelect?.value === 'string' ? providerSelect.value : '';
+    return SYNC_PROVIDER_LABELS[value] ? value : 'cloudflare';
+}
+
+/**
+ * Human-readable name of the selected sync provider for status messages.
+ * @returns {string}
+ */
+function getSyncProviderLabel() {
+    return SYNC_PROVIDER_LABELS[getSelectedSyncProvider()];
+}
+
+/**
+ * Show only the settings of the selected provider.
+ * WebDAV and local files have no server side to hold key material, so encryption is hidden there.
+ * @param {string} provider
+ */
+function renderSyncProviderFields(provider) {
+    document.querySelectorAll('[data-sync-provider]').forEach((group) => {
+        group.style.display = group.dataset.syncProvider === provider ? '' : 'none';
+    });
+
+    const encryptionSection = document.getElementById('syncEncryptionSection');
+    if (encryptionSection) {
+        encryptionSection.style.display = provider === 'webdav' || provider === 'file' ? 'none' : '';
+    }
+}
+
+/**
+ * Read WebDAV and REST settings from their inputs.
+ * @returns {{webdav: {url: string, username: string, password: string}, rest: {baseUrl: string, apiToken: string, routes: Record<string, string>}}}
+ */
+function readSyncProviderConfigInputs() {
+    const readValue = (id, trim = true) => {
+        const value = document.getElementById(id)?.value;
+        if (typeof value !== 'string') {
+            return '';
+        }
+        return trim ? value.trim() : value;
+    };
+
+    const routes = {};
+    Object.entries(REST_ROUTE_INPUT_IDS).forEach(([name, id]) => {
+        routes[name] = readValue(id);
+    });
+
+    return {
+        webdav: {
+            url: readValue('webdavSyncUrl'),
+            username: readValue('webdavSyncUsername'),
+            password: readValue('webdavSyncPassword', false)
+        },
+        rest: {
+            baseUrl: readValue('restSyncBaseUrl'),
+            apiToken: readValue('restSyncToken'),
+            routes
+        }
+    };
+}
+
+/**
+ * Fill WebDAV and REST inputs from stored provider settings.
+ * @param {any} config
+ */
+function renderSyncProviderConfigInputs(config) {
+    const source = config && typeof config === 'object' ? config : {};
+    const setValue = (id, value) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.value = typeof value === 'string' ? value : '';
+        }
+    };
+
+    setValue('webdavSyncUrl', source.webdav?.url);
+    setValue('webdavSyncUsername', source.webdav?.username);
+    setValue('webdavSyncPassword', source.webdav?.password);
+    setValue('restSyncBaseUrl', source.rest?.baseUrl);
+    setValue('restSyncToken', source.rest?.apiToken);
+    Object.entries(REST_ROUTE_INPUT_IDS).forEach(([name, id]) => {
+        setValue(id, source.rest?.routes?.[name]);
+    });
+}
+
+/**
+ * Ensure the selected provider has a target before starting a sync action.
+ * WebDAV and REST settings are validated by the background.
+ * @param {{provider: string, endpointUrl: string}} settings
+ */
+function assertSyncTargetConfigured({ provider, endpointUrl }) {
+    if (provider === 'cloudflare' && !endpointUrl) {
+        throw new Error('Cloudflare Worker URL is required');
+    }
+    if (provider === 'file') {
+        throw new Error('Use "Sync with File" in the sync settings for the local file provider');
+    }
+}
+
 /**
  * Load Cloudflare sync settings from local storage.
  */
@@ -1110,9 +1635,18 @@ async function loadCloudflareSyncSettings() {
         CLOUDFLARE_STORAGE_KEYS.INTERVAL_MINUTES,
         SUBSCRIPTION_STORAGE_KEYS.API_TOKEN,
         SUBSCRIPTION_STORAGE_KEYS.AUTO_ENABLED,
-        SUBSCRIPTION_STORAGE_KEYS.INTERVAL_MINUTES
+        SUBSCRIPTION_STORAGE_KEYS.INTERVAL_MINUTES,
+        SYNC_PROVIDER_STORAGE_KEYS.PROVIDER,
+        SYNC_PROVIDER_STORAGE_KEYS.CONFIG
     ]);
 
+    const provider = SYNC_PROVIDER_LABELS[result[SYNC_PROVIDER_STORAGE_KEYS.PROVIDER]]
+        ? result[SYNC_PROVIDER_STORAGE_KEYS.PROVIDER]
+        : 'cloudflare';
+    updateDropdownSelection('syncProviderDropdown', provider);
+    renderSyncProviderFields(provider);
+    renderSyncProviderConfigInputs(result[SYNC_PROVIDER_STORAGE_KEYS.CONFIG]);
+
     const endpointInput = document.getElementById('cloudflareSyncEndpoint');
     const tokenInput = document.getElementById('cloudflareSyncToken');
     const intervalSelect = document.getElementById('cloudflareSyncInterval');
@@ -1193,8 +1727,8 @@ async function loadSubscriptionSyncSettings() {
 }
 
 /**
- * Persist Cloudflare sync settings from inputs.
- * @returns {Promise<{ endpointUrl: string, apiToken: string, autoEnabled: boolean, intervalMinutes: number }>}
+ * Persist Cloudflare sync settings and the selected provider from inputs.
+ * @returns {Promise<{ provider: string, endpointUrl: string, apiToken: string, autoEnabled: boolean, intervalMinutes: number }>}
  */
 async function saveCloudflareSyncSettings() {
     const endpointInput = document.getElementById('cloudflareSyncEndpoint');
@@ -1225,23 +1759,26 @@ async function saveCloudflareSyncSettings() {
         [SUBSCRIPTION_STORAGE_KEYS.INTERVAL_MINUTES]: intervalMinutes
     });
 
+    const provider = getSelectedSyncProvider();
     const updateResponse = await sendRuntimeMessage({
         type: 'UPDATE_CLOUDFLARE_SYNC_CONFIG',
         endpointUrl,
         apiToken,
         autoEnabled,
-        intervalMinutes
+        intervalMinutes,
+        provider,
+        providerConfig: readSyncProviderConfigInputs()
     }, 20000);
 
     if (!updateResponse?.success) {
         throw new Error(updateResponse?.error || 'Failed to update Cloudflare sync config');
     }
 
-    return { endpointUrl, apiToken, autoEnabled, intervalMinutes };
+    return { provider, endpointUrl, apiToken, autoEnabled, intervalMinutes };
 }
 /**
  * Persist subscription sync settings from inputs.
- * @returns {Promise<{ endpointUrl: string, apiToken: string, autoEnabled: boolean, intervalMinutes: number }>}
+ * @returns {Promise<{ provider: string, endpointUrl: string, apiToken: string, autoEnabled: boolean, intervalMinutes: number }>}
  */
 async function saveSubscriptionSyncSettings() {
     const endpointInput = document.getElementById('subscriptionSyncEndpoint');
@@ -1282,7 +1819,7 @@ async function saveSubscriptionSyncSettings() {
         throw new Error(updateResponse?.error || 'Failed to update subscription sync config');
     }
 
-    return { endpointUrl, apiToken, autoEnabled, intervalMinutes };
+    return { provider: getSelectedSyncProvider(), endpointUrl, apiToken, autoEnabled, intervalMinutes };
 }
 
 /**
@@ -1311,6 +1848,7 @@ function renderCloudflareSyncStatus(status = {}) {
     const lastSyncEl = document.getElementById('cloudflareLastSyncAt');
     const infoEl = document.getElementById('cloudflareLastSyncInfo');
     const primaryAccountEl = document.getElementById('cloudflarePrimaryAccount');
+    const encryptionEl = document.getElementById('syncEncryptionState');
     cloudflareAutoEnabled = status.autoEnabled !== false;
     cloudflareLastSyncAt = Number(status.lastAt) || 0;
 
@@ -1322,6 +1860,10 @@ function renderCloudflareSyncStatus(status = {}) {
         primaryAccountEl.textContent = formatAccountKey(status.primaryAccountKey);
     }
 
+    if (encryptionEl && typeof status.encryptionEnabled === 'boolean') {
+        encryptionEl.textContent = status.encryptionEnabled ? 'On' : 'Off';
+    }
+
     if (lastSyncEl) {
         const timestamp = cloudflareLastSyncAt;
         lastSyncEl.textContent = timestamp > 0
@@ -1483,6 +2025,16 @@ function setupCloudflareSyncControls() {
 
     endpointInput?.addEventListener('blur', saveOnBlur);
     tokenInput?.addEventListener('blur', saveTokenOnBlur);
+    [
+        'webdavSyncUrl',
+        'webdavSyncUsername',
+        'webdavSyncPassword',
+        'restSyncBaseUrl',
+        'restSyncToken',
+        ...Object.values(REST_ROUTE_INPUT_IDS)
+    ].forEach((id) => {
+        document.getElementById(id)?.addEventListener('blur', saveOnBlur);
+    });
 }
 /**
  * Setup subscription auto-sync controls.
@@ -1602,7 +2154,12 @@ function setupSubscriptionAutomationControls() {
             try {
                 const response = await chrome.runtime.sendMessage({ type: 'RUN_SUBSCRIPTION_AUTOMATION' });
                 if (response?.success) {
-                    showStatus(`Added ${response.videosCount || 0} videos, ${response.shortsCount || 0} shorts`, 'success');
+                    const failedCount = Number(response.failedCount) || 0;
+                    const summary = `Added ${response.videosCount || 0} videos, ${response.shortsCount || 0} shorts`;
+                    showStatus(
+                        failedCount > 0 ? `${summary} (${failedCount} failed)` : summary,
+                        failedCount > 0 ? 'info' : 'success'
+                    );
                 } else {
                     showStatus(response?.error || 'Automation failed', 'error');
                 }
@@ -1625,14 +2182,17 @@ async function saveAutomationSettings() {
     const videosModeDropdown = document.getElementById('automationVideosModeDropdown');
     const videosPlaylistDropdown = document.getElementById('automationVideosPlaylistDropdown');
     const splitCountInput = document.getElementById('automationSplitCount');
+    const readLabel = (dropdown) => dropdown?.querySelector('.ytc-dropdown-label')?.textContent?.trim() || 'Watch Later';
     
     const settings = {
         [AUTOMATION_STORAGE_KEYS.ENABLED]: toggle?.classList.contains('active') || false,
         [AUTOMATION_STORAGE_KEYS.TIME]: timeInput?.value || '19:30',
         [AUTOMATION_STORAGE_KEYS.LOOKBACK]: lookbackDropdown?.dataset.value || 'yesterday',
         [AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST]: shortsPlaylistDropdown?.dataset.value || 'WL',
+        [AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST_TITLE]: readLabel(shortsPlaylistDropdown),
         [AUTOMATION_STORAGE_KEYS.VIDEOS_MODE]: videosModeDropdown?.dataset.value || 'single',
         [AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST]: videosPlaylistDropdown?.dataset.value || 'WL',
+        [AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST_TITLE]: readLabel(videosPlaylistDropdown),
         [AUTOMATION_STORAGE_KEYS.SPLIT_COUNT]: parseInt(splitCountInput?.value) || 20
     };
     
@@ -1641,14 +2201,79 @@ async function saveAutomationSettings() {
     chrome.runtime.sendMessage({ type: 'SCHEDULE_AUTOMATION' }).catch(() => {});
 }
 
+/**
+ * Show provider-specific placeholders for the auto-categorize fields.
+ * @param {string} provider
+ */
+function renderAutoCategorizePlaceholders(provider) {
+    const placeholders = AUTO_CATEGORIZE_PLACEHOLDERS[provider] || AUTO_CATEGORIZE_PLACEHOLDERS.gemini;
+    [['autoCategorizeEndpoint', 'endpoint'], ['autoCategorizeModel', 'model'], ['autoCategorizeApiKey', 'apiKey']].forEach(([id, field]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.placeholder = placeholders[field];
+        }
+    });
+}
+
+/**
+ * Load auto-categorize model settings.
+ */
+async function loadAutoCategorizeSettings() {
+    const result = await chrome.storage.local.get(Object.values(AUTO_CATEGORIZE_STORAGE_KEYS));
+    const provider = AUTO_CATEGORIZE_PLACEHOLDERS[result[AUTO_CATEGORIZE_STORAGE_KEYS.PROVIDER]]
+        ? result[AUTO_CATEGORIZE_STORAGE_KEYS.PROVIDER]
+        : 'gemini';
+
+    updateDropdownSelection('autoCategorizeProviderDropdown', provider);
+    renderAutoCategorizePlaceholders(provider);
+    [
+        ['autoCategorizeEndpoint', AUTO_CATEGORIZE_STORAGE_KEYS.ENDPOINT],
+        ['autoCategorizeModel', AUTO_CATEGORIZE_STORAGE_KEYS.MODEL],
+        ['autoCategorizeApiKey', AUTO_CATEGORIZE_STORAGE_KEYS.API_KEY]
+    ].forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.value = typeof result[key] === 'string' ? result[key] : '';
+        }
+    });
+}
+
+/**
+ * Save auto-categorize model settings.
+ */
+async function saveAutoCategorizeSettings() {
+    const readValue = (id) => document.getElementById(id)?.value?.trim() || '';
+    await chrome.storage.local.set({
+        [AUTO_CATEGORIZE_STORAGE_KEYS.PROVIDER]: document.getElementById('autoCategorizeProviderDropdown')?.dataset.value || 'gemini',
+        [AUTO_CATEGORIZE_STORAGE_KEYS.ENDPOINT]: readValue('autoCategorizeEndpoint'),
+        [AUTO_CATEGORIZE_STORAGE_KEYS.MODEL]: readValue('autoCategorizeModel'),
+        [AUTO_CATEGORIZE_STORAGE_KEYS.API_KEY]: readValue('autoCategorizeApiKey')
+    });
+}
+
+/**
+ * Setup auto-categorize settings inputs.
+ */
+function setupAutoCategorizeControls() {
+    ['autoCategorizeEndpoint', 'autoCategorizeModel', 'autoCategorizeApiKey'].forEach((id) => {
+        document.getElementById(id)?.addEventListener('blur', () => {
+            saveAutoCategorizeSettings().catch((error) => {
+                showStatus(error?.message || 'Failed to save auto-categorize settings', 'error');
+            });
+        });
+    });
+}
+
 async function loadAutomationSettings() {
     const result = await chrome.storage.local.get([
         AUTOMATION_STORAGE_KEYS.ENABLED,
         AUTOMATION_STORAGE_KEYS.TIME,
         AUTOMATION_STORAGE_KEYS.LOOKBACK,
         AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST,
+        AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST_TITLE,
         AUTOMATION_STORAGE_KEYS.VIDEOS_MODE,
         AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST,
+        AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST_TITLE,
         AUTOMATION_STORAGE_KEYS.SPLIT_COUNT
     ]);
     
@@ -1682,7 +2307,10 @@ async function loadAutomationSettings() {
     }
     
     if (shortsPlaylistDropdown) {
-        shortsPlaylistDropdown.dataset.value = result[AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST] || 'WL';
+        renderAutomationPlaylistOptions(shortsPlaylistDropdown, [], {
+            id: result[AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST] || 'WL',
+            title: result[AUTOMATION_STORAGE_KEYS.SHORTS_PLAYLIST_TITLE] || 'Watch Later'
+        });
     }
     
     if (videosModeDropdown) {
@@ -1695,17 +2323,91 @@ async function loadAutomationSettings() {
             videosModeDropdown.querySelector('.ytc-dropdown-label').textContent = option.textContent;
         }
         
-        if (videosPlaylistRow) videosModeDropdown.style.display = modeValue === 'split' ? 'none' : 'flex';
+        if (videosPlaylistRow) videosPlaylistRow.style.display = modeValue === 'split' ? 'none' : 'flex';
         if (splitCountRow) splitCountRow.style.display = modeValue === 'split' ? 'flex' : 'none';
     }
     
     if (videosPlaylistDropdown) {
-        videosPlaylistDropdown.dataset.value = result[AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST] || 'WL';
+        renderAutomationPlaylistOptions(videosPlaylistDropdown, [], {
+            id: result[AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST] || 'WL',
+            title: result[AUTOMATION_STORAGE_KEYS.VIDEOS_PLAYLIST_TITLE] || 'Watch Later'
+        });
     }
     
     if (splitCountInput) {
         splitCountInput.value = result[AUTOMATION_STORAGE_KEYS.SPLIT_COUNT] || 20;
     }
+    
+    loadAutomationPlaylistOptions().catch(() => {});
+}
+
+/**
+ * Rebuild one automation playlist dropdown from account playlists.
+ * @param {HTMLElement} dropdown
+ * @param {Array<{id: string, title: string}>} playlists
+ * @param {{id: string, title: string}} selected
+ */
+function renderAutomationPlaylistOptions(dropdown, playlists, selected) {
+    const menu = dropdown.querySelector('.ytc-dropdown-menu');
+    const label = dropdown.querySelector('.ytc-dropdown-label');
+    if (!menu || !label) {
+        return;
+    }
+
+    const options = [{ id: 'WL', title: 'Watch Later' }, ...playlists];
+    if (selected?.id && !options.some((playlist) => playlist.id === selected.id)) {
+        options.push({ id: selected.id, title: selected.title || selected.id });
+    }
+
+    menu.innerHTML = '';
+    options.forEach((playlist) => {
+        const option = document.createElement('div');
+        option.className = 'ytc-dropdown-option';
+        option.dataset.value = playlist.id;
+        option.textContent = playlist.title;
+        option.classList.toggle('selected', playlist.id === selected?.id);
+        option.addEventListener('click', async (event) => {
+            event.stopPropagation();
+            menu.querySelectorAll('.ytc-dropdown-option').forEach((item) => item.classList.remove('selected'));
+            option.classList.add('selected');
+            label.textContent = playlist.title;
+            dropdown.dataset.value = playlist.id;
+            closeAllDropdowns();
+            await saveAutomationSettings();
+        });
+        menu.appendChild(option);
+    });
+
+    const selectedOption = options.find((playlist) => playlist.id === selected?.id) || options[0];
+    dropdown.dataset.value = selectedOption.id;
+    label.textContent = selectedOption.title;
+}
+
+/**
+ * Fill automation playlist dropdowns with playlists from the open YouTube account.
+ */
+async function loadAutomationPlaylistOptions() {
+    const shortsPlaylistDropdown = document.getElementById('automationShortsPlaylistDropdown');
+    const videosPlaylistDropdown = document.getElementById('automationVideosPlaylistDropdown');
+    if (!shortsPlaylistDropdown && !videosPlaylistDropdown) {
+        return;
+    }
+
+    const response = await sendRuntimeMessage({ type: 'GET_AUTOMATION_PLAYLISTS' }, 30000);
+    if (!response?.success) {
+        return;
+    }
+
+    const playlists = Array.isArray(response.playlists) ? response.playlists : [];
+    [shortsPlaylistDropdown, videosPlaylistDropdown].forEach((dropdown) => {
+        if (!dropdown) {
+            return;
+        }
+        renderAutomationPlaylistOptions(dropdown, playlists, {
+            id: dropdown.dataset.value || 'WL',
+            title: dropdown.querySelector('.ytc-dropdown-label')?.textContent || ''
+        });
+    });
 }
 
 async function loadAutomationStats() {
@@ -1714,6 +2416,7 @@ async function loadAutomationStats() {
         AUTOMATION_STORAGE_KEYS.LAST_VIDEOS_COUNT,
         AUTOMATION_STORAGE_KEYS.LAST_SHORTS_COUNT,
         AUTOMATION_STORAGE_KEYS.LAST_STATUS,
+        AUTOMATION_STORAGE_KEYS.LAST_PLAYLIST_RESULTS,
         AUTOMATION_STORAGE_KEYS.TIME
     ]);
     
@@ -1765,6 +2468,8 @@ async function loadAutomationStats() {
         shortsEl.textContent = result[AUTOMATION_STORAGE_KEYS.LAST_SHORTS_COUNT] || 0;
     }
     
+    renderAutomationPlaylistResults(result[AUTOMATION_STORAGE_KEYS.LAST_PLAYLIST_RESULTS]);
+    
     if (nextRunEl) {
         const now = new Date();
         const timeStr = result[AUTOMATION_STORAGE_KEYS.TIME] || '19:30';
@@ -1783,6 +2488,42 @@ async function loadAutomationStats() {
     }
 }
 
+/**
+ * Render per-playlist success and failure counts from the last automation run.
+ * @param {Array<{kind: string, title: string, requestedCount: number, addedCount: number, failedCount: number, error: string}>} playlistResults
+ */
+function renderAutomationPlaylistResults(playlistResults) {
+    const container = document.getElementById('automationPlaylistResults');
+    if (!container) {
+        return;
+    }
+
+    const entries = Array.isArray(playlistResults) ? playlistResults : [];
+    container.innerHTML = '';
+    container.style.display = entries.length > 0 ? 'flex' : 'none';
+
+    entries.forEach((entry) => {
+        const failedCount = Number(entry?.failedCount) || 0;
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; font-size: 13px; color: var(--ytc-v2-muted);';
+        row.title = entry?.error || '';
+
+        const name = document.createElement('span');
+        name.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        name.textContent = `${entry?.kind === 'shorts' ? 'Shorts' : 'Videos'} → ${entry?.title || entry?.playlistId || 'Playlist'}`;
+
+        const counts = document.createElement('span');
+        counts.style.cssText = `flex-shrink: 0; font-weight: 600; color: ${failedCount > 0 ? 'var(--ytc-v2-red)' : 'var(--ytc-v2-green)'};`;
+        counts.textContent = failedCount > 0
+            ? `${Number(entry?.addedCount) || 0}/${Number(entry?.requestedCount) || 0} · ${failedCount} failed`
+            : `${Number(entry?.addedCount) || 0}/${Number(entry?.requestedCount) || 0}`;
+
+        row.appendChild(name);
+        row.appendChild(counts);
+        container.appendChild(row);
+    });
+}
+
 function renderAutomationNextRunCountdown() {
     const nextRunEl = document.getElementById('automationNextRun');
     if (!nextRunEl) return;
@@ -1815,20 +2556,712 @@ function renderAutomationNextRunCountdown() {
 }
 
 /**
- * Initialize tab switching for Settings modal.
+ * Summarize the rules of a smart playlist for the list.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @returns {string}
  */
-function initializeSettingsModalTabs() {
-    const modal = document.getElementById('popupSettingsModal');
-    if (!modal || modal.dataset.tabsInitialized === 'true') {
+function describeSmartPlaylist(playlist) {
+    const parts = [];
+    const sourceCount = playlist.categoryIds.length + playlist.channelIds.length;
+    parts.push(`${sourceCount} source${sourceCount === 1 ? '' : 's'}`);
+    if (playlist.maxAgeDays) parts.push(`last ${playlist.maxAgeDays} days`);
+    if (playlist.minDurationSeconds || playlist.maxDurationSeconds) {
+        parts.push(`${Math.round(playlist.minDurationSeconds / 60)}-${playlist.maxDurationSeconds ? Math.round(playlist.maxDurationSeconds / 60) : '∞'} min`);
+    }
+    if (playlist.excludeWatched) parts.push('unwatched');
+    if (playlist.excludeShorts) parts.push('no Shorts');
+    parts.push(`every ${playlist.intervalHours}h`);
+    return parts.join(' · ');
+}
+
+/**
+ * Render saved smart playlists with their last run result.
+ */
+async function renderSmartPlaylists() {
+    const container = document.getElementById('smartPlaylistList');
+    if (!container) {
         return;
     }
-    modal.dataset.tabsInitialized = 'true';
 
-    modal.addEventListener('click', (event) => {
-        const tab = event.target.closest('.ytc-v2-settings-tab');
-        if (!tab) {
-            return;
-        }
+    const stored = await chrome.storage.local.get([SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS, SMART_PLAYLIST_STORAGE_KEYS.STATE]);
+    const playlists = normalizeSmartPlaylists(stored[SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS]);
+    const state = stored[SMART_PLAYLIST_STORAGE_KEYS.STATE] || {};
+    container.innerHTML = '';
+    container.style.display = playlists.length > 0 ? 'flex' : 'none';
+
+    playlists.forEach((playlist) => {
+        const lastRun = Array.isArray(state[playlist.id]?.log) ? state[playlist.id].log[0] : null;
+        const row = document.createElement('div');
+        row.style.cssText = `display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--ytc-v2-muted);${playlist.enabled ? '' : ' opacity: 0.5;'}`;
+
+        const label = document.createElement('span');
+        label.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        const summary = describeSmartPlaylist(playlist);
+        label.textContent = `${playlist.name || summary} → ${playlist.targetPlaylistTitle || playlist.targetPlaylistId}`;
+        label.title = lastRun
+            ? `${summary}\nLast run: ${formatSmartPlaylistRun(lastRun)}`
+            : summary;
+
+        row.appendChild(label);
+        [
+            ['Run', (button) => runSmartPlaylistNow(playlist, button)],
+            ['Log', () => renderSmartPlaylistLog(playlist, state[playlist.id]?.log)],
+            [playlist.enabled ? 'Disable' : 'Enable', () => updateSmartPlaylists((list) => list.map((entry) => (
+                entry.id === playlist.id ? { ...entry, enabled: !entry.enabled } : entry
+            )))],
+            ['Edit', () => openSmartPlaylistForm(playlist)],
+            ['Delete', () => updateSmartPlaylists((list) => list.filter((entry) => entry.id !== playlist.id))]
+        ].forEach(([text, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.style.cssText = 'flex-shrink: 0; padding: 4px 8px; font-size: 11px;';
+            button.textContent = text;
+            button.addEventListener('click', () => handler(button));
+            row.appendChild(button);
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Format one smart playlist run log entry.
+ * @param {{at: number, status: string, matchedCount: number, addedCount: number, removedCount: number, failedCount: number, failedChannelCount?: number, skippedChannelCount?: number, error: string}} entry
+ * @returns {string}
+ */
+function formatSmartPlaylistRun(entry) {
+    const when = new Date(entry.at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    if (entry.status === 'failed') {
+        return `${when} · failed: ${entry.error || 'unknown error'}`;
+    }
+    const parts = [`${entry.matchedCount} matched`, `+${entry.addedCount}`, `-${entry.removedCount}`];
+    if (entry.failedCount > 0) parts.push(`${entry.failedCount} failed`);
+    if (entry.failedChannelCount > 0) parts.push(`${entry.failedChannelCount} channels unreadable`);
+    if (entry.skippedChannelCount > 0) {
+        parts.push(`${entry.skippedChannelCount} channels skipped (limit ${MAX_SMART_PLAYLIST_CHANNELS} per run)`);
+    }
+    return `${when} · ${parts.join(' · ')}`;
+}
+
+/**
+ * Show the run log of one smart playlist, or hide it when it is already shown.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @param {Array<object>|undefined} log
+ */
+function renderSmartPlaylistLog(playlist, log) {
+    const container = document.getElementById('smartPlaylistLog');
+    if (!container) {
+        return;
+    }
+    if (container.style.display !== 'none' && container.dataset.playlistId === playlist.id) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const entries = Array.isArray(log) ? log : [];
+    container.dataset.playlistId = playlist.id;
+    container.innerHTML = '';
+    container.style.display = 'flex';
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 12px; font-weight: 600; color: var(--ytc-v2-text);';
+    title.textContent = `Run log: ${playlist.name || playlist.targetPlaylistTitle || playlist.targetPlaylistId}`;
+    container.appendChild(title);
+
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.style.cssText = 'font-size: 12px; color: var(--ytc-v2-muted);';
+        empty.textContent = 'Not run yet.';
+        container.appendChild(empty);
+        return;
+    }
+    entries.forEach((entry) => {
+        const row = document.createElement('div');
+        const color = entry.status === 'failed' ? 'var(--ytc-v2-red)' : entry.status === 'partial' ? 'var(--ytc-v2-amber)' : 'var(--ytc-v2-muted)';
+        row.style.cssText = `font-size: 12px; color: ${color};`;
+        row.textContent = `${entry.trigger === 'manual' ? 'Manual' : 'Scheduled'} · ${formatSmartPlaylistRun(entry)}`;
+        row.title = entry.error || '';
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Apply a change to the smart playlist list, save it and update the schedule.
+ * @param {(playlists: Array<object>) => Array<object>} update
+ */
+async function updateSmartPlaylists(update) {
+    const stored = await chrome.storage.local.get([SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS]);
+    const playlists = update(normalizeSmartPlaylists(stored[SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS]));
+    await chrome.storage.local.set({ [SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS]: playlists });
+    await sendRuntimeMessage({ type: 'SCHEDULE_SMART_PLAYLISTS' }).catch(() => {});
+    await renderSmartPlaylists();
+}
+
+/**
+ * Run one smart playlist now and report the result.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @param {HTMLButtonElement} button
+ */
+async function runSmartPlaylistNow(playlist, button) {
+    button.disabled = true;
+    button.textContent = 'Running...';
+    showStatus('Updating smart playlist...', 'info');
+    try {
+        const response = await sendRuntimeMessage({ type: 'RUN_SMART_PLAYLIST', id: playlist.id }, 6 * 60 * 1000);
+        if (response?.success) {
+            showStatus(`Smart playlist updated: ${formatSmartPlaylistRun(response.logEntry)}`, response.logEntry.status === 'partial' ? 'info' : 'success');
+        } else {
+            showStatus(response?.error || 'Smart playlist run failed', 'error');
+        }
+    } catch (error) {
+        showStatus(error?.message || 'Smart playlist run failed', 'error');
+    } finally {
+        await renderSmartPlaylists();
+    }
+}
+
+/**
+ * Fill a playlist dropdown, keeping the current choice when it is not listed.
+ * @param {string} dropdownId
+ * @param {Array<{id: string, title: string}>} playlists
+ * @param {{id: string, title: string}} selected
+ */
+function renderPlaylistDropdownOptions(dropdownId, playlists, selected) {
+    const dropdown = document.getElementById(dropdownId);
+    const menu = dropdown?.querySelector('.ytc-dropdown-menu');
+    const label = dropdown?.querySelector('.ytc-dropdown-label');
+    if (!menu || !label) {
+        return;
+    }
+
+    const options = [...playlists];
+    if (selected.id && !options.some((playlist) => playlist.id === selected.id)) {
+        options.push({ id: selected.id, title: selected.title || selected.id });
+    }
+
+    menu.innerHTML = '';
+    options.forEach((playlist) => {
+        const option = document.createElement('div');
+        option.className = 'ytc-dropdown-option';
+        option.dataset.value = playlist.id;
+        option.textContent = playlist.title;
+        option.classList.toggle('selected', playlist.id === selected.id);
+        option.addEventListener('click', (event) => {
+            event.stopPropagation();
+            menu.querySelectorAll('.ytc-dropdown-option').forEach((item) => item.classList.remove('selected'));
+            option.classList.add('selected');
+            label.textContent = playlist.title;
+            dropdown.dataset.value = playlist.id;
+            closeAllDropdowns();
+        });
+        menu.appendChild(option);
+    });
+
+    const selectedOption = options.find((playlist) => playlist.id === selected.id);
+    dropdown.dataset.value = selectedOption?.id || '';
+    label.textContent = selectedOption?.title || (options.length > 0 ? 'Choose playlist' : 'Open YouTube to load playlists');
+}
+
+/**
+ * Show the smart playlist form, filled with a saved one or blank for a new one.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>|null} playlist
+ */
+async function openSmartPlaylistForm(playlist) {
+    const form = document.getElementById('smartPlaylistForm');
+    if (!form) {
+        return;
+    }
+    const draft = playlist || normalizeSmartPlaylist({});
+    editingSmartPlaylistId = playlist ? playlist.id : '';
+
+    document.getElementById('smartPlaylistName').value = draft.name;
+    document.getElementById('smartPlaylistChannels').value = draft.channelIds.join(', ');
+    document.getElementById('smartPlaylistMaxAge').value = draft.maxAgeDays || '';
+    document.getElementById('smartPlaylistMinDuration').value = draft.minDurationSeconds ? Math.round(draft.minDurationSeconds / 60) : '';
+    document.getElementById('smartPlaylistMaxDuration').value = draft.maxDurationSeconds ? Math.round(draft.maxDurationSeconds / 60) : '';
+    document.getElementById('smartPlaylistMaxVideos').value = draft.maxVideos;
+    document.getElementById('smartPlaylistExcludeWatched').checked = draft.excludeWatched;
+    document.getElementById('smartPlaylistExcludeShorts').checked = draft.excludeShorts;
+    document.getElementById('smartPlaylistPruneWatched').checked = draft.pruneWatched;
+    document.getElementById('smartPlaylistPruneUnmatched').checked = draft.pruneUnmatched;
+    updateDropdownSelection('smartPlaylistIntervalDropdown', String(draft.intervalHours));
+    const selected = { id: draft.targetPlaylistId, title: draft.targetPlaylistTitle };
+    renderPlaylistDropdownOptions('smartPlaylistTargetDropdown', ownedPlaylistOptions, selected);
+
+    let categories = [];
+    try {
+        const stored = await chrome.storage.local.get([SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]);
+        categories = normalizeCategories(stored[SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]);
+    } catch (_error) {
+        // Category sources stay unavailable without stored categories.
+    }
+    const categoriesById = new Map(categories.map((category) => [category.id, category]));
+    renderFeedFilterCheckboxes(
+        'smartPlaylistCategoryList',
+        categories.map((category) => ({
+            id: category.id,
+            label: formatCategoryPath(category, categoriesById),
+            color: category.color
+        })),
+        draft.categoryIds,
+        'No categories yet. Create them in the Subscription Manager.'
+    );
+
+    form.style.display = 'block';
+    document.getElementById('smartPlaylistName').focus();
+
+    if (ownedPlaylistOptions.length === 0 && await loadOwnedPlaylistOptions()) {
+        const dropdown = document.getElementById('smartPlaylistTargetDropdown');
+        renderPlaylistDropdownOptions('smartPlaylistTargetDropdown', ownedPlaylistOptions, {
+            id: dropdown?.dataset.value || selected.id,
+            title: selected.title
+        });
+    }
+}
+
+/**
+ * Load the playlists of the signed-in account through a YouTube tab.
+ * @returns {Promise<boolean>} true when the list was loaded
+ */
+async function loadOwnedPlaylistOptions() {
+    const response = await sendRuntimeMessage({ type: 'GET_AUTOMATION_PLAYLISTS' }, 30000).catch(() => null);
+    if (!response?.success || !Array.isArray(response.playlists)) {
+        return false;
+    }
+    ownedPlaylistOptions = response.playlists;
+    return true;
+}
+
+function closeSmartPlaylistForm() {
+    editingSmartPlaylistId = '';
+    const form = document.getElementById('smartPlaylistForm');
+    if (form) {
+        form.style.display = 'none';
+    }
+}
+
+/**
+ * Validate the smart playlist form and save it.
+ */
+async function saveSmartPlaylistFromForm() {
+    const readValue = (id) => document.getElementById(id)?.value || '';
+    const readMinutes = (id) => Math.round((Number(readValue(id)) || 0) * 60);
+    const readChecked = (id) => document.getElementById(id)?.checked === true;
+    const targetDropdown = document.getElementById('smartPlaylistTargetDropdown');
+    const targetPlaylistId = targetDropdown?.dataset.value || '';
+    const playlist = normalizeSmartPlaylist({
+        id: editingSmartPlaylistId || undefined,
+        name: readValue('smartPlaylistName'),
+        targetPlaylistId,
+        targetPlaylistTitle: targetPlaylistId ? targetDropdown.querySelector('.ytc-dropdown-label')?.textContent : '',
+        categoryIds: readFeedFilterCheckboxes('smartPlaylistCategoryList'),
+        channelIds: readValue('smartPlaylistChannels'),
+        maxAgeDays: readValue('smartPlaylistMaxAge'),
+        minDurationSeconds: readMinutes('smartPlaylistMinDuration'),
+        maxDurationSeconds: readMinutes('smartPlaylistMaxDuration'),
+        excludeWatched: readChecked('smartPlaylistExcludeWatched'),
+        excludeShorts: readChecked('smartPlaylistExcludeShorts'),
+        pruneWatched: readChecked('smartPlaylistPruneWatched'),
+        pruneUnmatched: readChecked('smartPlaylistPruneUnmatched'),
+        maxVideos: readValue('smartPlaylistMaxVideos'),
+        intervalHours: document.getElementById('smartPlaylistIntervalDropdown')?.dataset.value
+    });
+
+    const invalidReason = validateSmartPlaylist(playlist);
+    if (invalidReason) {
+        showStatus(invalidReason, 'error');
+        return;
+    }
+
+    const stored = await chrome.storage.local.get([SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS]);
+    const playlists = normalizeSmartPlaylists(stored[SMART_PLAYLIST_STORAGE_KEYS.PLAYLISTS]);
+    const existingIndex = playlists.findIndex((entry) => entry.id === playlist.id);
+    if (existingIndex === -1 && playlists.length >= MAX_SMART_PLAYLISTS) {
+        showStatus(`Up to ${MAX_SMART_PLAYLISTS} smart playlists can be saved.`, 'error');
+        return;
+    }
+
+    await updateSmartPlaylists((list) => (existingIndex === -1
+        ? [...list, playlist]
+        : list.map((entry) => (entry.id === playlist.id ? { ...playlist, enabled: entry.enabled } : entry))));
+    closeSmartPlaylistForm();
+    showStatus('Smart playlist saved', 'success');
+}
+
+// Setup smart playlist editor
+function setupSmartPlaylists() {
+    document.getElementById('smartPlaylistAdd')?.addEventListener('click', () => {
+        openSmartPlaylistForm(null);
+    });
+    document.getElementById('smartPlaylistSave')?.addEventListener('click', saveSmartPlaylistFromForm);
+    document.getElementById('smartPlaylistCancel')?.addEventListener('click', closeSmartPlaylistForm);
+}
+
+/**
+ * Format a snapshot time for the popup lists.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatPlaylistSnapshotTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Summarize what one stored snapshot changed.
+ * @param {{createdAt: number, videoCount: number, changes: {added: number, removed: number, unavailable: number, restored: number}|null}} meta
+ * @returns {string}
+ */
+function describePlaylistSnapshot(meta) {
+    const parts = [`${meta.videoCount} videos`];
+    if (meta.changes) {
+        parts.push(`+${meta.changes.added}`, `-${meta.changes.removed}`);
+        if (meta.changes.unavailable > 0) parts.push(`${meta.changes.unavailable} became unavailable`);
+        if (meta.changes.restored > 0) parts.push(`${meta.changes.restored} available again`);
+    } else {
+        parts.push('first snapshot');
+    }
+    return `${formatPlaylistSnapshotTime(meta.createdAt)} · ${parts.join(' · ')}`;
+}
+
+/**
+ * Render tracked playlists, the interval and the last run.
+ * @param {{playlists: Array<{playlistId: string, title: string}>, intervalHours: number, lastRunAt: number, lastError: string, snapshots: Array<object>}} status
+ */
+function renderPlaylistSnapshots(status) {
+    playlistSnapshotStatus = status;
+    updateDropdownSelection('playlistSnapshotIntervalDropdown', String(status.intervalHours));
+
+    const lastRun = document.getElementById('playlistSnapshotLastRun');
+    if (lastRun) {
+        lastRun.textContent = status.lastRunAt ? formatPlaylistSnapshotTime(status.lastRunAt) : 'Never';
+        lastRun.title = status.lastError || '';
+        lastRun.style.color = status.lastError ? 'var(--ytc-v2-red)' : 'var(--ytc-v2-text)';
+    }
+
+    const container = document.getElementById('playlistSnapshotList');
+    if (!container) {
+        return;
+    }
+    container.innerHTML = '';
+    container.style.display = status.playlists.length > 0 ? 'flex' : 'none';
+
+    status.playlists.forEach((playlist) => {
+        const snapshots = status.snapshots.filter((meta) => meta.playlistId === playlist.playlistId);
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--ytc-v2-muted);';
+
+        const label = document.createElement('span');
+        label.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        label.textContent = `${playlist.title || playlist.playlistId} · ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`;
+        label.title = snapshots[0]
+            ? `Last checked: ${formatPlaylistSnapshotTime(snapshots[0].checkedAt)}\n${describePlaylistSnapshot(snapshots[0])}`
+            : 'No snapshot yet';
+
+        row.appendChild(label);
+        [
+            ['History', () => renderPlaylistSnapshotHistory(playlist)],
+            ['Untrack', (button) => untrackSnapshotPlaylist(playlist, button)]
+        ].forEach(([text, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.style.cssText = 'flex-shrink: 0; padding: 4px 8px; font-size: 11px;';
+            button.textContent = text;
+            button.addEventListener('click', () => handler(button));
+            row.appendChild(button);
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Load and render playlist snapshot settings.
+ */
+async function refreshPlaylistSnapshots() {
+    const response = await sendRuntimeMessage({ type: 'GET_PLAYLIST_SNAPSHOTS' });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to load playlist snapshots');
+    }
+    renderPlaylistSnapshots(response);
+}
+
+/**
+ * Save tracked playlists or the interval and render the result.
+ * @param {{playlists?: Array<{playlistId: string, title: string}>, intervalHours?: number}} config
+ */
+async function savePlaylistSnapshotConfig(config) {
+    const response = await sendRuntimeMessage({ type: 'UPDATE_PLAYLIST_SNAPSHOT_CONFIG', ...config });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save playlist snapshot settings');
+    }
+    renderPlaylistSnapshots(response);
+}
+
+/**
+ * Hide the snapshot history and diff panels.
+ */
+function hidePlaylistSnapshotPanels() {
+    ['playlistSnapshotHistory', 'playlistSnapshotDiff'].forEach((id) => {
+        const panel = document.getElementById(id);
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    });
+}
+
+/**
+ * Show the stored snapshots of one playlist, or hide them when already shown.
+ * @param {{playlistId: string, title: string}} playlist
+ */
+function renderPlaylistSnapshotHistory(playlist) {
+    const container = document.getElementById('playlistSnapshotHistory');
+    if (!container) {
+        return;
+    }
+    if (container.style.display !== 'none' && container.dataset.playlistId === playlist.playlistId) {
+        hidePlaylistSnapshotPanels();
+        return;
+    }
+
+    const snapshots = (playlistSnapshotStatus?.snapshots || []).filter((meta) => meta.playlistId === playlist.playlistId);
+    hidePlaylistSnapshotPanels();
+    container.dataset.playlistId = playlist.playlistId;
+    container.innerHTML = '';
+    container.style.display = 'flex';
+
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size: 12px; font-weight: 600; color: var(--ytc-v2-text);';
+    title.textContent = `Snapshots: ${playlist.title || playlist.playlistId}`;
+    container.appendChild(title);
+
+    if (snapshots.length === 0) {
+        const empty = document.createElement('div');
+        empty.style.cssText = 'font-size: 12px; color: var(--ytc-v2-muted);';
+        empty.textContent = 'No snapshot yet.';
+        container.appendChild(empty);
+        return;
+    }
+    snapshots.forEach((meta) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--ytc-v2-muted);';
+
+        const label = document.createElement('span');
+        label.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        label.textContent = describePlaylistSnapshot(meta);
+        label.title = `Last checked: ${formatPlaylistSnapshotTime(meta.checkedAt)}${meta.unavailableCount > 0 ? `\n${meta.unavailableCount} unavailable` : ''}`;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        button.style.cssText = 'flex-shrink: 0; padding: 4px 8px; font-size: 11px;';
+        button.textContent = 'Changes';
+        button.addEventListener('click', () => showPlaylistSnapshotDiff(meta.id, button));
+
+        row.appendChild(label);
+        row.appendChild(button);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Show what one snapshot added, removed or lost compared with the one before.
+ * Lost videos link to a YouTube search for their title.
+ * @param {string} id
+ * @param {HTMLButtonElement} button
+ */
+async function showPlaylistSnapshotDiff(id, button) {
+    const container = document.getElementById('playlistSnapshotDiff');
+    if (!container) {
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const response = await sendRuntimeMessage({ type: 'DIFF_PLAYLIST_SNAPSHOT', id }, 60000);
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to compare snapshots');
+        }
+        const { snapshot, base, added, removed, unavailable, restored } = response.diff;
+        container.innerHTML = '';
+        container.style.display = 'flex';
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 12px; font-weight: 600; color: var(--ytc-v2-text);';
+        title.textContent = base
+            ? `Changes ${formatPlaylistSnapshotTime(base.createdAt)} → ${formatPlaylistSnapshotTime(snapshot.createdAt)}`
+            : `First snapshot, ${formatPlaylistSnapshotTime(snapshot.createdAt)}`;
+        container.appendChild(title);
+
+        const lost = [...removed, ...unavailable];
+        if (lost.length > 0) {
+            const copyButton = document.createElement('button');
+            copyButton.type = 'button';
+            copyButton.className = 'btn btn-secondary';
+            copyButton.style.cssText = 'align-self: flex-start; padding: 4px 8px; font-size: 11px;';
+            copyButton.textContent = 'Copy lost videos';
+            copyButton.addEventListener('click', async () => {
+                const text = lost
+                    .map((entry) => [entry.title || '(untitled)', entry.channelName, entry.videoId].filter(Boolean).join(' · '))
+                    .join('\n');
+                const copied = await copyToClipboard(text);
+                showStatus(copied ? `Copied ${lost.length} video(s)` : 'Failed to copy', copied ? 'success' : 'error');
+            });
+            container.appendChild(copyButton);
+        }
+
+        [
+            ['Removed', removed, true],
+            ['Became unavailable', unavailable, true],
+            ['Added', added, false],
+            ['Available again', restored, false]
+        ].forEach(([label, entries, isLost]) => {
+            if (entries.length === 0) {
+                return;
+            }
+            const heading = document.createElement('div');
+            heading.style.cssText = `margin-top: 4px; font-size: 12px; font-weight: 600; color: ${isLost ? 'var(--ytc-v2-red)' : 'var(--ytc-v2-cyan)'};`;
+            heading.textContent = `${label} (${entries.length})`;
+            container.appendChild(heading);
+
+            entries.slice(0, PLAYLIST_SNAPSHOT_DIFF_LIMIT).forEach((entry) => {
+                const link = document.createElement('a');
+                link.href = isLost && entry.title
+                    ? `https://www.youtube.com/results?search_query=${encodeURIComponent(entry.title)}`
+                    : `https://www.youtube.com/watch?v=${entry.videoId}`;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.style.cssText = 'font-size: 12px; color: var(--ytc-v2-muted); text-decoration: none; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+                link.textContent = `${entry.title || entry.videoId}${entry.channelName ? ` · ${entry.channelName}` : ''}`;
+                link.title = isLost && entry.title ? `Search YouTube for this title (${entry.videoId})` : entry.videoId;
+                container.appendChild(link);
+            });
+            if (entries.length > PLAYLIST_SNAPSHOT_DIFF_LIMIT) {
+                const more = document.createElement('div');
+                more.style.cssText = 'font-size: 12px; color: var(--ytc-v2-muted);';
+                more.textContent = `...and ${entries.length - PLAYLIST_SNAPSHOT_DIFF_LIMIT} more`;
+                container.appendChild(more);
+            }
+        });
+    } catch (error) {
+        showStatus(error?.message || 'Failed to compare snapshots', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Start tracking the playlist chosen in the dropdown.
+ */
+async function trackSnapshotPlaylist() {
+    const dropdown = document.getElementById('playlistSnapshotAddDropdown');
+    const playlistId = dropdown?.dataset.value || '';
+    if (!playlistId) {
+        showStatus('Choose a playlist to track', 'error');
+        return;
+    }
+    const tracked = playlistSnapshotStatus?.playlists || [];
+    if (tracked.some((playlist) => playlist.playlistId === playlistId)) {
+        showStatus('This playlist is already tracked', 'info');
+        return;
+    }
+    if (tracked.length >= MAX_TRACKED_PLAYLISTS) {
+        showStatus(`Up to ${MAX_TRACKED_PLAYLISTS} playlists can be tracked.`, 'error');
+        return;
+    }
+
+    const title = dropdown.querySelector('.ytc-dropdown-label')?.textContent || '';
+    try {
+        await savePlaylistSnapshotConfig({ playlists: [...tracked, { playlistId, title }] });
+        showStatus(`Tracking ${title}. Use Snapshot Now to take the first snapshot.`, 'success');
+    } catch (error) {
+        showStatus(error?.message || 'Failed to track playlist', 'error');
+    }
+}
+
+/**
+ * Stop tracking one playlist and delete its snapshots.
+ * @param {{playlistId: string, title: string}} playlist
+ * @param {HTMLButtonElement} button
+ */
+async function untrackSnapshotPlaylist(playlist, button) {
+    button.disabled = true;
+    try {
+        const tracked = playlistSnapshotStatus?.playlists || [];
+        await savePlaylistSnapshotConfig({
+            playlists: tracked.filter((entry) => entry.playlistId !== playlist.playlistId)
+        });
+        if (document.getElementById('playlistSnapshotHistory')?.dataset.playlistId === playlist.playlistId) {
+            hidePlaylistSnapshotPanels();
+        }
+        showStatus(`Stopped tracking ${playlist.title || playlist.playlistId}`, 'success');
+    } catch (error) {
+        button.disabled = false;
+        showStatus(error?.message || 'Failed to untrack playlist', 'error');
+    }
+}
+
+/**
+ * Snapshot every tracked playlist now and report the result.
+ * @param {HTMLButtonElement} button
+ */
+async function runPlaylistSnapshotsNow(button) {
+    button.disabled = true;
+    button.textContent = 'Snapshotting...';
+    showStatus('Reading tracked playlists...', 'info');
+    try {
+        const response = await sendRuntimeMessage({ type: 'RUN_PLAYLIST_SNAPSHOTS' }, 10 * 60 * 1000);
+        if (response?.success) {
+            const summary = `Checked ${response.checkedCount} playlist(s), ${response.changedCount} changed`;
+            showStatus(
+                response.failedCount > 0 ? `${summary}, ${response.failedCount} failed: ${response.error}` : summary,
+                response.failedCount > 0 ? 'info' : 'success'
+            );
+        } else {
+            showStatus(response?.error || 'Playlist snapshot failed', 'error');
+        }
+    } catch (error) {
+        showStatus(error?.message || 'Playlist snapshot failed', 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Snapshot Now';
+        hidePlaylistSnapshotPanels();
+        await refreshPlaylistSnapshots().catch(() => {});
+    }
+}
+
+// Setup playlist snapshot controls
+function setupPlaylistSnapshots() {
+    const addDropdown = document.getElementById('playlistSnapshotAddDropdown');
+    addDropdown?.querySelector('.ytc-dropdown-trigger')?.addEventListener('click', async () => {
+        if (addDropdown.querySelector('.ytc-dropdown-option')) {
+            return;
+        }
+        if (ownedPlaylistOptions.length === 0) {
+            await loadOwnedPlaylistOptions();
+        }
+        renderPlaylistDropdownOptions('playlistSnapshotAddDropdown', ownedPlaylistOptions, { id: '', title: '' });
+    });
+    document.getElementById('playlistSnapshotAdd')?.addEventListener('click', trackSnapshotPlaylist);
+    document.getElementById('playlistSnapshotRun')?.addEventListener('click', (event) => {
+        runPlaylistSnapshotsNow(event.currentTarget);
+    });
+}
+
+/**
+ * Initialize tab switching for Settings modal.
+ */
+function initializeSettingsModalTabs() {
+    const modal = document.getElementById('popupSettingsModal');
+    if (!modal || modal.dataset.tabsInitialized === 'true') {
+        return;
+    }
+    modal.dataset.tabsInitialized = 'true';
+
+    modal.addEventListener('click', (event) => {
+        const tab = event.target.closest('.ytc-v2-settings-tab');
+        if (!tab) {
+            return;
+        }
 
         const paneName = tab.getAttribute('data-pane');
         modal.querySelectorAll('.ytc-v2-settings-tab').forEach((item) => {
@@ -1964,6 +3397,37 @@ async function exportHistory() {
     }
 }
 
+/**
+ * Export full watched records (title, channel, duration, progress) as JSON.
+ */
+async function exportHistoryJson() {
+    try {
+        showStatus('Reading watched history...', 'info');
+        const records = await getAllWatchedRecordsForExport();
+        if (records.length === 0) {
+            showStatus('No watched videos found to export', 'error');
+            return;
+        }
+
+        const payload = {
+            format: 'yt-commander-watched-history',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            count: records.length,
+            records: records.map((record) => ({
+                ...record,
+                watchedAt: record.timestamp ? new Date(record.timestamp).toISOString() : null
+            }))
+        };
+
+        downloadTextFile(JSON.stringify(payload, null, 2), 'youtube-watched-history.json', 'application/json;charset=utf-8');
+        showStatus(`Exported ${records.length} videos as JSON`, 'success');
+    } catch (error) {
+        console.error('JSON export error:', error);
+        showStatus(error?.message || 'Error exporting history', 'error');
+    }
+}
+
 /**
  * Keep valid unique video IDs only.
  * @param {string[]} videoIds
@@ -2148,31 +3612,10 @@ function resolveChannelIdFromIdentity(identity, indexes) {
 /**
  * Normalize categories list.
  * @param {any} raw
- * @returns {Array<{id: string, name: string, color: string}>}
+ * @returns {Array<{id: string, name: string, color: string, parentId?: string, rules?: object}>}
  */
 function normalizeCategories(raw) {
-    if (!Array.isArray(raw)) {
-        return [];
-    }
-
-    return raw
-        .map((item) => {
-            if (!item || typeof item !== 'object') {
-                return null;
-            }
-            const id = typeof item.id === 'string' ? item.id : '';
-            const name = typeof item.name === 'string' ? item.name.trim() : '';
-            const color = typeof item.color === 'string' ? item.color : '';
-            if (!id || !name) {
-                return null;
-            }
-            return {
-                id,
-                name,
-                color: color || `hsl(${Math.floor(Math.random() * 360)} 65% 45%)`
-            };
-        })
-        .filter(Boolean);
+    return normalizeCategoryList(raw, () => `hsl(${Math.floor(Math.random() * 360)} 65% 45%)`);
 }
 
 /**
@@ -2247,77 +3690,42 @@ function downloadTextFile(content, filename, mimeType = 'text/plain;charset=utf-
     URL.revokeObjectURL(url);
 }
 
-/**
- * Escape CSV cell value.
- * @param {string} value
- * @returns {string}
- */
-function escapeCsvValue(value) {
-    const text = typeof value === 'string' ? value : String(value ?? '');
-    if (/[",\n]/.test(text)) {
-        return `"${text.replace(/"/g, '""')}"`;
-    }
-    return text;
-}
-
-/**
- * Parse a CSV line into fields (simple CSV with quotes).
- * @param {string} line
- * @returns {string[]}
- */
-function parseCsvLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i += 1) {
-        const char = line[i];
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                current += '"';
-                i += 1;
-            } else {
-                inQuotes = !inQuotes;
-            }
-            continue;
-        }
-        if (char === ',' && !inQuotes) {
-            values.push(current);
-            current = '';
-            continue;
-        }
-        current += char;
-    }
-    values.push(current);
-    return values;
-}
-
 /**
  * Parse subscription CSV file content.
+ * Rows without a channel URL define a category ("Parent > Child") and its
+ * smart rules; files without a rules column keep the two-column layout.
  * @param {string} text
- * @returns {{rows: Array<{url: string, category: string}>, skipped: number}}
+ * @returns {{rows: Array<{url: string, category: string}>, definitions: Array<{category: string, rules: string}>, skipped: number}}
  */
 function parseSubscriptionCsv(text) {
     const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
     if (lines.length === 0) {
-        return { rows: [], skipped: 0 };
+        return { rows: [], definitions: [], skipped: 0 };
     }
     const header = lines[0].toLowerCase();
+    let hasRulesColumn = false;
     if (header.includes('channel') && header.includes('category')) {
+        hasRulesColumn = parseCsvLine(header).some((cell) => cell.trim() === 'rules');
         lines.shift();
     }
     const rows = [];
+    const definitions = [];
     let skipped = 0;
     lines.forEach((line) => {
         const parts = parseCsvLine(line);
         const url = (parts[0] || '').trim();
-        const category = (parts.slice(1).join(',') || '').trim();
+        const category = (hasRulesColumn ? parts[1] || '' : parts.slice(1).join(',')).trim();
         if (!url) {
+            if (hasRulesColumn && category) {
+                definitions.push({ category, rules: (parts[2] || '').trim() });
+                return;
+            }
             skipped += 1;
             return;
         }
         rows.push({ url, category });
     });
-    return { rows, skipped };
+    return { rows, definitions, skipped };
 }
 
 /**
@@ -2391,80 +3799,132 @@ async function resolveYouTubeTabForHistory() {
 }
 
 /**
- * Read all watched video IDs from content script cache.
- * @returns {Promise<string[]>}
+ * Read all watched records from content script cache.
+ * Falls back to ID-only records when the tab only answers the IDs message.
+ * @returns {Promise<Array<{videoId: string, timestamp?: number, title?: string, channelId?: string, channelName?: string, durationSeconds?: number, positionSeconds?: number, percentWatched?: number}>>}
  */
-async function getAllWatchedVideoIdsForSqlExport() {
+async function getAllWatchedRecordsForExport() {
     const targetTab = await resolveYouTubeTabForHistory();
 
     try {
         const response = await chrome.tabs.sendMessage(targetTab.id, {
-            type: 'GET_ALL_WATCHED_VIDEO_IDS'
+            type: 'GET_ALL_WATCHED_VIDEOS'
         });
-        if (response?.success && Array.isArray(response.videoIds)) {
-            return normalizeVideoIdList(response.videoIds);
+        if (response?.success && Array.isArray(response.videos)) {
+            const byId = new Map();
+            response.videos.forEach((entry) => {
+                const [videoId] = normalizeVideoIdList([entry?.videoId]);
+                if (videoId && !byId.has(videoId)) {
+                    byId.set(videoId, { ...entry, videoId });
+                }
+            });
+            return Array.from(byId.values());
         }
     } catch (_error) {
-        // Fallback to legacy shape below.
+        // Fallback to ID-only shape below.
     }
 
-    const legacy = await chrome.tabs.sendMessage(targetTab.id, {
-        type: 'GET_ALL_WATCHED_VIDEOS'
+    const response = await chrome.tabs.sendMessage(targetTab.id, {
+        type: 'GET_ALL_WATCHED_VIDEO_IDS'
     });
-    if (!legacy?.success || !Array.isArray(legacy.videos)) {
-        throw new Error(legacy?.error || 'Failed to read watched history from YouTube tab');
+    if (!response?.success || !Array.isArray(response.videoIds)) {
+        throw new Error(response?.error || 'Failed to read watched history from YouTube tab');
     }
 
-    return normalizeVideoIdList(legacy.videos.map((entry) => entry?.videoId));
+    return normalizeVideoIdList(response.videoIds).map((videoId) => ({ videoId }));
 }
 
 /**
- * Build SQL insert statements for a list of video IDs.
- * @param {string[]} videoIds
+ * Format a value as a SQLite literal.
+ * @param {any} value
+ * @returns {string}
+ */
+function toSqlLiteral(value) {
+    if (value === null || value === undefined || value === '') {
+        return 'NULL';
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? String(value) : 'NULL';
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build SQL upsert statements for watched records.
+ * Existing rows keep their values where the export has none.
+ * @param {object[]} records
  * @returns {string}
  */
-function buildSqlInsertStatements(videoIds) {
+function buildSqlInsertStatements(records) {
     const statements = [];
-    for (let index = 0; index < videoIds.length; index += SQL_EXPORT_VALUES_PER_STATEMENT) {
-        const chunk = videoIds.slice(index, index + SQL_EXPORT_VALUES_PER_STATEMENT);
+    for (let index = 0; index < records.length; index += SQL_EXPORT_VALUES_PER_STATEMENT) {
+        const chunk = records.slice(index, index + SQL_EXPORT_VALUES_PER_STATEMENT);
         if (!chunk.length) {
             continue;
         }
 
         const values = chunk
-            .map((videoId) => `    ('${videoId}')`)
+            .map((record) => {
+                const watchedAt = Number(record.timestamp) > 0 ? Math.floor(Number(record.timestamp) / 1000) : null;
+                return `    (${[
+                    toSqlLiteral(record.videoId),
+                    toSqlLiteral(record.title),
+                    toSqlLiteral(record.channelId),
+                    toSqlLiteral(record.channelName),
+                    toSqlLiteral(record.durationSeconds),
+                    toSqlLiteral(record.positionSeconds),
+                    toSqlLiteral(record.percentWatched),
+                    toSqlLiteral(record.positionUpdatedAt),
+                    toSqlLiteral(watchedAt),
+                    toSqlLiteral(0),
+                    toSqlLiteral(Number(record.updatedAt) || Number(record.timestamp) || 0),
+                    toSqlLiteral(0)
+                ].join(', ')})`;
+            })
             .join(',\n');
 
-        statements.push(
-            `INSERT OR IGNORE INTO ${SQL_EXPORT_TABLE_NAME} (video_id)\nVALUES\n${values};`
-        );
+        statements.push([
+            `INSERT INTO ${SQL_EXPORT_TABLE_NAME} (${SQL_EXPORT_COLUMNS.join(', ')})`,
+            'VALUES',
+            values,
+            'ON CONFLICT(video_id) DO UPDATE SET',
+            SQL_EXPORT_COLUMNS
+                .filter((column) => column !== 'video_id')
+                .map((column) => `    ${column} = COALESCE(excluded.${column}, ${column})`)
+                .join(',\n') + ';'
+        ].join('\n'));
     }
 
     return statements.join('\n\n');
 }
 
 /**
- * Build one SQL migration file for a chunk of IDs.
- * @param {string[]} videoIds
+ * Build one SQL migration file for a chunk of records.
+ * @param {object[]} records
  * @param {number} partIndex
  * @param {number} totalParts
  * @returns {string}
  */
-function buildSqlMigrationFile(videoIds, partIndex, totalParts) {
+function buildSqlMigrationFile(records, partIndex, totalParts) {
     const header = [
         '-- YouTube Commander D1 migration export',
         `-- part: ${partIndex}/${totalParts}`,
-        `-- ids_in_part: ${videoIds.length}`,
+        `-- ids_in_part: ${records.length}`,
         '-- generated_at: ' + new Date().toISOString(),
+        '-- Tables created before rich records need these columns added once:',
+        ...Object.entries({ ...SQL_EXPORT_COLUMN_TYPES, ...SQL_EXPORT_SCHEMA_ONLY_COLUMNS })
+            .map(([column, type]) => `--   ALTER TABLE ${SQL_EXPORT_TABLE_NAME} ADD COLUMN ${column} ${type};`),
         '',
         `CREATE TABLE IF NOT EXISTS ${SQL_EXPORT_TABLE_NAME} (`,
         '    video_id TEXT PRIMARY KEY,',
+        ...Object.entries({ ...SQL_EXPORT_COLUMN_TYPES, ...SQL_EXPORT_SCHEMA_ONLY_COLUMNS })
+            .map(([column, type]) => `    ${column} ${type},`),
         '    created_at INTEGER NOT NULL DEFAULT (unixepoch())',
         ');',
         ''
     ];
 
-    const body = buildSqlInsertStatements(videoIds);
+    const body = buildSqlInsertStatements(records);
     const footer = ['', ''];
 
     return `${header.join('\n')}${body}${footer.join('\n')}`;
@@ -2484,20 +3944,20 @@ async function exportSqlMigration() {
     button.textContent = 'Generating...';
 
     try {
-        showStatus('Reading watched IDs from local history...', 'info');
-        const allVideoIds = await getAllWatchedVideoIdsForSqlExport();
+        showStatus('Reading watched records from local history...', 'info');
+        const allRecords = await getAllWatchedRecordsForExport();
 
-        if (allVideoIds.length === 0) {
+        if (allRecords.length === 0) {
             showStatus('No watched IDs found for SQL export', 'error');
             return;
         }
 
-        const totalParts = Math.max(1, Math.ceil(allVideoIds.length / SQL_EXPORT_IDS_PER_FILE));
+        const totalParts = Math.max(1, Math.ceil(allRecords.length / SQL_EXPORT_IDS_PER_FILE));
         let exportedIds = 0;
 
         for (let part = 0; part < totalParts; part += 1) {
             const start = part * SQL_EXPORT_IDS_PER_FILE;
-            const idsChunk = allVideoIds.slice(start, start + SQL_EXPORT_IDS_PER_FILE);
+            const idsChunk = allRecords.slice(start, start + SQL_EXPORT_IDS_PER_FILE);
             if (!idsChunk.length) {
                 continue;
             }
@@ -2647,14 +4107,12 @@ async function syncToCloudflare() {
     syncButton.textContent = 'Syncing...';
 
     try {
-        showStatus('Syncing watched history to Cloudflare...', 'info');
-        const { endpointUrl, apiToken } = await saveCloudflareSyncSettings();
-
-        if (!endpointUrl) {
-            throw new Error('Cloudflare Worker URL is required');
-        }
+        showStatus(`Syncing watched history to ${getSyncProviderLabel()}...`, 'info');
+        const settings = await saveCloudflareSyncSettings();
+        assertSyncTargetConfigured(settings);
+        const { endpointUrl, apiToken } = settings;
 
-        showStatus('Uploading pending unsynced IDs to Cloudflare...', 'info');
+        showStatus('Uploading pending changes and pulling remote changes...', 'info');
         const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true, url: '*://*.youtube.com/*' });
         const response = await sendRuntimeMessage({
             type: 'SYNC_TO_CLOUDFLARE',
@@ -2670,12 +4128,18 @@ async function syncToCloudflare() {
         const syncedCount = Number.isFinite(response.syncedCount) ? response.syncedCount : 0;
         const host = typeof response.endpointHost === 'string' && response.endpointHost
             ? response.endpointHost
-            : 'Cloudflare';
+            : getSyncProviderLabel();
+        const pulledCount = Number(response.importedCount) || 0;
+        const removedCount = Number(response.removedCount) || 0;
+        const pullSummary = response.pullError
+            ? ` Pull failed: ${response.pullError}`
+            : ` Pulled ${pulledCount} new, removed ${removedCount}.`;
         showStatus(
-            `Synced ${syncedCount} IDs to ${host}. Pending: ${Number(response.pendingCount) || 0}`,
-            'success'
+            `Synced ${syncedCount} changes to ${host}.${pullSummary} Pending: ${Number(response.pendingCount) || 0}`,
+            response.pullError ? 'error' : 'success'
         );
         await refreshCloudflareSyncStatus();
+        await loadWatchedHistoryStats();
     } catch (error) {
         showStatus(error?.message || 'Failed to sync watched history', 'error');
         cloudflareSyncTriggered = false;
@@ -2698,12 +4162,10 @@ async function syncSubscriptionsNow() {
     syncButton.textContent = 'Syncing...';
 
     try {
-        showStatus('Syncing subscriptions to Cloudflare...', 'info');
-        const { endpointUrl, apiToken } = await saveSubscriptionSyncSettings();
-
-        if (!endpointUrl) {
-            throw new Error('Cloudflare Worker URL is required');
-        }
+        showStatus(`Syncing subscriptions to ${getSyncProviderLabel()}...`, 'info');
+        const settings = await saveSubscriptionSyncSettings();
+        assertSyncTargetConfigured(settings);
+        const { endpointUrl, apiToken } = settings;
 
         const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true, url: '*://*.youtube.com/*' });
         const response = await sendRuntimeMessage({
@@ -2720,7 +4182,7 @@ async function syncSubscriptionsNow() {
         const syncedCount = Number.isFinite(response.syncedCount) ? response.syncedCount : 0;
         const host = typeof response.endpointHost === 'string' && response.endpointHost
             ? response.endpointHost
-            : 'Cloudflare';
+            : getSyncProviderLabel();
         showStatus(
             `Synced ${syncedCount} channels to ${host}. Pending: ${Number(response.pendingCount) || 0}`,
             'success'
@@ -2749,12 +4211,10 @@ async function restoreSubscriptionsFromCloudflare() {
     restoreButton.textContent = 'Restoring...';
 
     try {
-        showStatus('Restoring subscriptions from Cloudflare...', 'info');
-        const { endpointUrl, apiToken } = await saveSubscriptionSyncSettings();
-
-        if (!endpointUrl) {
-            throw new Error('Cloudflare Worker URL is required');
-        }
+        showStatus(`Restoring subscriptions from ${getSyncProviderLabel()}...`, 'info');
+        const settings = await saveSubscriptionSyncSettings();
+        assertSyncTargetConfigured(settings);
+        const { endpointUrl, apiToken } = settings;
 
         const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true, url: '*://*.youtube.com/*' });
         const response = await sendRuntimeMessage({
@@ -2770,7 +4230,7 @@ async function restoreSubscriptionsFromCloudflare() {
 
         const host = typeof response.endpointHost === 'string' && response.endpointHost
             ? response.endpointHost
-            : 'Cloudflare';
+            : getSyncProviderLabel();
         const channelCount = Number(response.channelCount) || 0;
         const categoryCount = Number(response.categoryCount) || 0;
         const assignmentCount = Number(response.assignmentCount) || 0;
@@ -2813,7 +4273,10 @@ async function exportSubscriptionCsvFromPopup() {
         }
         const categories = normalizeCategories(stored[SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]);
         const assignments = normalizeAssignments(stored[SUBSCRIPTION_MANAGER_STORAGE_KEYS.ASSIGNMENTS]);
-        const categoryLookup = new Map(categories.map((category) => [category.id, category.name]));
+        const categoriesById = new Map(categories.map((category) => [category.id, category]));
+        const categoryLookup = new Map(
+            categories.map((category) => [category.id, formatCategoryPath(category, categoriesById)])
+        );
 
         const rows = [];
         const rowMap = new Map();
@@ -2854,16 +4317,62 @@ async function exportSubscriptionCsvFromPopup() {
         if (rows.length === 0) {
             throw new Error('No channels found to export.');
         }
-
-        const lines = ['channel_url,category'];
-        rows.forEach((row) => {
-            lines.push(`${escapeCsvValue(row.url)},${escapeCsvValue(row.category)}`);
+
+        // Category rows come first so parents and smart rules exist before channels reference them.
+        const lines = ['channel_url,category,rules'];
+        categories
+            .slice()
+            .sort((left, right) => Number(Boolean(left.parentId)) - Number(Boolean(right.parentId)))
+            .forEach((category) => {
+                const rules = category.rules ? JSON.stringify(category.rules) : '';
+                lines.push(`,${escapeCsvValue(categoryLookup.get(category.id))},${escapeCsvValue(rules)}`);
+            });
+        rows.forEach((row) => {
+            lines.push(`${escapeCsvValue(row.url)},${escapeCsvValue(row.category)},`);
+        });
+
+        downloadTextFile(lines.join('\n'), 'yt-commander-subscriptions.csv', 'text/csv;charset=utf-8');
+        showStatus(`Exported ${rows.length} row(s).`, 'success');
+    } catch (error) {
+        showStatus(error?.message || 'Failed to export CSV', 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = initialLabel;
+    }
+}
+
+/**
+ * Export subscriptions in another app's format.
+ * @param {HTMLButtonElement} button
+ */
+async function exportSubscriptionFormatFromPopup(button) {
+    const format = button.getAttribute('data-subscription-export') || '';
+    const initialLabel = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Exporting...';
+
+    try {
+        const stored = await chrome.storage.local.get([
+            SUBSCRIPTION_MANAGER_STORAGE_KEYS.SNAPSHOT,
+            SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES,
+            SUBSCRIPTION_MANAGER_STORAGE_KEYS.ASSIGNMENTS
+        ]);
+        const snapshot = stored[SUBSCRIPTION_MANAGER_STORAGE_KEYS.SNAPSHOT];
+        const channels = Array.isArray(snapshot?.channels) ? snapshot.channels : [];
+        if (!channels.length) {
+            throw new Error('Open the subscription manager in a YouTube tab first to fetch channels.');
+        }
+        const assignments = normalizeAssignments(stored[SUBSCRIPTION_MANAGER_STORAGE_KEYS.ASSIGNMENTS]);
+        const exported = buildSubscriptionExport(format, {
+            channels,
+            categories: normalizeCategories(stored[SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]),
+            readCategoryIds: (channelId) => (Array.isArray(assignments[channelId]) ? assignments[channelId] : [])
         });
 
-        downloadTextFile(lines.join('\n'), 'yt-commander-subscriptions.csv', 'text/csv;charset=utf-8');
-        showStatus(`Exported ${rows.length} row(s).`, 'success');
+        downloadTextFile(exported.content, exported.filename, exported.mimeType);
+        showStatus(`Exported ${exported.count} channel(s).`, 'success');
     } catch (error) {
-        showStatus(error?.message || 'Failed to export CSV', 'error');
+        showStatus(error?.message || 'Failed to export subscriptions', 'error');
     } finally {
         button.disabled = false;
         button.textContent = initialLabel;
@@ -2896,18 +4405,64 @@ async function importSubscriptionCsvFromPopup(file) {
     const indexes = buildChannelIndexes(channels);
 
     const text = await readFileText(file);
-    const { rows, skipped } = parseSubscriptionCsv(text);
-    if (rows.length === 0) {
+    const { rows, definitions, skipped } = parseSubscriptionCsv(text);
+    if (rows.length === 0 && definitions.length === 0) {
         throw new Error('No valid rows found in CSV.');
     }
 
-    const categoryLookup = new Map(categories.map((category) => [category.name.toLowerCase(), category.id]));
     const existingColors = categories.map((category) => category.color);
     const newCategoryIds = [];
+    const updatedCategoryIds = new Set();
     const updatedChannelIds = new Set();
     let missingChannels = 0;
     let applied = 0;
 
+    /**
+     * Find or create the category named by a "Parent > Child" path.
+     * A bare name matches a nested category of that name when no top-level one exists.
+     * @param {string} path
+     * @returns {string} category ID
+     */
+    const resolveCategoryPath = (path) => {
+        const { parentName, name } = parseCategoryPath(path);
+        const parentId = parentName ? resolveCategoryPath(parentName) : '';
+        const key = name.toLowerCase();
+        const existing = categories.find((category) => (
+            category.name.toLowerCase() === key && (category.parentId || '') === parentId
+        )) || (!parentName && categories.find((category) => category.name.toLowerCase() === key));
+        if (existing) {
+            return existing.id;
+        }
+        const color = generateRandomCategoryColor(existingColors);
+        const created = createCategory(name, color);
+        if (parentId) {
+            created.parentId = parentId;
+        }
+        categories.push(created);
+        existingColors.push(color);
+        newCategoryIds.push(created.id);
+        return created.id;
+    };
+
+    definitions.forEach((definition) => {
+        const categoryId = resolveCategoryPath(definition.category);
+        if (!definition.rules) {
+            return;
+        }
+        let rules = null;
+        try {
+            rules = normalizeSmartRules(JSON.parse(definition.rules));
+        } catch (_error) {
+            rules = null;
+        }
+        const category = categories.find((item) => item.id === categoryId);
+        if (!rules || !category || JSON.stringify(category.rules || null) === JSON.stringify(rules)) {
+            return;
+        }
+        category.rules = rules;
+        updatedCategoryIds.add(categoryId);
+    });
+
     rows.forEach((row) => {
         const rawUrl = row.url.trim();
         const rawCategory = row.category.trim();
@@ -2932,17 +4487,7 @@ async function importSubscriptionCsvFromPopup(file) {
             return;
         }
         categoryNames.forEach((categoryName) => {
-            const key = categoryName.toLowerCase();
-            let categoryId = categoryLookup.get(key);
-            if (!categoryId) {
-                const color = generateRandomCategoryColor(existingColors);
-                const created = createCategory(categoryName, color);
-                categories.push(created);
-                existingColors.push(color);
-                categoryId = created.id;
-                categoryLookup.set(key, categoryId);
-                newCategoryIds.push(categoryId);
-            }
+            const categoryId = resolveCategoryPath(categoryName);
             const current = Array.isArray(assignments[channelId]) ? assignments[channelId] : [];
             if (!current.includes(categoryId)) {
                 assignments[channelId] = Array.from(new Set([...current, categoryId]));
@@ -2952,18 +4497,19 @@ async function importSubscriptionCsvFromPopup(file) {
         });
     });
 
-    if (newCategoryIds.length === 0 && updatedChannelIds.size === 0) {
+    if (newCategoryIds.length === 0 && updatedCategoryIds.size === 0 && updatedChannelIds.size === 0) {
         showStatus('No changes to import.', 'info');
         return;
     }
 
     await chrome.storage.local.set({
-        [SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]: categories,
+        [SUBSCRIPTION_MANAGER_STORAGE_KEYS.CATEGORIES]: normalizeCategories(categories),
         [SUBSCRIPTION_MANAGER_STORAGE_KEYS.ASSIGNMENTS]: assignments
     });
 
     const pendingKeys = [
         ...newCategoryIds.map((id) => `category:${id}`),
+        ...Array.from(updatedCategoryIds).map((id) => `category:${id}`),
         ...Array.from(updatedChannelIds).map((id) => `channel:${id}`)
     ];
     await markSubscriptionPending(pendingKeys);
@@ -2973,6 +4519,9 @@ async function importSubscriptionCsvFromPopup(file) {
     if (newCategoryIds.length > 0) {
         summary.push(`Added ${newCategoryIds.length} category(s)`);
     }
+    if (updatedCategoryIds.size > 0) {
+        summary.push(`Updated rules on ${updatedCategoryIds.size} category(s)`);
+    }
     if (missingChannels > 0) {
         summary.push(`${missingChannels} channel(s) not found`);
     }
@@ -3075,12 +4624,10 @@ async function downloadFromCloudflare() {
     button.textContent = 'Downloading...';
 
     try {
-        showStatus('Downloading IDs from Cloudflare...', 'info');
-        const { endpointUrl, apiToken } = await saveCloudflareSyncSettings();
-
-        if (!endpointUrl) {
-            throw new Error('Cloudflare Worker URL is required');
-        }
+        showStatus(`Downloading IDs from ${getSyncProviderLabel()}...`, 'info');
+        const settings = await saveCloudflareSyncSettings();
+        assertSyncTargetConfigured(settings);
+        const { endpointUrl, apiToken } = settings;
 
         const response = await sendRuntimeMessage({
             type: 'DOWNLOAD_FROM_CLOUDFLARE',
@@ -3093,7 +4640,7 @@ async function downloadFromCloudflare() {
         }
 
         showStatus(
-            `Downloaded ${Number(response.pulledCount) || 0} IDs, imported ${Number(response.importedCount) || 0} new IDs`,
+            `Downloaded ${Number(response.pulledCount) || 0} IDs, imported ${Number(response.importedCount) || 0} new IDs, removed ${Number(response.removedCount) || 0}`,
             'success'
         );
         await refreshCloudflareSyncStatus();
@@ -3106,6 +4653,428 @@ async function downloadFromCloudflare() {
     }
 }
 
+/**
+ * Sync history and subscriptions with a local sync file, then download the updated file.
+ * @param {string} content Current file contents; empty starts a new file.
+ * @param {string} filename
+ * @param {boolean} restoreSubscriptions Restore subscriptions from the file instead of uploading them.
+ */
+async function runLocalFileSync(content, filename, restoreSubscriptions) {
+    try {
+        showStatus('Syncing with the local file...', 'info');
+        await saveCloudflareSyncSettings();
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true, url: '*://*.youtube.com/*' });
+        const response = await sendRuntimeMessage({
+            type: 'SYNC_LOCAL_FILE',
+            content,
+            restoreSubscriptions,
+            activeTabId: activeTab?.id
+        }, 240000);
+
+        if (!response?.success) {
+            throw new Error(response?.error || 'Local file sync failed');
+        }
+
+        downloadTextFile(response.content, filename, 'application/json;charset=utf-8');
+        const history = response.history || {};
+        const subscriptions = response.subscriptions || {};
+        const subscriptionSummary = restoreSubscriptions
+            ? ` Restored ${Number(subscriptions.channelCount) || 0} channels.`
+            : (subscriptions.skipped ? '' : ` Saved ${Number(subscriptions.syncedCount) || 0} subscriptions.`);
+        showStatus(
+            `Synced ${Number(history.syncedCount) || 0} changes, pulled ${Number(history.importedCount) || 0} new, removed ${Number(history.removedCount) || 0}.${subscriptionSummary} Save ${filename} over the old sync file.`,
+            'success'
+        );
+        await refreshCloudflareSyncStatus();
+        await refreshSubscriptionSyncStatus();
+        await loadWatchedHistoryStats();
+    } catch (error) {
+        showStatus(error?.message || 'Local file sync failed', 'error');
+    }
+}
+
+/**
+ * Pick a local sync file for syncing or restoring subscriptions.
+ * @param {boolean} restoreSubscriptions
+ */
+function chooseLocalSyncFile(restoreSubscriptions) {
+    const input = document.getElementById('localSyncFileInput');
+    if (!input) {
+        return;
+    }
+    input.dataset.restoreSubscriptions = restoreSubscriptions ? 'true' : 'false';
+    input.click();
+}
+
+async function handleLocalSyncFileInput(event) {
+    const input = event.target;
+    const file = input?.files?.[0];
+    const restoreSubscriptions = input?.dataset.restoreSubscriptions === 'true';
+    if (input) {
+        input.value = '';
+    }
+    if (!file) {
+        return;
+    }
+
+    try {
+        const content = await readFileText(file);
+        await runLocalFileSync(content, file.name, restoreSubscriptions);
+    } catch (error) {
+        showStatus(error?.message || 'Failed to read the sync file', 'error');
+    }
+}
+
+/**
+ * Run one sync encryption action against the background and report the result.
+ * Passphrase fields are cleared afterwards so they never linger in the popup.
+ * @param {string} buttonId
+ * @param {string} busyLabel
+ * @param {(settings: {endpointUrl: string, apiToken: string}) => object} buildMessage
+ * @param {(response: any) => string} describeSuccess
+ */
+async function runSyncEncryptionAction(buttonId, busyLabel, buildMessage, describeSuccess) {
+    const button = document.getElementById(buttonId);
+    if (!button) {
+        return;
+    }
+
+    const initialLabel = button.textContent;
+    button.disabled = true;
+    button.textContent = busyLabel;
+
+    try {
+        const settings = await saveCloudflareSyncSettings();
+        assertSyncTargetConfigured(settings);
+        const { endpointUrl, apiToken } = settings;
+
+        const response = await sendRuntimeMessage(buildMessage({ endpointUrl, apiToken }), 240000);
+        if (!response?.success) {
+            throw new Error(response?.error || 'Encryption update failed');
+        }
+
+        ['syncEncryptionPassphrase', 'syncEncryptionNewPassphrase'].forEach((id) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = '';
+            }
+        });
+        renderCloudflareSyncStatus(response);
+        showStatus(describeSuccess(response), 'success');
+    } catch (error) {
+        showStatus(error?.message || 'Encryption update failed', 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = initialLabel;
+    }
+}
+
+/**
+ * Read a passphrase input without trimming (spaces are part of the passphrase).
+ * @param {string} id
+ * @returns {string}
+ */
+function readPassphraseInput(id) {
+    const input = document.getElementById(id);
+    return typeof input?.value === 'string' ? input.value : '';
+}
+
+/**
+ * Enable end-to-end encryption for cloud sync on this device.
+ */
+function enableSyncEncryption() {
+    return runSyncEncryptionAction(
+        'enableSyncEncryption',
+        'Enabling...',
+        (settings) => ({
+            type: 'ENABLE_SYNC_ENCRYPTION',
+            ...settings,
+            passphrase: readPassphraseInput('syncEncryptionPassphrase')
+        }),
+        (response) => (response.created
+            ? 'Encryption enabled. Local history will be re-uploaded encrypted on the next sync.'
+            : 'Passphrase verified. This device now syncs encrypted data.')
+    );
+}
+
+/**
+ * Re-encrypt cloud sync data under a new passphrase.
+ */
+function changeSyncEncryptionPassphrase() {
+    return runSyncEncryptionAction(
+        'changeSyncEncryptionPassphrase',
+        'Re-encrypting...',
+        (settings) => ({
+            type: 'CHANGE_SYNC_ENCRYPTION_PASSPHRASE',
+            ...settings,
+            currentPassphrase: readPassphraseInput('syncEncryptionPassphrase'),
+            newPassphrase: readPassphraseInput('syncEncryptionNewPassphrase')
+        }),
+        (response) => `Passphrase changed. Re-encrypted ${Number(response.historyCount) || 0} history batches and ${Number(response.subscriptionCount) || 0} subscription backups.`
+    );
+}
+
+/**
+ * Forget the encryption key on this device.
+ */
+function forgetSyncEncryptionKey() {
+    return runSyncEncryptionAction(
+        'forgetSyncEncryptionKey',
+        'Forgetting...',
+        () => ({ type: 'FORGET_SYNC_ENCRYPTION_KEY' }),
+        () => 'Encryption key removed from this device. Enter the passphrase again to resume sync.'
+    );
+}
+
+/**
+ * Format a byte count for display.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatByteSize(bytes) {
+    const value = Number(bytes) || 0;
+    if (value >= 1024 * 1024) {
+        return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(value / 1024))} KB`;
+}
+
+/**
+ * Read which sections the restore toggles select.
+ * @returns {string[]}
+ */
+function getSelectedLocalBackupSections() {
+    return Array.from(document.querySelectorAll('[id^="localBackupRestore"][data-section]'))
+        .filter((toggle) => toggle.classList.contains('active'))
+        .map((toggle) => toggle.dataset.section);
+}
+
+/**
+ * Render local backup settings and the snapshot list.
+ * @param {{autoEnabled?: boolean, lastAutoAt?: number, lastError?: string, snapshots?: object[]}} status
+ */
+function renderLocalBackupStatus(status = {}) {
+    setToggleState(document.getElementById('localBackupAutoToggle'), status.autoEnabled !== false);
+
+    const snapshots = Array.isArray(status.snapshots) ? status.snapshots : [];
+    const lastAutoEl = document.getElementById('localBackupLastAutoAt');
+    if (lastAutoEl) {
+        lastAutoEl.textContent = status.lastAutoAt
+            ? new Date(status.lastAutoAt).toLocaleString()
+            : 'Never';
+        lastAutoEl.title = status.lastError || '';
+    }
+    const totalSizeEl = document.getElementById('localBackupTotalSize');
+    if (totalSizeEl) {
+        totalSizeEl.textContent = formatByteSize(snapshots.reduce((sum, entry) => sum + (Number(entry.size) || 0), 0));
+    }
+
+    const container = document.getElementById('localBackupList');
+    if (!container) {
+        return;
+    }
+
+    container.innerHTML = '';
+    container.style.display = snapshots.length > 0 ? 'flex' : 'none';
+
+    const reasonLabels = { auto: 'Auto', manual: 'Manual', 'pre-restore': 'Before restore' };
+    snapshots.forEach((entry) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 12px; color: var(--ytc-v2-muted);';
+        row.title = `${Number(entry.counts?.videos) || 0} videos, ${Number(entry.counts?.categories) || 0} categories, ${Number(entry.counts?.settings) || 0} settings`;
+
+        const label = document.createElement('span');
+        label.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        label.textContent = `${new Date(entry.createdAt).toLocaleString()} · ${reasonLabels[entry.reason] || entry.reason}`;
+
+        const size = document.createElement('span');
+        size.style.cssText = 'flex-shrink: 0; font-weight: 600; color: var(--ytc-v2-cyan);';
+        size.textContent = formatByteSize(entry.size);
+
+        row.appendChild(label);
+        row.appendChild(size);
+        [
+            ['Diff', diffLocalBackupSnapshot],
+            ['Restore', restoreLocalBackupSnapshot],
+            ['Delete', deleteLocalBackupSnapshot]
+        ].forEach(([text, handler]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.style.cssText = 'flex-shrink: 0; padding: 4px 8px; font-size: 11px;';
+            button.textContent = text;
+            button.addEventListener('click', () => handler(entry.id, button));
+            row.appendChild(button);
+        });
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Refresh local backup status from background.
+ */
+async function refreshLocalBackups() {
+    try {
+        const status = await sendRuntimeMessage({ type: 'GET_LOCAL_BACKUPS' }, 30000);
+        if (status?.success) {
+            renderLocalBackupStatus(status);
+        }
+    } catch (_error) {
+        // Keep existing UI values when background status is unavailable.
+    }
+}
+
+/**
+ * Run one local backup action with a busy button label.
+ * @param {HTMLButtonElement|null} button
+ * @param {string} busyLabel
+ * @param {() => Promise<void>} action
+ */
+async function runLocalBackupAction(button, busyLabel, action) {
+    if (!button) {
+        return;
+    }
+
+    const initialLabel = button.textContent;
+    button.disabled = true;
+    button.textContent = busyLabel;
+
+    try {
+        await action();
+    } catch (error) {
+        showStatus(error?.message || 'Local backup action failed', 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = initialLabel;
+    }
+}
+
+/**
+ * Take a manual snapshot now.
+ */
+function createLocalBackupNow() {
+    return runLocalBackupAction(document.getElementById('createLocalBackup'), 'Backing up...', async () => {
+        const response = await sendRuntimeMessage({ type: 'CREATE_LOCAL_BACKUP' }, 180000);
+        if (!response?.success) {
+            throw new Error(response?.error || 'Backup failed');
+        }
+        showStatus(`Backup saved: ${Number(response.snapshot?.counts?.videos) || 0} videos, ${formatByteSize(response.snapshot?.size)}`, 'success');
+        await refreshLocalBackups();
+    });
+}
+
+/**
+ * Restore the selected sections of a snapshot.
+ * @param {string} id
+ * @param {HTMLButtonElement} button
+ */
+function restoreLocalBackupSnapshot(id, button) {
+    return runLocalBackupAction(button, '...', async () => {
+        const sections = getSelectedLocalBackupSections();
+        if (sections.length === 0) {
+            throw new Error('Select at least one section to restore');
+        }
+
+        const response = await sendRuntimeMessage({ type: 'RESTORE_LOCAL_BACKUP', id, sections }, 300000);
+        if (!response?.success) {
+            throw new Error(response?.error || 'Restore failed');
+        }
+        showStatus(`Restored ${response.sections.join(', ')}; ${Number(response.importedCount) || 0} videos added back`, 'success');
+        await refreshLocalBackups();
+        await loadWatchedHistoryStats();
+        if (response.sections.includes('settings')) {
+            loadSettings();
+            await loadCloudflareSyncSettings();
+            await loadSubscriptionSyncSettings();
+            await loadAutomationSettings();
+        }
+    });
+}
+
+/**
+ * Describe a snapshot diff in a few lines.
+ * @param {object} diff
+ * @returns {string}
+ */
+function describeLocalBackupDiff(diff) {
+    const lines = [];
+    if (diff.history) {
+        lines.push(`History: ${diff.history.snapshotCount} in snapshot, ${diff.history.currentCount} now`);
+        lines.push(`  ${diff.history.onlyInSnapshot} only in snapshot, ${diff.history.onlyInCurrent} watched since, ${diff.history.changed} changed`);
+    }
+    const { categoriesOnlyInSnapshot, categoriesOnlyInCurrent, changedAssignments } = diff.subscriptions;
+    lines.push(`Categories: ${categoriesOnlyInSnapshot.length ? `-${categoriesOnlyInSnapshot.join(', ')}` : 'none removed'}; ${categoriesOnlyInCurrent.length ? `+${categoriesOnlyInCurrent.join(', ')}` : 'none added'}`);
+    lines.push(`Channel assignments changed: ${changedAssignments}`);
+    lines.push(`Settings changed: ${diff.settings.changedKeys.length ? diff.settings.changedKeys.join(', ') : 'none'}`);
+    return lines.join('\n');
+}
+
+/**
+ * Show how a snapshot differs from the current state.
+ * @param {string} id
+ * @param {HTMLButtonElement} button
+ */
+function diffLocalBackupSnapshot(id, button) {
+    return runLocalBackupAction(button, '...', async () => {
+        const response = await sendRuntimeMessage({ type: 'DIFF_LOCAL_BACKUP', id }, 120000);
+        if (!response?.success) {
+            throw new Error(response?.error || 'Diff failed');
+        }
+        const output = document.getElementById('localBackupDiff');
+        if (output) {
+            output.textContent = describeLocalBackupDiff(response.diff);
+            output.style.display = 'block';
+        }
+    });
+}
+
+/**
+ * Delete one snapshot.
+ * @param {string} id
+ * @param {HTMLButtonElement} button
+ */
+function deleteLocalBackupSnapshot(id, button) {
+    return runLocalBackupAction(button, '...', async () => {
+        const response = await sendRuntimeMessage({ type: 'DELETE_LOCAL_BACKUP', id });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Delete failed');
+        }
+        await refreshLocalBackups();
+    });
+}
+
+/**
+ * Setup local backup controls.
+ */
+function setupLocalBackupControls() {
+    const autoToggle = document.getElementById('localBackupAutoToggle');
+    autoToggle?.addEventListener('click', async (event) => {
+        event.stopPropagation();
+        setToggleState(autoToggle, !autoToggle.classList.contains('active'));
+        try {
+            const response = await sendRuntimeMessage({
+                type: 'UPDATE_LOCAL_BACKUP_CONFIG',
+                autoEnabled: autoToggle.classList.contains('active')
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Failed to save backup settings');
+            }
+            renderLocalBackupStatus(response);
+        } catch (error) {
+            showStatus(error?.message || 'Failed to save backup settings', 'error');
+        }
+    });
+
+    document.querySelectorAll('[id^="localBackupRestore"][data-section]').forEach((toggle) => {
+        toggle.addEventListener('click', (event) => {
+            event.stopPropagation();
+            setToggleState(toggle, !toggle.classList.contains('active'));
+        });
+    });
+
+    document.getElementById('createLocalBackup')?.addEventListener('click', createLocalBackupNow);
+}
+
 // Import history functionality
 function importHistory() {
     const fileInput = document.getElementById('historyFileInput');
@@ -3458,6 +5427,51 @@ function initializeCustomDropdowns() {
                     return;
                 }
 
+                if (dropdown.id === 'watchedLongModeDropdown' || dropdown.id === 'watchedShortsModeDropdown') {
+                    const kind = dropdown.id === 'watchedShortsModeDropdown' ? 'shorts' : 'long';
+                    const thresholds = normalizeWatchedThresholds(currentSettings.watchedThresholds);
+                    thresholds[kind].mode = value;
+                    currentSettings = { ...currentSettings, watchedThresholds: thresholds };
+                    renderWatchedThresholdRule(kind, thresholds[kind]);
+                    saveSyncSettings(true);
+                    return;
+                }
+
+                if (dropdown.id === 'playlistSnapshotIntervalDropdown') {
+                    try {
+                        await savePlaylistSnapshotConfig({ intervalHours: Number(value) });
+                        showStatus('Settings saved', 'success');
+                    } catch (error) {
+                        showStatus(error?.message || 'Failed to save snapshot interval', 'error');
+                    }
+                    return;
+                }
+
+                if (dropdown.id === 'autoCategorizeProviderDropdown') {
+                    renderAutoCategorizePlaceholders(value);
+                    try {
+                        await saveAutoCategorizeSettings();
+                        showStatus('Settings saved', 'success');
+                    } catch (error) {
+                        showStatus(error?.message || 'Failed to save auto-categorize settings', 'error');
+                    }
+                    return;
+                }
+
+                if (dropdown.id === 'syncProviderDropdown') {
+                    renderSyncProviderFields(value);
+                    try {
+                        await saveCloudflareSyncSettings();
+                        await saveSubscriptionSyncSettings();
+                        await refreshCloudflareSyncStatus();
+                        await refreshSubscriptionSyncStatus();
+                        showStatus(`Sync provider set to ${getSyncProviderLabel()}`, 'success');
+                    } catch (error) {
+                        showStatus(error?.message || 'Failed to save sync provider', 'error');
+                    }
+                    return;
+                }
+
                 if (dropdown.id !== 'cloudflareSyncIntervalDropdown') {
                     return;
                 }
@@ -3539,6 +5553,8 @@ document.addEventListener('DOMContentLoaded', () => {
     setupWindowedAutoToggle();
     setupDeleteVideosToggle();
     setupHideSubscribedToggle();
+    setupNotSubscribedLabelsToggle();
+    setupFeedFilterRules();
     setupCloudflareSyncControls();
     setupSubscriptionSyncControls();
     setupTokenVisibilityToggle('cloudflareSyncToken', 'cloudflareTokenToggle');
@@ -3551,6 +5567,14 @@ document.addEventListener('DOMContentLoaded', () => {
     if (exportBtn) exportBtn.addEventListener('click', exportHistory);
     const importBtn = document.getElementById('importHistory');
     if (importBtn) importBtn.addEventListener('click', importHistory);
+    const browseBtn = document.getElementById('browseHistory');
+    if (browseBtn) {
+        browseBtn.addEventListener('click', () => {
+            chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+        });
+    }
+    const exportJsonBtn = document.getElementById('exportHistoryJson');
+    if (exportJsonBtn) exportJsonBtn.addEventListener('click', exportHistoryJson);
     const sqlBtn = document.getElementById('exportSqlMigration');
     if (sqlBtn) sqlBtn.addEventListener('click', exportSqlMigration);
     setupSqlCopyButton();
@@ -3562,6 +5586,18 @@ document.addEventListener('DOMContentLoaded', () => {
     if (downloadBtn) downloadBtn.addEventListener('click', downloadFromCloudflare);
     const lockBtn = document.getElementById('lockPrimarySyncAccount');
     if (lockBtn) lockBtn.addEventListener('click', lockPrimarySyncAccount);
+    document.getElementById('syncWithLocalFile')?.addEventListener('click', () => chooseLocalSyncFile(false));
+    document.getElementById('restoreSubscriptionsFromLocalFile')?.addEventListener('click', () => chooseLocalSyncFile(true));
+    document.getElementById('createLocalSyncFile')?.addEventListener('click', () => {
+        runLocalFileSync('', LOCAL_SYNC_FILE_NAME, false);
+    });
+    document.getElementById('localSyncFileInput')?.addEventListener('change', handleLocalSyncFileInput);
+    const enableEncryptionBtn = document.getElementById('enableSyncEncryption');
+    if (enableEncryptionBtn) enableEncryptionBtn.addEventListener('click', enableSyncEncryption);
+    const changePassphraseBtn = document.getElementById('changeSyncEncryptionPassphrase');
+    if (changePassphraseBtn) changePassphraseBtn.addEventListener('click', changeSyncEncryptionPassphrase);
+    const forgetKeyBtn = document.getElementById('forgetSyncEncryptionKey');
+    if (forgetKeyBtn) forgetKeyBtn.addEventListener('click', forgetSyncEncryptionKey);
     
     const historyFileInput = document.getElementById('historyFileInput');
     if (historyFileInput) historyFileInput.addEventListener('change', handleFileImport);
@@ -3580,6 +5616,11 @@ document.addEventListener('DOMContentLoaded', () => {
     // Subscription buttons
     const exportCsvBtn = document.getElementById('exportSubscriptionCsv');
     if (exportCsvBtn) exportCsvBtn.addEventListener('click', exportSubscriptionCsvFromPopup);
+    document.querySelectorAll('[data-subscription-export]').forEach((button) => {
+        button.addEventListener('click', () => {
+            exportSubscriptionFormatFromPopup(button);
+        });
+    });
     const importCsvBtn = document.getElementById('importSubscriptionCsv');
     if (importCsvBtn) importCsvBtn.addEventListener('click', () => {
         document.getElementById('subscriptionCsvInput')?.click();
@@ -3601,5 +5642,17 @@ document.addEventListener('DOMContentLoaded', () => {
     setupSubscriptionAutomationControls();
     loadAutomationSettings();
     loadAutomationStats();
+
+    setupSmartPlaylists();
+    renderSmartPlaylists().catch(() => {});
+
+    setupPlaylistSnapshots();
+    refreshPlaylistSnapshots().catch(() => {});
+
+    setupLocalBackupControls();
+    refreshLocalBackups();
+
+    setupAutoCategorizeControls();
+    loadAutoCategorizeSettings();
 });
 
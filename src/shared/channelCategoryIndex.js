@@ -0,0 +1,105 @@
+/**
+ * Resolve which Subscription Manager categories each channel sits in, from
+ * stored manager state. Used outside the manager, where only storage is available.
+ */
+
+import { normalizeCategoryList } from './subscriptionCategories.js';
+import { computeSmartMembership } from './smartCategories.js';
+
+export const CATEGORY_INDEX_STORAGE_KEYS = Object.freeze({
+    CATEGORIES: 'subscriptionManagerCategories',
+    ASSIGNMENTS: 'subscriptionManagerAssignments',
+    SNAPSHOT: 'subscriptionManagerSnapshot'
+});
+
+/**
+ * Read the subscriber count text of a stored channel. Channel rows sometimes
+ * carry the subscriber count in the video count field and the handle in its place.
+ * @param {object} channel
+ * @returns {string}
+ */
+function readSubscriberText(channel) {
+    const subscribers = typeof channel?.subscriberCount === 'string' ? channel.subscriberCount.trim() : '';
+    const videos = typeof channel?.videoCount === 'string' ? channel.videoCount.trim() : '';
+    if (!/subscribers?/i.test(subscribers) && /subscribers?/i.test(videos)) {
+        return videos;
+    }
+    return subscribers;
+}
+
+/**
+ * Read the channel fields smart rules look at.
+ * @param {object} channel
+ * @returns {{title: string, handle: string, description: string, subscriberCount: string}}
+ */
+function readSmartRuleFields(channel) {
+    return {
+        title: channel.title || '',
+        handle: channel.handle || '',
+        description: channel.description || '',
+        subscriberCount: readSubscriberText(channel)
+    };
+}
+
+/**
+ * Build the lowercase channel paths a feed card may link to instead of a channel ID.
+ * @param {object} channel
+ * @returns {string[]}
+ */
+function readChannelPaths(channel) {
+    const paths = [];
+    const handle = typeof channel?.handle === 'string' ? channel.handle.trim().replace(/^@/, '') : '';
+    if (handle) {
+        paths.push(`/@${encodeURIComponent(handle)}`.toLowerCase());
+    }
+    const url = typeof channel?.url === 'string' ? channel.url.trim() : '';
+    if (url) {
+        try {
+            paths.push(new URL(url, 'https://www.youtube.com').pathname.toLowerCase());
+        } catch (_error) {
+            // Ignore malformed channel URLs.
+        }
+    }
+    return paths;
+}
+
+/**
+ * Resolve category membership from stored manager state.
+ * Channels get their manual category plus any smart category whose rules they match.
+ * @param {Record<string, any>} stored Values read with CATEGORY_INDEX_STORAGE_KEYS.
+ * @returns {{categories: Array<{id: string, name: string, color: string, parentId?: string}>, channelCategories: Record<string, string[]>, channelPaths: Record<string, string>}}
+ *   channelPaths maps lowercase channel paths to channel IDs, for categorized channels only
+ */
+export function buildChannelCategoryIndex(stored) {
+    const categories = normalizeCategoryList(stored[CATEGORY_INDEX_STORAGE_KEYS.CATEGORIES]);
+    const categoryIds = new Set(categories.map((category) => category.id));
+    const rawAssignments = stored[CATEGORY_INDEX_STORAGE_KEYS.ASSIGNMENTS];
+    const assignments = rawAssignments && typeof rawAssignments === 'object' ? rawAssignments : {};
+    const snapshotChannels = Array.isArray(stored[CATEGORY_INDEX_STORAGE_KEYS.SNAPSHOT]?.channels)
+        ? stored[CATEGORY_INDEX_STORAGE_KEYS.SNAPSHOT].channels
+        : [];
+
+    const channelCategories = {};
+    Object.entries(assignments).forEach(([channelId, list]) => {
+        const categoryId = Array.isArray(list) ? list[0] : '';
+        if (channelId && categoryIds.has(categoryId)) {
+            channelCategories[channelId] = [categoryId];
+        }
+    });
+    computeSmartMembership(categories, snapshotChannels, readSmartRuleFields).forEach((ids, channelId) => {
+        channelCategories[channelId] = Array.from(new Set([...(channelCategories[channelId] || []), ...ids]));
+    });
+
+    const channelPaths = {};
+    snapshotChannels.forEach((channel) => {
+        const channelId = channel?.channelId;
+        if (!channelId || !channelCategories[channelId]) {
+            return;
+        }
+        readChannelPaths(channel).forEach((path) => {
+            channelPaths[path] = channelId;
+        });
+    });
+
+    return { categories, channelCategories, channelPaths };
+}
@@ -29,6 +29,15 @@ export const DEFAULT_SETTINGS = {
     windowedFullscreenAuto: false,
     openVideoNewTabShortcut: { ctrl: true, shift: false, alt: false, key: 'Enter' },
     openChannelNewTabShortcut: { ctrl: false, shift: true, alt: false, key: 'Enter' },
+
+    // Watched history resume (minimum video length in minutes)
+    resumeMinDurationMinutes: 10,
+
+    // When a played video counts as watched (see watchedThresholds.js)
+    watchedThresholds: {
+        long: { mode: 'play', percent: 50, seconds: 60 },
+        shorts: { mode: 'play', percent: 80, seconds: 10 }
+    },
     
     // Debug settings
     debugMode: false,
@@ -123,7 +132,9 @@ export const MESSAGE_TYPES = {
     SET_QUALITY: 'SET_QUALITY',
     QUALITY_CHANGED: 'QUALITY_CHANGED',
     AUDIO_TRACK_CHANGED: 'AUDIO_TRACK_CHANGED',
-    VOLUME_STEP: 'YT_COMMANDER_VOLUME_STEP'
+    VOLUME_STEP: 'YT_COMMANDER_VOLUME_STEP',
+    SUBSCRIPTION_LABEL_DATA: 'YT_COMMANDER_SUBSCRIPTION_LABEL_DATA',
+    SUBSCRIPTION_LABEL_DATA_REQUEST: 'YT_COMMANDER_SUBSCRIPTION_LABEL_DATA_REQUEST'
 };
 
 // URLs and patterns
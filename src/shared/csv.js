@@ -0,0 +1,47 @@
+/**
+ * Minimal CSV helpers shared by the popup and content scripts.
+ */
+
+/**
+ * Escape CSV cell value.
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+    const text = typeof value === 'string' ? value : String(value ?? '');
+    if (/[",\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Parse a CSV line into fields (simple CSV with quotes).
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function parseCsvLine(line) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i += 1) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i += 1;
+            } else {
+                inQuotes = !inQuotes;
+            }
+            continue;
+        }
+        if (char === ',' && !inQuotes) {
+            values.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    values.push(current);
+    return values;
+}
@@ -0,0 +1,290 @@
+/**
+ * Feed filter rules: which feed videos to hide, dim or highlight.
+ * Shared by the popup editor and the content-side filter engine.
+ */
+
+export const FEED_FILTER_ACTIONS = Object.freeze([
+    { id: 'hide', label: 'Hide' },
+    { id: 'dim', label: 'Dim' },
+    { id: 'highlight', label: 'Highlight' }
+]);
+
+export const FEED_FILTER_SCOPES = Object.freeze([
+    { id: 'home', label: 'Home' },
+    { id: 'subscriptions', label: 'Subscriptions' },
+    { id: 'search', label: 'Search' },
+    { id: 'watch', label: 'Watch sidebar' }
+]);
+
+export const FEED_FILTER_VIDEO_TYPES = Object.freeze(['any', 'shorts', 'long']);
+export const FEED_FILTER_LIVE_STATES = Object.freeze(['any', 'live', 'upcoming', 'not-live']);
+export const FEED_FILTER_WATCHED_STATES = Object.freeze(['any', 'watched', 'unwatched']);
+
+// Rules are saved with the synced settings, where one item is limited to 8 KB.
+export const MAX_FEED_FILTER_RULES = 20;
+
+const MAX_NAME_LENGTH = 60;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_LIST_ITEMS = 30;
+const MAX_LIST_ITEM_LENGTH = 100;
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+const MAX_AGE_DAYS = 36500;
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+
+/**
+ * Normalize a comma-separated string or list into unique trimmed entries.
+ * @param {any} value
+ * @param {boolean} [lowercase=false]
+ * @returns {string[]}
+ */
+function normalizeTextList(value, lowercase = false) {
+    const source = Array.isArray(value) ? value : String(value || '').split(',');
+    return Array.from(new Set(
+        source
+            .map((item) => (typeof item === 'string' ? item.trim().slice(0, MAX_LIST_ITEM_LENGTH) : ''))
+            .map((item) => (lowercase ? item.toLowerCase() : item))
+            .filter(Boolean)
+    )).slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Normalize an optional non-negative bound; 0 means unset.
+ * @param {any} value
+ * @param {number} max
+ * @returns {number}
+ */
+function normalizeBound(value, max) {
+    const parsed = Math.floor(Number(value));
+    return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, max) : 0;
+}
+
+/**
+ * Pick a value from a list of allowed values.
+ * @param {any} value
+ * @param {readonly string[]} allowed
+ * @returns {string}
+ */
+function pickOption(value, allowed) {
+    return allowed.includes(value) ? value : allowed[0];
+}
+
+/**
+ * Create a rule ID.
+ * @returns {string}
+ */
+export function createFeedFilterRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Normalize one stored or edited rule.
+ * Channels are channel IDs, @handles or channel names; keywords match the title case-insensitively.
+ * @param {any} raw
+ * @returns {{id: string, name: string, enabled: boolean, action: string, scopes: string[], channels: string[], categoryIds: string[], titleKeywords: string[], titlePattern: string, minDurationSeconds: number, maxDurationSeconds: number, minAgeDays: number, maxAgeDays: number, videoType: string, liveState: string, watched: string} | null}
+ */
+export function normalizeFeedFilterRule(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return null;
+    }
+    const scopeIds = FEED_FILTER_SCOPES.map((scope) => scope.id);
+    const scopes = Array.isArray(raw.scopes) ? raw.scopes.filter((scope) => scopeIds.includes(scope)) : [];
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createFeedFilterRuleId(),
+        name: typeof raw.name === 'string' ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : '',
+        enabled: raw.enabled !== false,
+        action: pickOption(raw.action, FEED_FILTER_ACTIONS.map((action) => action.id)),
+        scopes: scopes.length > 0 ? Array.from(new Set(scopes)) : scopeIds.slice(),
+        channels: normalizeTextList(raw.channels),
+        categoryIds: normalizeTextList(raw.categoryIds),
+        titleKeywords: normalizeTextList(raw.titleKeywords, true),
+        titlePattern: typeof raw.titlePattern === 'string' ? raw.titlePattern.trim().slice(0, MAX_PATTERN_LENGTH) : '',
+        minDurationSeconds: normalizeBound(raw.minDurationSeconds, MAX_DURATION_SECONDS),
+        maxDurationSeconds: normalizeBound(raw.maxDurationSeconds, MAX_DURATION_SECONDS),
+        minAgeDays: normalizeBound(raw.minAgeDays, MAX_AGE_DAYS),
+        maxAgeDays: normalizeBound(raw.maxAgeDays, MAX_AGE_DAYS),
+        videoType: pickOption(raw.videoType, FEED_FILTER_VIDEO_TYPES),
+        liveState: pickOption(raw.liveState, FEED_FILTER_LIVE_STATES),
+        watched: pickOption(raw.watched, FEED_FILTER_WATCHED_STATES)
+    };
+}
+
+/**
+ * Normalize a stored rule list.
+ * @param {any} raw
+ * @returns {Array<ReturnType<typeof normalizeFeedFilterRule>>}
+ */
+export function normalizeFeedFilterRules(raw) {
+    if (!Array.isArray(raw)) {
+        return [];
+    }
+    const seen = new Set();
+    return raw
+        .map(normalizeFeedFilterRule)
+        .filter((rule) => {
+            if (!rule || seen.has(rule.id)) {
+                return false;
+            }
+            seen.add(rule.id);
+            return true;
+        })
+        .slice(0, MAX_FEED_FILTER_RULES);
+}
+
+/**
+ * Check whether a rule sets at least one condition. Rules without one never match,
+ * so an empty rule cannot hide a whole feed.
+ * @param {ReturnType<typeof normalizeFeedFilterRule>} rule
+ * @returns {boolean}
+ */
+export function hasFeedFilterConditions(rule) {
+    return rule.channels.length > 0
+        || rule.categoryIds.length > 0
+        || rule.titleKeywords.length > 0
+        || Boolean(rule.titlePattern)
+        || rule.minDurationSeconds > 0
+        || rule.maxDurationSeconds > 0
+        || rule.minAgeDays > 0
+        || rule.maxAgeDays > 0
+        || rule.videoType !== 'any'
+        || rule.liveState !== 'any'
+        || rule.watched !== 'any';
+}
+
+/**
+ * Describe why a title pattern cannot be used.
+ * @param {string} pattern
+ * @returns {string} empty when the pattern is valid
+ */
+export function validateFeedFilterPattern(pattern) {
+    if (!pattern) {
+        return '';
+    }
+    try {
+        new RegExp(pattern, 'i');
+        return '';
+    } catch (error) {
+        return error?.message || 'Invalid pattern';
+    }
+}
+
+/**
+ * Prepare enabled rules for repeated matching.
+ * @param {Array<ReturnType<typeof normalizeFeedFilterRule>>} rules
+ * @returns {Array<object>}
+ */
+export function compileFeedFilterRules(rules) {
+    return rules
+        .filter((rule) => rule.enabled && hasFeedFilterConditions(rule) && !validateFeedFilterPattern(rule.titlePattern))
+        .map((rule) => {
+            const channelIds = new Set();
+            const channelPaths = new Set();
+            const channelNames = new Set();
+            rule.channels.forEach((entry) => {
+                if (CHANNEL_ID_PATTERN.test(entry)) {
+                    channelIds.add(entry);
+                } else if (entry.startsWith('@')) {
+                    channelPaths.add(`/@${encodeURIComponent(entry.slice(1))}`.toLowerCase());
+                } else {
+                    channelNames.add(entry.toLowerCase());
+                }
+            });
+            return {
+                id: rule.id,
+                action: rule.action,
+                scopes: new Set(rule.scopes),
+                hasChannels: rule.channels.length > 0,
+                channelIds,
+                channelPaths,
+                channelNames,
+                categoryIds: new Set(rule.categoryIds),
+                titleKeywords: rule.titleKeywords,
+                titlePattern: rule.titlePattern ? new RegExp(rule.titlePattern, 'i') : null,
+                minDurationSeconds: rule.minDurationSeconds,
+                maxDurationSeconds: rule.maxDurationSeconds,
+                minAgeDays: rule.minAgeDays,
+                maxAgeDays: rule.maxAgeDays,
+                videoType: rule.videoType,
+                liveState: rule.liveState,
+                watched: rule.watched,
+                usesWatched: rule.watched !== 'any'
+            };
+        });
+}
+
+/**
+ * Check one video against a compiled rule. Every condition that is set must
+ * match; a condition on a fact the card does not show (duration, age) fails.
+ * The video's category IDs should include parents, so a rule on a parent covers its subcategories.
+ * @param {ReturnType<typeof compileFeedFilterRules>[number]} rule
+ * @param {{scope: string, title: string, channelId: string, channelPath: string, channelName: string, categoryIds: string[], durationSeconds: number|null, ageDays: number|null, isShort: boolean, liveState: string, watched: boolean}} video
+ * @returns {boolean}
+ */
+export function matchesFeedFilterRule(rule, video) {
+    if (!rule.scopes.has(video.scope)) {
+        return false;
+    }
+    if (rule.hasChannels) {
+        const channelMatch = (video.channelId && rule.channelIds.has(video.channelId))
+            || (video.channelPath && rule.channelPaths.has(video.channelPath))
+            || (video.channelName && rule.channelNames.has(video.channelName.toLowerCase()));
+        if (!channelMatch) {
+            return false;
+        }
+    }
+    if (rule.categoryIds.size > 0 && !video.categoryIds.some((id) => rule.categoryIds.has(id))) {
+        return false;
+    }
+    if (rule.titleKeywords.length > 0) {
+        const title = (video.title || '').toLowerCase();
+        if (!rule.titleKeywords.some((keyword) => title.includes(keyword))) {
+            return false;
+        }
+    }
+    if (rule.titlePattern && !rule.titlePattern.test(video.title || '')) {
+        return false;
+    }
+    if (rule.minDurationSeconds || rule.maxDurationSeconds) {
+        if (video.durationSeconds === null) {
+            return false;
+        }
+        if (rule.minDurationSeconds && video.durationSeconds < rule.minDurationSeconds) {
+            return false;
+        }
+        if (rule.maxDurationSeconds && video.durationSeconds > rule.maxDurationSeconds) {
+            return false;
+        }
+    }
+    if (rule.minAgeDays || rule.maxAgeDays) {
+        if (video.ageDays === null) {
+            return false;
+        }
+        if (rule.minAgeDays && video.ageDays < rule.minAgeDays) {
+            return false;
+        }
+        if (rule.maxAgeDays && video.ageDays > rule.maxAgeDays) {
+            return false;
+        }
+    }
+    if (rule.videoType === 'shorts' && !video.isShort) {
+        return false;
+    }
+    if (rule.videoType === 'long' && video.isShort) {
+        return false;
+    }
+    if (rule.liveState === 'live' && video.liveState !== 'live') {
+        return false;
+    }
+    if (rule.liveState === 'upcoming' && video.liveState !== 'upcoming') {
+        return false;
+    }
+    if (rule.liveState === 'not-live' && video.liveState !== 'none') {
+        return false;
+    }
+    if (rule.watched === 'watched' && !video.watched) {
+        return false;
+    }
+    if (rule.watched === 'unwatched' && video.watched) {
+        return false;
+    }
+    return true;
+}
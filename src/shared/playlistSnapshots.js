@@ -0,0 +1,106 @@
+/**
+ * Playlist snapshots: the tracked playlist list and the diff between two
+ * stored snapshots. Shared by the popup and the background snapshot runner.
+ */
+
+export const PLAYLIST_SNAPSHOT_STORAGE_KEYS = Object.freeze({
+    PLAYLISTS: 'playlistSnapshotPlaylists',
+    INTERVAL_HOURS: 'playlistSnapshotIntervalHours',
+    LAST_RUN_AT: 'playlistSnapshotLastRunAt',
+    LAST_ERROR: 'playlistSnapshotLastError'
+});
+
+export const PLAYLIST_SNAPSHOT_INTERVAL_HOURS = Object.freeze([6, 12, 24, 72, 168]);
+export const DEFAULT_PLAYLIST_SNAPSHOT_INTERVAL_HOURS = 24;
+export const MAX_TRACKED_PLAYLISTS = 20;
+// Unchanged runs only refresh the newest snapshot, so this counts changes, not runs.
+export const PLAYLIST_SNAPSHOT_RETENTION = 30;
+
+const PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,120}$/;
+
+/**
+ * Normalize the stored snapshot interval.
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizePlaylistSnapshotInterval(value) {
+    const hours = Number(value);
+    return PLAYLIST_SNAPSHOT_INTERVAL_HOURS.includes(hours) ? hours : DEFAULT_PLAYLIST_SNAPSHOT_INTERVAL_HOURS;
+}
+
+/**
+ * Normalize the stored list of tracked playlists.
+ * @param {any} raw
+ * @returns {Array<{playlistId: string, title: string}>}
+ */
+export function normalizeTrackedPlaylists(raw) {
+    if (!Array.isArray(raw)) {
+        return [];
+    }
+    const seen = new Set();
+    return raw
+        .map((entry) => ({
+            playlistId: typeof entry?.playlistId === 'string' ? entry.playlistId.trim() : '',
+            title: typeof entry?.title === 'string' ? entry.title.trim() : ''
+        }))
+        .filter((entry) => {
+            if (!PLAYLIST_ID_PATTERN.test(entry.playlistId) || seen.has(entry.playlistId)) {
+                return false;
+            }
+            seen.add(entry.playlistId);
+            return true;
+        })
+        .slice(0, MAX_TRACKED_PLAYLISTS);
+}
+
+/**
+ * Turn loaded playlist entries into snapshot entries. Unavailable entries only
+ * carry placeholder titles such as "[Private video]", so they keep the title and
+ * channel from the previous snapshot when it had them.
+ * @param {Array<{videoId: string, title: string, channelName: string, channelId: string, isPlayable: boolean}>} items
+ * @param {Array<{videoId: string, title: string, channelName: string, channelId: string, available: boolean}>} previousEntries
+ * @returns {Array<{videoId: string, title: string, channelName: string, channelId: string, available: boolean}>}
+ */
+export function buildPlaylistSnapshotEntries(items, previousEntries) {
+    const previousById = new Map(previousEntries.map((entry) => [entry.videoId, entry]));
+    return items.map((item) => {
+        const available = item.isPlayable !== false;
+        const previous = previousById.get(item.videoId);
+        const known = !available && previous?.title ? previous : item;
+        return {
+            videoId: item.videoId,
+            title: known.title || '',
+            channelName: known.channelName || '',
+            channelId: known.channelId || '',
+            available
+        };
+    });
+}
+
+/**
+ * Compare two snapshots of one playlist.
+ * @param {Array<{videoId: string, available: boolean}>} olderEntries
+ * @param {Array<{videoId: string, available: boolean}>} newerEntries
+ * @returns {{added: Array<object>, removed: Array<object>, unavailable: Array<object>, restored: Array<object>}}
+ */
+export function diffPlaylistSnapshots(olderEntries, newerEntries) {
+    const olderById = new Map(olderEntries.map((entry) => [entry.videoId, entry]));
+    const newerById = new Map(newerEntries.map((entry) => [entry.videoId, entry]));
+    return {
+        added: Array.from(newerById.values()).filter((entry) => !olderById.has(entry.videoId)),
+        removed: Array.from(olderById.values()).filter((entry) => !newerById.has(entry.videoId)),
+        unavailable: Array.from(newerById.values())
+            .filter((entry) => !entry.available && olderById.get(entry.videoId)?.available === true),
+        restored: Array.from(newerById.values())
+            .filter((entry) => entry.available && olderById.get(entry.videoId)?.available === false)
+    };
+}
+
+/**
+ * Check whether a snapshot diff found any change.
+ * @param {ReturnType<typeof diffPlaylistSnapshots>} diff
+ * @returns {boolean}
+ */
+export function isPlaylistSnapshotDiffEmpty(diff) {
+    return Object.values(diff).every((entries) => entries.length === 0);
+}
@@ -0,0 +1,152 @@
+/**
+ * Rule evaluation for smart categories, which assign channels automatically.
+ */
+
+/**
+ * Parse count label to numeric value.
+ * @param {string | number | null | undefined} value
+ * @returns {number}
+ */
+export function parseCountValue(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value;
+    }
+    const text = String(value ?? '').trim();
+    if (!text || text === '-' || text.startsWith('@')) {
+        return 0;
+    }
+    const cleaned = text.replace(/,/g, '').replace(/subscribers?/i, '').trim();
+    const match = cleaned.match(/([\d.]+)\s*([kmb])?/i);
+    if (!match) {
+        return 0;
+    }
+    let numberValue = parseFloat(match[1]);
+    if (!Number.isFinite(numberValue)) {
+        return 0;
+    }
+    const suffix = (match[2] || '').toLowerCase();
+    if (suffix === 'k') {
+        numberValue *= 1000;
+    } else if (suffix === 'm') {
+        numberValue *= 1000000;
+    } else if (suffix === 'b') {
+        numberValue *= 1000000000;
+    }
+    return numberValue;
+}
+
+/**
+ * Compile a case-insensitive rule pattern.
+ * @param {string} pattern
+ * @returns {RegExp|null} null when the pattern is empty or invalid
+ */
+export function compileSmartPattern(pattern) {
+    if (!pattern) {
+        return null;
+    }
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (_error) {
+        return null;
+    }
+}
+
+/**
+ * Describe why a pattern cannot be used.
+ * @param {string} pattern
+ * @returns {string} empty when the pattern is valid
+ */
+export function validateSmartPattern(pattern) {
+    if (!pattern) {
+        return '';
+    }
+    try {
+        new RegExp(pattern, 'i');
+        return '';
+    } catch (error) {
+        return error?.message || 'Invalid pattern';
+    }
+}
+
+/**
+ * Prepare rules for repeated matching.
+ * @param {{titlePattern: string, handlePattern: string, minSubscribers: string, maxSubscribers: string, descriptionKeywords: string[]}} rules
+ * @returns {{title: RegExp|null, handle: RegExp|null, invalid: boolean, minSubscribers: number, maxSubscribers: number, keywords: string[]}}
+ */
+function compileSmartRules(rules) {
+    const title = compileSmartPattern(rules.titlePattern);
+    const handle = compileSmartPattern(rules.handlePattern);
+    return {
+        title,
+        handle,
+        invalid: (Boolean(rules.titlePattern) && !title) || (Boolean(rules.handlePattern) && !handle),
+        minSubscribers: rules.minSubscribers ? parseCountValue(rules.minSubscribers) : 0,
+        maxSubscribers: rules.maxSubscribers ? parseCountValue(rules.maxSubscribers) : 0,
+        keywords: rules.descriptionKeywords
+    };
+}
+
+/**
+ * Check a channel against compiled rules. Every rule that is set must match;
+ * description keywords match when any one of them appears.
+ * @param {ReturnType<typeof compileSmartRules>} compiled
+ * @param {{title: string, handle: string, description: string, subscriberCount: string}} fields
+ * @returns {boolean}
+ */
+function matchesCompiledRules(compiled, fields) {
+    if (compiled.invalid) {
+        return false;
+    }
+    if (compiled.title && !compiled.title.test(fields.title || '')) {
+        return false;
+    }
+    if (compiled.handle && !compiled.handle.test((fields.handle || '').replace(/^@/, ''))) {
+        return false;
+    }
+    if (compiled.minSubscribers || compiled.maxSubscribers) {
+        const subscribers = parseCountValue(fields.subscriberCount);
+        if (compiled.minSubscribers && subscribers < compiled.minSubscribers) {
+            return false;
+        }
+        if (compiled.maxSubscribers && subscribers > compiled.maxSubscribers) {
+            return false;
+        }
+    }
+    if (compiled.keywords.length > 0) {
+        const description = (fields.description || '').toLowerCase();
+        return compiled.keywords.some((keyword) => description.includes(keyword));
+    }
+    return true;
+}
+
+/**
+ * Compute smart category membership for every channel.
+ * @param {Array<{id: string, rules?: object}>} categories
+ * @param {Array<object>} channels
+ * @param {(channel: object) => {title: string, handle: string, description: string, subscriberCount: string}} readFields
+ * @returns {Map<string, string[]>} channel ID -> smart category IDs
+ */
+export function computeSmartMembership(categories, channels, readFields) {
+    const membership = new Map();
+    const smart = categories
+        .filter((category) => category.rules)
+        .map((category) => ({ id: category.id, compiled: compileSmartRules(category.rules) }));
+    if (smart.length === 0) {
+        return membership;
+    }
+
+    channels.forEach((channel) => {
+        const channelId = channel?.channelId || '';
+        if (!channelId) {
+            return;
+        }
+        const fields = readFields(channel);
+        const matched = smart
+            .filter(({ compiled }) => matchesCompiledRules(compiled, fields))
+            .map(({ id }) => id);
+        if (matched.length > 0) {
+            membership.set(channelId, matched);
+        }
+    });
+    return membership;
+}
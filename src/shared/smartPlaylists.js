@@ -0,0 +1,258 @@
+/**
+ * Smart playlists: saved rules whose matching uploads are synced into a real
+ * YouTube playlist. Shared by the popup editor and the background runner.
+ */
+
+export const SMART_PLAYLIST_STORAGE_KEYS = Object.freeze({
+    PLAYLISTS: 'smartPlaylists',
+    STATE: 'smartPlaylistState'
+});
+
+export const SMART_PLAYLIST_INTERVAL_HOURS = Object.freeze([1, 3, 6, 12, 24]);
+export const MAX_SMART_PLAYLISTS = 10;
+// Uploads are read from each channel's page, one request per channel.
+export const MAX_SMART_PLAYLIST_CHANNELS = 50;
+export const SMART_PLAYLIST_LOG_LIMIT = 20;
+
+const DEFAULT_INTERVAL_HOURS = 6;
+const DEFAULT_MAX_VIDEOS = 50;
+const MAX_VIDEOS_LIMIT = 200;
+const MAX_NAME_LENGTH = 60;
+const MAX_AGE_DAYS = 365;
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+const MAX_DISMISSED_VIDEO_IDS = 500;
+const CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize an optional non-negative bound; 0 means unset.
+ * @param {any} value
+ * @param {number} max
+ * @returns {number}
+ */
+function normalizeBound(value, max) {
+    const parsed = Math.floor(Number(value));
+    return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, max) : 0;
+}
+
+/**
+ * Normalize a comma-separated string or list into unique trimmed entries.
+ * @param {any} value
+ * @returns {string[]}
+ */
+function normalizeIdList(value) {
+    const source = Array.isArray(value) ? value : String(value || '').split(',');
+    return Array.from(new Set(
+        source
+            .map((item) => (typeof item === 'string' ? item.trim() : ''))
+            .filter(Boolean)
+    ));
+}
+
+/**
+ * Create a smart playlist ID.
+ * @returns {string}
+ */
+export function createSmartPlaylistId() {
+    return `smart-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Normalize one stored or edited smart playlist.
+ * @param {any} raw
+ * @returns {{id: string, name: string, enabled: boolean, targetPlaylistId: string, targetPlaylistTitle: string, categoryIds: string[], channelIds: string[], maxAgeDays: number, minDurationSeconds: number, maxDurationSeconds: number, excludeWatched: boolean, excludeShorts: boolean, pruneWatched: boolean, pruneUnmatched: boolean, maxVideos: number, intervalHours: number} | null}
+ */
+export function normalizeSmartPlaylist(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return null;
+    }
+    const maxVideos = normalizeBound(raw.maxVideos, MAX_VIDEOS_LIMIT);
+    const intervalHours = Number(raw.intervalHours);
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createSmartPlaylistId(),
+        name: typeof raw.name === 'string' ? raw.name.trim().slice(0, MAX_NAME_LENGTH) : '',
+        enabled: raw.enabled !== false,
+        targetPlaylistId: typeof raw.targetPlaylistId === 'string' ? raw.targetPlaylistId.trim() : '',
+        targetPlaylistTitle: typeof raw.targetPlaylistTitle === 'string' ? raw.targetPlaylistTitle.trim() : '',
+        categoryIds: normalizeIdList(raw.categoryIds),
+        channelIds: normalizeIdList(raw.channelIds).filter((channelId) => CHANNEL_ID_PATTERN.test(channelId)),
+        maxAgeDays: normalizeBound(raw.maxAgeDays, MAX_AGE_DAYS),
+        minDurationSeconds: normalizeBound(raw.minDurationSeconds, MAX_DURATION_SECONDS),
+        maxDurationSeconds: normalizeBound(raw.maxDurationSeconds, MAX_DURATION_SECONDS),
+        excludeWatched: raw.excludeWatched !== false,
+        excludeShorts: raw.excludeShorts !== false,
+        pruneWatched: raw.pruneWatched === true,
+        pruneUnmatched: raw.pruneUnmatched === true,
+        maxVideos: maxVideos || DEFAULT_MAX_VIDEOS,
+        intervalHours: SMART_PLAYLIST_INTERVAL_HOURS.includes(intervalHours) ? intervalHours : DEFAULT_INTERVAL_HOURS
+    };
+}
+
+/**
+ * Normalize a stored smart playlist list.
+ * @param {any} raw
+ * @returns {Array<ReturnType<typeof normalizeSmartPlaylist>>}
+ */
+export function normalizeSmartPlaylists(raw) {
+    if (!Array.isArray(raw)) {
+        return [];
+    }
+    const seen = new Set();
+    return raw
+        .map(normalizeSmartPlaylist)
+        .filter((playlist) => {
+            if (!playlist || seen.has(playlist.id)) {
+                return false;
+            }
+            seen.add(playlist.id);
+            return true;
+        })
+        .slice(0, MAX_SMART_PLAYLISTS);
+}
+
+/**
+ * Describe why a smart playlist cannot run.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @returns {string} empty when it can run
+ */
+export function validateSmartPlaylist(playlist) {
+    if (!playlist.targetPlaylistId) {
+        return 'Choose a target playlist.';
+    }
+    if (playlist.categoryIds.length === 0 && playlist.channelIds.length === 0) {
+        return 'Pick at least one category or channel.';
+    }
+    if (playlist.minDurationSeconds && playlist.maxDurationSeconds && playlist.minDurationSeconds > playlist.maxDurationSeconds) {
+        return 'The minimum duration is longer than the maximum.';
+    }
+    return '';
+}
+
+/**
+ * Resolve the channels a smart playlist reads uploads from.
+ * A category also covers its sub-categories. Only the first
+ * MAX_SMART_PLAYLIST_CHANNELS are read; `skippedCount` reports the rest.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @param {{categories: Array<{id: string, parentId?: string}>, channelCategories: Record<string, string[]>}} categoryIndex
+ * @returns {{channelIds: string[], skippedCount: number}}
+ */
+export function resolveSmartPlaylistChannelIds(playlist, categoryIndex) {
+    const channelIds = new Set(playlist.channelIds);
+    if (playlist.categoryIds.length > 0) {
+        const wanted = new Set(playlist.categoryIds);
+        const parentById = new Map(categoryIndex.categories
+            .filter((category) => category.parentId)
+            .map((category) => [category.id, category.parentId]));
+        Object.entries(categoryIndex.channelCategories).forEach(([channelId, ids]) => {
+            if (ids.some((id) => wanted.has(id) || wanted.has(parentById.get(id)))) {
+                channelIds.add(channelId);
+            }
+        });
+    }
+    const allChannelIds = Array.from(channelIds);
+    return {
+        channelIds: allChannelIds.slice(0, MAX_SMART_PLAYLIST_CHANNELS),
+        skippedCount: Math.max(0, allChannelIds.length - MAX_SMART_PLAYLIST_CHANNELS)
+    };
+}
+
+/**
+ * Check one video against a smart playlist. Facts a source does not carry
+ * (null duration, null age, unknown Shorts flag) do not fail their condition,
+ * except that a maximum age needs a known upload date.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @param {{videoId: string, channelId: string, durationSeconds: number|null, publishedAt: number|null, isShort: boolean|null}} video
+ * @param {{channelIds: Set<string>, watchedIds: Set<string>, now: number}} context
+ * @returns {boolean}
+ */
+export function matchesSmartPlaylist(playlist, video, context) {
+    if (!context.channelIds.has(video.channelId)) {
+        return false;
+    }
+    if (playlist.maxAgeDays) {
+        if (!Number.isFinite(video.publishedAt) || context.now - video.publishedAt > playlist.maxAgeDays * DAY_MS) {
+            return false;
+        }
+    }
+    if (Number.isFinite(video.durationSeconds)) {
+        if (playlist.minDurationSeconds && video.durationSeconds < playlist.minDurationSeconds) {
+            return false;
+        }
+        if (playlist.maxDurationSeconds && video.durationSeconds > playlist.maxDurationSeconds) {
+            return false;
+        }
+    }
+    if (playlist.excludeShorts && video.isShort === true) {
+        return false;
+    }
+    if (playlist.excludeWatched && context.watchedIds.has(video.videoId)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Work out what one sync run adds and removes.
+ * Only entries the smart playlist added itself are ever pruned, and entries
+ * removed by hand or pruned are remembered so they are not added again.
+ * @param {ReturnType<typeof normalizeSmartPlaylist>} playlist
+ * @param {{
+ *   candidates: Array<object>,
+ *   currentItems: Array<object>,
+ *   channelIds: Set<string>,
+ *   watchedIds: Set<string>,
+ *   managedVideoIds: string[],
+ *   dismissedVideoIds: string[],
+ *   now: number
+ * }} input
+ * @returns {{matchedCount: number, addVideoIds: string[], removeVideoIds: string[], dismissedVideoIds: string[]}}
+ */
+export function planSmartPlaylistSync(playlist, input) {
+    const context = { channelIds: input.channelIds, watchedIds: input.watchedIds, now: input.now };
+    const currentIds = new Set(input.currentItems.map((item) => item.videoId));
+    const managed = new Set(input.managedVideoIds);
+    const dismissed = new Set(input.dismissedVideoIds);
+    managed.forEach((videoId) => {
+        if (!currentIds.has(videoId)) {
+            dismissed.add(videoId);
+        }
+    });
+
+    const seen = new Set();
+    const matches = input.candidates
+        .filter((video) => {
+            if (seen.has(video.videoId) || !matchesSmartPlaylist(playlist, video, context)) {
+                return false;
+            }
+            seen.add(video.videoId);
+            return true;
+        })
+        .sort((a, b) => (Number.isFinite(b.publishedAt) ? b.publishedAt : 0) - (Number.isFinite(a.publishedAt) ? a.publishedAt : 0))
+        .slice(0, playlist.maxVideos);
+
+    // The watched condition is left to pruneWatched so the two options stay independent.
+    const unmatchedRules = { ...playlist, excludeWatched: false };
+    const candidateById = new Map(input.candidates.map((video) => [video.videoId, video]));
+    const stillMatches = (item) => {
+        const video = candidateById.get(item.videoId) || { ...item, isShort: null };
+        // An entry whose upload date could not be read is kept rather than pruned for age.
+        const rules = Number.isFinite(video.publishedAt) ? unmatchedRules : { ...unmatchedRules, maxAgeDays: 0 };
+        return matchesSmartPlaylist(rules, video, context);
+    };
+    const removeVideoIds = input.currentItems
+        .filter((item) => managed.has(item.videoId))
+        .filter((item) => (playlist.pruneWatched && input.watchedIds.has(item.videoId))
+            || (playlist.pruneUnmatched && !stillMatches(item)))
+        .map((item) => item.videoId);
+    // Pruned videos are dismissed so a later run does not add them back.
+    removeVideoIds.forEach((videoId) => dismissed.add(videoId));
+
+    return {
+        matchedCount: matches.length,
+        addVideoIds: matches
+            .map((video) => video.videoId)
+            .filter((videoId) => !currentIds.has(videoId) && !dismissed.has(videoId)),
+        removeVideoIds,
+        dismissedVideoIds: Array.from(dismissed).slice(-MAX_DISMISSED_VIDEO_IDS)
+    };
+}
@@ -0,0 +1,136 @@
+/**
+ * Shared shape of Subscription Manager categories.
+ * A category may sit under one top-level parent and may carry smart rules
+ * that assign channels automatically.
+ */
+
+export const CATEGORY_PATH_SEPARATOR = ' > ';
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_COUNT_INPUT_LENGTH = 16;
+const MAX_KEYWORDS = 20;
+
+/**
+ * Trim and clamp a text value.
+ * @param {any} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function readBoundedText(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * Normalize smart category rules. Rules left empty are ignored.
+ * @param {any} raw
+ * @returns {{titlePattern: string, handlePattern: string, minSubscribers: string, maxSubscribers: string, descriptionKeywords: string[]} | null}
+ *   null when no rule is set
+ */
+export function normalizeSmartRules(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return null;
+    }
+
+    const keywordSource = Array.isArray(raw.descriptionKeywords)
+        ? raw.descriptionKeywords
+        : String(raw.descriptionKeywords || '').split(',');
+    const descriptionKeywords = Array.from(new Set(
+        keywordSource
+            .map((keyword) => readBoundedText(keyword, MAX_PATTERN_LENGTH).toLowerCase())
+            .filter(Boolean)
+    )).slice(0, MAX_KEYWORDS);
+
+    const rules = {
+        titlePattern: readBoundedText(raw.titlePattern, MAX_PATTERN_LENGTH),
+        handlePattern: readBoundedText(raw.handlePattern, MAX_PATTERN_LENGTH),
+        minSubscribers: readBoundedText(raw.minSubscribers, MAX_COUNT_INPUT_LENGTH),
+        maxSubscribers: readBoundedText(raw.maxSubscribers, MAX_COUNT_INPUT_LENGTH),
+        descriptionKeywords
+    };
+    const hasRule = rules.titlePattern
+        || rules.handlePattern
+        || rules.minSubscribers
+        || rules.maxSubscribers
+        || rules.descriptionKeywords.length > 0;
+    return hasRule ? rules : null;
+}
+
+/**
+ * Normalize a stored or synced category list.
+ * Nesting is one level deep: a parent must exist and be top-level itself,
+ * otherwise the category is moved to the top level.
+ * @param {any} raw
+ * @param {(name: string) => string} [resolveColor] Fallback color for categories without one.
+ * @returns {Array<{id: string, name: string, color: string, parentId?: string, rules?: object}>}
+ */
+export function normalizeCategoryList(raw, resolveColor = () => '') {
+    if (!Array.isArray(raw)) {
+        return [];
+    }
+
+    const list = raw
+        .map((item) => {
+            if (!item || typeof item !== 'object') {
+                return null;
+            }
+            const id = typeof item.id === 'string' ? item.id.trim() : '';
+            const name = typeof item.name === 'string' ? item.name.trim() : '';
+            const color = typeof item.color === 'string' ? item.color : '';
+            if (!id || !name) {
+                return null;
+            }
+            return {
+                id,
+                name,
+                color: color || resolveColor(name),
+                parentId: typeof item.parentId === 'string' ? item.parentId.trim() : '',
+                rules: normalizeSmartRules(item.rules)
+            };
+        })
+        .filter(Boolean);
+
+    const ids = new Set(list.map((category) => category.id));
+    const topLevelIds = new Set(
+        list
+            .filter((category) => !category.parentId || category.parentId === category.id || !ids.has(category.parentId))
+            .map((category) => category.id)
+    );
+
+    return list.map(({ parentId, rules, ...category }) => {
+        const next = { ...category };
+        if (parentId && parentId !== category.id && topLevelIds.has(parentId)) {
+            next.parentId = parentId;
+        }
+        if (rules) {
+            next.rules = rules;
+        }
+        return next;
+    });
+}
+
+/**
+ * Format a category as "Parent > Child" for exports.
+ * @param {{name: string, parentId?: string}} category
+ * @param {Map<string, {name: string}>} categoriesById
+ * @returns {string}
+ */
+export function formatCategoryPath(category, categoriesById) {
+    const parent = category.parentId ? categoriesById.get(category.parentId) : null;
+    return parent ? `${parent.name}${CATEGORY_PATH_SEPARATOR}${category.name}` : category.name;
+}
+
+/**
+ * Split "Parent > Child" into names. Only the first separator nests.
+ * @param {string} path
+ * @returns {{parentName: string, name: string}}
+ */
+export function parseCategoryPath(path) {
+    const text = typeof path === 'string' ? path.trim() : '';
+    const index = text.indexOf(CATEGORY_PATH_SEPARATOR.trim());
+    if (index <= 0) {
+        return { parentName: '', name: text };
+    }
+    const parentName = text.slice(0, index).trim();
+    const name = text.slice(index + 1).trim();
+    return name ? { parentName, name } : { parentName: '', name: parentName };
+}
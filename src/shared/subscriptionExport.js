@@ -0,0 +1,238 @@
+/**
+ * Subscription exports for feed readers and other YouTube clients.
+ * Shared by the popup and the Subscription Manager so both produce identical files.
+ */
+
+import { escapeCsvValue } from './csv.js';
+import { formatCategoryPath } from './subscriptionCategories.js';
+
+export const SUBSCRIPTION_EXPORT_FORMATS = Object.freeze([
+    { id: 'opml', label: 'OPML (RSS feeds)' },
+    { id: 'newpipe', label: 'NewPipe JSON' },
+    { id: 'freetube', label: 'FreeTube .db' },
+    { id: 'takeout', label: 'Google Takeout CSV' }
+]);
+
+const FEED_URL_PREFIX = 'https://www.youtube.com/feeds/videos.xml?channel_id=';
+const CHANNEL_URL_PREFIX = 'https://www.youtube.com/channel/';
+// NewPipe refuses imports without a version; this matches a current release.
+const NEWPIPE_APP_VERSION = '0.27.6';
+const NEWPIPE_APP_VERSION_INT = 1005;
+const FREETUBE_ALL_CHANNELS_ID = 'allChannels';
+const UNCATEGORIZED_LABEL = 'Uncategorized';
+
+/**
+ * Escape text for an XML attribute.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Keep channels that have an ID, once each.
+ * @param {Array<object>} channels
+ * @returns {Array<{channelId: string, title: string, avatar: string}>}
+ */
+function readExportChannels(channels) {
+    const seen = new Set();
+    const list = [];
+    (Array.isArray(channels) ? channels : []).forEach((channel) => {
+        const channelId = typeof channel?.channelId === 'string' ? channel.channelId : '';
+        if (!channelId || seen.has(channelId)) {
+            return;
+        }
+        seen.add(channelId);
+        const avatar = typeof channel.avatar === 'string' ? channel.avatar : '';
+        list.push({
+            channelId,
+            title: typeof channel.title === 'string' && channel.title ? channel.title : channelId,
+            avatar: avatar.startsWith('//') ? `https:${avatar}` : avatar
+        });
+    });
+    return list;
+}
+
+/**
+ * Group channels by category path, with uncategorized channels last.
+ * A channel in several categories is listed in each of them.
+ * @param {Array<{channelId: string}>} channels
+ * @param {Array<{id: string, name: string, parentId?: string}>} categories
+ * @param {(channelId: string) => string[]} readCategoryIds
+ * @returns {Array<{id: string, name: string, channels: Array<object>}>}
+ */
+function groupByCategory(channels, categories, readCategoryIds) {
+    const categoriesById = new Map(categories.map((category) => [category.id, category]));
+    const groups = new Map(categories.map((category) => [category.id, {
+        id: category.id,
+        name: formatCategoryPath(category, categoriesById),
+        channels: []
+    }]));
+    const uncategorized = { id: '', name: UNCATEGORIZED_LABEL, channels: [] };
+
+    channels.forEach((channel) => {
+        const ids = readCategoryIds(channel.channelId).filter((id) => groups.has(id));
+        if (ids.length === 0) {
+            uncategorized.channels.push(channel);
+            return;
+        }
+        ids.forEach((id) => groups.get(id).channels.push(channel));
+    });
+
+    return [...groups.values(), uncategorized].filter((group) => group.channels.length > 0);
+}
+
+/**
+ * Build an OPML outline list with one group per category.
+ * @param {Array<object>} channels
+ * @param {Array<object>} categories
+ * @param {(channelId: string) => string[]} readCategoryIds
+ * @returns {string}
+ */
+function buildOpml(channels, categories, readCategoryIds) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="1.1">',
+        '    <head>',
+        '        <title>YouTube subscriptions</title>',
+        `        <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '    </head>',
+        '    <body>'
+    ];
+    groupByCategory(channels, categories, readCategoryIds).forEach((group) => {
+        const name = escapeXml(group.name);
+        lines.push(`        <outline text="${name}" title="${name}">`);
+        group.channels.forEach((channel) => {
+            const title = escapeXml(channel.title);
+            lines.push(`            <outline type="rss" text="${title}" title="${title}" `
+                + `xmlUrl="${FEED_URL_PREFIX}${channel.channelId}" htmlUrl="${CHANNEL_URL_PREFIX}${channel.channelId}"/>`);
+        });
+        lines.push('        </outline>');
+    });
+    lines.push('    </body>', '</opml>');
+    return lines.join('\n');
+}
+
+/**
+ * Build a NewPipe subscription export. NewPipe has no categories in this format.
+ * @param {Array<object>} channels
+ * @returns {string}
+ */
+function buildNewPipe(channels) {
+    return JSON.stringify({
+        app_version: NEWPIPE_APP_VERSION,
+        app_version_int: NEWPIPE_APP_VERSION_INT,
+        subscriptions: channels.map((channel) => ({
+            service_id: 0,
+            url: `${CHANNEL_URL_PREFIX}${channel.channelId}`,
+            name: channel.title
+        }))
+    }, null, 2);
+}
+
+/**
+ * Build a FreeTube profiles database: one JSON object per line.
+ * Every category becomes a profile next to the required "All Channels" profile.
+ * @param {Array<object>} channels
+ * @param {Array<object>} categories
+ * @param {(channelId: string) => string[]} readCategoryIds
+ * @returns {string}
+ */
+function buildFreeTube(channels, categories, readCategoryIds) {
+    const toSubscription = (channel) => ({
+        id: channel.channelId,
+        name: channel.title,
+        thumbnail: channel.avatar
+    });
+    const profiles = [{
+        name: 'All Channels',
+        bgColor: '#000000',
+        textColor: '#FFFFFF',
+        subscriptions: channels.map(toSubscription),
+        _id: FREETUBE_ALL_CHANNELS_ID
+    }];
+    groupByCategory(channels, categories, readCategoryIds)
+        .filter((group) => group.id)
+        .forEach((group) => {
+            profiles.push({
+                name: group.name,
+                bgColor: '#3f3f3f',
+                textColor: '#FFFFFF',
+                subscriptions: group.channels.map(toSubscription),
+                _id: `ytc-${group.id}`
+            });
+        });
+    return `${profiles.map((profile) => JSON.stringify(profile)).join('\n')}\n`;
+}
+
+/**
+ * Build a Google Takeout compatible subscriptions.csv.
+ * @param {Array<object>} channels
+ * @returns {string}
+ */
+function buildTakeoutCsv(channels) {
+    const lines = ['Channel Id,Channel Url,Channel Title'];
+    channels.forEach((channel) => {
+        lines.push([
+            channel.channelId,
+            `http://www.youtube.com/channel/${channel.channelId}`,
+            escapeCsvValue(channel.title)
+        ].join(','));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build an export file.
+ * @param {'opml'|'newpipe'|'freetube'|'takeout'} format
+ * @param {{channels: Array<object>, categories: Array<object>, readCategoryIds: (channelId: string) => string[]}} data
+ * @returns {{content: string, filename: string, mimeType: string, count: number}}
+ */
+export function buildSubscriptionExport(format, data) {
+    const channels = readExportChannels(data.channels);
+    if (channels.length === 0) {
+        throw new Error('No channels found to export.');
+    }
+    const categories = Array.isArray(data.categories) ? data.categories : [];
+    const readCategoryIds = typeof data.readCategoryIds === 'function' ? data.readCategoryIds : () => [];
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'opml') {
+        return {
+            content: buildOpml(channels, categories, readCategoryIds),
+            filename: `yt-commander-subscriptions-${date}.opml`,
+            mimeType: 'text/x-opml;charset=utf-8',
+            count: channels.length
+        };
+    }
+    if (format === 'newpipe') {
+        return {
+            content: buildNewPipe(channels),
+            filename: `newpipe-subscriptions-${date}.json`,
+            mimeType: 'application/json;charset=utf-8',
+            count: channels.length
+        };
+    }
+    if (format === 'freetube') {
+        return {
+            content: buildFreeTube(channels, categories, readCategoryIds),
+            filename: `freetube-subscriptions-${date}.db`,
+            mimeType: 'application/octet-stream',
+            count: channels.length
+        };
+    }
+    if (format === 'takeout') {
+        return {
+            content: buildTakeoutCsv(channels),
+            filename: 'subscriptions.csv',
+            mimeType: 'text/csv;charset=utf-8',
+            count: channels.length
+        };
+    }
+    throw new Error('Unsupported export format.');
+}
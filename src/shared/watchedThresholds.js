@@ -0,0 +1,89 @@
+/**
+ * Shared rules for when a played video counts as watched.
+ */
+
+export const WATCHED_THRESHOLD_MODES = Object.freeze(['play', 'percent', 'seconds', 'end']);
+
+// Marking on first play stays the default; percent and seconds only prefill the other modes.
+export const DEFAULT_WATCHED_THRESHOLDS = Object.freeze({
+    long: Object.freeze({ mode: 'play', percent: 50, seconds: 60 }),
+    shorts: Object.freeze({ mode: 'play', percent: 80, seconds: 10 })
+});
+
+const END_MARGIN_SECONDS = 1.5;
+
+/**
+ * Clamp an integer setting value.
+ * @param {any} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clampInteger(value, min, max, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isFinite(parsed)) {
+        return fallback;
+    }
+    return Math.min(max, Math.max(min, parsed));
+}
+
+/**
+ * Normalize one rule ({mode, percent, seconds}).
+ * @param {any} raw
+ * @param {{mode: string, percent: number, seconds: number}} fallback
+ * @returns {{mode: string, percent: number, seconds: number}}
+ */
+function normalizeRule(raw, fallback) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    return {
+        mode: WATCHED_THRESHOLD_MODES.includes(source.mode) ? source.mode : fallback.mode,
+        percent: clampInteger(source.percent, 1, 100, fallback.percent),
+        seconds: clampInteger(source.seconds, 1, 36000, fallback.seconds)
+    };
+}
+
+/**
+ * Normalize stored watched thresholds for long-form videos and Shorts.
+ * @param {any} raw
+ * @returns {{long: {mode: string, percent: number, seconds: number}, shorts: {mode: string, percent: number, seconds: number}}}
+ */
+export function normalizeWatchedThresholds(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    return {
+        long: normalizeRule(source.long, DEFAULT_WATCHED_THRESHOLDS.long),
+        shorts: normalizeRule(source.shorts, DEFAULT_WATCHED_THRESHOLDS.shorts)
+    };
+}
+
+/**
+ * Check whether playback progress satisfies a rule.
+ * `maxPositionSeconds` must only advance through continuous playback, so seeks and
+ * resume jumps never count. Shorts loop without firing `ended`, so playing into the
+ * last moments also counts as the end.
+ * @param {{mode: string, percent: number, seconds: number}} rule
+ * @param {{playedSeconds: number, maxPositionSeconds: number, durationSeconds: number, ended: boolean}} progress
+ * @returns {boolean}
+ */
+export function isWatchedThresholdMet(rule, progress) {
+    const duration = Number(progress.durationSeconds);
+    const hasDuration = Number.isFinite(duration) && duration > 0;
+    const reachedEnd = progress.ended === true
+        || (hasDuration && progress.maxPositionSeconds >= duration - END_MARGIN_SECONDS);
+
+    switch (rule.mode) {
+        case 'play':
+            return true;
+        case 'seconds':
+            return progress.playedSeconds >= rule.seconds || reachedEnd;
+        case 'end':
+            return reachedEnd;
+        case 'percent':
+        default:
+            // A video resumed near the end never plays the full percentage, so the end counts too.
+            if (!hasDuration) {
+                return reachedEnd;
+            }
+            return reachedEnd || (progress.playedSeconds / duration) * 100 >= rule.percent;
+    }
+}
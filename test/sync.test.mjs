@@ -0,0 +1,360 @@
+/**
+ * End-to-end checks for watched-history and subscription sync.
+ * src/background/cloudSync.js runs against mock-sync-worker.mjs, with
+ * chrome.* stubbed in memory and fetch routed to the mock Worker.
+ *
+ * Run with `npm test`.
+ */
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockSyncServer } from '../mock-sync-worker.mjs';
+
+const SYNC_HOST = 'sync.test';
+const TAB_ID = 7;
+const ACCOUNT_A = 'ytch:UCaaaaaaaaaaaaaaaaaaaaaa';
+const ACCOUNT_B = 'ytch:UCbbbbbbbbbbbbbbbbbbbbbb';
+// Smaller than the client's page limit, so every pull spans several pages.
+const MOCK_PAGE_SIZE = 2;
+
+const storage = new Map();
+const localHistory = new Map();
+const requests = [];
+let subscriptionChannels = [];
+let mockOrigin = '';
+let sync = null;
+
+const realFetch = globalThis.fetch;
+const server = createMockSyncServer({ pageSize: MOCK_PAGE_SIZE });
+
+/**
+ * Answer a chrome.* call through its callback and its returned promise.
+ * @param {any} value
+ * @param {Function|undefined} callback
+ * @returns {Promise<any>}
+ */
+function reply(value, callback) {
+    if (typeof callback === 'function') {
+        queueMicrotask(() => callback(value));
+    }
+    return Promise.resolve(value);
+}
+
+function createEvent() {
+    return { addListener() {}, removeListener() {} };
+}
+
+/**
+ * In-memory chrome.storage area.
+ * @param {Map<string, any>} values
+ * @returns {object}
+ */
+function createStorageArea(values) {
+    return {
+        get(keys, callback) {
+            const list = keys === null || keys === undefined
+                ? Array.from(values.keys())
+                : (Array.isArray(keys) ? keys : [keys]);
+            const result = {};
+            list.forEach((key) => {
+                if (values.has(key)) {
+                    result[key] = structuredClone(values.get(key));
+                }
+            });
+            return reply(result, callback);
+        },
+        set(items, callback) {
+            Object.entries(items).forEach(([key, value]) => values.set(key, structuredClone(value)));
+            return reply(undefined, callback);
+        },
+        remove(keys, callback) {
+            (Array.isArray(keys) ? keys : [keys]).forEach((key) => values.delete(key));
+            return reply(undefined, callback);
+        }
+    };
+}
+
+/**
+ * Content-script side of the one open YouTube tab.
+ * @param {object} message
+ * @returns {object|undefined}
+ */
+function handleTabMessage(message) {
+    switch (message?.type) {
+        case 'GET_WATCHED_COUNT':
+            return { success: true, count: localHistory.size };
+        case 'IMPORT_WATCHED_VIDEOS': {
+            let count = 0;
+            message.videoIds.forEach((videoId) => {
+                if (!localHistory.has(videoId)) {
+                    count += 1;
+                }
+                localHistory.set(videoId, message.options.records.find((record) => record.videoId === videoId) || {});
+            });
+            return { success: true, count };
+        }
+        case 'APPLY_REMOTE_DELETIONS': {
+            const removedCount = message.deletions.filter((entry) => localHistory.delete(entry.videoId)).length;
+            return { success: true, removedCount };
+        }
+        case 'GET_SUBSCRIPTION_SYNC_ACCOUNT_IDENTITY':
+            return { success: true, accountKey: ACCOUNT_A, source: 'test' };
+        case 'GET_SUBSCRIPTION_SNAPSHOT':
+            return { success: true, channels: subscriptionChannels, fetchedAt: Date.now(), hash: 'test-hash' };
+        default:
+            return undefined;
+    }
+}
+
+globalThis.chrome = {
+    runtime: {
+        lastError: undefined
+    },
+    storage: {
+        local: createStorageArea(storage)
+    },
+    alarms: {
+        get: (_name, callback) => reply(undefined, callback),
+        create: () => {},
+        clear: (_name, callback) => reply(true, callback)
+    },
+    tabs: {
+        query: (_queryInfo, callback) => reply(
+            [{ id: TAB_ID, active: true, incognito: false, status: 'complete', url: 'https://www.youtube.com/' }],
+            callback
+        ),
+        sendMessage: (tabId, message, callback) => reply(tabId === TAB_ID ? handleTabMessage(message) : undefined, callback),
+        create: (_properties, callback) => reply(undefined, callback),
+        remove: (_tabId, callback) => reply(undefined, callback),
+        onUpdated: createEvent()
+    }
+};
+
+globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    if (url.host !== SYNC_HOST) {
+        throw new TypeError(`Unexpected fetch to ${url.host}`);
+    }
+    requests.push({
+        method: init.method || 'GET',
+        path: url.pathname,
+        searchParams: url.searchParams,
+        body: typeof init.body === 'string' ? JSON.parse(init.body) : null
+    });
+    return realFetch(`${mockOrigin}${url.pathname}${url.search}`, init);
+};
+
+async function mockRequest(method, path, body) {
+    const response = await realFetch(`${mockOrigin}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return response.json();
+}
+
+function videoIds(prefix, count) {
+    return Array.from({ length: count }, (_value, index) => `${prefix}${String(index + 1).padStart(10, '0')}`);
+}
+
+function pullCursors() {
+    return requests
+        .filter((request) => request.path === '/pull')
+        .map((request) => request.searchParams.get('cursor'));
+}
+
+before(async () => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    mockOrigin = `http://127.0.0.1:${server.address().port}`;
+
+    // Keep sync logging out of the test report.
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+
+    sync = await import('../src/background/cloudSync.js');
+});
+
+after(async () => {
+    globalThis.fetch = realFetch;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+    storage.clear();
+    localHistory.clear();
+    requests.length = 0;
+    subscriptionChannels = [];
+    await mockRequest('POST', '/__mock/reset');
+
+    storage.set('cloudflareSyncEndpoint', `https://${SYNC_HOST}/sync`);
+    storage.set('subscriptionSyncEndpoint', `https://${SYNC_HOST}/subscriptions`);
+    storage.set('cloudflareSyncPrimaryAccountKey', ACCOUNT_A);
+    storage.set('subscriptionSyncPrimaryAccountKey', ACCOUNT_A);
+    storage.set('cloudflareSyncQueueSeeded', true);
+});
+
+describe('computeBackoffMinutes', () => {
+    test('doubles from 5 minutes and caps at 60', () => {
+        assert.deepEqual([0, 1, 2, 3, 4, 5, 10].map(sync.computeBackoffMinutes), [0, 5, 10, 20, 40, 60, 60]);
+        assert.equal(sync.computeBackoffMinutes(Number.NaN), 0);
+    });
+});
+
+describe('watched history sync', () => {
+    test('pushes the pending queue, then pulls every page and stores the change_seq cursor', async () => {
+        const ids = videoIds('a', 3);
+        storage.set('cloudflareSyncPendingByAccount', { [ACCOUNT_A]: ids });
+
+        const result = await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+
+        assert.equal(result.syncedCount, 3);
+        assert.equal(result.pulledCount, 3);
+        assert.equal(result.importedCount, 3);
+        const pushes = requests.filter((request) => request.path === '/sync');
+        assert.equal(pushes.length, 1);
+        assert.deepEqual(pushes[0].body.videoIds, ids);
+        assert.equal(pushes[0].body.accountKey, ACCOUNT_A);
+
+        const mockState = await mockRequest('GET', '/__mock/state');
+        assert.deepEqual(mockState.watched.map((row) => row.videoId).sort(), ids);
+        assert.deepEqual(pullCursors(), [null, `2:${ids[1]}`]);
+        assert.deepEqual(storage.get('cloudflareSyncPullCursorByAccount'), { [ACCOUNT_A]: `3:${ids[2]}` });
+        assert.deepEqual(Array.from(localHistory.keys()).sort(), ids);
+        assert.equal(storage.get('cloudflareSyncStatus'), 'success');
+    });
+
+    test('resumes the pull from the stored cursor', async () => {
+        storage.set('cloudflareSyncPendingByAccount', { [ACCOUNT_A]: videoIds('a', 3) });
+        await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+        requests.length = 0;
+
+        // Another device pushes three more videos.
+        const remoteIds = videoIds('r', 3);
+        await mockRequest('POST', '/sync', { videoIds: remoteIds });
+
+        const result = await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+
+        assert.equal(result.syncedCount, 0);
+        assert.equal(result.importedCount, 3);
+        assert.equal(requests.filter((request) => request.path === '/sync').length, 0);
+        assert.deepEqual(pullCursors(), [`3:${videoIds('a', 3)[2]}`, `5:${remoteIds[1]}`]);
+        assert.deepEqual(storage.get('cloudflareSyncPullCursorByAccount'), { [ACCOUNT_A]: `6:${remoteIds[2]}` });
+        remoteIds.forEach((videoId) => assert.ok(localHistory.has(videoId)));
+    });
+
+    test('pulls remote removals as deletions', async () => {
+        const ids = videoIds('a', 2);
+        storage.set('cloudflareSyncPendingByAccount', { [ACCOUNT_A]: ids });
+        await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+
+        await mockRequest('POST', '/sync', { videoIds: [], deletions: [{ videoId: ids[0], updatedAt: Date.now() + 1000 }] });
+        const result = await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+
+        assert.equal(result.removedCount, 1);
+        assert.deepEqual(Array.from(localHistory.keys()), [ids[1]]);
+    });
+
+    test('only syncs the primary account queue', async () => {
+        const idsA = videoIds('a', 2);
+        const idsB = videoIds('b', 2);
+        storage.set('cloudflareSyncPendingByAccount', { [ACCOUNT_A]: idsA, [ACCOUNT_B]: idsB });
+
+        await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+
+        assert.deepEqual(storage.get('cloudflareSyncPendingByAccount'), { [ACCOUNT_B]: idsB });
+        requests.length = 0;
+
+        storage.set('cloudflareSyncPrimaryAccountKey', ACCOUNT_B);
+        const result = await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+
+        assert.equal(result.accountKey, ACCOUNT_B);
+        const pushes = requests.filter((request) => request.path === '/sync');
+        assert.deepEqual(pushes.map((request) => request.body.accountKey), [ACCOUNT_B]);
+        assert.deepEqual(pushes[0].body.videoIds, idsB);
+        assert.deepEqual(storage.get('cloudflareSyncPendingByAccount'), {});
+        // Account B has no cursor yet, so its pull starts over while A keeps its own.
+        assert.deepEqual(pullCursors(), [null, `2:${idsA[1]}`, `4:${idsB[1]}`]);
+        assert.deepEqual(storage.get('cloudflareSyncPullCursorByAccount'), {
+            [ACCOUNT_A]: `2:${idsA[1]}`,
+            [ACCOUNT_B]: `4:${idsB[1]}`
+        });
+    });
+
+    test('backs off after a failed auto sync and keeps the queue', async () => {
+        const ids = videoIds('a', 2);
+        storage.set('cloudflareSyncPendingByAccount', { [ACCOUNT_A]: ids });
+        await mockRequest('POST', '/__mock/fail?count=1&status=503');
+
+        const startedAt = Date.now();
+        await assert.rejects(sync.performCloudflareSync({ source: 'test' }), /\(503\)/);
+
+        assert.equal(storage.get('cloudflareSyncStatus'), 'error');
+        assert.equal(storage.get('cloudflareSyncFailureCount'), 1);
+        const backoffUntil = storage.get('cloudflareSyncBackoffUntil');
+        assert.ok(backoffUntil >= startedAt + (5 * 60 * 1000) && backoffUntil <= Date.now() + (5 * 60 * 1000));
+        assert.deepEqual(storage.get('cloudflareSyncPendingByAccount'), { [ACCOUNT_A]: ids });
+
+        const skipped = await sync.performCloudflareSync({ source: 'test' });
+        assert.equal(skipped.skipped, true);
+        assert.equal(skipped.reason, 'Backoff active');
+
+        // Manual sync ignores the backoff and clears it on success.
+        const result = await sync.performCloudflareSync({ manual: true, activeTabId: TAB_ID });
+        assert.equal(result.syncedCount, 2);
+        assert.equal(storage.get('cloudflareSyncFailureCount'), 0);
+        assert.equal(storage.get('cloudflareSyncBackoffUntil'), 0);
+    });
+
+    test('downloads the full history from the first page', async () => {
+        const remoteIds = videoIds('r', 5);
+        await mockRequest('POST', '/sync', { videoIds: remoteIds });
+        storage.set('cloudflareSyncPullCursorByAccount', { [ACCOUNT_A]: `1:${remoteIds[0]}` });
+
+        const result = await sync.downloadFromCloudflare();
+
+        assert.equal(result.pageCount, 3);
+        assert.equal(result.importedCount, 5);
+        assert.deepEqual(pullCursors(), [null, `2:${remoteIds[1]}`, `4:${remoteIds[3]}`]);
+        assert.deepEqual(storage.get('cloudflareSyncPullCursorByAccount'), { [ACCOUNT_A]: `5:${remoteIds[4]}` });
+        assert.deepEqual(Array.from(localHistory.keys()).sort(), remoteIds);
+    });
+});
+
+describe('subscription sync', () => {
+    test('uploads the snapshot with categories and restores it', async () => {
+        subscriptionChannels = [
+            { channelId: 'UCalpha0000000000000000', title: 'Alpha' },
+            { channelId: 'UCbeta00000000000000000', title: 'Beta' }
+        ];
+        storage.set('subscriptionSyncPendingKeys', ['subscriptionManagerAssignments']);
+        storage.set('subscriptionManagerCategories', [{ id: 'music', name: 'Music', color: '#ff0000' }]);
+        storage.set('subscriptionManagerAssignments', { UCalpha0000000000000000: ['music', 'missing'] });
+
+        const result = await sync.performSubscriptionSync({ manual: true, activeTabId: TAB_ID });
+
+        assert.equal(result.syncedCount, 2);
+        assert.equal(result.accountKey, ACCOUNT_A);
+        const mockState = await mockRequest('GET', '/__mock/state');
+        const stored = mockState.subscriptions[ACCOUNT_A];
+        assert.deepEqual(stored.channels.map((channel) => channel.title), ['Alpha', 'Beta']);
+        assert.deepEqual(stored.assignments, { UCalpha0000000000000000: ['music'] });
+        assert.deepEqual(storage.get('subscriptionSyncPendingKeys'), []);
+
+        const skipped = await sync.performSubscriptionSync({ manual: true, activeTabId: TAB_ID });
+        assert.equal(skipped.reason, 'No changes to sync');
+
+        storage.delete('subscriptionManagerCategories');
+        storage.delete('subscriptionManagerAssignments');
+        const restored = await sync.restoreSubscriptionsFromCloudflare({ activeTabId: TAB_ID });
+
+        assert.deepEqual(
+            { channelCount: restored.channelCount, categoryCount: restored.categoryCount, assignmentCount: restored.assignmentCount },
+            { channelCount: 2, categoryCount: 1, assignmentCount: 1 }
+        );
+        assert.deepEqual(storage.get('subscriptionManagerCategories').map((category) => category.name), ['Music']);
+        assert.deepEqual(storage.get('subscriptionManagerAssignments'), { UCalpha0000000000000000: ['music'] });
+        assert.equal(storage.get('subscriptionManagerSnapshot').channels.length, 2);
+    });
+});
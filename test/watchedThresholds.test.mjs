@@ -0,0 +1,32 @@
+/**
+ * Checks for the shared watched-threshold rules.
+ *
+ * Run with `npm test`.
+ */
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isWatchedThresholdMet } from '../src/shared/watchedThresholds.js';
+
+const PERCENT_RULE = { mode: 'percent', percent: 90, seconds: 60 };
+
+describe('isWatchedThresholdMet', () => {
+    test('percent mode counts a video resumed at 80% and played to the end', () => {
+        const progress = { playedSeconds: 20, maxPositionSeconds: 100, durationSeconds: 100, ended: true };
+        assert.equal(isWatchedThresholdMet(PERCENT_RULE, progress), true);
+    });
+
+    test('percent mode counts playing into the last moments without an ended event', () => {
+        const progress = { playedSeconds: 20, maxPositionSeconds: 99, durationSeconds: 100, ended: false };
+        assert.equal(isWatchedThresholdMet(PERCENT_RULE, progress), true);
+    });
+
+    test('percent mode ignores a resume that stops before the end', () => {
+        const progress = { playedSeconds: 10, maxPositionSeconds: 90, durationSeconds: 100, ended: false };
+        assert.equal(isWatchedThresholdMet(PERCENT_RULE, progress), false);
+    });
+
+    test('percent mode counts played time from the start', () => {
+        const progress = { playedSeconds: 91, maxPositionSeconds: 91, durationSeconds: 100, ended: false };
+        assert.equal(isWatchedThresholdMet(PERCENT_RULE, progress), true);
+    });
+});
@@ -6,7 +6,7 @@ export default defineConfig({
   plugins: [
     webExtension({
       manifest: "manifest.json",
-      additionalInputs: ["scroll_to_top.html"]
+      additionalInputs: ["scroll_to_top.html", "history/history.html"]
     }),
     viteStaticCopy({
       targets: [